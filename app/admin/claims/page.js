@@ -0,0 +1,281 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, Table, Form, Spinner, Alert, Button, Modal, Row, Col, InputGroup } from 'react-bootstrap'
+import Link from 'next/link'
+import AdminLayout from '../../components/AdminLayout'
+import { ClaimStatusBadge, ClaimDetails } from '../../../components/DamageClaims'
+import { formatCurrency } from '../../../lib/utils'
+
+const DEFAULT_STATUSES = 'submitted,vendor_responded,approved,partially_approved,settling'
+
+// Decided but not yet paid out, e.g. because the refund failed
+const AWAITING_SETTLEMENT_STATUSES = ['approved', 'partially_approved', 'settling']
+
+export default function ClaimManagement() {
+  const [claims, setClaims] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [statusFilter, setStatusFilter] = useState(DEFAULT_STATUSES)
+  const [selectedClaim, setSelectedClaim] = useState(null)
+  const [decision, setDecision] = useState({ decision: 'approve', approvedAmount: '', resolution: 'refund', notes: '' })
+  const [saving, setSaving] = useState(false)
+  const [modalError, setModalError] = useState(null)
+
+  useEffect(() => {
+    fetchClaims()
+  }, [statusFilter])
+
+  const fetchClaims = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams(statusFilter ? { status: statusFilter } : {})
+      const response = await fetch(`/api/admin/claims?${params}`)
+      if (!response.ok) {
+        throw new Error(`Failed to fetch claims: ${response.status} ${response.statusText}`)
+      }
+      const data = await response.json()
+      setClaims(data.claims)
+    } catch (error) {
+      console.error('Error fetching claims:', error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openClaim = (claim) => {
+    setSelectedClaim(claim)
+    setModalError(claim.settlementError || null)
+    setDecision({
+      decision: 'approve',
+      approvedAmount: String(claim.vendorAcceptedAmount || claim.claimedAmount),
+      resolution: 'refund',
+      notes: ''
+    })
+  }
+
+  const submitAction = async (body) => {
+    try {
+      setSaving(true)
+      setModalError(null)
+      const response = await fetch(`/api/admin/claims/${selectedClaim.id}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update claim')
+      }
+
+      setClaims(prev => prev.map(claim => claim.id === data.claim.id ? data.claim : claim))
+      if (data.claim.settlementError) {
+        // The decision is saved; keep the modal open so the settlement can be retried
+        setSelectedClaim(data.claim)
+        setModalError(`Decision saved, but settlement failed: ${data.claim.settlementError}`)
+      } else {
+        setSelectedClaim(null)
+      }
+    } catch (error) {
+      console.error('Error updating claim:', error)
+      setModalError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleAdjudicate = (e) => {
+    e.preventDefault()
+    submitAction({
+      action: 'adjudicate',
+      decision: decision.decision,
+      approvedAmount: parseFloat(decision.approvedAmount),
+      resolution: decision.resolution,
+      notes: decision.notes
+    })
+  }
+
+  const isUndecided = selectedClaim && ['submitted', 'vendor_responded'].includes(selectedClaim.status)
+  const awaitingSettlement = selectedClaim && AWAITING_SETTLEMENT_STATUSES.includes(selectedClaim.status)
+
+  return (
+    <AdminLayout>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>Damage Claims</h2>
+      </div>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Card className="border-0 shadow-sm mb-4">
+        <Card.Header className="bg-white py-3">
+          <Row>
+            <Col md={3}>
+              <Form.Select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                <option value={DEFAULT_STATUSES}>Open</option>
+                <option value="submitted">Submitted</option>
+                <option value="vendor_responded">Vendor Responded</option>
+                <option value="approved,partially_approved,settling">Awaiting Settlement</option>
+                <option value="settled">Settled</option>
+                <option value="rejected">Rejected</option>
+                <option value="">All Statuses</option>
+              </Form.Select>
+            </Col>
+          </Row>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {loading ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" variant="primary" />
+            </div>
+          ) : (
+            <div className="table-responsive">
+              <Table hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>ID</th>
+                    <th>Order</th>
+                    <th>Customer</th>
+                    <th>Vendor</th>
+                    <th>Claimed</th>
+                    <th>Vendor Accepts</th>
+                    <th>Status</th>
+                    <th>Filed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {claims.length === 0 ? (
+                    <tr>
+                      <td colSpan="8" className="text-center py-4 text-muted">No claims match this filter</td>
+                    </tr>
+                  ) : claims.map(claim => (
+                    <tr key={claim.id} role="button" onClick={() => openClaim(claim)}>
+                      <td>#{claim.id.substring(0, 8)}</td>
+                      <td>
+                        <Link href={`/admin/orders/${claim.orderId}`} onClick={(e) => e.stopPropagation()}>
+                          {claim.orderNumber}
+                        </Link>
+                        <div className="small text-muted">{claim.orderStatus}</div>
+                      </td>
+                      <td>
+                        {claim.customerName}
+                        <div className="small text-muted">{claim.customerEmail}</div>
+                      </td>
+                      <td>{claim.vendorName || '-'}</td>
+                      <td>{formatCurrency(claim.claimedAmount)}</td>
+                      <td>{claim.vendorRespondedAt ? formatCurrency(claim.vendorAcceptedAmount) : <span className="text-muted">Awaiting</span>}</td>
+                      <td><ClaimStatusBadge status={claim.status} /></td>
+                      <td>{new Date(claim.createdAt).toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Modal show={!!selectedClaim} onHide={() => setSelectedClaim(null)} size="lg">
+        {selectedClaim && (
+          <>
+            <Modal.Header closeButton>
+              <Modal.Title>
+                Claim #{selectedClaim.id.substring(0, 8)} <ClaimStatusBadge status={selectedClaim.status} />
+              </Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {modalError && <Alert variant="danger">{modalError}</Alert>}
+              <ClaimDetails claim={selectedClaim} />
+
+              {isUndecided && (
+                <Form onSubmit={handleAdjudicate} className="mt-4 pt-3 border-top">
+                  <Form.Group className="mb-3">
+                    <Form.Check
+                      inline
+                      type="radio"
+                      id="decision-approve"
+                      label="Approve"
+                      checked={decision.decision === 'approve'}
+                      onChange={() => setDecision({ ...decision, decision: 'approve' })}
+                    />
+                    <Form.Check
+                      inline
+                      type="radio"
+                      id="decision-reject"
+                      label="Reject"
+                      checked={decision.decision === 'reject'}
+                      onChange={() => setDecision({ ...decision, decision: 'reject' })}
+                    />
+                  </Form.Group>
+                  {decision.decision === 'approve' && (
+                    <Row>
+                      <Col md={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Approved amount</Form.Label>
+                          <InputGroup>
+                            <InputGroup.Text>₹</InputGroup.Text>
+                            <Form.Control
+                              type="number"
+                              min="0.01"
+                              max={selectedClaim.claimedAmount}
+                              step="0.01"
+                              value={decision.approvedAmount}
+                              onChange={(e) => setDecision({ ...decision, approvedAmount: e.target.value })}
+                              required
+                            />
+                          </InputGroup>
+                        </Form.Group>
+                      </Col>
+                      <Col md={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>Settle by</Form.Label>
+                          <Form.Select
+                            value={decision.resolution}
+                            onChange={(e) => setDecision({ ...decision, resolution: e.target.value })}
+                          >
+                            <option value="refund">Partial refund to customer</option>
+                            <option value="vendor_deduction" disabled={!selectedClaim.vendorId}>Deduct from vendor payout</option>
+                          </Form.Select>
+                        </Form.Group>
+                      </Col>
+                    </Row>
+                  )}
+                  <Form.Group className="mb-3">
+                    <Form.Label>Notes{decision.decision === 'reject' ? '' : ' (optional)'}</Form.Label>
+                    <Form.Control
+                      as="textarea"
+                      rows={2}
+                      value={decision.notes}
+                      onChange={(e) => setDecision({ ...decision, notes: e.target.value })}
+                      placeholder={decision.decision === 'reject' ? 'Why the claim is rejected (shared with the customer)' : 'Reasoning for the decision'}
+                      required={decision.decision === 'reject'}
+                    />
+                  </Form.Group>
+                  <Button type="submit" variant={decision.decision === 'reject' ? 'danger' : 'success'} disabled={saving}>
+                    {saving ? <Spinner animation="border" size="sm" /> : decision.decision === 'reject' ? 'Reject Claim' : 'Approve and Settle'}
+                  </Button>
+                </Form>
+              )}
+
+              {awaitingSettlement && (
+                <div className="mt-4 pt-3 border-top">
+                  <p className="mb-2">This claim was approved but has not been settled yet.</p>
+                  <Button variant="primary" disabled={saving} onClick={() => submitAction({ action: 'settle' })}>
+                    {saving ? <Spinner animation="border" size="sm" /> : 'Retry Settlement'}
+                  </Button>
+                </div>
+              )}
+            </Modal.Body>
+          </>
+        )}
+      </Modal>
+    </AdminLayout>
+  )
+}
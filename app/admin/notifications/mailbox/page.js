@@ -0,0 +1,333 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import Link from 'next/link'
+import { Card, Table, Button, Form, InputGroup, Spinner, Alert, Badge, ButtonGroup, Pagination, Row, Col } from 'react-bootstrap'
+import AdminLayout from '../../../components/AdminLayout'
+import { FaSearch, FaTrash, FaEnvelope, FaMobile, FaWhatsapp, FaInbox, FaArrowLeft, FaSyncAlt, FaReply } from 'react-icons/fa'
+
+const CHANNELS = {
+  email: { label: 'Email', icon: <FaEnvelope className="me-1" />, color: 'primary' },
+  sms: { label: 'SMS', icon: <FaMobile className="me-1" />, color: 'info' },
+  whatsapp: { label: 'WhatsApp', icon: <FaWhatsapp className="me-1" />, color: 'success' }
+}
+
+/**
+ * Local Mailbox
+ *
+ * The emails, SMS and WhatsApp messages the local notification provider captured
+ * instead of sending, for checking what would have gone out in development. WhatsApp
+ * messages can be replied to as their recipient, to try out WhatsApp conversations.
+ */
+export default function LocalMailbox() {
+  const [messages, setMessages] = useState([])
+  const [selected, setSelected] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [searchTerm, setSearchTerm] = useState('')
+  const [channelFilter, setChannelFilter] = useState('all')
+  const [replyText, setReplyText] = useState('')
+  const [replying, setReplying] = useState(false)
+  const [replyResult, setReplyResult] = useState(null)
+  const [pagination, setPagination] = useState({
+    page: 1,
+    limit: 20,
+    totalCount: 0,
+    totalPages: 0
+  })
+
+  useEffect(() => {
+    fetchMessages()
+  }, [channelFilter, pagination.page])
+
+  const fetchMessages = async () => {
+    try {
+      setLoading(true)
+      const queryParams = new URLSearchParams({
+        page: pagination.page,
+        limit: pagination.limit,
+        ...(channelFilter !== 'all' && { channel: channelFilter }),
+        ...(searchTerm && { search: searchTerm })
+      })
+
+      const response = await fetch(`/api/admin/notifications/mailbox?${queryParams}`)
+      if (!response.ok) {
+        throw new Error(`Failed to fetch mailbox: ${response.status} ${response.statusText}`)
+      }
+      const data = await response.json()
+      setMessages(data.messages)
+      setPagination(prev => ({
+        ...prev,
+        totalCount: data.pagination.totalCount,
+        totalPages: data.pagination.totalPages
+      }))
+      setError(null)
+    } catch (error) {
+      console.error('Error fetching mailbox:', error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    if (pagination.page === 1) {
+      fetchMessages()
+    } else {
+      setPagination(prev => ({ ...prev, page: 1 }))
+    }
+  }
+
+  const handleSelect = (message) => {
+    setSelected(message)
+    setReplyText('')
+    setReplyResult(null)
+  }
+
+  const handleReply = async (e) => {
+    e.preventDefault()
+    try {
+      setReplying(true)
+      const response = await fetch(`/api/admin/notifications/mailbox/${selected.id}/reply`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ body: replyText.trim() })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send reply')
+      }
+      setReplyResult(data)
+      setReplyText('')
+      fetchMessages()
+    } catch (error) {
+      console.error('Error replying to message:', error)
+      setReplyResult({ handled: false, reason: error.message })
+    } finally {
+      setReplying(false)
+    }
+  }
+
+  const handleChannelFilter = (channel) => {
+    setChannelFilter(channel)
+    handleSelect(null)
+    setPagination(prev => ({ ...prev, page: 1 }))
+  }
+
+  const handleClear = async () => {
+    const what = channelFilter === 'all' ? 'all captured messages' : `all captured ${CHANNELS[channelFilter].label} messages`
+    if (!confirm(`Delete ${what}?`)) {
+      return
+    }
+
+    try {
+      const query = channelFilter === 'all' ? '' : `?channel=${channelFilter}`
+      const response = await fetch(`/api/admin/notifications/mailbox${query}`, { method: 'DELETE' })
+      if (!response.ok) {
+        throw new Error('Failed to clear mailbox')
+      }
+      handleSelect(null)
+      fetchMessages()
+    } catch (error) {
+      console.error('Error clearing mailbox:', error)
+      setError(error.message)
+    }
+  }
+
+  const getChannelBadge = (channel) => {
+    const { label, icon, color } = CHANNELS[channel] || { label: channel, icon: null, color: 'secondary' }
+    return <Badge bg={color}>{icon}{label}</Badge>
+  }
+
+  return (
+    <AdminLayout>
+      <div className="container-fluid py-4">
+        <Card className="shadow-sm">
+          <Card.Header className="bg-white py-3">
+            <div className="d-flex justify-content-between align-items-center flex-wrap gap-2">
+              <div className="d-flex align-items-center">
+                <Link href="/admin/notifications" className="btn btn-link p-0 me-3" title="Back to Notification Center">
+                  <FaArrowLeft />
+                </Link>
+                <h5 className="mb-0">
+                  <FaInbox className="me-2" />
+                  Local Mailbox
+                </h5>
+              </div>
+              <div className="d-flex gap-2">
+                <Form onSubmit={handleSearch}>
+                  <InputGroup size="sm">
+                    <Form.Control
+                      placeholder="Recipient, subject or text"
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                    />
+                    <Button type="submit" variant="outline-secondary">
+                      <FaSearch />
+                    </Button>
+                  </InputGroup>
+                </Form>
+                <ButtonGroup size="sm">
+                  <Button
+                    variant={channelFilter === 'all' ? 'secondary' : 'outline-secondary'}
+                    onClick={() => handleChannelFilter('all')}
+                  >
+                    All
+                  </Button>
+                  {Object.entries(CHANNELS).map(([channel, { label }]) => (
+                    <Button
+                      key={channel}
+                      variant={channelFilter === channel ? 'secondary' : 'outline-secondary'}
+                      onClick={() => handleChannelFilter(channel)}
+                    >
+                      {label}
+                    </Button>
+                  ))}
+                </ButtonGroup>
+                <Button variant="outline-secondary" size="sm" title="Refresh" onClick={fetchMessages}>
+                  <FaSyncAlt />
+                </Button>
+                <Button variant="outline-danger" size="sm" onClick={handleClear} disabled={messages.length === 0}>
+                  <FaTrash className="me-2" />
+                  Clear
+                </Button>
+              </div>
+            </div>
+            <p className="text-muted small mb-0 mt-2">
+              Messages sent through the local provider are kept here instead of being delivered.
+              Choose providers under Settings → Notifications.
+            </p>
+          </Card.Header>
+          <Card.Body className="p-0">
+            {error && (
+              <Alert variant="danger" className="m-3">{error}</Alert>
+            )}
+            {loading ? (
+              <div className="text-center py-4">
+                <Spinner animation="border" variant="primary" />
+                <p className="mt-3">Loading mailbox...</p>
+              </div>
+            ) : messages.length === 0 ? (
+              <div className="text-center py-5">
+                <FaInbox className="text-muted" style={{ fontSize: '1.5rem' }} />
+                <p className="text-muted mt-2 mb-0">The mailbox is empty</p>
+              </div>
+            ) : (
+              <Row className="g-0">
+                <Col lg={5} className="border-end">
+                  <div className="table-responsive">
+                    <Table hover className="mb-0">
+                      <tbody>
+                        {messages.map(message => (
+                          <tr
+                            key={message.id}
+                            className={selected?.id === message.id ? 'table-active' : ''}
+                            style={{ cursor: 'pointer' }}
+                            onClick={() => handleSelect(message)}
+                          >
+                            <td className="align-middle">
+                              <div className="d-flex justify-content-between">
+                                <span className="fw-bold text-truncate" style={{ maxWidth: '220px' }}>{message.recipient}</span>
+                                <span className="small text-muted">{new Date(message.createdAt).toLocaleString()}</span>
+                              </div>
+                              <div className="d-flex align-items-center gap-2">
+                                {getChannelBadge(message.channel)}
+                                <span className="text-truncate" style={{ maxWidth: '300px' }}>
+                                  {message.subject || message.text}
+                                </span>
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </Table>
+                  </div>
+                  {pagination.totalPages > 1 && (
+                    <div className="d-flex justify-content-center py-3">
+                      <Pagination size="sm">
+                        <Pagination.Prev
+                          disabled={pagination.page === 1}
+                          onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))}
+                        />
+                        <Pagination.Item active>{pagination.page} / {pagination.totalPages}</Pagination.Item>
+                        <Pagination.Next
+                          disabled={pagination.page === pagination.totalPages}
+                          onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))}
+                        />
+                      </Pagination>
+                    </div>
+                  )}
+                </Col>
+                <Col lg={7}>
+                  {selected ? (
+                    <div className="p-4">
+                      <div className="mb-3">
+                        {getChannelBadge(selected.channel)}
+                        {selected.subject && <h5 className="mt-2 mb-1">{selected.subject}</h5>}
+                        <div className="small text-muted">
+                          <div><strong>From:</strong> {selected.sender}</div>
+                          <div><strong>To:</strong> {selected.recipient}</div>
+                          <div><strong>Captured:</strong> {new Date(selected.createdAt).toLocaleString()}</div>
+                          {selected.notificationMessageId && (
+                            <div><strong>Outbox message:</strong> {selected.notificationMessageId}</div>
+                          )}
+                        </div>
+                      </div>
+                      {selected.html ? (
+                        <iframe
+                          title="Email preview"
+                          sandbox=""
+                          srcDoc={selected.html}
+                          className="w-100 border rounded bg-white"
+                          style={{ minHeight: '400px' }}
+                        />
+                      ) : (
+                        <pre className="border rounded bg-light p-3 mb-0" style={{ whiteSpace: 'pre-wrap' }}>
+                          {selected.text}
+                        </pre>
+                      )}
+                      {selected.html && (
+                        <details className="mt-3">
+                          <summary className="small text-muted">Plain text</summary>
+                          <pre className="border rounded bg-light p-3 mt-2 mb-0" style={{ whiteSpace: 'pre-wrap' }}>
+                            {selected.text}
+                          </pre>
+                        </details>
+                      )}
+                      {selected.channel === 'whatsapp' && (
+                        <Form className="mt-3" onSubmit={handleReply}>
+                          <Form.Label className="small text-muted">Reply as {selected.recipient}</Form.Label>
+                          <InputGroup>
+                            <Form.Control
+                              placeholder="e.g. 1"
+                              value={replyText}
+                              onChange={(e) => setReplyText(e.target.value)}
+                            />
+                            <Button type="submit" variant="success" disabled={replying || !replyText.trim()}>
+                              {replying ? <Spinner animation="border" size="sm" /> : <FaReply className="me-2" />}
+                              Reply
+                            </Button>
+                          </InputGroup>
+                          {replyResult && (
+                            <Alert variant={replyResult.handled ? 'success' : 'warning'} className="mt-2 mb-0 small">
+                              {replyResult.handled
+                                ? replyResult.reply || 'Reply handled'
+                                : replyResult.reason}
+                            </Alert>
+                          )}
+                        </Form>
+                      )}
+                    </div>
+                  ) : (
+                    <div className="text-center text-muted py-5">Select a message to read it</div>
+                  )}
+                </Col>
+              </Row>
+            )}
+          </Card.Body>
+        </Card>
+      </div>
+    </AdminLayout>
+  )
+}
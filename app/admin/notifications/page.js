@@ -1,25 +1,44 @@
 'use client'
 
 import { useState, useEffect } from 'react'
+import Link from 'next/link'
 import { Card, Table, Button, Form, InputGroup, Spinner, Alert, Badge, Dropdown, Tabs, Tab, Pagination } from 'react-bootstrap'
 import AdminLayout from '../../components/AdminLayout'
 import { 
   FaSearch, FaTrash, FaFilter, FaBell, FaEnvelope, FaMobile, 
   FaWhatsapp, FaCheck, FaExclamationTriangle, FaUser, FaStore, 
-  FaBoxes, FaCalendarAlt, FaEye, FaHistory
+  FaBoxes, FaCalendarAlt, FaEye, FaHistory, FaRedo, FaClock, FaInbox
 } from 'react-icons/fa'
 
+const CHANNELS = {
+  email: { label: 'Email', icon: <FaEnvelope className="me-1" />, color: 'primary' },
+  sms: { label: 'SMS', icon: <FaMobile className="me-1" />, color: 'info' },
+  whatsapp: { label: 'WhatsApp', icon: <FaWhatsapp className="me-1" />, color: 'success' },
+  inApp: { label: 'In-App', icon: <FaBell className="me-1" />, color: 'secondary' }
+}
+
+const STATUSES = {
+  queued: 'Queued',
+  sent: 'Sent',
+  delivered: 'Delivered',
+  failed: 'Failed',
+  bounced: 'Bounced'
+}
+
 export default function NotificationCenter() {
   const [notifications, setNotifications] = useState([])
   const [templates, setTemplates] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [searchTerm, setSearchTerm] = useState('')
-  const [typeFilter, setTypeFilter] = useState('all')
+  const [channelFilter, setChannelFilter] = useState('all')
   const [statusFilter, setStatusFilter] = useState('all')
   const [activeTab, setActiveTab] = useState('notifications')
   const [selectedTemplate, setSelectedTemplate] = useState(null)
   const [showTemplatePreview, setShowTemplatePreview] = useState(false)
+  const [stats, setStats] = useState(null)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [resending, setResending] = useState(false)
   const [pagination, setPagination] = useState({
     page: 1,
     limit: 20,
@@ -33,7 +52,7 @@ export default function NotificationCenter() {
     } else if (activeTab === 'templates') {
       fetchTemplates()
     }
-  }, [activeTab, typeFilter, statusFilter, pagination.page])
+  }, [activeTab, channelFilter, statusFilter, pagination.page])
 
   const fetchNotifications = async () => {
     try {
@@ -41,17 +60,26 @@ export default function NotificationCenter() {
       const queryParams = new URLSearchParams({
         page: pagination.page,
         limit: pagination.limit,
-        ...(typeFilter !== 'all' && { type: typeFilter }),
-        ...(statusFilter !== 'all' && { status: statusFilter })
+        ...(channelFilter !== 'all' && { channel: channelFilter }),
+        ...(statusFilter !== 'all' && { status: statusFilter }),
+        ...(searchTerm && { search: searchTerm })
       })
       
-      const response = await fetch(`/api/admin/notifications?${queryParams}`)
+      const [response, statsResponse] = await Promise.all([
+        fetch(`/api/admin/notifications?${queryParams}`),
+        fetch('/api/admin/notifications/stats')
+      ])
       if (!response.ok) {
         throw new Error(`Failed to fetch notifications: ${response.status} ${response.statusText}`)
       }
       const data = await response.json()
       setNotifications(data.notifications)
       setPagination(data.pagination)
+      setSelectedIds([])
+      if (statsResponse.ok) {
+        const statsData = await statsResponse.json()
+        setStats(statsData.overview)
+      }
     } catch (error) {
       console.error('Error fetching notifications:', error)
       setError(error.message)
@@ -94,6 +122,47 @@ export default function NotificationCenter() {
     }
   }
 
+  const handleResendSelected = async () => {
+    try {
+      setResending(true)
+      const response = await fetch('/api/admin/notifications/bulk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ operation: 'resend', notificationIds: selectedIds })
+      })
+      if (!response.ok) {
+        throw new Error(`Failed to resend notifications: ${response.status} ${response.statusText}`)
+      }
+      
+      // Refresh notifications
+      fetchNotifications()
+    } catch (error) {
+      console.error('Error resending notifications:', error)
+      setError(error.message)
+    } finally {
+      setResending(false)
+    }
+  }
+
+  const handleSelectNotification = (notificationId) => {
+    setSelectedIds(prev => prev.includes(notificationId)
+      ? prev.filter(id => id !== notificationId)
+      : [...prev, notificationId])
+  }
+
+  const handleSelectAll = (checked) => {
+    setSelectedIds(checked ? notifications.map(notification => notification.id) : [])
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    if (pagination.page === 1) {
+      fetchNotifications()
+    } else {
+      setPagination(prev => ({ ...prev, page: 1 }))
+    }
+  }
+
   const handleDeleteNotification = async (notificationId) => {
     if (!confirm('Are you sure you want to delete this notification?')) {
       return
@@ -124,8 +193,8 @@ export default function NotificationCenter() {
     setPagination(prev => ({ ...prev, page }))
   }
 
-  const handleTypeFilter = (type) => {
-    setTypeFilter(type)
+  const handleChannelFilter = (channel) => {
+    setChannelFilter(channel)
     setPagination(prev => ({ ...prev, page: 1 }))
   }
 
@@ -134,33 +203,28 @@ export default function NotificationCenter() {
     setPagination(prev => ({ ...prev, page: 1 }))
   }
 
-  const getNotificationTypeBadge = (type) => {
-    const types = {
-      order: { icon: <FaBoxes className="me-1" />, color: 'primary' },
-      payment: { icon: <FaCheck className="me-1" />, color: 'success' },
-      quote: { icon: <FaCalendarAlt className="me-1" />, color: 'info' },
-      review: { icon: <FaStore className="me-1" />, color: 'warning' },
-      system: { icon: <FaBell className="me-1" />, color: 'secondary' },
-      alert: { icon: <FaExclamationTriangle className="me-1" />, color: 'danger' }
-    }
-
-    const { icon, color } = types[type.toLowerCase()] || types.system
+  const getChannelBadge = (channel) => {
+    const { label, icon, color } = CHANNELS[channel] || { label: channel, icon: null, color: 'secondary' }
 
     return (
       <Badge bg={color} className="d-inline-flex align-items-center">
-        {icon} {type.charAt(0).toUpperCase() + type.slice(1)}
+        {icon} {label}
       </Badge>
     )
   }
 
   const getNotificationStatusBadge = (status) => {
     switch(status) {
+      case 'queued':
+        return <Badge bg="warning"><FaClock className="me-1" /> Queued</Badge>
       case 'sent':
-        return <Badge bg="success"><FaCheck className="me-1" /> Sent</Badge>
+        return <Badge bg="info"><FaCheck className="me-1" /> Sent</Badge>
+      case 'delivered':
+        return <Badge bg="success"><FaCheck className="me-1" /> Delivered</Badge>
       case 'failed':
         return <Badge bg="danger"><FaExclamationTriangle className="me-1" /> Failed</Badge>
-      case 'pending':
-        return <Badge bg="warning">Pending</Badge>
+      case 'bounced':
+        return <Badge bg="danger"><FaExclamationTriangle className="me-1" /> Bounced</Badge>
       default:
         return <Badge bg="secondary">{status}</Badge>
     }
@@ -196,26 +260,6 @@ export default function NotificationCenter() {
     }
   }
 
-  const filteredNotifications = notifications.filter(notification => {
-    // Apply type filter
-    if (typeFilter !== 'all' && notification.type !== typeFilter) {
-      return false
-    }
-    
-    // Apply status filter
-    if (statusFilter !== 'all' && notification.status !== statusFilter) {
-      return false
-    }
-    
-    // Apply search filter
-    return (
-      notification.recipient.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      notification.subject?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      notification.message?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      notification.eventType?.toLowerCase().includes(searchTerm.toLowerCase())
-    )
-  })
-
   const filteredTemplates = templates.filter(template => 
     template.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
     template.subject?.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -242,34 +286,69 @@ export default function NotificationCenter() {
             <div className="d-flex justify-content-between align-items-center">
               <h5 className="mb-0">Notification Center</h5>
               <div className="d-flex gap-2">
+                <Form onSubmit={handleSearch}>
+                  <InputGroup size="sm">
+                    <Form.Control
+                      placeholder="Recipient, subject or event"
+                      value={searchTerm}
+                      onChange={(e) => setSearchTerm(e.target.value)}
+                    />
+                    <Button type="submit" variant="outline-secondary">
+                      <FaSearch />
+                    </Button>
+                  </InputGroup>
+                </Form>
                 <Dropdown>
                   <Dropdown.Toggle variant="outline-secondary" size="sm">
                     <FaFilter className="me-2" />
-                    Type: {typeFilter.charAt(0).toUpperCase() + typeFilter.slice(1)}
+                    Channel: {channelFilter === 'all' ? 'All' : CHANNELS[channelFilter].label}
                   </Dropdown.Toggle>
                   <Dropdown.Menu>
-                    <Dropdown.Item onClick={() => handleTypeFilter('all')}>All Types</Dropdown.Item>
-                    <Dropdown.Item onClick={() => handleTypeFilter('order')}>Order</Dropdown.Item>
-                    <Dropdown.Item onClick={() => handleTypeFilter('payment')}>Payment</Dropdown.Item>
-                    <Dropdown.Item onClick={() => handleTypeFilter('quote')}>Quote</Dropdown.Item>
-                    <Dropdown.Item onClick={() => handleTypeFilter('review')}>Review</Dropdown.Item>
-                    <Dropdown.Item onClick={() => handleTypeFilter('system')}>System</Dropdown.Item>
-                    <Dropdown.Item onClick={() => handleTypeFilter('alert')}>Alert</Dropdown.Item>
+                    <Dropdown.Item onClick={() => handleChannelFilter('all')}>All Channels</Dropdown.Item>
+                    {Object.entries(CHANNELS).map(([channel, { label }]) => (
+                      <Dropdown.Item key={channel} onClick={() => handleChannelFilter(channel)}>{label}</Dropdown.Item>
+                    ))}
                   </Dropdown.Menu>
                 </Dropdown>
                 <Dropdown>
                   <Dropdown.Toggle variant="outline-secondary" size="sm">
                     <FaFilter className="me-2" />
-                    Status: {statusFilter.charAt(0).toUpperCase() + statusFilter.slice(1)}
+                    Status: {statusFilter === 'all' ? 'All' : STATUSES[statusFilter]}
                   </Dropdown.Toggle>
                   <Dropdown.Menu>
                     <Dropdown.Item onClick={() => handleStatusFilter('all')}>All Status</Dropdown.Item>
-                    <Dropdown.Item onClick={() => handleStatusFilter('read')}>Read</Dropdown.Item>
-                    <Dropdown.Item onClick={() => handleStatusFilter('unread')}>Unread</Dropdown.Item>
+                    {Object.entries(STATUSES).map(([status, label]) => (
+                      <Dropdown.Item key={status} onClick={() => handleStatusFilter(status)}>{label}</Dropdown.Item>
+                    ))}
                   </Dropdown.Menu>
                 </Dropdown>
+                <Button
+                  variant="primary"
+                  size="sm"
+                  disabled={selectedIds.length === 0 || resending}
+                  onClick={handleResendSelected}
+                >
+                  <FaRedo className="me-2" />
+                  Resend Selected{selectedIds.length > 0 && ` (${selectedIds.length})`}
+                </Button>
+                <Link href="/admin/notifications/mailbox" className="btn btn-outline-secondary btn-sm">
+                  <FaInbox className="me-2" />
+                  Local Mailbox
+                </Link>
               </div>
             </div>
+            {stats && (
+              <div className="d-flex flex-wrap gap-2 mt-3">
+                {Object.entries(STATUSES).map(([status, label]) => (
+                  <Badge key={status} bg="light" text="dark" className="border">
+                    {label}: {stats.byStatus[status] || 0}
+                  </Badge>
+                ))}
+                <Badge bg="light" text="dark" className="border">
+                  Delivery rate: {stats.deliveryRate}%
+                </Badge>
+              </div>
+            )}
           </Card.Header>
           <Card.Body className="p-0">
             {loading ? (
@@ -293,11 +372,18 @@ export default function NotificationCenter() {
                   <Table hover className="mb-0">
                     <thead className="bg-light">
                       <tr>
-                        <th>Type</th>
-                        <th>Title</th>
-                        <th>Message</th>
-                        <th>User</th>
+                        <th>
+                          <Form.Check
+                            type="checkbox"
+                            checked={selectedIds.length === notifications.length}
+                            onChange={(e) => handleSelectAll(e.target.checked)}
+                          />
+                        </th>
+                        <th>Channel</th>
+                        <th>Subject</th>
+                        <th>Recipient</th>
                         <th>Status</th>
+                        <th>Attempts</th>
                         <th>Created At</th>
                         <th className="text-end">Actions</th>
                       </tr>
@@ -306,35 +392,53 @@ export default function NotificationCenter() {
                       {notifications.map(notification => (
                         <tr key={notification.id}>
                           <td className="align-middle">
-                            {getNotificationTypeBadge(notification.type)}
+                            <Form.Check
+                              type="checkbox"
+                              checked={selectedIds.includes(notification.id)}
+                              onChange={() => handleSelectNotification(notification.id)}
+                            />
                           </td>
                           <td className="align-middle">
-                            <div style={{ maxWidth: '200px' }} className="text-truncate">
-                              {notification.title}
-                            </div>
+                            {getChannelBadge(notification.channel)}
                           </td>
                           <td className="align-middle">
-                            <div style={{ maxWidth: '300px' }} className="text-truncate">
-                              {notification.message}
+                            <div style={{ maxWidth: '250px' }} className="text-truncate">
+                              {notification.subject || notification.eventType}
                             </div>
+                            <div className="small text-muted">{notification.eventType}</div>
                           </td>
                           <td className="align-middle">
-                            <div className="d-flex align-items-center">
-                              <div className="ms-2">
-                                <div className="fw-bold">{notification.userName}</div>
-                                <div className="small text-muted">{notification.userEmail}</div>
+                            <div className="fw-bold">{notification.userName || notification.recipient}</div>
+                            <div className="small text-muted">{notification.channel === 'inApp' ? notification.userEmail : notification.recipient}</div>
+                          </td>
+                          <td className="align-middle">
+                            {getNotificationStatusBadge(notification.status)}
+                            {notification.lastError && (
+                              <div style={{ maxWidth: '200px' }} className="small text-danger text-truncate" title={notification.lastError}>
+                                {notification.lastError}
                               </div>
-                            </div>
+                            )}
                           </td>
                           <td className="align-middle">
-                            <Badge bg={notification.isRead ? 'success' : 'warning'}>
-                              {notification.isRead ? 'Read' : 'Unread'}
-                            </Badge>
+                            {notification.attempts}
+                            {notification.status === 'queued' && notification.attempts > 0 && (
+                              <div className="small text-muted">
+                                Next try {new Date(notification.nextAttemptAt).toLocaleTimeString()}
+                              </div>
+                            )}
                           </td>
                           <td className="align-middle">
                             {new Date(notification.createdAt).toLocaleString()}
                           </td>
                           <td className="align-middle text-end">
+                            <Button
+                              variant="link"
+                              className="p-0 me-3"
+                              title="Resend"
+                              onClick={() => handleResendNotification(notification.id)}
+                            >
+                              <FaRedo />
+                            </Button>
                             <Button
                               variant="link"
                               className="text-danger p-0 me-3"
@@ -7,9 +7,21 @@ import AdminLayout from '../../../components/AdminLayout'
 import { 
   FaArrowLeft, FaUser, FaMapMarkerAlt, FaCalendarAlt, FaTruck, 
   FaMoneyBillWave, FaExclamationTriangle, FaCheck, FaSpinner, 
-  FaEdit, FaSave, FaTrash, FaStore
+  FaEdit, FaSave, FaTrash, FaStore, FaSignature, FaUndo
 } from 'react-icons/fa'
 
+const INSTALLMENT_TYPES = [
+  { type: 'advance', label: 'Booking advance' },
+  { type: 'milestone', label: 'Payment at pickup' },
+  { type: 'balance', label: 'Balance on delivery' }
+]
+
+const REFUND_STATUS_VARIANTS = {
+  pending: 'warning',
+  processed: 'success',
+  failed: 'danger'
+}
+
 export default function OrderDetailPage({ params }) {
   const { orderId } = params
   const router = useRouter()
@@ -19,11 +31,31 @@ export default function OrderDetailPage({ params }) {
   const [editing, setEditing] = useState(false)
   const [saving, setSaving] = useState(false)
   const [editedOrder, setEditedOrder] = useState(null)
+  const [proof, setProof] = useState(null)
+  const [overrideReason, setOverrideReason] = useState('')
+  const [overriding, setOverriding] = useState(false)
+  const [refundHistory, setRefundHistory] = useState(null)
+  const [refundForm, setRefundForm] = useState({ paymentId: '', amount: '', reason: '', toWallet: false })
+  const [refunding, setRefunding] = useState(false)
+  const [refundError, setRefundError] = useState(null)
+  const [schedule, setSchedule] = useState(null)
+  const [scheduleDraft, setScheduleDraft] = useState(null)
+  const [savingSchedule, setSavingSchedule] = useState(false)
+  const [scheduleError, setScheduleError] = useState(null)
 
   useEffect(() => {
     fetchOrderDetails()
+    fetchRefundHistory()
+    fetchSchedule()
   }, [orderId])
 
+  // Only rider deliveries collect proof of delivery
+  useEffect(() => {
+    if (order?.riderId) {
+      fetchProofOfDelivery()
+    }
+  }, [order?.riderId])
+
   const fetchOrderDetails = async () => {
     try {
       setLoading(true)
@@ -42,6 +74,161 @@ export default function OrderDetailPage({ params }) {
     }
   }
 
+  const fetchProofOfDelivery = async () => {
+    try {
+      const response = await fetch(`/api/orders/${orderId}/proof-of-delivery`)
+      if (!response.ok) {
+        throw new Error(`Failed to fetch proof of delivery: ${response.status} ${response.statusText}`)
+      }
+      const data = await response.json()
+      setProof(data.proof)
+    } catch (error) {
+      console.error('Error fetching proof of delivery:', error)
+    }
+  }
+
+  const fetchRefundHistory = async () => {
+    try {
+      const response = await fetch(`/api/admin/orders/${orderId}/refunds`)
+      if (!response.ok) {
+        throw new Error(`Failed to fetch refunds: ${response.status} ${response.statusText}`)
+      }
+      const data = await response.json()
+      setRefundHistory(data)
+      const refundable = data.payments.find(payment => payment.refundableAmount > 0)
+      setRefundForm(prev => ({ ...prev, paymentId: refundable ? refundable.gatewayPaymentId : '' }))
+    } catch (error) {
+      console.error('Error fetching refund history:', error)
+    }
+  }
+
+  const fetchSchedule = async () => {
+    try {
+      const response = await fetch(`/api/orders/${orderId}/payment-schedule`)
+      if (!response.ok) {
+        throw new Error(`Failed to fetch payment schedule: ${response.status} ${response.statusText}`)
+      }
+      const data = await response.json()
+      setSchedule(data.schedule)
+    } catch (error) {
+      console.error('Error fetching payment schedule:', error)
+    }
+  }
+
+  const editSchedule = () => {
+    setScheduleError(null)
+    setScheduleDraft(Object.fromEntries(INSTALLMENT_TYPES.map(({ type }) => {
+      const installment = schedule.installments.find(i => i.type === type)
+      return [type, installment ? String(installment.amount) : '']
+    })))
+  }
+
+  const handleSaveSchedule = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSavingSchedule(true)
+      setScheduleError(null)
+      const response = await fetch(`/api/admin/orders/${orderId}/payment-schedule`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          installments: INSTALLMENT_TYPES
+            .filter(({ type }) => parseFloat(scheduleDraft[type]) > 0)
+            .map(({ type }) => ({ type, amount: parseFloat(scheduleDraft[type]) }))
+        })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update payment schedule')
+      }
+
+      setSchedule(data.schedule)
+      setScheduleDraft(null)
+    } catch (error) {
+      console.error('Error updating payment schedule:', error)
+      setScheduleError(error.message)
+    } finally {
+      setSavingSchedule(false)
+    }
+  }
+
+  const handleRefund = async (e) => {
+    e.preventDefault()
+    const payment = refundHistory.payments.find(p => p.gatewayPaymentId === refundForm.paymentId)
+    const amount = parseFloat(refundForm.amount)
+    const toWallet = refundForm.toWallet || payment.paymentGateway === 'wallet'
+    if (!confirm(`Refund ₹${amount.toLocaleString()} of payment ${payment.gatewayPaymentId}${toWallet ? ' to the customer\'s wallet' : ''}?`)) {
+      return
+    }
+
+    try {
+      setRefunding(true)
+      setRefundError(null)
+      const response = await fetch('/api/payment/refund', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          orderId,
+          paymentId: refundForm.paymentId,
+          amount,
+          reason: refundForm.reason,
+          toWallet
+        })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to process refund')
+      }
+
+      setRefundForm(prev => ({ ...prev, amount: '', reason: '', toWallet: false }))
+      await Promise.all([fetchRefundHistory(), fetchOrderDetails()])
+    } catch (error) {
+      console.error('Error processing refund:', error)
+      setRefundError(error.message)
+      // A failed attempt is still recorded in the ledger
+      await fetchRefundHistory()
+    } finally {
+      setRefunding(false)
+    }
+  }
+
+  const handleOverrideOtp = async () => {
+    if (!confirm('Confirm this handover without the delivery OTP?')) {
+      return
+    }
+
+    try {
+      setOverriding(true)
+      const response = await fetch(`/api/orders/${orderId}/proof-of-delivery`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ reason: overrideReason })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to override delivery OTP')
+      }
+
+      setOverrideReason('')
+      await fetchProofOfDelivery()
+    } catch (error) {
+      console.error('Error overriding delivery OTP:', error)
+      setError(error.message)
+    } finally {
+      setOverriding(false)
+    }
+  }
+
   const handleInputChange = (field, value) => {
     setEditedOrder(prev => ({
       ...prev,
@@ -472,6 +659,233 @@ export default function OrderDetailPage({ params }) {
               )}
             </Card.Body>
           </Card>
+
+          {schedule && schedule.installments.length > 0 && (
+            <Card className="border-0 shadow-sm mb-4">
+              <Card.Header className="bg-white py-3 d-flex justify-content-between align-items-center">
+                <h5 className="mb-0">Payment Schedule</h5>
+                {!scheduleDraft && schedule.nextDue && (
+                  <Button variant="outline-primary" size="sm" onClick={editSchedule}>
+                    <FaEdit />
+                  </Button>
+                )}
+              </Card.Header>
+              <Card.Body>
+                {!schedule.saved && (
+                  <div className="small text-muted mb-2">Default split; saved when the customer books</div>
+                )}
+                {scheduleDraft ? (
+                  <Form onSubmit={handleSaveSchedule}>
+                    {scheduleError && <Alert variant="danger">{scheduleError}</Alert>}
+                    {INSTALLMENT_TYPES.map(({ type, label }) => {
+                      const paid = schedule.installments.some(i => i.type === type && i.status === 'paid')
+                      return (
+                        <Form.Group key={type} className="mb-2">
+                          <Form.Label className="small mb-1">{label}{paid && ' (paid)'}</Form.Label>
+                          <Form.Control
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={scheduleDraft[type]}
+                            onChange={(e) => setScheduleDraft({ ...scheduleDraft, [type]: e.target.value })}
+                            disabled={paid}
+                          />
+                        </Form.Group>
+                      )
+                    })}
+                    <div className="small text-muted mb-2">Must add up to ₹{schedule.total.toLocaleString()}</div>
+                    <div className="d-flex gap-2">
+                      <Button type="submit" size="sm" variant="primary" disabled={savingSchedule}>
+                        {savingSchedule ? <Spinner animation="border" size="sm" /> : 'Save'}
+                      </Button>
+                      <Button size="sm" variant="outline-secondary" onClick={() => setScheduleDraft(null)} disabled={savingSchedule}>
+                        Cancel
+                      </Button>
+                    </div>
+                  </Form>
+                ) : (
+                  schedule.installments.map(installment => (
+                    <div key={installment.type} className="d-flex justify-content-between align-items-center mb-2">
+                      <div>
+                        <div>{installment.label}</div>
+                        <div className="small text-muted">Required before {installment.gatesStatus}</div>
+                      </div>
+                      <div className="text-end">
+                        <div className="fw-bold">₹{installment.amount.toLocaleString()}</div>
+                        {installment.status === 'paid' ? (
+                          <Badge bg="success">Paid</Badge>
+                        ) : (
+                          <Badge bg={installment.isDue ? 'warning' : 'secondary'}>{installment.isDue ? 'Due' : 'Upcoming'}</Badge>
+                        )}
+                      </div>
+                    </div>
+                  ))
+                )}
+              </Card.Body>
+            </Card>
+          )}
+
+          {refundHistory && refundHistory.payments.length > 0 && (
+            <Card className="border-0 shadow-sm mb-4">
+              <Card.Header className="bg-white py-3">
+                <h5 className="mb-0"><FaUndo className="me-2" />Refunds</h5>
+              </Card.Header>
+              <Card.Body>
+                {refundHistory.payments.map(payment => (
+                  <div key={payment.id} className="mb-3">
+                    <div className="small text-muted">{payment.gatewayPaymentId}</div>
+                    <div className="d-flex justify-content-between">
+                      <span>Paid ₹{payment.amount.toLocaleString()}</span>
+                      <span>Refunded ₹{payment.refundedAmount.toLocaleString()}</span>
+                    </div>
+                    <div className="fw-bold">Refundable ₹{payment.refundableAmount.toLocaleString()}</div>
+                  </div>
+                ))}
+
+                {refundHistory.payments.some(payment => payment.refundableAmount > 0) && (
+                  <Form onSubmit={handleRefund} className="mb-3 pt-3 border-top">
+                    {refundError && <Alert variant="danger">{refundError}</Alert>}
+                    {refundHistory.payments.length > 1 && (
+                      <Form.Select
+                        className="mb-2"
+                        value={refundForm.paymentId}
+                        onChange={(e) => setRefundForm({ ...refundForm, paymentId: e.target.value })}
+                      >
+                        {refundHistory.payments.filter(payment => payment.refundableAmount > 0).map(payment => (
+                          <option key={payment.id} value={payment.gatewayPaymentId}>{payment.gatewayPaymentId}</option>
+                        ))}
+                      </Form.Select>
+                    )}
+                    <Form.Control
+                      type="number"
+                      min="0.01"
+                      max={refundHistory.payments.find(payment => payment.gatewayPaymentId === refundForm.paymentId)?.refundableAmount}
+                      step="0.01"
+                      className="mb-2"
+                      placeholder="Amount"
+                      value={refundForm.amount}
+                      onChange={(e) => setRefundForm({ ...refundForm, amount: e.target.value })}
+                      required
+                    />
+                    <Form.Control
+                      className="mb-2"
+                      placeholder="Reason"
+                      value={refundForm.reason}
+                      onChange={(e) => setRefundForm({ ...refundForm, reason: e.target.value })}
+                      required
+                    />
+                    {refundHistory.payments.find(payment => payment.gatewayPaymentId === refundForm.paymentId)?.paymentGateway === 'wallet' ? (
+                      <div className="small text-muted mb-2">Paid from the wallet; refunded to the wallet</div>
+                    ) : (
+                      <Form.Check
+                        type="checkbox"
+                        id="refund-to-wallet"
+                        className="mb-2"
+                        label="Credit to customer's wallet"
+                        checked={refundForm.toWallet}
+                        onChange={(e) => setRefundForm({ ...refundForm, toWallet: e.target.checked })}
+                      />
+                    )}
+                    <Button type="submit" variant="outline-danger" size="sm" disabled={refunding}>
+                      {refunding ? <Spinner animation="border" size="sm" /> : 'Issue Refund'}
+                    </Button>
+                  </Form>
+                )}
+
+                {refundHistory.refunds.length === 0 ? (
+                  <div className="text-muted">No refunds issued</div>
+                ) : (
+                  <Table size="sm" className="mb-0">
+                    <tbody>
+                      {refundHistory.refunds.map(refund => (
+                        <tr key={refund.id}>
+                          <td>
+                            <div className="fw-bold">₹{refund.amount.toLocaleString()}</div>
+                            <div className="small text-muted">{new Date(refund.createdAt).toLocaleString()}</div>
+                          </td>
+                          <td>
+                            <div>{refund.reason}</div>
+                            <div className="small text-muted">
+                              {refund.initiatedBy || 'Payment gateway'}
+                              {refund.destination === 'wallet' && ' · To wallet'}
+                              {refund.gatewayRefundId && ` · ${refund.gatewayRefundId}`}
+                            </div>
+                            {refund.error && <div className="small text-danger">{refund.error}</div>}
+                          </td>
+                          <td className="text-end">
+                            <Badge bg={REFUND_STATUS_VARIANTS[refund.status] || 'secondary'}>{refund.status}</Badge>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                )}
+              </Card.Body>
+            </Card>
+          )}
+
+          {proof && (
+            <Card className="border-0 shadow-sm mb-4">
+              <Card.Header className="bg-white py-3">
+                <h5 className="mb-0"><FaSignature className="me-2" />Proof of Delivery</h5>
+              </Card.Header>
+              <Card.Body>
+                <div className="mb-3">
+                  <div className="text-muted mb-2">Handover</div>
+                  <div>
+                    {proof.otpVerifiedAt ? (
+                      <Badge bg="success"><FaCheck className="me-1" /> OTP verified {new Date(proof.otpVerifiedAt).toLocaleString()}</Badge>
+                    ) : proof.override ? (
+                      <Badge bg="info"><FaCheck className="me-1" /> Overridden by {proof.override.by}</Badge>
+                    ) : (
+                      <Badge bg="warning"><FaExclamationTriangle className="me-1" /> {proof.otpSent ? 'OTP not verified' : 'OTP not sent'}</Badge>
+                    )}
+                  </div>
+                  {proof.override && (
+                    <div className="small text-muted mt-1">{proof.override.reason}</div>
+                  )}
+                </div>
+                {proof.signatureUrl && (
+                  <div className="mb-3">
+                    <div className="text-muted mb-2">Signature{proof.recipientName ? ` (${proof.recipientName})` : ''}</div>
+                    <img src={proof.signatureUrl} alt="Recipient signature" className="img-fluid border rounded bg-white" />
+                  </div>
+                )}
+                {proof.photoUrls.length > 0 && (
+                  <div className="mb-3">
+                    <div className="text-muted mb-2">Photos</div>
+                    <div className="d-flex flex-wrap gap-2">
+                      {proof.photoUrls.map(url => (
+                        <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                          <img src={url} alt="Delivery photo" className="border rounded" style={{ width: 80, height: 80, objectFit: 'cover' }} />
+                        </a>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {!proof.handoverConfirmed && (
+                  <div>
+                    <Form.Control
+                      as="textarea"
+                      rows={2}
+                      className="mb-2"
+                      value={overrideReason}
+                      onChange={(e) => setOverrideReason(e.target.value)}
+                      placeholder="Why is the OTP being overridden?"
+                    />
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      onClick={handleOverrideOtp}
+                      disabled={overriding || !overrideReason.trim()}
+                    >
+                      {overriding ? <Spinner animation="border" size="sm" /> : 'Override Delivery OTP'}
+                    </Button>
+                  </div>
+                )}
+              </Card.Body>
+            </Card>
+          )}
         </Col>
       </Row>
 
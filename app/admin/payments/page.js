@@ -0,0 +1,230 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, Table, Form, Spinner, Alert, Button, Modal, Badge, Row, Col } from 'react-bootstrap'
+import Link from 'next/link'
+import AdminLayout from '../../components/AdminLayout'
+import { FaSync } from 'react-icons/fa'
+
+const TYPE_LABELS = {
+  status: 'Status',
+  amount: 'Amount',
+  refund: 'Refund',
+  unrecorded: 'Unrecorded capture'
+}
+
+export default function PaymentReconciliation() {
+  const [mismatches, setMismatches] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [statusFilter, setStatusFilter] = useState('open')
+  const [running, setRunning] = useState(false)
+  const [summary, setSummary] = useState(null)
+  const [resolving, setResolving] = useState(null)
+  const [notes, setNotes] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchMismatches()
+  }, [statusFilter])
+
+  const fetchMismatches = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams(statusFilter ? { status: statusFilter } : {})
+      const response = await fetch(`/api/admin/payments/mismatches?${params}`)
+      if (!response.ok) {
+        throw new Error(`Failed to fetch mismatches: ${response.status} ${response.statusText}`)
+      }
+      const data = await response.json()
+      setMismatches(data.mismatches)
+    } catch (error) {
+      console.error('Error fetching payment mismatches:', error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRun = async () => {
+    try {
+      setRunning(true)
+      setError(null)
+      setSummary(null)
+      const response = await fetch('/api/admin/payments/reconcile', { method: 'POST' })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to run reconciliation')
+      }
+      setSummary(data.summary)
+      await fetchMismatches()
+    } catch (error) {
+      console.error('Error running payment reconciliation:', error)
+      setError(error.message)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const handleResolve = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      const response = await fetch(`/api/admin/payments/mismatches/${resolving.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ notes })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to resolve mismatch')
+      }
+
+      setResolving(null)
+      setNotes('')
+      await fetchMismatches()
+    } catch (error) {
+      console.error('Error resolving payment mismatch:', error)
+      setError(error.message)
+      setResolving(null)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <AdminLayout>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>Payment Reconciliation</h2>
+        <Button variant="primary" onClick={handleRun} disabled={running}>
+          {running ? <Spinner animation="border" size="sm" className="me-2" /> : <FaSync className="me-2" />}
+          Run Reconciliation
+        </Button>
+      </div>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {summary && (
+        <Alert variant={summary.flagged > 0 || summary.errors > 0 ? 'warning' : 'success'} dismissible onClose={() => setSummary(null)}>
+          Checked {summary.checked} payments and flagged {summary.flagged} new mismatches.
+          {summary.errors > 0 && ` ${summary.errors} payments could not be checked; see the server logs.`}
+        </Alert>
+      )}
+
+      <Card className="border-0 shadow-sm mb-4">
+        <Card.Header className="bg-white py-3">
+          <Row>
+            <Col md={3}>
+              <Form.Select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                <option value="open">Open</option>
+                <option value="resolved">Resolved</option>
+                <option value="">All</option>
+              </Form.Select>
+            </Col>
+          </Row>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {loading ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" variant="primary" />
+            </div>
+          ) : (
+            <div className="table-responsive">
+              <Table hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>Order</th>
+                    <th>Gateway Payment</th>
+                    <th>Type</th>
+                    <th>Recorded</th>
+                    <th>Gateway</th>
+                    <th>Detected</th>
+                    <th>Status</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {mismatches.length === 0 ? (
+                    <tr>
+                      <td colSpan="8" className="text-center py-4 text-muted">No mismatches</td>
+                    </tr>
+                  ) : mismatches.map(mismatch => (
+                    <tr key={mismatch.id}>
+                      <td>
+                        <Link href={`/admin/orders/${mismatch.orderId}`}>
+                          {mismatch.orderNumber || `#${mismatch.orderId.substring(0, 8)}`}
+                        </Link>
+                        <div className="small text-muted">{mismatch.orderStatus}</div>
+                      </td>
+                      <td>
+                        <code>{mismatch.gatewayPaymentId || mismatch.gatewayOrderId}</code>
+                      </td>
+                      <td>
+                        {TYPE_LABELS[mismatch.type] || mismatch.type}
+                        <div className="small text-muted">{mismatch.details}</div>
+                      </td>
+                      <td>{mismatch.localValue}</td>
+                      <td>{mismatch.gatewayValue}</td>
+                      <td>{new Date(mismatch.detectedAt).toLocaleString()}</td>
+                      <td>
+                        {mismatch.status === 'open' ? (
+                          <Badge bg="warning">Open</Badge>
+                        ) : (
+                          <>
+                            <Badge bg="success">Resolved</Badge>
+                            <div className="small text-muted">{mismatch.resolvedBy}: {mismatch.resolutionNotes}</div>
+                          </>
+                        )}
+                      </td>
+                      <td>
+                        {mismatch.status === 'open' && (
+                          <Button size="sm" variant="outline-success" onClick={() => setResolving(mismatch)}>
+                            Resolve
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Modal show={!!resolving} onHide={() => setResolving(null)}>
+        <Form onSubmit={handleResolve}>
+          <Modal.Header closeButton>
+            <Modal.Title>Resolve Mismatch</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {resolving && <p className="text-muted">{resolving.details}</p>}
+            <Form.Group>
+              <Form.Label>What was done about it?</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                required
+              />
+            </Form.Group>
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setResolving(null)}>Cancel</Button>
+            <Button type="submit" variant="success" disabled={saving}>
+              {saving ? <Spinner animation="border" size="sm" /> : 'Mark Resolved'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </AdminLayout>
+  )
+}
@@ -0,0 +1,365 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, Table, Form, Spinner, Alert, Button, Modal, Badge, Row, Col } from 'react-bootstrap'
+import Link from 'next/link'
+import AdminLayout from '../../components/AdminLayout'
+import { FaPlus } from 'react-icons/fa'
+import { formatCurrency } from '../../../lib/utils'
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  type: 'percentage',
+  value: '',
+  maxDiscount: '',
+  minOrderAmount: '',
+  firstMoveOnly: false,
+  cities: '',
+  moveSizes: '',
+  usageLimit: '',
+  perUserLimit: '1',
+  stackable: false,
+  startsAt: '',
+  expiresAt: '',
+  isActive: true
+}
+
+const REDEMPTION_BADGES = {
+  applied: { label: 'At checkout', variant: 'info' },
+  redeemed: { label: 'Redeemed', variant: 'success' },
+  released: { label: 'Released', variant: 'secondary' }
+}
+
+const toDateInput = (value) => value ? new Date(value).toLocaleDateString('en-CA') : ''
+
+const describeDiscount = (promo) => promo.type === 'percentage'
+  ? `${promo.value}% off${promo.maxDiscount ? ` up to ${formatCurrency(promo.maxDiscount)}` : ''}`
+  : `${formatCurrency(promo.value)} off`
+
+const describeRestrictions = (promo) => [
+  promo.firstMoveOnly && 'First move',
+  promo.cities.length > 0 && promo.cities.join(', '),
+  promo.moveSizes.length > 0 && promo.moveSizes.join(', '),
+  promo.minOrderAmount && `Min ${formatCurrency(promo.minOrderAmount)}`,
+  promo.stackable && 'Stacks with tier discounts'
+].filter(Boolean).join(' · ') || 'None'
+
+const getStatus = (promo) => {
+  const now = new Date()
+  if (!promo.isActive) return { label: 'Inactive', variant: 'secondary' }
+  if (promo.expiresAt && new Date(promo.expiresAt) <= now) return { label: 'Expired', variant: 'secondary' }
+  if (promo.startsAt && new Date(promo.startsAt) > now) return { label: 'Scheduled', variant: 'info' }
+  if (promo.usageLimit !== null && promo.applied + promo.redeemed >= promo.usageLimit) return { label: 'Used up', variant: 'warning' }
+  return { label: 'Active', variant: 'success' }
+}
+
+export default function PromoCodes() {
+  const [promoCodes, setPromoCodes] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [showModal, setShowModal] = useState(false)
+  const [editing, setEditing] = useState(null)
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  const [saving, setSaving] = useState(false)
+  const [modalError, setModalError] = useState(null)
+
+  useEffect(() => {
+    fetchPromoCodes()
+  }, [])
+
+  const fetchPromoCodes = async () => {
+    try {
+      setLoading(true)
+      const response = await fetch('/api/admin/promo-codes')
+      if (!response.ok) {
+        throw new Error(`Failed to fetch promo codes: ${response.status} ${response.statusText}`)
+      }
+      const data = await response.json()
+      setPromoCodes(data.promoCodes)
+    } catch (error) {
+      console.error('Error fetching promo codes:', error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openCreate = () => {
+    setEditing(null)
+    setFormData(EMPTY_FORM)
+    setModalError(null)
+    setShowModal(true)
+  }
+
+  const openEdit = async (promo) => {
+    setEditing(promo)
+    setFormData({
+      ...Object.fromEntries(Object.keys(EMPTY_FORM).map(key => [key, promo[key] ?? ''])),
+      cities: promo.cities.join(', '),
+      moveSizes: promo.moveSizes.join(', '),
+      startsAt: toDateInput(promo.startsAt),
+      expiresAt: toDateInput(promo.expiresAt)
+    })
+    setModalError(null)
+    setShowModal(true)
+
+    try {
+      const response = await fetch(`/api/admin/promo-codes/${promo.id}`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load promo code')
+      }
+      setEditing(data.promoCode)
+    } catch (error) {
+      console.error('Error fetching promo code:', error)
+      setModalError(error.message)
+    }
+  }
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      setModalError(null)
+      // Codes run from the start of their first day to the end of their last
+      const { code, ...fields } = {
+        ...formData,
+        startsAt: formData.startsAt ? new Date(`${formData.startsAt}T00:00:00`).toISOString() : null,
+        expiresAt: formData.expiresAt ? new Date(`${formData.expiresAt}T23:59:59`).toISOString() : null
+      }
+      const response = await fetch(editing ? `/api/admin/promo-codes/${editing.id}` : '/api/admin/promo-codes', {
+        method: editing ? 'PATCH' : 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(editing ? fields : { code, ...fields })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save promo code')
+      }
+
+      setShowModal(false)
+      await fetchPromoCodes()
+    } catch (error) {
+      console.error('Error saving promo code:', error)
+      setModalError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <AdminLayout>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>Promo Codes</h2>
+        <Button variant="primary" onClick={openCreate}>
+          <FaPlus className="me-2" />
+          New Promo Code
+        </Button>
+      </div>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Card className="border-0 shadow-sm mb-4">
+        <Card.Body className="p-0">
+          {loading ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" variant="primary" />
+            </div>
+          ) : (
+            <div className="table-responsive">
+              <Table hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>Code</th>
+                    <th>Discount</th>
+                    <th>Restrictions</th>
+                    <th>Valid</th>
+                    <th>Redeemed</th>
+                    <th>Discount Given</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {promoCodes.length === 0 ? (
+                    <tr>
+                      <td colSpan="7" className="text-center py-4 text-muted">No promo codes</td>
+                    </tr>
+                  ) : promoCodes.map(promo => {
+                    const status = getStatus(promo)
+                    return (
+                      <tr key={promo.id} role="button" onClick={() => openEdit(promo)}>
+                        <td>
+                          <strong>{promo.code}</strong>
+                          {promo.description && <div className="small text-muted">{promo.description}</div>}
+                        </td>
+                        <td>{describeDiscount(promo)}</td>
+                        <td className="small">{describeRestrictions(promo)}</td>
+                        <td className="small">
+                          {promo.startsAt ? new Date(promo.startsAt).toLocaleDateString() : 'Now'}
+                          {' – '}
+                          {promo.expiresAt ? new Date(promo.expiresAt).toLocaleDateString() : 'No expiry'}
+                        </td>
+                        <td>
+                          {promo.redeemed}{promo.usageLimit !== null && ` / ${promo.usageLimit}`}
+                          {promo.applied > 0 && <div className="small text-muted">{promo.applied} at checkout</div>}
+                        </td>
+                        <td>{formatCurrency(promo.totalDiscount)}</td>
+                        <td><Badge bg={status.variant}>{status.label}</Badge></td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </Table>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Modal show={showModal} onHide={() => setShowModal(false)} size="lg">
+        <Form onSubmit={handleSubmit}>
+          <Modal.Header closeButton>
+            <Modal.Title>{editing ? `Edit ${editing.code}` : 'New Promo Code'}</Modal.Title>
+          </Modal.Header>
+          <Modal.Body>
+            {modalError && <Alert variant="danger">{modalError}</Alert>}
+
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Code</Form.Label>
+                  <Form.Control name="code" value={formData.code} onChange={handleChange} placeholder="WELCOME10" disabled={!!editing} required />
+                </Form.Group>
+              </Col>
+              <Col md={8}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Description</Form.Label>
+                  <Form.Control name="description" value={formData.description} onChange={handleChange} />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Type</Form.Label>
+                  <Form.Select name="type" value={formData.type} onChange={handleChange}>
+                    <option value="percentage">Percentage</option>
+                    <option value="flat">Flat amount</option>
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>{formData.type === 'percentage' ? 'Percent off' : 'Amount off (₹)'}</Form.Label>
+                  <Form.Control type="number" min="0" step="any" name="value" value={formData.value} onChange={handleChange} required />
+                </Form.Group>
+              </Col>
+              {formData.type === 'percentage' && (
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Maximum discount (₹)</Form.Label>
+                    <Form.Control type="number" min="0" name="maxDiscount" value={formData.maxDiscount} onChange={handleChange} placeholder="No cap" />
+                  </Form.Group>
+                </Col>
+              )}
+            </Row>
+            <Row>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Minimum order before GST (₹)</Form.Label>
+                  <Form.Control type="number" min="0" name="minOrderAmount" value={formData.minOrderAmount} onChange={handleChange} placeholder="None" />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Total uses</Form.Label>
+                  <Form.Control type="number" min="1" name="usageLimit" value={formData.usageLimit} onChange={handleChange} placeholder="Unlimited" />
+                </Form.Group>
+              </Col>
+              <Col md={4}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Uses per customer</Form.Label>
+                  <Form.Control type="number" min="1" name="perUserLimit" value={formData.perUserLimit} onChange={handleChange} placeholder="Unlimited" />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Pickup cities</Form.Label>
+                  <Form.Control name="cities" value={formData.cities} onChange={handleChange} placeholder="Any city, or e.g. Mumbai, Pune" />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Move sizes</Form.Label>
+                  <Form.Control name="moveSizes" value={formData.moveSizes} onChange={handleChange} placeholder="Any size, or e.g. 1BHK, 2BHK" />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Row>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Starts</Form.Label>
+                  <Form.Control type="date" name="startsAt" value={formData.startsAt} onChange={handleChange} />
+                </Form.Group>
+              </Col>
+              <Col md={6}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Valid until</Form.Label>
+                  <Form.Control type="date" name="expiresAt" value={formData.expiresAt} onChange={handleChange} />
+                </Form.Group>
+              </Col>
+            </Row>
+            <Form.Check type="switch" id="firstMoveOnly" name="firstMoveOnly" label="Customer's first move only" checked={formData.firstMoveOnly} onChange={handleChange} className="mb-2" />
+            <Form.Check type="switch" id="stackable" name="stackable" label="Combine with vendor tier discounts (otherwise the larger discount applies)" checked={formData.stackable} onChange={handleChange} className="mb-2" />
+            <Form.Check type="switch" id="isActive" name="isActive" label="Active" checked={formData.isActive} onChange={handleChange} />
+
+            {editing?.redemptions && editing.redemptions.length > 0 && (
+              <>
+                <h6 className="mt-4">Recent redemptions</h6>
+                <Table size="sm" responsive>
+                  <tbody>
+                    {editing.redemptions.map(redemption => (
+                      <tr key={redemption.id}>
+                        <td>
+                          <Link href={`/admin/orders/${redemption.order.id}`}>{redemption.order.orderNumber}</Link>
+                        </td>
+                        <td>{redemption.user.email}</td>
+                        <td>{new Date(redemption.createdAt).toLocaleDateString()}</td>
+                        <td>{formatCurrency(redemption.discountAmount)}</td>
+                        <td>
+                          <Badge bg={REDEMPTION_BADGES[redemption.status]?.variant || 'secondary'}>
+                            {REDEMPTION_BADGES[redemption.status]?.label || redemption.status}
+                          </Badge>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </>
+            )}
+          </Modal.Body>
+          <Modal.Footer>
+            <Button variant="secondary" onClick={() => setShowModal(false)}>Cancel</Button>
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving ? <Spinner animation="border" size="sm" /> : editing ? 'Save Changes' : 'Create Promo Code'}
+            </Button>
+          </Modal.Footer>
+        </Form>
+      </Modal>
+    </AdminLayout>
+  )
+}
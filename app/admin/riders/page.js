@@ -3,7 +3,7 @@
 import { useState, useEffect } from 'react';
 import { useSession } from 'next-auth/react';
 import { Container, Row, Col, Card, Table, Badge, Button, Spinner, Alert } from 'react-bootstrap';
-import { FaMotorcycle, FaCheck, FaTimes, FaUser } from 'react-icons/fa';
+import { FaMotorcycle, FaCheck, FaTimes, FaUser, FaBroadcastTower } from 'react-icons/fa';
 import React from 'react';
 
 export default function AdminRidersPage() {
@@ -12,10 +12,13 @@ export default function AdminRidersPage() {
   const [error, setError] = useState(null);
   const [riders, setRiders] = useState([]);
   const [approvalLoading, setApprovalLoading] = useState({});
+  const [dispatchOffers, setDispatchOffers] = useState([]);
+  const [dispatchSummary, setDispatchSummary] = useState(null);
 
   useEffect(() => {
     if (status === 'authenticated' && session?.user?.role === 'admin') {
       fetchRiders();
+      fetchDispatchOffers();
     }
   }, [status, session]);
 
@@ -38,6 +41,23 @@ export default function AdminRidersPage() {
     }
   };
 
+  const fetchDispatchOffers = async () => {
+    try {
+      const response = await fetch('/api/admin/riders/dispatch');
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch dispatch offers');
+      }
+      
+      const data = await response.json();
+      setDispatchOffers(data.offers);
+      setDispatchSummary(data.summary);
+    } catch (error) {
+      // The riders list is still usable without the offer history
+      console.error('Error fetching dispatch offers:', error);
+    }
+  };
+
   const handleApproveRider = async (riderId) => {
     try {
       setApprovalLoading(prev => ({ ...prev, [riderId]: true }));
@@ -82,6 +102,25 @@ export default function AdminRidersPage() {
     }
   };
 
+  const getOfferStatusBadge = (status) => {
+    switch (status) {
+      case 'offered':
+        return <Badge bg="info">Offered</Badge>;
+      case 'accepted':
+        return <Badge bg="success">Accepted</Badge>;
+      case 'declined':
+        return <Badge bg="danger">Declined</Badge>;
+      case 'expired':
+        return <Badge bg="warning">Expired</Badge>;
+      case 'cancelled':
+        return <Badge bg="secondary">Cancelled</Badge>;
+      default:
+        return <Badge bg="secondary">{status}</Badge>;
+    }
+  };
+
+  const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
   if (status === 'loading' || loading) {
     return (
       <Container className="py-5 text-center">
@@ -197,6 +236,61 @@ export default function AdminRidersPage() {
           </Table>
         </Card.Body>
       </Card>
+
+      <Card className="mt-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <span>
+            <FaBroadcastTower className="me-2" />
+            Dispatch Offers
+          </span>
+          {dispatchSummary && (
+            <small className="text-muted">
+              {dispatchSummary.total} offers &middot; {dispatchSummary.acceptanceRate}% accepted
+              {dispatchSummary.averageAcceptSeconds !== null && (
+                <> &middot; avg. {dispatchSummary.averageAcceptSeconds}s to accept</>
+              )}
+            </small>
+          )}
+        </Card.Header>
+        <Card.Body>
+          <Table responsive size="sm">
+            <thead>
+              <tr>
+                <th>Order</th>
+                <th>Rider</th>
+                <th>Batch</th>
+                <th>Score</th>
+                <th>Distance</th>
+                <th>Status</th>
+                <th>Offered</th>
+                <th>Responded</th>
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {dispatchOffers.length === 0 ? (
+                <tr>
+                  <td colSpan="9" className="text-center">No dispatch offers yet</td>
+                </tr>
+              ) : (
+                dispatchOffers.map(offer => (
+                  <tr key={offer.id}>
+                    <td>#{offer.orderNumber || offer.orderId.substring(0, 8)}</td>
+                    <td>{offer.riderName || offer.riderEmail}</td>
+                    <td>{offer.batchNumber}</td>
+                    <td>{offer.score.toFixed(2)}</td>
+                    <td>{offer.distance !== null ? `${offer.distance} km` : '-'}</td>
+                    <td>{getOfferStatusBadge(offer.status)}</td>
+                    <td>{formatTime(offer.offeredAt)}</td>
+                    <td>{formatTime(offer.respondedAt)}</td>
+                    <td>{offer.responseReason || '-'}</td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
     </Container>
   );
 } 
\ No newline at end of file
@@ -3,7 +3,7 @@
 import { useState, useEffect } from 'react'
 import { Card, Form, Button, Alert, Spinner, Row, Col, Tabs, Tab } from 'react-bootstrap'
 import AdminLayout from '../../components/AdminLayout'
-import { FaSave, FaCog, FaBell, FaKey, FaEnvelope, FaMobile, FaMoneyBillWave } from 'react-icons/fa'
+import { FaSave, FaCog, FaBell, FaKey, FaEnvelope, FaMobile, FaMoneyBillWave, FaMotorcycle, FaFileInvoiceDollar } from 'react-icons/fa'
 
 export default function SettingsPage() {
   const [loading, setLoading] = useState(true)
@@ -21,19 +21,46 @@ export default function SettingsPage() {
       enableEmailNotifications: true,
       enableSmsNotifications: true,
       enableWhatsAppNotifications: true,
-      adminNotificationEmail: 'admin@movepe.com'
+      adminNotificationEmail: 'admin@movepe.com',
+      maxDeliveryAttempts: 5,
+      retryDelaySeconds: 60,
+      emailProvider: 'auto',
+      smsProvider: 'auto',
+      smtpHost: '',
+      smtpPort: 587,
+      smtpSecure: false,
+      smtpUser: '',
+      smtpFromEmail: '',
+      whatsappQuoteContentSid: '',
+      whatsappMoveDateContentSid: '',
+      whatsappOtpContentSid: ''
     },
     payment: {
       razorpayKeyId: '',
       razorpayKeySecret: '',
-      enableTestMode: true,
-      defaultCommissionRate: 10
+      enableTestMode: false,
+      defaultCommissionRate: 10,
+      advancePercentage: 20,
+      milestonePercentage: 0,
+      balanceReminderHours: 24
     },
     api: {
       googleMapsApiKey: '',
       twilioAccountSid: '',
       twilioAuthToken: '',
-      sendgridApiKey: ''
+      sendgridApiKey: '',
+      distanceProvider: 'haversine',
+      osrmServerUrl: 'http://localhost:5000',
+      roadDistanceFactor: 1.3
+    },
+    dispatch: {
+      batchSize: 3,
+      acceptanceWindowSeconds: 60,
+      maxBatches: 5
+    },
+    quote: {
+      validityDays: 7,
+      counterOfferHours: 48
     }
   })
 
@@ -274,6 +301,178 @@ export default function SettingsPage() {
                     </Form.Group>
                   </Col>
                 </Row>
+                <Row>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Delivery Attempts</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        max="20"
+                        value={settings.notification.maxDeliveryAttempts}
+                        onChange={(e) => handleInputChange('notification', 'maxDeliveryAttempts', parseInt(e.target.value))}
+                      />
+                      <Form.Text className="text-muted">
+                        Messages that still fail after this many tries are marked failed
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>First Retry After (seconds)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        value={settings.notification.retryDelaySeconds}
+                        onChange={(e) => handleInputChange('notification', 'retryDelaySeconds', parseInt(e.target.value))}
+                      />
+                      <Form.Text className="text-muted">
+                        Each further retry waits twice as long
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                </Row>
+                <Row>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Email Provider</Form.Label>
+                      <Form.Select
+                        value={settings.notification.emailProvider}
+                        onChange={(e) => handleInputChange('notification', 'emailProvider', e.target.value)}
+                      >
+                        <option value="auto">Automatic (SendGrid if configured, else local mailbox)</option>
+                        <option value="sendgrid">SendGrid</option>
+                        <option value="smtp">SMTP server</option>
+                        <option value="local">Local mailbox (nothing is sent)</option>
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>SMS &amp; WhatsApp Provider</Form.Label>
+                      <Form.Select
+                        value={settings.notification.smsProvider}
+                        onChange={(e) => handleInputChange('notification', 'smsProvider', e.target.value)}
+                      >
+                        <option value="auto">Automatic (Twilio if configured, else local mailbox)</option>
+                        <option value="twilio">Twilio</option>
+                        <option value="local">Local mailbox (nothing is sent)</option>
+                      </Form.Select>
+                      <Form.Text className="text-muted">
+                        The local mailbox is not used in production. Captured messages are under Notifications → Local Mailbox.
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                </Row>
+                {settings.notification.emailProvider === 'smtp' && (
+                  <>
+                    <Row>
+                      <Col md={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>SMTP Host</Form.Label>
+                          <Form.Control
+                            type="text"
+                            placeholder="smtp.example.com"
+                            value={settings.notification.smtpHost}
+                            onChange={(e) => handleInputChange('notification', 'smtpHost', e.target.value)}
+                          />
+                        </Form.Group>
+                      </Col>
+                      <Col md={3}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>SMTP Port</Form.Label>
+                          <Form.Control
+                            type="number"
+                            min="1"
+                            value={settings.notification.smtpPort}
+                            onChange={(e) => handleInputChange('notification', 'smtpPort', parseInt(e.target.value))}
+                          />
+                        </Form.Group>
+                      </Col>
+                      <Col md={3}>
+                        <Form.Group className="mb-3 mt-md-4 pt-md-2">
+                          <Form.Check
+                            type="switch"
+                            id="smtp-secure"
+                            label="Use TLS (port 465)"
+                            checked={settings.notification.smtpSecure}
+                            onChange={() => handleCheckboxChange('notification', 'smtpSecure')}
+                          />
+                        </Form.Group>
+                      </Col>
+                    </Row>
+                    <Row>
+                      <Col md={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>SMTP Username</Form.Label>
+                          <Form.Control
+                            type="text"
+                            value={settings.notification.smtpUser}
+                            onChange={(e) => handleInputChange('notification', 'smtpUser', e.target.value)}
+                          />
+                          <Form.Text className="text-muted">
+                            The password is read from the SMTP_PASSWORD environment variable
+                          </Form.Text>
+                        </Form.Group>
+                      </Col>
+                      <Col md={6}>
+                        <Form.Group className="mb-3">
+                          <Form.Label>From Address</Form.Label>
+                          <InputWithIcon
+                            icon={<FaEnvelope />}
+                            type="email"
+                            placeholder="noreply@example.com"
+                            value={settings.notification.smtpFromEmail}
+                            onChange={(e) => handleInputChange('notification', 'smtpFromEmail', e.target.value)}
+                          />
+                        </Form.Group>
+                      </Col>
+                    </Row>
+                  </>
+                )}
+                {settings.notification.enableWhatsAppNotifications && (
+                  <Row>
+                    <Col md={12}>
+                      <Form.Text className="text-muted d-block mb-2">
+                        WhatsApp messages that ask the customer something get reply buttons from these Twilio Content
+                        templates. Leave a template empty to list the options in the message instead.
+                      </Form.Text>
+                    </Col>
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Quote Acceptance Template SID</Form.Label>
+                        <Form.Control
+                          type="text"
+                          placeholder="HX..."
+                          value={settings.notification.whatsappQuoteContentSid}
+                          onChange={(e) => handleInputChange('notification', 'whatsappQuoteContentSid', e.target.value)}
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Move Date Template SID</Form.Label>
+                        <Form.Control
+                          type="text"
+                          placeholder="HX..."
+                          value={settings.notification.whatsappMoveDateContentSid}
+                          onChange={(e) => handleInputChange('notification', 'whatsappMoveDateContentSid', e.target.value)}
+                        />
+                      </Form.Group>
+                    </Col>
+                    <Col md={4}>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Delivery OTP Template SID</Form.Label>
+                        <Form.Control
+                          type="text"
+                          placeholder="HX..."
+                          value={settings.notification.whatsappOtpContentSid}
+                          onChange={(e) => handleInputChange('notification', 'whatsappOtpContentSid', e.target.value)}
+                        />
+                      </Form.Group>
+                    </Col>
+                  </Row>
+                )}
                 <div className="d-flex justify-content-end">
                   <Button 
                     type="submit" 
@@ -332,6 +531,9 @@ export default function SettingsPage() {
                         checked={settings.payment.enableTestMode}
                         onChange={() => handleCheckboxChange('payment', 'enableTestMode')}
                       />
+                      <Form.Text className="text-muted">
+                        Take payments through an offline mock gateway instead of Razorpay. Ignored in production.
+                      </Form.Text>
                     </Form.Group>
                   </Col>
                   <Col md={6}>
@@ -347,6 +549,49 @@ export default function SettingsPage() {
                     </Form.Group>
                   </Col>
                 </Row>
+                <Row>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Booking Advance (%)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        max="100"
+                        value={settings.payment.advancePercentage}
+                        onChange={(e) => handleInputChange('payment', 'advancePercentage', parseInt(e.target.value))}
+                      />
+                      <Form.Text className="text-muted">
+                        Share of the quote paid when the customer books
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Payment at Pickup (%)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        max="99"
+                        value={settings.payment.milestonePercentage}
+                        onChange={(e) => handleInputChange('payment', 'milestonePercentage', parseInt(e.target.value))}
+                      />
+                      <Form.Text className="text-muted">
+                        The rest is due on delivery
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Balance Reminder Interval (hours)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        value={settings.payment.balanceReminderHours}
+                        onChange={(e) => handleInputChange('payment', 'balanceReminderHours', parseInt(e.target.value))}
+                      />
+                    </Form.Group>
+                  </Col>
+                </Row>
                 <div className="d-flex justify-content-end">
                   <Button 
                     type="submit" 
@@ -419,6 +664,43 @@ export default function SettingsPage() {
                     </Form.Group>
                   </Col>
                 </Row>
+                <Row>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Distance Provider</Form.Label>
+                      <Form.Select
+                        value={settings.api.distanceProvider}
+                        onChange={(e) => handleInputChange('api', 'distanceProvider', e.target.value)}
+                      >
+                        <option value="haversine">Offline (straight line × road factor)</option>
+                        <option value="osrm">OSRM server</option>
+                        <option value="google">Google Maps</option>
+                      </Form.Select>
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>OSRM Server URL</Form.Label>
+                      <Form.Control
+                        type="text"
+                        value={settings.api.osrmServerUrl}
+                        onChange={(e) => handleInputChange('api', 'osrmServerUrl', e.target.value)}
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Road Distance Factor</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        step="0.05"
+                        value={settings.api.roadDistanceFactor}
+                        onChange={(e) => handleInputChange('api', 'roadDistanceFactor', parseFloat(e.target.value))}
+                      />
+                    </Form.Group>
+                  </Col>
+                </Row>
                 <div className="d-flex justify-content-end">
                   <Button 
                     type="submit" 
@@ -439,6 +721,125 @@ export default function SettingsPage() {
                 </div>
               </Form>
             </Tab>
+
+            {/* Rider Dispatch Settings */}
+            <Tab eventKey="dispatch" title={<span><FaMotorcycle className="me-2" /> Dispatch</span>}>
+              <Form onSubmit={(e) => handleSubmit(e, 'dispatch')}>
+                <Row>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Riders per Batch</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        value={settings.dispatch.batchSize}
+                        onChange={(e) => handleInputChange('dispatch', 'batchSize', parseInt(e.target.value))}
+                      />
+                      <Form.Text className="text-muted">
+                        How many riders are offered an order at the same time
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Acceptance Window (seconds)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="10"
+                        value={settings.dispatch.acceptanceWindowSeconds}
+                        onChange={(e) => handleInputChange('dispatch', 'acceptanceWindowSeconds', parseInt(e.target.value))}
+                      />
+                    </Form.Group>
+                  </Col>
+                  <Col md={4}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Maximum Batches</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        value={settings.dispatch.maxBatches}
+                        onChange={(e) => handleInputChange('dispatch', 'maxBatches', parseInt(e.target.value))}
+                      />
+                      <Form.Text className="text-muted">
+                        After this many batches the order waits for manual assignment
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                </Row>
+                <div className="d-flex justify-content-end">
+                  <Button 
+                    type="submit" 
+                    variant="primary"
+                    disabled={saving}
+                  >
+                    {saving ? (
+                      <>
+                        <Spinner as="span" animation="border" size="sm" className="me-2" />
+                        Saving...
+                      </>
+                    ) : (
+                      <>
+                        <FaSave className="me-2" /> Save Dispatch Settings
+                      </>
+                    )}
+                  </Button>
+                </div>
+              </Form>
+            </Tab>
+
+            {/* Quote Settings */}
+            <Tab eventKey="quote" title={<span><FaFileInvoiceDollar className="me-2" /> Quotes</span>}>
+              <Form onSubmit={(e) => handleSubmit(e, 'quote')}>
+                <Row>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Quote Validity (days)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        value={settings.quote.validityDays}
+                        onChange={(e) => handleInputChange('quote', 'validityDays', parseInt(e.target.value))}
+                      />
+                      <Form.Text className="text-muted">
+                        How long a vendor's quote stays open when they don't set their own expiry
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Counter-Offer Response Time (hours)</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        value={settings.quote.counterOfferHours}
+                        onChange={(e) => handleInputChange('quote', 'counterOfferHours', parseInt(e.target.value))}
+                      />
+                      <Form.Text className="text-muted">
+                        A customer's counter-offer expires if the vendor hasn't answered it in this time
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                </Row>
+                <div className="d-flex justify-content-end">
+                  <Button 
+                    type="submit" 
+                    variant="primary"
+                    disabled={saving}
+                  >
+                    {saving ? (
+                      <>
+                        <Spinner as="span" animation="border" size="sm" className="me-2" />
+                        Saving...
+                      </>
+                    ) : (
+                      <>
+                        <FaSave className="me-2" /> Save Quote Settings
+                      </>
+                    )}
+                  </Button>
+                </div>
+              </Form>
+            </Tab>
           </Tabs>
         </Card.Body>
       </Card>
@@ -0,0 +1,305 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, Table, Form, Spinner, Alert, Button, Modal, Badge, Row, Col } from 'react-bootstrap'
+import Link from 'next/link'
+import AdminLayout from '../../components/AdminLayout'
+import { FaSync } from 'react-icons/fa'
+import { formatCurrency } from '../../../lib/utils'
+
+const STATUS_BADGES = {
+  pending: { label: 'Awaiting payout', variant: 'warning' },
+  paid: { label: 'Paid', variant: 'success' },
+  carried_forward: { label: 'Carried forward', variant: 'secondary' }
+}
+
+const formatWeek = (settlement) => {
+  const lastDay = new Date(new Date(settlement.periodEnd).getTime() - 1)
+  return `${new Date(settlement.periodStart).toLocaleDateString()} – ${lastDay.toLocaleDateString()}`
+}
+
+export default function VendorSettlements() {
+  const [settlements, setSettlements] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [statusFilter, setStatusFilter] = useState('pending')
+  const [running, setRunning] = useState(false)
+  const [summary, setSummary] = useState(null)
+  const [selected, setSelected] = useState(null)
+  const [reference, setReference] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [modalError, setModalError] = useState(null)
+
+  useEffect(() => {
+    fetchSettlements()
+  }, [statusFilter])
+
+  const fetchSettlements = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams(statusFilter ? { status: statusFilter } : {})
+      const response = await fetch(`/api/admin/settlements?${params}`)
+      if (!response.ok) {
+        throw new Error(`Failed to fetch settlements: ${response.status} ${response.statusText}`)
+      }
+      const data = await response.json()
+      setSettlements(data.settlements)
+    } catch (error) {
+      console.error('Error fetching settlements:', error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRun = async () => {
+    try {
+      setRunning(true)
+      setError(null)
+      setSummary(null)
+      const response = await fetch('/api/admin/settlements', { method: 'POST' })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to run settlements')
+      }
+      setSummary(data.summary)
+      await fetchSettlements()
+    } catch (error) {
+      console.error('Error running settlements:', error)
+      setError(error.message)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const openSettlement = async (settlement) => {
+    setSelected(settlement)
+    setReference('')
+    setModalError(null)
+    try {
+      const response = await fetch(`/api/admin/settlements/${settlement.id}`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load settlement')
+      }
+      setSelected(data.settlement)
+    } catch (error) {
+      console.error('Error fetching settlement:', error)
+      setModalError(error.message)
+    }
+  }
+
+  const handleMarkPaid = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      setModalError(null)
+      const response = await fetch(`/api/admin/settlements/${selected.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ reference })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to mark settlement as paid')
+      }
+
+      setSelected(null)
+      await fetchSettlements()
+    } catch (error) {
+      console.error('Error marking settlement as paid:', error)
+      setModalError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <AdminLayout>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>Vendor Settlements</h2>
+        <Button variant="primary" onClick={handleRun} disabled={running}>
+          {running ? <Spinner animation="border" size="sm" className="me-2" /> : <FaSync className="me-2" />}
+          Settle Last Week
+        </Button>
+      </div>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {summary && (
+        <Alert variant={summary.errors > 0 ? 'warning' : 'success'} dismissible onClose={() => setSummary(null)}>
+          Settled {summary.settled} vendors for the week ending {new Date(new Date(summary.periodEnd).getTime() - 1).toLocaleDateString()}.
+          {summary.carriedForward > 0 && ` ${summary.carriedForward} vendors had their negative balance carried forward.`}
+          {summary.skipped > 0 && ` ${summary.skipped} vendors were already settled or had nothing to settle.`}
+          {summary.errors > 0 && ` ${summary.errors} vendors could not be settled; see the server logs.`}
+        </Alert>
+      )}
+
+      <Card className="border-0 shadow-sm mb-4">
+        <Card.Header className="bg-white py-3">
+          <Row>
+            <Col md={3}>
+              <Form.Select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                <option value="pending">Awaiting payout</option>
+                <option value="paid">Paid</option>
+                <option value="carried_forward">Carried forward</option>
+                <option value="">All</option>
+              </Form.Select>
+            </Col>
+          </Row>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {loading ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" variant="primary" />
+            </div>
+          ) : (
+            <div className="table-responsive">
+              <Table hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>Vendor</th>
+                    <th>Week</th>
+                    <th>Orders</th>
+                    <th>Paid by Customers</th>
+                    <th>Commission</th>
+                    <th>Adjustments</th>
+                    <th>Net Payout</th>
+                    <th>Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {settlements.length === 0 ? (
+                    <tr>
+                      <td colSpan="8" className="text-center py-4 text-muted">No settlements</td>
+                    </tr>
+                  ) : settlements.map(settlement => (
+                    <tr key={settlement.id} role="button" onClick={() => openSettlement(settlement)}>
+                      <td>{settlement.vendorName}</td>
+                      <td>{formatWeek(settlement)}</td>
+                      <td>{settlement.orderCount}</td>
+                      <td>{formatCurrency(settlement.grossAmount - settlement.refundedAmount)}</td>
+                      <td>{formatCurrency(settlement.commissionAmount - settlement.discountAmount)}</td>
+                      <td>{formatCurrency(settlement.adjustmentAmount)}</td>
+                      <td><strong>{formatCurrency(settlement.netAmount)}</strong></td>
+                      <td>
+                        <Badge bg={STATUS_BADGES[settlement.status]?.variant || 'secondary'}>
+                          {STATUS_BADGES[settlement.status]?.label || settlement.status}
+                        </Badge>
+                        {settlement.payoutReference && (
+                          <div className="small text-muted">Ref {settlement.payoutReference}</div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Modal show={!!selected} onHide={() => setSelected(null)} size="lg">
+        {selected && (
+          <>
+            <Modal.Header closeButton>
+              <Modal.Title>{selected.vendorName}: {formatWeek(selected)}</Modal.Title>
+            </Modal.Header>
+            <Modal.Body>
+              {modalError && <Alert variant="danger">{modalError}</Alert>}
+
+              {selected.payouts ? (
+                <>
+                  <Table size="sm" responsive>
+                    <thead>
+                      <tr>
+                        <th>Order</th>
+                        <th>Paid</th>
+                        <th>Refunded</th>
+                        <th>Commission</th>
+                        <th>Adjustments</th>
+                        <th>Net</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {selected.payouts.map(payout => (
+                        <tr key={payout.id}>
+                          <td>
+                            <Link href={`/admin/orders/${payout.orderId}`}>{payout.orderNumber}</Link>
+                          </td>
+                          <td>{formatCurrency(payout.grossAmount)}</td>
+                          <td>{formatCurrency(payout.refundedAmount)}</td>
+                          <td>
+                            {formatCurrency(payout.commissionAmount - payout.discountAmount)}
+                            <div className="small text-muted">
+                              {payout.discountedRate !== null
+                                ? `${payout.discountedRate}% (cross-lead discount on ${payout.commissionRate}%)`
+                                : `${payout.commissionRate}%`}
+                            </div>
+                          </td>
+                          <td>{formatCurrency(payout.adjustmentAmount)}</td>
+                          <td>{formatCurrency(payout.netAmount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+
+                  {selected.adjustments.length > 0 && (
+                    <>
+                      <h6>Adjustments</h6>
+                      <Table size="sm" responsive>
+                        <tbody>
+                          {selected.adjustments.map(adjustment => (
+                            <tr key={adjustment.id}>
+                              <td>{adjustment.reason}</td>
+                              <td className="text-end">{formatCurrency(adjustment.amount)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </Table>
+                    </>
+                  )}
+
+                  <p className="mb-0">
+                    <strong>Net payout: {formatCurrency(selected.netAmount)}</strong>
+                    {selected.paidAt && (
+                      <span className="text-muted"> paid {new Date(selected.paidAt).toLocaleString()} by {selected.paidBy} (ref {selected.payoutReference})</span>
+                    )}
+                  </p>
+                </>
+              ) : !modalError && (
+                <div className="text-center py-4">
+                  <Spinner animation="border" variant="primary" />
+                </div>
+              )}
+
+              {selected.status === 'pending' && (
+                <Form onSubmit={handleMarkPaid} className="mt-4 pt-3 border-top">
+                  <Form.Group className="mb-3">
+                    <Form.Label>Transfer reference (UTR)</Form.Label>
+                    <Form.Control
+                      value={reference}
+                      onChange={(e) => setReference(e.target.value)}
+                      placeholder="Reference of the bank transfer to the vendor"
+                      required
+                    />
+                  </Form.Group>
+                  <Button type="submit" variant="success" disabled={saving}>
+                    {saving ? <Spinner animation="border" size="sm" /> : 'Mark as Paid'}
+                  </Button>
+                </Form>
+              )}
+            </Modal.Body>
+          </>
+        )}
+      </Modal>
+    </AdminLayout>
+  )
+}
@@ -0,0 +1,244 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, Row, Col, Button, Spinner, Alert, Form } from 'react-bootstrap'
+import Link from 'next/link'
+import AdminLayout from '../../../components/AdminLayout'
+import { FaArrowLeft } from 'react-icons/fa'
+import SupportTicketThread, { TicketStatusBadge, TicketPriorityBadge, TicketSlaBadge } from '../../../../components/SupportTicketThread'
+
+const STATUS_OPTIONS = [
+  { value: 'open', label: 'Open' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'awaiting_customer', label: 'Awaiting Customer' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'closed', label: 'Closed' }
+]
+
+export default function SupportTicketDetailPage({ params }) {
+  const { ticketId } = params
+  const [ticket, setTicket] = useState(null)
+  const [agents, setAgents] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    fetchTicket()
+  }, [ticketId])
+
+  const fetchTicket = async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`/api/admin/support/tickets/${ticketId}`)
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ticket: ${response.status} ${response.statusText}`)
+      }
+      const data = await response.json()
+      setTicket(data.ticket)
+      setAgents(data.agents)
+    } catch (error) {
+      console.error('Error fetching support ticket:', error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleUpdate = async (field, value) => {
+    try {
+      setSaving(true)
+      setError(null)
+      const response = await fetch(`/api/admin/support/tickets/${ticketId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ [field]: value })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update ticket')
+      }
+
+      // Keep the conversation loaded; only the ticket fields changed
+      setTicket(prev => ({ ...prev, ...data.ticket }))
+    } catch (error) {
+      console.error('Error updating support ticket:', error)
+      setError(error.message)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleReply = async (message, isInternal) => {
+    const response = await fetch(`/api/support/tickets/${ticketId}/replies`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ message, isInternal })
+    })
+
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to send reply')
+    }
+    setTicket(data.ticket)
+  }
+
+  const formatTimer = (timer) => {
+    if (timer.metAt) {
+      return `Met ${new Date(timer.metAt).toLocaleString()}${timer.breached ? ' (late)' : ''}`
+    }
+    return `Due ${new Date(timer.dueAt).toLocaleString()}`
+  }
+
+  if (loading) {
+    return (
+      <AdminLayout>
+        <div className="text-center py-5">
+          <Spinner animation="border" variant="primary" />
+          <p className="mt-3">Loading ticket...</p>
+        </div>
+      </AdminLayout>
+    )
+  }
+
+  if (!ticket) {
+    return (
+      <AdminLayout>
+        <Alert variant="danger">{error || 'Ticket not found'}</Alert>
+        <Link href="/admin/support" className="btn btn-outline-primary">
+          <FaArrowLeft className="me-2" /> Back to Tickets
+        </Link>
+      </AdminLayout>
+    )
+  }
+
+  return (
+    <AdminLayout>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <div>
+          <Link href="/admin/support" className="text-decoration-none">
+            <FaArrowLeft className="me-2" /> Back to Tickets
+          </Link>
+          <h2 className="mt-2 mb-0">{ticket.subject}</h2>
+          <div className="text-muted">
+            #{ticket.id.substring(0, 8)} &middot; <span className="text-capitalize">{ticket.category}</span>
+          </div>
+        </div>
+        <div className="d-flex gap-2">
+          <TicketStatusBadge status={ticket.status} />
+          <TicketPriorityBadge priority={ticket.priority} />
+          <TicketSlaBadge sla={ticket.sla} />
+        </div>
+      </div>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Row>
+        <Col md={8}>
+          <SupportTicketThread ticket={ticket} onReply={handleReply} canAddInternalNotes />
+        </Col>
+        <Col md={4}>
+          <Card className="border-0 shadow-sm mb-4">
+            <Card.Header className="bg-white py-3">
+              <h5 className="mb-0">Workflow</h5>
+            </Card.Header>
+            <Card.Body>
+              <Form.Group className="mb-3">
+                <Form.Label>Status</Form.Label>
+                <Form.Select
+                  value={ticket.status}
+                  onChange={(e) => handleUpdate('status', e.target.value)}
+                  disabled={saving}
+                >
+                  {STATUS_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+              <Form.Group className="mb-3">
+                <Form.Label>Priority</Form.Label>
+                <Form.Select
+                  value={ticket.priority}
+                  onChange={(e) => handleUpdate('priority', e.target.value)}
+                  disabled={saving}
+                >
+                  <option value="urgent">Urgent</option>
+                  <option value="high">High</option>
+                  <option value="medium">Medium</option>
+                  <option value="low">Low</option>
+                </Form.Select>
+              </Form.Group>
+              <Form.Group className="mb-3">
+                <Form.Label>Assignee</Form.Label>
+                <Form.Select
+                  value={ticket.assigneeId || ''}
+                  onChange={(e) => handleUpdate('assigneeId', e.target.value || null)}
+                  disabled={saving}
+                >
+                  <option value="">Unassigned</option>
+                  {agents.map(agent => (
+                    <option key={agent.id} value={agent.id}>{agent.name} ({agent.email})</option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+              {saving && <Spinner animation="border" size="sm" />}
+            </Card.Body>
+          </Card>
+
+          <Card className="border-0 shadow-sm mb-4">
+            <Card.Header className="bg-white py-3">
+              <h5 className="mb-0">SLA</h5>
+            </Card.Header>
+            <Card.Body>
+              <div className="mb-3">
+                <div className="text-muted mb-1">First Response</div>
+                <div className={ticket.sla.firstResponse.breached ? 'text-danger' : ''}>
+                  {formatTimer(ticket.sla.firstResponse)}
+                </div>
+              </div>
+              <div>
+                <div className="text-muted mb-1">Resolution</div>
+                <div className={ticket.sla.resolution.breached ? 'text-danger' : ''}>
+                  {formatTimer(ticket.sla.resolution)}
+                </div>
+              </div>
+            </Card.Body>
+          </Card>
+
+          <Card className="border-0 shadow-sm mb-4">
+            <Card.Header className="bg-white py-3">
+              <h5 className="mb-0">Customer</h5>
+            </Card.Header>
+            <Card.Body>
+              <div className="fw-bold">{ticket.userName}</div>
+              <div className="text-muted mb-3">{ticket.userEmail}</div>
+              {ticket.orderId && (
+                <div className="mb-2">
+                  <div className="text-muted mb-1">Order</div>
+                  <Link href={`/admin/orders/${ticket.orderId}`}>
+                    {ticket.orderNumber || `#${ticket.orderId.substring(0, 8)}`}
+                  </Link>
+                </div>
+              )}
+              {ticket.paymentId && (
+                <div>
+                  <div className="text-muted mb-1">Payment</div>
+                  <div>{ticket.paymentId}</div>
+                </div>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </AdminLayout>
+  )
+}
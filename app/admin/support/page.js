@@ -0,0 +1,191 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, Table, Form, InputGroup, Spinner, Alert, Row, Col } from 'react-bootstrap'
+import AdminLayout from '../../components/AdminLayout'
+import { FaSearch } from 'react-icons/fa'
+import Link from 'next/link'
+import { TicketStatusBadge, TicketPriorityBadge, TicketSlaBadge } from '../../../components/SupportTicketThread'
+
+const DEFAULT_STATUSES = 'open,in_progress,awaiting_customer'
+
+export default function SupportTicketManagement() {
+  const [tickets, setTickets] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [filters, setFilters] = useState({
+    status: DEFAULT_STATUSES,
+    priority: '',
+    assigneeId: '',
+    sla: '',
+    search: ''
+  })
+
+  useEffect(() => {
+    fetchTickets()
+  }, [filters.status, filters.priority, filters.assigneeId, filters.sla])
+
+  const fetchTickets = async () => {
+    try {
+      setLoading(true)
+      const params = new URLSearchParams(
+        Object.entries(filters).filter(([, value]) => value)
+      )
+      const response = await fetch(`/api/admin/support/tickets?${params}`)
+      if (!response.ok) {
+        throw new Error(`Failed to fetch tickets: ${response.status} ${response.statusText}`)
+      }
+      const data = await response.json()
+      setTickets(data.tickets)
+    } catch (error) {
+      console.error('Error fetching support tickets:', error)
+      setError(error.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }))
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    fetchTickets()
+  }
+
+  const formatDue = (sla) => {
+    const timer = !sla.firstResponse.metAt ? sla.firstResponse : !sla.resolution.metAt ? sla.resolution : null
+    if (!timer) return '-'
+
+    const minutes = Math.round((new Date(timer.dueAt) - Date.now()) / 60000)
+    const label = timer === sla.firstResponse ? 'Response' : 'Resolution'
+    const amount = Math.abs(minutes) >= 60 ? `${Math.round(Math.abs(minutes) / 60)}h` : `${Math.abs(minutes)}m`
+    return minutes >= 0 ? `${label} due in ${amount}` : `${label} overdue by ${amount}`
+  }
+
+  return (
+    <AdminLayout>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h2>Support Tickets</h2>
+      </div>
+
+      {error && (
+        <Alert variant="danger" dismissible onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Card className="border-0 shadow-sm mb-4">
+        <Card.Header className="bg-white py-3">
+          <Row className="g-2">
+            <Col md={4}>
+              <Form onSubmit={handleSearch}>
+                <InputGroup>
+                  <InputGroup.Text className="bg-light border-end-0">
+                    <FaSearch className="text-muted" />
+                  </InputGroup.Text>
+                  <Form.Control
+                    type="text"
+                    placeholder="Search by subject, name or email..."
+                    value={filters.search}
+                    onChange={(e) => handleFilterChange('search', e.target.value)}
+                    className="border-start-0 bg-light"
+                  />
+                </InputGroup>
+              </Form>
+            </Col>
+            <Col md={2}>
+              <Form.Select value={filters.status} onChange={(e) => handleFilterChange('status', e.target.value)}>
+                <option value={DEFAULT_STATUSES}>Active</option>
+                <option value="open">Open</option>
+                <option value="in_progress">In Progress</option>
+                <option value="awaiting_customer">Awaiting Customer</option>
+                <option value="resolved">Resolved</option>
+                <option value="closed">Closed</option>
+                <option value="">All Statuses</option>
+              </Form.Select>
+            </Col>
+            <Col md={2}>
+              <Form.Select value={filters.priority} onChange={(e) => handleFilterChange('priority', e.target.value)}>
+                <option value="">All Priorities</option>
+                <option value="urgent">Urgent</option>
+                <option value="high">High</option>
+                <option value="medium">Medium</option>
+                <option value="low">Low</option>
+              </Form.Select>
+            </Col>
+            <Col md={2}>
+              <Form.Select value={filters.assigneeId} onChange={(e) => handleFilterChange('assigneeId', e.target.value)}>
+                <option value="">Any Assignee</option>
+                <option value="unassigned">Unassigned</option>
+              </Form.Select>
+            </Col>
+            <Col md={2}>
+              <Form.Select value={filters.sla} onChange={(e) => handleFilterChange('sla', e.target.value)}>
+                <option value="">Any SLA</option>
+                <option value="at_risk">At Risk</option>
+                <option value="breached">Breached</option>
+              </Form.Select>
+            </Col>
+          </Row>
+        </Card.Header>
+        <Card.Body className="p-0">
+          {loading ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" variant="primary" />
+            </div>
+          ) : (
+            <div className="table-responsive">
+              <Table hover className="mb-0">
+                <thead className="bg-light">
+                  <tr>
+                    <th>ID</th>
+                    <th>Subject</th>
+                    <th>User</th>
+                    <th>Status</th>
+                    <th>Priority</th>
+                    <th>Assignee</th>
+                    <th>SLA</th>
+                    <th>Opened</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tickets.length === 0 ? (
+                    <tr>
+                      <td colSpan="8" className="text-center py-4 text-muted">No tickets match these filters</td>
+                    </tr>
+                  ) : tickets.map(ticket => (
+                    <tr key={ticket.id}>
+                      <td>
+                        <Link href={`/admin/support/${ticket.id}`} className="text-decoration-none">
+                          #{ticket.id.substring(0, 8)}
+                        </Link>
+                      </td>
+                      <td>
+                        {ticket.subject}
+                        <div className="small text-muted text-capitalize">{ticket.category}</div>
+                      </td>
+                      <td>
+                        {ticket.userName}
+                        <div className="small text-muted">{ticket.userEmail}</div>
+                      </td>
+                      <td><TicketStatusBadge status={ticket.status} /></td>
+                      <td><TicketPriorityBadge priority={ticket.priority} /></td>
+                      <td>{ticket.assigneeName || <span className="text-muted">Unassigned</span>}</td>
+                      <td>
+                        <TicketSlaBadge sla={ticket.sla} />
+                        <div className="small text-muted">{formatDue(ticket.sla)}</div>
+                      </td>
+                      <td>{new Date(ticket.createdAt).toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </AdminLayout>
+  )
+}
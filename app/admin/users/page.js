@@ -3,7 +3,15 @@
 import { useState, useEffect } from 'react'
 import { Card, Table, Button, Form, Modal, Alert, Badge, InputGroup, Spinner } from 'react-bootstrap'
 import AdminLayout from '../../components/AdminLayout'
-import { FaSearch, FaEdit, FaTrash, FaUserPlus, FaPhone, FaWhatsapp, FaEnvelope, FaUser } from 'react-icons/fa'
+import { FaSearch, FaEdit, FaTrash, FaUserPlus, FaPhone, FaWhatsapp, FaEnvelope, FaUser, FaWallet } from 'react-icons/fa'
+
+const WALLET_TRANSACTION_LABELS = {
+  refund_credit: 'Refund',
+  affiliate_transfer: 'Affiliate earnings',
+  checkout: 'Order payment',
+  checkout_release: 'Checkout returned',
+  admin_adjustment: 'Adjustment'
+}
 
 export default function UserManagement() {
   const [users, setUsers] = useState([])
@@ -23,6 +31,11 @@ export default function UserManagement() {
   const [editMode, setEditMode] = useState(false)
   const [formErrors, setFormErrors] = useState({})
   const [actionLoading, setActionLoading] = useState(false)
+  const [walletUser, setWalletUser] = useState(null)
+  const [wallet, setWallet] = useState(null)
+  const [walletError, setWalletError] = useState(null)
+  const [adjustment, setAdjustment] = useState({ amount: '', reason: '' })
+  const [adjusting, setAdjusting] = useState(false)
 
   useEffect(() => {
     fetchUsers()
@@ -145,6 +158,54 @@ export default function UserManagement() {
     }
   }
 
+  const handleShowWallet = async (user) => {
+    setWalletUser(user)
+    setWallet(null)
+    setWalletError(null)
+    setAdjustment({ amount: '', reason: '' })
+
+    try {
+      const response = await fetch(`/api/admin/users/${user.id}/wallet`)
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch wallet')
+      }
+      setWallet(data.wallet)
+    } catch (error) {
+      setWalletError(error.message)
+    }
+  }
+
+  const handleAdjustWallet = async (e) => {
+    e.preventDefault()
+    const amount = parseFloat(adjustment.amount)
+    if (!confirm(`${amount < 0 ? 'Debit' : 'Credit'} ₹${Math.abs(amount).toLocaleString()} ${amount < 0 ? 'from' : 'to'} ${walletUser.name}'s wallet?`)) {
+      return
+    }
+
+    try {
+      setAdjusting(true)
+      setWalletError(null)
+      const response = await fetch(`/api/admin/users/${walletUser.id}/wallet`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ amount, reason: adjustment.reason })
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to adjust wallet')
+      }
+      setWallet(data.wallet)
+      setAdjustment({ amount: '', reason: '' })
+    } catch (error) {
+      setWalletError(error.message)
+    } finally {
+      setAdjusting(false)
+    }
+  }
+
   const handleAddNew = () => {
     setCurrentUser(null)
     setFormData({
@@ -272,6 +333,15 @@ export default function UserManagement() {
                         {new Date(user.createdAt).toLocaleDateString()}
                       </td>
                       <td className="align-middle text-end">
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          className="me-2"
+                          onClick={() => handleShowWallet(user)}
+                          disabled={actionLoading}
+                        >
+                          <FaWallet /> Wallet
+                        </Button>
                         <Button 
                           variant="outline-primary" 
                           size="sm" 
@@ -400,6 +470,92 @@ export default function UserManagement() {
           </Form>
         </Modal.Body>
       </Modal>
+
+      {/* Wallet Ledger Modal */}
+      <Modal show={!!walletUser} onHide={() => setWalletUser(null)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>
+            <FaWallet className="me-2" /> {walletUser?.name}'s Wallet
+          </Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {walletError && <Alert variant="danger">{walletError}</Alert>}
+          {!wallet ? (
+            !walletError && (
+              <div className="text-center py-4">
+                <Spinner animation="border" variant="primary" />
+              </div>
+            )
+          ) : (
+            <>
+              <h4 className="mb-3">Balance: ₹{wallet.balance.toLocaleString()}</h4>
+
+              <Form onSubmit={handleAdjustWallet} className="d-flex mb-3">
+                <Form.Control
+                  type="number"
+                  step="0.01"
+                  placeholder="Amount (negative to debit)"
+                  value={adjustment.amount}
+                  onChange={(e) => setAdjustment({ ...adjustment, amount: e.target.value })}
+                  className="me-2"
+                  style={{ maxWidth: '220px' }}
+                  required
+                />
+                <Form.Control
+                  placeholder="Reason"
+                  value={adjustment.reason}
+                  onChange={(e) => setAdjustment({ ...adjustment, reason: e.target.value })}
+                  className="me-2"
+                  required
+                />
+                <Button type="submit" variant="outline-primary" disabled={adjusting}>
+                  {adjusting ? <Spinner animation="border" size="sm" /> : 'Adjust'}
+                </Button>
+              </Form>
+
+              {wallet.entries.length === 0 ? (
+                <div className="text-muted">No wallet activity</div>
+              ) : (
+                <Table size="sm" className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Type</th>
+                      <th>Details</th>
+                      <th className="text-end">Amount</th>
+                      <th className="text-end">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {wallet.entries.map(entry => (
+                      <tr key={entry.id}>
+                        <td className="small">{new Date(entry.createdAt).toLocaleString()}</td>
+                        <td>
+                          <Badge bg={entry.amount > 0 ? 'success' : 'secondary'}>
+                            {WALLET_TRANSACTION_LABELS[entry.type] || entry.type}
+                          </Badge>
+                        </td>
+                        <td className="small">
+                          <div>{entry.description}</div>
+                          <div className="text-muted">
+                            {entry.counterAccounts.join(', ')}
+                            {entry.orderId && ` · Order ${entry.orderId}`}
+                            {entry.createdBy && ` · ${entry.createdBy}`}
+                          </div>
+                        </td>
+                        <td className={`text-end ${entry.amount > 0 ? 'text-success' : 'text-danger'}`}>
+                          {entry.amount > 0 ? '+' : '−'}₹{Math.abs(entry.amount).toLocaleString()}
+                        </td>
+                        <td className="text-end">₹{entry.balanceAfter.toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </>
+          )}
+        </Modal.Body>
+      </Modal>
     </AdminLayout>
   )
 } 
\ No newline at end of file
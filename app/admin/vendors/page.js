@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react'
 import { Card, Table, Button, Form, Modal, Alert, Badge, InputGroup, Spinner, Row, Col } from 'react-bootstrap'
 import AdminLayout from '../../components/AdminLayout'
+import { isValidGstin } from '../../../lib/utils'
 import { FaSearch, FaEdit, FaTrash, FaUserPlus, FaPhone, FaWhatsapp, FaEnvelope, FaStore, FaMapMarkerAlt, FaStar, FaTimes, FaPlus } from 'react-icons/fa'
 
 export default function VendorManagement() {
@@ -19,6 +20,7 @@ export default function VendorManagement() {
     serviceAreas: [],
     pricingTier: 'default',
     description: '',
+    gstin: '',
     password: ''
   })
   const [searchTerm, setSearchTerm] = useState('')
@@ -55,6 +57,7 @@ export default function VendorManagement() {
     if (!/\S+@\S+\.\S+/.test(formData.email)) errors.email = 'Email is invalid'
     if (!editMode && !formData.password) errors.password = 'Password is required'
     if (formData.password && formData.password.length < 6) errors.password = 'Password must be at least 6 characters'
+    if (formData.gstin.trim() && !isValidGstin(formData.gstin.trim().toUpperCase())) errors.gstin = 'GSTIN is invalid'
     
     setFormErrors(errors)
     return Object.keys(errors).length === 0
@@ -133,6 +136,7 @@ export default function VendorManagement() {
       serviceAreas: vendor.serviceAreas || [],
       pricingTier: vendor.pricingTier || 'default',
       description: vendor.description || '',
+      gstin: vendor.gstin || '',
       password: ''
     })
     setFormErrors({})
@@ -175,6 +179,7 @@ export default function VendorManagement() {
       serviceAreas: [],
       pricingTier: 'default',
       description: '',
+      gstin: '',
       password: ''
     })
     setFormErrors({})
@@ -475,6 +480,24 @@ export default function VendorManagement() {
               </Form.Text>
             </Form.Group>
             
+            <Form.Group className="mb-3">
+              <Form.Label>GSTIN</Form.Label>
+              <Form.Control
+                type="text"
+                name="gstin"
+                value={formData.gstin}
+                onChange={handleInputChange}
+                isInvalid={!!formErrors.gstin}
+                placeholder="e.g., 27AAPFU0939F1ZV"
+              />
+              <Form.Control.Feedback type="invalid">
+                {formErrors.gstin}
+              </Form.Control.Feedback>
+              <Form.Text className="text-muted">
+                Printed on the tax invoices issued for this vendor's orders.
+              </Form.Text>
+            </Form.Group>
+            
             <Form.Group className="mb-3">
               <Form.Label>Description</Form.Label>
               <Form.Control
@@ -0,0 +1,61 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { claimService } from '@/lib/services/claimService';
+
+/**
+ * POST handler for deciding a claim, or retrying the settlement of an approved one
+ * Body: { action: 'adjudicate', decision, approvedAmount, resolution, notes } or { action: 'settle' }
+ * @param {Request} request - The incoming request
+ * @param {Object} context - Route params
+ * @returns {Promise<NextResponse>} - The response with the updated claim
+ */
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    
+    let claim;
+    try {
+      if (body.action === 'settle') {
+        claim = await claimService.settleClaim(params.claimId, session.user.email);
+      } else if (body.action === 'adjudicate') {
+        const { decision, approvedAmount, resolution, notes } = body;
+        claim = await claimService.adjudicateClaim(params.claimId, session.user.email, {
+          decision,
+          approvedAmount,
+          resolution,
+          notes
+        });
+      } else {
+        return NextResponse.json({ error: "Action must be 'adjudicate' or 'settle'" }, { status: 400 });
+      }
+    } catch (error) {
+      const statusCode = error.message === 'Claim not found' ? 404 : 400;
+      return NextResponse.json({ error: error.message }, { status: statusCode });
+    }
+    
+    return NextResponse.json({ success: true, claim });
+  } catch (error) {
+    console.error('Error updating claim:', error);
+    return NextResponse.json(
+      { error: 'Failed to update claim' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,40 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { claimService } from '@/lib/services/claimService';
+
+/**
+ * GET handler for fetching damage claims
+ * @param {Request} request - The incoming request
+ * @returns {Promise<NextResponse>} - The response with claims data
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    const { searchParams } = new URL(request.url);
+    
+    const claims = await claimService.getClaims({
+      status: searchParams.get('status') || undefined,
+      orderId: searchParams.get('orderId') || undefined,
+      vendorId: searchParams.get('vendorId') || undefined
+    });
+    
+    return NextResponse.json({ claims });
+  } catch (error) {
+    console.error('Error fetching claims:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch claims' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,14 +1,10 @@
 export const dynamic = 'force-dynamic';
 
 import { NextResponse } from 'next/server';
-import { 
-  isValidNotificationId, 
-  checkAdminAuth, 
-  readNotifications, 
-  saveNotifications 
-} from '../utils';
+import { isValidNotificationId, checkAdminAuth } from '../utils';
+import { notificationOutboxService } from '../../../../../lib/services/notificationOutboxService';
 
-// GET a single notification
+// GET a single notification with its delivery status
 export async function GET(request, { params }) {
   try {
     // Check admin authentication
@@ -24,14 +20,7 @@ export async function GET(request, { params }) {
       return NextResponse.json({ error: 'Invalid notification ID format' }, { status: 400 });
     }
     
-    // Get notifications from storage
-    const { notifications, error } = await readNotifications();
-    if (error) {
-      return NextResponse.json({ error: error.message }, { status: error.status });
-    }
-    
-    // Find notification
-    const notification = notifications.find(n => n.id === notificationId);
+    const notification = await notificationOutboxService.getMessage(notificationId);
     
     if (!notification) {
       return NextResponse.json({ error: 'Notification not found' }, { status: 404 });
@@ -44,7 +33,7 @@ export async function GET(request, { params }) {
   }
 }
 
-// DELETE a notification
+// DELETE a notification from the outbox
 export async function DELETE(request, { params }) {
   try {
     // Check admin authentication
@@ -60,28 +49,12 @@ export async function DELETE(request, { params }) {
       return NextResponse.json({ error: 'Invalid notification ID format' }, { status: 400 });
     }
     
-    // Get notifications from storage
-    const { notifications, error: readError } = await readNotifications();
-    if (readError) {
-      return NextResponse.json({ error: readError.message }, { status: readError.status });
-    }
+    const { deleted } = await notificationOutboxService.deleteMessages([notificationId]);
     
-    // Find notification index
-    const notificationIndex = notifications.findIndex(n => n.id === notificationId);
-    
-    if (notificationIndex === -1) {
+    if (deleted.length === 0) {
       return NextResponse.json({ error: 'Notification not found' }, { status: 404 });
     }
     
-    // Remove notification from storage
-    notifications.splice(notificationIndex, 1);
-    
-    // Save updated notifications
-    const { error: saveError } = await saveNotifications(notifications);
-    if (saveError) {
-      return NextResponse.json({ error: saveError.message }, { status: saveError.status });
-    }
-    
     return NextResponse.json({ 
       message: 'Notification deleted successfully',
       id: notificationId
@@ -91,78 +64,3 @@ export async function DELETE(request, { params }) {
     return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
   }
 }
-
-// PUT update a notification
-export async function PUT(request, { params }) {
-  try {
-    // Check admin authentication
-    const authResult = await checkAdminAuth();
-    if (authResult.error) {
-      return NextResponse.json({ error: authResult.error }, { status: authResult.status });
-    }
-
-    const { notificationId } = params;
-    
-    // Validate notification ID format
-    if (!isValidNotificationId(notificationId)) {
-      return NextResponse.json({ error: 'Invalid notification ID format' }, { status: 400 });
-    }
-
-    // Get and validate request body
-    let body;
-    try {
-      body = await request.json();
-    } catch (error) {
-      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
-    }
-
-    // Get notifications from storage
-    const { notifications, error: readError } = await readNotifications();
-    if (readError) {
-      return NextResponse.json({ error: readError.message }, { status: readError.status });
-    }
-    
-    // Find notification index
-    const notificationIndex = notifications.findIndex(n => n.id === notificationId);
-    
-    if (notificationIndex === -1) {
-      return NextResponse.json({ error: 'Notification not found' }, { status: 404 });
-    }
-
-    // Update notification with new data, preserving immutable fields
-    const updatedNotification = {
-      ...notifications[notificationIndex],
-      ...body,
-      // Preserve immutable fields
-      id: notificationId,
-      createdAt: notifications[notificationIndex].createdAt,
-      metadata: {
-        ...notifications[notificationIndex].metadata,
-        ...body.metadata
-      }
-    };
-
-    // Validate updated notification
-    const validationErrors = validateNotification(updatedNotification);
-    if (validationErrors.length > 0) {
-      return NextResponse.json({ 
-        error: 'Invalid notification data',
-        details: validationErrors 
-      }, { status: 400 });
-    }
-
-    // Update notification in array
-    notifications[notificationIndex] = updatedNotification;
-    
-    // Save updated notifications
-    const { error: saveError } = await saveNotifications(notifications);
-    if (saveError) {
-      return NextResponse.json({ error: saveError.message }, { status: saveError.status });
-    }
-    
-    return NextResponse.json(updatedNotification);
-  } catch (error) {
-    console.error('Error updating notification:', error);
-    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
-  }
-} 
\ No newline at end of file
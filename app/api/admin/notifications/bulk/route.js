@@ -4,16 +4,13 @@ import { NextResponse } from 'next/server';
 import { 
   isValidNotificationId, 
   checkAdminAuth, 
-  readNotifications, 
-  saveNotifications,
-  generateNotificationId,
-  formatDate,
   VALID_BULK_OPERATIONS,
   MAX_BULK_OPERATIONS
 } from '../utils';
+import { notificationOutboxService } from '../../../../../lib/services/notificationOutboxService';
 
-// Process notifications in batches to avoid memory issues
-const processBatch = async (notifications, operation, notificationIds, batchSize = 20) => {
+// Resend or delete outbox messages in batches
+const processBatch = async (operation, notificationIds, batchSize = 20) => {
   const results = [];
   const errors = [];
   
@@ -21,96 +18,32 @@ const processBatch = async (notifications, operation, notificationIds, batchSize
     const batchIds = notificationIds.slice(i, i + batchSize);
     
     switch (operation) {
-      case 'delete':
-        const beforeCount = notifications.length;
-        notifications = notifications.filter(n => {
-          const shouldDelete = batchIds.includes(n.id);
-          if (shouldDelete) {
-            results.push({ id: n.id, status: 'deleted' });
-          }
-          return !shouldDelete;
-        });
-        
-        // Check for not found notifications
-        const deletedCount = beforeCount - notifications.length;
-        if (deletedCount < batchIds.length) {
-          const deletedIds = results.map(r => r.id);
-          const notFoundIds = batchIds.filter(id => !deletedIds.includes(id));
+      case 'delete': {
+        const { deleted, notFound } = await notificationOutboxService.deleteMessages(batchIds);
+        results.push(...deleted.map(id => ({ id, status: 'deleted' })));
+        if (notFound.length > 0) {
           errors.push({
             type: 'not_found',
             message: 'Some notifications were not found',
-            ids: notFoundIds
+            ids: notFound
           });
         }
         break;
+      }
         
-      case 'resend':
-        const toResend = notifications.filter(n => batchIds.includes(n.id));
-        const notFoundIds = batchIds.filter(
-          id => !toResend.find(n => n.id === id)
-        );
-        
-        if (notFoundIds.length > 0) {
+      case 'resend': {
+        // Queues a copy of each message; the outbox worker sends it
+        const { resent, notFound } = await notificationOutboxService.resend(batchIds);
+        results.push(...resent.map(({ id, newId }) => ({ id, newId, status: 'queued' })));
+        if (notFound.length > 0) {
           errors.push({
             type: 'not_found',
             message: 'Some notifications were not found',
-            ids: notFoundIds
+            ids: notFound
           });
         }
-
-        // Create new notifications
-        const newNotifications = toResend.map(n => {
-          const newId = generateNotificationId();
-          const now = formatDate(new Date());
-          
-          const newNotification = {
-            ...n,
-            id: newId,
-            status: 'pending',
-            sentAt: now,
-            metadata: {
-              ...n.metadata,
-              resendOf: n.id,
-              resendAt: now
-            }
-          };
-          
-          results.push({ 
-            id: n.id, 
-            newId: newId, 
-            status: 'resent' 
-          });
-          
-          return newNotification;
-        });
-        
-        notifications.push(...newNotifications);
-        
-        // Schedule status updates
-        if (newNotifications.length > 0) {
-          setTimeout(async () => {
-            try {
-              const { notifications: currentNotifications, error } = await readNotifications();
-              if (!error && currentNotifications) {
-                let hasChanges = false;
-                newNotifications.forEach(newNotif => {
-                  const index = currentNotifications.findIndex(n => n.id === newNotif.id);
-                  if (index !== -1) {
-                    currentNotifications[index].status = 'sent';
-                    currentNotifications[index].metadata.deliveredAt = formatDate(new Date());
-                    hasChanges = true;
-                  }
-                });
-                if (hasChanges) {
-                  await saveNotifications(currentNotifications);
-                }
-              }
-            } catch (error) {
-              console.error('Error updating notification statuses:', error);
-            }
-          }, 2000);
-        }
         break;
+      }
     }
   }
   
@@ -166,20 +99,8 @@ export async function POST(request) {
       }, { status: 400 });
     }
 
-    // Get notifications from storage
-    const { notifications, error: readError } = await readNotifications();
-    if (readError) {
-      return NextResponse.json({ error: readError.message }, { status: readError.status });
-    }
-
     // Process notifications in batches
-    const { results, errors } = await processBatch(notifications, operation, uniqueIds);
-    
-    // Save updated notifications
-    const { error: saveError } = await saveNotifications(notifications);
-    if (saveError) {
-      return NextResponse.json({ error: saveError.message }, { status: saveError.status });
-    }
+    const { results, errors } = await processBatch(operation, uniqueIds);
     
     return NextResponse.json({ 
       message: `Bulk ${operation} operation completed`,
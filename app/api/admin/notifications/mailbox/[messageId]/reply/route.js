@@ -0,0 +1,48 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { checkAdminAuth } from '../../../utils';
+import { notificationMailboxService } from '../../../../../../../lib/services/notificationMailboxService';
+import { whatsappConversationService } from '../../../../../../../lib/services/whatsappConversationService';
+
+// POST reply to a captured WhatsApp message as its recipient would, to try out WhatsApp
+// conversations without Twilio. Body: { body, buttonId }
+export async function POST(request, { params }) {
+  try {
+    // Check admin authentication
+    const authResult = await checkAdminAuth();
+    if (authResult.error) {
+      return NextResponse.json({ error: authResult.error }, { status: authResult.status });
+    }
+
+    // Replies act on real orders as the customer, so only the local mailbox gets them
+    if (process.env.NODE_ENV === 'production') {
+      return NextResponse.json({ error: 'Replies can only be tried outside production' }, { status: 403 });
+    }
+
+    const message = await notificationMailboxService.getMessage(params.messageId);
+    if (!message) {
+      return NextResponse.json({ error: 'Message not found' }, { status: 404 });
+    }
+    if (message.channel !== 'whatsapp') {
+      return NextResponse.json({ error: 'Only WhatsApp messages can be replied to' }, { status: 400 });
+    }
+
+    const { body, buttonId } = await request.json();
+    if (!body && !buttonId) {
+      return NextResponse.json({ error: 'Reply body is required' }, { status: 400 });
+    }
+
+    const result = await whatsappConversationService.handleInbound({
+      from: message.recipient,
+      body,
+      buttonId,
+      notificationMessageId: message.notificationMessageId
+    });
+
+    return NextResponse.json(result);
+  } catch (error) {
+    console.error('Error replying to mailbox message:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,26 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { checkAdminAuth } from '../../utils';
+import { notificationMailboxService } from '../../../../../../lib/services/notificationMailboxService';
+
+// GET a single captured message
+export async function GET(request, { params }) {
+  try {
+    // Check admin authentication
+    const authResult = await checkAdminAuth();
+    if (authResult.error) {
+      return NextResponse.json({ error: authResult.error }, { status: authResult.status });
+    }
+
+    const message = await notificationMailboxService.getMessage(params.messageId);
+    if (!message) {
+      return NextResponse.json({ error: 'Message not found' }, { status: 404 });
+    }
+
+    return NextResponse.json(message);
+  } catch (error) {
+    console.error('Error fetching mailbox message:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
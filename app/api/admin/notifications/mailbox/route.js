@@ -0,0 +1,74 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { checkAdminAuth } from '../utils';
+import { notificationMailboxService, MAILBOX_CHANNELS } from '../../../../../lib/services/notificationMailboxService';
+
+// GET the messages the local provider captured
+export async function GET(request) {
+  try {
+    // Check admin authentication
+    const authResult = await checkAdminAuth();
+    if (authResult.error) {
+      return NextResponse.json({ error: authResult.error }, { status: authResult.status });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const page = parseInt(searchParams.get('page') || '1');
+    const limit = parseInt(searchParams.get('limit') || '20');
+    const channel = searchParams.get('channel');
+    const recipient = searchParams.get('recipient');
+    const search = searchParams.get('search');
+
+    if (channel && !MAILBOX_CHANNELS.includes(channel)) {
+      return NextResponse.json({ error: `Channel must be one of ${MAILBOX_CHANNELS.join(', ')}` }, { status: 400 });
+    }
+
+    const { messages, totalCount } = await notificationMailboxService.getMessages({
+      page,
+      limit,
+      channel,
+      recipient,
+      search
+    });
+
+    return NextResponse.json({
+      messages,
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching mailbox messages:', error);
+    return NextResponse.json({ error: 'Failed to fetch mailbox messages' }, { status: 500 });
+  }
+}
+
+// DELETE empty the mailbox, or one channel of it with ?channel=
+export async function DELETE(request) {
+  try {
+    // Check admin authentication
+    const authResult = await checkAdminAuth();
+    if (authResult.error) {
+      return NextResponse.json({ error: authResult.error }, { status: authResult.status });
+    }
+
+    const channel = new URL(request.url).searchParams.get('channel');
+    if (channel && !MAILBOX_CHANNELS.includes(channel)) {
+      return NextResponse.json({ error: `Channel must be one of ${MAILBOX_CHANNELS.join(', ')}` }, { status: 400 });
+    }
+
+    const deleted = await notificationMailboxService.clear({ channel });
+
+    return NextResponse.json({
+      message: 'Mailbox cleared',
+      deleted
+    });
+  } catch (error) {
+    console.error('Error clearing mailbox:', error);
+    return NextResponse.json({ error: 'Failed to clear mailbox' }, { status: 500 });
+  }
+}
@@ -1,11 +1,11 @@
 export const dynamic = 'force-dynamic';
 
 import { NextResponse } from 'next/server';
-import { notificationStorage } from '../../../../lib/storage';
+import { notificationOutboxService } from '../../../../lib/services/notificationOutboxService';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../../../lib/auth';
 
-// GET all notifications
+// GET all notifications in the outbox, with their delivery status
 export async function GET(request) {
   try {
     // Check if user is authenticated and is an admin
@@ -23,24 +23,16 @@ export async function GET(request) {
     const { searchParams } = new URL(request.url);
     const page = parseInt(searchParams.get('page') || '1');
     const limit = parseInt(searchParams.get('limit') || '20');
-    const type = searchParams.get('type');
+    const channel = searchParams.get('channel');
     const status = searchParams.get('status');
-    const userEmail = searchParams.get('userEmail');
+    const search = searchParams.get('search');
     
-    // Get notifications from storage
-    const notifications = await notificationStorage.getAll({
+    const { messages: notifications, totalCount } = await notificationOutboxService.getMessages({
       page,
       limit,
-      type,
+      channel,
       status,
-      userEmail
-    });
-    
-    // Get total count for pagination
-    const totalCount = await notificationStorage.getCount({
-      type,
-      status,
-      userEmail
+      search
     });
     
     return NextResponse.json({
@@ -80,15 +72,20 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Missing required fields' }, { status: 400 });
     }
 
-    // Create notification
-    const notification = await notificationStorage.create({
+    // Queue an in-app notification and store it straight away
+    const notification = await notificationOutboxService.enqueue({
       userId: notificationData.userId,
-      type: notificationData.type || 'system',
-      title: notificationData.title,
-      message: notificationData.message,
-      isRead: false,
-      data: notificationData.data || {}
-    });
+      channel: 'inApp',
+      recipient: notificationData.userId,
+      eventType: notificationData.type || 'system',
+      subject: notificationData.title,
+      payload: {
+        userId: notificationData.userId,
+        title: notificationData.title,
+        message: notificationData.message,
+        data: notificationData.data || {}
+      }
+    }, { dispatch: true });
     
     return NextResponse.json(notification, { status: 201 });
   } catch (error) {
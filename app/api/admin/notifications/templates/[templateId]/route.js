@@ -0,0 +1,105 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { checkAdminAuth } from '../../utils';
+import { notificationTemplateService } from '../../../../../../lib/services/notificationTemplateService';
+import { auditService } from '../../../../../../lib/services/auditService';
+
+// GET a single template
+export async function GET(request, { params }) {
+  try {
+    // Check admin authentication
+    const authResult = await checkAdminAuth();
+    if (authResult.error) {
+      return NextResponse.json({ error: authResult.error }, { status: authResult.status });
+    }
+
+    const template = await notificationTemplateService.getTemplate(params.templateId);
+    if (!template) {
+      return NextResponse.json({ error: 'Template not found' }, { status: 404 });
+    }
+
+    return NextResponse.json(template);
+  } catch (error) {
+    console.error('Error fetching notification template:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// PUT update a template
+export async function PUT(request, { params }) {
+  try {
+    // Check admin authentication
+    const authResult = await checkAdminAuth();
+    if (authResult.error) {
+      return NextResponse.json({ error: authResult.error }, { status: authResult.status });
+    }
+
+    const { templateId } = params;
+    if (!(await notificationTemplateService.getTemplate(templateId))) {
+      return NextResponse.json({ error: 'Template not found' }, { status: 404 });
+    }
+
+    const { name, type, language, subject, content, description } = await request.json();
+
+    let template;
+    try {
+      template = await notificationTemplateService.updateTemplate(templateId, {
+        ...(name !== undefined && { name }),
+        ...(type !== undefined && { type }),
+        ...(language !== undefined && { language }),
+        ...(subject !== undefined && { subject }),
+        ...(content !== undefined && { content }),
+        ...(description !== undefined && { description })
+      });
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    await auditService.logAction(
+      authResult.session.user.email,
+      'update_notification_template',
+      'notification_template',
+      templateId,
+      { name: template.name, type: template.type, language: template.language }
+    );
+
+    return NextResponse.json(template);
+  } catch (error) {
+    console.error('Error updating notification template:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
+
+// DELETE a template; its message falls back to the bundled default
+export async function DELETE(request, { params }) {
+  try {
+    // Check admin authentication
+    const authResult = await checkAdminAuth();
+    if (authResult.error) {
+      return NextResponse.json({ error: authResult.error }, { status: authResult.status });
+    }
+
+    const { templateId } = params;
+    const template = await notificationTemplateService.getTemplate(templateId);
+    if (!template || !(await notificationTemplateService.deleteTemplate(templateId))) {
+      return NextResponse.json({ error: 'Template not found' }, { status: 404 });
+    }
+
+    await auditService.logAction(
+      authResult.session.user.email,
+      'delete_notification_template',
+      'notification_template',
+      templateId,
+      { name: template.name, type: template.type, language: template.language }
+    );
+
+    return NextResponse.json({
+      message: 'Template deleted successfully',
+      id: templateId
+    });
+  } catch (error) {
+    console.error('Error deleting notification template:', error);
+    return NextResponse.json({ error: 'Internal server error' }, { status: 500 });
+  }
+}
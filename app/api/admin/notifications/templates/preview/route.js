@@ -0,0 +1,61 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { checkAdminAuth } from '../../utils';
+import { notificationTemplateService } from '../../../../../../lib/services/notificationTemplateService';
+
+// POST render a template against an order before saving it.
+// Body: { templateId } for a stored template, or { name, type, language, subject, content } for a
+// draft (fields given alongside templateId override the stored ones), plus { orderId, values }.
+// Without orderId the latest order is used.
+export async function POST(request) {
+  try {
+    // Check admin authentication
+    const authResult = await checkAdminAuth();
+    if (authResult.error) {
+      return NextResponse.json({ error: authResult.error }, { status: authResult.status });
+    }
+
+    const { templateId, name, type, language, subject, content, orderId, values } = await request.json();
+
+    let template = {};
+    if (templateId) {
+      template = await notificationTemplateService.getTemplate(templateId);
+      if (!template) {
+        return NextResponse.json({ error: 'Template not found' }, { status: 404 });
+      }
+    }
+
+    template = {
+      ...template,
+      ...(name !== undefined && { name }),
+      ...(type !== undefined && { type }),
+      ...(language !== undefined && { language }),
+      ...(subject !== undefined && { subject }),
+      ...(content !== undefined && { content })
+    };
+
+    if (values !== undefined && (typeof values !== 'object' || values === null || Array.isArray(values))) {
+      return NextResponse.json({ error: 'Values must be an object' }, { status: 400 });
+    }
+
+    let preview;
+    try {
+      preview = await notificationTemplateService.previewTemplate(template, { orderId, values });
+    } catch (error) {
+      if (error.message === 'Order not found') {
+        return NextResponse.json({ error: error.message }, { status: 404 });
+      }
+      throw error;
+    }
+
+    if (preview.errors.length > 0) {
+      return NextResponse.json({ error: 'Invalid template', errors: preview.errors, values: preview.values }, { status: 400 });
+    }
+
+    return NextResponse.json(preview);
+  } catch (error) {
+    console.error('Error previewing notification template:', error);
+    return NextResponse.json({ error: 'Failed to preview notification template' }, { status: 500 });
+  }
+}
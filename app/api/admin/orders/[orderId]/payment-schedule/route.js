@@ -0,0 +1,51 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { paymentScheduleService } from '@/lib/services/paymentScheduleService';
+import { auditService } from '@/lib/services/auditService';
+
+/**
+ * PUT handler to change the unpaid installments of an order's payment schedule
+ * @param {Request} request - The incoming request
+ * @param {Object} params - Route parameters
+ * @returns {Promise<NextResponse>} - The response with the updated schedule
+ */
+export async function PUT(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    const { installments } = await request.json();
+    
+    let schedule;
+    try {
+      schedule = await paymentScheduleService.setSchedule(params.orderId, installments, session.user.email);
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    
+    await auditService.logAction(
+      session.user.email,
+      'update_payment_schedule',
+      'order',
+      params.orderId,
+      { installments: schedule.installments.map(({ type, amount, status }) => ({ type, amount, status })) }
+    );
+    
+    return NextResponse.json({ schedule });
+  } catch (error) {
+    console.error('Error updating payment schedule:', error);
+    return NextResponse.json(
+      { error: 'Failed to update payment schedule' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,35 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { paymentService } from '@/lib/services/paymentService';
+
+/**
+ * GET handler for an order's refund ledger
+ * @param {Request} request - The incoming request
+ * @param {Object} params - Route parameters
+ * @returns {Promise<NextResponse>} - The response with the order's payments and refunds
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    const history = await paymentService.getRefundHistory(params.orderId);
+    
+    return NextResponse.json(history);
+  } catch (error) {
+    console.error('Error fetching refund history:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch refund history' },
+      { status: 500 }
+    );
+  }
+}
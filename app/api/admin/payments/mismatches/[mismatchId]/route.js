@@ -0,0 +1,57 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { paymentReconciliationService } from '@/lib/services/paymentReconciliationService';
+import { auditService } from '@/lib/services/auditService';
+
+/**
+ * PATCH handler for resolving a payment mismatch
+ * @param {Request} request - The incoming request with { notes }
+ * @param {Object} context - Route params
+ * @returns {Promise<NextResponse>} - The response with the updated mismatch
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    
+    let mismatch;
+    try {
+      mismatch = await paymentReconciliationService.resolveMismatch(params.mismatchId, session.user.email, body.notes);
+    } catch (error) {
+      const statusCode = error.message === 'Mismatch not found' ? 404 : 400;
+      return NextResponse.json({ error: error.message }, { status: statusCode });
+    }
+    
+    await auditService.logAction(
+      session.user.email,
+      'resolve_payment_mismatch',
+      'payment',
+      mismatch.paymentId,
+      { mismatchId: mismatch.id, type: mismatch.type, notes: mismatch.resolutionNotes }
+    );
+    
+    return NextResponse.json({ success: true, mismatch });
+  } catch (error) {
+    console.error('Error resolving payment mismatch:', error);
+    return NextResponse.json(
+      { error: 'Failed to resolve payment mismatch' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,37 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { paymentReconciliationService } from '@/lib/services/paymentReconciliationService';
+
+/**
+ * GET handler for payment mismatches flagged by reconciliation
+ * @param {Request} request - The incoming request
+ * @returns {Promise<NextResponse>} - The response with the mismatches
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    const { searchParams } = new URL(request.url);
+    const mismatches = await paymentReconciliationService.getMismatches({
+      status: searchParams.get('status') || undefined
+    });
+    
+    return NextResponse.json({ mismatches });
+  } catch (error) {
+    console.error('Error fetching payment mismatches:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch payment mismatches' },
+      { status: 500 }
+    );
+  }
+}
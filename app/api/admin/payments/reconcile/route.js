@@ -0,0 +1,42 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { paymentReconciliationService } from '@/lib/services/paymentReconciliationService';
+import { auditService } from '@/lib/services/auditService';
+
+/**
+ * POST handler for running payment reconciliation now rather than waiting for the
+ * scheduled job
+ * @returns {Promise<NextResponse>} - The response with the run summary
+ */
+export async function POST() {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    let summary;
+    try {
+      summary = await paymentReconciliationService.runReconciliation();
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    
+    await auditService.logAction(session.user.email, 'run_payment_reconciliation', 'payment', 'all', summary);
+    
+    return NextResponse.json({ success: true, summary });
+  } catch (error) {
+    console.error('Error running payment reconciliation:', error);
+    return NextResponse.json(
+      { error: 'Failed to run payment reconciliation' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,91 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { discountService } from '@/lib/services/discountService';
+import { auditService } from '@/lib/services/auditService';
+
+/**
+ * GET handler for a promo code with its usage and redemptions
+ * @param {Request} request - The incoming request
+ * @param {Object} context - Route params
+ * @returns {Promise<NextResponse>} - The response with the promo code
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    let promoCode;
+    try {
+      promoCode = await discountService.getPromoCode(params.promoCodeId);
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    
+    return NextResponse.json({ promoCode });
+  } catch (error) {
+    console.error('Error fetching promo code:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch promo code' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PATCH handler for updating or deactivating a promo code
+ * @param {Request} request - The incoming request with the fields to change
+ * @param {Object} context - Route params
+ * @returns {Promise<NextResponse>} - The response with the updated promo code
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    
+    let promoCode;
+    try {
+      promoCode = await discountService.updatePromoCode(params.promoCodeId, body);
+    } catch (error) {
+      const statusCode = error.message === 'Promo code not found' ? 404 : 400;
+      return NextResponse.json({ error: error.message }, { status: statusCode });
+    }
+    
+    await auditService.logAction(
+      session.user.email,
+      'update_promo_code',
+      'promo_code',
+      promoCode.id,
+      { code: promoCode.code, changes: body }
+    );
+    
+    return NextResponse.json({ success: true, promoCode });
+  } catch (error) {
+    console.error('Error updating promo code:', error);
+    return NextResponse.json(
+      { error: 'Failed to update promo code' },
+      { status: 500 }
+    );
+  }
+}
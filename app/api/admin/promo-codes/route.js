@@ -0,0 +1,82 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { discountService } from '@/lib/services/discountService';
+import { auditService } from '@/lib/services/auditService';
+
+/**
+ * GET handler for promo codes with their usage
+ * @returns {Promise<NextResponse>} - The response with the promo codes
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    const promoCodes = await discountService.listPromoCodes();
+    
+    return NextResponse.json({ promoCodes });
+  } catch (error) {
+    console.error('Error fetching promo codes:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch promo codes' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST handler for creating a promo code
+ * @param {Request} request - The incoming request with the promo code fields
+ * @returns {Promise<NextResponse>} - The response with the created promo code
+ */
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    
+    let promoCode;
+    try {
+      promoCode = await discountService.createPromoCode(body, session.user.email);
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    
+    await auditService.logAction(
+      session.user.email,
+      'create_promo_code',
+      'promo_code',
+      promoCode.id,
+      { code: promoCode.code, type: promoCode.type, value: promoCode.value }
+    );
+    
+    return NextResponse.json({ success: true, promoCode }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    return NextResponse.json(
+      { error: 'Failed to create promo code' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,42 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth';
+import { dispatchService } from '../../../../../lib/services/dispatchService';
+
+// GET /api/admin/riders/dispatch - Dispatch offer history with acceptance summary
+export async function GET(request) {
+  try {
+    // Check authentication
+    const session = await getServerSession(authOptions);
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const limit = parseInt(searchParams.get('limit') || '100', 10);
+
+    // Expire lapsed offers so the history reflects the current state
+    await dispatchService.processExpiredOffers();
+
+    const { offers, summary } = await dispatchService.getOfferHistory({
+      orderId: searchParams.get('orderId') || undefined,
+      riderId: searchParams.get('riderId') || undefined,
+      status: searchParams.get('status') || undefined,
+      limit: isNaN(limit) ? 100 : Math.min(Math.max(limit, 1), 500)
+    });
+
+    return NextResponse.json({
+      success: true,
+      offers,
+      summary
+    });
+  } catch (error) {
+    console.error('Error getting dispatch offers:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to get dispatch offers' },
+      { status: 500 }
+    );
+  }
+}
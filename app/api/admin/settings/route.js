@@ -18,19 +18,50 @@ const defaultSettings = {
     enableEmailNotifications: true,
     enableSmsNotifications: true,
     enableWhatsAppNotifications: true,
-    adminNotificationEmail: 'admin@movepe.com'
+    adminNotificationEmail: 'admin@movepe.com',
+    maxDeliveryAttempts: 5,
+    retryDelaySeconds: 60,
+    emailProvider: 'auto',
+    smsProvider: 'auto',
+    smtpHost: '',
+    smtpPort: 587,
+    smtpSecure: false,
+    smtpUser: '',
+    smtpFromEmail: '',
+    whatsappQuoteContentSid: '',
+    whatsappMoveDateContentSid: '',
+    whatsappOtpContentSid: ''
   },
   payment: {
     razorpayKeyId: process.env.RAZORPAY_KEY_ID || '',
     razorpayKeySecret: process.env.RAZORPAY_KEY_SECRET || '',
-    enableTestMode: true,
-    defaultCommissionRate: 10
+    enableTestMode: false,
+    defaultCommissionRate: 10,
+    advancePercentage: 20,
+    milestonePercentage: 0,
+    balanceReminderHours: 24
   },
   api: {
     googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY || '',
     twilioAccountSid: process.env.TWILIO_ACCOUNT_SID || '',
     twilioAuthToken: process.env.TWILIO_AUTH_TOKEN || '',
-    sendgridApiKey: process.env.SENDGRID_API_KEY || ''
+    sendgridApiKey: process.env.SENDGRID_API_KEY || '',
+    distanceProvider: 'haversine',
+    osrmServerUrl: process.env.OSRM_SERVER_URL || 'http://localhost:5000',
+    roadDistanceFactor: 1.3
+  },
+  dispatch: {
+    batchSize: 3,
+    acceptanceWindowSeconds: 60,
+    maxBatches: 5
+  },
+  tracking: {
+    geofenceRadiusMeters: 300,
+    pingRetentionHours: 72
+  },
+  quote: {
+    validityDays: 7,
+    counterOfferHours: 48
   }
 };
 
@@ -53,7 +84,10 @@ export async function GET(request) {
       general: { ...defaultSettings.general },
       notification: { ...defaultSettings.notification },
       payment: { ...defaultSettings.payment },
-      api: { ...defaultSettings.api }
+      api: { ...defaultSettings.api },
+      dispatch: { ...defaultSettings.dispatch },
+      tracking: { ...defaultSettings.tracking },
+      quote: { ...defaultSettings.quote }
     };
 
     try {
@@ -144,7 +178,10 @@ export async function PUT(request) {
       general: { ...defaultSettings.general },
       notification: { ...defaultSettings.notification },
       payment: { ...defaultSettings.payment },
-      api: { ...defaultSettings.api }
+      api: { ...defaultSettings.api },
+      dispatch: { ...defaultSettings.dispatch },
+      tracking: { ...defaultSettings.tracking },
+      quote: { ...defaultSettings.quote }
     };
 
     try {
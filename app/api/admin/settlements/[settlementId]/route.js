@@ -0,0 +1,89 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { settlementService } from '@/lib/services/settlementService';
+import { auditService } from '@/lib/services/auditService';
+
+/**
+ * GET handler for a settlement with its orders and adjustments
+ * @param {Request} request - The incoming request
+ * @param {Object} context - Route params
+ * @returns {Promise<NextResponse>} - The response with the settlement
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    const settlement = await settlementService.getSettlement(params.settlementId);
+    if (!settlement) {
+      return NextResponse.json({ error: 'Settlement not found' }, { status: 404 });
+    }
+    
+    return NextResponse.json({ settlement });
+  } catch (error) {
+    console.error('Error fetching settlement:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch settlement' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PATCH handler for marking a settlement as paid out
+ * @param {Request} request - The incoming request with { reference }
+ * @param {Object} context - Route params
+ * @returns {Promise<NextResponse>} - The response with the updated settlement
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    
+    let settlement;
+    try {
+      settlement = await settlementService.markPaid(params.settlementId, session.user.email, body.reference);
+    } catch (error) {
+      const statusCode = error.message === 'Settlement not found' ? 404 : 400;
+      return NextResponse.json({ error: error.message }, { status: statusCode });
+    }
+    
+    await auditService.logAction(
+      session.user.email,
+      'mark_settlement_paid',
+      'settlement',
+      settlement.id,
+      { vendorId: settlement.vendorId, netAmount: settlement.netAmount, reference: settlement.payoutReference }
+    );
+    
+    return NextResponse.json({ success: true, settlement });
+  } catch (error) {
+    console.error('Error marking settlement as paid:', error);
+    return NextResponse.json(
+      { error: 'Failed to mark settlement as paid' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,69 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { settlementService } from '@/lib/services/settlementService';
+import { auditService } from '@/lib/services/auditService';
+
+/**
+ * GET handler for vendor settlements
+ * @param {Request} request - The incoming request with optional status and vendorId filters
+ * @returns {Promise<NextResponse>} - The response with the settlements
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    const { searchParams } = new URL(request.url);
+    const settlements = await settlementService.getSettlements({
+      status: searchParams.get('status') || undefined,
+      vendorId: searchParams.get('vendorId') || undefined
+    });
+    
+    return NextResponse.json({ settlements });
+  } catch (error) {
+    console.error('Error fetching settlements:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch settlements' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST handler for settling last week's payouts now rather than waiting for the
+ * scheduled job
+ * @returns {Promise<NextResponse>} - The response with the run summary
+ */
+export async function POST() {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    const summary = await settlementService.runWeeklySettlements();
+    
+    await auditService.logAction(session.user.email, 'run_vendor_settlements', 'settlement', 'all', summary);
+    
+    return NextResponse.json({ success: true, summary });
+  } catch (error) {
+    console.error('Error running vendor settlements:', error);
+    return NextResponse.json(
+      { error: 'Failed to run vendor settlements' },
+      { status: 500 }
+    );
+  }
+}
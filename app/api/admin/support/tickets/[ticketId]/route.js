@@ -0,0 +1,98 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { supportService } from '@/lib/services/supportService';
+import { auditService } from '@/lib/services/auditService';
+
+/**
+ * GET handler for a support ticket with its full conversation and the admins it can be
+ * assigned to
+ * @param {Request} request - The incoming request
+ * @param {Object} context - Route params
+ * @returns {Promise<NextResponse>} - The response with the ticket and agents
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    const ticket = await supportService.getTicket(params.ticketId, {
+      email: session.user.email,
+      role: session.user.role
+    });
+    
+    if (!ticket) {
+      return NextResponse.json({ error: 'Ticket not found' }, { status: 404 });
+    }
+    
+    const agents = await supportService.getAssignableAgents();
+    
+    return NextResponse.json({ ticket, agents });
+  } catch (error) {
+    console.error('Error fetching support ticket:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch support ticket' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PATCH handler for changing a ticket's status, priority or assignee
+ * @param {Request} request - The incoming request
+ * @param {Object} context - Route params
+ * @returns {Promise<NextResponse>} - The response with the updated ticket
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+    
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+    
+    const { status, priority, assigneeId } = body;
+    
+    let ticket;
+    try {
+      ticket = await supportService.updateTicket(params.ticketId, { status, priority, assigneeId }, session.user.email);
+    } catch (error) {
+      const statusCode = error.message === 'Ticket not found' ? 404 : 400;
+      return NextResponse.json({ error: error.message }, { status: statusCode });
+    }
+    
+    await auditService.logAction(
+      session.user.email,
+      'update_support_ticket',
+      'support_ticket',
+      params.ticketId,
+      { status, priority, assigneeId }
+    );
+    
+    return NextResponse.json({ success: true, ticket });
+  } catch (error) {
+    console.error('Error updating support ticket:', error);
+    return NextResponse.json(
+      { error: 'Failed to update support ticket' },
+      { status: 500 }
+    );
+  }
+}
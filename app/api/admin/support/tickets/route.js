@@ -1,6 +1,9 @@
+export const dynamic = 'force-dynamic';
+
 import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/lib/auth';
+import { supportService } from '@/lib/services/supportService';
 
 /**
  * GET handler for fetching support tickets
@@ -21,52 +24,19 @@ export async function GET(request) {
     
     // Get query parameters
     const { searchParams } = new URL(request.url);
-    const status = searchParams.get('status');
-    
-    // Mock data for support tickets - replace with actual database query
-    const mockTickets = [
-      {
-        id: 'ticket-001',
-        subject: 'Payment not processed',
-        description: 'My payment was deducted but order shows as unpaid',
-        status: 'open',
-        priority: 'high',
-        createdAt: '2023-03-08T10:30:00Z',
-        userId: 'user-123',
-        userEmail: 'customer@example.com',
-        category: 'payment'
-      },
-      {
-        id: 'ticket-002',
-        subject: 'Wrong delivery address',
-        description: 'Need to update my delivery address for order #ORD-5678',
-        status: 'open',
-        priority: 'medium',
-        createdAt: '2023-03-07T14:15:00Z',
-        userId: 'user-456',
-        userEmail: 'john.doe@example.com',
-        category: 'order'
-      },
-      {
-        id: 'ticket-003',
-        subject: 'Rider was unprofessional',
-        description: 'The rider was rude during delivery',
-        status: 'open',
-        priority: 'medium',
-        createdAt: '2023-03-06T09:45:00Z',
-        userId: 'user-789',
-        userEmail: 'jane.smith@example.com',
-        category: 'rider'
-      }
-    ];
+    const limit = parseInt(searchParams.get('limit'), 10);
     
-    // Filter tickets by status if provided
-    let filteredTickets = mockTickets;
-    if (status) {
-      filteredTickets = mockTickets.filter(ticket => ticket.status === status);
-    }
+    const tickets = await supportService.getTickets({
+      status: searchParams.get('status') ? searchParams.get('status').split(',') : undefined,
+      priority: searchParams.get('priority') || undefined,
+      category: searchParams.get('category') || undefined,
+      assigneeId: searchParams.get('assigneeId') || undefined,
+      sla: searchParams.get('sla') || undefined,
+      search: searchParams.get('search') || undefined,
+      limit: isNaN(limit) ? undefined : Math.min(limit, 500)
+    });
     
-    return NextResponse.json({ tickets: filteredTickets });
+    return NextResponse.json({ tickets });
   } catch (error) {
     console.error('Error fetching support tickets:', error);
     return NextResponse.json(
@@ -74,4 +44,4 @@ export async function GET(request) {
       { status: 500 }
     );
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,94 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/lib/auth';
+import { userStorage } from '@/lib/storage';
+import { walletService } from '@/lib/services/walletService';
+import { auditService } from '@/lib/services/auditService';
+
+/**
+ * GET handler for a user's wallet ledger
+ * @param {Request} request - The incoming request with an optional limit
+ * @param {Object} context - Route parameters with the user ID
+ * @returns {Promise<NextResponse>} - The response with the balance and ledger entries
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+
+    const user = await userStorage.getById(params.userId);
+    if (!user) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(parseInt(searchParams.get('limit') || '100', 10) || 100, 500);
+    const wallet = await walletService.getWallet(params.userId, { limit });
+
+    return NextResponse.json({ wallet });
+  } catch (error) {
+    console.error('Error fetching wallet:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch wallet' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST handler for crediting or debiting a user's wallet by hand
+ * @param {Request} request - The incoming request with { amount, reason }
+ * @param {Object} context - Route parameters with the user ID
+ * @returns {Promise<NextResponse>} - The response with the updated wallet
+ */
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json(
+        { error: 'Unauthorized access' },
+        { status: 401 }
+      );
+    }
+
+    const user = await userStorage.getById(params.userId);
+    if (!user) {
+      return NextResponse.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    const { amount, reason } = await request.json();
+
+    let transaction;
+    try {
+      transaction = await walletService.adjust(params.userId, amount, reason, session.user.email);
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    await auditService.logAction(
+      session.user.email,
+      'adjust_wallet',
+      'user',
+      params.userId,
+      { transactionId: transaction.id, amount: Number(amount), reason }
+    );
+
+    const wallet = await walletService.getWallet(params.userId, { limit: 100 });
+    return NextResponse.json({ wallet });
+  } catch (error) {
+    console.error('Error adjusting wallet:', error);
+    return NextResponse.json(
+      { error: 'Failed to adjust wallet' },
+      { status: 500 }
+    );
+  }
+}
@@ -5,6 +5,7 @@ import { vendorStorage, userStorage } from '../../../../../lib/storage';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../../../../lib/auth';
 import bcrypt from 'bcryptjs';
+import { isValidGstin } from '../../../../../lib/utils';
 
 // GET a specific vendor
 export async function GET(request, { params }) {
@@ -70,6 +71,11 @@ export async function PUT(request, { params }) {
       }
     }
     
+    const gstin = vendorData.gstin !== undefined ? (vendorData.gstin || '').trim().toUpperCase() : undefined;
+    if (gstin && !isValidGstin(gstin)) {
+      return NextResponse.json({ error: 'GSTIN is invalid' }, { status: 400 });
+    }
+    
     // Update vendor user information if provided
     if (vendorData.name || vendorData.email || vendorData.phone) {
       await userStorage.update(vendor.userId, {
@@ -87,6 +93,7 @@ export async function PUT(request, { params }) {
       specialties: vendorData.specialties || vendor.specialties,
       basePrice: vendorData.basePrice !== undefined ? vendorData.basePrice : vendor.basePrice,
       isVerified: vendorData.isVerified !== undefined ? vendorData.isVerified : vendor.isVerified,
+      gstin: gstin !== undefined ? gstin || null : vendor.gstin,
     };
     
     const updatedVendor = await vendorStorage.update(vendorId, updatedVendorData);
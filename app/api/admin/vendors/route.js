@@ -6,6 +6,7 @@ import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../../../lib/auth';
 import bcrypt from 'bcryptjs';
 import { auditService } from '../../../../lib/services/auditService';
+import { isValidGstin } from '../../../../lib/utils';
 
 // GET all vendors
 export async function GET(request) {
@@ -62,6 +63,11 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Missing required fields' }, { status: 400 });
     }
 
+    const gstin = (vendorData.gstin || '').trim().toUpperCase();
+    if (gstin && !isValidGstin(gstin)) {
+      return NextResponse.json({ error: 'GSTIN is invalid' }, { status: 400 });
+    }
+
     // Check if vendor with email already exists
     const existingVendor = await vendorStorage.getByEmail(vendorData.email);
     if (existingVendor) {
@@ -95,6 +101,7 @@ export async function POST(request) {
       description: vendorData.description || null,
       services: vendorData.services || [],
       serviceAreas: vendorData.serviceAreas || [],
+      gstin: gstin || null,
       status: vendorData.status || 'Pending'
     });
     
@@ -0,0 +1,39 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../../lib/auth';
+import { walletService } from '../../../../../lib/services/walletService';
+import { withRateLimit } from '../../../../../lib/middleware/rateLimitMiddleware';
+
+// POST /api/affiliate/earnings/transfer - Move the current user's pending earnings into their wallet
+async function transferEarnings() {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let transfer;
+    try {
+      transfer = await walletService.transferAffiliateEarnings(session.user.id);
+    } catch (error) {
+      const status = error.message === 'Affiliate account not found' ? 404 : 400;
+      return NextResponse.json({ error: error.message }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      transfer
+    });
+  } catch (error) {
+    console.error('Error moving earnings to wallet:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to move earnings to wallet' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handler
+export const POST = withRateLimit(transferEarnings, 'payment');
@@ -0,0 +1,57 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../../lib/auth';
+import { vendorService } from '../../../../../lib/services/vendorService';
+import { claimService } from '../../../../../lib/services/claimService';
+import { withRateLimit } from '../../../../../lib/middleware/rateLimitMiddleware';
+
+// POST /api/claims/[claimId]/respond - Vendor's response to a claim against them
+async function respondToClaim(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session || session.user.role !== 'vendor') {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const vendor = await vendorService.getVendorByEmail(session.user.email);
+    if (!vendor) {
+      return NextResponse.json({ error: 'Vendor not found' }, { status: 404 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    let claim;
+    try {
+      claim = await claimService.respondToClaim(params.claimId, vendor.id, {
+        response: body.response,
+        acceptedAmount: body.acceptedAmount
+      }, session.user.email);
+    } catch (error) {
+      const status = error.message === 'Claim not found' ? 404
+        : error.message.startsWith('This claim is not against') ? 403
+        : 400;
+      return NextResponse.json({ error: error.message }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      claim
+    });
+  } catch (error) {
+    console.error('Error responding to claim:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to respond to claim' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handler
+export const POST = withRateLimit(respondToClaim, 'orders');
@@ -0,0 +1,63 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../lib/auth';
+import { vendorService } from '../../../../lib/services/vendorService';
+import { claimService } from '../../../../lib/services/claimService';
+import { withRateLimit } from '../../../../lib/middleware/rateLimitMiddleware';
+
+// GET /api/claims/[claimId] - Claim details, or one of its photos with ?file=
+async function getClaim(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const claim = await claimService.getClaim(params.claimId);
+    if (!claim) {
+      return NextResponse.json({ error: 'Claim not found' }, { status: 404 });
+    }
+
+    // Only the customer, the vendor the claim is against and admins can see it
+    let isAuthorized = session.user.role === 'admin' || claim.customerEmail === session.user.email;
+    if (!isAuthorized && session.user.role === 'vendor') {
+      const vendor = await vendorService.getVendorByEmail(session.user.email);
+      isAuthorized = !!vendor && vendor.id === claim.vendorId;
+    }
+
+    if (!isAuthorized) {
+      return NextResponse.json({ error: 'Not authorized to view this claim' }, { status: 403 });
+    }
+
+    const fileName = new URL(request.url).searchParams.get('file');
+    if (fileName) {
+      const file = await claimService.readPhoto(claim.id, fileName);
+      if (!file) {
+        return NextResponse.json({ error: 'File not found' }, { status: 404 });
+      }
+
+      return new NextResponse(file.buffer, {
+        headers: {
+          'Content-Type': file.contentType,
+          'Cache-Control': 'private, max-age=3600'
+        }
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      claim
+    });
+  } catch (error) {
+    console.error('Error getting claim:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to get claim' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handler
+export const GET = withRateLimit(getClaim, 'orders');
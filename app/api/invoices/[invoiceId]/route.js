@@ -0,0 +1,50 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../lib/auth';
+import { vendorService } from '../../../../lib/services/vendorService';
+import { invoiceService } from '../../../../lib/services/invoiceService';
+
+// GET /api/invoices/[invoiceId] - A tax invoice or credit note as a printable HTML page;
+// ?download=1 saves it as a file
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const document = await invoiceService.getDocument(params.invoiceId);
+    if (!document) {
+      return NextResponse.json({ error: 'Invoice not found' }, { status: 404 });
+    }
+
+    // Only the customer, the order's vendor and admins can see its invoices
+    let isAuthorized = session.user.role === 'admin' || document.customerId === session.user.id;
+    if (!isAuthorized && session.user.role === 'vendor') {
+      const vendor = await vendorService.getVendorByEmail(session.user.email);
+      isAuthorized = !!vendor && [document.vendorId, document.orderVendorId].includes(vendor.id);
+    }
+
+    if (!isAuthorized) {
+      return NextResponse.json({ error: 'Not authorized to view this invoice' }, { status: 403 });
+    }
+
+    const html = await invoiceService.renderHtml(document);
+    const headers = { 'Content-Type': 'text/html; charset=utf-8' };
+
+    const { searchParams } = new URL(request.url);
+    if (searchParams.get('download')) {
+      headers['Content-Disposition'] = `attachment; filename="${document.number.replace(/\//g, '-')}.html"`;
+    }
+
+    return new NextResponse(html, { headers });
+  } catch (error) {
+    console.error('Error getting invoice:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to get invoice' },
+      { status: 500 }
+    );
+  }
+}
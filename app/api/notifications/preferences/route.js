@@ -55,14 +55,20 @@ async function updateNotificationPreferences(request) {
     }
 
     // Update notification preferences
-    await notificationService.updateNotificationPreferences(
-      session.user.email,
-      preferences
-    );
+    let updatedPreferences;
+    try {
+      updatedPreferences = await notificationService.updateNotificationPreferences(
+        session.user.email,
+        preferences
+      );
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
 
     return NextResponse.json({
       success: true,
       message: 'Notification preferences updated',
+      preferences: updatedPreferences,
     });
   } catch (error) {
     console.error('Error updating notification preferences:', error);
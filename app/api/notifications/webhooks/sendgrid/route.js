@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server'
+import { notificationOutboxService } from '../../../../../lib/services/notificationOutboxService'
+
+export const dynamic = 'force-dynamic'
+
+/**
+ * SendGrid event webhook receiver, which marks sent emails delivered, bounced or failed.
+ * Authenticated by SendGrid's signed event webhook rather than a session. Failures
+ * return 500 so that SendGrid retries them.
+ */
+export async function POST(request) {
+  try {
+    // The signature covers the body exactly as sent, so read it before parsing
+    const rawBody = await request.text()
+    const signature = request.headers.get('x-twilio-email-event-webhook-signature')
+    const timestamp = request.headers.get('x-twilio-email-event-webhook-timestamp')
+
+    if (!notificationOutboxService.verifySendGridSignature(rawBody, signature, timestamp)) {
+      return NextResponse.json(
+        { error: 'Invalid webhook signature' },
+        { status: 400 }
+      )
+    }
+
+    let events
+    try {
+      events = JSON.parse(rawBody)
+    } catch (error) {
+      return NextResponse.json(
+        { error: 'Invalid JSON in request body' },
+        { status: 400 }
+      )
+    }
+
+    const updated = await notificationOutboxService.handleSendGridEvents(events)
+
+    return NextResponse.json({
+      success: true,
+      updated
+    })
+  } catch (error) {
+    console.error('Error processing SendGrid webhook:', error)
+    return NextResponse.json(
+      { error: 'Failed to process webhook' },
+      { status: 500 }
+    )
+  }
+}
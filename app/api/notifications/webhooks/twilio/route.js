@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server'
+import { notificationOutboxService } from '../../../../../lib/services/notificationOutboxService'
+
+export const dynamic = 'force-dynamic'
+
+/**
+ * Twilio status callback for SMS and WhatsApp messages, which marks sent messages
+ * delivered, bounced (undelivered) or failed. Authenticated by Twilio's request
+ * signature rather than a session. Failures return 500 so that Twilio retries them.
+ */
+export async function POST(request) {
+  try {
+    const formData = await request.formData()
+    const params = Object.fromEntries(formData.entries())
+    const signature = request.headers.get('x-twilio-signature')
+
+    if (!notificationOutboxService.verifyTwilioSignature(signature, params)) {
+      return NextResponse.json(
+        { error: 'Invalid webhook signature' },
+        { status: 400 }
+      )
+    }
+
+    const message = await notificationOutboxService.handleTwilioStatus(params)
+
+    return NextResponse.json({
+      success: true,
+      updated: message ? 1 : 0
+    })
+  } catch (error) {
+    console.error('Error processing Twilio status callback:', error)
+    return NextResponse.json(
+      { error: 'Failed to process webhook' },
+      { status: 500 }
+    )
+  }
+}
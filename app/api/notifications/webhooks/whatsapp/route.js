@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server'
+import { notificationOutboxService } from '../../../../../lib/services/notificationOutboxService'
+import { whatsappConversationService } from '../../../../../lib/services/whatsappConversationService'
+
+export const dynamic = 'force-dynamic'
+
+/**
+ * Twilio webhook for incoming WhatsApp messages: customers' replies to WhatsApp
+ * notifications, which are applied to the order they were about. Set it as the
+ * "when a message comes in" URL of the WhatsApp sender in Twilio. Authenticated by
+ * Twilio's request signature rather than a session. Replies to the customer are sent
+ * through the outbox, so the response is empty TwiML.
+ */
+export async function POST(request) {
+  try {
+    const formData = await request.formData()
+    const params = Object.fromEntries(formData.entries())
+    const signature = request.headers.get('x-twilio-signature')
+
+    if (!notificationOutboxService.verifyTwilioSignature(signature, params, 'whatsapp')) {
+      return NextResponse.json(
+        { error: 'Invalid webhook signature' },
+        { status: 400 }
+      )
+    }
+
+    await whatsappConversationService.handleInbound({
+      from: params.From,
+      body: params.Body,
+      buttonId: params.ButtonPayload,
+      buttonText: params.ButtonText,
+      providerMessageId: params.OriginalRepliedMessageSid
+    })
+
+    return new NextResponse('<Response></Response>', {
+      headers: { 'Content-Type': 'text/xml' }
+    })
+  } catch (error) {
+    console.error('Error processing incoming WhatsApp message:', error)
+    return NextResponse.json(
+      { error: 'Failed to process webhook' },
+      { status: 500 }
+    )
+  }
+}
@@ -4,13 +4,11 @@ import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../../../../lib/auth';
 import { orderService } from '../../../../../lib/services/orderService';
-import { riderService } from '../../../../../lib/services/riderService';
+import { dispatchService } from '../../../../../lib/services/dispatchService';
 import { pincodeStorage } from '../../../../../lib/storage';
-import { userService } from '../../../../../lib/services/userService';
-import { notificationService } from '../../../../../lib/services/notificationService';
 import { withRateLimit } from '../../../../../lib/middleware/rateLimitMiddleware';
 
-// POST /api/orders/[orderId]/assign-rider - Assign a rider to an order
+// POST /api/orders/[orderId]/assign-rider - Offer an order to nearby riders
 async function assignRider(request, { params }) {
   try {
     // Check if user is authenticated
@@ -53,7 +51,7 @@ async function assignRider(request, { params }) {
     // If pickup location is not available, try to get it from the pincode
     if (!pickupLocation.lat || !pickupLocation.lon) {
       // Get location data from pincode
-      const pincode = await pincodeStorage.getByPincode(order.pickupPincode);
+      const pincode = await pincodeStorage.getByCode(order.pickupPincode);
       
       if (!pincode || !pincode.lat || !pincode.lon) {
         return NextResponse.json(
@@ -66,21 +64,15 @@ async function assignRider(request, { params }) {
       pickupLocation.lon = pincode.lon;
     }
     
-    // Assign rider to delivery
-    const rider = await riderService.assignRiderToDelivery(orderId, pickupLocation);
-    
-    // Get user details for notification
-    const user = await userService.getUserByEmail(order.userEmail);
-    
-    // Send notification to user
-    if (user) {
-      await notificationService.sendUserRiderAssignmentNotification(order, user, rider);
-    }
+    // Offer the order to the first batch of riders; the customer is notified once one accepts
+    const dispatch = await dispatchService.dispatchOrder(orderId, pickupLocation);
     
     return NextResponse.json({
       success: true,
-      message: `Rider ${rider.name} assigned to order ${orderId}`,
-      rider
+      message: dispatch.status === 'offered'
+        ? `Order ${orderId} offered to ${dispatch.offers.length} rider(s)`
+        : `No riders available for order ${orderId}, queued for manual assignment`,
+      dispatch
     });
   } catch (error) {
     console.error('Error assigning rider:', error);
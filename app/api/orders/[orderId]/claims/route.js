@@ -0,0 +1,97 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../../lib/auth';
+import { orderService } from '../../../../../lib/services/orderService';
+import { vendorService } from '../../../../../lib/services/vendorService';
+import { claimService } from '../../../../../lib/services/claimService';
+import { withRateLimit } from '../../../../../lib/middleware/rateLimitMiddleware';
+
+// GET /api/orders/[orderId]/claims - Claims on an order and the inventory items that can be claimed
+async function getOrderClaims(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { orderId } = params;
+    const order = await orderService.getOrderById(orderId);
+    if (!order) {
+      return NextResponse.json({ error: 'Order not found' }, { status: 404 });
+    }
+
+    // Only the customer, the order's vendor and admins can see its claims
+    let isAuthorized = session.user.role === 'admin' || order.userEmail === session.user.email;
+    if (!isAuthorized && session.user.role === 'vendor') {
+      const vendor = await vendorService.getVendorByEmail(session.user.email);
+      isAuthorized = !!vendor && vendor.id === order.vendorId;
+    }
+
+    if (!isAuthorized) {
+      return NextResponse.json({ error: 'Not authorized to view claims on this order' }, { status: 403 });
+    }
+
+    const [claims, claimableItems] = await Promise.all([
+      claimService.getClaims({ orderId }),
+      claimService.getClaimableItems(orderId)
+    ]);
+
+    return NextResponse.json({
+      success: true,
+      claims,
+      claimableItems
+    });
+  } catch (error) {
+    console.error('Error getting order claims:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to get claims' },
+      { status: 500 }
+    );
+  }
+}
+
+// POST /api/orders/[orderId]/claims - File a damage or missing item claim
+async function fileClaim(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    const { type, description, items, photos } = body;
+
+    let claim;
+    try {
+      claim = await claimService.fileClaim(session.user.email, params.orderId, { type, description, items, photos });
+    } catch (error) {
+      const status = error.message === 'Order not found' ? 404
+        : error.message.startsWith('Only the customer') ? 403
+        : 400;
+      return NextResponse.json({ error: error.message }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      claim
+    }, { status: 201 });
+  } catch (error) {
+    console.error('Error filing claim:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to file claim' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handlers
+export const GET = withRateLimit(getOrderClaims, 'orders');
+export const POST = withRateLimit(fileClaim, 'orders');
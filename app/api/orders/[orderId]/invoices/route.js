@@ -0,0 +1,48 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../../lib/auth';
+import { orderService } from '../../../../../lib/services/orderService';
+import { vendorService } from '../../../../../lib/services/vendorService';
+import { invoiceService } from '../../../../../lib/services/invoiceService';
+
+// GET /api/orders/[orderId]/invoices - The order's tax invoices and credit notes
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { orderId } = params;
+    const order = await orderService.getOrderById(orderId);
+    if (!order) {
+      return NextResponse.json({ error: 'Order not found' }, { status: 404 });
+    }
+
+    // Only the customer, the order's vendor and admins can see its invoices
+    let isAuthorized = session.user.role === 'admin' || order.userEmail === session.user.email;
+    if (!isAuthorized && session.user.role === 'vendor') {
+      const vendor = await vendorService.getVendorByEmail(session.user.email);
+      isAuthorized = !!vendor && vendor.id === order.vendorId;
+    }
+
+    if (!isAuthorized) {
+      return NextResponse.json({ error: 'Not authorized to view this order\'s invoices' }, { status: 403 });
+    }
+
+    const documents = await invoiceService.getOrderDocuments(orderId);
+
+    return NextResponse.json({
+      success: true,
+      invoices: documents
+    });
+  } catch (error) {
+    console.error('Error getting invoices:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to get invoices' },
+      { status: 500 }
+    );
+  }
+}
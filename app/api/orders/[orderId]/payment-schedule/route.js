@@ -0,0 +1,50 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../../lib/auth';
+import { orderService } from '../../../../../lib/services/orderService';
+import { vendorService } from '../../../../../lib/services/vendorService';
+import { paymentScheduleService } from '../../../../../lib/services/paymentScheduleService';
+
+// GET /api/orders/[orderId]/payment-schedule - The order's installments; before booking,
+// a preview of the split for the quote from ?vendorId
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { orderId } = params;
+    const order = await orderService.getOrderById(orderId);
+    if (!order) {
+      return NextResponse.json({ error: 'Order not found' }, { status: 404 });
+    }
+
+    // Only the customer, the order's vendor and admins can see its payment schedule
+    let isAuthorized = session.user.role === 'admin' || order.userEmail === session.user.email;
+    if (!isAuthorized && session.user.role === 'vendor') {
+      const vendor = await vendorService.getVendorByEmail(session.user.email);
+      isAuthorized = !!vendor && vendor.id === order.vendorId;
+    }
+
+    if (!isAuthorized) {
+      return NextResponse.json({ error: 'Not authorized to view this order\'s payments' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const schedule = await paymentScheduleService.getSchedule(orderId, searchParams.get('vendorId'));
+
+    return NextResponse.json({
+      success: true,
+      schedule
+    });
+  } catch (error) {
+    console.error('Error getting payment schedule:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to get payment schedule' },
+      { status: 500 }
+    );
+  }
+}
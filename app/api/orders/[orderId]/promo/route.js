@@ -0,0 +1,118 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../../lib/auth';
+import { orderService } from '../../../../../lib/services/orderService';
+import { discountService } from '../../../../../lib/services/discountService';
+import { withRateLimit } from '../../../../../lib/middleware/rateLimitMiddleware';
+
+// GET /api/orders/[orderId]/promo?vendorId= - Price of booking the vendor's quote, with
+// the vendor's tier discount and the promo code applied to the order
+async function getPrice(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const order = await orderService.getOrderById(params.orderId);
+    if (!order) {
+      return NextResponse.json({ error: 'Order not found' }, { status: 404 });
+    }
+    if (session.user.role !== 'admin' && order.userEmail !== session.user.email) {
+      return NextResponse.json({ error: 'Not authorized to view this order' }, { status: 403 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const price = await discountService.getOrderPrice(params.orderId, searchParams.get('vendorId'));
+    if (!price) {
+      return NextResponse.json({ error: 'Quote not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      price
+    });
+  } catch (error) {
+    console.error('Error getting order price:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to get order price' },
+      { status: 500 }
+    );
+  }
+}
+
+// POST /api/orders/[orderId]/promo - Apply a promo code before booking. Body: { code, vendorId }
+async function applyPromoCode(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    if (!body.code) {
+      return NextResponse.json({ error: 'Enter a promo code' }, { status: 400 });
+    }
+
+    let price;
+    try {
+      price = await discountService.applyPromoCode(params.orderId, body.code, session.user.email, body.vendorId);
+    } catch (error) {
+      const status = error.message === 'Order not found' ? 404
+        : error.message.startsWith('You are not authorized') ? 403
+        : 400;
+      return NextResponse.json({ error: error.message }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      price
+    });
+  } catch (error) {
+    console.error('Error applying promo code:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to apply promo code' },
+      { status: 500 }
+    );
+  }
+}
+
+// DELETE /api/orders/[orderId]/promo - Remove the promo code before booking
+async function removePromoCode(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    try {
+      await discountService.removePromoCode(params.orderId, session.user.email);
+    } catch (error) {
+      const status = error.message === 'Order not found' ? 404
+        : error.message.startsWith('You are not authorized') ? 403
+        : 400;
+      return NextResponse.json({ error: error.message }, { status });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error removing promo code:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to remove promo code' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handlers; applying codes shares the stricter payment limit
+export const GET = withRateLimit(getPrice, 'orders');
+export const POST = withRateLimit(applyPromoCode, 'payment');
+export const DELETE = withRateLimit(removePromoCode, 'orders');
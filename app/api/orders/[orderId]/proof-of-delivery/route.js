@@ -0,0 +1,108 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../../lib/auth';
+import { orderService } from '../../../../../lib/services/orderService';
+import { riderService } from '../../../../../lib/services/riderService';
+import { proofOfDeliveryService } from '../../../../../lib/services/proofOfDeliveryService';
+import { withRateLimit } from '../../../../../lib/middleware/rateLimitMiddleware';
+
+// GET /api/orders/[orderId]/proof-of-delivery - Proof summary, or a stored image with ?file=
+async function getProofOfDelivery(request, { params }) {
+  try {
+    // Check if user is authenticated
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { orderId } = params;
+    
+    // Get order details
+    const order = await orderService.getOrderById(orderId);
+    
+    if (!order) {
+      return NextResponse.json({ error: 'Order not found' }, { status: 404 });
+    }
+    
+    // Only the customer, the assigned rider and admins can see the proof
+    let isAuthorized = session.user.role === 'admin' || order.userEmail === session.user.email;
+    if (!isAuthorized && session.user.role === 'rider') {
+      const rider = await riderService.getRiderByEmail(session.user.email);
+      isAuthorized = !!rider && rider.id === order.riderId;
+    }
+    
+    if (!isAuthorized) {
+      return NextResponse.json({ error: 'Not authorized to view this proof of delivery' }, { status: 403 });
+    }
+    
+    const fileName = new URL(request.url).searchParams.get('file');
+    if (fileName) {
+      const file = await proofOfDeliveryService.readFile(orderId, fileName);
+      if (!file) {
+        return NextResponse.json({ error: 'File not found' }, { status: 404 });
+      }
+
+      return new NextResponse(file.buffer, {
+        headers: {
+          'Content-Type': file.contentType,
+          'Cache-Control': 'private, max-age=3600'
+        }
+      });
+    }
+    
+    const proof = await proofOfDeliveryService.getProofDetails(orderId);
+    
+    return NextResponse.json({
+      success: true,
+      proof
+    });
+  } catch (error) {
+    console.error('Error getting proof of delivery:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to get proof of delivery' },
+      { status: 500 }
+    );
+  }
+}
+
+// POST /api/orders/[orderId]/proof-of-delivery - Admin override of the delivery OTP
+async function overrideDeliveryOtp(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session || session.user.role !== 'admin') {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    let proof;
+    try {
+      proof = await proofOfDeliveryService.recordOverride(params.orderId, session.user.email, body.reason);
+    } catch (error) {
+      const status = error.message === 'Order not found' ? 404 : 400;
+      return NextResponse.json({ error: error.message }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      proof
+    });
+  } catch (error) {
+    console.error('Error overriding delivery OTP:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to override delivery OTP' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handlers
+export const GET = withRateLimit(getProofOfDelivery, 'orders');
+export const POST = withRateLimit(overrideDeliveryOtp, 'orders');
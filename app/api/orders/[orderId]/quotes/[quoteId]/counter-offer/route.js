@@ -0,0 +1,54 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../../../../lib/auth';
+import { quoteService } from '../../../../../../../lib/services/quoteService';
+import { withRateLimit } from '../../../../../../../lib/middleware/rateLimitMiddleware';
+
+// POST /api/orders/[orderId]/quotes/[quoteId]/counter-offer - Counter-offer a lower price.
+// Body: { amount, message }
+async function makeCounterOffer(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    const quotes = await quoteService.getQuotesForOrder(params.orderId);
+    if (!quotes.some(quote => quote.id === params.quoteId)) {
+      return NextResponse.json({ error: 'Quote not found' }, { status: 404 });
+    }
+
+    let quote;
+    try {
+      quote = await quoteService.makeCounterOffer(params.quoteId, body, session.user.email);
+    } catch (error) {
+      const status = error.message === 'Quote not found' ? 404
+        : error.message.startsWith('You are not authorized') ? 403
+        : 400;
+      return NextResponse.json({ error: error.message }, { status });
+    }
+
+    return NextResponse.json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    console.error('Error making counter-offer:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to make counter-offer' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handler
+export const POST = withRateLimit(makeCounterOffer, 'orders');
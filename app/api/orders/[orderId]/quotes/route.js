@@ -0,0 +1,49 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../../lib/auth';
+import { orderService } from '../../../../../lib/services/orderService';
+import { vendorService } from '../../../../../lib/services/vendorService';
+import { quoteService } from '../../../../../lib/services/quoteService';
+import { withRateLimit } from '../../../../../lib/middleware/rateLimitMiddleware';
+
+// GET /api/orders/[orderId]/quotes - Quotes on an order with their revisions and counter-offers
+async function getOrderQuotes(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { orderId } = params;
+    const order = await orderService.getOrderById(orderId);
+    if (!order) {
+      return NextResponse.json({ error: 'Order not found' }, { status: 404 });
+    }
+
+    let quotes = await quoteService.getQuotesForOrder(orderId);
+
+    // The customer and admins see every quote; a vendor only sees their own
+    if (session.user.role === 'vendor' && order.userEmail !== session.user.email) {
+      const vendor = await vendorService.getVendorByEmail(session.user.email);
+      quotes = vendor ? quotes.filter(quote => quote.vendorId === vendor.id) : [];
+    } else if (session.user.role !== 'admin' && order.userEmail !== session.user.email) {
+      return NextResponse.json({ error: 'Not authorized to view quotes on this order' }, { status: 403 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      quotes
+    });
+  } catch (error) {
+    console.error('Error getting order quotes:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to get quotes' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handler
+export const GET = withRateLimit(getOrderQuotes, 'orders');
@@ -7,6 +7,7 @@ import { orderService } from '../../../../../lib/services/orderService';
 import { orderStorage } from '../../../../../lib/storage';
 import { riderService } from '../../../../../lib/services/riderService';
 import { notificationService } from '../../../../../lib/services/notificationService';
+import { OrderTransitionError } from '../../../../../lib/services/orderStateMachine';
 import { withRateLimit } from '../../../../../lib/middleware/rateLimitMiddleware';
 
 // POST /api/orders/[orderId]/status - Update order status
@@ -77,7 +78,7 @@ async function updateOrderStatus(request, { params }) {
           orderId,
           status,
           notes,
-          session.user.email
+          { role: 'rider', email: session.user.email }
         );
         
         // Send notification to user about status update
@@ -126,7 +127,7 @@ async function updateOrderStatus(request, { params }) {
     console.error('Error updating order status:', error);
     return NextResponse.json(
       { error: error.message || 'Failed to update order status' },
-      { status: 500 }
+      { status: error instanceof OrderTransitionError ? error.status : 500 }
     );
   }
 }
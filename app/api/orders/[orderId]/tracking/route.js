@@ -0,0 +1,56 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../../../lib/auth';
+import { orderService } from '../../../../../lib/services/orderService';
+import { riderService } from '../../../../../lib/services/riderService';
+import { trackingService } from '../../../../../lib/services/trackingService';
+import { withRateLimit } from '../../../../../lib/middleware/rateLimitMiddleware';
+
+// GET /api/orders/[orderId]/tracking - Route trail, ETA and geofence events for a delivery
+async function getOrderTracking(request, { params }) {
+  try {
+    // Check if user is authenticated
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { orderId } = params;
+    
+    // Get order details
+    const order = await orderService.getOrderById(orderId);
+    
+    if (!order) {
+      return NextResponse.json({ error: 'Order not found' }, { status: 404 });
+    }
+    
+    // Only the customer, the assigned rider and admins can follow the delivery
+    let isAuthorized = session.user.role === 'admin' || order.userEmail === session.user.email;
+    if (!isAuthorized && session.user.role === 'rider') {
+      const rider = await riderService.getRiderByEmail(session.user.email);
+      isAuthorized = !!rider && rider.id === order.riderId;
+    }
+    
+    if (!isAuthorized) {
+      return NextResponse.json({ error: 'Not authorized to track this order' }, { status: 403 });
+    }
+    
+    const tracking = await trackingService.getTracking(orderId);
+    
+    return NextResponse.json({
+      success: true,
+      ...tracking
+    });
+  } catch (error) {
+    console.error('Error getting order tracking:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to get order tracking' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handler
+export const GET = withRateLimit(getOrderTracking, 'orders');
@@ -30,7 +30,7 @@ async function createPaymentOrder(request) {
     }
 
     // Validate required fields
-    const { orderId, quoteId } = requestData;
+    const { orderId, quoteId, useWallet } = requestData;
     if (!orderId || !quoteId) {
       return NextResponse.json(
         { error: 'Missing required fields: orderId and quoteId' },
@@ -51,7 +51,8 @@ async function createPaymentOrder(request) {
       const paymentOrder = await paymentService.createPaymentOrder(
         orderId,
         quoteId,
-        session.user.email
+        session.user.email,
+        { useWallet: Boolean(useWallet) }
       );
 
       return NextResponse.json(paymentOrder);
@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server'
+import { getServerSession } from 'next-auth'
+import { authOptions } from '../../../../lib/auth'
+import { getMockGateway, isTestMode } from '../../../../lib/paymentGateway'
+import { FAILURE_MODES } from '../../../../lib/mockPaymentGateway'
+import { withRateLimit } from '../../../../lib/middleware/rateLimitMiddleware'
+
+export const dynamic = 'force-dynamic'
+
+/**
+ * Stands in for the Razorpay checkout widget in test mode: pays a mock gateway order
+ * with the requested outcome and returns what the widget would hand to its success
+ * handler, for the client to verify through /api/payment/verify as usual.
+ */
+async function mockCheckout(request) {
+  try {
+    const session = await getServerSession(authOptions)
+    if (!session) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    if (!(await isTestMode())) {
+      return NextResponse.json(
+        { error: 'Payment test mode is not enabled' },
+        { status: 404 }
+      )
+    }
+
+    let requestData;
+    try {
+      requestData = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        { error: 'Invalid JSON in request body' },
+        { status: 400 }
+      );
+    }
+
+    const { gatewayOrderId, outcome = 'success' } = requestData
+    if (!gatewayOrderId) {
+      return NextResponse.json(
+        { error: 'Missing required field: gatewayOrderId' },
+        { status: 400 }
+      )
+    }
+    if (outcome !== 'success' && !FAILURE_MODES.includes(outcome)) {
+      return NextResponse.json(
+        { error: `outcome must be success or one of: ${FAILURE_MODES.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const gateway = getMockGateway()
+    try {
+      const gatewayOrder = await gateway.orders.fetch(gatewayOrderId)
+      if (gatewayOrder.notes.userEmail !== session.user.email) {
+        return NextResponse.json(
+          { error: 'You are not authorized to pay for this order' },
+          { status: 403 }
+        )
+      }
+
+      const response = await gateway.checkout(gatewayOrderId, { outcome })
+      return NextResponse.json(response)
+    } catch (error) {
+      // Shaped like the Razorpay checkout's payment.failed response
+      return NextResponse.json(
+        { error: error.error || { description: error.message } },
+        { status: error.statusCode || 400 }
+      )
+    }
+  } catch (error) {
+    console.error('Unexpected error in mock checkout API:', error)
+    return NextResponse.json(
+      { error: 'An unexpected error occurred' },
+      { status: 500 }
+    )
+  }
+}
+
+export const POST = withRateLimit(mockCheckout, 'payment');
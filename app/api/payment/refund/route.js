@@ -38,7 +38,7 @@ async function processRefund(request) {
     }
 
     // Validate required fields
-    const { orderId, paymentId, amount, reason } = requestData;
+    const { orderId, paymentId, amount, reason, toWallet } = requestData;
     if (!orderId || !paymentId) {
       return NextResponse.json(
         { error: 'Missing required fields: orderId and paymentId' },
@@ -53,15 +53,18 @@ async function processRefund(request) {
         paymentId,
         amount,
         reason,
-        session.user.email
+        { role: 'admin', email: session.user.email },
+        { toWallet: Boolean(toWallet) }
       );
 
       return NextResponse.json({
         success: true,
-        refundId: refundResult.id,
+        refundId: refundResult.refundId,
         amount: refundResult.amount,
         status: refundResult.status,
-        message: 'Refund processed successfully'
+        destination: refundResult.destination,
+        refundableAmount: refundResult.refundableAmount,
+        message: refundResult.destination === 'wallet' ? 'Refund credited to the customer\'s wallet' : 'Refund processed successfully'
       });
     } catch (error) {
       console.error('Error processing refund:', error);
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server'
+import { paymentService } from '../../../../lib/services/paymentService'
+
+export const dynamic = 'force-dynamic'
+
+/**
+ * Razorpay webhook receiver for payment.captured, payment.failed and refund.processed.
+ * Called by the gateway rather than a user, so it is authenticated by the webhook
+ * signature instead of a session. Failures return 500 so that Razorpay retries them.
+ */
+export async function POST(request) {
+  try {
+    // The signature covers the body exactly as sent, so read it before parsing
+    const rawBody = await request.text()
+    const signature = request.headers.get('x-razorpay-signature')
+
+    if (!(await paymentService.verifyWebhookSignature(rawBody, signature))) {
+      return NextResponse.json(
+        { error: 'Invalid webhook signature' },
+        { status: 400 }
+      )
+    }
+
+    let event
+    try {
+      event = JSON.parse(rawBody)
+    } catch (error) {
+      return NextResponse.json(
+        { error: 'Invalid JSON in request body' },
+        { status: 400 }
+      )
+    }
+
+    const eventId = request.headers.get('x-razorpay-event-id')
+    if (!eventId) {
+      return NextResponse.json(
+        { error: 'Missing event ID' },
+        { status: 400 }
+      )
+    }
+
+    const result = await paymentService.handleWebhookEvent(eventId, event)
+
+    return NextResponse.json({
+      success: true,
+      ...result
+    })
+  } catch (error) {
+    console.error('Error processing payment webhook:', error)
+    return NextResponse.json(
+      { error: 'Failed to process webhook' },
+      { status: 500 }
+    )
+  }
+}
@@ -1,6 +1,8 @@
 export const dynamic = 'force-dynamic';
 
 import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../lib/auth';
 import { calculateMovingCost, getQuickEstimate, getAvailableMoveSizes, getCostFactors, getDetailedEstimate } from '../../../lib/services/pricingService';
 
 /**
@@ -32,11 +34,20 @@ export async function POST(request) {
     const orderType = body.orderType || 'moving';
     
     // Validate required fields based on order type
-    let requiredFields = ['fromZip', 'toZip'];
+    // Multi-stop moves send an ordered `stops` array instead of fromZip/toZip
+    const hasStops = orderType === 'moving' && Array.isArray(body.stops) && body.stops.length > 0;
+    let requiredFields = hasStops ? [] : ['fromZip', 'toZip'];
     
     if (orderType === 'moving') {
       requiredFields.push('moveSize');
     }
+    
+    if (hasStops && body.stops.length < 2) {
+      return NextResponse.json(
+        { success: false, error: 'At least two stops are required' },
+        { status: 400 }
+      );
+    }
     // Parcel weight is now optional as we use default values
     
     const missingFields = requiredFields.filter(field => !body[field]);
@@ -51,8 +62,11 @@ export async function POST(request) {
       );
     }
     
+    // Promo code limits per customer are checked for the signed-in user, if any
+    const session = await getServerSession(authOptions);
+    
     // Calculate detailed estimate based on order type
-    const estimate = await getDetailedEstimate(body);
+    const estimate = await getDetailedEstimate({ ...body, userEmail: session?.user?.email || null });
     
     return NextResponse.json({ success: true, data: estimate });
   } catch (error) {
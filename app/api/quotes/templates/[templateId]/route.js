@@ -4,6 +4,7 @@ import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../../../../lib/auth';
 import { vendorService } from '../../../../../lib/services/vendorService';
+import { quoteTemplateService } from '../../../../../lib/services/quoteTemplateService';
 import { withRateLimit } from '../../../../../lib/middleware/rateLimitMiddleware';
 
 // GET /api/quotes/templates/[templateId] - Get a specific quote template
@@ -18,7 +19,7 @@ async function getQuoteTemplate(request, { params }) {
     const { templateId } = params;
     
     // Get the quote template
-    const template = await vendorService.getQuoteTemplateById(templateId);
+    const template = await quoteTemplateService.getTemplateById(templateId);
     
     if (!template) {
       return NextResponse.json({ error: 'Quote template not found' }, { status: 404 });
@@ -63,7 +64,7 @@ async function updateQuoteTemplate(request, { params }) {
     const { templateId } = params;
     
     // Get the quote template
-    const template = await vendorService.getQuoteTemplateById(templateId);
+    const template = await quoteTemplateService.getTemplateById(templateId);
     
     if (!template) {
       return NextResponse.json({ error: 'Quote template not found' }, { status: 404 });
@@ -85,10 +86,10 @@ async function updateQuoteTemplate(request, { params }) {
     
     // Parse request body
     const body = await request.json();
-    const { name, description, baseAmount, details } = body;
+    const { name, description, baseAmount, details, variables } = body;
     
     // Validate required fields
-    if (!name || !baseAmount) {
+    if (!name || baseAmount === undefined || baseAmount === null) {
       return NextResponse.json(
         { error: 'Name and base amount are required' },
         { status: 400 }
@@ -96,13 +97,18 @@ async function updateQuoteTemplate(request, { params }) {
     }
     
     // Update the quote template
-    const updatedTemplate = await vendorService.updateQuoteTemplate(
-      templateId,
-      name,
-      description || template.description,
-      baseAmount,
-      details || template.details
-    );
+    let updatedTemplate;
+    try {
+      updatedTemplate = await quoteTemplateService.updateTemplate(templateId, {
+        name,
+        description: description ?? template.description,
+        baseAmount,
+        details: details || template.details,
+        variables: variables || template.variables
+      });
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
 
     return NextResponse.json({
       success: true,
@@ -129,7 +135,7 @@ async function deleteQuoteTemplate(request, { params }) {
     const { templateId } = params;
     
     // Get the quote template
-    const template = await vendorService.getQuoteTemplateById(templateId);
+    const template = await quoteTemplateService.getTemplateById(templateId);
     
     if (!template) {
       return NextResponse.json({ error: 'Quote template not found' }, { status: 404 });
@@ -150,7 +156,7 @@ async function deleteQuoteTemplate(request, { params }) {
     }
     
     // Delete the quote template
-    await vendorService.deleteQuoteTemplate(templateId);
+    await quoteTemplateService.deleteTemplate(templateId);
 
     return NextResponse.json({
       success: true,
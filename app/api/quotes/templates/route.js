@@ -4,6 +4,7 @@ import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../../../lib/auth';
 import { vendorService } from '../../../../lib/services/vendorService';
+import { quoteTemplateService } from '../../../../lib/services/quoteTemplateService';
 import { withRateLimit } from '../../../../lib/middleware/rateLimitMiddleware';
 
 // GET /api/quotes/templates - Get quote templates for a vendor
@@ -42,7 +43,7 @@ async function getQuoteTemplates(request) {
     }
     
     // Get quote templates for the vendor
-    const templates = await vendorService.getQuoteTemplates(vendorId);
+    const templates = await quoteTemplateService.getTemplates(vendorId);
 
     return NextResponse.json({
       success: true,
@@ -68,10 +69,10 @@ async function createQuoteTemplate(request) {
 
     // Parse request body
     const body = await request.json();
-    const { vendorId, name, description, baseAmount, details } = body;
+    const { vendorId, name, description, baseAmount, details, variables } = body;
     
     // Validate required fields
-    if (!vendorId || !name || !baseAmount) {
+    if (!vendorId || !name || baseAmount === undefined || baseAmount === null) {
       return NextResponse.json(
         { error: 'Vendor ID, name, and base amount are required' },
         { status: 400 }
@@ -93,13 +94,18 @@ async function createQuoteTemplate(request) {
     }
     
     // Create the quote template
-    const template = await vendorService.createQuoteTemplate(
-      vendorId,
-      name,
-      description || '',
-      baseAmount,
-      details || {}
-    );
+    let template;
+    try {
+      template = await quoteTemplateService.createTemplate(vendorId, {
+        name,
+        description,
+        baseAmount,
+        details: details || {},
+        variables: variables || []
+      });
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
 
     return NextResponse.json({
       success: true,
@@ -5,7 +5,9 @@ import { getServerSession } from 'next-auth';
 import { authOptions } from '../../../../lib/auth';
 import { orderService } from '../../../../lib/services/orderService';
 import { riderService } from '../../../../lib/services/riderService';
+import { dispatchService } from '../../../../lib/services/dispatchService';
 import { notificationService } from '../../../../lib/services/notificationService';
+import { ORDER_STATUSES, normalizeOrderStatus } from '../../../../lib/orderLifecycle';
 
 export async function POST(request) {
   try {
@@ -33,7 +35,7 @@ export async function POST(request) {
     }
 
     // Check if rider is available
-    if (rider.status !== 'available' && rider.status !== 'pending') {
+    if (!riderService.isRiderAvailable(rider) && rider.status !== 'pending') {
       return NextResponse.json({ error: 'Rider is not available' }, { status: 400 });
     }
 
@@ -44,12 +46,25 @@ export async function POST(request) {
     }
 
     // Check if order is available for acceptance
-    if (order.status !== 'pending' && order.status !== 'rider_requested') {
+    if (order.riderId || normalizeOrderStatus(order.status) !== ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT) {
       return NextResponse.json({ error: 'Order is not available for acceptance' }, { status: 400 });
     }
 
-    // Update order with rider assignment
-    const updatedOrder = await orderService.assignRider(orderId, rider.id);
+    // Claim the order; fails if it's on offer to other riders or another rider got there first
+    await dispatchService.claimOrder(orderId, rider.id);
+
+    // Update order with rider assignment; if that fails, the order goes back on offer
+    let updatedOrder;
+    try {
+      updatedOrder = await orderService.assignRider(orderId, rider.id, session.user.email);
+    } catch (error) {
+      try {
+        await dispatchService.releaseClaim(orderId, rider.id, `Assignment failed: ${error.message}`);
+      } catch (releaseError) {
+        console.error(`Error releasing dispatch claim on order ${orderId}:`, releaseError);
+      }
+      throw error;
+    }
 
     // Update rider status to busy
     await riderService.updateRiderStatus(rider.id, 'busy');
@@ -5,6 +5,7 @@ import { getServerSession } from 'next-auth';
 import { authOptions } from '../../../../lib/auth';
 import { orderService } from '../../../../lib/services/orderService';
 import { riderService } from '../../../../lib/services/riderService';
+import { dispatchService } from '../../../../lib/services/dispatchService';
 
 export async function GET(request) {
   try {
@@ -31,6 +32,9 @@ export async function GET(request) {
       }, { status: 403 });
     }
 
+    // Expire lapsed offers first so their orders cascade to the next batch
+    await dispatchService.processExpiredOffers();
+
     // Get available orders based on rider's service areas
     const availableOrders = await orderService.getAvailableOrdersForRider(rider.id, rider.serviceAreas);
 
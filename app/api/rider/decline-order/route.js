@@ -5,6 +5,8 @@ import { getServerSession } from 'next-auth';
 import { authOptions } from '../../../../lib/auth';
 import { orderService } from '../../../../lib/services/orderService';
 import { riderService } from '../../../../lib/services/riderService';
+import { dispatchService } from '../../../../lib/services/dispatchService';
+import { ORDER_STATUSES, normalizeOrderStatus } from '../../../../lib/orderLifecycle';
 
 export async function POST(request) {
   try {
@@ -38,15 +40,15 @@ export async function POST(request) {
     }
 
     // Check if order is available for declining
-    if (order.status !== 'pending' && order.status !== 'rider_requested') {
+    if (order.riderId || normalizeOrderStatus(order.status) !== ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT) {
       return NextResponse.json({ error: 'Order is not available for declining' }, { status: 400 });
     }
 
     // Record the decline in the system
     await riderService.recordOrderDecline(rider.id, orderId, reason || 'No reason provided');
 
-    // Make the order available for other riders
-    await orderService.makeOrderAvailableForRiders(orderId);
+    // Close the rider's offer; once the whole batch has responded the next batch is offered
+    await dispatchService.declineOffer(orderId, rider.id, reason || 'No reason provided');
 
     return NextResponse.json({
       success: true,
@@ -0,0 +1,87 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth';
+import { orderService } from '../../../../lib/services/orderService';
+import { riderService } from '../../../../lib/services/riderService';
+import { proofOfDeliveryService } from '../../../../lib/services/proofOfDeliveryService';
+
+const ACTIONS = ['resend-otp', 'verify-otp', 'signature', 'photos'];
+
+export async function POST(request) {
+  try {
+    // Check authentication
+    const session = await getServerSession(authOptions);
+    if (!session || session.user.role !== 'rider') {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    // Get request body
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      console.error('Error parsing request body:', error);
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    const { orderId, action } = body;
+
+    // Validate required fields
+    if (!orderId) {
+      return NextResponse.json({ error: 'Order ID is required' }, { status: 400 });
+    }
+
+    if (!ACTIONS.includes(action)) {
+      return NextResponse.json({ error: `Action must be one of: ${ACTIONS.join(', ')}` }, { status: 400 });
+    }
+
+    // Only the assigned rider can record proof for an order
+    const rider = await riderService.getRiderByEmail(session.user.email);
+    if (!rider) {
+      return NextResponse.json({ error: 'Rider not found' }, { status: 404 });
+    }
+
+    const order = await orderService.getOrderById(orderId);
+    if (!order) {
+      return NextResponse.json({ error: 'Order not found' }, { status: 404 });
+    }
+
+    if (order.riderId !== rider.id) {
+      return NextResponse.json({ error: 'You are not assigned to this order' }, { status: 403 });
+    }
+
+    let result;
+    try {
+      switch (action) {
+        case 'resend-otp':
+          result = { otpExpiresAt: (await proofOfDeliveryService.issueOtp(orderId)).expiresAt };
+          break;
+        case 'verify-otp':
+          result = await proofOfDeliveryService.verifyOtp(orderId, body.otp);
+          break;
+        case 'signature':
+          result = await proofOfDeliveryService.saveSignature(orderId, body.signature, body.recipientName);
+          break;
+        case 'photos':
+          result = await proofOfDeliveryService.addPhotos(orderId, body.photos);
+          break;
+      }
+    } catch (error) {
+      // Validation failures (wrong OTP, bad image, wrong status) are the rider's to fix
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      proof: result
+    });
+  } catch (error) {
+    console.error('Error recording proof of delivery:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to record proof of delivery' },
+      { status: 500 }
+    );
+  }
+}
@@ -6,6 +6,8 @@ import { authOptions } from '../../../../lib/auth';
 import { orderService } from '../../../../lib/services/orderService';
 import { riderService } from '../../../../lib/services/riderService';
 import { notificationService } from '../../../../lib/services/notificationService';
+import { OrderTransitionError } from '../../../../lib/services/orderStateMachine';
+import { ORDER_STATUSES, getAvailableTransitions, normalizeOrderStatus, toStatusKey } from '../../../../lib/orderLifecycle';
 
 export async function POST(request) {
   try {
@@ -39,11 +41,9 @@ export async function POST(request) {
     }
 
     // Validate status value
-    const validStatuses = ['accepted', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered', 'failed_delivery', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      return NextResponse.json({ 
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` 
-      }, { status: 400 });
+    const targetStatus = normalizeOrderStatus(status);
+    if (!targetStatus) {
+      return NextResponse.json({ error: `Invalid status '${status}'` }, { status: 400 });
     }
 
     // Get rider details
@@ -76,38 +76,30 @@ export async function POST(request) {
       return NextResponse.json({ error: 'You are not assigned to this order' }, { status: 403 });
     }
 
-    // Validate status transition
-    const currentStatus = order.status;
-    const validTransitions = {
-      'accepted': ['picked_up', 'cancelled'],
-      'picked_up': ['in_transit', 'cancelled'],
-      'in_transit': ['out_for_delivery', 'cancelled'],
-      'out_for_delivery': ['delivered', 'failed_delivery', 'cancelled'],
-      'delivered': [], // Terminal state
-      'failed_delivery': [], // Terminal state
-      'cancelled': [] // Terminal state
-    };
-
-    // If the order is in a different format (e.g., 'Rider Assigned'), allow accepting it
-    if (!validTransitions[currentStatus] && status === 'accepted') {
-      // Allow accepting orders that don't have a standard status yet
-    } else if (validTransitions[currentStatus] && !validTransitions[currentStatus].includes(status)) {
+    // Validate status transition against the order lifecycle
+    if (!getAvailableTransitions(order.status, 'rider').includes(targetStatus)) {
       return NextResponse.json({ 
-        error: `Cannot transition from '${currentStatus}' to '${status}'` 
+        error: `Cannot transition from '${order.status}' to '${status}'` 
       }, { status: 400 });
     }
 
     // Update order status
     let updatedOrder;
     try {
-      updatedOrder = await orderService.updateOrderStatus(orderId, status, notes);
+      updatedOrder = await orderService.updateOrderStatus(orderId, targetStatus, notes, {
+        role: 'rider',
+        email: riderEmail
+      });
     } catch (error) {
       console.error('Error updating order status:', error);
+      if (error instanceof OrderTransitionError) {
+        return NextResponse.json({ error: error.message }, { status: error.status });
+      }
       return NextResponse.json({ error: 'Failed to update order status' }, { status: 500 });
     }
 
     // If delivery is completed or failed, update rider status to available
-    if (status === 'delivered' || status === 'failed_delivery' || status === 'cancelled') {
+    if ([ORDER_STATUSES.DELIVERED, ORDER_STATUSES.FAILED_DELIVERY, ORDER_STATUSES.CANCELLED].includes(targetStatus)) {
       try {
         await riderService.updateRiderStatus(rider.id, 'available');
       } catch (error) {
@@ -118,7 +110,7 @@ export async function POST(request) {
 
     // Send notification to customer
     const statusMessages = {
-      'accepted': 'Your order has been accepted by the rider',
+      'rider_assigned': 'Your order has been accepted by the rider',
       'picked_up': 'Your package has been picked up',
       'in_transit': 'Your package is in transit',
       'out_for_delivery': 'Your package is out for delivery',
@@ -131,11 +123,11 @@ export async function POST(request) {
       await notificationService.sendNotification({
         type: 'ORDER_UPDATE',
         title: 'Order Status Update',
-        message: statusMessages[status] || `Order status updated to ${status}`,
+        message: statusMessages[toStatusKey(targetStatus)] || `Order status updated to ${targetStatus}`,
         recipientEmail: order.userEmail,
         data: {
           orderId: order.orderId,
-          status,
+          status: targetStatus,
           notes: notes || ''
         }
       });
@@ -6,7 +6,7 @@ import { authOptions } from '../../../../lib/auth';
 import { riderService } from '../../../../lib/services/riderService';
 import { withRateLimit } from '../../../../lib/middleware/rateLimitMiddleware';
 
-// GET /api/riders/nearby - Find nearby riders
+// GET /api/riders/nearby - Find nearby riders within a radius, or the k nearest with ?k=
 async function getNearbyRiders(request) {
   try {
     // Check if user is authenticated
@@ -20,6 +20,7 @@ async function getNearbyRiders(request) {
     const lat = searchParams.get('lat');
     const lon = searchParams.get('lon');
     const radius = searchParams.get('radius') ? parseFloat(searchParams.get('radius')) : 5;
+    const k = searchParams.get('k') ? parseInt(searchParams.get('k'), 10) : null;
     const availableOnly = searchParams.get('availableOnly') !== 'false';
 
     // Validate required parameters
@@ -31,11 +32,9 @@ async function getNearbyRiders(request) {
     }
 
     // Find nearby riders
-    const nearbyRiders = await riderService.findNearbyRiders(
-      { lat, lon },
-      radius,
-      availableOnly
-    );
+    const nearbyRiders = k
+      ? await riderService.findNearestRiders({ lat, lon }, Math.min(k, 50), availableOnly)
+      : await riderService.findNearbyRiders({ lat, lon }, radius, availableOnly);
 
     return NextResponse.json({
       count: nearbyRiders.length,
@@ -50,5 +49,39 @@ async function getNearbyRiders(request) {
   }
 }
 
+// POST /api/riders/nearby - Find riders inside a polygon
+async function getRidersInPolygon(request) {
+  try {
+    // Check if user is authenticated
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { polygon, availableOnly = true } = await request.json();
+
+    if (!Array.isArray(polygon) || polygon.length < 3) {
+      return NextResponse.json(
+        { error: 'A polygon with at least 3 points is required' },
+        { status: 400 }
+      );
+    }
+
+    const riders = await riderService.findRidersInPolygon(polygon, availableOnly !== false);
+
+    return NextResponse.json({
+      count: riders.length,
+      riders
+    });
+  } catch (error) {
+    console.error('Error finding riders in polygon:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to find riders in polygon' },
+      { status: 500 }
+    );
+  }
+}
+
 // Apply rate limiting middleware
-export const GET = withRateLimit(getNearbyRiders, { limit: 50, windowMs: 60000 }); 
\ No newline at end of file
+export const GET = withRateLimit(getNearbyRiders, { limit: 50, windowMs: 60000 });
+export const POST = withRateLimit(getRidersInPolygon, { limit: 50, windowMs: 60000 });
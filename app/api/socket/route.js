@@ -2,10 +2,8 @@ import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../../lib/auth';
 import { withRateLimit } from '../../../lib/middleware/rateLimitMiddleware';
-
-// This is a placeholder for WebSocket functionality
-// In a production environment, you would use a WebSocket library like Socket.io
-// or a service like Pusher for real-time communication
+import { createSocketToken, getUserChannel } from '../../../lib/socketAuth';
+import { publishToChannel } from '../../../lib/socketPublisher';
 
 // GET /api/socket - Get WebSocket connection details
 async function getSocketDetails(request) {
@@ -16,18 +14,16 @@ async function getSocketDetails(request) {
       return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
     }
 
-    // In a real implementation, you would:
-    // 1. Generate a unique channel/room ID for the user
-    // 2. Set up authentication for the WebSocket connection
-    // 3. Return connection details to the client
+    // Issue a short-lived token scoped to the user's private channel
+    const { token, channelId, expiresAt } = createSocketToken(session.user);
 
-    // For now, we'll return a mock response
     return NextResponse.json({
       success: true,
       socketDetails: {
-        channelId: `user-${session.user.id}`,
-        authToken: 'mock-auth-token',
-        endpoint: process.env.NEXT_PUBLIC_WEBSOCKET_ENDPOINT || 'wss://api.movepe.com/ws',
+        channelId,
+        authToken: token,
+        expiresAt,
+        endpoint: process.env.NEXT_PUBLIC_WEBSOCKET_ENDPOINT || 'ws://localhost:3001/ws',
       }
     });
   } catch (error) {
@@ -39,7 +35,7 @@ async function getSocketDetails(request) {
   }
 }
 
-// POST /api/socket/publish - Publish a message to a WebSocket channel
+// POST /api/socket - Publish a message to a WebSocket channel
 async function publishMessage(request) {
   try {
     // Check if user is authenticated
@@ -60,12 +56,22 @@ async function publishMessage(request) {
       );
     }
 
-    // In a real implementation, you would:
-    // 1. Validate that the user has permission to publish to this channel
-    // 2. Send the message to the WebSocket service
-    // 3. Return success or failure
+    // Users may only publish to their own channel; admins may publish anywhere
+    if (session.user.role !== 'admin' && channelId !== getUserChannel(session.user.id)) {
+      return NextResponse.json(
+        { error: 'Not authorized to publish to this channel' },
+        { status: 403 }
+      );
+    }
+
+    const published = await publishToChannel(channelId, event, data);
+    if (!published) {
+      return NextResponse.json(
+        { error: 'Socket server is unavailable' },
+        { status: 503 }
+      );
+    }
 
-    // For now, we'll return a mock success response
     return NextResponse.json({
       success: true,
       message: 'Message published successfully',
@@ -81,4 +87,4 @@ async function publishMessage(request) {
 
 // Apply rate limiting to the handlers
 export const GET = withRateLimit(getSocketDetails, { limit: 100, windowMs: 60000 });
-export const POST = withRateLimit(publishMessage, { limit: 100, windowMs: 60000 }); 
\ No newline at end of file
+export const POST = withRateLimit(publishMessage, { limit: 100, windowMs: 60000 }); 
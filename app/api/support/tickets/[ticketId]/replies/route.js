@@ -0,0 +1,48 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../../lib/auth';
+import { supportService } from '../../../../../../lib/services/supportService';
+import { withRateLimit } from '../../../../../../lib/middleware/rateLimitMiddleware';
+
+// POST /api/support/tickets/[ticketId]/replies - Reply to a ticket as its owner or an admin
+async function addReply(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    let ticket;
+    try {
+      ticket = await supportService.addReply(
+        params.ticketId,
+        { email: session.user.email, role: session.user.role },
+        body.message,
+        { isInternal: !!body.isInternal }
+      );
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 400;
+      return NextResponse.json({ error: error.message }, { status });
+    }
+
+    return NextResponse.json({ success: true, ticket });
+  } catch (error) {
+    console.error('Error replying to support ticket:', error);
+    return NextResponse.json(
+      { error: 'Failed to reply to support ticket' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handler
+export const POST = withRateLimit(addReply, 'support');
@@ -0,0 +1,34 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../../lib/auth';
+import { supportService } from '../../../../../lib/services/supportService';
+
+// GET /api/support/tickets/[ticketId] - A ticket and its conversation
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const ticket = await supportService.getTicket(params.ticketId, {
+      email: session.user.email,
+      role: session.user.role
+    });
+
+    // Other users' tickets are reported as missing rather than forbidden
+    if (!ticket) {
+      return NextResponse.json({ error: 'Ticket not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({ ticket });
+  } catch (error) {
+    console.error('Error fetching support ticket:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch support ticket' },
+      { status: 500 }
+    );
+  }
+}
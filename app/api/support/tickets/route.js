@@ -0,0 +1,71 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '../../../../lib/auth';
+import { supportService } from '../../../../lib/services/supportService';
+import { withRateLimit } from '../../../../lib/middleware/rateLimitMiddleware';
+
+// GET /api/support/tickets - Tickets raised by the current user
+async function getTickets(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const tickets = await supportService.getTicketsForUser(session.user.email);
+
+    return NextResponse.json({ tickets });
+  } catch (error) {
+    console.error('Error fetching support tickets:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch support tickets' },
+      { status: 500 }
+    );
+  }
+}
+
+// POST /api/support/tickets - Open a ticket, optionally about an order or payment
+async function createTicket(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    let ticket;
+    try {
+      ticket = await supportService.createTicket(session.user.email, {
+        subject: body.subject,
+        description: body.description,
+        category: body.category,
+        priority: body.priority,
+        orderId: body.orderId,
+        paymentId: body.paymentId
+      });
+    } catch (error) {
+      const status = error.message.includes('not found') ? 404 : 400;
+      return NextResponse.json({ error: error.message }, { status });
+    }
+
+    return NextResponse.json({ success: true, ticket }, { status: 201 });
+  } catch (error) {
+    console.error('Error creating support ticket:', error);
+    return NextResponse.json(
+      { error: 'Failed to create support ticket' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handlers
+export const GET = withRateLimit(getTickets, 'support');
+export const POST = withRateLimit(createTicket, 'support');
@@ -0,0 +1,35 @@
+export const dynamic = 'force-dynamic';
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../lib/auth';
+import { walletService } from '../../../lib/services/walletService';
+import { withRateLimit } from '../../../lib/middleware/rateLimitMiddleware';
+
+// GET /api/wallet - The current user's wallet balance and recent movements
+async function getWallet(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session) {
+      return NextResponse.json({ error: 'Not authenticated' }, { status: 401 });
+    }
+
+    const { searchParams } = new URL(request.url);
+    const limit = Math.min(parseInt(searchParams.get('limit') || '50', 10) || 50, 200);
+    const wallet = await walletService.getWallet(session.user.id, { limit });
+
+    return NextResponse.json({
+      success: true,
+      wallet
+    });
+  } catch (error) {
+    console.error('Error getting wallet:', error);
+    return NextResponse.json(
+      { error: error.message || 'Failed to get wallet' },
+      { status: 500 }
+    );
+  }
+}
+
+// Apply rate limiting to the handler
+export const GET = withRateLimit(getWallet, 'orders');
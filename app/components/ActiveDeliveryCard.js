@@ -1,10 +1,16 @@
 'use client';
 
 import { useState, useEffect } from 'react';
-import { Card, Badge, Button, Row, Col, Spinner, Form, Modal } from 'react-bootstrap';
-import { FaMapMarkerAlt, FaBox, FaUser, FaPhone, FaClock, FaMoneyBillWave, FaRoute } from 'react-icons/fa';
+import { Card, Badge, Button, Row, Col, Spinner, Form, Modal, InputGroup } from 'react-bootstrap';
+import { FaMapMarkerAlt, FaBox, FaUser, FaPhone, FaClock, FaMoneyBillWave, FaRoute, FaSignature, FaCamera, FaCheckCircle } from 'react-icons/fa';
+import { ORDER_STATUSES, getAvailableTransitions, normalizeOrderStatus } from '../../lib/orderLifecycle';
+import SignaturePad from './SignaturePad';
+import { resizePhoto } from '../../lib/utils';
 
-export default function ActiveDeliveryCard({ delivery, onUpdateStatus }) {
+// Statuses in which the rider collects the delivery OTP, signature and photos
+const HANDOVER_STATUSES = [ORDER_STATUSES.PICKED_UP, ORDER_STATUSES.IN_TRANSIT, ORDER_STATUSES.OUT_FOR_DELIVERY];
+
+export default function ActiveDeliveryCard({ delivery, onUpdateStatus, onProofUpdated }) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [showStatusModal, setShowStatusModal] = useState(false);
@@ -12,6 +18,13 @@ export default function ActiveDeliveryCard({ delivery, onUpdateStatus }) {
     status: '',
     notes: ''
   });
+  const [otp, setOtp] = useState('');
+  const [proofLoading, setProofLoading] = useState(false);
+  const [proofError, setProofError] = useState(null);
+  const [proofMessage, setProofMessage] = useState(null);
+  const [showSignatureModal, setShowSignatureModal] = useState(false);
+  const [signature, setSignature] = useState(null);
+  const [recipientName, setRecipientName] = useState('');
 
   // Validate delivery object
   if (!delivery || typeof delivery !== 'object') {
@@ -67,6 +80,79 @@ export default function ActiveDeliveryCard({ delivery, onUpdateStatus }) {
     }
   };
 
+  const submitProof = async (action, payload = {}) => {
+    try {
+      setProofLoading(true);
+      setProofError(null);
+      setProofMessage(null);
+
+      const response = await fetch('/api/rider/proof-of-delivery', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ orderId: delivery.orderId, action, ...payload })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to record proof of delivery');
+      }
+
+      if (onProofUpdated) {
+        onProofUpdated();
+      }
+      return true;
+    } catch (err) {
+      setProofError(err.message);
+      console.error('Error recording proof of delivery:', err);
+      return false;
+    } finally {
+      setProofLoading(false);
+    }
+  };
+
+  const handleVerifyOtp = async () => {
+    if (await submitProof('verify-otp', { otp })) {
+      setOtp('');
+      setProofMessage('Delivery OTP verified. You can now mark the order as delivered.');
+    }
+  };
+
+  const handleResendOtp = async () => {
+    if (await submitProof('resend-otp')) {
+      setProofMessage('A new OTP has been sent to the customer.');
+    }
+  };
+
+  const handleOpenSignatureModal = () => {
+    setSignature(null);
+    setRecipientName(delivery.proof?.recipientName || '');
+    setShowSignatureModal(true);
+  };
+
+  const handleSaveSignature = async () => {
+    if (await submitProof('signature', { signature, recipientName })) {
+      setShowSignatureModal(false);
+      setProofMessage('Signature saved.');
+    }
+  };
+
+  const handlePhotoSelect = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    try {
+      const photos = await Promise.all(files.map(resizePhoto));
+      if (await submitProof('photos', { photos })) {
+        setProofMessage(`${photos.length} photo${photos.length === 1 ? '' : 's'} added.`);
+      }
+    } catch (err) {
+      setProofError(err.message);
+    }
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
     
@@ -89,61 +175,42 @@ export default function ActiveDeliveryCard({ delivery, onUpdateStatus }) {
   const getStatusBadge = (status) => {
     if (!status) return <Badge bg="secondary">Unknown</Badge>;
     
-    switch (status) {
-      case 'accepted':
+    switch (normalizeOrderStatus(status)) {
+      case ORDER_STATUSES.RIDER_ASSIGNED:
         return <Badge bg="success">Accepted</Badge>;
-      case 'picked_up':
+      case ORDER_STATUSES.PICKED_UP:
         return <Badge bg="primary">Picked Up</Badge>;
-      case 'in_transit':
+      case ORDER_STATUSES.IN_TRANSIT:
         return <Badge bg="info">In Transit</Badge>;
-      case 'out_for_delivery':
+      case ORDER_STATUSES.OUT_FOR_DELIVERY:
         return <Badge bg="warning">Out for Delivery</Badge>;
-      case 'delivered':
+      case ORDER_STATUSES.DELIVERED:
         return <Badge bg="success">Delivered</Badge>;
-      case 'failed_delivery':
+      case ORDER_STATUSES.FAILED_DELIVERY:
         return <Badge bg="danger">Failed Delivery</Badge>;
       default:
         return <Badge bg="secondary">{status}</Badge>;
     }
   };
 
+  const proof = delivery.proof || {};
+  const isCollectingProof = HANDOVER_STATUSES.includes(normalizeOrderStatus(delivery.status));
+
+  // Offer only the transitions the order lifecycle allows a rider to make. Delivered
+  // stays locked until the handover is confirmed with the OTP or by an admin.
   const getNextStatusOptions = (currentStatus) => {
     if (!currentStatus) return [];
     
-    switch (currentStatus) {
-      case 'accepted':
-        return [
-          { value: 'picked_up', label: 'Picked Up' },
-          { value: 'cancelled', label: 'Cancel Delivery' }
-        ];
-      case 'picked_up':
-        return [
-          { value: 'in_transit', label: 'In Transit' },
-          { value: 'failed_pickup', label: 'Failed Pickup' }
-        ];
-      case 'in_transit':
-        return [
-          { value: 'out_for_delivery', label: 'Out for Delivery' },
-          { value: 'delivery_delayed', label: 'Delivery Delayed' }
-        ];
-      case 'out_for_delivery':
-        return [
-          { value: 'delivered', label: 'Delivered' },
-          { value: 'failed_delivery', label: 'Failed Delivery' }
-        ];
-      case 'delivery_delayed':
-        return [
-          { value: 'out_for_delivery', label: 'Out for Delivery' },
-          { value: 'failed_delivery', label: 'Failed Delivery' }
-        ];
-      case 'failed_delivery':
-        return [
-          { value: 'reattempt_delivery', label: 'Reattempt Delivery' },
-          { value: 'returned', label: 'Return to Sender' }
-        ];
-      default:
-        return [];
-    }
+    return getAvailableTransitions(currentStatus, 'rider').map(status => {
+      const needsProof = status === ORDER_STATUSES.DELIVERED && !proof.handoverConfirmed;
+      return {
+        value: status,
+        label: status === ORDER_STATUSES.CANCELLED
+          ? 'Cancel Delivery'
+          : needsProof ? `${status} (verify the delivery OTP first)` : status,
+        disabled: needsProof
+      };
+    });
   };
 
   const nextStatusOptions = getNextStatusOptions(delivery.status);
@@ -198,6 +265,80 @@ export default function ActiveDeliveryCard({ delivery, onUpdateStatus }) {
           </Col>
         </Row>
 
+        {isCollectingProof && (
+          <div className="border rounded p-3 mb-3">
+            <h6 className="mb-3">Proof of Delivery</h6>
+            {proof.handoverConfirmed ? (
+              <div className="text-success mb-3">
+                <FaCheckCircle className="me-2" />
+                {proof.override
+                  ? `Handover confirmed by an admin: ${proof.override.reason}`
+                  : 'Delivery OTP verified'}
+              </div>
+            ) : (
+              <>
+                <Form.Label>Ask the recipient for their delivery OTP</Form.Label>
+                <InputGroup className="mb-2">
+                  <Form.Control
+                    value={otp}
+                    onChange={(e) => setOtp(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                    inputMode="numeric"
+                    placeholder="6-digit OTP"
+                  />
+                  <Button
+                    variant="success"
+                    onClick={handleVerifyOtp}
+                    disabled={proofLoading || otp.length !== 6}
+                  >
+                    Verify
+                  </Button>
+                </InputGroup>
+                <Button
+                  variant="link"
+                  size="sm"
+                  className="p-0 mb-3"
+                  onClick={handleResendOtp}
+                  disabled={proofLoading}
+                >
+                  {proof.otpSent ? 'Resend OTP to customer' : 'Send OTP to customer'}
+                </Button>
+              </>
+            )}
+            <div className="d-flex flex-wrap align-items-center gap-2">
+              <Button
+                variant="outline-secondary"
+                size="sm"
+                onClick={handleOpenSignatureModal}
+                disabled={proofLoading}
+              >
+                <FaSignature className="me-1" /> {proof.hasSignature ? 'Retake Signature' : 'Capture Signature'}
+              </Button>
+              <Form.Label className={`btn btn-outline-secondary btn-sm mb-0 ${proofLoading ? 'disabled' : ''}`}>
+                <FaCamera className="me-1" /> Add Photos
+                <Form.Control
+                  type="file"
+                  accept="image/*"
+                  capture="environment"
+                  multiple
+                  hidden
+                  onChange={handlePhotoSelect}
+                  disabled={proofLoading}
+                />
+              </Form.Label>
+              <small className="text-muted">
+                {proof.hasSignature
+                  ? `Signed${proof.recipientName ? ` by ${proof.recipientName}` : ''}`
+                  : 'Not signed'}
+                {' · '}
+                {proof.photoCount || 0} photo{proof.photoCount === 1 ? '' : 's'}
+              </small>
+              {proofLoading && <Spinner animation="border" size="sm" />}
+            </div>
+            {proofMessage && <div className="alert alert-success mt-3 mb-0">{proofMessage}</div>}
+            {proofError && <div className="alert alert-danger mt-3 mb-0">{proofError}</div>}
+          </div>
+        )}
+
         {error && <div className="alert alert-danger">{error}</div>}
 
         <div className="d-flex justify-content-between align-items-center">
@@ -236,7 +377,7 @@ export default function ActiveDeliveryCard({ delivery, onUpdateStatus }) {
               >
                 <option value="">Select new status</option>
                 {nextStatusOptions.map(option => (
-                  <option key={option.value} value={option.value}>
+                  <option key={option.value} value={option.value} disabled={option.disabled}>
                     {option.label}
                   </option>
                 ))}
@@ -268,6 +409,38 @@ export default function ActiveDeliveryCard({ delivery, onUpdateStatus }) {
           </Button>
         </Modal.Footer>
       </Modal>
+
+      {/* Signature Capture Modal */}
+      <Modal show={showSignatureModal} onHide={() => setShowSignatureModal(false)}>
+        <Modal.Header closeButton>
+          <Modal.Title>Recipient Signature</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          <Form.Group className="mb-3">
+            <Form.Label>Recipient Name</Form.Label>
+            <Form.Control
+              value={recipientName}
+              onChange={(e) => setRecipientName(e.target.value)}
+              placeholder="Name of the person receiving the parcel"
+            />
+          </Form.Group>
+          <Form.Label>Signature</Form.Label>
+          {showSignatureModal && <SignaturePad onChange={setSignature} />}
+          {proofError && <div className="alert alert-danger mt-3">{proofError}</div>}
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={() => setShowSignatureModal(false)}>
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handleSaveSignature}
+            disabled={proofLoading || !signature}
+          >
+            {proofLoading ? <Spinner animation="border" size="sm" /> : 'Save Signature'}
+          </Button>
+        </Modal.Footer>
+      </Modal>
     </Card>
   );
 } 
\ No newline at end of file
@@ -8,7 +8,7 @@ import Link from 'next/link'
 import { 
   FaUsers, FaStore, FaBoxes, FaChartBar, FaCog, FaTachometerAlt, 
   FaSignOutAlt, FaBell, FaFileExport, FaHistory, FaServer, FaThermometerHalf,
-  FaMotorcycle
+  FaMotorcycle, FaLifeRing, FaBalanceScale, FaMoneyCheckAlt, FaHandHoldingUsd, FaTags
 } from 'react-icons/fa'
 import { signOut } from 'next-auth/react'
 
@@ -178,6 +178,51 @@ export default function AdminLayout({ children }) {
                 {!collapsed && <span>Export Orders</span>}
               </Link>
             </Nav.Item>
+            <Nav.Item>
+              <Link 
+                href="/admin/support" 
+                className={`nav-link text-white d-flex align-items-center py-3 ${isActive('/admin/support') ? 'active bg-primary rounded' : ''}`}
+              >
+                <FaLifeRing className="me-3" />
+                {!collapsed && <span>Support Tickets</span>}
+              </Link>
+            </Nav.Item>
+            <Nav.Item>
+              <Link 
+                href="/admin/claims" 
+                className={`nav-link text-white d-flex align-items-center py-3 ${isActive('/admin/claims') ? 'active bg-primary rounded' : ''}`}
+              >
+                <FaBalanceScale className="me-3" />
+                {!collapsed && <span>Damage Claims</span>}
+              </Link>
+            </Nav.Item>
+            <Nav.Item>
+              <Link 
+                href="/admin/payments" 
+                className={`nav-link text-white d-flex align-items-center py-3 ${isActive('/admin/payments') ? 'active bg-primary rounded' : ''}`}
+              >
+                <FaMoneyCheckAlt className="me-3" />
+                {!collapsed && <span>Payments</span>}
+              </Link>
+            </Nav.Item>
+            <Nav.Item>
+              <Link 
+                href="/admin/settlements" 
+                className={`nav-link text-white d-flex align-items-center py-3 ${isActive('/admin/settlements') ? 'active bg-primary rounded' : ''}`}
+              >
+                <FaHandHoldingUsd className="me-3" />
+                {!collapsed && <span>Settlements</span>}
+              </Link>
+            </Nav.Item>
+            <Nav.Item>
+              <Link 
+                href="/admin/promo-codes" 
+                className={`nav-link text-white d-flex align-items-center py-3 ${isActive('/admin/promo-codes') ? 'active bg-primary rounded' : ''}`}
+              >
+                <FaTags className="me-3" />
+                {!collapsed && <span>Promo Codes</span>}
+              </Link>
+            </Nav.Item>
             <Nav.Item>
               <Link 
                 href="/admin/notifications" 
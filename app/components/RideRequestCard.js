@@ -3,6 +3,7 @@
 import { useState } from 'react';
 import { Card, Badge, Button, Row, Col, Spinner } from 'react-bootstrap';
 import { FaMapMarkerAlt, FaBox, FaUser, FaPhone, FaClock, FaMoneyBillWave } from 'react-icons/fa';
+import { ORDER_STATUSES, normalizeOrderStatus } from '../../lib/orderLifecycle';
 
 export default function RideRequestCard({ request, onAccept, onDecline }) {
   const [loading, setLoading] = useState(false);
@@ -77,16 +78,16 @@ export default function RideRequestCard({ request, onAccept, onDecline }) {
   const getStatusBadge = (status) => {
     if (!status) return <Badge bg="secondary">Unknown</Badge>;
     
-    switch (status) {
-      case 'pending':
+    switch (normalizeOrderStatus(status)) {
+      case ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT:
         return <Badge bg="warning">Pending</Badge>;
-      case 'accepted':
+      case ORDER_STATUSES.RIDER_ASSIGNED:
         return <Badge bg="success">Accepted</Badge>;
-      case 'in_progress':
+      case ORDER_STATUSES.IN_PROGRESS:
         return <Badge bg="primary">In Progress</Badge>;
-      case 'completed':
+      case ORDER_STATUSES.COMPLETED:
         return <Badge bg="success">Completed</Badge>;
-      case 'cancelled':
+      case ORDER_STATUSES.CANCELLED:
         return <Badge bg="danger">Cancelled</Badge>;
       default:
         return <Badge bg="secondary">{status}</Badge>;
@@ -145,7 +146,7 @@ export default function RideRequestCard({ request, onAccept, onDecline }) {
         {error && <div className="alert alert-danger">{error}</div>}
 
         <div className="d-flex justify-content-end">
-          {request.status === 'pending' && (
+          {normalizeOrderStatus(request.status) === ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT && (
             <>
               <Button 
                 variant="outline-danger" 
@@ -0,0 +1,83 @@
+'use client';
+
+import { useRef, useEffect } from 'react';
+import { Button } from 'react-bootstrap';
+
+/**
+ * Canvas the recipient signs on with a finger, stylus or mouse
+ * @param {Function} onChange - Called with a PNG data URL after each stroke, or null when cleared
+ * @param {number} height - Height of the pad in pixels
+ */
+export default function SignaturePad({ onChange, height = 180 }) {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+
+  // Match the drawing buffer to the rendered size so strokes land under the pointer
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    canvas.width = canvas.offsetWidth;
+    canvas.height = height;
+
+    const context = canvas.getContext('2d');
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.strokeStyle = '#212529';
+  }, [height]);
+
+  const getPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  const handlePointerDown = (event) => {
+    event.preventDefault();
+    canvasRef.current.setPointerCapture(event.pointerId);
+    drawingRef.current = true;
+
+    const context = canvasRef.current.getContext('2d');
+    const point = getPoint(event);
+    context.beginPath();
+    context.moveTo(point.x, point.y);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawingRef.current) return;
+
+    const context = canvasRef.current.getContext('2d');
+    const point = getPoint(event);
+    context.lineTo(point.x, point.y);
+    context.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+
+    drawingRef.current = false;
+    onChange(canvasRef.current.toDataURL('image/png'));
+  };
+
+  const handleClear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        className="border rounded bg-white w-100"
+        style={{ height, touchAction: 'none' }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+      />
+      <div className="text-end mt-1">
+        <Button variant="link" size="sm" onClick={handleClear}>
+          Clear
+        </Button>
+      </div>
+    </div>
+  );
+}
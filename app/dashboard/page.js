@@ -6,6 +6,7 @@ import { useSession } from 'next-auth/react'
 import { useRouter } from 'next/navigation'
 import Link from 'next/link'
 import { formatDate, formatDateTime, getStatusBadgeVariant } from '../../lib/utils'
+import WalletCard from '../../components/WalletCard'
 
 export default function Dashboard() {
   const { data: session, status } = useSession()
@@ -142,6 +143,8 @@ export default function Dashboard() {
         </Alert>
       )}
       
+      <WalletCard />
+
       {loading ? (
         <div className="text-center py-3">
           <Spinner animation="border" role="status">
@@ -4,37 +4,70 @@ import React, { useState, useEffect } from 'react';
 import { Container, Row, Col, Card, Form, Button, Alert, Spinner } from 'react-bootstrap';
 import { useSession } from 'next-auth/react';
 import { useRouter } from 'next/navigation';
+import { SUPPORTED_LANGUAGES } from '../../../lib/notificationTemplates';
+
+const CATEGORIES = [
+  { key: 'orderUpdates', label: 'Order Updates', description: 'Receive updates about your orders' },
+  { key: 'paymentConfirmations', label: 'Payment Confirmations', description: 'Receive payment receipts and confirmations' },
+  { key: 'quoteNotifications', label: 'Quote Notifications', description: 'Receive notifications about new quotes' },
+  { key: 'marketing', label: 'Marketing', description: 'Receive promotional offers and updates' },
+  { key: 'systemAlerts', label: 'System Alerts', description: 'Receive important system notifications' },
+];
+
+const CHANNELS = [
+  {
+    key: 'email',
+    title: 'Email Notifications',
+    description: (session) => `Configure which notifications you receive via email at ${session.user.email}`,
+    defaults: { orderUpdates: true, paymentConfirmations: true, quoteNotifications: true, marketing: false, systemAlerts: true },
+  },
+  {
+    key: 'sms',
+    title: 'SMS Notifications',
+    description: () => 'Configure which notifications you receive by text message',
+    defaults: { orderUpdates: true, paymentConfirmations: true, quoteNotifications: false, marketing: false, systemAlerts: true },
+  },
+  {
+    key: 'whatsapp',
+    title: 'WhatsApp Notifications',
+    description: () => 'Configure which notifications you receive via WhatsApp',
+    defaults: { orderUpdates: false, paymentConfirmations: false, quoteNotifications: false, marketing: false, systemAlerts: false },
+  },
+  {
+    key: 'inApp',
+    title: 'In-App Notifications',
+    description: () => 'Configure which notifications you receive within the app',
+    defaults: { orderUpdates: true, paymentConfirmations: true, quoteNotifications: true, marketing: true, systemAlerts: true },
+  },
+];
+
+const TIMEZONES = ['Asia/Kolkata', 'Asia/Dubai', 'Asia/Singapore', 'Europe/London', 'America/New_York', 'UTC'];
 
 /**
  * Notification Preferences Page
  * 
- * This page allows users to configure their notification preferences.
+ * This page allows users to configure their notification preferences: which
+ * notifications they get on each channel, quiet hours for SMS and WhatsApp, an
+ * email digest, and the language notifications are written in.
  */
 export default function NotificationPreferencesPage() {
   const { data: session, status } = useSession();
   const router = useRouter();
   const [preferences, setPreferences] = useState({
-    email: {
-      orderUpdates: true,
-      paymentConfirmations: true,
-      quoteNotifications: true,
-      marketingEmails: false,
-      systemAlerts: true,
-    },
-    whatsapp: {
-      orderUpdates: false,
-      paymentConfirmations: false,
-      quoteNotifications: false,
-      marketingMessages: false,
-      systemAlerts: false,
+    channels: Object.fromEntries(
+      CHANNELS.map(({ key, defaults }) => [key, Object.fromEntries(CATEGORIES.map(category => [category.key, defaults[category.key]]))])
+    ),
+    quietHours: {
+      enabled: false,
+      start: '22:00',
+      end: '07:00',
+      timezone: 'Asia/Kolkata',
     },
-    inApp: {
-      orderUpdates: true,
-      paymentConfirmations: true,
-      quoteNotifications: true,
-      marketingNotifications: true,
-      systemAlerts: true,
+    digest: {
+      frequency: 'off',
+      time: '09:00',
     },
+    language: 'en',
   });
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -97,10 +130,14 @@ export default function NotificationPreferencesPage() {
         }),
       });
       
+      const data = await response.json().catch(() => ({}));
       if (!response.ok) {
-        throw new Error('Failed to save notification preferences');
+        throw new Error(data.error || 'Failed to save notification preferences');
       }
       
+      if (data.preferences) {
+        setPreferences(data.preferences);
+      }
       setSuccess(true);
       
       // Clear success message after 3 seconds
@@ -109,7 +146,7 @@ export default function NotificationPreferencesPage() {
       }, 3000);
     } catch (err) {
       console.error('Error saving notification preferences:', err);
-      setError('Failed to save your notification preferences. Please try again.');
+      setError(err.message || 'Failed to save your notification preferences. Please try again.');
     } finally {
       setSaving(false);
     }
@@ -125,9 +162,23 @@ export default function NotificationPreferencesPage() {
   const handleCheckboxChange = (channel, type, checked) => {
     setPreferences(prevPreferences => ({
       ...prevPreferences,
-      [channel]: {
-        ...prevPreferences[channel],
-        [type]: checked,
+      channels: {
+        ...prevPreferences.channels,
+        [channel]: {
+          ...prevPreferences.channels[channel],
+          [type]: checked,
+        },
+      },
+    }));
+  };
+
+  // Handle quiet hours and digest changes
+  const handleScheduleChange = (section, field, value) => {
+    setPreferences(prevPreferences => ({
+      ...prevPreferences,
+      [section]: {
+        ...prevPreferences[section],
+        [field]: value,
       },
     }));
   };
@@ -176,224 +227,128 @@ export default function NotificationPreferencesPage() {
           <Card className="shadow-sm mb-4">
             <Card.Body>
               <Form onSubmit={handleSubmit}>
+                {CHANNELS.map(channel => (
+                  <div className="mb-4" key={channel.key}>
+                    <h5>{channel.title}</h5>
+                    <p className="text-muted small">
+                      {channel.description(session)}
+                    </p>
+                    
+                    <Row className="g-3">
+                      {CATEGORIES.map(category => (
+                        <Col md={6} key={category.key}>
+                          <Form.Check 
+                            type="switch"
+                            id={`${channel.key}-${category.key}`}
+                            label={category.label}
+                            checked={preferences.channels[channel.key][category.key]}
+                            onChange={(e) => handleCheckboxChange(channel.key, category.key, e.target.checked)}
+                          />
+                          <Form.Text className="text-muted">
+                            {category.description}
+                          </Form.Text>
+                        </Col>
+                      ))}
+                    </Row>
+                  </div>
+                ))}
+                
                 <div className="mb-4">
-                  <h5>Email Notifications</h5>
+                  <h5>Quiet Hours</h5>
                   <p className="text-muted small">
-                    Configure which notifications you receive via email at {session.user.email}
+                    SMS and WhatsApp messages that arrive during quiet hours are held until they end.
+                    Urgent messages, like your delivery OTP, are always sent straight away.
                   </p>
                   
+                  <Form.Check 
+                    type="switch"
+                    id="quiet-hours-enabled"
+                    label="Enable quiet hours"
+                    className="mb-3"
+                    checked={preferences.quietHours.enabled}
+                    onChange={(e) => handleScheduleChange('quietHours', 'enabled', e.target.checked)}
+                  />
+                  
                   <Row className="g-3">
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="email-order-updates"
-                        label="Order Updates"
-                        checked={preferences.email.orderUpdates}
-                        onChange={(e) => handleCheckboxChange('email', 'orderUpdates', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive updates about your orders
-                      </Form.Text>
-                    </Col>
-                    
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="email-payment-confirmations"
-                        label="Payment Confirmations"
-                        checked={preferences.email.paymentConfirmations}
-                        onChange={(e) => handleCheckboxChange('email', 'paymentConfirmations', e.target.checked)}
+                    <Col md={4}>
+                      <Form.Label>From</Form.Label>
+                      <Form.Control
+                        type="time"
+                        value={preferences.quietHours.start}
+                        onChange={(e) => handleScheduleChange('quietHours', 'start', e.target.value)}
+                        disabled={!preferences.quietHours.enabled}
                       />
-                      <Form.Text className="text-muted">
-                        Receive payment receipts and confirmations
-                      </Form.Text>
                     </Col>
-                    
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="email-quote-notifications"
-                        label="Quote Notifications"
-                        checked={preferences.email.quoteNotifications}
-                        onChange={(e) => handleCheckboxChange('email', 'quoteNotifications', e.target.checked)}
+                    <Col md={4}>
+                      <Form.Label>Until</Form.Label>
+                      <Form.Control
+                        type="time"
+                        value={preferences.quietHours.end}
+                        onChange={(e) => handleScheduleChange('quietHours', 'end', e.target.value)}
+                        disabled={!preferences.quietHours.enabled}
                       />
-                      <Form.Text className="text-muted">
-                        Receive notifications about new quotes
-                      </Form.Text>
                     </Col>
-                    
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="email-marketing-emails"
-                        label="Marketing Emails"
-                        checked={preferences.email.marketingEmails}
-                        onChange={(e) => handleCheckboxChange('email', 'marketingEmails', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive promotional offers and updates
-                      </Form.Text>
-                    </Col>
-                    
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="email-system-alerts"
-                        label="System Alerts"
-                        checked={preferences.email.systemAlerts}
-                        onChange={(e) => handleCheckboxChange('email', 'systemAlerts', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive important system notifications
-                      </Form.Text>
+                    <Col md={4}>
+                      <Form.Label>Timezone</Form.Label>
+                      <Form.Select
+                        value={preferences.quietHours.timezone}
+                        onChange={(e) => handleScheduleChange('quietHours', 'timezone', e.target.value)}
+                      >
+                        {[...new Set([preferences.quietHours.timezone, ...TIMEZONES])].map(timezone => (
+                          <option key={timezone} value={timezone}>{timezone}</option>
+                        ))}
+                      </Form.Select>
                     </Col>
                   </Row>
                 </div>
                 
                 <div className="mb-4">
-                  <h5>WhatsApp Notifications</h5>
+                  <h5>Email Digest</h5>
                   <p className="text-muted small">
-                    Configure which notifications you receive via WhatsApp
+                    Get your email notifications together in one email instead of one at a time.
+                    Weekly digests are sent on Mondays, at the time below in your quiet hours timezone.
                   </p>
                   
                   <Row className="g-3">
                     <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="whatsapp-order-updates"
-                        label="Order Updates"
-                        checked={preferences.whatsapp.orderUpdates}
-                        onChange={(e) => handleCheckboxChange('whatsapp', 'orderUpdates', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive updates about your orders
-                      </Form.Text>
-                    </Col>
-                    
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="whatsapp-payment-confirmations"
-                        label="Payment Confirmations"
-                        checked={preferences.whatsapp.paymentConfirmations}
-                        onChange={(e) => handleCheckboxChange('whatsapp', 'paymentConfirmations', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive payment receipts and confirmations
-                      </Form.Text>
-                    </Col>
-                    
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="whatsapp-quote-notifications"
-                        label="Quote Notifications"
-                        checked={preferences.whatsapp.quoteNotifications}
-                        onChange={(e) => handleCheckboxChange('whatsapp', 'quoteNotifications', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive notifications about new quotes
-                      </Form.Text>
-                    </Col>
-                    
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="whatsapp-marketing-messages"
-                        label="Marketing Messages"
-                        checked={preferences.whatsapp.marketingMessages}
-                        onChange={(e) => handleCheckboxChange('whatsapp', 'marketingMessages', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive promotional offers and updates
-                      </Form.Text>
+                      <Form.Label>Frequency</Form.Label>
+                      <Form.Select
+                        value={preferences.digest.frequency}
+                        onChange={(e) => handleScheduleChange('digest', 'frequency', e.target.value)}
+                      >
+                        <option value="off">Off - send each email straight away</option>
+                        <option value="daily">Daily</option>
+                        <option value="weekly">Weekly</option>
+                      </Form.Select>
                     </Col>
-                    
                     <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="whatsapp-system-alerts"
-                        label="System Alerts"
-                        checked={preferences.whatsapp.systemAlerts}
-                        onChange={(e) => handleCheckboxChange('whatsapp', 'systemAlerts', e.target.checked)}
+                      <Form.Label>Send at</Form.Label>
+                      <Form.Control
+                        type="time"
+                        value={preferences.digest.time}
+                        onChange={(e) => handleScheduleChange('digest', 'time', e.target.value)}
+                        disabled={preferences.digest.frequency === 'off'}
                       />
-                      <Form.Text className="text-muted">
-                        Receive important system notifications
-                      </Form.Text>
                     </Col>
                   </Row>
                 </div>
                 
                 <div className="mb-4">
-                  <h5>In-App Notifications</h5>
+                  <h5>Language</h5>
                   <p className="text-muted small">
-                    Configure which notifications you receive within the app
+                    Notifications are sent in this language where we have it, and in English otherwise.
                   </p>
                   
                   <Row className="g-3">
                     <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="inapp-order-updates"
-                        label="Order Updates"
-                        checked={preferences.inApp.orderUpdates}
-                        onChange={(e) => handleCheckboxChange('inApp', 'orderUpdates', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive updates about your orders
-                      </Form.Text>
-                    </Col>
-                    
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="inapp-payment-confirmations"
-                        label="Payment Confirmations"
-                        checked={preferences.inApp.paymentConfirmations}
-                        onChange={(e) => handleCheckboxChange('inApp', 'paymentConfirmations', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive payment receipts and confirmations
-                      </Form.Text>
-                    </Col>
-                    
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="inapp-quote-notifications"
-                        label="Quote Notifications"
-                        checked={preferences.inApp.quoteNotifications}
-                        onChange={(e) => handleCheckboxChange('inApp', 'quoteNotifications', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive notifications about new quotes
-                      </Form.Text>
-                    </Col>
-                    
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="inapp-marketing-notifications"
-                        label="Marketing Notifications"
-                        checked={preferences.inApp.marketingNotifications}
-                        onChange={(e) => handleCheckboxChange('inApp', 'marketingNotifications', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive promotional offers and updates
-                      </Form.Text>
-                    </Col>
-                    
-                    <Col md={6}>
-                      <Form.Check 
-                        type="switch"
-                        id="inapp-system-alerts"
-                        label="System Alerts"
-                        checked={preferences.inApp.systemAlerts}
-                        onChange={(e) => handleCheckboxChange('inApp', 'systemAlerts', e.target.checked)}
-                      />
-                      <Form.Text className="text-muted">
-                        Receive important system notifications
-                      </Form.Text>
+                      <Form.Select
+                        value={preferences.language}
+                        onChange={(e) => setPreferences(prevPreferences => ({ ...prevPreferences, language: e.target.value }))}
+                      >
+                        {Object.entries(SUPPORTED_LANGUAGES).map(([code, label]) => (
+                          <option key={code} value={code}>{label}</option>
+                        ))}
+                      </Form.Select>
                     </Col>
                   </Row>
                 </div>
@@ -3,6 +3,7 @@
 import { useState, useEffect, useCallback } from 'react'
 import { Container, Row, Col, Card, Button, Alert, Badge, Spinner } from 'react-bootstrap'
 import { useSession } from 'next-auth/react'
+import Link from 'next/link'
 import VendorList from '../../../components/VendorList'
 import PaymentModal from '../../../components/PaymentModal'
 import { formatDate, formatDateTime, formatCurrency, getStatusBadgeVariant } from '../../../lib/utils'
@@ -10,11 +11,16 @@ import { BsStarFill, BsStar } from 'react-icons/bs'
 import ReviewForm from '../../../components/ReviewForm'
 import PriceBreakdownTooltip, { getPricingExplanations } from '../../../components/PriceBreakdownTooltip'
 import VendorPriceComparison from '../../../components/VendorPriceComparison'
+import QuoteCounterOffer from '../../../components/QuoteCounterOffer'
+import DamageClaims from '../../../components/DamageClaims'
+import PaymentSchedule from '../../../components/PaymentSchedule'
+import OrderInvoices from '../../../components/OrderInvoices'
 
 export default function OrderPage({ params }) {
   const { data: session, status: sessionStatus } = useSession()
   const [order, setOrder] = useState(null)
   const [vendors, setVendors] = useState([])
+  const [quotes, setQuotes] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [showPayment, setShowPayment] = useState(false)
@@ -39,6 +45,13 @@ export default function OrderPage({ params }) {
       const orderData = await orderResponse.json()
       setOrder(orderData)
 
+      // Fetch vendor quotes with their revisions and counter-offers
+      const quotesResponse = await fetch(`/api/orders/${params.orderId}/quotes`)
+      if (quotesResponse.ok) {
+        const quotesData = await quotesResponse.json()
+        setQuotes(quotesData.quotes || [])
+      }
+
       // Fetch vendors if order is in Initiated or Requests Sent status
       if (orderData.status === 'Initiated' || orderData.status === 'Requests Sent') {
         const vendorsResponse = await fetch('/api/vendors')
@@ -93,6 +106,11 @@ export default function OrderPage({ params }) {
       setError('Invalid quote selected')
       return
     }
+
+    if (!quote.isActive) {
+      setError('This quote has expired; ask the vendor for a revised quote')
+      return
+    }
     
     setSelectedQuote(quote)
     setShowPayment(true)
@@ -231,31 +249,42 @@ export default function OrderPage({ params }) {
                 <strong>Size:</strong> {order.moveSize}<br />
                 <strong>Date:</strong> {formatDate(order.moveDate)}
               </Card.Text>
+              <Link href={`/support?orderId=${order.orderId}`} className="btn btn-sm btn-outline-secondary">
+                Need help with this order?
+              </Link>
             </Card.Body>
           </Card>
 
           {(order.status === 'Initiated' || order.status === 'Requests Sent') && (
             <div>
-              {order.quotes && order.quotes.length > 0 && (
+              {quotes.length > 0 && (
                 <>
                   <h3 className="mb-4">Quotes Received</h3>
-                  {order.quotes && order.quotes.length > 1 && (
+                  {quotes.length > 1 && (
                     <VendorPriceComparison 
-                      quotes={order.quotes} 
+                      quotes={quotes} 
                       vendors={vendors} 
                       priceEstimate={order.priceEstimate}
                     />
                   )}
                   <Row className="mb-4">
-                    {order.quotes.map(quote => {
+                    {quotes.map(quote => {
                       const vendor = vendors.find(v => v?.vendorId === quote.vendorId)
                       return (
                         <Col key={quote.vendorId} md={6} className="mb-3">
-                          <Card className="h-100 border-success">
+                          <Card className={`h-100 ${quote.isActive ? 'border-success' : 'border-secondary'}`}>
                             <Card.Body>
                               <Card.Title className="d-flex justify-content-between align-items-center">
-                                {vendor?.name || 'Unknown Vendor'}
-                                <Badge bg="success">Quote Received</Badge>
+                                {vendor?.name || quote.vendorName || 'Unknown Vendor'}
+                                {quote.isActive ? (
+                                  <Badge bg="success">
+                                    {quote.version > 1 ? `Revised Quote (v${quote.version})` : 'Quote Received'}
+                                  </Badge>
+                                ) : (
+                                  <Badge bg="secondary">
+                                    {quote.status === 'expired' ? 'Expired' : 'Closed'}
+                                  </Badge>
+                                )}
                               </Card.Title>
                               <div className="mb-2">
                                 {renderStars(vendor?.rating)}
@@ -284,18 +313,42 @@ export default function OrderPage({ params }) {
                                     {formatCurrency(quote.amount)}
                                   </span>
                                 </div>
+                                {quote.details?.lineItems?.length > 0 && (
+                                  <ul className="list-unstyled small text-muted mt-2 mb-0">
+                                    {quote.details.lineItems.map((item, index) => (
+                                      <li key={index} className="d-flex justify-content-between">
+                                        <span>
+                                          {item.label}
+                                          {item.type === 'variable' && ` (${item.quantity} ${item.unit})`}
+                                        </span>
+                                        <span>{item.amount < 0 ? `-${formatCurrency(-item.amount)}` : formatCurrency(item.amount)}</span>
+                                      </li>
+                                    ))}
+                                  </ul>
+                                )}
                               </div>
                               <div className="mb-3">
                                 <strong>Submitted:</strong> {formatDate(quote.submittedAt)}<br />
+                                {quote.version > 1 && (
+                                  <><strong>Revised:</strong> {formatDate(quote.updatedAt)}<br /></>
+                                )}
+                                {quote.expiresAt && (
+                                  <><strong>{quote.isActive ? 'Valid until' : 'Expired on'}:</strong> {formatDateTime(quote.expiresAt)}<br /></>
+                                )}
                                 {vendor?.description && (
                                   <small className="text-muted">{vendor.description}</small>
                                 )}
                               </div>
+                              <QuoteCounterOffer
+                                orderId={order.orderId}
+                                quote={quote}
+                                onSubmitted={fetchData}
+                              />
                               <Button
                                 variant="success"
                                 onClick={() => handleAcceptQuote(quote)}
                                 className="w-100"
-                                disabled={isProcessingPayment}
+                                disabled={isProcessingPayment || !quote.isActive}
                               >
                                 {isProcessingPayment && selectedQuote?.vendorId === quote.vendorId ? (
                                   <>
@@ -320,10 +373,10 @@ export default function OrderPage({ params }) {
                 </>
               )}
 
-              <div className={order.quotes?.length > 0 ? "mt-5" : ""}>
+              <div className={quotes.length > 0 ? "mt-5" : ""}>
                 <div className="d-flex justify-content-between align-items-center mb-4">
                   <h3 className="mb-0">Available Vendors</h3>
-                  {order.quotes?.length > 0 && (
+                  {quotes.length > 0 && (
                     <Badge bg="info" className="fs-6">
                       Compare More Options
                     </Badge>
@@ -344,7 +397,7 @@ export default function OrderPage({ params }) {
                   selectedVendors={order.vendorRequests || []}
                   pickupPincode={order.pickupPincode}
                   destinationPincode={order.destinationPincode}
-                  quotes={order.quotes || []}
+                  quotes={quotes}
                 />
               </div>
             </div>
@@ -373,6 +426,16 @@ export default function OrderPage({ params }) {
             </>
           )}
 
+          {order.vendorId && (
+            <PaymentSchedule orderId={order.orderId} vendorId={order.vendorId} onPaid={fetchData} />
+          )}
+
+          {order.vendorId && (
+            <OrderInvoices orderId={order.orderId} refreshKey={order.paymentStatus} />
+          )}
+
+          <DamageClaims orderId={order.orderId} orderStatus={order.status} onClaimFiled={fetchData} />
+
           {renderReviewSection()}
         </Col>
       </Row>
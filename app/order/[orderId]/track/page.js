@@ -4,7 +4,12 @@ import { useState, useEffect } from 'react';
 import { useSession } from 'next-auth/react';
 import { useParams } from 'next/navigation';
 import { Container, Row, Col, Card, Badge, Spinner, Alert, ProgressBar, Button } from 'react-bootstrap';
-import { FaBox, FaMapMarkerAlt, FaUser, FaMotorcycle, FaPhone, FaCalendarAlt, FaWeight, FaRuler, FaRoute } from 'react-icons/fa';
+import { FaBox, FaMapMarkerAlt, FaUser, FaMotorcycle, FaPhone, FaCalendarAlt, FaWeight, FaRuler, FaRoute, FaClock } from 'react-icons/fa';
+import { useSocket } from '../../../../lib/hooks/useSocket';
+import RouteTrail from '../../../../components/RouteTrail';
+import { normalizeOrderStatus } from '../../../../lib/orderLifecycle';
+
+const LIVE_TRACKING_STATUSES = ['Rider Assigned', 'Picked Up', 'In Transit', 'Out For Delivery'];
 
 export default function TrackDeliveryPage() {
   const { data: session, status } = useSession();
@@ -16,6 +21,35 @@ export default function TrackDeliveryPage() {
   const [order, setOrder] = useState(null);
   const [rider, setRider] = useState(null);
   const [refreshInterval, setRefreshInterval] = useState(null);
+  const [trail, setTrail] = useState([]);
+  const [eta, setEta] = useState(null);
+
+  // Live updates pushed by the socket server between refreshes
+  useSocket({
+    autoConnect: status === 'authenticated',
+    events: {
+      'rider-location-update': handleRiderLocationUpdate,
+      'order-status-update': handleOrderStatusUpdate,
+    },
+  });
+
+  function handleRiderLocationUpdate(data) {
+    if (data.orderId !== orderId) return;
+
+    setTrail(prevTrail => [...prevTrail, data.location]);
+    setEta(data.eta || null);
+
+    // A geofence fired; pick up the new status and timeline entry
+    if (data.geofenceEvent) {
+      fetchOrderDetails(false);
+    }
+  }
+
+  function handleOrderStatusUpdate(data) {
+    if (data.orderId === orderId) {
+      fetchOrderDetails(false);
+    }
+  }
 
   useEffect(() => {
     if (status === 'authenticated' && orderId) {
@@ -50,11 +84,14 @@ export default function TrackDeliveryPage() {
       }
       
       const data = await response.json();
-      setOrder(data);
+      // Orders written before statuses were normalized may store snake_case keys
+      setOrder({ ...data, status: normalizeOrderStatus(data.status) || data.status });
       
-      // If rider is assigned, fetch rider details
-      if (data.assignedRiderId) {
-        await fetchRiderDetails(data.assignedRiderId);
+      // If rider is assigned, fetch rider details and the route so far
+      const riderId = data.riderId || data.assignedRiderId;
+      if (riderId) {
+        await fetchRiderDetails(riderId);
+        await fetchTracking();
       }
     } catch (error) {
       console.error('Error fetching order details:', error);
@@ -82,6 +119,23 @@ export default function TrackDeliveryPage() {
     }
   };
 
+  const fetchTracking = async () => {
+    try {
+      const response = await fetch(`/api/orders/${orderId}/tracking`);
+      
+      if (!response.ok) {
+        throw new Error('Failed to fetch tracking details');
+      }
+      
+      const data = await response.json();
+      setTrail(data.trail || []);
+      setEta(data.eta || null);
+    } catch (error) {
+      console.error('Error fetching tracking details:', error);
+      // Don't set error state, the order details are still useful without the trail
+    }
+  };
+
   const getStatusBadgeVariant = (status) => {
     switch (status) {
       case 'Initiated':
@@ -371,19 +425,29 @@ export default function TrackDeliveryPage() {
                 </p>
               </Col>
               <Col md={6}>
-                {order.status === 'In Transit' && (
-                  <div className="border rounded p-3">
+                {LIVE_TRACKING_STATUSES.includes(order.status) && (
+                  <div className="border rounded p-3 mb-3">
                     <h6 className="mb-3">Live Tracking</h6>
+                    {eta && (
+                      <p className="mb-2">
+                        <FaClock className="me-2" />
+                        <strong>{eta.target === 'pickup' ? 'Arriving for pickup' : 'Arriving'}:</strong>{' '}
+                        in about {eta.etaMinutes} min ({eta.remainingKm} km away)
+                      </p>
+                    )}
                     <p className="mb-2">
-                      <strong>Current Location:</strong> {rider.currentLocation ? 
-                        `${parseFloat(rider.currentLocation.lat).toFixed(4)}, ${parseFloat(rider.currentLocation.lon).toFixed(4)}` : 
+                      <strong>Current Location:</strong> {trail.length > 0 ? 
+                        `${parseFloat(trail[trail.length - 1].lat).toFixed(4)}, ${parseFloat(trail[trail.length - 1].lon).toFixed(4)}` : 
                         'Updating...'}
                     </p>
                     <p className="mb-2">
-                      <strong>Last Updated:</strong> {rider.currentLocation ? 
-                        formatDateTime(rider.currentLocation.lastUpdated) : 
+                      <strong>Last Updated:</strong> {trail.length > 0 ? 
+                        formatDateTime(trail[trail.length - 1].timestamp) : 
                         'Waiting for update...'}
                     </p>
+                    <div className="mb-3">
+                      <RouteTrail trail={trail} />
+                    </div>
                     <div className="d-grid">
                       <Button 
                         variant="primary" 
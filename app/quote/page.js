@@ -25,6 +25,7 @@ function QuotePageContent() {
     parkingDistanceDestination: 0,
     premiumPacking: false,
     specialItems: [],
+    promoCode: searchParams.get('promo') || '',
     // Parcel delivery specific fields
     orderType: 'moving', // 'moving' or 'parcel'
     pickupAddress: '',
@@ -228,6 +229,7 @@ function QuotePageContent() {
         requestData.parkingDistanceDestination = formData.parkingDistanceDestination;
         requestData.premiumPacking = formData.premiumPacking;
         requestData.specialItems = formData.specialItems;
+        requestData.promoCode = formData.promoCode.trim() || undefined;
       } else {
         // Add parcel-specific fields
         requestData.pickupAddress = formData.pickupAddress;
@@ -393,6 +395,17 @@ function QuotePageContent() {
                     <span>{formatCurrency(estimate.specialItemHandling || 0)}</span>
                   </div>
                 )}
+                {estimate.discounts && estimate.discounts.totalDiscount > 0 && (
+                  <div className="d-flex justify-content-between mb-1 text-success">
+                    <span>{estimate.discounts.promoCode ? `Promo ${estimate.discounts.promoCode}` : 'Discount'}</span>
+                    <span>−{formatCurrency(estimate.discounts.totalDiscount)}</span>
+                  </div>
+                )}
+                {estimate.discounts && (estimate.discounts.promoError || estimate.discounts.note) && (
+                  <div className={`small mb-1 ${estimate.discounts.promoError ? 'text-danger' : 'text-muted'}`}>
+                    {estimate.discounts.promoError || estimate.discounts.note}
+                  </div>
+                )}
                 <div className="d-flex justify-content-between mb-1">
                   <span>
                     GST (18%)
@@ -626,6 +639,17 @@ function QuotePageContent() {
                     onChange={handleInputChange}
                   />
                 </Form.Group>
+                
+                <Form.Group className="mb-3">
+                  <Form.Label>Promo Code</Form.Label>
+                  <Form.Control
+                    type="text"
+                    name="promoCode"
+                    value={formData.promoCode}
+                    onChange={handleInputChange}
+                    placeholder="Optional"
+                  />
+                </Form.Group>
               </>
             ) : (
               <>
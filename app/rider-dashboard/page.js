@@ -6,6 +6,10 @@ import { Container, Row, Col, Card, Table, Badge, Button, Spinner, Alert, Form,
 import { FaMotorcycle, FaMapMarkerAlt, FaBox, FaUser, FaPhone, FaCheckCircle, FaTimesCircle, FaRoute, FaHistory, FaClipboardList } from 'react-icons/fa';
 import RideRequestCard from '../components/RideRequestCard';
 import ActiveDeliveryCard from '../components/ActiveDeliveryCard';
+import { ORDER_STATUSES, normalizeOrderStatus } from '../../lib/orderLifecycle';
+
+// Statuses that end a rider's part in a delivery
+const FINISHED_STATUSES = [ORDER_STATUSES.DELIVERED, ORDER_STATUSES.FAILED_DELIVERY, ORDER_STATUSES.CANCELLED];
 
 export default function RiderDashboard() {
   const { data: session, status } = useSession();
@@ -102,7 +106,7 @@ export default function RiderDashboard() {
       fetchCompletedDeliveries();
       
       // If delivery is completed, switch to completed tab
-      if (status === 'delivered' || status === 'failed_delivery' || status === 'cancelled') {
+      if (FINISHED_STATUSES.includes(normalizeOrderStatus(status))) {
         setActiveTab('completed');
       }
       
@@ -703,6 +707,7 @@ export default function RiderDashboard() {
                     key={delivery.orderId}
                     delivery={delivery}
                     onUpdateStatus={updateDeliveryStatus}
+                    onProofUpdated={fetchActiveDeliveries}
                   />
                 ))
               )}
@@ -740,11 +745,11 @@ export default function RiderDashboard() {
                             <td>{delivery.destinationAddress?.substring(0, 15) || 'N/A'}...</td>
                             <td>
                               <Badge bg={
-                                delivery.status === 'delivered' ? 'success' :
-                                delivery.status === 'failed_delivery' ? 'danger' :
+                                normalizeOrderStatus(delivery.status) === ORDER_STATUSES.DELIVERED ? 'success' :
+                                normalizeOrderStatus(delivery.status) === ORDER_STATUSES.FAILED_DELIVERY ? 'danger' :
                                 'secondary'
                               }>
-                                {delivery.status}
+                                {normalizeOrderStatus(delivery.status) || delivery.status}
                               </Badge>
                             </td>
                             <td>₹{delivery.amount || 'N/A'}</td>
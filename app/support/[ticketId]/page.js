@@ -0,0 +1,99 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { Container, Card, Alert, Spinner } from 'react-bootstrap';
+import SupportTicketThread, { TicketStatusBadge } from '../../../components/SupportTicketThread';
+
+/**
+ * Support ticket conversation for the user who raised it
+ */
+export default function SupportTicketPage({ params }) {
+  const { ticketId } = params;
+  const { status } = useSession();
+  const router = useRouter();
+
+  const [ticket, setTicket] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (status === 'authenticated') {
+      fetchTicket();
+    } else if (status === 'unauthenticated') {
+      router.push(`/auth/signin?callbackUrl=${encodeURIComponent(`/support/${ticketId}`)}`);
+    }
+  }, [status, ticketId]);
+
+  const fetchTicket = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch(`/api/support/tickets/${ticketId}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch ticket');
+      }
+      setTicket(data.ticket);
+    } catch (err) {
+      console.error('Error fetching ticket:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReply = async (message) => {
+    const response = await fetch(`/api/support/tickets/${ticketId}/replies`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ message })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to send reply');
+    }
+    setTicket(data.ticket);
+  };
+
+  if (loading) {
+    return (
+      <Container className="py-5 text-center">
+        <Spinner animation="border" variant="primary" />
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-5">
+      <Link href="/support" className="text-decoration-none">&larr; Back to Support Center</Link>
+
+      {error && <Alert variant="danger" className="mt-3">{error}</Alert>}
+
+      {ticket && (
+        <>
+          <Card className="my-4 shadow-sm">
+            <Card.Body>
+              <div className="d-flex justify-content-between align-items-center">
+                <h2 className="mb-0">{ticket.subject}</h2>
+                <TicketStatusBadge status={ticket.status} />
+              </div>
+              <div className="text-muted mt-2">
+                Ticket #{ticket.id.slice(0, 8)}
+                {ticket.orderId && (
+                  <> &middot; <Link href={`/order/${ticket.orderId}`}>Order #{ticket.orderId.slice(0, 8)}</Link></>
+                )}
+              </div>
+            </Card.Body>
+          </Card>
+
+          <SupportTicketThread ticket={ticket} onReply={handleReply} />
+        </>
+      )}
+    </Container>
+  );
+}
@@ -1 +1,213 @@
- 
\ No newline at end of file
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { Container, Row, Col, Card, Form, Button, Alert, Spinner, Table } from 'react-bootstrap';
+import { TicketStatusBadge } from '../../components/SupportTicketThread';
+import { formatDate } from '../../lib/utils';
+
+const CATEGORIES = [
+  { value: 'general', label: 'General question' },
+  { value: 'order', label: 'Order' },
+  { value: 'payment', label: 'Payment or refund' },
+  { value: 'delivery', label: 'Delivery' },
+  { value: 'rider', label: 'Rider' },
+  { value: 'vendor', label: 'Vendor' },
+  { value: 'account', label: 'Account' }
+];
+
+/**
+ * Support Center
+ *
+ * Lets users open support tickets, optionally about an order (`?orderId=`), and see the
+ * tickets they have raised.
+ */
+export default function SupportPage({ searchParams }) {
+  const { status } = useSession();
+  const router = useRouter();
+  const orderId = searchParams?.orderId || '';
+
+  const [tickets, setTickets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [formData, setFormData] = useState({
+    subject: '',
+    description: '',
+    category: orderId ? 'order' : 'general'
+  });
+
+  useEffect(() => {
+    if (status === 'authenticated') {
+      fetchTickets();
+    } else if (status === 'unauthenticated') {
+      router.push(`/auth/signin?callbackUrl=${encodeURIComponent(`/support${orderId ? `?orderId=${orderId}` : ''}`)}`);
+    }
+  }, [status]);
+
+  const fetchTickets = async () => {
+    try {
+      setLoading(true);
+      const response = await fetch('/api/support/tickets');
+      if (!response.ok) {
+        throw new Error('Failed to fetch your tickets');
+      }
+      const data = await response.json();
+      setTickets(data.tickets || []);
+    } catch (err) {
+      console.error('Error fetching tickets:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      setError(null);
+
+      const response = await fetch('/api/support/tickets', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...formData, orderId: orderId || undefined })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create ticket');
+      }
+
+      router.push(`/support/${data.ticket.id}`);
+    } catch (err) {
+      console.error('Error creating ticket:', err);
+      setError(err.message);
+      setSubmitting(false);
+    }
+  };
+
+  if (status === 'loading') {
+    return (
+      <Container className="py-5 text-center">
+        <Spinner animation="border" variant="primary" />
+      </Container>
+    );
+  }
+
+  return (
+    <Container className="py-5">
+      <h1 className="mb-4">Support Center</h1>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      <Row>
+        <Col lg={5} className="mb-4">
+          <Card className="shadow-sm">
+            <Card.Header>
+              <h5 className="mb-0">Open a Ticket</h5>
+            </Card.Header>
+            <Card.Body>
+              {orderId && (
+                <Alert variant="info">
+                  This ticket will be linked to order #{orderId.slice(0, 8)}.
+                </Alert>
+              )}
+              <Form onSubmit={handleSubmit}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Category</Form.Label>
+                  <Form.Select name="category" value={formData.category} onChange={handleChange}>
+                    {CATEGORIES.map(category => (
+                      <option key={category.value} value={category.value}>{category.label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Subject</Form.Label>
+                  <Form.Control
+                    name="subject"
+                    value={formData.subject}
+                    onChange={handleChange}
+                    placeholder="Briefly describe the problem"
+                    required
+                  />
+                </Form.Group>
+                <Form.Group className="mb-3">
+                  <Form.Label>Details</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={5}
+                    name="description"
+                    value={formData.description}
+                    onChange={handleChange}
+                    placeholder="Tell us what happened and how we can help"
+                    required
+                  />
+                </Form.Group>
+                <div className="d-grid">
+                  <Button type="submit" variant="primary" disabled={submitting}>
+                    {submitting ? <Spinner animation="border" size="sm" /> : 'Submit Ticket'}
+                  </Button>
+                </div>
+              </Form>
+            </Card.Body>
+          </Card>
+        </Col>
+
+        <Col lg={7}>
+          <Card className="shadow-sm">
+            <Card.Header>
+              <h5 className="mb-0">Your Tickets</h5>
+            </Card.Header>
+            <Card.Body className="p-0">
+              {loading ? (
+                <div className="text-center py-4">
+                  <Spinner animation="border" variant="primary" />
+                </div>
+              ) : tickets.length === 0 ? (
+                <p className="text-muted text-center py-4 mb-0">You haven't raised any tickets yet.</p>
+              ) : (
+                <Table hover responsive className="mb-0">
+                  <thead>
+                    <tr>
+                      <th>Subject</th>
+                      <th>Status</th>
+                      <th>Replies</th>
+                      <th>Opened</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tickets.map(ticket => (
+                      <tr key={ticket.id}>
+                        <td>
+                          <Link href={`/support/${ticket.id}`} className="text-decoration-none">
+                            {ticket.subject}
+                          </Link>
+                          {ticket.orderId && (
+                            <div className="small text-muted">Order #{ticket.orderId.slice(0, 8)}</div>
+                          )}
+                        </td>
+                        <td><TicketStatusBadge status={ticket.status} /></td>
+                        <td>{ticket.replyCount}</td>
+                        <td>{formatDate(ticket.createdAt)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+}
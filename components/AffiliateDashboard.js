@@ -30,6 +30,9 @@ const AffiliateDashboard = () => {
   const [savingPaymentDetails, setSavingPaymentDetails] = useState(false);
   const [paymentDetailsError, setPaymentDetailsError] = useState(null);
   const [paymentDetailsSuccess, setPaymentDetailsSuccess] = useState(false);
+  const [transferring, setTransferring] = useState(false);
+  const [transferError, setTransferError] = useState(null);
+  const [transferResult, setTransferResult] = useState(null);
 
   // Fetch affiliate data on component mount
   useEffect(() => {
@@ -126,6 +129,32 @@ const AffiliateDashboard = () => {
     }
   };
 
+  // Move pending earnings into the user's wallet
+  const transferToWallet = async () => {
+    setTransferring(true);
+    setTransferError(null);
+    setTransferResult(null);
+
+    try {
+      const response = await fetch('/api/affiliate/earnings/transfer', {
+        method: 'POST',
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to move earnings to wallet');
+      }
+
+      setTransferResult(data.transfer);
+      await fetchAffiliateData();
+    } catch (err) {
+      console.error('Error moving earnings to wallet:', err);
+      setTransferError(err.message);
+    } finally {
+      setTransferring(false);
+    }
+  };
+
   // Handle payment details input change
   const handlePaymentDetailsChange = (e) => {
     const { name, value } = e.target;
@@ -364,6 +393,19 @@ const AffiliateDashboard = () => {
                     </div>
                   </Col>
                 </Row>
+                {transferError && <Alert variant="danger" className="mt-3 mb-0">{transferError}</Alert>}
+                {transferResult && (
+                  <Alert variant="success" className="mt-3 mb-0">
+                    {formatCurrency(transferResult.amount)} moved to your wallet. Wallet balance: {formatCurrency(transferResult.balance)}
+                  </Alert>
+                )}
+                {summary.pending > 0 && (
+                  <div className="text-center mt-3">
+                    <Button variant="outline-success" size="sm" onClick={transferToWallet} disabled={transferring}>
+                      {transferring ? <Spinner animation="border" size="sm" /> : 'Move Pending Earnings to Wallet'}
+                    </Button>
+                  </div>
+                )}
               </div>
             </Col>
           </Row>
@@ -0,0 +1,327 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, Badge, Button, Form, Table, Alert, Spinner, InputGroup } from 'react-bootstrap'
+import { formatCurrency, formatDateTime, resizePhoto } from '../lib/utils'
+
+const STATUS_VARIANTS = {
+  submitted: { bg: 'primary', label: 'Submitted' },
+  vendor_responded: { bg: 'info', label: 'Vendor Responded' },
+  approved: { bg: 'success', label: 'Approved' },
+  partially_approved: { bg: 'success', label: 'Partially Approved' },
+  settling: { bg: 'warning', label: 'Settling' },
+  rejected: { bg: 'danger', label: 'Rejected' },
+  settled: { bg: 'dark', label: 'Settled' }
+}
+
+const RESOLUTION_LABELS = {
+  refund: 'Refund to customer',
+  vendor_deduction: 'Deduction from vendor payout'
+}
+
+// Order statuses in which the customer can file a claim
+const CLAIMABLE_ORDER_STATUSES = ['Delivered', 'Disputed']
+const MAX_PHOTOS = 6
+
+/**
+ * Badge for a claim status
+ * @param {string} status - Claim status
+ * @returns {JSX.Element} - Status badge
+ */
+export function ClaimStatusBadge({ status }) {
+  const variant = STATUS_VARIANTS[status] || { bg: 'secondary', label: status }
+  return <Badge bg={variant.bg}>{variant.label}</Badge>
+}
+
+/**
+ * Items, photos, vendor response and decision on a claim
+ * @param {Object} claim - Claim from the claims API
+ * @returns {JSX.Element} - Claim details
+ */
+export function ClaimDetails({ claim }) {
+  return (
+    <div>
+      <p style={{ whiteSpace: 'pre-wrap' }}>{claim.description}</p>
+
+      <Table size="sm" responsive>
+        <thead>
+          <tr>
+            <th>Item</th>
+            <th>Condition at delivery</th>
+            <th>Declared value</th>
+            <th className="text-end">Claimed</th>
+          </tr>
+        </thead>
+        <tbody>
+          {claim.items.map(item => (
+            <tr key={`${item.orderInventoryId}:${item.itemId}`}>
+              <td>{item.name}{item.quantity > 1 && ` × ${item.quantity}`}</td>
+              <td>{item.condition || '-'}</td>
+              <td>{item.declaredValue ? formatCurrency(item.declaredValue * item.quantity) : '-'}</td>
+              <td className="text-end">{formatCurrency(item.claimedAmount)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th colSpan={3}>Total claimed</th>
+            <th className="text-end">{formatCurrency(claim.claimedAmount)}</th>
+          </tr>
+        </tfoot>
+      </Table>
+
+      {claim.photoUrls.length > 0 && (
+        <div className="d-flex flex-wrap gap-2 mb-3">
+          {claim.photoUrls.map(url => (
+            <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+              <img src={url} alt="Claim photo" className="rounded border" style={{ width: 96, height: 96, objectFit: 'cover' }} />
+            </a>
+          ))}
+        </div>
+      )}
+
+      {claim.vendorRespondedAt && (
+        <div className="border-start border-3 border-info ps-3 mb-3">
+          <div className="small text-muted">
+            {claim.vendorName || 'Vendor'} responded {formatDateTime(claim.vendorRespondedAt)}, accepting {formatCurrency(claim.vendorAcceptedAmount)}
+          </div>
+          <div style={{ whiteSpace: 'pre-wrap' }}>{claim.vendorResponse}</div>
+        </div>
+      )}
+
+      {claim.adjudicatedAt && (
+        <div className={`border-start border-3 ps-3 ${claim.status === 'rejected' ? 'border-danger' : 'border-success'}`}>
+          <div className="small text-muted">Decided {formatDateTime(claim.adjudicatedAt)}</div>
+          {claim.status !== 'rejected' && (
+            <div>
+              <strong>Approved:</strong> {formatCurrency(claim.approvedAmount)} &middot; {RESOLUTION_LABELS[claim.resolution]}
+            </div>
+          )}
+          {claim.adjudicationNotes && <div style={{ whiteSpace: 'pre-wrap' }}>{claim.adjudicationNotes}</div>}
+          {claim.settledAt && <div className="small text-muted">Settled {formatDateTime(claim.settledAt)}</div>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * Damage claims on an order, with a form for the customer to file a new one
+ * @param {string} orderId - Order ID
+ * @param {string} orderStatus - Current order status
+ * @param {Function} onClaimFiled - Called after a claim is filed, e.g. to refresh the order
+ * @returns {JSX.Element} - The claims section
+ */
+export default function DamageClaims({ orderId, orderStatus, onClaimFiled }) {
+  const [claims, setClaims] = useState([])
+  const [claimableItems, setClaimableItems] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showForm, setShowForm] = useState(false)
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+  const [type, setType] = useState('damage')
+  const [description, setDescription] = useState('')
+  const [amounts, setAmounts] = useState({})
+  const [photos, setPhotos] = useState([])
+
+  useEffect(() => {
+    fetchClaims()
+  }, [orderId])
+
+  const fetchClaims = async () => {
+    try {
+      const response = await fetch(`/api/orders/${orderId}/claims`)
+      if (!response.ok) {
+        throw new Error('Failed to load claims')
+      }
+      const data = await response.json()
+      setClaims(data.claims)
+      setClaimableItems(data.claimableItems)
+    } catch (error) {
+      console.error('Error fetching claims:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const itemKey = item => `${item.orderInventoryId}:${item.itemId}`
+
+  const handlePhotos = async (e) => {
+    const files = Array.from(e.target.files || [])
+    e.target.value = ''
+    if (photos.length + files.length > MAX_PHOTOS) {
+      setError(`You can add at most ${MAX_PHOTOS} photos`)
+      return
+    }
+
+    try {
+      const resized = await Promise.all(files.map(file => resizePhoto(file)))
+      setPhotos(prev => [...prev, ...resized])
+    } catch (error) {
+      setError(error.message)
+    }
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const items = claimableItems
+      .filter(item => amounts[itemKey(item)] !== undefined)
+      .map(item => ({
+        orderInventoryId: item.orderInventoryId,
+        itemId: item.itemId,
+        claimedAmount: parseFloat(amounts[itemKey(item)])
+      }))
+
+    try {
+      setSubmitting(true)
+      setError('')
+      const response = await fetch(`/api/orders/${orderId}/claims`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ type, description, items, photos })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to file claim')
+      }
+
+      setShowForm(false)
+      setDescription('')
+      setAmounts({})
+      setPhotos([])
+      await fetchClaims()
+      if (onClaimFiled) onClaimFiled(data.claim)
+    } catch (error) {
+      setError(error.message)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const toggleItem = (item, checked) => {
+    setAmounts(prev => {
+      const next = { ...prev }
+      if (checked) {
+        next[itemKey(item)] = item.declaredValue ? String(item.declaredValue * item.quantity) : ''
+      } else {
+        delete next[itemKey(item)]
+      }
+      return next
+    })
+  }
+
+  const openItems = claimableItems.filter(item => !item.claimed)
+  const canFile = CLAIMABLE_ORDER_STATUSES.includes(orderStatus) && openItems.length > 0
+
+  if (loading || (claims.length === 0 && !canFile)) {
+    return null
+  }
+
+  return (
+    <Card className="mb-4">
+      <Card.Body>
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h4 className="mb-0">Damage Claims</h4>
+          {canFile && !showForm && (
+            <Button variant="outline-danger" size="sm" onClick={() => setShowForm(true)}>
+              Report damaged or missing items
+            </Button>
+          )}
+        </div>
+
+        {showForm && (
+          <Form onSubmit={handleSubmit} className="mb-4">
+            {error && <Alert variant="danger">{error}</Alert>}
+            <Form.Group className="mb-3">
+              <Form.Label>What happened?</Form.Label>
+              <div>
+                <Form.Check inline type="radio" id="claim-damage" label="Items were damaged" checked={type === 'damage'} onChange={() => setType('damage')} />
+                <Form.Check inline type="radio" id="claim-missing" label="Items are missing" checked={type === 'missing'} onChange={() => setType('missing')} />
+              </div>
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Affected items</Form.Label>
+              {openItems.map(item => (
+                <div key={itemKey(item)} className="d-flex align-items-center gap-3 mb-2">
+                  <Form.Check
+                    type="checkbox"
+                    id={`claim-item-${itemKey(item)}`}
+                    label={`${item.name}${item.quantity > 1 ? ` × ${item.quantity}` : ''}${item.declaredValue ? ` (declared ${formatCurrency(item.declaredValue * item.quantity)})` : ''}`}
+                    checked={amounts[itemKey(item)] !== undefined}
+                    onChange={(e) => toggleItem(item, e.target.checked)}
+                    className="flex-grow-1"
+                  />
+                  {amounts[itemKey(item)] !== undefined && (
+                    <InputGroup size="sm" style={{ maxWidth: 180 }}>
+                      <InputGroup.Text>₹</InputGroup.Text>
+                      <Form.Control
+                        type="number"
+                        min="1"
+                        step="0.01"
+                        value={amounts[itemKey(item)]}
+                        onChange={(e) => setAmounts(prev => ({ ...prev, [itemKey(item)]: e.target.value }))}
+                        required
+                      />
+                    </InputGroup>
+                  )}
+                </div>
+              ))}
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Details</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                value={description}
+                onChange={(e) => setDescription(e.target.value)}
+                placeholder="Describe the damage or what is missing"
+                required
+              />
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>Photos{type === 'damage' ? '' : ' (optional)'}</Form.Label>
+              <Form.Control type="file" accept="image/*" multiple onChange={handlePhotos} disabled={photos.length >= MAX_PHOTOS} />
+              {photos.length > 0 && (
+                <div className="d-flex flex-wrap gap-2 mt-2">
+                  {photos.map((photo, index) => (
+                    <img key={index} src={photo} alt={`Photo ${index + 1}`} className="rounded border" style={{ width: 72, height: 72, objectFit: 'cover' }} />
+                  ))}
+                </div>
+              )}
+            </Form.Group>
+
+            <div className="d-flex gap-2">
+              <Button type="submit" variant="danger" disabled={submitting || Object.keys(amounts).length === 0}>
+                {submitting ? <Spinner animation="border" size="sm" /> : 'File Claim'}
+              </Button>
+              <Button variant="outline-secondary" onClick={() => setShowForm(false)} disabled={submitting}>
+                Cancel
+              </Button>
+            </div>
+          </Form>
+        )}
+
+        {claims.map(claim => (
+          <div key={claim.id} className="border rounded p-3 mb-3">
+            <div className="d-flex justify-content-between align-items-center mb-2">
+              <strong>
+                {claim.type === 'missing' ? 'Missing items' : 'Damage'} claim #{claim.id.slice(0, 8)}
+              </strong>
+              <div>
+                <small className="text-muted me-2">{formatDateTime(claim.createdAt)}</small>
+                <ClaimStatusBadge status={claim.status} />
+              </div>
+            </div>
+            <ClaimDetails claim={claim} />
+          </div>
+        ))}
+      </Card.Body>
+    </Card>
+  )
+}
@@ -0,0 +1,70 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, Table, Badge } from 'react-bootstrap'
+import { FaFileInvoice, FaFileDownload } from 'react-icons/fa'
+import { formatCurrency, formatDate } from '../lib/utils'
+
+/**
+ * An order's tax invoices and credit notes, with links to view and download them
+ * @param {string} orderId - Order ID
+ * @param {string} refreshKey - Changes when the order's payments may have changed, to reload the list
+ * @returns {JSX.Element} - The invoices section
+ */
+export default function OrderInvoices({ orderId, refreshKey }) {
+  const [invoices, setInvoices] = useState([])
+
+  useEffect(() => {
+    fetchInvoices()
+  }, [orderId, refreshKey])
+
+  const fetchInvoices = async () => {
+    try {
+      const response = await fetch(`/api/orders/${orderId}/invoices`)
+      if (!response.ok) {
+        throw new Error('Failed to load invoices')
+      }
+      const data = await response.json()
+      setInvoices(data.invoices)
+    } catch (error) {
+      console.error('Error fetching invoices:', error)
+    }
+  }
+
+  if (invoices.length === 0) {
+    return null
+  }
+
+  return (
+    <Card className="mb-4">
+      <Card.Body>
+        <h4 className="mb-3">Invoices</h4>
+        <Table size="sm" responsive className="mb-0">
+          <tbody>
+            {invoices.map(invoice => (
+              <tr key={invoice.id}>
+                <td>
+                  {invoice.number}
+                  {invoice.type === 'credit_note' && <Badge bg="secondary" className="ms-2">Credit note</Badge>}
+                  <div className="small text-muted">{invoice.description}</div>
+                </td>
+                <td>{formatDate(invoice.issuedAt)}</td>
+                <td>{formatCurrency(invoice.type === 'credit_note' ? -invoice.totalAmount : invoice.totalAmount)}</td>
+                <td className="text-end text-nowrap">
+                  <a href={`/api/invoices/${invoice.id}`} target="_blank" rel="noopener noreferrer" className="btn btn-sm btn-outline-secondary me-2">
+                    <FaFileInvoice className="me-1" />
+                    View
+                  </a>
+                  <a href={`/api/invoices/${invoice.id}?download=1`} className="btn btn-sm btn-outline-primary">
+                    <FaFileDownload className="me-1" />
+                    Download
+                  </a>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      </Card.Body>
+    </Card>
+  )
+}
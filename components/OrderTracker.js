@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Card, ProgressBar, Badge, Button, Spinner, Alert } from 'react-bootstrap';
 import { useSocket } from '../lib/hooks/useSocket';
+import { toStatusKey } from '../lib/orderLifecycle';
 
 /**
  * Order Tracker Component
@@ -84,17 +85,19 @@ const OrderTracker = ({ orderId, initialOrderData }) => {
     const statusMap = {
       'initiated': 0,
       'quotes_received': 10,
-      'accepted': 20,
+      'rider_assigned': 20,
       'paid': 30,
       'scheduled': 40,
       'in_progress': 60,
       'picked_up': 70,
       'in_transit': 80,
+      'out_for_delivery': 90,
       'delivered': 100,
+      'completed': 100,
       'cancelled': 0,
     };
     
-    return statusMap[orderData?.status] || 0;
+    return statusMap[toStatusKey(orderData?.status) || orderData?.status] || 0;
   }
 
   // Get status badge variant based on order status
@@ -102,17 +105,20 @@ const OrderTracker = ({ orderId, initialOrderData }) => {
     const variantMap = {
       'initiated': 'info',
       'quotes_received': 'info',
-      'accepted': 'primary',
+      'rider_assigned': 'primary',
       'paid': 'primary',
       'scheduled': 'primary',
       'in_progress': 'warning',
       'picked_up': 'warning',
       'in_transit': 'warning',
+      'out_for_delivery': 'warning',
       'delivered': 'success',
+      'completed': 'success',
+      'failed_delivery': 'danger',
       'cancelled': 'danger',
     };
     
-    return variantMap[orderData?.status] || 'secondary';
+    return variantMap[toStatusKey(orderData?.status) || orderData?.status] || 'secondary';
   }
 
   // Format the status for display
@@ -1,11 +1,19 @@
 'use client'
 
 import { useState, useEffect } from 'react'
-import { Modal, Button, Alert, Spinner } from 'react-bootstrap'
+import { Modal, Button, Alert, Spinner, Form } from 'react-bootstrap'
 import Script from 'next/script'
 import { useRouter } from 'next/navigation'
 import { useSession } from 'next-auth/react'
 
+// Outcomes the mock gateway can simulate in test mode
+const TEST_OUTCOMES = [
+  { value: 'success', label: 'Successful payment' },
+  { value: 'declined', label: 'Declined by the bank' },
+  { value: 'timeout', label: 'Gateway timeout' },
+  { value: 'signature_mismatch', label: 'Signature mismatch' }
+]
+
 export default function PaymentModal({ 
   show, 
   onHide, 
@@ -18,23 +26,143 @@ export default function PaymentModal({
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
   const [scriptLoaded, setScriptLoaded] = useState(false)
+  const [scriptFailed, setScriptFailed] = useState(false)
+  const [schedule, setSchedule] = useState(null)
+  const [testOrder, setTestOrder] = useState(null)
+  const [testOutcome, setTestOutcome] = useState('success')
+  const [price, setPrice] = useState(null)
+  const [promoCode, setPromoCode] = useState('')
+  const [promoError, setPromoError] = useState('')
+  const [applyingPromo, setApplyingPromo] = useState(false)
+  const [walletBalance, setWalletBalance] = useState(0)
+  const [useWallet, setUseWallet] = useState(false)
 
   useEffect(() => {
     // Reset error when modal is opened/closed
-    if (show) setError('')
+    if (show) {
+      setError('')
+      setTestOrder(null)
+      setPromoCode('')
+      setPromoError('')
+      setUseWallet(false)
+    }
   }, [show])
 
+  useEffect(() => {
+    if (!show || !orderId || !vendorId) return
+    fetchSchedule()
+  }, [show, orderId, vendorId])
+
+  const fetchSchedule = async () => {
+    try {
+      // Only part of the quote may be due now, e.g. the booking advance
+      const response = await fetch(`/api/orders/${orderId}/payment-schedule?vendorId=${vendorId}`)
+      const data = response.ok ? await response.json() : null
+      setSchedule(data ? data.schedule : null)
+
+      const walletResponse = await fetch('/api/wallet')
+      const walletData = walletResponse.ok ? await walletResponse.json() : null
+      setWalletBalance(walletData ? walletData.wallet.balance : 0)
+
+      // Discounts can only change until the order is booked
+      if (data && !data.schedule.saved) {
+        const priceResponse = await fetch(`/api/orders/${orderId}/promo?vendorId=${vendorId}`)
+        const priceData = priceResponse.ok ? await priceResponse.json() : null
+        setPrice(priceData ? priceData.price : null)
+        setPromoError(priceData && priceData.price.promoError ? priceData.price.promoError : '')
+      } else {
+        setPrice(null)
+      }
+    } catch (error) {
+      console.error('Error fetching payment schedule:', error)
+    }
+  }
+
+  const updatePromoCode = async (method) => {
+    try {
+      setApplyingPromo(true)
+      setPromoError('')
+      const response = await fetch(`/api/orders/${orderId}/promo`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: method === 'POST' ? JSON.stringify({ code: promoCode, vendorId }) : undefined
+      })
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update promo code')
+      }
+      setPromoCode('')
+      await fetchSchedule()
+    } catch (error) {
+      setPromoError(error.message)
+    } finally {
+      setApplyingPromo(false)
+    }
+  }
+
+  const dueNow = schedule && schedule.nextDue
+  const walletAmount = useWallet && dueNow ? Math.min(walletBalance, dueNow.amount) : 0
+  const paidByWallet = dueNow && walletAmount >= dueNow.amount
+
+  const verifyPayment = async (response) => {
+    try {
+      // Verify payment through our payment service API
+      const verifyResponse = await fetch('/api/payment/verify', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          orderId,
+          vendorId,
+          razorpay_payment_id: response.razorpay_payment_id,
+          razorpay_order_id: response.razorpay_order_id,
+          razorpay_signature: response.razorpay_signature
+        })
+      })
+
+      let errorData;
+      try {
+        const responseData = await verifyResponse.json();
+        
+        if (!verifyResponse.ok) {
+          errorData = responseData;
+          throw new Error(errorData.error || 'Payment verification failed');
+        }
+        
+        // Close modal and redirect
+        onHide();
+        router.refresh(); // Refresh the page data
+        router.push(`/order/${orderId}`);
+      } catch (jsonError) {
+        console.error('Error parsing verification response:', jsonError);
+        
+        if (verifyResponse.status === 200) {
+          // If status is OK but JSON parsing failed, still consider it a success
+          onHide();
+          router.refresh();
+          router.push(`/order/${orderId}`);
+        } else {
+          // Handle error from non-JSON response
+          const errorText = errorData?.error || 'Payment verification failed with an unexpected response';
+          throw new Error(errorText);
+        }
+      }
+    } catch (error) {
+      console.error('Payment verification error:', error);
+      setError('Failed to verify payment. Please contact support.');
+      setLoading(false);
+    }
+  }
+
   const handlePayment = async () => {
     if (!session) {
       setError('Please sign in to make a payment')
       return
     }
 
-    if (!scriptLoaded) {
-      setError('Payment system is still loading. Please wait.')
-      return
-    }
-
     try {
       setLoading(true)
       setError('')
@@ -45,7 +173,7 @@ export default function PaymentModal({
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ orderId, quoteId: vendorId })
+        body: JSON.stringify({ orderId, quoteId: vendorId, useWallet })
       })
 
       if (!response.ok) {
@@ -55,64 +183,34 @@ export default function PaymentModal({
 
       const data = await response.json()
 
+      // The wallet covered the whole installment, so there's nothing to pay at the gateway
+      if (data.paidFromWallet) {
+        onHide()
+        router.refresh()
+        router.push(`/order/${orderId}`)
+        return
+      }
+
+      // In test mode the order is paid through the mock gateway instead of Razorpay
+      if (data.gateway === 'mock') {
+        setTestOrder(data)
+        setLoading(false)
+        return
+      }
+
+      if (!scriptLoaded) {
+        throw new Error(scriptFailed ? 'Failed to load payment system' : 'Payment system is still loading. Please wait.')
+      }
+
       // Initialize Razorpay
       const options = {
         key: data.key,
         amount: data.amount,
         currency: data.currency,
         name: 'Move Management System',
-        description: `Payment for Order #${orderId}`,
+        description: data.installment ? `${data.installment.label} for Order #${orderId}` : `Payment for Order #${orderId}`,
         order_id: data.id,
-        handler: async function (response) {
-          try {
-            // Verify payment through our payment service API
-            const verifyResponse = await fetch('/api/payment/verify', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json'
-              },
-              body: JSON.stringify({
-                orderId,
-                vendorId,
-                razorpay_payment_id: response.razorpay_payment_id,
-                razorpay_order_id: response.razorpay_order_id,
-                razorpay_signature: response.razorpay_signature
-              })
-            })
-
-            let errorData;
-            try {
-              const responseData = await verifyResponse.json();
-              
-              if (!verifyResponse.ok) {
-                errorData = responseData;
-                throw new Error(errorData.error || 'Payment verification failed');
-              }
-              
-              // Close modal and redirect
-              onHide();
-              router.refresh(); // Refresh the page data
-              router.push(`/order/${orderId}`);
-            } catch (jsonError) {
-              console.error('Error parsing verification response:', jsonError);
-              
-              if (verifyResponse.status === 200) {
-                // If status is OK but JSON parsing failed, still consider it a success
-                onHide();
-                router.refresh();
-                router.push(`/order/${orderId}`);
-              } else {
-                // Handle error from non-JSON response
-                const errorText = errorData?.error || 'Payment verification failed with an unexpected response';
-                throw new Error(errorText);
-              }
-            }
-          } catch (error) {
-            console.error('Payment verification error:', error);
-            setError('Failed to verify payment. Please contact support.');
-            setLoading(false);
-          }
-        },
+        handler: verifyPayment,
         prefill: {
           name: session?.user?.name || '',
           email: session?.user?.email || '',
@@ -141,13 +239,41 @@ export default function PaymentModal({
     }
   }
 
+  const handleTestPayment = async () => {
+    try {
+      setLoading(true)
+      setError('')
+
+      const response = await fetch('/api/payment/mock-checkout', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ gatewayOrderId: testOrder.id, outcome: testOutcome })
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        setError(`Payment failed: ${data.error?.description || 'Unknown error'}`)
+        setLoading(false)
+        return
+      }
+
+      await verifyPayment(data)
+    } catch (error) {
+      console.error('Test payment error:', error)
+      setError(error.message || 'Failed to complete the test payment.')
+      setLoading(false)
+    }
+  }
+
   return (
     <>
       <Script
         src="https://checkout.razorpay.com/v1/checkout.js"
         strategy="lazyOnload"
         onLoad={() => setScriptLoaded(true)}
-        onError={() => setError('Failed to load payment system')}
+        onError={() => setScriptFailed(true)}
       />
       
       <Modal show={show} onHide={onHide} centered backdrop="static">
@@ -158,14 +284,98 @@ export default function PaymentModal({
           {error && <Alert variant="danger">{error}</Alert>}
           
           <p><strong>Order ID:</strong> {orderId}</p>
-          <p><strong>Amount:</strong> ₹{amount ? amount.toLocaleString('en-IN') : 'N/A'}</p>
+          {price && price.totalDiscount > 0 && (
+            <ul className="list-unstyled small mb-3">
+              <li>Quote: ₹{price.quoteAmount.toLocaleString('en-IN')}</li>
+              {price.tierDiscount > 0 && <li className="text-success">Vendor discount: −₹{price.tierDiscount.toLocaleString('en-IN')}</li>}
+              {price.promoDiscount > 0 && <li className="text-success">Promo {price.promoCode}: −₹{price.promoDiscount.toLocaleString('en-IN')}</li>}
+              <li><strong>Total: ₹{price.total.toLocaleString('en-IN')}</strong></li>
+            </ul>
+          )}
+          {price && price.note && <p className="small text-muted">{price.note}</p>}
+          {dueNow ? (
+            <>
+              <p><strong>{dueNow.label}:</strong> ₹{dueNow.amount.toLocaleString('en-IN')}</p>
+              {schedule.installments.length > 1 && (
+                <ul className="small text-muted">
+                  {schedule.installments.filter(installment => installment.status === 'pending' && installment.type !== dueNow.type).map(installment => (
+                    <li key={installment.type}>{installment.label}: ₹{installment.amount.toLocaleString('en-IN')}</li>
+                  ))}
+                </ul>
+              )}
+            </>
+          ) : (
+            <p><strong>Amount:</strong> ₹{amount ? amount.toLocaleString('en-IN') : 'N/A'}</p>
+          )}
           
-          <div className="alert alert-info">
-            <small>
-              You will be redirected to Razorpay's secure payment gateway to complete your payment.
-              Please do not refresh or close this window during the payment process.
-            </small>
-          </div>
+          {price && !testOrder && (
+            <Form.Group className="mb-3">
+              {price.promoCode ? (
+                <div className="d-flex justify-content-between align-items-center">
+                  <span>Promo code <strong>{price.promoCode}</strong> applied</span>
+                  <Button variant="link" size="sm" onClick={() => updatePromoCode('DELETE')} disabled={applyingPromo || loading}>
+                    Remove
+                  </Button>
+                </div>
+              ) : (
+                <div className="d-flex">
+                  <Form.Control
+                    value={promoCode}
+                    onChange={(e) => setPromoCode(e.target.value)}
+                    placeholder="Promo code"
+                    disabled={applyingPromo || loading}
+                  />
+                  <Button variant="outline-primary" className="ms-2" onClick={() => updatePromoCode('POST')} disabled={!promoCode || applyingPromo || loading}>
+                    Apply
+                  </Button>
+                </div>
+              )}
+              {promoError && <Form.Text className="text-danger">{promoError}</Form.Text>}
+            </Form.Group>
+          )}
+
+          {walletBalance > 0 && dueNow && !testOrder && (
+            <Form.Group className="mb-3">
+              <Form.Check
+                type="checkbox"
+                id="use-wallet"
+                label={`Use wallet balance (₹${walletBalance.toLocaleString('en-IN')} available)`}
+                checked={useWallet}
+                onChange={(e) => setUseWallet(e.target.checked)}
+                disabled={loading}
+              />
+              {walletAmount > 0 && (
+                <Form.Text>
+                  ₹{walletAmount.toLocaleString('en-IN')} from your wallet
+                  {!paidByWallet && `, ₹${(Math.round((dueNow.amount - walletAmount) * 100) / 100).toLocaleString('en-IN')} to pay now`}
+                </Form.Text>
+              )}
+            </Form.Group>
+          )}
+
+          {testOrder ? (
+            <Alert variant="warning">
+              <p className="mb-2">
+                <strong>Test mode:</strong> no real payment will be taken. Choose how the mock gateway should respond.
+              </p>
+              <Form.Select value={testOutcome} onChange={(e) => setTestOutcome(e.target.value)} disabled={loading}>
+                {TEST_OUTCOMES.map(outcome => (
+                  <option key={outcome.value} value={outcome.value}>{outcome.label}</option>
+                ))}
+              </Form.Select>
+            </Alert>
+          ) : paidByWallet ? (
+            <div className="alert alert-info">
+              <small>This payment will be made entirely from your wallet.</small>
+            </div>
+          ) : (
+            <div className="alert alert-info">
+              <small>
+                You will be redirected to Razorpay's secure payment gateway to complete your payment.
+                Please do not refresh or close this window during the payment process.
+              </small>
+            </div>
+          )}
         </Modal.Body>
         <Modal.Footer>
           <Button 
@@ -177,8 +387,8 @@ export default function PaymentModal({
           </Button>
           <Button
             variant="primary"
-            onClick={handlePayment}
-            disabled={loading || !scriptLoaded || !amount}
+            onClick={testOrder ? handleTestPayment : handlePayment}
+            disabled={loading || !amount}
           >
             {loading ? (
               <>
@@ -192,6 +402,10 @@ export default function PaymentModal({
                 />
                 Processing...
               </>
+            ) : testOrder ? (
+              'Complete Test Payment'
+            ) : paidByWallet ? (
+              'Pay from Wallet'
             ) : (
               'Pay Now'
             )}
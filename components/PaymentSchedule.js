@@ -0,0 +1,99 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, Badge, Button, Table } from 'react-bootstrap'
+import PaymentModal from './PaymentModal'
+import { formatCurrency, formatDateTime } from '../lib/utils'
+
+/**
+ * An order's payment schedule, with a button to pay the next installment once the
+ * order is booked
+ * @param {string} orderId - Order ID
+ * @param {string} vendorId - The booked vendor's ID
+ * @param {Function} onPaid - Called when the payment window closes, e.g. to refresh the order
+ * @returns {JSX.Element} - The schedule section
+ */
+export default function PaymentSchedule({ orderId, vendorId, onPaid }) {
+  const [schedule, setSchedule] = useState(null)
+  const [showPayment, setShowPayment] = useState(false)
+
+  useEffect(() => {
+    fetchSchedule()
+  }, [orderId])
+
+  const fetchSchedule = async () => {
+    try {
+      const response = await fetch(`/api/orders/${orderId}/payment-schedule`)
+      if (!response.ok) {
+        throw new Error('Failed to load payment schedule')
+      }
+      const data = await response.json()
+      setSchedule(data.schedule)
+    } catch (error) {
+      console.error('Error fetching payment schedule:', error)
+    }
+  }
+
+  const handleClose = () => {
+    setShowPayment(false)
+    fetchSchedule()
+    if (onPaid) onPaid()
+  }
+
+  // Nothing to show until the order is booked, or for orders paid in one go
+  if (!schedule || !schedule.saved || schedule.installments.length < 2) {
+    return null
+  }
+
+  const { nextDue } = schedule
+  const canPay = nextDue && nextDue.type !== 'advance'
+
+  return (
+    <Card className="mb-4">
+      <Card.Body>
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h4 className="mb-0">Payments</h4>
+          <span className="text-muted">
+            {formatCurrency(schedule.paidAmount)} of {formatCurrency(schedule.total)} paid
+          </span>
+        </div>
+
+        <Table size="sm" responsive className="mb-3">
+          <tbody>
+            {schedule.installments.map(installment => (
+              <tr key={installment.type}>
+                <td>{installment.label}</td>
+                <td>{formatCurrency(installment.amount)}</td>
+                <td className="text-end">
+                  {installment.status === 'paid' ? (
+                    <Badge bg="success">Paid {formatDateTime(installment.paidAt)}</Badge>
+                  ) : installment.isDue ? (
+                    <Badge bg="warning">Due now</Badge>
+                  ) : (
+                    <Badge bg="secondary">Due before the order is {installment.gatesStatus.toLowerCase()}</Badge>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+
+        {canPay && (
+          <Button variant={nextDue.isDue ? 'primary' : 'outline-primary'} onClick={() => setShowPayment(true)}>
+            Pay {nextDue.label.toLowerCase()} ({formatCurrency(nextDue.amount)})
+          </Button>
+        )}
+      </Card.Body>
+
+      {showPayment && (
+        <PaymentModal
+          show={showPayment}
+          onHide={handleClose}
+          orderId={orderId}
+          vendorId={vendorId}
+          amount={nextDue.amount}
+        />
+      )}
+    </Card>
+  )
+}
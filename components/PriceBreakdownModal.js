@@ -18,6 +18,7 @@ export default function PriceBreakdownModal({ show, onHide, estimate, formData }
     floorCostDestination: "Additional charges for moving items up/down floors at the destination. Elevator availability reduces this cost.",
     parkingCostOrigin: "Charges based on the distance between the moving truck and your pickup location entrance.",
     parkingCostDestination: "Charges based on the distance between the moving truck and your destination location entrance.",
+    intermediateStopsCost: "Loading/unloading, floor and parking charges at the stops between your pickup and final destination.",
     specialItemHandling: "Additional cost for handling special items that require extra care, equipment, or expertise.",
     storageCost: "Cost for temporary storage of your belongings between pickup and delivery.",
     tollCharges: "Estimated toll charges along the route.",
@@ -38,6 +39,10 @@ export default function PriceBreakdownModal({ show, onHide, estimate, formData }
     }
   }
 
+  const legs = estimate.legs || [];
+  const stops = estimate.stops || [];
+  const showRoute = stops.length > 2 || legs.length > 1;
+
   // Calculate percentages for visualization
   const subtotalWithoutGST = displayCost - (estimate.GST || 0);
   const getPercentage = (value) => {
@@ -147,6 +152,13 @@ export default function PriceBreakdownModal({ show, onHide, estimate, formData }
                       <td><small>{explanations.parkingCostDestination}</small></td>
                     </tr>
                   )}
+                  {(estimate.intermediateStopsCost || 0) > 0 && (
+                    <tr>
+                      <td>Intermediate Stops</td>
+                      <td>{formatCurrency(estimate.intermediateStopsCost || 0)}</td>
+                      <td><small>{explanations.intermediateStopsCost}</small></td>
+                    </tr>
+                  )}
                   {(estimate.specialItemHandling || 0) > 0 && (
                     <tr>
                       <td>Special Item Handling</td>
@@ -181,6 +193,68 @@ export default function PriceBreakdownModal({ show, onHide, estimate, formData }
           </Accordion.Item>
         </Accordion>
         
+        {/* Route breakdown for multi-stop and return-trip moves */}
+        {showRoute && (
+          <Accordion className="mb-4" defaultActiveKey="0">
+            <Accordion.Item eventKey="0">
+              <Accordion.Header>Route Breakdown</Accordion.Header>
+              <Accordion.Body>
+                <h6>Legs</h6>
+                <Table striped bordered hover className="mb-4">
+                  <thead>
+                    <tr>
+                      <th>Leg</th>
+                      <th>Route</th>
+                      <th>Distance</th>
+                      <th>Transport</th>
+                      <th>Tolls</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {legs.map(leg => (
+                      <tr key={leg.legNumber}>
+                        <td>{leg.legNumber}{leg.isReturnLeg ? ' (return)' : ''}</td>
+                        <td>
+                          {leg.from.label} ({leg.from.zip}) → {leg.to.label} ({leg.to.zip})
+                        </td>
+                        <td>{leg.distance} km</td>
+                        <td>{formatCurrency(leg.transportCost || 0)}</td>
+                        <td>{formatCurrency(leg.tollCharges || 0)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+
+                <h6>Stops</h6>
+                <Table striped bordered hover>
+                  <thead>
+                    <tr>
+                      <th>Stop</th>
+                      <th>Floor</th>
+                      <th>Parking Distance</th>
+                      <th>Floor Cost</th>
+                      <th>Parking Cost</th>
+                      <th>Stop Charge</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stops.map((stop, index) => (
+                      <tr key={index}>
+                        <td>{stop.label} ({stop.zip})</td>
+                        <td>{stop.floorLevel || 0}{stop.hasElevator ? ' (Elevator)' : ''}</td>
+                        <td>{stop.parkingDistance || 0} meters</td>
+                        <td>{formatCurrency(stop.floorCost || 0)}</td>
+                        <td>{formatCurrency(stop.parkingCost || 0)}</td>
+                        <td>{formatCurrency(stop.extraStopCharge || 0)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Accordion.Body>
+            </Accordion.Item>
+          </Accordion>
+        )}
+        
         {/* Adjustment factors */}
         <Accordion className="mb-4">
           <Accordion.Item eventKey="0">
@@ -264,12 +338,20 @@ export default function PriceBreakdownModal({ show, onHide, estimate, formData }
               <tbody>
                 <tr>
                   <td>From Location</td>
-                  <td>{formData?.fromZip || 'N/A'} ({estimate.fromTier || 'Standard'})</td>
+                  <td>{formData?.fromZip || stops[0]?.zip || 'N/A'} ({estimate.fromTier || 'Standard'})</td>
                 </tr>
                 <tr>
                   <td>To Location</td>
-                  <td>{formData?.toZip || 'N/A'} ({estimate.toTier || 'Standard'})</td>
+                  <td>{formData?.toZip || stops[stops.length - 1]?.zip || 'N/A'} ({estimate.toTier || 'Standard'})</td>
                 </tr>
+                {showRoute && (
+                  <tr>
+                    <td>Route</td>
+                    <td>
+                      {stops.length} stops{estimate.returnTrip ? ', returning to the first stop' : ''}
+                    </td>
+                  </tr>
+                )}
                 <tr>
                   <td>Distance</td>
                   <td>{estimate.distance || 0} km</td>
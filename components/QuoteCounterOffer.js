@@ -0,0 +1,127 @@
+'use client'
+
+import { useState } from 'react'
+import { Form, Button, Alert, InputGroup } from 'react-bootstrap'
+import { formatCurrency, formatDateTime } from '../lib/utils'
+
+const OFFER_STATUS_TEXT = {
+  accepted: 'The vendor accepted your counter-offer',
+  rejected: 'The vendor rejected your counter-offer',
+  superseded: 'The vendor sent a revised price instead',
+  expired: 'Your counter-offer expired without a response'
+}
+
+// Lets the customer counter-offer a lower price on a vendor's quote and shows how the
+// last counter-offer went
+export default function QuoteCounterOffer({ orderId, quote, onSubmitted }) {
+  const [showForm, setShowForm] = useState(false)
+  const [amount, setAmount] = useState('')
+  const [message, setMessage] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [error, setError] = useState('')
+
+  const offers = quote.counterOffers || []
+  const pendingOffer = offers.find(offer => offer.status === 'pending')
+  const lastOffer = offers
+    .filter(offer => offer.status !== 'pending')
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0]
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    const value = Number(amount)
+    if (!value || value <= 0) {
+      setError('Enter the price you would like to pay')
+      return
+    }
+    if (value >= quote.amount) {
+      setError('A counter-offer must be lower than the quoted price')
+      return
+    }
+
+    setSubmitting(true)
+    setError('')
+
+    try {
+      const response = await fetch(`/api/orders/${orderId}/quotes/${quote.id}/counter-offer`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ amount: value, message })
+      })
+
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send counter-offer')
+      }
+
+      setShowForm(false)
+      setAmount('')
+      setMessage('')
+      if (onSubmitted) {
+        onSubmitted(data.quote)
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to send counter-offer')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (pendingOffer) {
+    return (
+      <Alert variant="info" className="small mb-3">
+        Your counter-offer of <strong>{formatCurrency(pendingOffer.amount)}</strong> is waiting for the vendor.
+        They have until {formatDateTime(pendingOffer.expiresAt)} to respond.
+      </Alert>
+    )
+  }
+
+  return (
+    <div className="mb-3">
+      {lastOffer && OFFER_STATUS_TEXT[lastOffer.status] && (
+        <Alert variant={lastOffer.status === 'accepted' ? 'success' : 'secondary'} className="small mb-2">
+          {OFFER_STATUS_TEXT[lastOffer.status]} ({formatCurrency(lastOffer.amount)})
+          {lastOffer.responseNote && <><br /><em>&ldquo;{lastOffer.responseNote}&rdquo;</em></>}
+        </Alert>
+      )}
+
+      {quote.isActive && (showForm ? (
+        <Form onSubmit={handleSubmit}>
+          {error && <Alert variant="danger" className="small py-2">{error}</Alert>}
+          <InputGroup className="mb-2">
+            <InputGroup.Text>₹</InputGroup.Text>
+            <Form.Control
+              type="number"
+              min="1"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="Your price"
+            />
+          </InputGroup>
+          <Form.Control
+            as="textarea"
+            rows={2}
+            className="mb-2"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Message to the vendor (optional)"
+          />
+          <div className="d-flex gap-2">
+            <Button type="submit" variant="primary" size="sm" disabled={submitting}>
+              {submitting ? 'Sending...' : 'Send Counter-Offer'}
+            </Button>
+            <Button variant="outline-secondary" size="sm" onClick={() => setShowForm(false)} disabled={submitting}>
+              Cancel
+            </Button>
+          </div>
+        </Form>
+      ) : (
+        <Button variant="outline-primary" size="sm" className="w-100" onClick={() => setShowForm(true)}>
+          Make a Counter-Offer
+        </Button>
+      ))}
+    </div>
+  )
+}
@@ -2,6 +2,15 @@ import React, { useState, useEffect } from 'react';
 import { Card, Button, Table, Form, Modal, Spinner, Alert } from 'react-bootstrap';
 import { useSession } from 'next-auth/react';
 
+// Units a variable charge can be priced per; km, box and item are filled in from the order
+const VARIABLE_UNITS = [
+  { value: 'km', label: 'per km' },
+  { value: 'floor', label: 'per floor' },
+  { value: 'box', label: 'per box' },
+  { value: 'item', label: 'per item' },
+  { value: 'hour', label: 'per hour' },
+];
+
 /**
  * Quote Template Manager Component
  * 
@@ -29,6 +38,7 @@ const QuoteTemplateManager = ({ vendorId }) => {
       additionalCosts: [],
       discounts: [],
     },
+    variables: [],
   });
   const [saving, setSaving] = useState(false);
   const [saveError, setSaveError] = useState(null);
@@ -183,7 +193,47 @@ const QuoteTemplateManager = ({ vendorId }) => {
     });
   };
 
-  // Calculate total amount
+  // Handle variable charge input change
+  const handleVariableChange = (index, field, value) => {
+    setFormData(prevData => {
+      const variables = [...prevData.variables];
+      variables[index] = {
+        ...variables[index],
+        [field]: value,
+      };
+      
+      return {
+        ...prevData,
+        variables,
+      };
+    });
+  };
+
+  // Add a new variable charge
+  const addVariable = () => {
+    setFormData(prevData => ({
+      ...prevData,
+      variables: [
+        ...prevData.variables,
+        { name: '', unit: 'km', rate: '', included: '' },
+      ],
+    }));
+  };
+
+  // Remove a variable charge
+  const removeVariable = (index) => {
+    setFormData(prevData => {
+      const variables = [...prevData.variables];
+      variables.splice(index, 1);
+      
+      return {
+        ...prevData,
+        variables,
+      };
+    });
+  };
+
+  // Calculate total of the fixed amounts; variable charges depend on the order
   const calculateTotal = () => {
     const baseAmount = parseFloat(formData.baseAmount) || 0;
     const laborCost = parseFloat(formData.details.laborCost) || 0;
@@ -219,6 +269,7 @@ const QuoteTemplateManager = ({ vendorId }) => {
         additionalCosts: [],
         discounts: [],
       },
+      variables: [],
     });
     setSaveError(null);
     setShowModal(true);
@@ -245,6 +296,12 @@ const QuoteTemplateManager = ({ vendorId }) => {
           amount: discount.amount.toString(),
         })) || [],
       },
+      variables: template.variables?.map(variable => ({
+        name: variable.name,
+        unit: variable.unit,
+        rate: variable.rate.toString(),
+        included: variable.included ? variable.included.toString() : '',
+      })) || [],
     });
     setSaveError(null);
     setShowModal(true);
@@ -294,6 +351,14 @@ const QuoteTemplateManager = ({ vendorId }) => {
             amount: parseFloat(discount.amount),
           })),
       },
+      variables: formData.variables
+        .filter(variable => variable.name.trim() && !isNaN(parseFloat(variable.rate)))
+        .map(variable => ({
+          name: variable.name.trim(),
+          unit: variable.unit,
+          rate: parseFloat(variable.rate),
+          included: parseFloat(variable.included) || 0,
+        })),
     };
     
     setSaving(true);
@@ -323,7 +388,8 @@ const QuoteTemplateManager = ({ vendorId }) => {
       }
       
       if (!response.ok) {
-        throw new Error('Failed to save quote template');
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to save quote template');
       }
       
       // Refresh templates
@@ -333,7 +399,7 @@ const QuoteTemplateManager = ({ vendorId }) => {
       handleCloseModal();
     } catch (err) {
       console.error('Error saving quote template:', err);
-      setSaveError('Failed to save quote template. Please try again.');
+      setSaveError(err.message || 'Failed to save quote template. Please try again.');
     } finally {
       setSaving(false);
     }
@@ -424,6 +490,7 @@ const QuoteTemplateManager = ({ vendorId }) => {
                   <th>Name</th>
                   <th>Description</th>
                   <th className="text-end">Base Amount</th>
+                  <th>Variable Charges</th>
                   <th className="text-end">Actions</th>
                 </tr>
               </thead>
@@ -439,6 +506,17 @@ const QuoteTemplateManager = ({ vendorId }) => {
                       )}
                     </td>
                     <td className="text-end">₹{template.baseAmount.toFixed(2)}</td>
+                    <td>
+                      {template.variables?.length > 0 ? (
+                        template.variables.map(variable => (
+                          <div key={`${variable.name}-${variable.unit}`} className="small">
+                            {variable.name}: ₹{variable.rate} per {variable.unit}
+                          </div>
+                        ))
+                      ) : (
+                        <span className="text-muted fst-italic">None</span>
+                      )}
+                    </td>
                     <td className="text-end">
                       <Button
                         variant="outline-primary"
@@ -669,11 +747,79 @@ const QuoteTemplateManager = ({ vendorId }) => {
               ))}
             </div>
             
+            <hr className="my-4" />
+            
+            <div className="mb-3">
+              <div className="d-flex justify-content-between align-items-center mb-2">
+                <div>
+                  <Form.Label className="mb-0">Variable Charges</Form.Label>
+                  <p className="text-muted small mb-0">
+                    Priced for each order: distance, boxes and items are filled in from the order, floors and hours you enter when quoting
+                  </p>
+                </div>
+                <Button
+                  variant="outline-secondary"
+                  size="sm"
+                  onClick={addVariable}
+                >
+                  <i className="bi bi-plus-circle me-1"></i>
+                  Add Charge
+                </Button>
+              </div>
+              
+              {formData.variables.map((variable, index) => (
+                <div key={index} className="d-flex gap-2 mb-2">
+                  <Form.Control
+                    type="text"
+                    placeholder="Charge name, e.g. Per-floor charge"
+                    value={variable.name}
+                    onChange={(e) => handleVariableChange(index, 'name', e.target.value)}
+                  />
+                  <Form.Control
+                    type="number"
+                    placeholder="Rate (₹)"
+                    value={variable.rate}
+                    onChange={(e) => handleVariableChange(index, 'rate', e.target.value)}
+                    min="0"
+                    step="0.01"
+                  />
+                  <Form.Select
+                    value={variable.unit}
+                    onChange={(e) => handleVariableChange(index, 'unit', e.target.value)}
+                  >
+                    {VARIABLE_UNITS.map(unit => (
+                      <option key={unit.value} value={unit.value}>{unit.label}</option>
+                    ))}
+                  </Form.Select>
+                  <Form.Control
+                    type="number"
+                    placeholder="Free units"
+                    title="Units included at no charge, e.g. the first 10 km"
+                    value={variable.included}
+                    onChange={(e) => handleVariableChange(index, 'included', e.target.value)}
+                    min="0"
+                  />
+                  <Button
+                    variant="outline-danger"
+                    size="sm"
+                    onClick={() => removeVariable(index)}
+                  >
+                    <i className="bi bi-trash"></i>
+                  </Button>
+                </div>
+              ))}
+            </div>
+            
             <div className="bg-light p-3 rounded mb-3">
               <div className="d-flex justify-content-between">
-                <span className="fw-bold">Total Amount:</span>
+                <span className="fw-bold">{formData.variables.length > 0 ? 'Fixed Amount:' : 'Total Amount:'}</span>
                 <span className="fw-bold">₹{calculateTotal().toFixed(2)}</span>
               </div>
+              {formData.variables.length > 0 && (
+                <small className="text-muted">
+                  Plus variable charges, worked out for each order when you quote
+                </small>
+              )}
             </div>
           </Form>
         </Modal.Body>
@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Form, Table, Spinner, Alert, InputGroup } from 'react-bootstrap';
+
+const UNIT_LABELS = {
+  km: 'Distance (km)',
+  floor: 'Floors',
+  box: 'Boxes',
+  item: 'Items',
+  hour: 'Hours',
+};
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+/**
+ * Quote Template Picker Component
+ *
+ * Prices one of the vendor's quote templates against an order and previews the itemized
+ * quote before it's used.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.orderId - The order being quoted
+ * @param {string} props.vendorId - The ID of the vendor
+ * @param {Function} props.onApply - Called with { templateId, templateName, quantities, total }
+ * @param {Function} props.onCancel - Called when the vendor closes the picker
+ */
+const QuoteTemplatePicker = ({ orderId, vendorId, onApply, onCancel }) => {
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [templateId, setTemplateId] = useState('');
+  const [quantities, setQuantities] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  // Quantities changed since the preview was priced
+  const [stale, setStale] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await fetch(`/api/quotes/templates?vendorId=${vendorId}`);
+        if (!response.ok) {
+          throw new Error('Failed to fetch quote templates');
+        }
+        const data = await response.json();
+        setTemplates(data.templates || []);
+      } catch (err) {
+        console.error('Error fetching quote templates:', err);
+        setError('Failed to load your quote templates.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (vendorId) {
+      fetchTemplates();
+    } else {
+      setLoading(false);
+    }
+  }, [vendorId]);
+
+  // Price the template against the order with the vendor's quantities
+  const fetchPreview = async (selectedTemplateId, enteredQuantities) => {
+    setPreviewing(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`/api/vendor/quotes/${orderId}/preview`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ templateId: selectedTemplateId, quantities: enteredQuantities }),
+      });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to preview quote');
+      }
+
+      setPreview(data.preview);
+      setStale(false);
+    } catch (err) {
+      setPreview(null);
+      setError(err.message || 'Failed to preview quote');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleTemplateChange = (e) => {
+    const selected = e.target.value;
+    setTemplateId(selected);
+    setQuantities({});
+    setPreview(null);
+    if (selected) {
+      fetchPreview(selected, {});
+    }
+  };
+
+  const handleQuantityChange = (unit, value) => {
+    setQuantities(prev => ({
+      ...prev,
+      [unit]: value,
+    }));
+    setStale(true);
+  };
+
+  const handleApply = () => {
+    onApply({
+      templateId: preview.templateId,
+      templateName: preview.templateName,
+      // Only what the vendor entered; the rest is read from the order again on submit
+      quantities: Object.fromEntries(
+        Object.entries(preview.quantities)
+          .filter(([, quantity]) => quantity.source === 'vendor')
+          .map(([unit, quantity]) => [unit, quantity.value])
+      ),
+      total: preview.total,
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center my-3">
+        <Spinner animation="border" size="sm" />
+        <span className="ms-2">Loading templates...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="quote-template-picker text-start mb-3">
+      {error && (
+        <Alert variant="danger" className="py-2">
+          {error}
+        </Alert>
+      )}
+
+      {templates.length === 0 ? (
+        <Alert variant="info" className="py-2">
+          You don't have any quote templates yet. Create one under Templates.
+        </Alert>
+      ) : (
+        <Form.Group className="mb-3">
+          <Form.Label>Quote Template</Form.Label>
+          <Form.Select value={templateId} onChange={handleTemplateChange}>
+            <option value="">Choose a template...</option>
+            {templates.map(template => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+      )}
+
+      {preview && Object.keys(preview.quantities).length > 0 && (
+        <div className="mb-3">
+          {Object.entries(preview.quantities).map(([unit, quantity]) => (
+            <InputGroup key={unit} size="sm" className="mb-2">
+              <InputGroup.Text style={{ minWidth: '130px' }}>{UNIT_LABELS[unit] || unit}</InputGroup.Text>
+              <Form.Control
+                type="number"
+                min="0"
+                value={quantities[unit] ?? quantity.value}
+                onChange={(e) => handleQuantityChange(unit, e.target.value)}
+                isInvalid={quantity.source === 'missing' && quantities[unit] === undefined}
+              />
+              <InputGroup.Text className="small">
+                {quantity.source === 'order' ? 'from order' : quantity.source === 'vendor' ? 'entered' : 'enter'}
+              </InputGroup.Text>
+            </InputGroup>
+          ))}
+          <Button
+            variant="outline-secondary"
+            size="sm"
+            onClick={() => fetchPreview(templateId, quantities)}
+            disabled={previewing}
+          >
+            Recalculate
+          </Button>
+        </div>
+      )}
+
+      {previewing && (
+        <div className="text-center my-2">
+          <Spinner animation="border" size="sm" />
+          <span className="ms-2">Working out the price...</span>
+        </div>
+      )}
+
+      {preview && !previewing && (
+        <>
+          <Table size="sm" className="mb-2">
+            <tbody>
+              {preview.lineItems.map((item, index) => (
+                <tr key={index}>
+                  <td>
+                    {item.label}
+                    {item.type === 'variable' && (
+                      <div className="text-muted small">
+                        {item.quantity} {item.unit} × {formatAmount(item.rate)}
+                        {item.included > 0 && ` (first ${item.included} free)`}
+                      </div>
+                    )}
+                  </td>
+                  <td className={`text-end ${item.amount < 0 ? 'text-success' : ''}`}>
+                    {item.amount < 0 ? `-${formatAmount(-item.amount)}` : formatAmount(item.amount)}
+                  </td>
+                </tr>
+              ))}
+              <tr className="fw-bold">
+                <td>Total</td>
+                <td className="text-end">{formatAmount(preview.total)}</td>
+              </tr>
+            </tbody>
+          </Table>
+          {preview.missingQuantities.length > 0 && (
+            <Alert variant="warning" className="py-2 small">
+              Enter the {preview.missingQuantities.map(unit => (UNIT_LABELS[unit] || unit).toLowerCase()).join(', ')} for this move and recalculate.
+            </Alert>
+          )}
+        </>
+      )}
+
+      <div className="d-flex justify-content-between">
+        <Button variant="outline-secondary" size="sm" onClick={onCancel}>
+          Enter Price Instead
+        </Button>
+        <Button
+          variant="primary"
+          size="sm"
+          onClick={handleApply}
+          disabled={!preview || previewing || stale}
+        >
+          Use This Quote
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default QuoteTemplatePicker;
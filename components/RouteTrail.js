@@ -0,0 +1,66 @@
+import React from 'react';
+
+/**
+ * Component for drawing a rider's route trail from recorded location pings
+ * @param {Array} trail - Points with lat and lon, oldest first
+ * @param {number} height - Height of the drawing in pixels
+ * @returns {JSX.Element} - The route trail component
+ */
+export default function RouteTrail({ trail = [], height = 220 }) {
+  const points = trail
+    .map(point => ({ lat: parseFloat(point.lat), lon: parseFloat(point.lon) }))
+    .filter(point => !isNaN(point.lat) && !isNaN(point.lon));
+
+  if (points.length === 0) {
+    return (
+      <div className="border rounded bg-light d-flex align-items-center justify-content-center text-muted" style={{ height }}>
+        Waiting for the rider's first location update...
+      </div>
+    );
+  }
+
+  const width = 400;
+  const padding = 16;
+
+  const minLat = Math.min(...points.map(point => point.lat));
+  const maxLat = Math.max(...points.map(point => point.lat));
+  const minLon = Math.min(...points.map(point => point.lon));
+  const maxLon = Math.max(...points.map(point => point.lon));
+
+  // Keep the aspect ratio so the trail isn't stretched; a single point sits in the middle
+  const span = Math.max(maxLat - minLat, maxLon - minLon) || 1;
+  const scale = Math.min(width - padding * 2, height - padding * 2) / span;
+  const offsetX = (width - (maxLon - minLon) * scale) / 2;
+  const offsetY = (height - (maxLat - minLat) * scale) / 2;
+
+  const project = point => ({
+    x: offsetX + (point.lon - minLon) * scale,
+    y: height - (offsetY + (point.lat - minLat) * scale)
+  });
+
+  const projected = points.map(project);
+  const start = projected[0];
+  const current = projected[projected.length - 1];
+
+  return (
+    <svg
+      viewBox={`0 0 ${width} ${height}`}
+      width="100%"
+      height={height}
+      className="border rounded bg-light"
+      role="img"
+      aria-label="Rider route trail"
+    >
+      <polyline
+        points={projected.map(point => `${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ')}
+        fill="none"
+        stroke="#0d6efd"
+        strokeWidth="3"
+        strokeLinejoin="round"
+        strokeLinecap="round"
+      />
+      <circle cx={start.x} cy={start.y} r="5" fill="#6c757d" />
+      <circle cx={current.x} cy={current.y} r="8" fill="#198754" stroke="#fff" strokeWidth="2" />
+    </svg>
+  );
+}
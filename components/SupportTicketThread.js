@@ -0,0 +1,156 @@
+'use client';
+
+import React, { useState } from 'react';
+import { Card, Badge, Button, Form, Spinner, Alert } from 'react-bootstrap';
+import { formatDateTime } from '../lib/utils';
+
+const STATUS_VARIANTS = {
+  open: { bg: 'primary', label: 'Open' },
+  in_progress: { bg: 'info', label: 'In Progress' },
+  awaiting_customer: { bg: 'warning', label: 'Awaiting Customer' },
+  resolved: { bg: 'success', label: 'Resolved' },
+  closed: { bg: 'secondary', label: 'Closed' }
+};
+
+const PRIORITY_VARIANTS = {
+  low: 'secondary',
+  medium: 'info',
+  high: 'warning',
+  urgent: 'danger'
+};
+
+const SLA_VARIANTS = {
+  met: { bg: 'success', label: 'SLA met' },
+  on_track: { bg: 'light', text: 'dark', label: 'On track' },
+  at_risk: { bg: 'warning', label: 'SLA at risk' },
+  breached: { bg: 'danger', label: 'SLA breached' }
+};
+
+/**
+ * Badge for a ticket status
+ * @param {string} status - Ticket status
+ * @returns {JSX.Element} - Status badge
+ */
+export function TicketStatusBadge({ status }) {
+  const variant = STATUS_VARIANTS[status] || { bg: 'secondary', label: status };
+  return <Badge bg={variant.bg}>{variant.label}</Badge>;
+}
+
+/**
+ * Badge for a ticket priority
+ * @param {string} priority - Ticket priority
+ * @returns {JSX.Element} - Priority badge
+ */
+export function TicketPriorityBadge({ priority }) {
+  return <Badge bg={PRIORITY_VARIANTS[priority] || 'secondary'} className="text-capitalize">{priority}</Badge>;
+}
+
+/**
+ * Badge for a ticket's SLA state
+ * @param {Object} sla - SLA status from the tickets API
+ * @returns {JSX.Element} - SLA badge
+ */
+export function TicketSlaBadge({ sla }) {
+  if (!sla) return null;
+  const variant = SLA_VARIANTS[sla.state] || SLA_VARIANTS.on_track;
+  return <Badge bg={variant.bg} text={variant.text}>{variant.label}</Badge>;
+}
+
+/**
+ * Conversation on a support ticket with a reply form
+ * @param {Object} ticket - Ticket with replies
+ * @param {Function} onReply - async (message, isInternal) => void
+ * @param {boolean} canAddInternalNotes - Whether to offer the internal note option (admins)
+ * @returns {JSX.Element} - The ticket thread component
+ */
+export default function SupportTicketThread({ ticket, onReply, canAddInternalNotes = false }) {
+  const [message, setMessage] = useState('');
+  const [isInternal, setIsInternal] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isClosed = ticket.status === 'closed';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!message.trim()) return;
+
+    try {
+      setSending(true);
+      setError(null);
+      await onReply(message, isInternal);
+      setMessage('');
+      setIsInternal(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div>
+      <Card className="mb-3">
+        <Card.Body>
+          <div className="d-flex justify-content-between mb-2">
+            <strong>{ticket.userName || ticket.userEmail}</strong>
+            <small className="text-muted">{formatDateTime(ticket.createdAt)}</small>
+          </div>
+          <div style={{ whiteSpace: 'pre-wrap' }}>{ticket.description}</div>
+        </Card.Body>
+      </Card>
+
+      {ticket.replies.map(reply => (
+        <Card
+          key={reply.id}
+          className={`mb-3 ${reply.isInternal ? 'border-warning' : reply.isStaff ? 'border-primary' : ''}`}
+        >
+          <Card.Body className={reply.isInternal ? 'bg-warning bg-opacity-10' : ''}>
+            <div className="d-flex justify-content-between mb-2">
+              <div>
+                <strong>{reply.isStaff && !canAddInternalNotes ? 'Support Team' : reply.authorName}</strong>
+                {reply.isStaff && <Badge bg="primary" className="ms-2">Staff</Badge>}
+                {reply.isInternal && <Badge bg="warning" className="ms-2">Internal note</Badge>}
+              </div>
+              <small className="text-muted">{formatDateTime(reply.createdAt)}</small>
+            </div>
+            <div style={{ whiteSpace: 'pre-wrap' }}>{reply.message}</div>
+          </Card.Body>
+        </Card>
+      ))}
+
+      {isClosed && !canAddInternalNotes ? (
+        <Alert variant="secondary">
+          This ticket is closed. Please open a new ticket if you need more help.
+        </Alert>
+      ) : (
+        <Form onSubmit={handleSubmit}>
+          <Form.Group className="mb-2">
+            <Form.Control
+              as="textarea"
+              rows={4}
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              placeholder={isInternal ? 'Add a note for the support team' : 'Write a reply'}
+            />
+          </Form.Group>
+          {error && <Alert variant="danger">{error}</Alert>}
+          <div className="d-flex justify-content-between align-items-center">
+            {canAddInternalNotes ? (
+              <Form.Check
+                type="switch"
+                id="internal-note"
+                label="Internal note (hidden from the customer)"
+                checked={isInternal}
+                onChange={(e) => setIsInternal(e.target.checked)}
+              />
+            ) : <span />}
+            <Button type="submit" variant={isInternal ? 'warning' : 'primary'} disabled={sending || !message.trim()}>
+              {sending ? <Spinner animation="border" size="sm" /> : isInternal ? 'Add Note' : 'Send Reply'}
+            </Button>
+          </div>
+        </Form>
+      )}
+    </div>
+  );
+}
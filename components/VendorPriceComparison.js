@@ -5,18 +5,22 @@ import PriceBreakdownTooltip from './PriceBreakdownTooltip';
 
 /**
  * Component for displaying price comparison between vendors
- * @param {Array} quotes - Array of quotes from vendors
+ * @param {Array} quotes - Array of quotes from vendors; only active quotes are compared
  * @param {Array} vendors - Array of vendor objects
  * @param {Object} priceEstimate - System-generated price estimate
  * @returns {JSX.Element} - The price comparison component
  */
-export default function VendorPriceComparison({ quotes, vendors, priceEstimate }) {
-  if (!quotes || quotes.length === 0 || !vendors || vendors.length === 0) {
+export default function VendorPriceComparison({ quotes, vendors = [], priceEstimate }) {
+  // Expired, accepted and rejected quotes can't be booked, so they aren't compared
+  const activeQuotes = (quotes || []).filter(quote => quote.isActive !== false);
+  const inactiveCount = (quotes || []).length - activeQuotes.length;
+
+  if (activeQuotes.length === 0) {
     return null;
   }
 
   // Sort quotes by price (lowest first)
-  const sortedQuotes = [...quotes].sort((a, b) => a.amount - b.amount);
+  const sortedQuotes = [...activeQuotes].sort((a, b) => a.amount - b.amount);
   
   // Find the lowest and highest quotes
   const lowestQuote = sortedQuotes[0];
@@ -35,10 +39,17 @@ export default function VendorPriceComparison({ quotes, vendors, priceEstimate }
     return diff !== undefined && diff !== null ? diff.toFixed(1) : null;
   };
   
-  // Get vendor name by ID
-  const getVendorName = (vendorId) => {
-    const vendor = vendors.find(v => v.vendorId === vendorId);
-    return vendor?.name || 'Unknown Vendor';
+  // Get vendor name for a quote
+  const getVendorName = (quote) => {
+    const vendor = vendors.find(v => v.vendorId === quote.vendorId);
+    return vendor?.name || quote.vendorName || 'Unknown Vendor';
+  };
+
+  // Change from the vendor's previous revision, if the quote has been revised
+  const getRevisionChange = (quote) => {
+    if (!quote.version || quote.version < 2) return null;
+    const previous = (quote.revisions || []).find(revision => revision.version === quote.version - 1);
+    return previous ? quote.amount - previous.amount : null;
   };
   
   // Get vendor tier by ID
@@ -68,6 +79,7 @@ export default function VendorPriceComparison({ quotes, vendors, priceEstimate }
               <th>Vendor</th>
               <th>Tier</th>
               <th>Quote Amount</th>
+              <th>Revision</th>
               <th>Difference from Market Price</th>
             </tr>
           </thead>
@@ -77,12 +89,21 @@ export default function VendorPriceComparison({ quotes, vendors, priceEstimate }
               const diffClass = diff === null ? '' : 
                 parseFloat(diff) > 10 ? 'text-danger' : 
                 parseFloat(diff) < -10 ? 'text-success' : '';
+              const revisionChange = getRevisionChange(quote);
               
               return (
                 <tr key={index}>
-                  <td>{getVendorName(quote.vendorId)}</td>
+                  <td>{getVendorName(quote)}</td>
                   <td>{formatVendorTier(getVendorTier(quote.vendorId))}</td>
                   <td>{formatCurrency(quote.amount || 0)}</td>
+                  <td>
+                    {quote.version > 1 ? `v${quote.version}` : 'Original'}
+                    {revisionChange !== null && revisionChange !== 0 && (
+                      <small className={revisionChange < 0 ? 'text-success ms-1' : 'text-danger ms-1'}>
+                        ({revisionChange < 0 ? '-' : '+'}{formatCurrency(Math.abs(revisionChange))})
+                      </small>
+                    )}
+                  </td>
                   <td className={diffClass}>
                     {diff !== null ? `${diff}%` : 'N/A'} 
                     {diff !== null && parseFloat(diff) > 0 ? ' higher' : diff !== null && parseFloat(diff) < 0 ? ' lower' : ''}
@@ -98,6 +119,11 @@ export default function VendorPriceComparison({ quotes, vendors, priceEstimate }
           <p><strong>Highest Quote:</strong> {formatCurrency(highestQuote?.amount || 0)}</p>
           <p><strong>Average Quote:</strong> {formatCurrency(averageQuote || 0)}</p>
           {systemEstimate && <p><strong>System Estimate:</strong> {formatCurrency(systemEstimate)}</p>}
+          {inactiveCount > 0 && (
+            <p className="text-muted">
+              {inactiveCount} expired or closed quote{inactiveCount === 1 ? ' is' : 's are'} not included.
+            </p>
+          )}
         </div>
         
         <div className="mt-3">
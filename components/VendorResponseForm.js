@@ -4,7 +4,15 @@ import { useState } from 'react'
 import { Form, Button, Card, Alert } from 'react-bootstrap'
 import { useSession } from 'next-auth/react'
 
-export default function VendorResponseForm({ reviewId, orderId, vendorId, onResponseSubmitted }) {
+export default function VendorResponseForm({ counterOffer, ...props }) {
+  // With a counter-offer the vendor answers the customer's price instead of a review
+  if (counterOffer) {
+    return <CounterOfferResponseForm counterOffer={counterOffer} onResponseSubmitted={props.onResponseSubmitted} />
+  }
+  return <ReviewResponseForm {...props} />
+}
+
+function ReviewResponseForm({ reviewId, orderId, vendorId, onResponseSubmitted }) {
   const [responseText, setResponseText] = useState('')
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [error, setError] = useState('')
@@ -121,4 +129,99 @@ export default function VendorResponseForm({ reviewId, orderId, vendorId, onResp
       </Card.Body>
     </Card>
   )
-} 
\ No newline at end of file
+} 
+
+function CounterOfferResponseForm({ counterOffer, onResponseSubmitted }) {
+  const [note, setNote] = useState('')
+  const [submitting, setSubmitting] = useState(null)
+  const [error, setError] = useState('')
+  const [result, setResult] = useState(null)
+
+  const formatCurrency = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`
+
+  const respond = async (decision) => {
+    setSubmitting(decision)
+    setError('')
+
+    try {
+      const response = await fetch(`/api/vendor/counter-offers/${counterOffer.id}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ decision, note }),
+      })
+
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to respond to the counter-offer')
+      }
+
+      setResult(decision)
+      if (onResponseSubmitted) {
+        onResponseSubmitted(data)
+      }
+    } catch (err) {
+      setError(err.message || 'An error occurred while responding to the counter-offer')
+    } finally {
+      setSubmitting(null)
+    }
+  }
+
+  if (result) {
+    return (
+      <Alert variant={result === 'accept' ? 'success' : 'secondary'} className="text-start">
+        {result === 'accept'
+          ? `You accepted ${formatCurrency(counterOffer.amount)}. Your quote has been revised to this price.`
+          : 'You rejected the counter-offer. The customer can still book your price.'}
+      </Alert>
+    )
+  }
+
+  return (
+    <Card className="text-start">
+      <Card.Body>
+        <Card.Title>Customer Counter-Offer</Card.Title>
+        <div className="fs-4 fw-bold mb-2">{formatCurrency(counterOffer.amount)}</div>
+        {counterOffer.message && (
+          <p className="fst-italic mb-2">&ldquo;{counterOffer.message}&rdquo;</p>
+        )}
+        {counterOffer.expiresAt && (
+          <p className="text-muted small mb-3">
+            Respond by {new Date(counterOffer.expiresAt).toLocaleString('en-IN')}
+          </p>
+        )}
+
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        <Form.Group className="mb-3">
+          <Form.Label>Note to customer (optional)</Form.Label>
+          <Form.Control
+            as="textarea"
+            rows={2}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Explain your decision..."
+          />
+        </Form.Group>
+
+        <div className="d-flex gap-2">
+          <Button
+            variant="success"
+            onClick={() => respond('accept')}
+            disabled={!!submitting}
+          >
+            {submitting === 'accept' ? 'Accepting...' : 'Accept'}
+          </Button>
+          <Button
+            variant="outline-danger"
+            onClick={() => respond('reject')}
+            disabled={!!submitting}
+          >
+            {submitting === 'reject' ? 'Rejecting...' : 'Reject'}
+          </Button>
+        </div>
+      </Card.Body>
+    </Card>
+  )
+}
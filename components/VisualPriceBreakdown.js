@@ -37,6 +37,15 @@ export default function VisualPriceBreakdown({ estimate }) {
     });
   }
 
+  // Add intermediate stop charges for multi-stop moves
+  if ((estimate.intermediateStopsCost || 0) > 0) {
+    costComponents.push({ 
+      name: 'Extra Stops', 
+      value: estimate.intermediateStopsCost || 0, 
+      color: '#00ACC1' 
+    });
+  }
+
   // Add other costs if they exist
   const otherCosts = 
     (estimate.parkingCostOrigin || 0) + 
@@ -82,6 +91,10 @@ export default function VisualPriceBreakdown({ estimate }) {
   // Calculate total and percentages
   const total = displayCost;
   
+  // Per-leg transport for multi-stop and return-trip moves
+  const legs = estimate.legs || [];
+  const legTransportTotal = legs.reduce((sum, leg) => sum + (leg.transportCost || 0), 0);
+  
   // Helper function to safely format percentage
   const formatPercentage = (value) => {
     if (value === undefined || value === null) return "0.0";
@@ -131,6 +144,35 @@ export default function VisualPriceBreakdown({ estimate }) {
           ))}
         </div>
         
+        {legs.length > 1 && (
+          <div className="mt-3">
+            <h6>Transport by Leg</h6>
+            {legs.map(leg => {
+              const legPercentage = legTransportTotal > 0 ? (leg.transportCost / legTransportTotal) * 100 : 0;
+              return (
+                <div key={leg.legNumber} className="mb-2">
+                  <div className="d-flex justify-content-between">
+                    <small>
+                      {leg.from.label} → {leg.to.label}{leg.isReturnLeg ? ' (return)' : ''} · {leg.distance} km
+                    </small>
+                    <small>{formatCurrency(leg.transportCost || 0)}</small>
+                  </div>
+                  <div style={{ height: '8px', backgroundColor: '#f1f1f1' }}>
+                    <div
+                      style={{
+                        width: `${legPercentage}%`,
+                        backgroundColor: '#EA4335',
+                        height: '100%'
+                      }}
+                      title={`${formatCurrency(leg.transportCost || 0)} (${formatPercentage(legPercentage)}% of transport)`}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+        
         <div className="mt-3 text-center">
           <h5>Total: {formatCurrency(total)}</h5>
         </div>
@@ -0,0 +1,80 @@
+'use client'
+
+import { useState, useEffect } from 'react'
+import { Card, Table, Button } from 'react-bootstrap'
+import { FaWallet } from 'react-icons/fa'
+import { formatCurrency, formatDateTime } from '../lib/utils'
+
+const TRANSACTION_LABELS = {
+  refund_credit: 'Refund',
+  affiliate_transfer: 'Affiliate earnings',
+  checkout: 'Order payment',
+  checkout_release: 'Checkout returned',
+  admin_adjustment: 'Adjustment'
+}
+
+/**
+ * The customer's wallet balance and its recent movements. Hidden until the wallet has
+ * been used.
+ * @returns {JSX.Element} - The wallet card
+ */
+export default function WalletCard() {
+  const [wallet, setWallet] = useState(null)
+  const [showAll, setShowAll] = useState(false)
+
+  useEffect(() => {
+    fetchWallet()
+  }, [])
+
+  const fetchWallet = async () => {
+    try {
+      const response = await fetch('/api/wallet')
+      if (!response.ok) {
+        throw new Error('Failed to load wallet')
+      }
+      const data = await response.json()
+      setWallet(data.wallet)
+    } catch (error) {
+      console.error('Error fetching wallet:', error)
+    }
+  }
+
+  if (!wallet || wallet.entries.length === 0) {
+    return null
+  }
+
+  const entries = showAll ? wallet.entries : wallet.entries.slice(0, 5)
+
+  return (
+    <Card className="mb-4">
+      <Card.Body>
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h4 className="mb-0"><FaWallet className="me-2" />Wallet</h4>
+          <div className="fs-4 fw-bold">{formatCurrency(wallet.balance)}</div>
+        </div>
+        <p className="small text-muted">Your wallet balance can be used to pay for orders at checkout.</p>
+        <Table size="sm" responsive className="mb-0">
+          <tbody>
+            {entries.map(entry => (
+              <tr key={entry.id}>
+                <td>
+                  {TRANSACTION_LABELS[entry.type] || entry.type}
+                  <div className="small text-muted">{entry.description}</div>
+                </td>
+                <td className="small">{formatDateTime(entry.createdAt)}</td>
+                <td className={`text-end ${entry.amount > 0 ? 'text-success' : ''}`}>
+                  {entry.amount > 0 ? '+' : '−'}{formatCurrency(Math.abs(entry.amount))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+        {wallet.entries.length > 5 && (
+          <Button variant="link" size="sm" className="px-0" onClick={() => setShowAll(!showAll)}>
+            {showAll ? 'Show less' : 'Show all'}
+          </Button>
+        )}
+      </Card.Body>
+    </Card>
+  )
+}
@@ -0,0 +1,224 @@
+/**
+ * Geohash Helpers
+ *
+ * Geohashes encode a lat/lon point as a base32 string where every extra character narrows
+ * the cell, so all points inside a cell share its hash as a prefix. Riders store the hash
+ * of their current location (see riderService.updateRiderLocation), which turns "riders
+ * near X" into indexed prefix queries on the Rider table.
+ *
+ * This module is pure so it can be shared by services, scripts and client components.
+ */
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = (Math.PI / 180) * EARTH_RADIUS_KM;
+
+// Precision stored on riders; 7 characters is a cell of roughly 150m x 150m
+export const GEOHASH_PRECISION = 7;
+
+/**
+ * Encode a point as a geohash
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} precision - Number of characters
+ * @returns {string} - Geohash
+ */
+export function encodeGeohash(lat, lon, precision = GEOHASH_PRECISION) {
+  let minLat = -90, maxLat = 90;
+  let minLon = -180, maxLon = 180;
+  let hash = '';
+  let bits = 0;
+  let charIndex = 0;
+  let isLon = true;
+
+  while (hash.length < precision) {
+    if (isLon) {
+      const mid = (minLon + maxLon) / 2;
+      if (lon >= mid) {
+        charIndex = (charIndex << 1) | 1;
+        minLon = mid;
+      } else {
+        charIndex = charIndex << 1;
+        maxLon = mid;
+      }
+    } else {
+      const mid = (minLat + maxLat) / 2;
+      if (lat >= mid) {
+        charIndex = (charIndex << 1) | 1;
+        minLat = mid;
+      } else {
+        charIndex = charIndex << 1;
+        maxLat = mid;
+      }
+    }
+
+    isLon = !isLon;
+    if (++bits === 5) {
+      hash += BASE32[charIndex];
+      bits = 0;
+      charIndex = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Decode a geohash to the bounds of its cell
+ * @param {string} hash - Geohash
+ * @returns {Object} - { minLat, maxLat, minLon, maxLon }
+ */
+export function decodeGeohashBounds(hash) {
+  let minLat = -90, maxLat = 90;
+  let minLon = -180, maxLon = 180;
+  let isLon = true;
+
+  for (const char of hash) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid geohash character '${char}'`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const isSet = (value >> bit) & 1;
+      if (isLon) {
+        const mid = (minLon + maxLon) / 2;
+        if (isSet) minLon = mid; else maxLon = mid;
+      } else {
+        const mid = (minLat + maxLat) / 2;
+        if (isSet) minLat = mid; else maxLat = mid;
+      }
+      isLon = !isLon;
+    }
+  }
+
+  return { minLat, maxLat, minLon, maxLon };
+}
+
+/**
+ * Get the size of a geohash cell in degrees
+ * @param {number} precision - Number of characters
+ * @returns {Object} - { latDegrees, lonDegrees }
+ */
+function getCellDegrees(precision) {
+  const totalBits = precision * 5;
+  const lonBits = Math.ceil(totalBits / 2);
+  const latBits = Math.floor(totalBits / 2);
+  return {
+    latDegrees: 180 / Math.pow(2, latBits),
+    lonDegrees: 360 / Math.pow(2, lonBits)
+  };
+}
+
+/**
+ * Get the smaller side of a geohash cell in kilometres at a given latitude
+ * @param {number} precision - Number of characters
+ * @param {number} lat - Latitude the cell is at
+ * @returns {number} - Kilometres
+ */
+export function getGeohashCellSizeKm(precision, lat = 0) {
+  const { latDegrees, lonDegrees } = getCellDegrees(precision);
+  const heightKm = latDegrees * KM_PER_DEGREE;
+  const widthKm = lonDegrees * KM_PER_DEGREE * Math.cos(lat * (Math.PI / 180));
+  return Math.min(heightKm, widthKm);
+}
+
+/**
+ * Get a cell and its eight neighbours. Every point within one cell side of any point
+ * in the centre cell falls inside these nine cells.
+ * @param {string} hash - Geohash of the centre cell
+ * @returns {Array<string>} - Distinct geohashes, centre first
+ */
+export function getGeohashNeighborhood(hash) {
+  const { minLat, maxLat, minLon, maxLon } = decodeGeohashBounds(hash);
+  const lat = (minLat + maxLat) / 2;
+  const lon = (minLon + maxLon) / 2;
+  const latStep = maxLat - minLat;
+  const lonStep = maxLon - minLon;
+
+  const cells = new Set([hash]);
+  for (const dLat of [-1, 0, 1]) {
+    for (const dLon of [-1, 0, 1]) {
+      const neighborLat = lat + dLat * latStep;
+      if (neighborLat < -90 || neighborLat > 90) continue;
+
+      // Wrap across the antimeridian
+      const neighborLon = ((lon + dLon * lonStep + 540) % 360) - 180;
+      cells.add(encodeGeohash(neighborLat, neighborLon, hash.length));
+    }
+  }
+
+  return [...cells];
+}
+
+/**
+ * Get the cells to search for points within a radius of a location
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {Array<string>} - Geohash prefixes covering the radius
+ */
+export function getGeohashesInRadius(lat, lon, radiusKm) {
+  // Use the finest precision whose cells are still at least as wide as the radius
+  let precision = GEOHASH_PRECISION;
+  while (precision > 1 && getGeohashCellSizeKm(precision, lat) < radiusKm) {
+    precision--;
+  }
+
+  return getGeohashNeighborhood(encodeGeohash(lat, lon, precision));
+}
+
+/**
+ * Get the cells covering a bounding box
+ * @param {Object} bounds - { minLat, maxLat, minLon, maxLon }
+ * @param {number} precision - Number of characters
+ * @returns {Array<string>} - Distinct geohashes
+ */
+export function getGeohashesInBounds(bounds, precision) {
+  const { latDegrees, lonDegrees } = getCellDegrees(precision);
+  const cells = new Set();
+
+  for (let lat = bounds.minLat; lat < bounds.maxLat + latDegrees; lat += latDegrees) {
+    for (let lon = bounds.minLon; lon < bounds.maxLon + lonDegrees; lon += lonDegrees) {
+      cells.add(encodeGeohash(Math.min(lat, bounds.maxLat), Math.min(lon, bounds.maxLon), precision));
+    }
+  }
+
+  return [...cells];
+}
+
+/**
+ * Get the bounding box of a polygon
+ * @param {Array<Object>} polygon - Vertices with lat and lon
+ * @returns {Object} - { minLat, maxLat, minLon, maxLon }
+ */
+export function getPolygonBounds(polygon) {
+  return polygon.reduce((bounds, point) => ({
+    minLat: Math.min(bounds.minLat, point.lat),
+    maxLat: Math.max(bounds.maxLat, point.lat),
+    minLon: Math.min(bounds.minLon, point.lon),
+    maxLon: Math.max(bounds.maxLon, point.lon)
+  }), { minLat: 90, maxLat: -90, minLon: 180, maxLon: -180 });
+}
+
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ * @param {Object} point - { lat, lon }
+ * @param {Array<Object>} polygon - Vertices with lat and lon, in order
+ * @returns {boolean} - Whether the point is inside
+ */
+export function isPointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = (a.lat > point.lat) !== (b.lat > point.lat) &&
+      point.lon < ((b.lon - a.lon) * (point.lat - a.lat)) / (b.lat - a.lat) + a.lon;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
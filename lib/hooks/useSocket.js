@@ -62,6 +62,20 @@ export function useSocket({ autoConnect = true, events = {} } = {}) {
     return socketClient.publish(channelId, event, data);
   }, [isConnected, connect]);
 
+  // Keep connection state in sync with reconnects handled by the client
+  useEffect(() => {
+    const handleConnected = () => setIsConnected(true);
+    const handleDisconnected = () => setIsConnected(false);
+
+    socketClient.on('connected', handleConnected);
+    socketClient.on('disconnected', handleDisconnected);
+
+    return () => {
+      socketClient.off('connected', handleConnected);
+      socketClient.off('disconnected', handleDisconnected);
+    };
+  }, []);
+
   // Register event handlers
   useEffect(() => {
     const unsubscribers = Object.entries(events).map(([event, callback]) => {
@@ -0,0 +1,72 @@
+/**
+ * Image uploads kept on local disk
+ *
+ * Evidence photos (delivery proofs, damage claims) arrive from the browser as base64 data
+ * URLs and are written under the caller's directory, outside the public directory, so
+ * each feature can serve them through a route that checks who is asking.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp'
+};
+
+/**
+ * Decode a data URL image and write it to a directory
+ * @param {string} directory - Directory to store the image in, created if missing
+ * @param {string} prefix - File name prefix, e.g. 'photo'
+ * @param {string} dataUrl - PNG, JPEG or WebP image as a data URL
+ * @returns {Promise<string>} - Stored file name
+ */
+export async function storeImage(directory, prefix, dataUrl) {
+  const match = /^data:image\/(png|jpeg|webp);base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+  if (!match) {
+    throw new Error('Images must be PNG, JPEG or WebP data URLs');
+  }
+
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new Error(`Images must be smaller than ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`);
+  }
+
+  const fileName = `${prefix}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.${match[1]}`;
+  await fs.mkdir(directory, { recursive: true });
+  await fs.writeFile(path.join(directory, fileName), buffer);
+
+  return fileName;
+}
+
+/**
+ * Read a stored image. Callers must check the file name against their own records first.
+ * @param {string} directory - Directory the image was stored in
+ * @param {string} fileName - File name returned by storeImage
+ * @returns {Promise<Object>} - { buffer, contentType }
+ */
+export async function readImage(directory, fileName) {
+  const extension = path.extname(fileName).slice(1);
+  return {
+    buffer: await fs.readFile(path.join(directory, path.basename(fileName))),
+    contentType: IMAGE_TYPES[extension] || 'application/octet-stream'
+  };
+}
+
+/**
+ * Delete a stored image, logging rather than failing if it is already gone
+ * @param {string} directory - Directory the image was stored in
+ * @param {string} fileName - File name returned by storeImage
+ * @returns {Promise<void>}
+ */
+export async function removeImage(directory, fileName) {
+  try {
+    await fs.unlink(path.join(directory, path.basename(fileName)));
+  } catch (error) {
+    console.warn(`Error removing image ${fileName} from ${directory}:`, error.message);
+  }
+}
@@ -0,0 +1,350 @@
+/**
+ * Mock Payment Gateway
+ *
+ * An offline stand-in for the parts of the Razorpay SDK that paymentService uses, so
+ * checkout, verification, refunds and webhooks can be exercised without Razorpay keys or
+ * network access. It is used instead of Razorpay when `payment.enableTestMode` is on
+ * (see lib/paymentGateway.js).
+ *
+ * Orders, payments and refunds get Razorpay-style IDs and are kept in memory. `checkout`
+ * plays the part of the Razorpay checkout widget: it captures a payment for an order and
+ * returns the handler response, signed with the mock key secret the same way Razorpay
+ * signs it. Failures can be scripted per call or queued with `failNext`:
+ *
+ * - declined: the gateway rejects the request, as for a card declined by the bank
+ * - timeout: the request fails after a delay without a response
+ * - signature_mismatch: checkout succeeds but returns a signature that won't verify
+ */
+
+import crypto from 'crypto';
+
+const MOCK_KEY_ID = 'rzp_test_mock';
+const MOCK_KEY_SECRET = process.env.MOCK_PAYMENT_KEY_SECRET || 'mock_key_secret';
+const MOCK_WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'mock_webhook_secret';
+
+export const FAILURE_MODES = ['declined', 'timeout', 'signature_mismatch'];
+
+// Operations failures can be queued for
+const OPERATIONS = ['orders.create', 'orders.fetch', 'orders.fetchPayments', 'payments.fetch', 'payments.refund', 'checkout'];
+
+const DEFAULT_TIMEOUT_MS = 1500;
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Build an error shaped like the ones the Razorpay SDK rejects with
+ */
+function gatewayError(statusCode, code, description, extra = {}) {
+  const error = new Error(description);
+  error.statusCode = statusCode;
+  error.error = { code, description, source: 'NA', step: 'NA', reason: 'NA', metadata: {}, ...extra };
+  return error;
+}
+
+export class MockPaymentGateway {
+  constructor({ timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    this.name = 'mock';
+    this.keyId = MOCK_KEY_ID;
+    this.keySecret = MOCK_KEY_SECRET;
+    this.webhookSecret = MOCK_WEBHOOK_SECRET;
+    this.timeoutMs = timeoutMs;
+
+    this.gatewayOrders = new Map();
+    this.gatewayPayments = new Map();
+    this.gatewayRefunds = new Map();
+    this.failures = [];
+
+    this.orders = {
+      create: params => this._run('orders.create', () => this._createOrder(params)),
+      fetch: id => this._run('orders.fetch', () => this._getOrder(id)),
+      fetchPayments: id => this._run('orders.fetchPayments', () => {
+        const items = [...this.gatewayPayments.values()].filter(payment => payment.order_id === this._getOrder(id).id);
+        return { entity: 'collection', count: items.length, items };
+      })
+    };
+
+    this.payments = {
+      fetch: id => this._run('payments.fetch', () => this._getPayment(id)),
+      refund: (id, params = {}) => this._run('payments.refund', () => this._refund(id, params))
+    };
+  }
+
+  /**
+   * Make the next call(s) of an operation fail
+   * @param {string} operation - e.g. 'orders.create', 'payments.refund' or 'checkout'
+   * @param {string} mode - declined, timeout or signature_mismatch (checkout only)
+   * @param {Object} options - { times } how many calls should fail, defaults to 1
+   */
+  failNext(operation, mode, { times = 1 } = {}) {
+    if (!OPERATIONS.includes(operation)) {
+      throw new Error(`Unknown mock gateway operation: ${operation}`);
+    }
+    if (!FAILURE_MODES.includes(mode) || (mode === 'signature_mismatch' && operation !== 'checkout')) {
+      throw new Error(`Unsupported failure mode for ${operation}: ${mode}`);
+    }
+    for (let i = 0; i < times; i++) {
+      this.failures.push({ operation, mode });
+    }
+  }
+
+  /**
+   * Forget all orders, payments, refunds and queued failures
+   */
+  reset() {
+    this.gatewayOrders.clear();
+    this.gatewayPayments.clear();
+    this.gatewayRefunds.clear();
+    this.failures = [];
+  }
+
+  /**
+   * Pay for a gateway order, as the customer would in the checkout widget
+   * @param {string} gatewayOrderId - ID returned by orders.create
+   * @param {Object} options - { outcome: success|declined|timeout|signature_mismatch, method }
+   * @returns {Promise<Object>} - { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+   */
+  async checkout(gatewayOrderId, { outcome = 'success', method = 'card' } = {}) {
+    if (outcome !== 'success' && !FAILURE_MODES.includes(outcome)) {
+      throw new Error(`Unknown checkout outcome: ${outcome}`);
+    }
+
+    const mode = outcome === 'success' ? this._takeFailure('checkout') : outcome;
+    if (mode === 'timeout') {
+      await this._timeout();
+    }
+
+    const order = this._getOrder(gatewayOrderId);
+    if (order.status === 'paid') {
+      throw gatewayError(400, 'BAD_REQUEST_ERROR', 'Order has already been paid');
+    }
+
+    const payment = this._createPayment(order, method);
+    order.attempts++;
+
+    if (mode === 'declined') {
+      Object.assign(payment, {
+        status: 'failed',
+        error_code: 'BAD_REQUEST_ERROR',
+        error_description: 'Your payment has been declined by your bank. Please try again or use another method.',
+        error_source: 'bank',
+        error_step: 'payment_authorization',
+        error_reason: 'payment_declined'
+      });
+      throw gatewayError(400, payment.error_code, payment.error_description, {
+        source: payment.error_source,
+        step: payment.error_step,
+        reason: payment.error_reason,
+        metadata: { order_id: order.id, payment_id: payment.id }
+      });
+    }
+
+    payment.status = 'captured';
+    payment.captured = true;
+    order.status = 'paid';
+    order.amount_paid = order.amount;
+    order.amount_due = 0;
+
+    const signature = this.sign(`${order.id}|${payment.id}`);
+    return {
+      razorpay_order_id: order.id,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: mode === 'signature_mismatch' ? this.sign(`${order.id}|${payment.id}|tampered`) : signature
+    };
+  }
+
+  /**
+   * Build a signed webhook delivery for a payment or refund, as Razorpay would send it
+   * @param {string} event - e.g. 'payment.captured', 'payment.failed', 'refund.processed'
+   * @param {string} entityId - Payment or refund ID
+   * @returns {Object} - { eventId, rawBody, signature } for paymentService's webhook handling
+   */
+  buildWebhookEvent(event, entityId) {
+    const [entityType] = event.split('.');
+    const entity = entityType === 'refund' ? this.gatewayRefunds.get(entityId) : this.gatewayPayments.get(entityId);
+    if (!entity) {
+      throw new Error(`No mock ${entityType} with ID ${entityId}`);
+    }
+
+    const payload = { [entityType]: { entity: { ...entity } } };
+    if (entityType === 'refund') {
+      payload.payment = { entity: { ...this.gatewayPayments.get(entity.payment_id) } };
+    }
+
+    const rawBody = JSON.stringify({
+      entity: 'event',
+      account_id: 'acc_mock',
+      event,
+      contains: Object.keys(payload),
+      payload,
+      created_at: Math.floor(Date.now() / 1000)
+    });
+
+    return {
+      eventId: this._id('evt'),
+      rawBody,
+      signature: crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex')
+    };
+  }
+
+  /**
+   * Sign a value with the mock key secret
+   * @param {string} value - e.g. `${orderId}|${paymentId}`
+   * @returns {string} - Hex HMAC-SHA256
+   */
+  sign(value) {
+    return crypto.createHmac('sha256', this.keySecret).update(value).digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  async _run(operation, fn) {
+    const mode = this._takeFailure(operation);
+    if (mode === 'timeout') {
+      await this._timeout();
+    }
+    if (mode === 'declined') {
+      throw gatewayError(400, 'BAD_REQUEST_ERROR', `The request was declined by the mock gateway (${operation})`);
+    }
+    return fn();
+  }
+
+  /**
+   * @private
+   */
+  _takeFailure(operation) {
+    const index = this.failures.findIndex(failure => failure.operation === operation);
+    return index === -1 ? null : this.failures.splice(index, 1)[0].mode;
+  }
+
+  /**
+   * @private
+   */
+  async _timeout() {
+    await new Promise(resolve => setTimeout(resolve, this.timeoutMs));
+    const error = gatewayError(504, 'GATEWAY_ERROR', 'The request to the payment gateway timed out');
+    error.code = 'ETIMEDOUT';
+    throw error;
+  }
+
+  /**
+   * @private
+   */
+  _createOrder({ amount, currency = 'INR', receipt, notes = {} } = {}) {
+    if (!Number.isInteger(amount) || amount < 100) {
+      throw gatewayError(400, 'BAD_REQUEST_ERROR', 'The amount must be at least INR 1.00');
+    }
+
+    const order = {
+      id: this._id('order'),
+      entity: 'order',
+      amount,
+      amount_paid: 0,
+      amount_due: amount,
+      currency,
+      receipt: receipt || null,
+      status: 'created',
+      attempts: 0,
+      notes,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    this.gatewayOrders.set(order.id, order);
+    return { ...order };
+  }
+
+  /**
+   * @private
+   */
+  _createPayment(order, method) {
+    const payment = {
+      id: this._id('pay'),
+      entity: 'payment',
+      amount: order.amount,
+      currency: order.currency,
+      status: 'created',
+      order_id: order.id,
+      method,
+      amount_refunded: 0,
+      refund_status: null,
+      captured: false,
+      notes: order.notes,
+      error_code: null,
+      error_description: null,
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    this.gatewayPayments.set(payment.id, payment);
+    return payment;
+  }
+
+  /**
+   * @private
+   */
+  _refund(paymentId, { amount, notes = {} }) {
+    const payment = this._getPayment(paymentId, { copy: false });
+    if (!['captured', 'refunded'].includes(payment.status)) {
+      throw gatewayError(400, 'BAD_REQUEST_ERROR', 'Only captured payments can be refunded');
+    }
+
+    const refundable = payment.amount - payment.amount_refunded;
+    const refundAmount = amount === undefined ? refundable : amount;
+    if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+      throw gatewayError(400, 'BAD_REQUEST_ERROR', 'The refund amount provided is greater than amount captured');
+    }
+
+    const refund = {
+      id: this._id('rfnd'),
+      entity: 'refund',
+      amount: refundAmount,
+      currency: payment.currency,
+      payment_id: payment.id,
+      notes,
+      status: 'processed',
+      speed_processed: 'normal',
+      created_at: Math.floor(Date.now() / 1000)
+    };
+    this.gatewayRefunds.set(refund.id, refund);
+
+    payment.amount_refunded += refundAmount;
+    payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+    if (payment.refund_status === 'full') {
+      payment.status = 'refunded';
+    }
+
+    return { ...refund };
+  }
+
+  /**
+   * @private
+   */
+  _getOrder(id) {
+    const order = this.gatewayOrders.get(id);
+    if (!order) {
+      throw gatewayError(400, 'BAD_REQUEST_ERROR', 'The id provided does not exist');
+    }
+    return order;
+  }
+
+  /**
+   * @private
+   */
+  _getPayment(id, { copy = true } = {}) {
+    const payment = this.gatewayPayments.get(id);
+    if (!payment) {
+      throw gatewayError(400, 'BAD_REQUEST_ERROR', 'The id provided does not exist');
+    }
+    return copy ? { ...payment } : payment;
+  }
+
+  /**
+   * Razorpay IDs are a prefix and 14 alphanumeric characters, e.g. pay_29QQoUBi66xm2f
+   * @private
+   */
+  _id(prefix) {
+    const bytes = crypto.randomBytes(14);
+    let id = '';
+    for (const byte of bytes) {
+      id += ID_ALPHABET[byte % ID_ALPHABET.length];
+    }
+    return `${prefix}_${id}`;
+  }
+}
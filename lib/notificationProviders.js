@@ -0,0 +1,258 @@
+/**
+ * Notification Providers
+ *
+ * notificationOutboxService hands every email, SMS and WhatsApp message to a provider.
+ * Email goes through the provider in the `notification.emailProvider` setting and SMS and
+ * WhatsApp through the one in `notification.smsProvider` (see data/settings.json):
+ *
+ * - sendgrid: SendGrid, with SENDGRID_API_KEY and SENDGRID_FROM_EMAIL (email)
+ * - smtp: any mail server, at `notification.smtpHost`, `smtpPort` and `smtpSecure`, logging
+ *   in as `notification.smtpUser` with the SMTP_PASSWORD environment variable and sending
+ *   from `notification.smtpFromEmail` (email)
+ * - twilio: Twilio, with TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER and
+ *   TWILIO_WHATSAPP_NUMBER (SMS and WhatsApp)
+ * - local: nothing is sent; messages are captured in the local mailbox (see
+ *   notificationMailboxService) for reading at /admin/notifications/mailbox
+ * - auto, the default: SendGrid or Twilio if they're configured, otherwise the local mailbox
+ *
+ * Like the mock payment gateway, the local mailbox is never used in production. A channel
+ * without a usable provider is switched off and its messages aren't queued.
+ */
+
+import sgMail from '@sendgrid/mail';
+import twilio from 'twilio';
+import nodemailer from 'nodemailer';
+import { settingsStorage } from './storage';
+import { notificationMailboxService } from './services/notificationMailboxService';
+
+export const EMAIL_PROVIDERS = ['auto', 'sendgrid', 'smtp', 'local'];
+
+export const SMS_PROVIDERS = ['auto', 'twilio', 'local'];
+
+const CONFIG_TTL_MS = 60000;
+
+const DEFAULT_CONFIG = {
+  emailProvider: 'auto',
+  smsProvider: 'auto',
+  smtpHost: '',
+  smtpPort: 587,
+  smtpSecure: false,
+  smtpUser: '',
+  smtpFromEmail: ''
+};
+
+const providers = {};
+let cachedConfig = null;
+let cachedConfigAt = 0;
+let sendGridReady;
+let twilioClient;
+let smtpTransport = null;
+let smtpTransportKey = null;
+
+// Channels already warned about, so the warning is logged once rather than per message
+const warnings = new Set();
+
+/**
+ * Register a notification provider
+ * @param {string} name - Provider name used in the `notification.emailProvider` and `smsProvider` settings
+ * @param {Object} provider - { channels, isConfigured(channel, config), async send(channel, message, config) }, where
+ *   message is { id, to, subject, text, html } for email or { id, to, body } for SMS and WhatsApp and send
+ *   returns { providerMessageId }. WhatsApp messages with reply options also have { options, contentSid,
+ *   contentVariables } (see whatsappSessionService); body lists the options for providers without buttons.
+ */
+export function registerNotificationProvider(name, provider) {
+  if (!provider || typeof provider.send !== 'function' || typeof provider.isConfigured !== 'function') {
+    throw new Error('Notification provider must implement isConfigured(channel, config) and send(channel, message, config)');
+  }
+  providers[name] = { name, ...provider };
+}
+
+registerNotificationProvider('sendgrid', {
+  channels: ['email'],
+  isConfigured() {
+    if (sendGridReady === undefined) {
+      sendGridReady = false;
+      try {
+        if (process.env.SENDGRID_API_KEY && process.env.SENDGRID_API_KEY.startsWith('SG.')) {
+          sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+          sendGridReady = true;
+        }
+      } catch (error) {
+        console.error('Failed to initialize SendGrid:', error);
+      }
+    }
+    return sendGridReady;
+  },
+  async send(channel, message) {
+    const [response] = await sgMail.send({
+      to: message.to,
+      from: process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com',
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      // Echoed back in event webhooks
+      customArgs: { notificationMessageId: message.id }
+    });
+    return { providerMessageId: response?.headers?.['x-message-id'] || null };
+  }
+});
+
+registerNotificationProvider('smtp', {
+  channels: ['email'],
+  isConfigured(channel, config) {
+    return Boolean(config.smtpHost && config.smtpFromEmail);
+  },
+  async send(channel, message, config) {
+    const info = await getSmtpTransport(config).sendMail({
+      from: config.smtpFromEmail,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      headers: { 'X-Notification-Message-Id': message.id }
+    });
+    return { providerMessageId: info?.messageId || null };
+  }
+});
+
+registerNotificationProvider('twilio', {
+  channels: ['sms', 'whatsapp'],
+  isConfigured(channel) {
+    if (twilioClient === undefined) {
+      twilioClient = null;
+      try {
+        if (process.env.TWILIO_ACCOUNT_SID &&
+            process.env.TWILIO_AUTH_TOKEN &&
+            process.env.TWILIO_ACCOUNT_SID.startsWith('AC')) {
+          twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        }
+      } catch (error) {
+        console.error('Failed to initialize Twilio:', error);
+      }
+    }
+    return Boolean(twilioClient && getSenderNumber(channel));
+  },
+  async send(channel, message) {
+    const whatsapp = channel === 'whatsapp';
+    const statusCallback = getTwilioCallbackUrl();
+    const result = await twilioClient.messages.create({
+      // WhatsApp messages with reply buttons are sent from their Content template
+      ...(whatsapp && message.contentSid
+        ? { contentSid: message.contentSid, contentVariables: JSON.stringify(message.contentVariables || {}) }
+        : { body: message.body }),
+      from: whatsapp ? `whatsapp:${getSenderNumber(channel)}` : getSenderNumber(channel),
+      to: whatsapp ? `whatsapp:${message.to}` : message.to,
+      ...(statusCallback && { statusCallback })
+    });
+    return { providerMessageId: result?.sid || null };
+  }
+});
+
+registerNotificationProvider('local', {
+  channels: ['email', 'sms', 'whatsapp'],
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production';
+  },
+  async send(channel, message, config) {
+    const captured = await notificationMailboxService.capture({
+      channel,
+      sender: channel === 'email'
+        ? config.smtpFromEmail || process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com'
+        : getSenderNumber(channel) || 'MovePe',
+      recipient: message.to,
+      subject: message.subject,
+      text: channel === 'email' ? message.text : message.body,
+      html: message.html,
+      notificationMessageId: message.id
+    });
+    return { providerMessageId: captured.id };
+  }
+});
+
+/**
+ * Get the provider configuration from settings
+ * @returns {Promise<Object>} - { emailProvider, smsProvider, smtpHost, smtpPort, smtpSecure, smtpUser, smtpFromEmail }
+ */
+export async function getProviderConfig() {
+  if (cachedConfig && Date.now() - cachedConfigAt < CONFIG_TTL_MS) {
+    return cachedConfig;
+  }
+
+  const config = { ...DEFAULT_CONFIG };
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    const value = await settingsStorage.get(`notification.${key}`);
+    if (value !== null && value !== undefined && value !== '') {
+      config[key] = value;
+    }
+  }
+  config.smtpPort = parseInt(config.smtpPort, 10) || DEFAULT_CONFIG.smtpPort;
+  config.smtpSecure = String(config.smtpSecure) === 'true';
+
+  cachedConfig = config;
+  cachedConfigAt = Date.now();
+  return config;
+}
+
+/**
+ * Get the provider a channel's messages go through
+ * @param {string} channel - email, sms or whatsapp
+ * @returns {Promise<Object|null>} - { provider, config }, or null if the channel has no usable provider
+ */
+export async function getNotificationProvider(channel) {
+  const config = await getProviderConfig();
+  const setting = channel === 'email' ? config.emailProvider : config.smsProvider;
+
+  const candidates = setting === 'auto' || !providers[setting]
+    ? [channel === 'email' ? 'sendgrid' : 'twilio', 'local']
+    : [setting];
+
+  const provider = candidates
+    .map(name => providers[name])
+    .find(candidate => candidate && candidate.channels.includes(channel) && candidate.isConfigured(channel, config));
+
+  if (!provider) {
+    warnOnce(`${channel}:none`, `No ${channel} provider is configured (notification setting "${setting}"), ${channel} notifications are disabled`);
+    return null;
+  }
+  if (provider.name === 'local' && setting !== 'local') {
+    warnOnce(`${channel}:local`, `No ${channel} provider is configured, ${channel} notifications go to the local mailbox`);
+  }
+  return { provider, config };
+}
+
+/**
+ * Twilio status callbacks need a public URL, so they're only requested when NEXTAUTH_URL is set
+ * @param {string} webhook - twilio for status callbacks, whatsapp for incoming WhatsApp messages
+ * @returns {string|null}
+ */
+export function getTwilioCallbackUrl(webhook = 'twilio') {
+  return process.env.NEXTAUTH_URL
+    ? `${process.env.NEXTAUTH_URL.replace(/\/$/, '')}/api/notifications/webhooks/${webhook}`
+    : null;
+}
+
+function warnOnce(key, message) {
+  if (!warnings.has(key)) {
+    console.warn(message);
+    warnings.add(key);
+  }
+}
+
+function getSenderNumber(channel) {
+  return channel === 'whatsapp' ? process.env.TWILIO_WHATSAPP_NUMBER : process.env.TWILIO_PHONE_NUMBER;
+}
+
+// One transport per SMTP configuration, so its connections are reused until the settings change
+function getSmtpTransport(config) {
+  const key = [config.smtpHost, config.smtpPort, config.smtpSecure, config.smtpUser].join('|');
+  if (!smtpTransport || smtpTransportKey !== key) {
+    smtpTransport = nodemailer.createTransport({
+      host: config.smtpHost,
+      port: config.smtpPort,
+      secure: config.smtpSecure,
+      ...(config.smtpUser && { auth: { user: config.smtpUser, pass: process.env.SMTP_PASSWORD || '' } })
+    });
+    smtpTransportKey = key;
+  }
+  return smtpTransport;
+}
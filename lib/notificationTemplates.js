@@ -0,0 +1,417 @@
+/**
+ * Notification Templates
+ *
+ * The messages notificationService sends, as templates (see lib/templateEngine.js). A
+ * template is identified by its name, its channel (`type`) and its language. The name is
+ * the message, e.g. `quote_received`; TEMPLATE_VARIABLES lists the variables each message
+ * is sent with, and a template may only use those.
+ *
+ * DEFAULT_TEMPLATES are used for any template that isn't stored, and are stored as a
+ * starting point the first time the admin template list is opened. A message is sent in
+ * the recipient's language, falling back to English for templates without a variant in it.
+ * A channel without a template gets the in-app title and message.
+ *
+ * This module has no server dependencies so client components can use it too.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  hi: 'हिन्दी (Hindi)',
+  bn: 'বাংলা (Bengali)',
+  gu: 'ગુજરાતી (Gujarati)',
+  kn: 'ಕನ್ನಡ (Kannada)',
+  ml: 'മലയാളം (Malayalam)',
+  mr: 'मराठी (Marathi)',
+  ta: 'தமிழ் (Tamil)',
+  te: 'తెలుగు (Telugu)'
+};
+
+export const TEMPLATE_CHANNELS = ['inApp', 'email', 'sms', 'whatsapp'];
+
+const ORDER_ID = { name: 'orderId', type: 'string', label: 'Order reference', example: 'MP-240117' };
+const AMOUNT = { name: 'amount', type: 'currency', label: 'Amount', example: 18500 };
+const VENDOR_NAME = { name: 'vendorName', type: 'string', label: 'Vendor name', example: 'Swift Packers & Movers' };
+
+// Every message is sent with these
+const COMMON_VARIABLES = [
+  { name: 'userName', type: 'string', label: "Recipient's name", example: 'Priya Sharma' }
+];
+
+// Messages sent with a title and message of their own, rather than from a template
+const MESSAGE_VARIABLES = [
+  { name: 'title', type: 'string', label: 'Title', example: 'Support ticket updated' },
+  { name: 'message', type: 'string', label: 'Message', example: 'We have replied to your support ticket.' }
+];
+
+export const TEMPLATE_VARIABLES = {
+  quote_request: [
+    ORDER_ID,
+    { name: 'moveSize', type: 'string', label: 'Move size', example: '2 BHK' },
+    { name: 'pickupPincode', type: 'string', label: 'Pickup pincode', example: '560001' },
+    { name: 'destinationPincode', type: 'string', label: 'Destination pincode', example: '560103' },
+    { name: 'moveDate', type: 'date', label: 'Preferred move date', example: '2026-11-02' }
+  ],
+  quote_received: [
+    ORDER_ID,
+    VENDOR_NAME,
+    { ...AMOUNT, label: 'Quoted amount' },
+    {
+      name: 'quotes',
+      type: 'list',
+      label: 'All quotes received so far',
+      items: [
+        VENDOR_NAME,
+        { ...AMOUNT, label: 'Quoted amount' }
+      ],
+      example: [
+        { vendorName: 'Swift Packers & Movers', amount: 18500 },
+        { vendorName: 'Metro Relocations', amount: 21000 }
+      ]
+    }
+  ],
+  payment_received: [ORDER_ID, AMOUNT],
+  order_confirmed: [ORDER_ID, AMOUNT],
+  order_assigned_to_other: [
+    ORDER_ID,
+    { name: 'selectedVendorName', type: 'string', label: 'Selected vendor', example: 'Metro Relocations' },
+    { name: 'didQuote', type: 'boolean', label: 'Recipient quoted for the order', example: true },
+    { name: 'quotedLess', type: 'boolean', label: 'Selected vendor quoted less', example: true },
+    { name: 'quotedMore', type: 'boolean', label: 'Selected vendor quoted more', example: false },
+    { name: 'priceDifference', type: 'currency', label: 'Difference between the quotes', example: 1500 }
+  ],
+  cross_lead_created: [],
+  review_received: [
+    ORDER_ID,
+    { name: 'rating', type: 'number', label: 'Rating', example: 5 },
+    { name: 'comment', type: 'string', label: 'Comment', example: 'Careful and on time.' }
+  ],
+  review_response: [
+    ORDER_ID,
+    VENDOR_NAME,
+    { name: 'response', type: 'string', label: "Vendor's response", example: 'Thank you for choosing us!' },
+    { name: 'responseExcerpt', type: 'string', label: "First 100 characters of the vendor's response", example: 'Thank you for choosing us!' }
+  ],
+  order_paid: [ORDER_ID, AMOUNT],
+  order_status_update: [
+    ORDER_ID,
+    { name: 'status', type: 'string', label: 'Order status', example: 'In Transit' },
+    { name: 'statusDescription', type: 'string', label: 'What happened', example: 'left the pickup address' }
+  ],
+  order_delivered: [ORDER_ID],
+  order_completed: [ORDER_ID],
+  order_cancelled: [ORDER_ID],
+  order_cancelled_vendor: [ORDER_ID],
+  refund_processed: [ORDER_ID, { ...AMOUNT, label: 'Refund amount' }],
+  inventory_verification_reminder: [ORDER_ID],
+  inventory_condition_update: [
+    ORDER_ID,
+    { name: 'itemName', type: 'string', label: 'Item', example: 'Dining table' }
+  ],
+  inventory_condition_update_vendor: [
+    ORDER_ID,
+    { name: 'itemName', type: 'string', label: 'Item', example: 'Dining table' }
+  ],
+  inventory_verification_completed: [
+    ORDER_ID,
+    {
+      name: 'items',
+      type: 'list',
+      label: 'Inventory items',
+      items: [
+        { name: 'name', type: 'string', label: 'Item' },
+        { name: 'quantity', type: 'number', label: 'Quantity' },
+        { name: 'condition', type: 'string', label: 'Condition' }
+      ],
+      example: [
+        { name: 'Dining table', quantity: 1, condition: 'Good' },
+        { name: 'Chairs', quantity: 4, condition: 'Minor scratches' }
+      ]
+    }
+  ],
+  delivery_assignment: [
+    ORDER_ID,
+    { name: 'pickupPincode', type: 'string', label: 'Pickup pincode', example: '560001' },
+    { name: 'destinationPincode', type: 'string', label: 'Destination pincode', example: '560103' }
+  ],
+  rider_assigned: [
+    ORDER_ID,
+    { name: 'riderName', type: 'string', label: 'Rider name', example: 'Ravi Kumar' }
+  ],
+  delivery_status_update: [
+    ORDER_ID,
+    { name: 'status', type: 'string', label: 'Delivery status', example: 'In Transit' },
+    { name: 'pickedUp', type: 'boolean', label: 'Parcel was picked up', example: false },
+    { name: 'inTransit', type: 'boolean', label: 'Parcel is in transit', example: true },
+    { name: 'delivered', type: 'boolean', label: 'Parcel was delivered', example: false },
+    { name: 'failed', type: 'boolean', label: 'Delivery attempt failed', example: false }
+  ],
+  delivery_otp: [
+    ORDER_ID,
+    { name: 'otp', type: 'string', label: 'Delivery OTP', example: '482913' }
+  ],
+  digest: [
+    { name: 'count', type: 'number', label: 'Number of updates', example: 2 },
+    { name: 'single', type: 'boolean', label: 'There is only one update', example: false },
+    {
+      name: 'updates',
+      type: 'list',
+      label: 'Updates',
+      items: [
+        { name: 'subject', type: 'string', label: 'Subject' },
+        { name: 'text', type: 'string', label: 'Text' }
+      ],
+      example: [
+        { subject: 'New Quote Received', text: 'Swift Packers & Movers has submitted a quote of ₹18,500 for your move.' },
+        { subject: 'Weekend offer', text: 'Get 10% off moves booked this weekend.' }
+      ]
+    }
+  ]
+};
+
+/**
+ * The variables a template may use
+ * @param {string} name - Template name
+ * @returns {Array} - Variable definitions
+ */
+export function getTemplateVariables(name) {
+  return [...COMMON_VARIABLES, ...(TEMPLATE_VARIABLES[name] || MESSAGE_VARIABLES)];
+}
+
+/**
+ * Example values for a template's variables, for previews
+ * @param {string} name - Template name
+ * @returns {Object}
+ */
+export function getExampleValues(name) {
+  return Object.fromEntries(getTemplateVariables(name).map(variable => [variable.name, variable.example]));
+}
+
+const template = (name, type, subject, content, description, language = DEFAULT_LANGUAGE) => ({
+  name,
+  type,
+  language,
+  subject,
+  content,
+  description
+});
+
+export const DEFAULT_TEMPLATES = [
+  template('quote_request', 'inApp', 'New Quote Request',
+    'You have a new quote request for a move from {{pickupPincode}} to {{destinationPincode}}',
+    'Vendors: a customer asked them for a quote'),
+  template('quote_request', 'email', 'New Move Quote Request - Order #{{orderId}}',
+    `You have received a new quote request with the following details:
+
+Order ID: {{orderId}}
+Move Size: {{moveSize}}
+From: {{pickupPincode}}
+To: {{destinationPincode}}
+Preferred Date: {{#if moveDate}}{{moveDate}}{{else}}Not specified{{/if}}
+
+Please log in to your dashboard to submit your quote.`,
+    'Vendors: a customer asked them for a quote'),
+  template('quote_request', 'whatsapp', null,
+    'New quote request for Order #{{orderId}}: {{moveSize}} move from {{pickupPincode}} to {{destinationPincode}}. Log in to submit your quote.',
+    'Vendors: a customer asked them for a quote'),
+
+  template('quote_received', 'inApp', 'New Quote Received',
+    '{{vendorName}} has submitted a quote of {{amount}} for your move',
+    'Customers: a vendor quoted for their move'),
+  template('quote_received', 'email', 'New Quote Received for Your Move - Order #{{orderId}}',
+    `You have received a new quote from {{vendorName}} for your move. The quoted amount is {{amount}}.
+
+Quotes for order #{{orderId}} so far:
+{{#each quotes}}{{@number}}. {{vendorName}}: {{amount}}
+{{/each}}
+Log in to view and accept a quote.`,
+    'Customers: a vendor quoted for their move'),
+  template('quote_received', 'whatsapp', null,
+    'New quote received for Order #{{orderId}} from {{vendorName}}: {{amount}}. Log in to view and accept.',
+    'Customers: a vendor quoted for their move'),
+  template('quote_received', 'inApp', 'नया कोटेशन मिला',
+    '{{vendorName}} ने आपकी शिफ्टिंग के लिए {{amount}} का कोटेशन भेजा है',
+    'Customers: a vendor quoted for their move', 'hi'),
+  template('quote_received', 'whatsapp', null,
+    'ऑर्डर #{{orderId}} के लिए {{vendorName}} से नया कोटेशन: {{amount}}। देखने और स्वीकार करने के लिए लॉग इन करें।',
+    'Customers: a vendor quoted for their move', 'hi'),
+
+  template('payment_received', 'inApp', 'Payment Received',
+    'Payment of {{amount}} received for order #{{orderId}}',
+    'Selected vendor: the customer paid for the order'),
+  template('payment_received', 'email', 'Payment Received for Order #{{orderId}}',
+    `Payment of {{amount}} has been received for order #{{orderId}}.
+
+Please log in to your dashboard to proceed with the move.`,
+    'Selected vendor: the customer paid for the order'),
+  template('payment_received', 'whatsapp', null,
+    'Payment received for order #{{orderId}}. Please log in to proceed with the move.',
+    'Selected vendor: the customer paid for the order'),
+
+  template('order_confirmed', 'inApp', 'Payment Confirmed',
+    'Your payment for order #{{orderId}} has been confirmed. The vendor will contact you shortly to coordinate the move.',
+    'Customers: their payment went through'),
+  template('order_confirmed', 'whatsapp', null,
+    'Your payment for order #{{orderId}} is confirmed. The vendor will contact you shortly.',
+    'Customers: their payment went through'),
+  template('order_confirmed', 'inApp', 'भुगतान की पुष्टि हो गई',
+    'ऑर्डर #{{orderId}} के लिए आपके भुगतान की पुष्टि हो गई है। वेंडर शिफ्टिंग के लिए जल्द ही आपसे संपर्क करेगा।',
+    'Customers: their payment went through', 'hi'),
+  template('order_confirmed', 'whatsapp', null,
+    'ऑर्डर #{{orderId}} के लिए आपके भुगतान की पुष्टि हो गई है। वेंडर जल्द ही आपसे संपर्क करेगा।',
+    'Customers: their payment went through', 'hi'),
+
+  template('order_assigned_to_other', 'inApp', 'Order Assigned',
+    '{{#if didQuote}}Another vendor was selected for order #{{orderId}}{{else}}Order #{{orderId}} has been assigned to another vendor{{/if}}',
+    "Vendors asked to quote who weren't selected"),
+  template('order_assigned_to_other', 'email', 'Update on Order #{{orderId}}',
+    `{{#if didQuote}}This job has been assigned to {{selectedVendorName}} as {{#if quotedLess}}they have quoted {{priceDifference}} less than yours{{else}}{{#if quotedMore}}despite their quote being {{priceDifference}} higher than yours{{else}}they submitted an equal quote{{/if}}{{/if}}.{{else}}The user has selected {{selectedVendorName}} for order #{{orderId}}. Since you didn't submit a quote, the opportunity has been assigned to another vendor.{{/if}}
+
+Thank you for your interest in this order.`,
+    "Vendors asked to quote who weren't selected"),
+  template('order_assigned_to_other', 'whatsapp', null,
+    'Update on Order #{{orderId}}: {{#if didQuote}}this job has been assigned to {{selectedVendorName}}.{{else}}the user has selected {{selectedVendorName}}. Since you didn\'t submit a quote, the opportunity has been assigned to another vendor.{{/if}}',
+    "Vendors asked to quote who weren't selected"),
+
+  template('cross_lead_created', 'inApp', 'Your Move Request Has Been Created',
+    'A move request has been created for you by one of our partner vendors. You can log in to view the details and manage your move.',
+    'Customers: a partner vendor created a move request for them'),
+  template('cross_lead_created', 'email', 'Your Move Request Has Been Created',
+    `Hello {{userName}},
+
+A move request has been created for you by one of our partner vendors. You can log in to view the details and manage your move.
+
+Thank you for choosing MovePe!`,
+    'Customers: a partner vendor created a move request for them'),
+  template('cross_lead_created', 'sms', null,
+    'Hello {{userName}}, a move request has been created for you by one of our partner vendors. You can log in to view the details and manage your move.',
+    'Customers: a partner vendor created a move request for them'),
+  template('cross_lead_created', 'whatsapp', null,
+    'Hello {{userName}}, a move request has been created for you by one of our partner vendors. You can log in to view the details and manage your move.',
+    'Customers: a partner vendor created a move request for them'),
+
+  template('review_received', 'inApp', 'New Review Received',
+    'You have received a new {{rating}}-star review for order #{{orderId}}.',
+    'Vendors: a customer reviewed them'),
+  template('review_received', 'email', 'New Review Received - Order #{{orderId}}',
+    `You have received a new review for order #{{orderId}}:
+
+Rating: {{rating}} stars{{#if comment}}
+Comment: "{{comment}}"{{/if}}
+
+Thank you for your service!`,
+    'Vendors: a customer reviewed them'),
+  template('review_received', 'whatsapp', null,
+    'New {{rating}}-star review received for order #{{orderId}}{{#if comment}}: "{{comment}}"{{/if}}. Thank you for your service!',
+    'Vendors: a customer reviewed them'),
+
+  template('review_response', 'inApp', '{{vendorName}} Responded to Your Review',
+    '{{vendorName}} has responded to your review for order #{{orderId}}: "{{response}}"',
+    'Customers: a vendor replied to their review'),
+  template('review_response', 'email', '{{vendorName}} responded to your review - Order #{{orderId}}',
+    `{{vendorName}} has responded to your review for order #{{orderId}}:
+
+"{{response}}"
+
+You can view the full conversation in your order details.`,
+    'Customers: a vendor replied to their review'),
+  template('review_response', 'sms', null,
+    '{{vendorName}} responded to your review for order #{{orderId}}: "{{responseExcerpt}}"',
+    'Customers: a vendor replied to their review'),
+
+  template('order_paid', 'inApp', 'Order Confirmed',
+    'Your quote for order #{{orderId}} has been accepted and paid. Please start preparing for the move.',
+    'Vendors: their quote was accepted and paid'),
+
+  template('order_status_update', 'inApp', 'Order Status Update',
+    'Your move has {{statusDescription}}. Order #{{orderId}} is now {{status}}.',
+    "Customers: their order's status changed"),
+  template('order_status_update', 'inApp', 'ऑर्डर की स्थिति में बदलाव',
+    'ऑर्डर #{{orderId}} की स्थिति अब {{status}} है।',
+    "Customers: their order's status changed", 'hi'),
+
+  template('order_delivered', 'inApp', 'Order Delivered',
+    'Your items have been delivered. Please confirm that everything is in order.',
+    'Customers: their items were delivered'),
+
+  template('order_completed', 'inApp', 'Order Completed',
+    'Your move has been completed. Thank you for using our service. Please leave a review.',
+    'Customers: their move was completed'),
+
+  template('order_cancelled', 'inApp', 'Order Cancelled',
+    'Your order #{{orderId}} has been cancelled.',
+    'Customers: their order was cancelled'),
+  template('order_cancelled_vendor', 'inApp', 'Order Cancelled',
+    'Order #{{orderId}} has been cancelled.',
+    'Vendors: an order assigned to them was cancelled'),
+
+  template('refund_processed', 'inApp', 'Refund Processed',
+    'A refund of {{amount}} has been processed for your order #{{orderId}}',
+    'Customers: they were refunded'),
+  template('refund_processed', 'inApp', 'रिफंड प्रोसेस हो गया',
+    'आपके ऑर्डर #{{orderId}} के लिए {{amount}} का रिफंड प्रोसेस कर दिया गया है',
+    'Customers: they were refunded', 'hi'),
+
+  template('inventory_verification_reminder', 'inApp', 'Verify Your Inventory',
+    'Please verify the condition of your items for order #{{orderId}}. This helps ensure everything arrived in good condition.',
+    'Customers: reminder to check their items after the move'),
+
+  template('inventory_condition_update', 'inApp', 'Item Condition Updated',
+    'The condition of "{{itemName}}" has been updated for your order #{{orderId}}.',
+    "Customers: an item's recorded condition changed"),
+  template('inventory_condition_update_vendor', 'inApp', 'Item Condition Updated',
+    'The customer has updated the condition of "{{itemName}}" for order #{{orderId}}.',
+    "Vendors: the customer changed an item's recorded condition"),
+
+  template('inventory_verification_completed', 'inApp', 'Inventory Verification Completed',
+    'The customer has verified the inventory for order #{{orderId}}. You can now mark the order as completed.',
+    'Vendors: the customer checked their items after the move'),
+  template('inventory_verification_completed', 'email', 'Inventory verified for order #{{orderId}}',
+    `The customer has verified the inventory for order #{{orderId}}.{{#if items}}
+
+{{#each items}}{{@number}}. {{name}} (x{{quantity}}): {{condition}}
+{{/each}}{{/if}}
+You can now mark the order as completed.`,
+    'Vendors: the customer checked their items after the move'),
+
+  template('delivery_assignment', 'inApp', 'New Delivery Assignment',
+    'You have been assigned a new parcel delivery from {{pickupPincode}} to {{destinationPincode}}. Please check your dashboard for details.',
+    'Riders: they were assigned a delivery'),
+
+  template('rider_assigned', 'inApp', 'Rider Assigned to Your Delivery',
+    '{{riderName}} has been assigned to deliver your parcel. You can track the delivery in real-time from your dashboard.',
+    'Customers: a rider will deliver their parcel'),
+
+  template('delivery_status_update', 'inApp',
+    '{{#if delivered}}Parcel Delivered{{else}}{{#if failed}}Delivery Attempt Failed{{else}}Delivery Status Update{{/if}}{{/if}}',
+    '{{#if pickedUp}}Your parcel has been picked up and is on the way to the destination.{{/if}}{{#if inTransit}}Your parcel is in transit and will be delivered soon.{{/if}}{{#if delivered}}Your parcel has been delivered successfully. Thank you for using our service!{{/if}}{{#if failed}}We attempted to deliver your parcel but were unable to complete the delivery. Please check your dashboard for more details.{{/if}}{{#unless pickedUp}}{{#unless inTransit}}{{#unless delivered}}{{#unless failed}}Your delivery status has been updated to: {{status}}{{/unless}}{{/unless}}{{/unless}}{{/unless}}',
+    "Customers: their parcel's delivery status changed"),
+
+  template('delivery_otp', 'inApp', 'Delivery OTP',
+    'Your delivery OTP for order #{{orderId}} is {{otp}}. Share it with the rider only when you receive your parcel.',
+    'Customers: the OTP to hand the rider at the door'),
+  template('delivery_otp', 'email', 'Your delivery OTP - Order #{{orderId}}',
+    `Your parcel for order #{{orderId}} has been picked up.
+
+Your delivery OTP is {{otp}}.
+
+Share it with the rider only when you receive your parcel.`,
+    'Customers: the OTP to hand the rider at the door'),
+  template('delivery_otp', 'sms', null,
+    'Your delivery OTP for order #{{orderId}} is {{otp}}. Share it with the rider only when you receive your parcel.',
+    'Customers: the OTP to hand the rider at the door'),
+  template('delivery_otp', 'inApp', 'डिलीवरी OTP',
+    'ऑर्डर #{{orderId}} के लिए आपका डिलीवरी OTP {{otp}} है। पार्सल मिलने पर ही इसे राइडर को बताएं।',
+    'Customers: the OTP to hand the rider at the door', 'hi'),
+  template('delivery_otp', 'sms', null,
+    'ऑर्डर #{{orderId}} के लिए आपका डिलीवरी OTP {{otp}} है। पार्सल मिलने पर ही इसे राइडर को बताएं।',
+    'Customers: the OTP to hand the rider at the door', 'hi'),
+
+  template('digest', 'email', 'Your MovePe digest: {{count}} update{{#unless single}}s{{/unless}}',
+    `{{#each updates}}{{subject}}
+{{text}}
+
+{{/each}}`,
+    'Everyone with an email digest: the emails collected since the last one')
+];
@@ -0,0 +1,224 @@
+/**
+ * Order Lifecycle Definition
+ *
+ * Single source of truth for order statuses, who may trigger each transition and which
+ * guards must pass before it happens. Status values are stored as the title-case labels
+ * below; snake_case keys (e.g. 'quotes_received', 'picked_up') and legacy values are
+ * accepted everywhere and normalized to the stored label.
+ *
+ * This module has no server dependencies so client components can use it too. The
+ * server-side engine that enforces guards and runs side effects lives in
+ * lib/services/orderStateMachine.js.
+ */
+
+export const ORDER_STATUSES = {
+  INITIATED: 'Initiated',
+  QUOTES_REQUESTED: 'Quotes Requested',
+  QUOTES_RECEIVED: 'Quotes Received',
+  VENDOR_SELECTED: 'Vendor Selected',
+  PAYMENT_PENDING: 'Payment Pending',
+  PAID: 'Paid',
+  PENDING_RIDER_ASSIGNMENT: 'Pending Rider Assignment',
+  RIDER_ASSIGNED: 'Rider Assigned',
+  PICKED_UP: 'Picked Up',
+  IN_PROGRESS: 'In Progress',
+  IN_TRANSIT: 'In Transit',
+  OUT_FOR_DELIVERY: 'Out For Delivery',
+  DELIVERED: 'Delivered',
+  FAILED_DELIVERY: 'Failed Delivery',
+  COMPLETED: 'Completed',
+  REVIEWED: 'Reviewed',
+  DISPUTED: 'Disputed',
+  RESOLVED: 'Resolved',
+  REFUNDED: 'Refunded',
+  CANCELLED: 'Cancelled',
+  CLOSED: 'Closed'
+};
+
+export const ORDER_ROLES = ['customer', 'vendor', 'rider', 'admin', 'system'];
+
+const S = ORDER_STATUSES;
+
+// Values written by older code paths that don't follow the label/key convention
+const LEGACY_STATUS_ALIASES = {
+  requests_sent: S.QUOTES_REQUESTED,
+  quoted: S.QUOTES_RECEIVED,
+  accepted: S.RIDER_ASSIGNED,
+  pending: S.PENDING_RIDER_ASSIGNMENT,
+  rider_requested: S.PENDING_RIDER_ASSIGNMENT
+};
+
+/**
+ * Allowed transitions. `roles` lists who may trigger the transition and `guards` names
+ * checks registered with the state machine that must pass first.
+ */
+export const ORDER_TRANSITIONS = [
+  // Quote and booking flow
+  { from: [S.INITIATED], to: S.QUOTES_REQUESTED, roles: ['customer', 'admin', 'system'] },
+  { from: [S.INITIATED, S.QUOTES_REQUESTED], to: S.QUOTES_RECEIVED, roles: ['vendor', 'admin', 'system'] },
+  { from: [S.QUOTES_RECEIVED], to: S.VENDOR_SELECTED, roles: ['customer', 'admin', 'system'], guards: ['hasVendor'] },
+  { from: [S.VENDOR_SELECTED], to: S.PAYMENT_PENDING, roles: ['customer', 'admin', 'system'], guards: ['hasVendor'] },
+  {
+    from: [S.QUOTES_RECEIVED, S.VENDOR_SELECTED, S.PAYMENT_PENDING],
+    to: S.PAID,
+    roles: ['admin', 'system'],
+    guards: ['hasCompletedPayment']
+  },
+  { from: [S.PAID], to: S.IN_PROGRESS, roles: ['vendor', 'admin', 'system'] },
+  {
+    from: [S.IN_PROGRESS],
+    to: S.IN_TRANSIT,
+    roles: ['vendor', 'rider', 'admin', 'system'],
+    guards: ['hasMilestonePayment']
+  },
+
+  // Parcel delivery flow
+  { from: [S.INITIATED], to: S.PENDING_RIDER_ASSIGNMENT, roles: ['admin', 'system'] },
+  {
+    from: [S.INITIATED, S.PENDING_RIDER_ASSIGNMENT],
+    to: S.RIDER_ASSIGNED,
+    roles: ['rider', 'admin', 'system'],
+    guards: ['hasRider']
+  },
+  { from: [S.RIDER_ASSIGNED], to: S.PICKED_UP, roles: ['rider', 'admin', 'system'], guards: ['hasRider'] },
+  { from: [S.PICKED_UP], to: S.IN_TRANSIT, roles: ['rider', 'admin', 'system'] },
+  { from: [S.IN_TRANSIT, S.FAILED_DELIVERY], to: S.OUT_FOR_DELIVERY, roles: ['rider', 'admin', 'system'] },
+  {
+    from: [S.PICKED_UP, S.IN_TRANSIT, S.OUT_FOR_DELIVERY],
+    to: S.FAILED_DELIVERY,
+    roles: ['rider', 'admin', 'system']
+  },
+
+  // Completion, disputes and refunds
+  {
+    from: [S.IN_TRANSIT, S.OUT_FOR_DELIVERY],
+    to: S.DELIVERED,
+    roles: ['vendor', 'rider', 'admin', 'system'],
+    guards: ['hasProofOfDelivery']
+  },
+  {
+    from: [S.DELIVERED, S.RESOLVED],
+    to: S.COMPLETED,
+    roles: ['customer', 'vendor', 'admin', 'system'],
+    guards: ['hasBalancePayment']
+  },
+  { from: [S.COMPLETED], to: S.REVIEWED, roles: ['customer', 'admin', 'system'] },
+  { from: [S.DELIVERED], to: S.DISPUTED, roles: ['customer', 'admin'] },
+  { from: [S.DISPUTED], to: S.RESOLVED, roles: ['admin'] },
+  {
+    from: [S.PAID, S.DISPUTED, S.CANCELLED],
+    to: S.REFUNDED,
+    roles: ['admin', 'system'],
+    guards: ['hasRefundablePayment']
+  },
+
+  // Cancellation before the move starts, and by the rider once a delivery is under way
+  {
+    from: [
+      S.INITIATED, S.QUOTES_REQUESTED, S.QUOTES_RECEIVED, S.VENDOR_SELECTED,
+      S.PAYMENT_PENDING, S.PAID, S.PENDING_RIDER_ASSIGNMENT, S.RIDER_ASSIGNED
+    ],
+    to: S.CANCELLED,
+    roles: ['customer', 'admin', 'system']
+  },
+  {
+    from: [S.RIDER_ASSIGNED, S.PICKED_UP, S.IN_PROGRESS, S.IN_TRANSIT, S.OUT_FOR_DELIVERY],
+    to: S.CANCELLED,
+    roles: ['rider', 'admin', 'system']
+  },
+
+  { from: [S.REVIEWED, S.REFUNDED, S.CANCELLED], to: S.CLOSED, roles: ['admin', 'system'] }
+];
+
+/**
+ * Convert a status label to its snake_case key
+ * @param {string} status - Status label or key
+ * @returns {string|null} - Snake_case key, e.g. 'quotes_received'
+ */
+export function toStatusKey(status) {
+  const normalized = normalizeOrderStatus(status);
+  return normalized ? normalized.toLowerCase().replace(/ /g, '_') : null;
+}
+
+const STATUS_BY_KEY = Object.values(ORDER_STATUSES).reduce((map, label) => {
+  map[label.toLowerCase().replace(/ /g, '_')] = label;
+  return map;
+}, {});
+
+/**
+ * Normalize any known status spelling to the stored label
+ * @param {string} status - Status in any supported spelling
+ * @returns {string|null} - Stored label or null if the status is unknown
+ */
+export function normalizeOrderStatus(status) {
+  if (!status || typeof status !== 'string') {
+    return null;
+  }
+
+  const key = status.trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return STATUS_BY_KEY[key] || LEGACY_STATUS_ALIASES[key] || null;
+}
+
+/**
+ * Get every raw value that may be stored for the given statuses, for use in queries
+ * that must also match rows written before statuses were normalized
+ * @param {Array<string>} statuses - Statuses in any supported spelling
+ * @returns {Array<string>} - Labels, keys and legacy aliases
+ */
+export function getStatusVariants(statuses) {
+  const labels = new Set(statuses.map(normalizeOrderStatus).filter(Boolean));
+  const variants = new Set();
+
+  for (const label of labels) {
+    variants.add(label);
+    variants.add(label.toLowerCase().replace(/ /g, '_'));
+  }
+
+  for (const [alias, label] of Object.entries(LEGACY_STATUS_ALIASES)) {
+    if (labels.has(label)) {
+      variants.add(alias);
+    }
+  }
+
+  return [...variants];
+}
+
+/**
+ * Find the transition definition between two statuses. Some moves, such as cancelling an
+ * order with a rider assigned, are defined more than once for different roles; given a
+ * role, the definition that allows it is preferred.
+ * @param {string} fromStatus - Current status
+ * @param {string} toStatus - Target status
+ * @param {string} role - Role of the actor (optional)
+ * @returns {Object|null} - Transition definition or null if not allowed
+ */
+export function findTransition(fromStatus, toStatus, role) {
+  const from = normalizeOrderStatus(fromStatus);
+  const to = normalizeOrderStatus(toStatus);
+
+  if (!from || !to) {
+    return null;
+  }
+
+  const transitions = ORDER_TRANSITIONS.filter(
+    transition => transition.to === to && transition.from.includes(from)
+  );
+  return (role && transitions.find(transition => transition.roles.includes(role))) || transitions[0] || null;
+}
+
+/**
+ * Get the statuses a role may move an order to from its current status
+ * @param {string} currentStatus - Current status
+ * @param {string} role - Role of the actor
+ * @returns {Array<string>} - Target status labels
+ */
+export function getAvailableTransitions(currentStatus, role) {
+  const from = normalizeOrderStatus(currentStatus);
+  if (!from) {
+    return [];
+  }
+
+  return [...new Set(ORDER_TRANSITIONS
+    .filter(transition => transition.from.includes(from) && (!role || transition.roles.includes(role)))
+    .map(transition => transition.to))];
+}
@@ -0,0 +1,90 @@
+/**
+ * Payment Gateway Selection
+ *
+ * paymentService talks to the gateway through the subset of the Razorpay SDK it uses
+ * (`orders.create/fetch/fetchPayments`, `payments.fetch/refund`) plus the gateway's
+ * `name`, `keyId`, `keySecret` and `webhookSecret`. Normally that is Razorpay, configured
+ * with the RAZORPAY_KEY_ID, RAZORPAY_KEY_SECRET and RAZORPAY_WEBHOOK_SECRET environment
+ * variables. With the `payment.enableTestMode` setting on, the offline mock gateway in
+ * lib/mockPaymentGateway.js is used instead. Test mode is ignored in production.
+ */
+
+import Razorpay from 'razorpay';
+import { settingsStorage } from './storage';
+import { MockPaymentGateway } from './mockPaymentGateway';
+
+const SETTINGS_TTL_MS = 60000;
+
+let razorpayGateway;
+let testModeCache = null;
+let testModeCachedAt = 0;
+
+/**
+ * Get the Razorpay gateway, or null if its keys aren't configured
+ * @returns {Object|null} - Gateway
+ */
+export function getRazorpayGateway() {
+  if (razorpayGateway !== undefined) {
+    return razorpayGateway;
+  }
+
+  razorpayGateway = null;
+  try {
+    if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
+      const client = new Razorpay({
+        key_id: process.env.RAZORPAY_KEY_ID,
+        key_secret: process.env.RAZORPAY_KEY_SECRET,
+      });
+      razorpayGateway = {
+        name: 'razorpay',
+        keyId: process.env.RAZORPAY_KEY_ID,
+        keySecret: process.env.RAZORPAY_KEY_SECRET,
+        webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || null,
+        orders: client.orders,
+        payments: client.payments
+      };
+    } else {
+      console.error('Razorpay API keys are not configured properly');
+    }
+  } catch (error) {
+    console.error('Failed to initialize Razorpay:', error);
+  }
+
+  return razorpayGateway;
+}
+
+/**
+ * Get the mock gateway. There is one per process, kept across hot reloads in
+ * development so orders created before a reload can still be paid.
+ * @returns {MockPaymentGateway} - Gateway
+ */
+export function getMockGateway() {
+  if (!global.mockPaymentGateway) {
+    global.mockPaymentGateway = new MockPaymentGateway();
+  }
+  return global.mockPaymentGateway;
+}
+
+/**
+ * Whether payments go through the mock gateway
+ * @returns {Promise<boolean>} - True when `payment.enableTestMode` is on outside production
+ */
+export async function isTestMode() {
+  if (process.env.NODE_ENV === 'production') {
+    return false;
+  }
+
+  if (testModeCache === null || Date.now() - testModeCachedAt >= SETTINGS_TTL_MS) {
+    testModeCache = String(await settingsStorage.get('payment.enableTestMode')) === 'true';
+    testModeCachedAt = Date.now();
+  }
+  return testModeCache;
+}
+
+/**
+ * Get the gateway new payments go through
+ * @returns {Promise<Object|null>} - Gateway, or null if none is configured
+ */
+export async function getPaymentGateway() {
+  return (await isTestMode()) ? getMockGateway() : getRazorpayGateway();
+}
@@ -0,0 +1,31 @@
+/**
+ * Pincode Directory
+ *
+ * City and state for the pincodes listed in data/pincodes.json, used where the app needs
+ * to know where a pickup or delivery is, e.g. for GST on invoices and city-restricted
+ * promo codes. The file is read once per process.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+let pincodes = null;
+
+/**
+ * Get the city and state of a pincode
+ * @param {string} pincode - Pincode
+ * @returns {Promise<Object|null>} - { pincode, city, state }, or null if it isn't listed
+ */
+export async function getPincodeDetails(pincode) {
+  if (!pincodes) {
+    const dataPath = process.env.DATA_PATH || path.join(process.cwd(), 'data');
+    try {
+      const entries = JSON.parse(await fs.readFile(path.join(dataPath, 'pincodes.json'), 'utf8'));
+      pincodes = new Map(entries.map(entry => [String(entry.pincode), { pincode: String(entry.pincode), city: entry.city, state: entry.state }]));
+    } catch (error) {
+      console.error('Error loading pincodes:', error);
+      return null;
+    }
+  }
+  return pincodes.get(String(pincode)) || null;
+}
@@ -0,0 +1,678 @@
+/**
+ * Discount Service
+ *
+ * Works out what comes off a customer's price:
+ *
+ * - Vendor tier discounts: Gold and Platinum vendors take the `customerDiscount`
+ *   percentage from vendorService.getVendorTierBenefits off their quotes. It is the
+ *   vendor's discount, so it simply lowers what they are paid.
+ * - Promo codes: percentage or flat codes created by admins, optionally restricted to a
+ *   customer's first move, to pickup cities, to move sizes and to a date window, and
+ *   limited in how often they can be used in total and per customer. The platform funds
+ *   them: when the order is booked the vendor is credited the discount as an adjustment
+ *   on the order's payout (see settlementService).
+ *
+ * A stackable promo code applies on top of the tier discount, to the price left after it.
+ * Otherwise the customer gets whichever of the two is larger.
+ *
+ * Discounts are worked out on the price before GST, and GST is charged on what is left.
+ * calculateMovingCost applies them to estimates. At checkout the customer applies a code
+ * to their order and paymentService.createPaymentOrder books the order at the discounted
+ * price.
+ */
+
+import { userStorage } from '../storage';
+import { vendorService } from './vendorService';
+import { orderStateMachine } from './orderStateMachine';
+import { GST_RATE } from './pricingService';
+import { getPincodeDetails } from '../pincodes';
+import { ORDER_STATUSES } from '../orderLifecycle';
+
+export const PROMO_TYPES = ['percentage', 'flat'];
+export const REDEMPTION_STATUSES = ['applied', 'redeemed', 'released'];
+
+// How long starting a checkout holds a code's place against its usage limits. Codes
+// applied to orders that aren't being paid for don't count, so abandoned checkouts don't
+// use them up.
+const RESERVATION_TTL_MS = 30 * 60 * 1000;
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/;
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+const withGst = amount => roundAmount(amount * (1 + GST_RATE));
+
+class DiscountService {
+  /**
+   * Normalize a promo code as entered by a customer
+   * @param {string} code - Promo code
+   * @returns {string} - Upper case code without surrounding spaces
+   */
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  /**
+   * Get the percentage a vendor's tier takes off the customer's price
+   * @param {Object} vendor - Vendor, or null
+   * @returns {number} - Percentage; 0 for vendors without a tier
+   */
+  getTierDiscountRate(vendor) {
+    if (!vendor || !vendor.tier) {
+      return 0;
+    }
+    return vendorService.getVendorTierBenefits(vendor.tier).customerDiscount || 0;
+  }
+
+  /**
+   * Work out the discounts on a price, applying the stacking rules
+   * @param {number} amount - Price before GST
+   * @param {Object} options - { tierRate, promo }
+   * @returns {Object} - { tierDiscount, promoDiscount, totalDiscount, promoApplied, note }
+   */
+  calculateDiscounts(amount, { tierRate = 0, promo = null } = {}) {
+    const tierDiscount = roundAmount(amount * tierRate / 100);
+    if (!promo) {
+      return { tierDiscount, promoDiscount: 0, totalDiscount: tierDiscount, promoApplied: false, note: null };
+    }
+
+    if (promo.stackable) {
+      const promoDiscount = this._getPromoDiscount(promo, amount - tierDiscount);
+      return { tierDiscount, promoDiscount, totalDiscount: roundAmount(tierDiscount + promoDiscount), promoApplied: true, note: null };
+    }
+
+    const promoDiscount = this._getPromoDiscount(promo, amount);
+    if (promoDiscount > tierDiscount) {
+      return {
+        tierDiscount: 0,
+        promoDiscount,
+        totalDiscount: promoDiscount,
+        promoApplied: true,
+        note: tierDiscount > 0 ? `${promo.code} can't be combined with the vendor's discount, so the larger discount from ${promo.code} is used` : null
+      };
+    }
+    return {
+      tierDiscount,
+      promoDiscount: 0,
+      totalDiscount: tierDiscount,
+      promoApplied: false,
+      note: `${promo.code} can't be combined with the vendor's discount, which is larger`
+    };
+  }
+
+  /**
+   * Check that a promo code can be used. Customer-specific limits are only checked when
+   * the customer is given.
+   * @param {string} code - Promo code
+   * @param {Object} context - { amount (before GST), userId, orderId, pickupPincode, moveSize }
+   * @returns {Promise<Object>} - Promo code
+   * @throws {Error} - Why the code can't be used
+   */
+  async validatePromoCode(code, { amount, userId = null, orderId = null, pickupPincode = null, moveSize = null } = {}) {
+    const prisma = require('../prisma');
+    const promo = await prisma.promoCode.findUnique({ where: { code: this.normalizeCode(code) } });
+    if (!promo || !promo.isActive) {
+      throw new Error('This promo code is not valid');
+    }
+
+    const now = new Date();
+    if (promo.startsAt && promo.startsAt > now) {
+      throw new Error('This promo code is not active yet');
+    }
+    if (promo.expiresAt && promo.expiresAt <= now) {
+      throw new Error('This promo code has expired');
+    }
+
+    if (promo.minOrderAmount && amount < promo.minOrderAmount) {
+      throw new Error(`This promo code needs an order of at least ₹${promo.minOrderAmount.toLocaleString('en-IN')} before GST`);
+    }
+
+    const moveSizes = this._parseList(promo.moveSizes);
+    if (moveSizes.length > 0 && !moveSizes.includes(moveSize)) {
+      throw new Error(`This promo code is only valid for ${moveSizes.join(', ')} moves`);
+    }
+
+    const cities = this._parseList(promo.cities);
+    if (cities.length > 0) {
+      const pickup = pickupPincode ? await getPincodeDetails(pickupPincode) : null;
+      if (!pickup || !cities.some(city => city.toLowerCase() === pickup.city.toLowerCase())) {
+        throw new Error(`This promo code is only valid for pickups in ${cities.join(', ')}`);
+      }
+    }
+
+    const limitError = await this._checkLimits(prisma, promo, { orderId, userId });
+    if (limitError) {
+      throw new Error(limitError);
+    }
+
+    if (userId && promo.firstMoveOnly && await this._hasPaidOrder(userId, orderId)) {
+      throw new Error('This promo code is only valid on your first move');
+    }
+
+    return promo;
+  }
+
+  /**
+   * Get the discounts on a price estimate
+   * @param {number} amount - Price before GST
+   * @param {Object} options - { promoCode, userEmail, vendorTier, pickupPincode, moveSize }
+   * @returns {Promise<Object>} - As from calculateDiscounts, plus { promoCode, promoError }
+   */
+  async getEstimateDiscounts(amount, { promoCode, userEmail, vendorTier, pickupPincode, moveSize } = {}) {
+    let promo = null;
+    let promoError = null;
+    if (promoCode) {
+      try {
+        const user = userEmail ? await userStorage.getByEmail(userEmail) : null;
+        promo = await this.validatePromoCode(promoCode, { amount, userId: user ? user.id : null, pickupPincode, moveSize });
+      } catch (error) {
+        promoError = error.message;
+      }
+    }
+
+    const discounts = this.calculateDiscounts(amount, {
+      tierRate: this.getTierDiscountRate(vendorTier ? { tier: vendorTier } : null),
+      promo
+    });
+    return { ...discounts, promoCode: promo && discounts.promoApplied ? promo.code : null, promoError };
+  }
+
+  /**
+   * Get the price of booking an order with a vendor's quote, after the vendor's tier
+   * discount and the promo code applied to the order. Amounts include GST.
+   * @param {string} orderId - Order ID
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Object|null>} - { quoteAmount, tierDiscount, promoDiscount, totalDiscount, total, promoCode, promoApplied, promoError, note }, or null without a quote
+   */
+  async getOrderPrice(orderId, vendorId) {
+    const prisma = require('../prisma');
+    const quote = vendorId ? await prisma.quote.findFirst({ where: { orderId, vendorId } }) : null;
+    if (!quote || !(quote.amount > 0)) {
+      return null;
+    }
+
+    const [order, vendor, redemption] = await Promise.all([
+      prisma.order.findUnique({ where: { id: orderId } }),
+      prisma.vendor.findUnique({ where: { id: vendorId } }),
+      prisma.promoRedemption.findUnique({ where: { orderId }, include: { promoCode: true } })
+    ]);
+
+    // Only a code that hasn't been booked yet is checked again; once booked its discount is fixed
+    const pending = redemption && redemption.status === 'applied' ? redemption : null;
+    const taxableAmount = quote.amount / (1 + GST_RATE);
+    let promo = null;
+    let promoError = null;
+    if (pending) {
+      try {
+        promo = await this.validatePromoCode(pending.promoCode.code, {
+          amount: taxableAmount,
+          userId: order.customerId,
+          orderId,
+          pickupPincode: order.pickupPincode,
+          moveSize: order.moveSize
+        });
+      } catch (error) {
+        promoError = `${pending.promoCode.code}: ${error.message}`;
+      }
+    }
+
+    const discounts = this.calculateDiscounts(taxableAmount, { tierRate: this.getTierDiscountRate(vendor), promo });
+    const tierDiscount = withGst(discounts.tierDiscount);
+    const promoDiscount = withGst(discounts.promoDiscount);
+
+    return {
+      quoteAmount: quote.amount,
+      tierDiscount,
+      promoDiscount,
+      totalDiscount: roundAmount(tierDiscount + promoDiscount),
+      total: roundAmount(quote.amount - tierDiscount - promoDiscount),
+      promoCode: pending ? pending.promoCode.code : null,
+      promoApplied: discounts.promoApplied,
+      promoError,
+      note: discounts.note
+    };
+  }
+
+  /**
+   * Apply a promo code to an order before it is booked, replacing any code applied earlier
+   * @param {string} orderId - Order ID
+   * @param {string} code - Promo code
+   * @param {string} userEmail - Email of the customer
+   * @param {string} vendorId - Vendor whose quote the customer is booking
+   * @returns {Promise<Object>} - Price, as from getOrderPrice
+   */
+  async applyPromoCode(orderId, code, userEmail, vendorId) {
+    const prisma = require('../prisma');
+    const order = await this._getCustomerOrder(orderId, userEmail);
+
+    const quote = vendorId ? await prisma.quote.findFirst({ where: { orderId, vendorId } }) : null;
+    if (!quote || !(quote.amount > 0)) {
+      throw new Error('Choose a quote before applying a promo code');
+    }
+
+    const promo = await this.validatePromoCode(code, {
+      amount: quote.amount / (1 + GST_RATE),
+      userId: order.customerId,
+      orderId,
+      pickupPincode: order.pickupPincode,
+      moveSize: order.moveSize
+    });
+
+    const data = { promoCodeId: promo.id, status: 'applied', discountAmount: 0, reservedUntil: null, releasedAt: null };
+    await prisma.promoRedemption.upsert({
+      where: { orderId },
+      create: { ...data, orderId, userId: order.customerId },
+      update: data
+    });
+
+    return this.getOrderPrice(orderId, vendorId);
+  }
+
+  /**
+   * Remove the promo code from an order before it is booked
+   * @param {string} orderId - Order ID
+   * @param {string} userEmail - Email of the customer
+   * @returns {Promise<void>}
+   */
+  async removePromoCode(orderId, userEmail) {
+    const prisma = require('../prisma');
+    await this._getCustomerOrder(orderId, userEmail);
+    await prisma.promoRedemption.updateMany({
+      where: { orderId, status: 'applied' },
+      data: { status: 'released', releasedAt: new Date() }
+    });
+  }
+
+  /**
+   * Fix the promo discount an order is being booked with, as priced for its advance, and
+   * hold the code's place against its usage limits while the customer pays. The limits
+   * are checked in the same database transaction, so concurrent checkouts can't all take
+   * the last use.
+   * @param {string} orderId - Order ID
+   * @param {number} discountAmount - Promo discount, including GST
+   * @returns {Promise<void>}
+   * @throws {Error} - If the code has been used up since it was applied
+   */
+  async setBookingDiscount(orderId, discountAmount) {
+    const prisma = require('../prisma');
+    await prisma.$transaction(async tx => {
+      const redemption = await tx.promoRedemption.findUnique({ where: { orderId }, include: { promoCode: true } });
+      if (!redemption || redemption.status !== 'applied') {
+        return;
+      }
+
+      const discount = roundAmount(discountAmount);
+      if (discount > 0) {
+        const limitError = await this._checkLimits(tx, redemption.promoCode, { orderId, userId: redemption.userId });
+        if (limitError) {
+          throw new Error(`${redemption.promoCode.code}: ${limitError}`);
+        }
+      }
+
+      await tx.promoRedemption.update({
+        where: { id: redemption.id },
+        data: {
+          discountAmount: discount,
+          reservedUntil: discount > 0 ? new Date(Date.now() + RESERVATION_TTL_MS) : null
+        }
+      });
+    });
+  }
+
+  /**
+   * Redeem an order's promo code once it is booked, crediting the vendor for the
+   * platform-funded discount. The checkout normally still holds the code's place; if that
+   * has lapsed the limits are checked again. The customer has paid the discounted price
+   * either way, so a code used up in the meantime is still honoured, and the overuse is
+   * recorded on the order for admins.
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} - Redemption, or null without a promo code
+   */
+  async markRedeemed(orderId) {
+    const prisma = require('../prisma');
+    const redemption = await prisma.promoRedemption.findUnique({ where: { orderId }, include: { promoCode: true } });
+    if (!redemption || redemption.status !== 'applied') {
+      return null;
+    }
+
+    if (!(redemption.discountAmount > 0)) {
+      // Outdone by the vendor's own discount, so the code wasn't used
+      return prisma.promoRedemption.update({
+        where: { id: redemption.id },
+        data: { status: 'released', releasedAt: new Date(), reservedUntil: null }
+      });
+    }
+
+    const order = await prisma.order.findUnique({ where: { id: orderId }, select: { vendorId: true } });
+    const { redeemed, limitError } = await prisma.$transaction(async tx => {
+      const lapsed = !redemption.reservedUntil || redemption.reservedUntil <= new Date();
+      const limitError = lapsed
+        ? await this._checkLimits(tx, redemption.promoCode, { orderId, userId: redemption.userId })
+        : null;
+
+      // Conditional, so a payment reported twice only redeems once
+      const { count } = await tx.promoRedemption.updateMany({
+        where: { id: redemption.id, status: 'applied' },
+        data: { status: 'redeemed', redeemedAt: new Date(), reservedUntil: null }
+      });
+      if (count === 0) {
+        return { redeemed: null, limitError: null };
+      }
+
+      const adjustment = await tx.vendorAdjustment.create({
+        data: {
+          vendorId: order.vendorId,
+          orderId,
+          amount: redemption.discountAmount,
+          reason: `Promo code ${redemption.promoCode.code} discount, paid by the platform`
+        }
+      });
+      const redeemed = await tx.promoRedemption.update({
+        where: { id: redemption.id },
+        data: { adjustmentId: adjustment.id }
+      });
+      return { redeemed, limitError };
+    });
+
+    if (limitError) {
+      await orderStateMachine.recordEvent(orderId,
+        `Promo code ${redemption.promoCode.code} honoured beyond its limits (${limitError.toLowerCase()}); the checkout's hold on it had lapsed before payment`);
+    }
+    return redeemed;
+  }
+
+  /**
+   * Release an order's promo code when the order is called off, so it no longer counts
+   * against the code's limits. The vendor's credit is withdrawn unless already settled.
+   * @param {string} orderId - Order ID
+   * @returns {Promise<void>}
+   */
+  async releaseForOrder(orderId) {
+    const prisma = require('../prisma');
+    const redemption = await prisma.promoRedemption.findUnique({ where: { orderId } });
+    if (!redemption || redemption.status === 'released') {
+      return;
+    }
+
+    if (redemption.adjustmentId) {
+      await prisma.vendorAdjustment.deleteMany({ where: { id: redemption.adjustmentId, status: 'pending' } });
+    }
+    await prisma.promoRedemption.update({
+      where: { id: redemption.id },
+      data: { status: 'released', releasedAt: new Date() }
+    });
+  }
+
+  /**
+   * List promo codes with their usage
+   * @returns {Promise<Array>} - Promo codes, newest first, each with { applied, redeemed, totalDiscount }
+   */
+  async listPromoCodes() {
+    const prisma = require('../prisma');
+    const promoCodes = await prisma.promoCode.findMany({
+      orderBy: { createdAt: 'desc' },
+      include: { redemptions: { select: { status: true, discountAmount: true } } }
+    });
+
+    return promoCodes.map(({ redemptions, ...promo }) => ({
+      ...this._describe(promo),
+      ...this._getUsage(redemptions)
+    }));
+  }
+
+  /**
+   * Get a promo code with its recent redemptions
+   * @param {string} promoCodeId - Promo code ID
+   * @returns {Promise<Object>} - Promo code with usage and redemptions
+   */
+  async getPromoCode(promoCodeId) {
+    const prisma = require('../prisma');
+    const promo = await prisma.promoCode.findUnique({ where: { id: promoCodeId } });
+    if (!promo) {
+      throw new Error('Promo code not found');
+    }
+
+    const redemptions = await prisma.promoRedemption.findMany({
+      where: { promoCodeId },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        order: { select: { id: true, orderNumber: true, status: true } },
+        user: { select: { email: true, name: true } }
+      }
+    });
+
+    return {
+      ...this._describe(promo),
+      ...this._getUsage(redemptions),
+      redemptions: redemptions.slice(0, 100)
+    };
+  }
+
+  /**
+   * Create a promo code
+   * @param {Object} data - Promo code fields
+   * @param {string} adminEmail - Email of the admin creating it
+   * @returns {Promise<Object>} - Created promo code
+   */
+  async createPromoCode(data, adminEmail) {
+    const prisma = require('../prisma');
+    const code = this.normalizeCode(data.code);
+    if (!CODE_PATTERN.test(code)) {
+      throw new Error('Codes are 3 to 20 letters, digits, dashes or underscores');
+    }
+    if (await prisma.promoCode.findUnique({ where: { code } })) {
+      throw new Error(`Promo code ${code} already exists`);
+    }
+
+    const promo = await prisma.promoCode.create({
+      data: { ...this._parseFields(data), code, createdBy: adminEmail }
+    });
+    return this._describe(promo);
+  }
+
+  /**
+   * Update a promo code. The code itself can't be changed once created.
+   * @param {string} promoCodeId - Promo code ID
+   * @param {Object} data - Promo code fields
+   * @returns {Promise<Object>} - Updated promo code
+   */
+  async updatePromoCode(promoCodeId, data) {
+    const prisma = require('../prisma');
+    const existing = await prisma.promoCode.findUnique({ where: { id: promoCodeId } });
+    if (!existing) {
+      throw new Error('Promo code not found');
+    }
+
+    const promo = await prisma.promoCode.update({
+      where: { id: promoCodeId },
+      data: this._parseFields({ ...this._describe(existing), ...data })
+    });
+    return this._describe(promo);
+  }
+
+  /**
+   * Validate and convert promo code fields from the admin form
+   * @private
+   */
+  _parseFields(data) {
+    if (!PROMO_TYPES.includes(data.type)) {
+      throw new Error(`Type must be one of: ${PROMO_TYPES.join(', ')}`);
+    }
+
+    const value = Number(data.value);
+    if (!(value > 0) || (data.type === 'percentage' && value > 100)) {
+      throw new Error(data.type === 'percentage' ? 'Percentage must be between 0 and 100' : 'Discount must be more than zero');
+    }
+
+    const optionalNumber = (field, label, integer = false) => {
+      if (data[field] === null || data[field] === undefined || data[field] === '') {
+        return null;
+      }
+      const number = Number(data[field]);
+      if (!(number > 0) || (integer && !Number.isInteger(number))) {
+        throw new Error(`${label} must be a positive ${integer ? 'whole number' : 'amount'}`);
+      }
+      return number;
+    };
+
+    const optionalDate = (field, label) => {
+      if (!data[field]) {
+        return null;
+      }
+      const date = new Date(data[field]);
+      if (isNaN(date.getTime())) {
+        throw new Error(`${label} is not a valid date`);
+      }
+      return date;
+    };
+
+    const optionalList = field => {
+      const list = (Array.isArray(data[field]) ? data[field] : String(data[field] || '').split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+      return list.length > 0 ? JSON.stringify(list) : null;
+    };
+
+    const startsAt = optionalDate('startsAt', 'Start date');
+    const expiresAt = optionalDate('expiresAt', 'Expiry date');
+    if (startsAt && expiresAt && expiresAt <= startsAt) {
+      throw new Error('Expiry date must be after the start date');
+    }
+
+    return {
+      description: data.description ? String(data.description).trim() : null,
+      type: data.type,
+      value,
+      maxDiscount: data.type === 'percentage' ? optionalNumber('maxDiscount', 'Maximum discount') : null,
+      minOrderAmount: optionalNumber('minOrderAmount', 'Minimum order'),
+      firstMoveOnly: Boolean(data.firstMoveOnly),
+      cities: optionalList('cities'),
+      moveSizes: optionalList('moveSizes'),
+      usageLimit: optionalNumber('usageLimit', 'Usage limit', true),
+      perUserLimit: optionalNumber('perUserLimit', 'Limit per customer', true),
+      stackable: Boolean(data.stackable),
+      startsAt,
+      expiresAt,
+      isActive: data.isActive === undefined ? true : Boolean(data.isActive)
+    };
+  }
+
+  /**
+   * A promo code with its lists parsed
+   * @private
+   */
+  _describe(promo) {
+    return { ...promo, cities: this._parseList(promo.cities), moveSizes: this._parseList(promo.moveSizes) };
+  }
+
+  /**
+   * Count a code's redemptions
+   * @private
+   */
+  _getUsage(redemptions) {
+    const redeemed = redemptions.filter(redemption => redemption.status === 'redeemed');
+    return {
+      applied: redemptions.filter(redemption => redemption.status === 'applied').length,
+      redeemed: redeemed.length,
+      totalDiscount: roundAmount(redeemed.reduce((sum, redemption) => sum + redemption.discountAmount, 0))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _getPromoDiscount(promo, amount) {
+    let discount = promo.type === 'percentage' ? amount * promo.value / 100 : promo.value;
+    if (promo.type === 'percentage' && promo.maxDiscount) {
+      discount = Math.min(discount, promo.maxDiscount);
+    }
+    return roundAmount(Math.max(0, Math.min(discount, amount)));
+  }
+
+  /**
+   * @private
+   */
+  _parseList(value) {
+    if (!value) {
+      return [];
+    }
+    try {
+      const list = JSON.parse(value);
+      return Array.isArray(list) ? list : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Check a code's usage limits, counting other orders' redemptions and the checkouts
+   * holding a place. The per-customer limit is only checked when the customer is given.
+   * @private
+   * @param {Object} client - Prisma client or transaction
+   * @returns {Promise<string|null>} - Why the code can't be used, or null
+   */
+  async _checkLimits(client, promo, { orderId = null, userId = null } = {}) {
+    // An order's own redemption doesn't count against it
+    const otherRedemptions = {
+      promoCodeId: promo.id,
+      OR: [
+        { status: 'redeemed' },
+        { status: 'applied', reservedUntil: { gt: new Date() } }
+      ],
+      ...(orderId ? { orderId: { not: orderId } } : {})
+    };
+    if (promo.usageLimit !== null && await client.promoRedemption.count({ where: otherRedemptions }) >= promo.usageLimit) {
+      return 'This promo code has been fully used';
+    }
+    if (userId && promo.perUserLimit !== null && await client.promoRedemption.count({ where: { ...otherRedemptions, userId } }) >= promo.perUserLimit) {
+      return 'You have already used this promo code';
+    }
+    return null;
+  }
+
+  /**
+   * Whether a customer has paid for any other order
+   * @private
+   */
+  async _hasPaidOrder(userId, orderId) {
+    const prisma = require('../prisma');
+    const count = await prisma.payment.count({
+      where: {
+        status: { in: ['completed', 'refunded'] },
+        order: { customerId: userId },
+        ...(orderId ? { orderId: { not: orderId } } : {})
+      }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Get an order that hasn't been booked yet, checking it belongs to the customer
+   * @private
+   */
+  async _getCustomerOrder(orderId, userEmail) {
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({ where: { id: orderId }, include: { customer: { select: { email: true } } } });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (order.customer.email !== userEmail) {
+      throw new Error('You are not authorized to access this order');
+    }
+
+    const paid = await prisma.payment.count({ where: { orderId, status: { in: ['completed', 'refunded'] } } });
+    if (paid > 0) {
+      throw new Error('Promo codes can only be changed before the order is booked');
+    }
+    return order;
+  }
+}
+
+export const discountService = new DiscountService();
+
+/**
+ * A cancelled or refunded order gives its promo code back
+ */
+orderStateMachine.onTransition(async ({ order }) => {
+  await discountService.releaseForOrder(order.id);
+}, { to: [ORDER_STATUSES.CANCELLED, ORDER_STATUSES.REFUNDED] });
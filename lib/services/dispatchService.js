@@ -0,0 +1,744 @@
+/**
+ * Dispatch Service
+ *
+ * Offers parcel orders to riders in batches instead of assigning the nearest rider outright.
+ * Each batch goes to the top-N candidates by score (distance, rating, decline history and
+ * vehicle capacity). Riders in the batch have an acceptance window to claim the order; when
+ * the window lapses or every rider in the batch declines, the next batch is offered. Once
+ * `dispatch.maxBatches` batches have been tried the order is left for manual assignment.
+ *
+ * Every offer and response is stored in the DispatchOffer table for later analysis.
+ *
+ * Batch timers live in the server process, so expired offers are also swept lazily
+ * (see processExpiredOffers) whenever riders or admins load dispatch data. A restart
+ * therefore delays a cascade but never loses it.
+ */
+
+import { settingsStorage, orderStorage, pincodeStorage } from '../storage';
+import { riderService } from './riderService';
+import { notificationService } from './notificationService';
+import { analyticsService } from './analyticsService';
+import { orderStateMachine } from './orderStateMachine';
+import { publishToUser } from '../socketPublisher';
+import { ORDER_STATUSES, normalizeOrderStatus } from '../orderLifecycle';
+
+const DEFAULT_CONFIG = {
+  batchSize: 3,
+  acceptanceWindowSeconds: 60,
+  maxBatches: 5
+};
+
+const CONFIG_TTL_MS = 60000;
+const MAX_SEARCH_RADIUS_KM = 20;
+
+// Score weights; the decline penalty is subtracted from the weighted sum
+const SCORE_WEIGHTS = {
+  distance: 0.5,
+  rating: 0.3,
+  capacity: 0.2
+};
+const DECLINE_PENALTY_PER_DECLINE = 0.05;
+const MAX_DECLINE_PENALTY = 0.3;
+
+// Approximate load capacity in kg for riders without an explicit deliveryCapacity
+const VEHICLE_CAPACITY_KG = {
+  bicycle: 10,
+  bike: 20,
+  motorcycle: 20,
+  scooter: 20,
+  car: 100,
+  van: 750,
+  tempo: 1000,
+  truck: 2000
+};
+const DEFAULT_VEHICLE_CAPACITY_KG = 20;
+
+class DispatchService {
+  constructor() {
+    // orderId -> timeout handle for the active batch
+    this.batchTimers = new Map();
+    this.cachedConfig = null;
+    this.cachedConfigAt = 0;
+  }
+
+  /**
+   * Get dispatch configuration from settings
+   * @returns {Promise<Object>} - { batchSize, acceptanceWindowSeconds, maxBatches }
+   */
+  async getConfig() {
+    if (this.cachedConfig && Date.now() - this.cachedConfigAt < CONFIG_TTL_MS) {
+      return this.cachedConfig;
+    }
+
+    const config = { ...DEFAULT_CONFIG };
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+      const value = parseInt(await settingsStorage.get(`dispatch.${key}`), 10);
+      if (!isNaN(value) && value > 0) {
+        config[key] = value;
+      }
+    }
+
+    this.cachedConfig = config;
+    this.cachedConfigAt = Date.now();
+    return config;
+  }
+
+  /**
+   * Start dispatching an order to riders
+   * @param {string} orderId - Order ID
+   * @param {Object} pickupLocation - Pickup location with lat and lon
+   * @param {Object} orderDetails - Order details for rider matching (loaded if omitted)
+   * @returns {Promise<Object>} - Dispatch summary with the offered batch
+   */
+  async dispatchOrder(orderId, pickupLocation, orderDetails = {}) {
+    if (!orderId || !pickupLocation) {
+      throw new Error('Order ID and pickup location are required');
+    }
+
+    if (!pickupLocation.lat || !pickupLocation.lon ||
+        isNaN(parseFloat(pickupLocation.lat)) || isNaN(parseFloat(pickupLocation.lon))) {
+      throw new Error('Invalid pickup location coordinates');
+    }
+
+    const order = await orderStorage.getById(orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (order.riderId) {
+      throw new Error('Rider is already assigned to this order');
+    }
+
+    if (normalizeOrderStatus(order.status) !== ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT) {
+      await orderStateMachine.transition(orderId, ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT, {
+        notes: 'Looking for a rider'
+      });
+    }
+
+    const orderData = Object.keys(orderDetails).length > 0 ? orderDetails : order;
+    return this.offerNextBatch(orderId, {
+      pickupLocation: {
+        lat: parseFloat(pickupLocation.lat),
+        lon: parseFloat(pickupLocation.lon)
+      },
+      orderData
+    });
+  }
+
+  /**
+   * Offer an order to the next batch of riders who haven't seen it yet
+   * @param {string} orderId - Order ID
+   * @param {Object} dispatch - { pickupLocation, orderData }
+   * @returns {Promise<Object>} - Dispatch summary
+   */
+  async offerNextBatch(orderId, dispatch) {
+    const prisma = require('../prisma');
+    const config = await this.getConfig();
+
+    const previousOffers = await prisma.dispatchOffer.findMany({
+      where: { orderId },
+      select: { riderId: true, batchNumber: true }
+    });
+    const batchNumber = previousOffers.reduce((max, offer) => Math.max(max, offer.batchNumber), 0) + 1;
+
+    if (batchNumber > config.maxBatches) {
+      return this._queueForManualAssignment(orderId, `No rider accepted after ${config.maxBatches} batches`);
+    }
+
+    const order = await orderStorage.getById(orderId);
+    if (!order || order.riderId || normalizeOrderStatus(order.status) !== ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT) {
+      // Claimed, cancelled or reassigned while the previous batch was open
+      return { orderId, status: 'closed', batchNumber: batchNumber - 1, offers: [] };
+    }
+
+    // Claim the batch number. Two riders declining at once, or a decline racing the
+    // expiry timer, both get here; only one starts the batch.
+    const { count } = await prisma.order.updateMany({
+      where: { id: orderId, dispatchBatch: { lt: batchNumber } },
+      data: { dispatchBatch: batchNumber }
+    });
+    if (count === 0) {
+      return { orderId, status: 'offered', batchNumber, offers: [] };
+    }
+
+    let declinedBy = [];
+    try {
+      declinedBy = order.declinedBy ? JSON.parse(order.declinedBy) : [];
+    } catch (error) {
+      console.error('Error parsing declinedBy:', error);
+    }
+
+    const excludedRiderIds = new Set([...previousOffers.map(offer => offer.riderId), ...declinedBy]);
+    const candidates = (await this._findCandidates(dispatch.pickupLocation, dispatch.orderData))
+      .filter(rider => !excludedRiderIds.has(rider.id));
+
+    const scored = await this.scoreRiders(candidates, dispatch.orderData);
+    const batch = scored.slice(0, config.batchSize);
+
+    if (batch.length === 0) {
+      return this._queueForManualAssignment(orderId, 'No more riders available nearby');
+    }
+
+    const offeredAt = new Date();
+    const expiresAt = new Date(offeredAt.getTime() + config.acceptanceWindowSeconds * 1000);
+
+    const offers = await prisma.$transaction(batch.map(rider =>
+      prisma.dispatchOffer.create({
+        data: {
+          orderId,
+          riderId: rider.id,
+          batchNumber,
+          score: rider.dispatchScore,
+          distance: rider.distance,
+          status: 'offered',
+          offeredAt,
+          expiresAt
+        }
+      })
+    ));
+
+    this._scheduleBatchExpiry(orderId, batchNumber, expiresAt);
+
+    for (const rider of batch) {
+      await this._notifyRiderOfOffer(rider, order, { batchNumber, expiresAt, pickupLocation: dispatch.pickupLocation });
+    }
+
+    try {
+      await analyticsService.trackEvent('dispatch_batch_offered', {
+        orderId,
+        batchNumber,
+        riderIds: batch.map(rider => rider.id),
+        acceptanceWindowSeconds: config.acceptanceWindowSeconds
+      });
+    } catch (error) {
+      console.error('Error tracking dispatch batch event:', error);
+    }
+
+    return {
+      orderId,
+      status: 'offered',
+      batchNumber,
+      expiresAt,
+      offers
+    };
+  }
+
+  /**
+   * Score riders for an order. Higher is better; each component is normalized to 0-1.
+   * Riders whose vehicle can't carry the parcel are dropped.
+   * @param {Array} riders - Riders with a distance field from findNearbyRiders
+   * @param {Object} orderData - Order details (parcelWeight is used for capacity)
+   * @returns {Promise<Array>} - Riders with dispatchScore and scoreBreakdown, best first
+   */
+  async scoreRiders(riders, orderData = {}) {
+    const parcelWeight = parseFloat(orderData.parcelWeight) || 0;
+    const scored = [];
+
+    for (const rider of riders) {
+      const capacity = this.getRiderCapacity(rider);
+      if (parcelWeight && capacity < parcelWeight) {
+        continue;
+      }
+
+      const declines = await this.getDeclineCount(rider.id);
+      const breakdown = {
+        distance: 1 - Math.min(rider.distance / MAX_SEARCH_RADIUS_KM, 1),
+        rating: Math.min((rider.rating || 0) / 5, 1),
+        // Prefer the smallest vehicle that fits, keeping large vehicles free for large loads
+        capacity: parcelWeight ? parcelWeight / capacity : 0.5,
+        declinePenalty: Math.min(declines * DECLINE_PENALTY_PER_DECLINE, MAX_DECLINE_PENALTY)
+      };
+
+      const dispatchScore =
+        breakdown.distance * SCORE_WEIGHTS.distance +
+        breakdown.rating * SCORE_WEIGHTS.rating +
+        breakdown.capacity * SCORE_WEIGHTS.capacity -
+        breakdown.declinePenalty;
+
+      scored.push({
+        ...rider,
+        dispatchScore: parseFloat(dispatchScore.toFixed(4)),
+        scoreBreakdown: breakdown
+      });
+    }
+
+    return scored.sort((a, b) => b.dispatchScore - a.dispatchScore);
+  }
+
+  /**
+   * Get a rider's load capacity in kg
+   * @param {Object} rider - Rider
+   * @returns {number} - Capacity in kg
+   */
+  getRiderCapacity(rider) {
+    if (rider.deliveryCapacity?.maxWeight) {
+      return rider.deliveryCapacity.maxWeight;
+    }
+
+    const vehicleType = (rider.vehicleType || '').toLowerCase();
+    const match = Object.keys(VEHICLE_CAPACITY_KG).find(type => vehicleType.includes(type));
+    return match ? VEHICLE_CAPACITY_KG[match] : DEFAULT_VEHICLE_CAPACITY_KG;
+  }
+
+  /**
+   * Count how often a rider has turned down orders, from declines recorded by
+   * riderService.recordOrderDecline plus offers the rider let expire
+   * @param {string} riderId - Rider ID
+   * @returns {Promise<number>} - Number of declines
+   */
+  async getDeclineCount(riderId) {
+    const prisma = require('../prisma');
+    const [declinedOrders, expiredOffers] = await Promise.all([
+      prisma.order.count({ where: { declinedBy: { contains: riderId } } }),
+      prisma.dispatchOffer.count({ where: { riderId, status: 'expired' } })
+    ]);
+    return declinedOrders + expiredOffers;
+  }
+
+  /**
+   * Claim an order for a rider. The rider must hold an open offer for the order, unless
+   * nobody does (e.g. it was queued for manual assignment and the rider picked it from
+   * the available orders list). Call before assigning the rider to the order.
+   * @param {string} orderId - Order ID
+   * @param {string} riderId - Rider ID
+   * @returns {Promise<Object|null>} - The accepted offer, or null if the order wasn't on offer
+   */
+  async claimOrder(orderId, riderId) {
+    const prisma = require('../prisma');
+    await this.processExpiredOffers(orderId);
+
+    const activeOffers = await prisma.dispatchOffer.findMany({
+      where: { orderId, status: 'offered' }
+    });
+
+    if (activeOffers.length === 0) {
+      return null;
+    }
+
+    const offer = activeOffers.find(activeOffer => activeOffer.riderId === riderId);
+    if (!offer) {
+      throw new Error('Order is currently offered to other riders');
+    }
+
+    const now = new Date();
+    const { count } = await prisma.dispatchOffer.updateMany({
+      where: { id: offer.id, status: 'offered' },
+      data: { status: 'accepted', respondedAt: now }
+    });
+
+    if (count === 0) {
+      throw new Error('Offer is no longer available');
+    }
+
+    // Two riders from the same batch may accept at the same moment. Every claimant picks
+    // the same winner (earliest response, then lowest ID) and the others back out.
+    const accepted = await prisma.dispatchOffer.findMany({
+      where: { orderId, status: 'accepted' },
+      orderBy: [{ respondedAt: 'asc' }, { id: 'asc' }]
+    });
+
+    if (accepted[0].id !== offer.id) {
+      await prisma.dispatchOffer.update({
+        where: { id: offer.id },
+        data: { status: 'cancelled', responseReason: 'Accepted by another rider' }
+      });
+      throw new Error('Offer is no longer available');
+    }
+
+    await prisma.dispatchOffer.updateMany({
+      where: { orderId, status: 'offered' },
+      data: { status: 'cancelled', respondedAt: now, responseReason: 'Accepted by another rider' }
+    });
+
+    this._clearBatchTimer(orderId);
+
+    try {
+      await analyticsService.trackEvent('dispatch_offer_accepted', {
+        orderId,
+        riderId,
+        batchNumber: offer.batchNumber,
+        responseSeconds: Math.round((now - new Date(offer.offeredAt)) / 1000)
+      });
+    } catch (error) {
+      console.error('Error tracking dispatch acceptance event:', error);
+    }
+
+    return { ...offer, status: 'accepted', respondedAt: now };
+  }
+
+  /**
+   * Give up a rider's claim on an order that couldn't be assigned to them after all, and
+   * resume dispatch by offering the order to the next batch
+   * @param {string} orderId - Order ID
+   * @param {string} riderId - Rider ID
+   * @param {string} reason - Why the claim was given up
+   * @returns {Promise<Object|null>} - The released offer, or null if the rider hadn't claimed the order
+   */
+  async releaseClaim(orderId, riderId, reason) {
+    const prisma = require('../prisma');
+    const offer = await prisma.dispatchOffer.findFirst({
+      where: { orderId, riderId, status: 'accepted' }
+    });
+    if (!offer) {
+      return null;
+    }
+
+    const { count } = await prisma.dispatchOffer.updateMany({
+      where: { id: offer.id, status: 'accepted' },
+      data: { status: 'cancelled', responseReason: reason }
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    await this._cascade(orderId);
+    return { ...offer, status: 'cancelled', responseReason: reason };
+  }
+
+  /**
+   * Record a rider declining an offer, and offer the next batch once nobody in the
+   * current batch can still accept
+   * @param {string} orderId - Order ID
+   * @param {string} riderId - Rider ID
+   * @param {string} reason - Reason for declining
+   * @returns {Promise<Object|null>} - The declined offer, or null if the rider had no open offer
+   */
+  async declineOffer(orderId, riderId, reason) {
+    const prisma = require('../prisma');
+    const now = new Date();
+
+    const { count } = await prisma.dispatchOffer.updateMany({
+      where: { orderId, riderId, status: 'offered' },
+      data: { status: 'declined', respondedAt: now, responseReason: reason || null }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const offer = await prisma.dispatchOffer.findFirst({
+      where: { orderId, riderId, status: 'declined' },
+      orderBy: { respondedAt: 'desc' }
+    });
+
+    const remaining = await prisma.dispatchOffer.count({
+      where: { orderId, status: 'offered' }
+    });
+
+    if (remaining === 0) {
+      this._clearBatchTimer(orderId);
+      await this._cascade(orderId);
+    }
+
+    return offer;
+  }
+
+  /**
+   * Expire offers whose acceptance window has passed and offer the next batch for
+   * each affected order
+   * @param {string} orderId - Optional order ID to limit the sweep to
+   * @returns {Promise<number>} - Number of offers expired
+   */
+  async processExpiredOffers(orderId = null) {
+    const prisma = require('../prisma');
+    const where = {
+      status: 'offered',
+      expiresAt: { lte: new Date() },
+      ...(orderId ? { orderId } : {})
+    };
+
+    const expired = await prisma.dispatchOffer.findMany({ where, select: { orderId: true } });
+    if (expired.length === 0) {
+      return 0;
+    }
+
+    const { count } = await prisma.dispatchOffer.updateMany({
+      where,
+      data: { status: 'expired', respondedAt: new Date(), responseReason: 'Acceptance window elapsed' }
+    });
+
+    const orderIds = [...new Set(expired.map(offer => offer.orderId))];
+    for (const expiredOrderId of orderIds) {
+      const remaining = await prisma.dispatchOffer.count({
+        where: { orderId: expiredOrderId, status: { in: ['offered', 'accepted'] } }
+      });
+      if (remaining === 0) {
+        this._clearBatchTimer(expiredOrderId);
+        await this._cascade(expiredOrderId);
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Cancel open offers for an order, e.g. when an admin assigns a rider directly or the
+   * order is cancelled
+   * @param {string} orderId - Order ID
+   * @param {string} reason - Reason recorded on the offers
+   * @returns {Promise<number>} - Number of offers cancelled
+   */
+  async cancelOffers(orderId, reason = 'Dispatch cancelled') {
+    const prisma = require('../prisma');
+    this._clearBatchTimer(orderId);
+
+    const { count } = await prisma.dispatchOffer.updateMany({
+      where: { orderId, status: 'offered' },
+      data: { status: 'cancelled', respondedAt: new Date(), responseReason: reason }
+    });
+    return count;
+  }
+
+  /**
+   * Get the open offers for a rider
+   * @param {string} riderId - Rider ID
+   * @returns {Promise<Array>} - Open offers, soonest to expire first
+   */
+  async getActiveOffersForRider(riderId) {
+    const prisma = require('../prisma');
+    return prisma.dispatchOffer.findMany({
+      where: { riderId, status: 'offered', expiresAt: { gt: new Date() } },
+      orderBy: { expiresAt: 'asc' }
+    });
+  }
+
+  /**
+   * Get the offer history with a summary, for analysis in the admin panel
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.orderId - Only offers for this order
+   * @param {string} filters.riderId - Only offers to this rider
+   * @param {string} filters.status - Only offers with this status
+   * @param {number} filters.limit - Maximum number of offers to return
+   * @returns {Promise<Object>} - { offers, summary }
+   */
+  async getOfferHistory({ orderId, riderId, status, limit = 100 } = {}) {
+    const prisma = require('../prisma');
+    const where = {
+      ...(orderId ? { orderId } : {}),
+      ...(riderId ? { riderId } : {}),
+      ...(status ? { status } : {})
+    };
+
+    const [offers, counts] = await Promise.all([
+      prisma.dispatchOffer.findMany({
+        where,
+        orderBy: { offeredAt: 'desc' },
+        take: limit,
+        include: {
+          order: { select: { orderNumber: true, status: true } },
+          rider: { select: { vehicleType: true, user: { select: { name: true, email: true } } } }
+        }
+      }),
+      prisma.dispatchOffer.groupBy({
+        by: ['status'],
+        where,
+        _count: { _all: true }
+      })
+    ]);
+
+    const byStatus = counts.reduce((summary, row) => {
+      summary[row.status] = row._count._all;
+      return summary;
+    }, {});
+
+    const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+    const responded = offers.filter(offer => offer.status === 'accepted' && offer.respondedAt);
+    const averageAcceptSeconds = responded.length > 0
+      ? Math.round(responded.reduce((sum, offer) =>
+          sum + (new Date(offer.respondedAt) - new Date(offer.offeredAt)) / 1000, 0) / responded.length)
+      : null;
+
+    return {
+      offers: offers.map(offer => ({
+        id: offer.id,
+        orderId: offer.orderId,
+        orderNumber: offer.order?.orderNumber,
+        orderStatus: offer.order?.status,
+        riderId: offer.riderId,
+        riderName: offer.rider?.user?.name,
+        riderEmail: offer.rider?.user?.email,
+        vehicleType: offer.rider?.vehicleType,
+        batchNumber: offer.batchNumber,
+        score: offer.score,
+        distance: offer.distance,
+        status: offer.status,
+        responseReason: offer.responseReason,
+        offeredAt: offer.offeredAt,
+        expiresAt: offer.expiresAt,
+        respondedAt: offer.respondedAt
+      })),
+      summary: {
+        total,
+        byStatus,
+        acceptanceRate: total > 0 ? parseFloat((((byStatus.accepted || 0) / total) * 100).toFixed(1)) : 0,
+        averageAcceptSeconds
+      }
+    };
+  }
+
+  /**
+   * Find candidate riders near the pickup location
+   * @private
+   * @param {Object} pickupLocation - Pickup location with lat and lon
+   * @param {Object} orderData - Order details
+   * @returns {Promise<Array>} - Available riders with distance
+   */
+  async _findCandidates(pickupLocation, orderData) {
+    const { riders } = await riderService.findCandidateRiders(pickupLocation, orderData, MAX_SEARCH_RADIUS_KM);
+    return riders;
+  }
+
+  /**
+   * Offer the next batch for an order whose current batch has closed
+   * @private
+   * @param {string} orderId - Order ID
+   * @returns {Promise<void>}
+   */
+  async _cascade(orderId) {
+    try {
+      const order = await orderStorage.getById(orderId);
+      if (!order) return;
+
+      const pickupLocation = await this._getPickupLocation(order);
+      if (!pickupLocation) {
+        await this._queueForManualAssignment(orderId, 'Pickup location not available');
+        return;
+      }
+
+      await this.offerNextBatch(orderId, { pickupLocation, orderData: order });
+    } catch (error) {
+      console.error(`Error offering next dispatch batch for order ${orderId}:`, error);
+    }
+  }
+
+  /**
+   * Resolve the pickup coordinates of an order from its stored location or pincode
+   * @private
+   * @param {Object} order - Order
+   * @returns {Promise<Object|null>} - { lat, lon } or null
+   */
+  async _getPickupLocation(order) {
+    let pickupLocation = order.pickupLocation;
+    if (typeof pickupLocation === 'string') {
+      try {
+        pickupLocation = JSON.parse(pickupLocation);
+      } catch (error) {
+        pickupLocation = null;
+      }
+    }
+
+    if (pickupLocation?.lat && pickupLocation?.lon) {
+      return { lat: parseFloat(pickupLocation.lat), lon: parseFloat(pickupLocation.lon) };
+    }
+
+    const pincode = await pincodeStorage.getByCode(order.pickupPincode);
+    if (pincode && pincode.lat && pincode.lon) {
+      return { lat: parseFloat(pincode.lat), lon: parseFloat(pincode.lon) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Stop dispatching and leave the order for riders to pick up or an admin to assign
+   * @private
+   * @param {string} orderId - Order ID
+   * @param {string} reason - Why dispatch stopped
+   * @returns {Promise<Object>} - Dispatch summary
+   */
+  async _queueForManualAssignment(orderId, reason) {
+    this._clearBatchTimer(orderId);
+    console.log(`Dispatch for order ${orderId} stopped: ${reason}. Order queued for manual assignment`);
+
+    try {
+      await analyticsService.trackEvent('dispatch_exhausted', { orderId, reason });
+    } catch (error) {
+      console.error('Error tracking dispatch exhausted event:', error);
+    }
+
+    return { orderId, status: 'manual', reason, offers: [] };
+  }
+
+  /**
+   * Let a rider know an order is on offer to them
+   * @private
+   * @param {Object} rider - Rider
+   * @param {Object} order - Order
+   * @param {Object} offer - { batchNumber, expiresAt, pickupLocation }
+   * @returns {Promise<void>}
+   */
+  async _notifyRiderOfOffer(rider, order, { batchNumber, expiresAt, pickupLocation }) {
+    const data = {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      batchNumber,
+      distance: rider.distance,
+      pickupLocation,
+      expiresAt,
+      type: 'dispatch_offer'
+    };
+
+    await publishToUser(rider.userId, 'dispatch-offer', data);
+
+    if (rider.email) {
+      try {
+        await notificationService.sendUserNotification(
+          rider.email,
+          'New Delivery Offer',
+          `Order #${order.orderNumber} is ${rider.distance}km away. Accept before ${new Date(expiresAt).toLocaleTimeString()} to claim it.`,
+          'info',
+          data
+        );
+      } catch (error) {
+        console.error(`Error notifying rider ${rider.id} of dispatch offer:`, error);
+      }
+    }
+  }
+
+  /**
+   * Schedule the expiry sweep for a batch
+   * @private
+   */
+  _scheduleBatchExpiry(orderId, batchNumber, expiresAt) {
+    this._clearBatchTimer(orderId);
+
+    const timer = setTimeout(() => {
+      this.batchTimers.delete(orderId);
+      this.processExpiredOffers(orderId).catch(error => {
+        console.error(`Error expiring dispatch batch ${batchNumber} for order ${orderId}:`, error);
+      });
+    }, Math.max(expiresAt.getTime() - Date.now(), 0));
+
+    // Don't keep the process alive just for a pending batch
+    if (typeof timer.unref === 'function') {
+      timer.unref();
+    }
+
+    this.batchTimers.set(orderId, timer);
+  }
+
+  /**
+   * Clear the expiry timer for an order
+   * @private
+   */
+  _clearBatchTimer(orderId) {
+    const timer = this.batchTimers.get(orderId);
+    if (timer) {
+      clearTimeout(timer);
+      this.batchTimers.delete(orderId);
+    }
+  }
+}
+
+export const dispatchService = new DispatchService();
+
+/**
+ * Withdraw open offers once an order no longer needs a rider, whether an admin assigned
+ * one directly or the order was cancelled
+ */
+orderStateMachine.onTransition(async ({ order, status }) => {
+  await dispatchService.cancelOffers(
+    order.id,
+    status === ORDER_STATUSES.CANCELLED ? 'Order cancelled' : 'Rider assigned'
+  );
+}, { to: [ORDER_STATUSES.RIDER_ASSIGNED, ORDER_STATUSES.CANCELLED] });
@@ -0,0 +1,278 @@
+/**
+ * Distance Service
+ *
+ * Road distance lookups for pricing behind a pluggable provider interface. The active
+ * provider is chosen with the `api.distanceProvider` setting (see data/settings.json):
+ *
+ * - google: Google Maps Distance Matrix API (`api.googleMapsApiKey`)
+ * - osrm: any OSRM-compatible routing server, e.g. a local one (`api.osrmServerUrl`)
+ * - haversine: offline straight-line distance scaled by `api.roadDistanceFactor`
+ *
+ * Results are persisted per pincode pair and provider in the DistanceCache table, so
+ * repeated quotes between the same pincodes never hit the network, and switching provider
+ * doesn't serve the previous provider's distances. If the configured provider fails the
+ * lookup falls back to haversine, and fallback results are not persisted.
+ */
+
+import { settingsStorage } from '../storage';
+
+const MIN_DISTANCE = 5; // Minimum distance to charge for local moves
+const REQUEST_TIMEOUT_MS = 5000;
+const CONFIG_TTL_MS = 60000; // Re-read provider settings at most once a minute
+
+const DEFAULT_CONFIG = {
+  distanceProvider: 'haversine',
+  googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY || '',
+  osrmServerUrl: process.env.OSRM_SERVER_URL || 'http://localhost:5000',
+  roadDistanceFactor: 1.3
+};
+
+const providers = {};
+let providerOverride = null;
+let cachedConfig = null;
+let cachedConfigAt = 0;
+
+function roundDistance(distanceKm) {
+  return Math.max(Math.round(distanceKm), MIN_DISTANCE);
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Register a distance provider
+ * @param {string} name - Provider name used in the `api.distanceProvider` setting
+ * @param {Object} provider - Object with async getDistance(fromLoc, toLoc, config) returning
+ *                            { distance, duration, roadQuality }
+ */
+export function registerDistanceProvider(name, provider) {
+  if (!provider || typeof provider.getDistance !== 'function') {
+    throw new Error('Distance provider must implement getDistance(fromLoc, toLoc, config)');
+  }
+  providers[name] = { name, ...provider };
+}
+
+registerDistanceProvider('google', {
+  async getDistance(fromLoc, toLoc, config) {
+    if (!config.googleMapsApiKey || config.googleMapsApiKey === 'YOUR_GOOGLE_MAPS_API_KEY') {
+      throw new Error('Google Maps API key is not configured');
+    }
+
+    const url = `https://maps.googleapis.com/maps/api/distancematrix/json?origins=${fromLoc.lat},${fromLoc.lon}&destinations=${toLoc.lat},${toLoc.lon}&mode=driving&key=${config.googleMapsApiKey}`;
+    const data = await fetchJson(url);
+
+    if (data.status !== 'OK' || data.rows[0].elements[0].status !== 'OK') {
+      throw new Error(`Distance Matrix request failed with status ${data.status}`);
+    }
+
+    const element = data.rows[0].elements[0];
+    return {
+      distance: roundDistance(element.distance.value / 1000),
+      duration: Math.round(element.duration.value / 60),
+      roadQuality: { highwayPercent: 60, localPercent: 30, unpavedPercent: 10 }
+    };
+  }
+});
+
+registerDistanceProvider('osrm', {
+  async getDistance(fromLoc, toLoc, config) {
+    const baseUrl = (config.osrmServerUrl || '').replace(/\/+$/, '');
+    if (!baseUrl) {
+      throw new Error('OSRM server URL is not configured');
+    }
+
+    const url = `${baseUrl}/route/v1/driving/${fromLoc.lon},${fromLoc.lat};${toLoc.lon},${toLoc.lat}?overview=false`;
+    const data = await fetchJson(url);
+
+    if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+      throw new Error(`OSRM route request failed with code ${data.code}`);
+    }
+
+    return {
+      distance: roundDistance(data.routes[0].distance / 1000),
+      duration: Math.round(data.routes[0].duration / 60),
+      roadQuality: { highwayPercent: 60, localPercent: 30, unpavedPercent: 10 }
+    };
+  }
+});
+
+registerDistanceProvider('haversine', {
+  async getDistance(fromLoc, toLoc, config) {
+    const R = 6371; // Earth radius in km
+    const dLat = (parseFloat(toLoc.lat) - parseFloat(fromLoc.lat)) * (Math.PI / 180);
+    const dLon = (parseFloat(toLoc.lon) - parseFloat(fromLoc.lon)) * (Math.PI / 180);
+    const a =
+      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(parseFloat(fromLoc.lat) * (Math.PI / 180)) * Math.cos(parseFloat(toLoc.lat) * (Math.PI / 180)) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    // Roads are never straight; scale the great-circle distance to approximate driving distance
+    const roadFactor = parseFloat(config.roadDistanceFactor) || DEFAULT_CONFIG.roadDistanceFactor;
+    const distance = roundDistance(R * c * roadFactor);
+
+    return {
+      distance,
+      duration: Math.round(distance * 1.5), // Rough estimate: 1.5 min per km
+      roadQuality: { highwayPercent: 50, localPercent: 40, unpavedPercent: 10 }
+    };
+  }
+});
+
+/**
+ * Create a provider that returns fixed distances, for deterministic estimates in tests
+ * @param {Object} matrix - Map of 'fromZip-toZip' to { distance, duration }
+ * @param {Object} fallback - Provider used for pairs missing from the matrix (defaults to haversine)
+ * @returns {Object} - Distance provider
+ */
+export function createMatrixDistanceProvider(matrix, fallback = providers.haversine) {
+  return {
+    name: 'matrix',
+    async getDistance(fromLoc, toLoc, config) {
+      const entry = matrix[`${fromLoc.zip}-${toLoc.zip}`] || matrix[`${toLoc.zip}-${fromLoc.zip}`];
+      if (!entry) {
+        return fallback.getDistance(fromLoc, toLoc, config);
+      }
+
+      return {
+        distance: roundDistance(entry.distance),
+        duration: entry.duration !== undefined ? entry.duration : Math.round(entry.distance * 1.5),
+        roadQuality: entry.roadQuality || { highwayPercent: 50, localPercent: 40, unpavedPercent: 10 }
+      };
+    }
+  };
+}
+
+/**
+ * Use a fixed provider for every lookup, bypassing settings and the persisted cache.
+ * Pass null to go back to the configured provider.
+ * @param {string|Object|null} provider - Registered provider name, provider object or null
+ */
+export function setDistanceProviderOverride(provider) {
+  if (typeof provider === 'string') {
+    if (!providers[provider]) {
+      throw new Error(`Unknown distance provider '${provider}'`);
+    }
+    providerOverride = providers[provider];
+  } else {
+    providerOverride = provider || null;
+  }
+}
+
+/**
+ * Get the distance provider configuration from settings
+ * @returns {Promise<Object>} - Provider name and provider options
+ */
+export async function getDistanceConfig() {
+  if (cachedConfig && Date.now() - cachedConfigAt < CONFIG_TTL_MS) {
+    return cachedConfig;
+  }
+
+  const config = { ...DEFAULT_CONFIG };
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    const value = await settingsStorage.get(`api.${key}`);
+    if (value !== null && value !== '') {
+      config[key] = value;
+    }
+  }
+
+  cachedConfig = config;
+  cachedConfigAt = Date.now();
+  return config;
+}
+
+function getPairKey(fromLoc, toLoc, providerName) {
+  return { fromPincode: String(fromLoc.zip), toPincode: String(toLoc.zip), provider: providerName };
+}
+
+async function readPersistedDistance(fromLoc, toLoc, providerName) {
+  try {
+    const prisma = require('../prisma');
+    const entry = await prisma.distanceCache.findUnique({
+      where: { fromPincode_toPincode_provider: getPairKey(fromLoc, toLoc, providerName) }
+    });
+
+    if (!entry) return null;
+
+    return {
+      distance: entry.distance,
+      duration: entry.duration,
+      roadQuality: entry.roadQuality ? JSON.parse(entry.roadQuality) : null,
+      provider: entry.provider
+    };
+  } catch (error) {
+    console.warn('Error reading persisted distance:', error);
+    return null;
+  }
+}
+
+async function persistDistance(fromLoc, toLoc, result, providerName) {
+  try {
+    const prisma = require('../prisma');
+    const key = getPairKey(fromLoc, toLoc, providerName);
+    const data = {
+      distance: result.distance,
+      duration: result.duration,
+      roadQuality: JSON.stringify(result.roadQuality || null)
+    };
+
+    await prisma.distanceCache.upsert({
+      where: { fromPincode_toPincode_provider: key },
+      update: data,
+      create: { ...key, ...data }
+    });
+  } catch (error) {
+    console.warn('Error persisting distance:', error);
+    // The lookup already succeeded; the next quote will simply ask the provider again
+  }
+}
+
+/**
+ * Get the road distance between two locations
+ * @param {Object} fromLoc - Origin with zip, lat and lon
+ * @param {Object} toLoc - Destination with zip, lat and lon
+ * @returns {Promise<Object>} - { distance (km), duration (minutes), roadQuality, provider }
+ */
+export async function getRoadDistance(fromLoc, toLoc) {
+  if (providerOverride) {
+    const result = await providerOverride.getDistance(fromLoc, toLoc, DEFAULT_CONFIG);
+    return { ...result, provider: providerOverride.name };
+  }
+
+  const config = await getDistanceConfig();
+  const provider = providers[config.distanceProvider] || providers.haversine;
+
+  const canPersist = !!(fromLoc.zip && toLoc.zip);
+  if (canPersist) {
+    const persisted = await readPersistedDistance(fromLoc, toLoc, provider.name);
+    if (persisted) return persisted;
+  }
+
+  try {
+    const result = await provider.getDistance(fromLoc, toLoc, config);
+    if (canPersist) {
+      await persistDistance(fromLoc, toLoc, result, provider.name);
+    }
+    return { ...result, provider: provider.name };
+  } catch (error) {
+    console.warn(`Distance provider '${provider.name}' failed, falling back to haversine:`, error.message);
+    const result = await providers.haversine.getDistance(fromLoc, toLoc, config);
+    return { ...result, provider: 'haversine' };
+  }
+}
+
+/**
+ * Clear persisted distances
+ * @param {Object} pair - Optional { fromPincode, toPincode } to clear one pair's entries
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export async function clearPersistedDistances(pair) {
+  const prisma = require('../prisma');
+  const result = await prisma.distanceCache.deleteMany({ where: pair || {} });
+  return result.count;
+}
@@ -0,0 +1,424 @@
+/**
+ * Invoice Service
+ *
+ * Issues GST documents for payments and refunds:
+ *
+ * - A tax invoice for every captured payment, including each installment of a payment
+ *   schedule. Quoted prices include GST at pricingService's GST_RATE, so the payment is
+ *   split back into its taxable value and tax.
+ * - A credit note for every processed refund, reducing the invoice of the payment it
+ *   refunds.
+ *
+ * Documents are issued in the vendor's name with their GSTIN and numbered sequentially
+ * per series and financial year (INV/26-27/00001, CN/26-27/00001). Moves within one
+ * state are charged CGST and SGST; moves between states are charged IGST. States come
+ * from the pickup and destination pincodes in data/pincodes.json; a move with a pincode
+ * that isn't listed there is charged IGST.
+ *
+ * Customers and vendors open documents as printable HTML from /api/invoices/[invoiceId].
+ */
+
+import { settingsStorage } from '../storage';
+import { getPincodeDetails } from '../pincodes';
+import { GST_RATE } from './pricingService';
+
+export const DOCUMENT_TYPES = ['invoice', 'credit_note'];
+
+const SERIES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+// SAC codes: road transport of goods, including household furniture, and courier services
+const SERVICES = {
+  move: { sacCode: '996511', description: 'Packing and moving services' },
+  parcel: { sacCode: '996812', description: 'Courier services' }
+};
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+class InvoiceService {
+  /**
+   * Issue the tax invoice for a captured payment. A payment only ever gets one invoice.
+   * @param {string} paymentId - Local payment ID
+   * @param {Object} options - { vendorId } for payments recorded before the order is assigned to its vendor
+   * @returns {Promise<Object>} - Invoice
+   */
+  async issueInvoice(paymentId, { vendorId } = {}) {
+    const prisma = require('../prisma');
+    const existing = await prisma.invoice.findUnique({ where: { paymentId } });
+    if (existing) {
+      return existing;
+    }
+
+    const payment = await prisma.payment.findUnique({
+      where: { id: paymentId },
+      include: { installment: true }
+    });
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+    if (!['completed', 'refunded'].includes(payment.status)) {
+      throw new Error('Invoices are only issued for captured payments');
+    }
+
+    const parties = await this._getParties(payment.orderId, vendorId);
+    const service = SERVICES[parties.orderType] || SERVICES.move;
+    const label = payment.installment ? ` (${payment.installment.label})` : '';
+
+    return this._create('invoice', {
+      ...parties.fields,
+      paymentId,
+      description: `${service.description} for order ${parties.orderNumber}${label}`,
+      sacCode: service.sacCode,
+      ...this._splitTax(payment.amount, parties.intraState)
+    }, { paymentId });
+  }
+
+  /**
+   * Issue credit notes for a payment's processed refunds that don't have one yet
+   * @param {string} paymentId - Local payment ID
+   * @returns {Promise<Array>} - Credit notes issued
+   */
+  async issueCreditNotes(paymentId) {
+    const prisma = require('../prisma');
+    const refunds = await prisma.refund.findMany({
+      where: { paymentId, status: 'processed', creditNote: { is: null } },
+      orderBy: { createdAt: 'asc' }
+    });
+    if (refunds.length === 0) {
+      return [];
+    }
+
+    const invoice = await this.issueInvoice(paymentId);
+    const creditNotes = [];
+    for (const refund of refunds) {
+      creditNotes.push(await this._create('credit_note', {
+        orderId: invoice.orderId,
+        vendorId: invoice.vendorId,
+        refundId: refund.id,
+        originalInvoiceId: invoice.id,
+        supplierName: invoice.supplierName,
+        supplierGstin: invoice.supplierGstin,
+        supplierAddress: invoice.supplierAddress,
+        customerName: invoice.customerName,
+        customerEmail: invoice.customerEmail,
+        customerPhone: invoice.customerPhone,
+        customerAddress: invoice.customerAddress,
+        pickupState: invoice.pickupState,
+        destinationState: invoice.destinationState,
+        description: `Refund against invoice ${invoice.number}`,
+        sacCode: invoice.sacCode,
+        reason: refund.reason,
+        ...this._splitTax(refund.amount, this._isIntraState(invoice))
+      }, { refundId: refund.id }));
+    }
+    return creditNotes;
+  }
+
+  /**
+   * An order's invoices and credit notes. Any the order should have but doesn't, e.g.
+   * because issuing failed when the payment was recorded, are issued first.
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} - Documents, oldest first
+   */
+  async getOrderDocuments(orderId) {
+    const prisma = require('../prisma');
+    const payments = await prisma.payment.findMany({
+      where: { orderId, status: { in: ['completed', 'refunded'] } },
+      include: { invoice: true }
+    });
+    for (const payment of payments) {
+      try {
+        if (!payment.invoice) {
+          await this.issueInvoice(payment.id);
+        }
+        await this.issueCreditNotes(payment.id);
+      } catch (error) {
+        console.error(`Error issuing documents for payment ${payment.id}:`, error);
+      }
+    }
+
+    return prisma.invoice.findMany({
+      where: { orderId },
+      orderBy: { issuedAt: 'asc' }
+    });
+  }
+
+  /**
+   * A vendor's most recent invoices and credit notes
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} - Documents, newest first
+   */
+  async getVendorDocuments(vendorId, { limit = 20 } = {}) {
+    const prisma = require('../prisma');
+    return prisma.invoice.findMany({
+      where: { vendorId },
+      orderBy: { issuedAt: 'desc' },
+      take: limit
+    });
+  }
+
+  /**
+   * Get an invoice or credit note with its order's customer and vendor, for access checks
+   * @param {string} invoiceId - Invoice ID
+   * @returns {Promise<Object|null>} - Document with `customerId`, `orderVendorId` and `originalInvoice`
+   */
+  async getDocument(invoiceId) {
+    const prisma = require('../prisma');
+    const document = await prisma.invoice.findUnique({
+      where: { id: invoiceId },
+      include: {
+        order: { select: { customerId: true, vendorId: true } },
+        originalInvoice: { select: { number: true, issuedAt: true } }
+      }
+    });
+    if (!document) {
+      return null;
+    }
+
+    const { order, ...rest } = document;
+    return { ...rest, customerId: order.customerId, orderVendorId: order.vendorId };
+  }
+
+  /**
+   * Render an invoice or credit note as a printable HTML page
+   * @param {Object} document - Document from getDocument
+   * @returns {Promise<string>} - HTML
+   */
+  async renderHtml(document) {
+    const siteName = (await settingsStorage.get('general.siteName')) || 'Move Management System';
+    const isCreditNote = document.type === 'credit_note';
+    const title = isCreditNote ? 'Credit Note' : 'Tax Invoice';
+    const intraState = this._isIntraState(document);
+    const halfRate = document.gstRate / 2;
+    const escape = value => String(value === null || value === undefined ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const amount = value => `₹${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+    const taxRows = intraState
+      ? `<tr><td>CGST @ ${halfRate}%</td><td class="amount">${amount(document.cgstAmount)}</td></tr>
+          <tr><td>SGST @ ${halfRate}%</td><td class="amount">${amount(document.sgstAmount)}</td></tr>`
+      : `<tr><td>IGST @ ${document.gstRate}%</td><td class="amount">${amount(document.igstAmount)}</td></tr>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title} ${escape(document.number)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; color: #212529; max-width: 800px; margin: 2rem auto; padding: 0 1rem; font-size: 14px; }
+    h1 { font-size: 1.5rem; margin: 0; }
+    table { width: 100%; border-collapse: collapse; margin: 1rem 0; }
+    th, td { border: 1px solid #dee2e6; padding: 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f8f9fa; }
+    .header, .parties { display: flex; justify-content: space-between; gap: 2rem; margin-bottom: 1rem; }
+    .parties > div { flex: 1; }
+    .muted { color: #6c757d; }
+    .amount { text-align: right; white-space: nowrap; }
+    .total td { font-weight: bold; }
+    .signature { margin-top: 3rem; text-align: right; }
+    @media print { .no-print { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <p class="no-print"><button onclick="window.print()">Print or save as PDF</button></p>
+  <div class="header">
+    <div>
+      <h1>${title}</h1>
+      <div class="muted">Original for recipient</div>
+    </div>
+    <div>
+      <div><strong>${isCreditNote ? 'Credit note' : 'Invoice'} no:</strong> ${escape(document.number)}</div>
+      <div><strong>Date:</strong> ${new Date(document.issuedAt).toLocaleDateString('en-IN')}</div>
+      ${document.originalInvoice ? `<div><strong>Against invoice:</strong> ${escape(document.originalInvoice.number)} dated ${new Date(document.originalInvoice.issuedAt).toLocaleDateString('en-IN')}</div>` : ''}
+    </div>
+  </div>
+
+  <div class="parties">
+    <div>
+      <strong>Supplier</strong><br>
+      ${escape(document.supplierName)}<br>
+      ${document.supplierAddress ? `${escape(document.supplierAddress)}<br>` : ''}
+      GSTIN: ${document.supplierGstin ? escape(document.supplierGstin) : 'Unregistered'}
+    </div>
+    <div>
+      <strong>Recipient</strong><br>
+      ${escape(document.customerName)}<br>
+      ${escape(document.customerAddress)}<br>
+      ${escape(document.customerEmail)}${document.customerPhone ? `, ${escape(document.customerPhone)}` : ''}
+    </div>
+  </div>
+
+  <div><strong>Place of supply:</strong> ${escape(document.pickupState || 'Not known')}${document.destinationState ? ` (delivery to ${escape(document.destinationState)})` : ''}</div>
+
+  <table>
+    <thead>
+      <tr><th>Description</th><th>SAC</th><th class="amount">Taxable value</th></tr>
+    </thead>
+    <tbody>
+      <tr>
+        <td>${escape(document.description)}${document.reason ? `<br><span class="muted">Reason: ${escape(document.reason)}</span>` : ''}</td>
+        <td>${escape(document.sacCode)}</td>
+        <td class="amount">${amount(document.taxableAmount)}</td>
+      </tr>
+    </tbody>
+  </table>
+
+  <table>
+    <tbody>
+      <tr><td>Taxable value</td><td class="amount">${amount(document.taxableAmount)}</td></tr>
+      ${taxRows}
+      <tr class="total"><td>${isCreditNote ? 'Total credited' : 'Total'}</td><td class="amount">${amount(document.totalAmount)}</td></tr>
+    </tbody>
+  </table>
+
+  <p class="muted">Tax is not payable on reverse charge basis. Issued through ${escape(siteName)}.</p>
+  <div class="signature">For ${escape(document.supplierName)}<br><br>Authorised signatory</div>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * The state a pincode is in, from data/pincodes.json
+   * @param {string} pincode - Pincode
+   * @returns {Promise<string|null>} - State, or null if the pincode isn't listed
+   */
+  async getStateForPincode(pincode) {
+    const details = await getPincodeDetails(pincode);
+    return details ? details.state : null;
+  }
+
+  /**
+   * Whether a move is charged CGST and SGST rather than IGST
+   * @private
+   */
+  _isIntraState({ pickupState, destinationState }) {
+    return !!pickupState && pickupState === destinationState;
+  }
+
+  /**
+   * Split a GST-inclusive amount into taxable value and tax
+   * @private
+   */
+  _splitTax(total, intraState) {
+    const totalAmount = roundAmount(total);
+    const taxableAmount = roundAmount(totalAmount / (1 + GST_RATE));
+    const tax = roundAmount(totalAmount - taxableAmount);
+    const cgstAmount = intraState ? roundAmount(tax / 2) : 0;
+
+    return {
+      taxableAmount,
+      gstRate: roundAmount(GST_RATE * 100),
+      cgstAmount,
+      sgstAmount: intraState ? roundAmount(tax - cgstAmount) : 0,
+      igstAmount: intraState ? 0 : tax,
+      totalAmount
+    };
+  }
+
+  /**
+   * The supplier and recipient details printed on an order's invoices
+   * @private
+   */
+  async _getParties(orderId, vendorId) {
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { customer: true }
+    });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const vendor = await prisma.vendor.findUnique({
+      where: { id: order.vendorId || vendorId },
+      include: { user: true }
+    });
+    if (!vendor) {
+      throw new Error('Invoices can only be issued once the order has a vendor');
+    }
+
+    const [pickupState, destinationState] = await Promise.all([
+      this.getStateForPincode(order.pickupPincode),
+      this.getStateForPincode(order.destinationPincode)
+    ]);
+    const { address, city, state, pincode } = vendor.user;
+
+    return {
+      orderNumber: order.orderNumber,
+      orderType: order.orderType,
+      intraState: this._isIntraState({ pickupState, destinationState }),
+      fields: {
+        orderId,
+        vendorId: vendor.id,
+        supplierName: vendor.businessName,
+        supplierGstin: vendor.gstin,
+        supplierAddress: [address, city, state, pincode].filter(Boolean).join(', ') || null,
+        customerName: order.customer.name,
+        customerEmail: order.customer.email,
+        customerPhone: order.customer.phone,
+        customerAddress: `${order.pickupAddress}, ${order.pickupPincode}`,
+        pickupState,
+        destinationState
+      }
+    };
+  }
+
+  /**
+   * Number and save a document. The number is taken in the same transaction, so a
+   * document that fails to save doesn't leave a gap in the series.
+   * @private
+   * @param {string} type - invoice or credit_note
+   * @param {Object} data - Document fields
+   * @param {Object} unique - The unique field identifying what it was issued for, to
+   *   return the existing document if a concurrent call issued it first
+   */
+  async _create(type, data, unique) {
+    const prisma = require('../prisma');
+    const issuedAt = new Date();
+    const key = `${SERIES[type]}/${this._financialYear(issuedAt)}`;
+
+    try {
+      return await prisma.$transaction(async tx => {
+        const { lastNumber } = await tx.documentSequence.upsert({
+          where: { key },
+          create: { key, lastNumber: 1 },
+          update: { lastNumber: { increment: 1 } }
+        });
+        return tx.invoice.create({
+          data: {
+            ...data,
+            type,
+            number: `${key}/${String(lastNumber).padStart(5, '0')}`,
+            issuedAt
+          }
+        });
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        const existing = await prisma.invoice.findUnique({ where: unique });
+        if (existing) {
+          return existing;
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Indian financial years run April to March, e.g. 26-27
+   * @private
+   */
+  _financialYear(date) {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${String(startYear % 100).padStart(2, '0')}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+}
+
+export const invoiceService = new InvoiceService();
@@ -0,0 +1,90 @@
+/**
+ * Notification Mailbox Service
+ *
+ * The local mailbox the `local` notification provider (see lib/notificationProviders.js)
+ * delivers to. Emails, SMS and WhatsApp messages are stored as they would have been sent,
+ * so in development and tests you can see exactly what went out without a SendGrid or
+ * Twilio account. Admins read it at /admin/notifications/mailbox.
+ */
+
+export const MAILBOX_CHANNELS = ['email', 'sms', 'whatsapp'];
+
+class NotificationMailboxService {
+  /**
+   * Store a message instead of sending it
+   * @param {Object} message - { channel, sender, recipient, subject, text, html, notificationMessageId }
+   * @returns {Promise<Object>} - Stored message
+   */
+  async capture({ channel, sender, recipient, subject, text, html, notificationMessageId }) {
+    const prisma = require('../prisma');
+    if (!MAILBOX_CHANNELS.includes(channel)) {
+      throw new Error(`Unknown mailbox channel "${channel}"`);
+    }
+
+    return prisma.mailboxMessage.create({
+      data: {
+        channel,
+        sender,
+        recipient,
+        subject: subject || null,
+        text: text || '',
+        html: html || null,
+        notificationMessageId: notificationMessageId || null
+      }
+    });
+  }
+
+  /**
+   * Get a captured message
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} - Message or null if not found
+   */
+  async getMessage(messageId) {
+    const prisma = require('../prisma');
+    return prisma.mailboxMessage.findUnique({ where: { id: messageId } });
+  }
+
+  /**
+   * List captured messages, newest first
+   * @param {Object} options - { page, limit, channel, recipient, search }
+   * @returns {Promise<Object>} - { messages, totalCount }
+   */
+  async getMessages({ page = 1, limit = 20, channel, recipient, search } = {}) {
+    const prisma = require('../prisma');
+    const where = {};
+    if (channel) where.channel = channel;
+    if (recipient) where.recipient = recipient;
+    if (search) {
+      where.OR = [
+        { recipient: { contains: search } },
+        { subject: { contains: search } },
+        { text: { contains: search } }
+      ];
+    }
+
+    const [messages, totalCount] = await Promise.all([
+      prisma.mailboxMessage.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.mailboxMessage.count({ where })
+    ]);
+
+    return { messages, totalCount };
+  }
+
+  /**
+   * Empty the mailbox
+   * @param {Object} options - { channel }: only remove messages on this channel
+   * @returns {Promise<number>} - Number of messages removed
+   */
+  async clear({ channel } = {}) {
+    const prisma = require('../prisma');
+    const { count } = await prisma.mailboxMessage.deleteMany({ where: channel ? { channel } : {} });
+    return count;
+  }
+}
+
+export const notificationMailboxService = new NotificationMailboxService();
@@ -0,0 +1,538 @@
+/**
+ * Notification Outbox Service
+ *
+ * Every outgoing email, SMS, WhatsApp and in-app message is written to the outbox
+ * (NotificationMessage) and sent from there, so a provider outage doesn't lose messages or
+ * hold up the request that triggered them:
+ *
+ * 1. `enqueue` queues a message, optionally not before a given time (e.g. when the
+ *    recipient's quiet hours end). In-app and urgent messages are also dispatched straight
+ *    away; if that fails they stay queued like any other.
+ * 2. `processOutbox` (npm run send-notifications, e.g. every minute from cron) sends the
+ *    queued messages that are due. A failed send is retried with exponential backoff,
+ *    `notification.retryDelaySeconds` and then twice as long each time. After
+ *    `notification.maxDeliveryAttempts` attempts the message is dead-lettered as failed.
+ * 3. SendGrid and Twilio report what happened next through webhooks
+ *    (/api/notifications/webhooks/sendgrid and /twilio), which move sent messages to
+ *    delivered, bounced or failed.
+ *
+ * Which provider sends each channel's messages is set in the notification settings (see
+ * lib/notificationProviders.js).
+ *
+ * Admins can see each message's status and resend failed or bounced ones, which queues a
+ * copy of the message.
+ */
+
+import crypto from 'crypto';
+import twilio from 'twilio';
+import { settingsStorage, notificationStorage } from '../storage';
+import { getNotificationProvider, getTwilioCallbackUrl } from '../notificationProviders';
+
+export const MESSAGE_STATUSES = ['queued', 'sent', 'delivered', 'failed', 'bounced'];
+
+export const MESSAGE_CHANNELS = ['email', 'sms', 'whatsapp', 'inApp'];
+
+const DEFAULT_CONFIG = {
+  maxDeliveryAttempts: 5,
+  retryDelaySeconds: 60
+};
+
+const CONFIG_TTL_MS = 60000;
+
+// How long a worker has to send a message it claimed before another may retry it
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Statuses a provider report can move a sent message to
+const DELIVERY_STATUSES = ['delivered', 'bounced', 'failed'];
+
+// SendGrid event webhook events, by the status they mean for the message
+const SENDGRID_EVENTS = {
+  delivered: 'delivered',
+  bounce: 'bounced',
+  blocked: 'bounced',
+  dropped: 'failed'
+};
+
+// Twilio message statuses reported to the status callback
+const TWILIO_STATUSES = {
+  delivered: 'delivered',
+  undelivered: 'bounced',
+  failed: 'failed'
+};
+
+class NotificationOutboxService {
+  constructor() {
+    this.cachedConfig = null;
+    this.cachedConfigAt = 0;
+  }
+
+  /**
+   * Get outbox configuration from settings
+   * @returns {Promise<Object>} - { maxDeliveryAttempts, retryDelaySeconds }
+   */
+  async getConfig() {
+    if (this.cachedConfig && Date.now() - this.cachedConfigAt < CONFIG_TTL_MS) {
+      return this.cachedConfig;
+    }
+
+    const config = { ...DEFAULT_CONFIG };
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+      const value = parseFloat(await settingsStorage.get(`notification.${key}`));
+      if (!isNaN(value) && value > 0) {
+        config[key] = value;
+      }
+    }
+
+    this.cachedConfig = config;
+    this.cachedConfigAt = Date.now();
+    return config;
+  }
+
+  /**
+   * Whether messages can be sent on a channel. Messages for channels without a configured
+   * provider aren't queued.
+   * @param {string} channel - email, sms, whatsapp or inApp
+   * @returns {Promise<boolean>}
+   */
+  async isChannelConfigured(channel) {
+    if (channel === 'inApp') {
+      return true;
+    }
+    return MESSAGE_CHANNELS.includes(channel) && Boolean(await getNotificationProvider(channel));
+  }
+
+  /**
+   * Queue a message
+   * @param {Object} message - { userId, channel, recipient, eventType, category, subject, payload, sendAfter, resendOf }
+   * @param {Object} options - { dispatch }: also try to send it now
+   * @returns {Promise<Object>} - The queued message, or the message as sent if dispatched
+   */
+  async enqueue({ userId, channel, recipient, eventType, category, subject, payload, sendAfter, resendOf }, { dispatch = false } = {}) {
+    const prisma = require('../prisma');
+    if (!MESSAGE_CHANNELS.includes(channel)) {
+      throw new Error(`Unknown notification channel "${channel}"`);
+    }
+
+    const message = await prisma.notificationMessage.create({
+      data: {
+        userId: userId || null,
+        channel,
+        recipient,
+        eventType: eventType || 'general',
+        category: category || null,
+        subject: subject || null,
+        payload: JSON.stringify(payload),
+        nextAttemptAt: sendAfter || new Date(),
+        resendOf: resendOf || null
+      }
+    });
+
+    if (dispatch && !sendAfter) {
+      return (await this.dispatch(message.id)) || this._formatMessage(message);
+    }
+    return this._formatMessage(message);
+  }
+
+  /**
+   * Send the queued messages that are due
+   * @param {Object} options - { now, limit }
+   * @returns {Promise<Object>} - { sent, retrying, failed }
+   */
+  async processOutbox({ now = new Date(), limit = 100 } = {}) {
+    const prisma = require('../prisma');
+    const due = await prisma.notificationMessage.findMany({
+      where: {
+        status: 'queued',
+        nextAttemptAt: { lte: now },
+        OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }]
+      },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: limit,
+      select: { id: true }
+    });
+
+    const summary = { sent: 0, retrying: 0, failed: 0 };
+    for (const { id } of due) {
+      const message = await this.dispatch(id, { now });
+      if (!message) continue;
+
+      if (message.status === 'queued') {
+        summary.retrying++;
+      } else if (message.status === 'failed') {
+        summary.failed++;
+      } else {
+        summary.sent++;
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Try to send one queued message. The message is claimed first, so two workers never
+   * send it at the same time.
+   * @param {string} messageId - Message ID
+   * @param {Object} options - { now }
+   * @returns {Promise<Object|null>} - The message after the attempt, or null if it wasn't due or another worker has it
+   */
+  async dispatch(messageId, { now = new Date() } = {}) {
+    const prisma = require('../prisma');
+    const { count } = await prisma.notificationMessage.updateMany({
+      where: {
+        id: messageId,
+        status: 'queued',
+        nextAttemptAt: { lte: now },
+        OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }]
+      },
+      data: {
+        lockedUntil: new Date(now.getTime() + CLAIM_TIMEOUT_MS),
+        attempts: { increment: 1 }
+      }
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    const message = await prisma.notificationMessage.findUnique({ where: { id: messageId } });
+
+    let update;
+    try {
+      const { provider, providerMessageId } = await this._send(message);
+      update = {
+        // Storing an in-app notification is delivering it
+        status: message.channel === 'inApp' ? 'delivered' : 'sent',
+        provider,
+        providerMessageId,
+        sentAt: new Date(),
+        deliveredAt: message.channel === 'inApp' ? new Date() : null,
+        lastError: null
+      };
+    } catch (error) {
+      const { maxDeliveryAttempts, retryDelaySeconds } = await this.getConfig();
+      const lastError = String(error?.message || error).slice(0, 1000);
+      console.error(`Error sending ${message.channel} notification ${message.id} (attempt ${message.attempts}):`, lastError);
+
+      update = message.attempts >= maxDeliveryAttempts
+        ? { status: 'failed', failedAt: new Date(), lastError }
+        : {
+            nextAttemptAt: new Date(now.getTime() + retryDelaySeconds * 1000 * 2 ** (message.attempts - 1)),
+            lastError
+          };
+    }
+
+    const updated = await prisma.notificationMessage.update({
+      where: { id: messageId },
+      data: { ...update, lockedUntil: null }
+    });
+    return this._formatMessage(updated);
+  }
+
+  /**
+   * Record what a provider reported about a sent message
+   * @param {Object} event - { messageId, providerMessageId, status, error }: status is delivered, bounced or failed
+   * @returns {Promise<Object|null>} - Updated message, or null if it's unknown or already final
+   */
+  async recordDeliveryStatus({ messageId, providerMessageId, status, error }) {
+    const prisma = require('../prisma');
+    if (!DELIVERY_STATUSES.includes(status) || (!messageId && !providerMessageId)) {
+      return null;
+    }
+
+    const message = messageId
+      ? await prisma.notificationMessage.findUnique({ where: { id: messageId } })
+      : await prisma.notificationMessage.findFirst({ where: { providerMessageId } });
+    if (!message) {
+      return null;
+    }
+
+    // Providers can report a delivery and a later bounce; anything after that is stale
+    const { count } = await prisma.notificationMessage.updateMany({
+      where: { id: message.id, status: status === 'delivered' ? 'sent' : { in: ['sent', 'delivered'] } },
+      data: {
+        status,
+        ...(status === 'delivered' ? { deliveredAt: new Date() } : { failedAt: new Date(), lastError: error || null })
+      }
+    });
+    if (count === 0) {
+      return null;
+    }
+
+    return this.getMessage(message.id);
+  }
+
+  /**
+   * Record the events from a SendGrid event webhook
+   * @param {Array} events - Parsed webhook body
+   * @returns {Promise<number>} - How many messages changed status
+   */
+  async handleSendGridEvents(events) {
+    let updated = 0;
+    for (const event of Array.isArray(events) ? events : []) {
+      const status = SENDGRID_EVENTS[event.event];
+      if (!status) continue;
+
+      const message = await this.recordDeliveryStatus({
+        messageId: event.notificationMessageId,
+        // sg_message_id is the X-Message-Id returned on send with a suffix per recipient
+        providerMessageId: event.sg_message_id ? String(event.sg_message_id).split('.')[0] : null,
+        status,
+        error: event.reason || event.response || null
+      });
+      if (message) updated++;
+    }
+    return updated;
+  }
+
+  /**
+   * Record a Twilio message status callback
+   * @param {Object} params - Callback form fields
+   * @returns {Promise<Object|null>} - Updated message, or null
+   */
+  async handleTwilioStatus({ MessageSid, MessageStatus, ErrorCode }) {
+    const status = TWILIO_STATUSES[MessageStatus];
+    if (!status || !MessageSid) {
+      return null;
+    }
+    return this.recordDeliveryStatus({
+      providerMessageId: MessageSid,
+      status,
+      error: ErrorCode ? `Twilio error ${ErrorCode}` : null
+    });
+  }
+
+  /**
+   * Verify a signed SendGrid event webhook request
+   * @param {string} rawBody - Request body exactly as received
+   * @param {string} signature - X-Twilio-Email-Event-Webhook-Signature header
+   * @param {string} timestamp - X-Twilio-Email-Event-Webhook-Timestamp header
+   * @returns {boolean}
+   */
+  verifySendGridSignature(rawBody, signature, timestamp) {
+    const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+    if (!publicKey) {
+      console.error('The SendGrid event webhook verification key (SENDGRID_WEBHOOK_PUBLIC_KEY) is not configured');
+      return false;
+    }
+    if (!signature || !timestamp || typeof rawBody !== 'string') {
+      return false;
+    }
+
+    try {
+      return crypto.verify(
+        'sha256',
+        Buffer.from(timestamp + rawBody),
+        { key: `-----BEGIN PUBLIC KEY-----\n${publicKey}\n-----END PUBLIC KEY-----`, format: 'pem' },
+        Buffer.from(signature, 'base64')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Verify a Twilio webhook request
+   * @param {string} signature - X-Twilio-Signature header
+   * @param {Object} params - Callback form fields
+   * @param {string} webhook - Webhook the request was made to: twilio (status callbacks) or whatsapp
+   * @returns {boolean}
+   */
+  verifyTwilioSignature(signature, params, webhook = 'twilio') {
+    const url = getTwilioCallbackUrl(webhook);
+    if (!process.env.TWILIO_AUTH_TOKEN || !url || !signature) {
+      return false;
+    }
+    return twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, params);
+  }
+
+  /**
+   * Queue copies of messages to be sent again
+   * @param {Array<string>} messageIds - Message IDs
+   * @returns {Promise<Object>} - { resent: [{ id, newId }], notFound: [id] }
+   */
+  async resend(messageIds) {
+    const prisma = require('../prisma');
+    const messages = await prisma.notificationMessage.findMany({ where: { id: { in: messageIds } } });
+
+    const resent = [];
+    for (const message of messages) {
+      const copy = await this.enqueue({
+        userId: message.userId,
+        channel: message.channel,
+        recipient: message.recipient,
+        eventType: message.eventType,
+        category: message.category,
+        subject: message.subject,
+        payload: JSON.parse(message.payload),
+        resendOf: message.id
+      });
+      resent.push({ id: message.id, newId: copy.id });
+    }
+
+    return {
+      resent,
+      notFound: messageIds.filter(id => !messages.some(message => message.id === id))
+    };
+  }
+
+  /**
+   * Delete messages from the outbox
+   * @param {Array<string>} messageIds - Message IDs
+   * @returns {Promise<Object>} - { deleted: [id], notFound: [id] }
+   */
+  async deleteMessages(messageIds) {
+    const prisma = require('../prisma');
+    const existing = await prisma.notificationMessage.findMany({
+      where: { id: { in: messageIds } },
+      select: { id: true }
+    });
+    const deleted = existing.map(message => message.id);
+    await prisma.notificationMessage.deleteMany({ where: { id: { in: deleted } } });
+
+    return {
+      deleted,
+      notFound: messageIds.filter(id => !deleted.includes(id))
+    };
+  }
+
+  /**
+   * Get a message
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object|null>} - Message or null if not found
+   */
+  async getMessage(messageId) {
+    const prisma = require('../prisma');
+    const message = await prisma.notificationMessage.findUnique({
+      where: { id: messageId },
+      include: { user: true }
+    });
+    return message ? this._formatMessage(message) : null;
+  }
+
+  /**
+   * List messages, newest first
+   * @param {Object} options - { page, limit, channel, status, search }
+   * @returns {Promise<Object>} - { messages, totalCount }
+   */
+  async getMessages({ page = 1, limit = 20, channel, status, search } = {}) {
+    const prisma = require('../prisma');
+    const where = {};
+    if (channel) where.channel = channel;
+    if (status) where.status = status;
+    if (search) {
+      where.OR = [
+        { recipient: { contains: search } },
+        { subject: { contains: search } },
+        { eventType: { contains: search } }
+      ];
+    }
+
+    const [messages, totalCount] = await Promise.all([
+      prisma.notificationMessage.findMany({
+        where,
+        include: { user: true },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.notificationMessage.count({ where })
+    ]);
+
+    return { messages: messages.map(message => this._formatMessage(message)), totalCount };
+  }
+
+  /**
+   * Message counts by status and channel
+   * @param {Object} options - { since }: only count messages queued since then
+   * @returns {Promise<Object>} - { total, byStatus, byChannel, deliveryRate, failureRate }
+   */
+  async getStats({ since } = {}) {
+    const prisma = require('../prisma');
+    const where = since ? { createdAt: { gte: since } } : {};
+    const groups = await prisma.notificationMessage.groupBy({
+      by: ['channel', 'status'],
+      where,
+      _count: { _all: true }
+    });
+
+    const byStatus = Object.fromEntries(MESSAGE_STATUSES.map(status => [status, 0]));
+    const byChannel = Object.fromEntries(MESSAGE_CHANNELS.map(channel => [channel, 0]));
+    let total = 0;
+    for (const group of groups) {
+      byStatus[group.status] = (byStatus[group.status] || 0) + group._count._all;
+      byChannel[group.channel] = (byChannel[group.channel] || 0) + group._count._all;
+      total += group._count._all;
+    }
+
+    // Of the messages that have left the queue
+    const finished = total - byStatus.queued;
+    const rate = count => (finished > 0 ? Math.round((count / finished) * 10000) / 100 : 0);
+
+    return {
+      total,
+      byStatus,
+      byChannel,
+      deliveryRate: rate(byStatus.sent + byStatus.delivered),
+      failureRate: rate(byStatus.failed + byStatus.bounced)
+    };
+  }
+
+  /**
+   * Hand a message to its provider
+   * @private
+   */
+  async _send(message) {
+    const payload = JSON.parse(message.payload);
+
+    switch (message.channel) {
+      case 'inApp': {
+        const notification = await notificationStorage.create({
+          userId: payload.userId,
+          type: 'in_app',
+          title: payload.title,
+          message: payload.message,
+          isRead: false,
+          data: payload.data,
+          createdAt: new Date()
+        });
+        if (!notification) {
+          throw new Error('Failed to store in-app notification');
+        }
+        return { provider: 'in_app', providerMessageId: notification.id };
+      }
+      case 'email':
+      case 'sms':
+      case 'whatsapp': {
+        const selected = await getNotificationProvider(message.channel);
+        if (!selected) {
+          throw new Error(`No ${message.channel} provider is configured`);
+        }
+        const { providerMessageId } = await selected.provider.send(message.channel, { id: message.id, ...payload }, selected.config);
+        return { provider: selected.provider.name, providerMessageId };
+      }
+      default:
+        throw new Error(`Unknown notification channel "${message.channel}"`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _formatMessage(message) {
+    const { user, ...rest } = message;
+    let payload = null;
+    try {
+      payload = JSON.parse(message.payload);
+    } catch (error) {
+      // Leave unparseable payloads out
+    }
+    return {
+      ...rest,
+      payload,
+      ...(user !== undefined && {
+        userName: user?.name || null,
+        userEmail: user?.email || null
+      })
+    };
+  }
+}
+
+export const notificationOutboxService = new NotificationOutboxService();
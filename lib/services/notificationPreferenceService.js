@@ -0,0 +1,391 @@
+/**
+ * Notification Preference Service
+ *
+ * Decides which channels a notification goes out on for a user. Every notification has
+ * an event type (`data.type`, e.g. `quote_received`) that falls into one of the
+ * categories below. Users turn each category on or off per channel, and the
+ * `notification.enable*Notifications` settings can switch off a channel for everyone.
+ *
+ * On top of that, a user can set:
+ *
+ * - Quiet hours in their timezone. SMS and WhatsApp messages that would arrive during
+ *   quiet hours are held until they end. Email and in-app notifications don't buzz a
+ *   phone, so they're never held.
+ * - An email digest, daily or weekly. Their emails are then collected into one digest
+ *   sent at the time they chose instead of being sent one by one.
+ *
+ * Urgent events, like a delivery OTP the customer needs at the door, skip quiet hours and
+ * the digest. Held messages wait in the notification outbox, and digests are queued
+ * there when due, by npm run send-notifications.
+ */
+
+import { settingsStorage } from '../storage';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../notificationTemplates';
+
+export const NOTIFICATION_CHANNELS = ['email', 'sms', 'whatsapp', 'inApp'];
+
+export const NOTIFICATION_CATEGORIES = {
+  orderUpdates: {
+    label: 'Order Updates',
+    description: 'Status changes, deliveries and inventory checks for your orders',
+    defaults: { email: true, sms: true, whatsapp: false, inApp: true }
+  },
+  paymentConfirmations: {
+    label: 'Payment Confirmations',
+    description: 'Payment receipts, reminders, refunds and payouts',
+    defaults: { email: true, sms: true, whatsapp: false, inApp: true }
+  },
+  quoteNotifications: {
+    label: 'Quote Notifications',
+    description: 'New quotes, revisions and counter-offers',
+    defaults: { email: true, sms: false, whatsapp: false, inApp: true }
+  },
+  marketing: {
+    label: 'Marketing',
+    description: 'Promotional offers and product news',
+    defaults: { email: false, sms: false, whatsapp: false, inApp: true }
+  },
+  systemAlerts: {
+    label: 'System Alerts',
+    description: 'Account, support and other important notices',
+    defaults: { email: true, sms: true, whatsapp: false, inApp: true }
+  }
+};
+
+// Event types that aren't order updates; anything not listed is one
+const EVENT_CATEGORIES = {
+  quote_request: 'quoteNotifications',
+  quote_received: 'quoteNotifications',
+  quote_counter_offer: 'quoteNotifications',
+  quote_expired: 'quoteNotifications',
+  order_assigned_to_other: 'quoteNotifications',
+  payment_received: 'paymentConfirmations',
+  payment_failed: 'paymentConfirmations',
+  order_paid: 'paymentConfirmations',
+  order_confirmed: 'paymentConfirmations',
+  refund_processed: 'paymentConfirmations',
+  vendor_settlement: 'paymentConfirmations',
+  payment_mismatch: 'systemAlerts',
+  rider_registration: 'systemAlerts',
+  rider_approval: 'systemAlerts',
+  support_ticket: 'systemAlerts',
+  promotion: 'marketing'
+};
+
+// Time-critical events that skip quiet hours and the digest
+const URGENT_EVENTS = ['delivery_otp', 'delivery_assignment', 'dispatch_offer'];
+
+// Channels that quiet hours apply to
+const QUIET_CHANNELS = ['sms', 'whatsapp'];
+
+const SETTING_KEYS = {
+  email: 'notification.enableEmailNotifications',
+  sms: 'notification.enableSmsNotifications',
+  whatsapp: 'notification.enableWhatsAppNotifications'
+};
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// Weekly digests go out on this day
+const DIGEST_WEEKDAY = 'Mon';
+
+const DEFAULT_SCHEDULE = {
+  quietHoursEnabled: false,
+  quietHoursStart: '22:00',
+  quietHoursEnd: '07:00',
+  timezone: 'Asia/Kolkata',
+  digestFrequency: 'off',
+  digestTime: '09:00'
+};
+
+const CONFIG_TTL_MS = 60000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = time => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+class NotificationPreferenceService {
+  constructor() {
+    this.cachedChannels = null;
+    this.cachedChannelsAt = 0;
+  }
+
+  /**
+   * Get a user's notification preferences, with defaults for anything they haven't set
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { channels: { email: { orderUpdates, ... }, sms, whatsapp, inApp }, quietHours: { enabled, start, end, timezone }, digest: { frequency, time } }
+   */
+  async getPreferences(userId) {
+    const prisma = require('../prisma');
+    const [rows, schedule, user] = await Promise.all([
+      prisma.notificationPreference.findMany({ where: { userId } }),
+      prisma.notificationSchedule.findUnique({ where: { userId } }),
+      prisma.user.findUnique({ where: { id: userId }, select: { language: true } })
+    ]);
+
+    const channels = {};
+    for (const channel of NOTIFICATION_CHANNELS) {
+      channels[channel] = {};
+      for (const [category, { defaults }] of Object.entries(NOTIFICATION_CATEGORIES)) {
+        channels[channel][category] = defaults[channel];
+      }
+    }
+    for (const row of rows) {
+      if (channels[row.channel] && row.category in channels[row.channel]) {
+        channels[row.channel][row.category] = row.enabled;
+      }
+    }
+
+    const { quietHoursEnabled, quietHoursStart, quietHoursEnd, timezone, digestFrequency, digestTime } = { ...DEFAULT_SCHEDULE, ...schedule };
+    return {
+      channels,
+      quietHours: { enabled: quietHoursEnabled, start: quietHoursStart, end: quietHoursEnd, timezone },
+      digest: { frequency: digestFrequency, time: digestTime },
+      language: user?.language || DEFAULT_LANGUAGE
+    };
+  }
+
+  /**
+   * Update a user's notification preferences. Anything left out keeps its current value.
+   * @param {string} userId - User ID
+   * @param {Object} preferences - Same shape as getPreferences returns
+   * @returns {Promise<Object>} - Updated preferences
+   */
+  async updatePreferences(userId, { channels = {}, quietHours, digest, language } = {}) {
+    const prisma = require('../prisma');
+    const toggles = this._validateChannels(channels);
+    const schedule = this._validateSchedule(quietHours, digest);
+    if (language !== undefined && !SUPPORTED_LANGUAGES[language]) {
+      throw new Error(`Language must be one of ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`);
+    }
+
+    await prisma.$transaction([
+      ...toggles.map(({ category, channel, enabled }) => prisma.notificationPreference.upsert({
+        where: { userId_category_channel: { userId, category, channel } },
+        create: { userId, category, channel, enabled },
+        update: { enabled }
+      })),
+      ...(Object.keys(schedule).length > 0
+        ? [prisma.notificationSchedule.upsert({
+            where: { userId },
+            create: { userId, ...schedule },
+            update: schedule
+          })]
+        : []),
+      ...(language !== undefined
+        ? [prisma.user.update({ where: { id: userId }, data: { language } })]
+        : [])
+    ]);
+
+    return this.getPreferences(userId);
+  }
+
+  /**
+   * Work out how a notification should go out on each channel
+   * @param {string} userId - User ID of the recipient
+   * @param {string} eventType - Event type, e.g. `quote_received`
+   * @param {Object} options - { notificationType, now }: the notification's type (info, payment, ...) and the current time
+   * @returns {Promise<Object>} - { category, urgent, channels: { email, sms, whatsapp, inApp } } where each channel
+   *   is { action: 'send' | 'hold' | 'digest' | 'skip', sendAfter }
+   */
+  async planDelivery(userId, eventType, { notificationType, now = new Date() } = {}) {
+    const category = this.getCategory(eventType, notificationType);
+    const urgent = URGENT_EVENTS.includes(eventType);
+    const [preferences, enabledChannels] = await Promise.all([
+      this.getPreferences(userId),
+      this._getEnabledChannels()
+    ]);
+
+    const quietUntil = !urgent && preferences.quietHours.enabled
+      ? this._getQuietHoursEnd(preferences.quietHours, now)
+      : null;
+    const digestAt = !urgent && preferences.digest.frequency !== 'off'
+      ? this._getNextDigestTime(preferences.digest, preferences.quietHours.timezone, now)
+      : null;
+
+    const channels = {};
+    for (const channel of NOTIFICATION_CHANNELS) {
+      if (!enabledChannels[channel] || !preferences.channels[channel][category]) {
+        channels[channel] = { action: 'skip' };
+      } else if (channel === 'email' && digestAt) {
+        channels[channel] = { action: 'digest', sendAfter: digestAt };
+      } else if (QUIET_CHANNELS.includes(channel) && quietUntil) {
+        channels[channel] = { action: 'hold', sendAfter: quietUntil };
+      } else {
+        channels[channel] = { action: 'send' };
+      }
+    }
+
+    return { category, urgent, channels };
+  }
+
+  /**
+   * Category an event type falls into
+   * @param {string} eventType - Event type, e.g. `quote_received`
+   * @param {string} notificationType - The notification's type; `payment` notifications without a known event type are payment confirmations
+   * @returns {string} - Category key
+   */
+  getCategory(eventType, notificationType) {
+    if (EVENT_CATEGORIES[eventType]) {
+      return EVENT_CATEGORIES[eventType];
+    }
+    return notificationType === 'payment' ? 'paymentConfirmations' : 'orderUpdates';
+  }
+
+  /**
+   * Channels switched on in the notification settings. In-app notifications can't be
+   * switched off globally.
+   * @private
+   */
+  async _getEnabledChannels() {
+    if (this.cachedChannels && Date.now() - this.cachedChannelsAt < CONFIG_TTL_MS) {
+      return this.cachedChannels;
+    }
+
+    const enabled = { inApp: true };
+    for (const [channel, key] of Object.entries(SETTING_KEYS)) {
+      const value = await settingsStorage.get(key);
+      enabled[channel] = value !== false && value !== 'false';
+    }
+
+    this.cachedChannels = enabled;
+    this.cachedChannelsAt = Date.now();
+    return enabled;
+  }
+
+  /**
+   * When the current quiet hours end, or null if it isn't quiet hours
+   * @private
+   */
+  _getQuietHoursEnd({ start, end, timezone }, now) {
+    const startMinutes = toMinutes(start);
+    const endMinutes = toMinutes(end);
+    if (startMinutes === endMinutes) {
+      return null;
+    }
+
+    const { minutes } = this._getLocalTime(now, timezone);
+    // Quiet hours can run past midnight, e.g. 22:00 to 07:00
+    const inQuietHours = startMinutes < endMinutes
+      ? minutes >= startMinutes && minutes < endMinutes
+      : minutes >= startMinutes || minutes < endMinutes;
+    if (!inQuietHours) {
+      return null;
+    }
+
+    return this._addLocalMinutes(now, (endMinutes - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY);
+  }
+
+  /**
+   * Next time the user's digest goes out
+   * @private
+   */
+  _getNextDigestTime({ frequency, time }, timezone, now) {
+    const { minutes, weekday } = this._getLocalTime(now, timezone);
+    let minutesUntil = (toMinutes(time) - minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+
+    if (frequency === 'weekly') {
+      const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+      // Days from the local date of the next daily slot to the digest day
+      const slotWeekday = (weekdays.indexOf(weekday) + (minutes + minutesUntil >= MINUTES_PER_DAY ? 1 : 0)) % 7;
+      minutesUntil += ((weekdays.indexOf(DIGEST_WEEKDAY) - slotWeekday + 7) % 7) * MINUTES_PER_DAY;
+    }
+
+    return this._addLocalMinutes(now, minutesUntil);
+  }
+
+  /**
+   * Minutes past midnight and day of the week in a timezone
+   * @private
+   */
+  _getLocalTime(date, timezone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone, hourCycle: 'h23', hour: '2-digit', minute: '2-digit', weekday: 'short' })
+        .formatToParts(date)
+        .map(({ type, value }) => [type, value])
+    );
+    return { minutes: Number(parts.hour) * 60 + Number(parts.minute), weekday: parts.weekday };
+  }
+
+  /**
+   * `minutes` after `date`, at the start of that minute
+   * @private
+   */
+  _addLocalMinutes(date, minutes) {
+    const result = new Date(date.getTime() + minutes * 60000);
+    result.setSeconds(0, 0);
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  _validateChannels(channels) {
+    if (typeof channels !== 'object' || channels === null) {
+      throw new Error('Channel preferences must be an object');
+    }
+
+    const toggles = [];
+    for (const [channel, categories] of Object.entries(channels)) {
+      if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        throw new Error(`Unknown notification channel "${channel}"`);
+      }
+      for (const [category, enabled] of Object.entries(categories || {})) {
+        if (!NOTIFICATION_CATEGORIES[category]) {
+          throw new Error(`Unknown notification category "${category}"`);
+        }
+        toggles.push({ category, channel, enabled: Boolean(enabled) });
+      }
+    }
+    return toggles;
+  }
+
+  /**
+   * @private
+   */
+  _validateSchedule(quietHours, digest) {
+    const schedule = {};
+
+    if (quietHours) {
+      const { enabled, start, end, timezone } = quietHours;
+      if (start !== undefined && !TIME_PATTERN.test(start)) {
+        throw new Error('Quiet hours start must be a time like 22:00');
+      }
+      if (end !== undefined && !TIME_PATTERN.test(end)) {
+        throw new Error('Quiet hours end must be a time like 07:00');
+      }
+      if (timezone !== undefined) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+          throw new Error(`Unknown timezone "${timezone}"`);
+        }
+        schedule.timezone = timezone;
+      }
+      if (enabled !== undefined) schedule.quietHoursEnabled = Boolean(enabled);
+      if (start !== undefined) schedule.quietHoursStart = start;
+      if (end !== undefined) schedule.quietHoursEnd = end;
+    }
+
+    if (digest) {
+      const { frequency, time } = digest;
+      if (frequency !== undefined && !DIGEST_FREQUENCIES.includes(frequency)) {
+        throw new Error(`Digest frequency must be one of ${DIGEST_FREQUENCIES.join(', ')}`);
+      }
+      if (time !== undefined && !TIME_PATTERN.test(time)) {
+        throw new Error('Digest time must be a time like 09:00');
+      }
+      if (frequency !== undefined) schedule.digestFrequency = frequency;
+      if (time !== undefined) schedule.digestTime = time;
+    }
+
+    return schedule;
+  }
+}
+
+export const notificationPreferenceService = new NotificationPreferenceService();
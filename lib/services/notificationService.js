@@ -1,45 +1,39 @@
-const sgMail = require('@sendgrid/mail');
-const twilio = require('twilio');
-const { storage, userStorage, notificationStorage, notificationTemplateStorage } = require('../storage');
+const { storage, userStorage, notificationTemplateStorage } = require('../storage');
 const { analyticsService } = require('./analyticsService');
+const { notificationPreferenceService } = require('./notificationPreferenceService');
+const { notificationOutboxService } = require('./notificationOutboxService');
+const { notificationTemplateService } = require('./notificationTemplateService');
+const { whatsappSessionService } = require('./whatsappSessionService');
+const { TEMPLATE_VARIABLES } = require('../notificationTemplates');
 const { orderStorage } = require('../storage');
 
-// Global flags to track if warnings have been shown
-let sendGridWarningShown = false;
-let twilioWarningShown = false;
-
+/**
+ * Every notification goes through `_deliver`, which renders it from its templates in the
+ * recipient's language (see notificationTemplateService) and queues it in the outbox (see
+ * notificationOutboxService) on the channels the recipient's preferences allow (see
+ * notificationPreferenceService). Channels without a template get the notification's
+ * title and message.
+ */
 class NotificationService {
-  constructor() {
-    // Initialize SendGrid if API key is available and valid
-    this.sendGridInitialized = false;
-    try {
-      if (process.env.SENDGRID_API_KEY && process.env.SENDGRID_API_KEY.startsWith('SG.')) {
-        sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-        this.sendGridInitialized = true;
-      } else if (!sendGridWarningShown) {
-        console.warn('SendGrid API key missing or invalid, email notifications will be disabled');
-        sendGridWarningShown = true;
-      }
-    } catch (error) {
-      console.error('Failed to initialize SendGrid:', error);
-    }
+  /**
+   * Get a user's notification preferences
+   * @param {string} userEmail - User email
+   * @returns {Promise<Object>} - Preferences (see notificationPreferenceService.getPreferences)
+   */
+  async getNotificationPreferences(userEmail) {
+    const user = await this._getUser(userEmail);
+    return notificationPreferenceService.getPreferences(user.id);
+  }
 
-    // Initialize Twilio client if credentials are available and valid
-    this.twilioClient = null;
-    this.twilioInitialized = false;
-    try {
-      if (process.env.TWILIO_ACCOUNT_SID && 
-          process.env.TWILIO_AUTH_TOKEN && 
-          process.env.TWILIO_ACCOUNT_SID.startsWith('AC')) {
-        this.twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-        this.twilioInitialized = true;
-      } else if (!twilioWarningShown) {
-        console.warn('Twilio credentials missing or invalid, SMS notifications will be disabled');
-        twilioWarningShown = true;
-      }
-    } catch (error) {
-      console.error('Failed to initialize Twilio:', error);
-    }
+  /**
+   * Update a user's notification preferences
+   * @param {string} userEmail - User email
+   * @param {Object} preferences - { channels, quietHours, digest, language }
+   * @returns {Promise<Object>} - Updated preferences
+   */
+  async updateNotificationPreferences(userEmail, preferences) {
+    const user = await this._getUser(userEmail);
+    return notificationPreferenceService.updatePreferences(user.id, preferences);
   }
 
   /**
@@ -49,60 +43,37 @@ class NotificationService {
    * @returns {Promise<void>}
    */
   async sendVendorQuoteRequestNotifications(order, vendors) {
-    if (!this.sendGridInitialized) {
-      // Don't log warning here to avoid repetition
+    if (!order || !Array.isArray(vendors)) {
       return;
     }
 
-    const emailPromises = vendors.map(async (vendor) => {
-      try {
-        if (!vendor.email) return;
-
-        await sgMail.send({
-          to: vendor.email,
-          from: process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com',
-          subject: `New Move Quote Request - Order #${order.orderId}`,
-          text: `You have received a new quote request for a ${order.moveSize} move from ${order.pickupPincode} to ${order.destinationPincode}. Please log in to your dashboard to submit your quote.`,
-          html: `
-            <h2>New Quote Request</h2>
-            <p>You have received a new quote request with the following details:</p>
-            <ul>
-              <li><strong>Order ID:</strong> ${order.orderId}</li>
-              <li><strong>Move Size:</strong> ${order.moveSize}</li>
-              <li><strong>From:</strong> ${order.pickupPincode}</li>
-              <li><strong>To:</strong> ${order.destinationPincode}</li>
-              <li><strong>Preferred Date:</strong> ${order.moveDate ? new Date(order.moveDate).toLocaleDateString() : 'Not specified'}</li>
-            </ul>
-            <p>Please log in to your dashboard to submit your quote.</p>
-          `
-        });
+    const variables = {
+      orderId: order.orderId,
+      moveSize: order.moveSize,
+      pickupPincode: order.pickupPincode || order.moveDetails?.pickupPincode,
+      destinationPincode: order.destinationPincode || order.moveDetails?.destinationPincode,
+      moveDate: order.moveDate
+    };
 
-        // Send WhatsApp notification if configured
-        if (this.twilioInitialized && process.env.TWILIO_WHATSAPP_NUMBER && vendor.whatsapp) {
-          await this.twilioClient.messages.create({
-            body: `New quote request for Order #${order.orderId}: ${order.moveSize} move from ${order.pickupPincode} to ${order.destinationPincode}. Log in to submit your quote.`,
-            from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-            to: `whatsapp:${vendor.whatsapp}`
-          });
-        }
+    for (const vendor of vendors) {
+      if (!vendor.email) continue;
 
-        // Track notification event for each vendor
-        await analyticsService.trackEvent('notification_sent', {
-          recipientType: 'vendor',
-          vendorId: vendor.vendorId,
-          vendorEmail: vendor.email,
-          notificationType: 'quote_request',
-          channel: 'email',
-          orderId: order.orderId
-        });
+      try {
+        const user = await this._getUser(vendor.email);
+        await this._deliver(user, {
+          template: 'quote_request',
+          variables,
+          type: 'info',
+          data: {
+            orderId: order.orderId,
+            type: 'quote_request'
+          },
+          to: { whatsapp: vendor.whatsapp }
+        }, 'vendor');
       } catch (error) {
         console.error(`Failed to send notification to vendor ${vendor.id}:`, error);
       }
-    });
-
-    await Promise.all(emailPromises).catch(error => {
-      console.error('Error sending vendor notifications:', error);
-    });
+    }
   }
 
   /**
@@ -112,76 +83,49 @@ class NotificationService {
    * @returns {Promise<void>}
    */
   async sendUserQuoteNotification(order, vendorId) {
-    if (!this.sendGridInitialized) {
-      // Don't log warning here to avoid repetition
+    if (!order || !order.userEmail || !vendorId) {
       return;
     }
 
-    try {
-      // Get vendor details
-      const vendors = await storage.readData('vendors.json');
-      if (!vendors) return;
-      
-      const vendor = vendors.find(v => v.vendorId === vendorId);
-      if (!vendor) return;
-      
-      // Get quote details
-      const quote = order.quotes.find(q => q.vendorId === vendorId);
-      if (!quote) return;
-
-      // Send email to user
-      await sgMail.send({
-        to: order.userEmail,
-        from: process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com',
-        subject: `New Quote Received for Your Move - Order #${order.orderId}`,
-        text: `You have received a new quote from ${vendor.name} for your move. The quoted amount is ₹${quote.amount}. Log in to view and accept the quote.`,
-        html: `
-          <h2>New Quote Received</h2>
-          <p>You have received a new quote for your move:</p>
-          <ul>
-            <li><strong>Vendor:</strong> ${vendor.name}</li>
-            <li><strong>Amount:</strong> ₹${quote.amount}</li>
-            <li><strong>Order ID:</strong> ${order.orderId}</li>
-          </ul>
-          <p>Log in to view and accept the quote.</p>
-        `
-      });
+    // Get vendor details
+    const vendors = await storage.readData('vendors.json');
+    if (!vendors) {
+      return;
+    }
 
-      // Track notification event
-      await analyticsService.trackEvent('notification_sent', {
-        recipientType: 'user',
-        userEmail: order.userEmail,
-        notificationType: 'quote_received',
-        channel: 'email',
-        orderId: order.orderId,
-        vendorId: vendorId,
-        quoteAmount: quote.amount
-      });
+    const vendor = vendors.find(v => v.vendorId === vendorId);
+    if (!vendor) {
+      return;
+    }
 
-      // Send WhatsApp notification if configured
-      if (this.twilioInitialized && process.env.TWILIO_WHATSAPP_NUMBER && order.userPhone) {
-        await this.twilioClient.messages.create({
-          body: `New quote received for Order #${order.orderId} from ${vendor.name}: ₹${quote.amount}. Log in to view and accept.`,
-          from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-          to: `whatsapp:${order.userPhone}`
-        }).catch(error => {
-          console.error('Error sending user WhatsApp:', error);
-        });
-        
-        // Track WhatsApp notification event
-        await analyticsService.trackEvent('notification_sent', {
-          recipientType: 'user',
-          userEmail: order.userEmail,
-          notificationType: 'quote_received',
-          channel: 'whatsapp',
-          orderId: order.orderId,
-          vendorId: vendorId,
-          quoteAmount: quote.amount
-        });
-      }
-    } catch (error) {
-      console.error('Error sending user quote notification:', error);
+    // Find the quote
+    const quote = order.quotes.find(q => q.vendorId === vendorId);
+    if (!quote) {
+      return;
     }
+
+    const user = await this._getUser(order.userEmail);
+    await this._deliver(user, {
+      template: 'quote_received',
+      variables: {
+        orderId: order.orderId,
+        vendorName: vendor.name,
+        amount: quote.amount,
+        quotes: order.quotes.map(q => ({
+          vendorName: vendors.find(v => v.vendorId === q.vendorId)?.name || 'A vendor',
+          amount: q.amount
+        }))
+      },
+      type: 'success',
+      data: {
+        orderId: order.orderId,
+        vendorId: vendorId,
+        quoteAmount: quote.amount,
+        type: 'quote_received'
+      },
+      to: { whatsapp: order.userPhone },
+      whatsappFlow: { flow: 'quote_acceptance', orderId: order.orderId, context: { vendorId } }
+    });
   }
 
   /**
@@ -193,180 +137,95 @@ class NotificationService {
    * @returns {Promise<void>}
    */
   async sendPaymentNotifications(order, selectedVendor, paymentDetails, requestedVendors = []) {
-    if (!this.sendGridInitialized) {
-      // Don't log warning here to avoid repetition
+    if (!order) {
       return;
     }
 
-    try {
-      const vendorName = selectedVendor.name || 'Selected vendor';
-      const orderId = order.orderId;
-
-      // Email to selected vendor
-      if (selectedVendor?.email) {
-        await sgMail.send({
-          to: selectedVendor.email,
-          from: process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com',
-          subject: `Payment Received for Order #${orderId}`,
-          text: `Payment has been received for order #${orderId}. Please log in to your dashboard to proceed with the move.`,
-          html: `
-            <h2>Payment Received</h2>
-            <p>Payment has been received for order #${orderId}.</p>
-            <p>Please log in to your dashboard to proceed with the move.</p>
-          `
-        }).catch(error => {
-          console.error('Error sending vendor email:', error);
-        });
-        
-        // Track email notification event
-        await analyticsService.trackEvent('notification_sent', {
-          recipient: 'vendor',
-          vendorEmail: selectedVendor.email,
-          notificationType: 'payment_received',
-          channel: 'email',
-          orderId: orderId,
-          amount: paymentDetails?.amount || 0
-        });
-      }
+    const orderId = order.orderId;
+    const amount = order.payment?.amount || paymentDetails?.amount || 0;
 
-      // Email to user
-      if (order.userEmail) {
-        await sgMail.send({
-          to: order.userEmail,
-          from: process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com',
-          subject: `Payment Confirmed for Order #${orderId}`,
-          text: `Your payment for order #${orderId} has been confirmed. The vendor will contact you shortly to coordinate the move.`,
-          html: `
-            <h2>Payment Confirmed</h2>
-            <p>Your payment for order #${orderId} has been confirmed.</p>
-            <p>The vendor will contact you shortly to coordinate the move.</p>
-          `
-        }).catch(error => {
-          console.error('Error sending user email:', error);
-        });
+    // Notify selected vendor
+    if (selectedVendor && selectedVendor.email) {
+      try {
+        const user = await this._getUser(selectedVendor.email);
+        await this._deliver(user, {
+          template: 'payment_received',
+          variables: { orderId, amount },
+          type: 'success',
+          data: {
+            orderId,
+            amount,
+            type: 'payment_received'
+          },
+          to: { whatsapp: selectedVendor.whatsapp }
+        }, 'vendor');
+      } catch (error) {
+        console.error('Error sending vendor payment notification:', error);
       }
-      
-      // Emails to requested vendors who weren't selected
-      if (Array.isArray(requestedVendors) && requestedVendors.length > 0 && order.selectedQuote) {
-        for (const requestedVendor of requestedVendors) {
-          if (!requestedVendor || !requestedVendor.vendorId || requestedVendor.vendorId === selectedVendor.vendorId) {
-            continue;
-          }
-          
-          if (requestedVendor?.email) {
-            let emailSubject = `Update on Order #${orderId}`;
-            let emailText = '';
-            let emailHtml = '';
-            
-            if (requestedVendor.didQuote) {
-              // This vendor submitted a quote but wasn't selected
-              let priceDifference = 0;
-              if (requestedVendor.quote?.amount && order.selectedQuote?.amount) {
-                priceDifference = requestedVendor.quote.amount - order.selectedQuote.amount;
-              }
-              
-              const priceDifferenceText = priceDifference > 0 
-                ? `they have quoted ₹${priceDifference} less than yours`
-                : priceDifference < 0
-                  ? `despite their quote being ₹${Math.abs(priceDifference)} higher than yours`
-                  : `they submitted an equal quote`;
-              
-              emailText = `This job has been assigned to ${vendorName} as ${priceDifferenceText}.`;
-              emailHtml = `
-                <h2>Job Assignment Update</h2>
-                <p>This job has been assigned to <strong>${vendorName}</strong> as ${priceDifferenceText}.</p>
-                <p>Thank you for your interest in this order.</p>
-              `;
-            } else {
-              // This vendor received a request but didn't submit a quote
-              emailText = `The user has selected ${vendorName} for order #${orderId}. Since you didn't submit a quote, the opportunity has been assigned to another vendor.`;
-              emailHtml = `
-                <h2>Job Assignment Update</h2>
-                <p>The user has selected <strong>${vendorName}</strong> for order #${orderId}.</p>
-                <p>Since you didn't submit a quote, the opportunity has been assigned to another vendor.</p>
-                <p>Thank you for your interest in our platform.</p>
-              `;
+    }
+
+    // Notify user
+    if (order.userEmail) {
+      try {
+        const user = await this._getUser(order.userEmail);
+        await this._deliver(user, {
+          template: 'order_confirmed',
+          variables: { orderId, amount },
+          type: 'success',
+          data: {
+            orderId,
+            amount,
+            type: 'order_confirmed'
+          },
+          to: { whatsapp: order.userWhatsapp },
+          ...(order.moveDate && {
+            whatsappFlow: {
+              flow: 'move_date_confirmation',
+              orderId,
+              context: { moveDate: new Date(order.moveDate).toISOString() }
             }
-            
-            await sgMail.send({
-              to: requestedVendor.email,
-              from: process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com',
-              subject: emailSubject,
-              text: emailText,
-              html: emailHtml
-            }).catch(error => {
-              console.error(`Error sending email to vendor ${requestedVendor.vendorId}:`, error);
-            });
-          }
-        }
+          })
+        });
+      } catch (error) {
+        console.error('Error sending user payment notification:', error);
       }
+    }
 
-      // Send WhatsApp notifications if configured
-      if (this.twilioInitialized && process.env.TWILIO_WHATSAPP_NUMBER) {
-        // Message to selected vendor
-        if (selectedVendor?.whatsapp) {
-          await this.twilioClient.messages.create({
-            body: `Payment received for order #${orderId}. Please log in to proceed with the move.`,
-            from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-            to: `whatsapp:${selectedVendor.whatsapp}`
-          }).catch(error => {
-            console.error('Error sending vendor WhatsApp:', error);
-          });
+    // Notify other vendors that they were not selected
+    if (Array.isArray(requestedVendors)) {
+      for (const vendor of requestedVendors) {
+        if (!vendor || !vendor.email || vendor.vendorId === selectedVendor?.vendorId) {
+          continue;
         }
 
-        // Message to user
-        if (order.userWhatsapp) {
-          await this.twilioClient.messages.create({
-            body: `Your payment for order #${orderId} is confirmed. The vendor will contact you shortly.`,
-            from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-            to: `whatsapp:${order.userWhatsapp}`
-          }).catch(error => {
-            console.error('Error sending user WhatsApp:', error);
-          });
-        }
-        
-        // Messages to requested vendors who weren't selected
-        if (Array.isArray(requestedVendors) && requestedVendors.length > 0 && order.selectedQuote) {
-          for (const requestedVendor of requestedVendors) {
-            if (!requestedVendor || !requestedVendor.vendorId || requestedVendor.vendorId === selectedVendor.vendorId) {
-              continue;
-            }
-            
-            if (requestedVendor?.whatsapp) {
-              let messageText = '';
-              
-              if (requestedVendor.didQuote) {
-                // This vendor submitted a quote but wasn't selected
-                let priceDifference = 0;
-                if (requestedVendor.quote?.amount && order.selectedQuote?.amount) {
-                  priceDifference = requestedVendor.quote.amount - order.selectedQuote.amount;
-                }
-                
-                const priceDifferenceText = priceDifference > 0 
-                  ? `they have quoted ₹${priceDifference} less than yours`
-                  : priceDifference < 0
-                    ? `despite their quote being ₹${Math.abs(priceDifference)} higher than yours`
-                    : `they submitted an equal quote`;
-                
-                messageText = `Update on Order #${orderId}: This job has been assigned to ${vendorName} as ${priceDifferenceText}.`;
-              } else {
-                // This vendor received a request but didn't submit a quote
-                messageText = `Update on Order #${orderId}: The user has selected another vendor since you didn't submit a quote.`;
-              }
-              
-              await this.twilioClient.messages.create({
-                body: messageText,
-                from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-                to: `whatsapp:${requestedVendor.whatsapp}`
-              }).catch(error => {
-                console.error(`Error sending WhatsApp to vendor ${requestedVendor.vendorId}:`, error);
-              });
-            }
-          }
+        // Positive when the selected vendor quoted less than this one
+        const priceDifference = vendor.didQuote && vendor.quote?.amount && order.selectedQuote?.amount
+          ? vendor.quote.amount - order.selectedQuote.amount
+          : 0;
+
+        try {
+          const user = await this._getUser(vendor.email);
+          await this._deliver(user, {
+            template: 'order_assigned_to_other',
+            variables: {
+              orderId,
+              selectedVendorName: selectedVendor?.name || 'Selected vendor',
+              didQuote: Boolean(vendor.didQuote),
+              quotedLess: priceDifference > 0,
+              quotedMore: priceDifference < 0,
+              priceDifference: Math.abs(priceDifference)
+            },
+            type: 'info',
+            data: {
+              orderId,
+              type: 'order_assigned_to_other'
+            },
+            to: { whatsapp: vendor.whatsapp }
+          }, 'vendor');
+        } catch (error) {
+          console.error(`Error sending notification to vendor ${vendor.vendorId}:`, error);
         }
       }
-    } catch (error) {
-      console.error('Error sending payment notifications:', error);
     }
   }
 
@@ -377,35 +236,18 @@ class NotificationService {
    * @returns {Promise<void>}
    */
   async sendCrossLeadNotification(customerData, orderId) {
-    if (!this.sendGridInitialized) {
-      console.warn('SendGrid not initialized, skipping email notification');
-      return;
-    }
-
     try {
-      await sgMail.send({
-        to: customerData.customerEmail,
-        from: process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com',
-        subject: 'Your Move Request Has Been Created',
-        text: `Hello ${customerData.customerName},\n\nA move request has been created for you by one of our partner vendors. You can log in to view the details and manage your move.\n\nThank you for choosing MovePe!`,
-        html: `
-          <h2>Your Move Request Has Been Created</h2>
-          <p>Hello ${customerData.customerName},</p>
-          <p>A move request has been created for you by one of our partner vendors. You can log in to view the details and manage your move.</p>
-          <p>Thank you for choosing MovePe!</p>
-        `
+      const user = await this._getUser(customerData.customerEmail);
+      await this._deliver(user, {
+        template: 'cross_lead_created',
+        variables: { userName: customerData.customerName || user.name },
+        type: 'info',
+        data: {
+          orderId,
+          type: 'cross_lead_created'
+        },
+        to: { sms: customerData.customerPhone, whatsapp: customerData.customerPhone }
       });
-
-      // Send WhatsApp notification if configured
-      if (this.twilioInitialized && process.env.TWILIO_WHATSAPP_NUMBER && customerData.customerPhone) {
-        await this.twilioClient.messages.create({
-          body: `Hello ${customerData.customerName}, a move request has been created for you by one of our partner vendors. You can log in to view the details and manage your move.`,
-          from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-          to: `whatsapp:${customerData.customerPhone}`
-        }).catch(error => {
-          console.error('Error sending customer WhatsApp:', error);
-        });
-      }
     } catch (error) {
       console.error('Error sending cross-lead notification:', error);
     }
@@ -415,48 +257,28 @@ class NotificationService {
    * Send notification to vendor about new review
    * @param {Object} vendor - Vendor details
    * @param {Object} order - Order details with review
+   * @param {number} rating - Rating, if the order doesn't carry the review yet
+   * @param {string} comment - Comment, if the order doesn't carry the review yet
    * @returns {Promise<void>}
    */
-  async sendReviewNotification(vendor, order) {
-    if (!this.sendGridInitialized) {
-      console.warn('SendGrid not initialized, skipping email notification');
-      return;
-    }
-
+  async sendReviewNotification(vendor, order, rating = order?.review?.rating, comment = order?.review?.comment) {
     try {
-      if (!vendor?.email || !order?.review) {
+      if (!vendor?.email || !order || !rating) {
         return;
       }
 
-      const review = order.review;
-      const rating = review.rating;
-      const comment = review.comment;
-
-      // Send email to vendor
-      await sgMail.send({
-        to: vendor.email,
-        from: process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com',
-        subject: `New Review Received - Order #${order.orderId}`,
-        text: `You have received a new ${rating}-star review for order #${order.orderId}. Comment: "${comment}". Thank you for your service!`,
-        html: `
-          <h2>New Review Received</h2>
-          <p>You have received a new review for order #${order.orderId}:</p>
-          <p><strong>Rating:</strong> ${rating} stars</p>
-          <p><strong>Comment:</strong> "${comment}"</p>
-          <p>Thank you for your service!</p>
-        `
-      });
-
-      // Send WhatsApp notification if configured
-      if (this.twilioInitialized && process.env.TWILIO_WHATSAPP_NUMBER && vendor.whatsapp) {
-        await this.twilioClient.messages.create({
-          body: `New ${rating}-star review received for order #${order.orderId}: "${comment}". Thank you for your service!`,
-          from: `whatsapp:${process.env.TWILIO_WHATSAPP_NUMBER}`,
-          to: `whatsapp:${vendor.whatsapp}`
-        }).catch(error => {
-          console.error('Error sending vendor WhatsApp:', error);
-        });
-      }
+      const user = await this._getUser(vendor.email);
+      await this._deliver(user, {
+        template: 'review_received',
+        variables: { orderId: order.orderId, rating, comment },
+        type: 'info',
+        data: {
+          orderId: order.orderId,
+          rating,
+          type: 'review_received'
+        },
+        to: { whatsapp: vendor.whatsapp }
+      }, 'vendor');
     } catch (error) {
       console.error('Error sending review notification:', error);
     }
@@ -469,44 +291,29 @@ class NotificationService {
    * @returns {Promise<void>}
    */
   async sendVendorResponseNotification(order, vendor) {
-    if (!this.sendGridInitialized) {
-      console.warn('SendGrid not initialized, skipping email notification');
-      return;
-    }
-
     try {
       if (!order?.userEmail || !order?.review?.vendorResponse || !vendor?.name) {
         return;
       }
 
-      const vendorName = vendor.name;
       const responseText = order.review.vendorResponse.text;
-      const orderShortId = order.orderId.slice(0, 8);
-
-      // Send email to user
-      await sgMail.send({
-        to: order.userEmail,
-        from: process.env.SENDGRID_FROM_EMAIL || 'noreply@example.com',
-        subject: `${vendorName} responded to your review - Order #${orderShortId}`,
-        text: `${vendorName} has responded to your review for order #${orderShortId}. Response: "${responseText}".`,
-        html: `
-          <h2>${vendorName} Responded to Your Review</h2>
-          <p>${vendorName} has responded to your review for order #${orderShortId}:</p>
-          <p><strong>Their Response:</strong> "${responseText}"</p>
-          <p>You can view the full conversation in your order details.</p>
-        `
-      });
 
-      // Send SMS notification if configured and user has phone number
-      if (this.twilioInitialized && process.env.TWILIO_PHONE_NUMBER && order.userPhone) {
-        await this.twilioClient.messages.create({
-          body: `${vendorName} responded to your review for order #${orderShortId}: "${responseText.substring(0, 100)}${responseText.length > 100 ? '...' : ''}"`,
-          from: process.env.TWILIO_PHONE_NUMBER,
-          to: order.userPhone
-        }).catch(error => {
-          console.error('Error sending user SMS:', error);
-        });
-      }
+      const user = await this._getUser(order.userEmail);
+      await this._deliver(user, {
+        template: 'review_response',
+        variables: {
+          orderId: order.orderId.slice(0, 8),
+          vendorName: vendor.name,
+          response: responseText,
+          responseExcerpt: responseText.length > 100 ? `${responseText.substring(0, 100)}...` : responseText
+        },
+        type: 'info',
+        data: {
+          orderId: order.orderId,
+          type: 'review_response'
+        },
+        to: { sms: order.userPhone }
+      });
     } catch (error) {
       console.error('Error sending vendor response notification:', error);
     }
@@ -518,41 +325,18 @@ class NotificationService {
    * @param {string} title - Notification title
    * @param {string} message - Notification message
    * @param {string} type - Notification type (info, success, warning, error)
-   * @param {Object} data - Additional data
-   * @returns {Promise<Object>} - Created notification
+   * @param {Object} data - Additional data; `data.type` is the event type preferences are looked up by
+   * @param {Object} content - Channel-specific content: { email: { subject, text, html }, sms, whatsapp, to: { sms, whatsapp } },
+   *   and { whatsappFlow: { flow, orderId, context } } to offer WhatsApp reply options (see whatsappSessionService)
+   * @returns {Promise<Object|null>} - Created in-app notification, or null if the user turned them off
    */
-  async sendUserNotification(userEmail, title, message, type = 'info', data = {}) {
+  async sendUserNotification(userEmail, title, message, type = 'info', data = {}, content = {}) {
     if (!userEmail || !title || !message) {
       throw new Error('User email, title, and message are required');
     }
 
-    // Get user by email
-    const user = await userStorage.getByEmail(userEmail);
-    if (!user) {
-      throw new Error(`User with email ${userEmail} not found`);
-    }
-
-    // Create notification in database
-    const notification = await notificationStorage.create({
-      userId: user.id,
-      type: 'in_app',
-      title,
-      message,
-      isRead: false,
-      metadata: data,
-      createdAt: new Date()
-    });
-
-    // Track notification event
-    await analyticsService.trackEvent('notification_sent', {
-      recipient: 'user',
-      userEmail,
-      notificationType: type,
-      dataType: data.type || 'general',
-      channel: 'in_app'
-    });
-
-    return notification;
+    const user = await this._getUser(userEmail);
+    return this._deliver(user, { ...content, title, message, type, data }, 'user');
   }
 
   /**
@@ -561,114 +345,18 @@ class NotificationService {
    * @param {string} title - Notification title
    * @param {string} message - Notification message
    * @param {string} type - Notification type (info, success, warning, error)
-   * @param {Object} data - Additional data
-   * @returns {Promise<Object>} - Created notification
+   * @param {Object} data - Additional data; `data.type` is the event type preferences are looked up by
+   * @param {Object} content - Channel-specific content: { email: { subject, text, html }, sms, whatsapp, to: { sms, whatsapp } }
+   * @returns {Promise<Object|null>} - Created in-app notification, or null if the vendor turned them off
    */
-  async sendVendorNotification(vendorEmail, title, message, type = 'info', data = {}) {
+  async sendVendorNotification(vendorEmail, title, message, type = 'info', data = {}, content = {}) {
     if (!vendorEmail || !title || !message) {
       throw new Error('Vendor email, title, and message are required');
     }
 
     // Get user by email (vendor's user account)
-    const user = await userStorage.getByEmail(vendorEmail);
-    if (!user) {
-      throw new Error(`User with email ${vendorEmail} not found`);
-    }
-
-    // Create notification in database
-    const notification = await notificationStorage.create({
-      userId: user.id,
-      type: 'in_app',
-      title,
-      message,
-      isRead: false,
-      metadata: data,
-      createdAt: new Date()
-    });
-
-    // Track notification event
-    await analyticsService.trackEvent('notification_sent', {
-      recipient: 'vendor',
-      vendorEmail,
-      notificationType: type,
-      dataType: data.type || 'general',
-      channel: 'in_app'
-    });
-
-    return notification;
-  }
-
-  /**
-   * Send vendor quote request notifications
-   * @param {Object} order - Order object
-   * @param {Array} vendors - Array of vendor objects
-   * @returns {Promise<void>}
-   */
-  async sendVendorQuoteRequestNotifications(order, vendors) {
-    if (!order || !Array.isArray(vendors)) {
-      return;
-    }
-
-    for (const vendor of vendors) {
-      await this.sendVendorNotification(
-        vendor.email,
-        'New Quote Request',
-        `You have a new quote request for a move from ${order.moveDetails?.pickupPincode} to ${order.moveDetails?.destinationPincode}`,
-        'info',
-        {
-          orderId: order.orderId,
-          type: 'quote_request'
-        }
-      );
-
-      // Send WhatsApp notification if available
-      if (vendor.whatsapp) {
-        // Implement WhatsApp notification here
-        console.log(`Would send WhatsApp to ${vendor.whatsapp} about quote request`);
-      }
-    }
-  }
-
-  /**
-   * Send user quote notification
-   * @param {Object} order - Order object
-   * @param {string} vendorId - Vendor ID
-   * @returns {Promise<void>}
-   */
-  async sendUserQuoteNotification(order, vendorId) {
-    if (!order || !order.userEmail || !vendorId) {
-      return;
-    }
-
-    // Get vendor details
-    const vendors = await storage.readData('vendors.json');
-    if (!vendors) {
-      return;
-    }
-
-    const vendor = vendors.find(v => v.vendorId === vendorId);
-    if (!vendor) {
-      return;
-    }
-
-    // Find the quote
-    const quote = order.quotes.find(q => q.vendorId === vendorId);
-    if (!quote) {
-      return;
-    }
-
-    await this.sendUserNotification(
-      order.userEmail,
-      'New Quote Received',
-      `${vendor.name} has submitted a quote of ₹${quote.amount.toLocaleString('en-IN')} for your move`,
-      'success',
-      {
-        orderId: order.orderId,
-        vendorId: vendorId,
-        quoteAmount: quote.amount,
-        type: 'quote_received'
-      }
-    );
+    const user = await this._getUser(vendorEmail);
+    return this._deliver(user, { ...content, title, message, type, data }, 'vendor');
   }
 
   /**
@@ -683,41 +371,18 @@ class NotificationService {
         return;
       }
 
-      await this.sendVendorNotification(
-        vendor.email,
-        'Order Confirmed',
-        `Your quote for order #${order.orderId} has been accepted and paid. Please start preparing for the move.`,
-        'success',
-        {
+      const user = await this._getUser(vendor.email);
+      await this._deliver(user, {
+        template: 'order_paid',
+        variables: { orderId: order.orderId, amount: order.payment?.amount || 0 },
+        type: 'success',
+        data: {
           orderId: order.orderId,
           amount: order.payment?.amount || 0,
           type: 'order_paid'
-        }
-      );
-
-      // Track notification event
-      await analyticsService.trackEvent('notification_sent', {
-        recipientType: 'vendor',
-        vendorId: vendor.vendorId,
-        vendorEmail: vendor.email,
-        notificationType: 'payment_received',
-        channel: 'email',
-        orderId: order.orderId,
-        paymentAmount: order.payment.amount
-      });
-      
-      // If SMS notification is sent, track that too
-      if (this.twilioInitialized && process.env.TWILIO_PHONE_NUMBER && vendor.phone) {
-        await analyticsService.trackEvent('notification_sent', {
-          recipientType: 'vendor',
-          vendorId: vendor.vendorId,
-          vendorEmail: vendor.email,
-          notificationType: 'payment_received',
-          channel: 'sms',
-          orderId: order.orderId,
-          paymentAmount: order.payment.amount
-        });
-      }
+        },
+        to: { sms: vendor.phone }
+      }, 'vendor');
     } catch (error) {
       console.error('Error sending vendor payment notification:', error);
     }
@@ -734,17 +399,16 @@ class NotificationService {
       return;
     }
 
-    await this.sendUserNotification(
-      user.email,
-      'Order Confirmed',
-      `Your payment for order #${order.orderId} has been confirmed. The vendor will contact you soon.`,
-      'success',
-      {
+    await this._deliver(await this._getUser(user.email), {
+      template: 'order_confirmed',
+      variables: { orderId: order.orderId, amount: order.payment?.amount || 0 },
+      type: 'success',
+      data: {
         orderId: order.orderId,
         amount: order.payment?.amount || 0,
         type: 'order_confirmed'
       }
-    );
+    });
   }
 
   /**
@@ -760,44 +424,16 @@ class NotificationService {
         return;
       }
 
-      // Create notification in database
-      await notificationStorage.create({
-        userId: user.id,
-        type: 'in_app',
-        title: 'Order Status Update',
-        message: `Your move has ${statusDescription}. Order #${order.id} is now ${order.status}.`,
-        isRead: false,
-        metadata: {
+      await this._deliver(user, {
+        template: 'order_status_update',
+        variables: { orderId: order.id, status: order.status, statusDescription },
+        type: 'info',
+        data: {
           orderId: order.id,
           status: order.status,
           type: 'order_status_update'
-        },
-        createdAt: new Date()
-      });
-
-      // Track notification event
-      await analyticsService.trackEvent('notification_sent', {
-        recipientType: 'user',
-        userEmail: user.email,
-        notificationType: 'order_status_update',
-        channel: 'email',
-        orderId: order.id,
-        newStatus: order.status,
-        statusDescription: statusDescription
+        }
       });
-      
-      // If SMS notification is sent, track that too
-      if (this.twilioInitialized && process.env.TWILIO_PHONE_NUMBER && user.phone) {
-        await analyticsService.trackEvent('notification_sent', {
-          recipientType: 'user',
-          userEmail: user.email,
-          notificationType: 'order_status_update',
-          channel: 'sms',
-          orderId: order.id,
-          newStatus: order.status,
-          statusDescription: statusDescription
-        });
-      }
     } catch (error) {
       console.error('Error sending user order status update notification:', error);
     }
@@ -814,18 +450,14 @@ class NotificationService {
       return;
     }
 
-    // Create notification in database
-    await notificationStorage.create({
-      userId: user.id,
-      type: 'in_app',
-      title: 'Order Delivered',
-      message: `Your items have been delivered. Please confirm that everything is in order.`,
-      isRead: false,
-      metadata: {
+    await this._deliver(user, {
+      template: 'order_delivered',
+      variables: { orderId: order.id },
+      type: 'success',
+      data: {
         orderId: order.id,
         type: 'order_delivered'
-      },
-      createdAt: new Date()
+      }
     });
   }
 
@@ -840,18 +472,14 @@ class NotificationService {
       return;
     }
 
-    // Create notification in database
-    await notificationStorage.create({
-      userId: user.id,
-      type: 'in_app',
-      title: 'Order Completed',
-      message: `Your move has been completed. Thank you for using our service. Please leave a review.`,
-      isRead: false,
-      metadata: {
+    await this._deliver(user, {
+      template: 'order_completed',
+      variables: { orderId: order.id },
+      type: 'success',
+      data: {
         orderId: order.id,
         type: 'order_completed'
-      },
-      createdAt: new Date()
+      }
     });
   }
 
@@ -867,88 +495,31 @@ class NotificationService {
       return;
     }
 
+    const data = {
+      orderId: order.id,
+      type: 'order_cancelled'
+    };
+
     // Notify user
     if (user && user.email) {
-      // Create notification in database for user
-      await notificationStorage.create({
-        userId: user.id,
-        type: 'in_app',
-        title: 'Order Cancelled',
-        message: `Your order #${order.id} has been cancelled.`,
-        isRead: false,
-        metadata: {
-          orderId: order.id,
-          type: 'order_cancelled'
-        },
-        createdAt: new Date()
+      await this._deliver(user, {
+        template: 'order_cancelled',
+        variables: { orderId: order.id },
+        type: 'warning',
+        data
       });
     }
 
     // Notify vendor
     if (vendor && vendor.userId) {
-      // Create notification in database for vendor
-      await notificationStorage.create({
-        userId: vendor.userId,
-        type: 'in_app',
-        title: 'Order Cancelled',
-        message: `Order #${order.id} has been cancelled.`,
-        isRead: false,
-        metadata: {
-          orderId: order.id,
-          type: 'order_cancelled'
-        },
-        createdAt: new Date()
-      });
-    }
-  }
-
-  /**
-   * Send payment notifications
-   * @param {Object} order - Order object
-   * @param {Object} selectedVendor - Selected vendor
-   * @param {Object} paymentDetails - Payment details
-   * @param {Array} requestedVendors - Other vendors who were requested
-   * @returns {Promise<void>}
-   */
-  async sendPaymentNotifications(order, selectedVendor, paymentDetails, requestedVendors) {
-    if (!order) {
-      return;
-    }
-
-    // Notify selected vendor
-    if (selectedVendor && selectedVendor.email) {
-      await this.sendVendorNotification(
-        selectedVendor.email,
-        'Payment Received',
-        `Payment of ₹${order.payment?.amount?.toLocaleString('en-IN') || '0'} received for order #${order.orderId}`,
-        'success',
-        {
-          orderId: order.orderId,
-          amount: order.payment?.amount || 0,
-          type: 'payment_received'
-        }
-      );
-    }
-
-    // Notify other vendors that they were not selected
-    if (Array.isArray(requestedVendors)) {
-      for (const vendor of requestedVendors) {
-        if (vendor && vendor.email) {
-          const message = vendor.didQuote
-            ? `Another vendor was selected for order #${order.orderId}`
-            : `Order #${order.orderId} has been assigned to another vendor`;
-
-          await this.sendVendorNotification(
-            vendor.email,
-            'Order Assigned',
-            message,
-            'info',
-            {
-              orderId: order.orderId,
-              type: 'order_assigned_to_other'
-            }
-          );
-        }
+      const vendorUser = await userStorage.getById(vendor.userId);
+      if (vendorUser) {
+        await this._deliver(vendorUser, {
+          template: 'order_cancelled_vendor',
+          variables: { orderId: order.id },
+          type: 'warning',
+          data
+        }, 'vendor');
       }
     }
   }
@@ -964,17 +535,16 @@ class NotificationService {
       return;
     }
 
-    await this.sendUserNotification(
-      order.userEmail,
-      'Refund Processed',
-      `A refund of ₹${amount.toLocaleString('en-IN')} has been processed for your order #${order.orderId}`,
-      'info',
-      {
+    await this._deliver(await this._getUser(order.userEmail), {
+      template: 'refund_processed',
+      variables: { orderId: order.orderId, amount },
+      type: 'info',
+      data: {
         orderId: order.orderId,
         amount: amount,
         type: 'refund_processed'
       }
-    );
+    });
   }
 
   /**
@@ -988,17 +558,16 @@ class NotificationService {
       return;
     }
 
-    await this.sendUserNotification(
-      user.email,
-      'Verify Your Inventory',
-      `Please verify the condition of your items for order #${order.orderId}. This helps ensure everything arrived in good condition.`,
-      'info',
-      {
+    await this._deliver(await this._getUser(user.email), {
+      template: 'inventory_verification_reminder',
+      variables: { orderId: order.orderId },
+      type: 'info',
+      data: {
         orderId: order.orderId,
         inventoryId: order.inventoryId,
         type: 'inventory_verification_reminder'
       }
-    );
+    });
   }
 
   /**
@@ -1015,60 +584,33 @@ class NotificationService {
         return;
       }
 
+      const variables = { orderId: order.orderId, itemName };
+      const data = {
+        orderId: order.orderId,
+        inventoryId: order.inventoryId,
+        itemName,
+        type: 'inventory_condition_update'
+      };
+
       // Notify user
       if (user && user.email) {
-        await this.sendUserNotification(
-          user.email,
-          'Item Condition Updated',
-          `The condition of "${itemName}" has been updated for your order #${order.orderId}.`,
-          'info',
-          {
-            orderId: order.orderId,
-            inventoryId: order.inventoryId,
-            itemName,
-            type: 'inventory_condition_update'
-          }
-        );
+        await this._deliver(await this._getUser(user.email), {
+          template: 'inventory_condition_update',
+          variables,
+          type: 'info',
+          data
+        });
       }
 
       // Notify vendor
       if (vendor && vendor.email) {
-        await this.sendVendorNotification(
-          vendor.email,
-          'Item Condition Updated',
-          `The customer has updated the condition of "${itemName}" for order #${order.orderId}.`,
-          'info',
-          {
-            orderId: order.orderId,
-            inventoryId: order.inventoryId,
-            itemName,
-            type: 'inventory_condition_update'
-          }
-        );
+        await this._deliver(await this._getUser(vendor.email), {
+          template: 'inventory_condition_update_vendor',
+          variables,
+          type: 'info',
+          data
+        }, 'vendor');
       }
-
-      // Track notification event for user
-      await analyticsService.trackEvent('notification_sent', {
-        recipientType: 'user',
-        userEmail: user.email,
-        notificationType: 'inventory_condition_update',
-        channel: 'email',
-        orderId: order.orderId,
-        inventoryId: order.inventoryId,
-        itemName: itemName
-      });
-      
-      // Track notification event for vendor
-      await analyticsService.trackEvent('notification_sent', {
-        recipientType: 'vendor',
-        vendorId: vendor.vendorId,
-        vendorEmail: vendor.email,
-        notificationType: 'inventory_condition_update',
-        channel: 'email',
-        orderId: order.orderId,
-        inventoryId: order.inventoryId,
-        itemName: itemName
-      });
     } catch (error) {
       console.error('Error sending inventory condition update notification:', error);
     }
@@ -1076,7 +618,7 @@ class NotificationService {
 
   /**
    * Send notification about inventory verification completion
-   * @param {Object} order - Order details
+   * @param {Object} order - Order details, with the verified `inventory.items` if known
    * @param {Object} vendor - Vendor details
    * @returns {Promise<void>}
    */
@@ -1086,28 +628,23 @@ class NotificationService {
         return;
       }
 
-      await this.sendVendorNotification(
-        vendor.email,
-        'Inventory Verification Completed',
-        `The customer has verified the inventory for order #${order.orderId}. You can now mark the order as completed.`,
-        'success',
-        {
+      await this._deliver(await this._getUser(vendor.email), {
+        template: 'inventory_verification_completed',
+        variables: {
+          orderId: order.orderId,
+          items: (order.inventory?.items || []).map(item => ({
+            name: item.name,
+            quantity: item.quantity || 1,
+            condition: item.condition
+          }))
+        },
+        type: 'success',
+        data: {
           orderId: order.orderId,
           inventoryId: order.inventoryId,
           type: 'inventory_verification_completed'
         }
-      );
-
-      // Track notification event
-      await analyticsService.trackEvent('notification_sent', {
-        recipientType: 'vendor',
-        vendorId: vendor.vendorId,
-        vendorEmail: vendor.email,
-        notificationType: 'inventory_verification_completed',
-        channel: 'email',
-        orderId: order.orderId,
-        inventoryId: order.inventoryId
-      });
+      }, 'vendor');
     } catch (error) {
       console.error('Error sending inventory verification completed notification:', error);
     }
@@ -1132,48 +669,29 @@ class NotificationService {
       return;
     }
 
-    // Create notification content
-    const title = 'New Delivery Assignment';
-    const message = `You have been assigned a new parcel delivery from ${order.pickupPincode} to ${order.destinationPincode}. Please check your dashboard for details.`;
-    
     // Get user by email (rider's user account)
     const user = await userStorage.getByEmail(rider.email);
     if (!user) {
       console.warn(`User with email ${rider.email} not found for rider notification`);
       return;
     }
-    
-    // Create notification in database
-    await notificationStorage.create({
-      userId: user.id,
-      type: 'in_app',
-      title,
-      message,
-      isRead: false,
-      metadata: {
+
+    await this._deliver(user, {
+      template: 'delivery_assignment',
+      variables: {
+        orderId,
+        pickupPincode: order.pickupPincode,
+        destinationPincode: order.destinationPincode
+      },
+      type: 'info',
+      data: {
         orderId,
         type: 'delivery_assignment',
         pickupPincode: order.pickupPincode,
         destinationPincode: order.destinationPincode
       },
-      createdAt: new Date()
-    });
-    
-    // Send SMS if phone number is available
-    if (rider.phone) {
-      await this.sendSMS(
-        rider.phone,
-        `${title}: ${message}`
-      );
-    }
-    
-    // Send WhatsApp if available
-    if (rider.whatsapp) {
-      await this.sendWhatsApp(
-        rider.whatsapp,
-        `${title}: ${message}`
-      );
-    }
+      to: { sms: rider.phone, whatsapp: rider.whatsapp }
+    }, 'rider');
   }
 
   /**
@@ -1188,17 +706,16 @@ class NotificationService {
       return;
     }
 
-    await this.sendUserNotification(
-      user.email,
-      'Rider Assigned to Your Delivery',
-      `${rider.name} has been assigned to deliver your parcel. You can track the delivery in real-time from your dashboard.`,
-      'success',
-      {
+    await this._deliver(await this._getUser(user.email), {
+      template: 'rider_assigned',
+      variables: { orderId: order.orderId, riderName: rider.name },
+      type: 'success',
+      data: {
         orderId: order.orderId,
         riderId: rider.riderId,
         type: 'rider_assigned'
       }
-    );
+    });
   }
 
   /**
@@ -1213,40 +730,320 @@ class NotificationService {
       return;
     }
 
-    let title = 'Delivery Status Update';
-    let message = `Your delivery status has been updated to: ${status}`;
-    
-    switch (status) {
-      case 'Picked Up':
-        message = 'Your parcel has been picked up and is on the way to the destination.';
-        break;
-      case 'In Transit':
-        message = 'Your parcel is in transit and will be delivered soon.';
-        break;
-      case 'Delivered':
-        title = 'Parcel Delivered';
-        message = 'Your parcel has been delivered successfully. Thank you for using our service!';
-        break;
-      case 'Failed Delivery':
-        title = 'Delivery Attempt Failed';
-        message = 'We attempted to deliver your parcel but were unable to complete the delivery. Please check your dashboard for more details.';
-        break;
-    }
-
-    await this.sendUserNotification(
-      user.email,
-      title,
-      message,
-      status === 'Delivered' ? 'success' : 'info',
-      {
+    await this._deliver(await this._getUser(user.email), {
+      template: 'delivery_status_update',
+      variables: {
+        orderId: order.orderId,
+        status,
+        pickedUp: status === 'Picked Up',
+        inTransit: status === 'In Transit',
+        delivered: status === 'Delivered',
+        failed: status === 'Failed Delivery'
+      },
+      type: status === 'Delivered' ? 'success' : 'info',
+      data: {
         orderId: order.orderId,
         type: 'delivery_status_update',
         status
       }
-    );
+    });
+  }
+
+  /**
+   * Send the delivery OTP the recipient hands to the rider at the door
+   * @param {Object} order - Order object
+   * @param {Object} user - User object
+   * @param {string} otp - Delivery OTP
+   * @returns {Promise<void>}
+   */
+  async sendDeliveryOtpNotification(order, user, otp) {
+    if (!order || !user || !otp) {
+      return;
+    }
+
+    await this._deliver(await this._getUser(user.email), {
+      template: 'delivery_otp',
+      variables: { orderId: order.id.substring(0, 8), otp },
+      type: 'info',
+      data: {
+        orderId: order.id,
+        type: 'delivery_otp'
+      },
+      whatsappFlow: { flow: 'delivery_otp', orderId: order.id }
+    });
+  }
+
+  /**
+   * Queue the email digests that are due. Collected emails are claimed before their digest
+   * is queued, so overlapping runs don't queue it twice; if queueing fails they're released
+   * for the next run. Sending is then up to the outbox (notificationOutboxService).
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} - { queued, digests, failed }
+   */
+  async queueDeferredNotifications({ now = new Date() } = {}) {
+    const prisma = require('../prisma');
+    const due = await prisma.deferredNotification.findMany({
+      where: { sentAt: null, sendAfter: { lte: now } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const summary = { queued: 0, digests: 0, failed: 0 };
+    const digests = new Map();
+
+    const claim = async (id) => {
+      const { count } = await prisma.deferredNotification.updateMany({
+        where: { id, sentAt: null },
+        data: { sentAt: new Date() }
+      });
+      return count === 1;
+    };
+    const release = ids => prisma.deferredNotification.updateMany({
+      where: { id: { in: ids } },
+      data: { sentAt: null }
+    });
+
+    for (const deferred of due) {
+      if (deferred.reason === 'digest') {
+        digests.set(deferred.userId, [...(digests.get(deferred.userId) || []), deferred]);
+        continue;
+      }
+
+      // Held for quiet hours before holds moved to the outbox
+      if (!(await claim(deferred.id))) continue;
+      try {
+        await this._enqueue(deferred.userId, deferred.channel, deferred.category, deferred.eventType, JSON.parse(deferred.payload));
+        summary.queued++;
+      } catch (error) {
+        console.error(`Error queueing deferred notification ${deferred.id}:`, error);
+        await release([deferred.id]);
+        summary.failed++;
+      }
+    }
+
+    for (const [userId, items] of digests) {
+      const claimed = [];
+      for (const item of items) {
+        if (await claim(item.id)) claimed.push(item);
+      }
+      if (claimed.length === 0) continue;
+
+      try {
+        const digest = await this._buildDigest(userId, claimed.map(item => JSON.parse(item.payload)));
+        await this._enqueue(userId, 'email', 'digest', 'digest', digest);
+        summary.digests++;
+      } catch (error) {
+        console.error(`Error queueing notification digest for user ${userId}:`, error);
+        await release(claimed.map(item => item.id));
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Queue a notification on each channel the recipient's preferences allow, to be sent
+   * now or when their quiet hours end, or collect it for a digest. In-app and urgent
+   * messages are sent straight away; the rest are left to the outbox worker.
+   * @param {Object} user - Recipient's user record
+   * @param {Object} notification - { template, variables, title, message, type, data, email, sms, whatsapp, to, whatsappFlow }
+   * @param {string} recipientType - user, vendor or rider, for analytics
+   * @returns {Promise<Object|null>} - The in-app outbox message, or null
+   * @private
+   */
+  async _deliver(user, notification, recipientType = 'user') {
+    const { type = 'info', data = {} } = notification;
+    const eventType = data.type || 'general';
+
+    notification = await this._render(user, notification, eventType);
+    if (!notification.title || !notification.message) {
+      console.error(`Notification ${notification.template || eventType} to ${user.email} has no title or message`);
+      return null;
+    }
+
+    const plan = await notificationPreferenceService.planDelivery(user.id, eventType, { notificationType: type });
+
+    let inAppMessage = null;
+    for (const [channel, { action, sendAfter }] of Object.entries(plan.channels)) {
+      if (action === 'skip' || !(await notificationOutboxService.isChannelConfigured(channel))) continue;
+
+      let payload = this._buildPayload(channel, user, notification);
+      if (!payload) continue;
+
+      // A question the customer can answer from WhatsApp opens a session for the reply
+      const whatsappFlow = channel === 'whatsapp' && action !== 'digest' ? notification.whatsappFlow : null;
+
+      try {
+        if (whatsappFlow) {
+          payload = await whatsappSessionService.addReplyOptions(payload, whatsappFlow.flow, whatsappFlow.context);
+        }
+
+        if (action === 'digest') {
+          await this._defer(user.id, channel, plan.category, eventType, payload, sendAfter);
+        } else {
+          const message = await this._enqueue(user.id, channel, plan.category, eventType, payload, {
+            sendAfter: action === 'hold' ? sendAfter : null,
+            dispatch: channel === 'inApp' || plan.urgent
+          });
+          if (channel === 'inApp') inAppMessage = message;
+          if (whatsappFlow) {
+            await whatsappSessionService.openSession({
+              ...whatsappFlow,
+              userId: user.id,
+              phone: payload.to,
+              notificationMessageId: message.id
+            });
+          }
+        }
+
+        await analyticsService.trackEvent(action === 'send' ? 'notification_sent' : 'notification_deferred', {
+          recipient: recipientType,
+          [recipientType === 'vendor' ? 'vendorEmail' : 'userEmail']: user.email,
+          notificationType: type,
+          dataType: eventType,
+          category: plan.category,
+          channel: channel === 'inApp' ? 'in_app' : channel,
+          ...(action !== 'send' && { deferredUntil: sendAfter })
+        });
+      } catch (error) {
+        console.error(`Error queueing ${channel} notification to ${user.email}:`, error);
+      }
+    }
+
+    return inAppMessage;
+  }
+
+  /**
+   * Fill in a notification's content from its templates. Notifications name their template;
+   * other events (those without a message of their own in lib/notificationTemplates.js)
+   * use a stored template named after the event if there is one, which can reword the
+   * title and message the sender gave.
+   * @private
+   */
+  async _render(user, notification, eventType) {
+    const name = notification.template || (TEMPLATE_VARIABLES[eventType] ? null : eventType);
+    if (!name) {
+      return notification;
+    }
+
+    let rendered;
+    try {
+      rendered = await notificationTemplateService.renderMessage(name, user.language, {
+        userName: user.name,
+        title: notification.title,
+        message: notification.message,
+        ...notification.variables
+      });
+    } catch (error) {
+      console.error(`Error rendering notification ${name}:`, error);
+      return notification;
+    }
+
+    return {
+      ...notification,
+      title: rendered.inApp?.title || notification.title || rendered.email?.subject,
+      message: rendered.inApp?.message || notification.message || rendered.email?.text,
+      email: rendered.email || notification.email,
+      sms: rendered.sms?.body || notification.sms,
+      whatsapp: rendered.whatsapp?.body || notification.whatsapp
+    };
+  }
+
+  /**
+   * The message for one channel, or null if the user can't be reached on it
+   * @private
+   */
+  _buildPayload(channel, user, { title, message, data = {}, email, sms, whatsapp, to = {} }) {
+    switch (channel) {
+      case 'inApp':
+        return { userId: user.id, title, message, data };
+      case 'email':
+        return user.email
+          ? {
+              to: user.email,
+              subject: email?.subject || title,
+              text: email?.text || message,
+              html: email?.html || `<h2>${title}</h2><p>${message}</p>`
+            }
+          : null;
+      case 'sms':
+        return to.sms || user.phone
+          ? { to: to.sms || user.phone, body: sms || `${title}: ${message}` }
+          : null;
+      case 'whatsapp':
+        return to.whatsapp || user.phone
+          ? { to: to.whatsapp || user.phone, body: whatsapp || `${title}: ${message}` }
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Put one channel's message in the outbox
+   * @private
+   */
+  _enqueue(userId, channel, category, eventType, payload, { sendAfter = null, dispatch = false } = {}) {
+    return notificationOutboxService.enqueue({
+      userId,
+      channel,
+      recipient: channel === 'inApp' ? payload.userId : payload.to,
+      eventType,
+      category,
+      subject: channel === 'inApp' ? payload.title : payload.subject || null,
+      payload,
+      sendAfter
+    }, { dispatch });
+  }
+
+  /**
+   * @private
+   */
+  async _defer(userId, channel, category, eventType, payload, sendAfter) {
+    const prisma = require('../prisma');
+    await prisma.deferredNotification.create({
+      data: {
+        userId,
+        channel,
+        category,
+        eventType,
+        reason: 'digest',
+        payload: JSON.stringify(payload),
+        sendAfter
+      }
+    });
+  }
+
+  /**
+   * One email listing the emails collected for a digest, from the digest template
+   * @private
+   */
+  async _buildDigest(userId, emails) {
+    const user = await userStorage.getById(userId);
+    const { email } = await notificationTemplateService.renderMessage('digest', user?.language, {
+      userName: user?.name,
+      count: emails.length,
+      single: emails.length === 1,
+      updates: emails.map(({ subject, text }) => ({ subject, text }))
+    });
+    if (!email) {
+      throw new Error('The digest email template could not be rendered');
+    }
+    return { to: emails[0].to, ...email };
+  }
+
+  /**
+   * @private
+   */
+  async _getUser(email) {
+    const user = await userStorage.getByEmail(email);
+    if (!user) {
+      throw new Error(`User with email ${email} not found`);
+    }
+    return user;
   }
 }
 
 // Export a singleton instance
 const notificationService = new NotificationService();
-module.exports = { notificationService }; 
\ No newline at end of file
+module.exports = { notificationService };
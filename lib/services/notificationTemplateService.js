@@ -0,0 +1,356 @@
+/**
+ * Notification Template Service
+ *
+ * Renders the messages notificationService sends from notification templates (see
+ * lib/notificationTemplates.js for the messages and their variables, and lib/templateEngine.js
+ * for the template language). Stored templates win over the bundled defaults, so admins can
+ * reword any message or add a language for it without a deploy.
+ */
+
+import { notificationTemplateStorage } from '../storage';
+import { renderTemplate, validateTemplate, textToHtml } from '../templateEngine';
+import {
+  DEFAULT_LANGUAGE,
+  DEFAULT_TEMPLATES,
+  SUPPORTED_LANGUAGES,
+  TEMPLATE_CHANNELS,
+  getTemplateVariables,
+  getExampleValues
+} from '../notificationTemplates';
+
+const TEMPLATES_TTL_MS = 60000;
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+class NotificationTemplateService {
+  constructor() {
+    this.cachedTemplates = null;
+    this.cachedTemplatesAt = 0;
+  }
+
+  /**
+   * List stored templates. The bundled defaults are stored the first time, so admins have
+   * something to edit.
+   * @param {Object} filters - { name, type, language }
+   * @returns {Promise<Array>} - Templates
+   */
+  async getTemplates(filters = {}) {
+    if ((await notificationTemplateStorage.count()) === 0) {
+      for (const template of DEFAULT_TEMPLATES) {
+        await notificationTemplateStorage.create({ ...template, variables: getTemplateVariables(template.name) });
+      }
+      this._clearCache();
+    }
+    return notificationTemplateStorage.getAll(filters);
+  }
+
+  /**
+   * Get a stored template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object|null>} - Template or null if not found
+   */
+  async getTemplate(templateId) {
+    return notificationTemplateStorage.getById(templateId);
+  }
+
+  /**
+   * Store a template
+   * @param {Object} templateData - { name, type, language, subject, content, description }
+   * @returns {Promise<Object>} - Created template
+   * @throws {Error} - If the template is invalid or one already exists for its message, channel and language
+   */
+  async createTemplate(templateData) {
+    const template = this._prepare(templateData);
+
+    if (await notificationTemplateStorage.getByName(template.name, template.type, template.language)) {
+      throw new Error(`There is already a ${template.type} template for ${template.name} in ${SUPPORTED_LANGUAGES[template.language]}`);
+    }
+
+    const created = await notificationTemplateStorage.create(template);
+    this._clearCache();
+    return created;
+  }
+
+  /**
+   * Update a stored template
+   * @param {string} templateId - Template ID
+   * @param {Object} templateData - Fields to change
+   * @returns {Promise<Object>} - Updated template
+   * @throws {Error} - If the template doesn't exist or the result is invalid
+   */
+  async updateTemplate(templateId, templateData) {
+    const existing = await notificationTemplateStorage.getById(templateId);
+    if (!existing) {
+      throw new Error('Template not found');
+    }
+
+    const template = this._prepare({ ...existing, ...templateData });
+
+    const clash = await notificationTemplateStorage.getByName(template.name, template.type, template.language);
+    if (clash && clash.id !== templateId) {
+      throw new Error(`There is already a ${template.type} template for ${template.name} in ${SUPPORTED_LANGUAGES[template.language]}`);
+    }
+
+    const updated = await notificationTemplateStorage.update(templateId, template);
+    this._clearCache();
+    return updated;
+  }
+
+  /**
+   * Delete a stored template. Messages fall back to the bundled default, if there is one.
+   * @param {string} templateId - Template ID
+   * @returns {Promise<boolean>} - False if the template doesn't exist
+   */
+  async deleteTemplate(templateId) {
+    if (!(await notificationTemplateStorage.getById(templateId))) {
+      return false;
+    }
+    await notificationTemplateStorage.delete(templateId);
+    this._clearCache();
+    return true;
+  }
+
+  /**
+   * Check a template before it's stored
+   * @param {Object} template - { name, type, language, subject, content }
+   * @returns {Array<string>} - Problems found; empty if the template is valid
+   */
+  validateTemplate({ name, type, language, subject, content }) {
+    const errors = [];
+
+    if (!name || !NAME_PATTERN.test(name)) {
+      errors.push('Name must be the message it is for, in lowercase with underscores (e.g. quote_received)');
+    }
+    if (!TEMPLATE_CHANNELS.includes(type)) {
+      errors.push(`Type must be one of ${TEMPLATE_CHANNELS.join(', ')}`);
+    }
+    if (!SUPPORTED_LANGUAGES[language]) {
+      errors.push(`Language must be one of ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`);
+    }
+    if (!content || !content.trim()) {
+      errors.push('Content is required');
+    }
+    if ((type === 'email' || type === 'inApp') && (!subject || !subject.trim())) {
+      errors.push(type === 'email' ? 'Email templates need a subject' : 'In-app templates need a title (subject)');
+    }
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    const variables = getTemplateVariables(name);
+    return [
+      ...(subject ? validateTemplate(subject, variables).map(error => `Subject: ${error}`) : []),
+      ...validateTemplate(content, variables).map(error => `Content: ${error}`)
+    ];
+  }
+
+  /**
+   * Render a message on every channel it has a template for
+   * @param {string} name - Template name, e.g. quote_received
+   * @param {string} language - Recipient's language
+   * @param {Object} values - Variable values
+   * @returns {Promise<Object>} - { inApp: { title, message }, email: { subject, text, html }, sms: { body }, whatsapp: { body } },
+   *   with only the channels that have a template
+   */
+  async renderMessage(name, language, values) {
+    const rendered = {};
+
+    for (const channel of TEMPLATE_CHANNELS) {
+      const template = await this._findTemplate(name, channel, language);
+      if (!template) continue;
+
+      let result;
+      try {
+        result = this._render(template, values);
+      } catch (error) {
+        console.error(`Error rendering ${channel} template ${name} (${template.language}):`, error);
+        continue;
+      }
+
+      switch (channel) {
+        case 'inApp':
+          rendered.inApp = { title: result.subject, message: result.content };
+          break;
+        case 'email':
+          rendered.email = { subject: result.subject, text: result.content, html: textToHtml(result.content) };
+          break;
+        default:
+          rendered[channel] = { body: result.content };
+      }
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Render a template, stored or not, against an order or example values
+   * @param {Object} template - { name, type, language, subject, content }
+   * @param {Object} options - { orderId, values }: variables from the order (the latest one if not
+   *   given), with values overriding them
+   * @returns {Promise<Object>} - { subject, content, html, values, errors }; errors lists problems
+   *   with the template, in which case nothing is rendered
+   */
+  async previewTemplate(template, { orderId, values = {} } = {}) {
+    const language = template.language || DEFAULT_LANGUAGE;
+    const errors = this.validateTemplate({ ...template, language });
+    const sampleValues = { ...(await this.getSampleValues(template.name, orderId)), ...values };
+
+    if (errors.length > 0) {
+      return { subject: null, content: null, html: null, values: sampleValues, errors };
+    }
+
+    const result = this._render({ ...template, language }, sampleValues);
+    return {
+      ...result,
+      html: template.type === 'email' ? textToHtml(result.content) : null,
+      values: sampleValues,
+      errors
+    };
+  }
+
+  /**
+   * Values for a template's variables from an order, for previews. Variables the order
+   * doesn't have keep their example values.
+   * @param {string} name - Template name
+   * @param {string} orderId - Order ID or number; the latest order if not given
+   * @returns {Promise<Object>}
+   */
+  async getSampleValues(name, orderId) {
+    const prisma = require('../prisma');
+    const examples = getExampleValues(name);
+
+    const include = {
+      customer: true,
+      vendor: true,
+      rider: { include: { user: true } },
+      quotes: { include: { vendor: true }, orderBy: { amount: 'asc' } },
+      inventory: true
+    };
+    const order = orderId
+      ? await prisma.order.findFirst({ where: { OR: [{ id: orderId }, { orderNumber: orderId }] }, include })
+      : await prisma.order.findFirst({ orderBy: { createdAt: 'desc' }, include });
+    if (!order) {
+      if (orderId) {
+        throw new Error('Order not found');
+      }
+      return examples;
+    }
+
+    let items = [];
+    try {
+      items = JSON.parse(order.inventory?.[0]?.items || order.items || '[]');
+    } catch (error) {
+      // Keep the example items
+    }
+
+    const fromOrder = {
+      userName: order.customer?.name,
+      orderId: order.orderNumber,
+      moveSize: order.moveSize,
+      pickupPincode: order.pickupPincode,
+      destinationPincode: order.destinationPincode,
+      moveDate: order.moveDate,
+      amount: order.amount,
+      status: order.status,
+      vendorName: order.vendor?.businessName || order.quotes[0]?.vendor?.businessName,
+      selectedVendorName: order.vendor?.businessName,
+      riderName: order.rider?.user?.name,
+      quotes: order.quotes.length > 0
+        ? order.quotes.map(quote => ({ vendorName: quote.vendor?.businessName, amount: quote.amount }))
+        : undefined,
+      items: Array.isArray(items) && items.length > 0
+        ? items.map(item => ({ name: item.name, quantity: item.quantity || 1, condition: item.condition || 'Good' }))
+        : undefined
+    };
+
+    return Object.fromEntries(Object.keys(examples).map(key => [
+      key,
+      fromOrder[key] !== undefined && fromOrder[key] !== null ? fromOrder[key] : examples[key]
+    ]));
+  }
+
+  /**
+   * The template to send: the stored one in the language, then the bundled one in it,
+   * then the same in English
+   * @private
+   */
+  async _findTemplate(name, type, language) {
+    const stored = await this._getStoredTemplates();
+    const languages = language && language !== DEFAULT_LANGUAGE ? [language, DEFAULT_LANGUAGE] : [DEFAULT_LANGUAGE];
+
+    for (const lang of languages) {
+      const key = `${name}:${type}:${lang}`;
+      const template = stored.get(key)
+        || DEFAULT_TEMPLATES.find(t => t.name === name && t.type === type && t.language === lang);
+      if (template) return template;
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _render(template, values) {
+    const variables = getTemplateVariables(template.name);
+    const options = { language: template.language };
+    return {
+      subject: template.subject ? renderTemplate(template.subject, variables, values, options).trim() : null,
+      content: renderTemplate(template.content, variables, values, options).trim()
+    };
+  }
+
+  /**
+   * Validate template data and fill in its variables
+   * @private
+   */
+  _prepare(templateData) {
+    const template = {
+      name: templateData.name,
+      type: templateData.type,
+      language: templateData.language || DEFAULT_LANGUAGE,
+      subject: templateData.subject || null,
+      content: templateData.content,
+      description: templateData.description || null
+    };
+
+    const errors = this.validateTemplate(template);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    // The variables come from the message, so admins can see what a template may use
+    return { ...template, variables: getTemplateVariables(template.name) };
+  }
+
+  /**
+   * Stored templates by name, channel and language
+   * @private
+   */
+  async _getStoredTemplates() {
+    if (this.cachedTemplates && Date.now() - this.cachedTemplatesAt < TEMPLATES_TTL_MS) {
+      return this.cachedTemplates;
+    }
+
+    const templates = new Map();
+    try {
+      for (const template of await notificationTemplateStorage.getAll()) {
+        templates.set(`${template.name}:${template.type}:${template.language}`, template);
+      }
+    } catch (error) {
+      console.error('Error loading notification templates, using the defaults:', error);
+    }
+
+    this.cachedTemplates = templates;
+    this.cachedTemplatesAt = Date.now();
+    return templates;
+  }
+
+  /**
+   * @private
+   */
+  _clearCache() {
+    this.cachedTemplates = null;
+  }
+}
+
+export const notificationTemplateService = new NotificationTemplateService();
@@ -4,12 +4,32 @@ import { notificationService } from './notificationService';
 import { reviewService } from './reviewService';
 import { analyticsService } from './analyticsService';
 import { calculateMovingCost, getQuickEstimate, getDetailedEstimate } from './pricingService';
-import { riderService } from './riderService';
+import { dispatchService } from './dispatchService';
+import { proofOfDeliveryService } from './proofOfDeliveryService';
+import { orderStateMachine, SYSTEM_ACTOR } from './orderStateMachine';
+import { quoteService } from './quoteService';
+import { ORDER_STATUSES, getStatusVariants, normalizeOrderStatus } from '../orderLifecycle';
+
+/**
+ * Parse the { lat, lon } of a stop pinned on the booking form
+ * @param {Object} location - { lat, lon }
+ * @returns {Object|null} - { lat, lon }, or null if missing or out of range
+ */
+function parseStopLocation(location) {
+  if (!location) return null;
+  const lat = parseFloat(location.lat);
+  const lon = parseFloat(location.lon);
+  if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    return null;
+  }
+  return { lat, lon };
+}
 
 export class OrderService {
   /**
    * Create a new order
    * @param {Object} orderData - Order data including pickup/destination pincodes, move size, date, etc.
+   *   and optionally the pinned `pickupLocation` and `destinationLocation` as { lat, lon }
    * @returns {Promise<Object>} - Created order with ID
    */
   async createOrder(orderData) {
@@ -49,6 +69,9 @@ export class OrderService {
     // Initialize status history for bottleneck analysis
     const createdAt = new Date();
     
+    const pickupLocation = parseStopLocation(orderData.pickupLocation);
+    const destinationLocation = parseStopLocation(orderData.destinationLocation);
+
     // Create new order object
     const orderToCreate = {
       id: uuidv4(),
@@ -56,12 +79,16 @@ export class OrderService {
       customerId: user.id,
       vendorId: null,
       riderId: null,
-      status: 'Initiated',
+      status: ORDER_STATUSES.INITIATED,
       orderType: orderType || 'moving',
       pickupAddress: orderData.pickupAddress,
       pickupPincode: pickupPincode,
       destinationAddress: orderData.destinationAddress,
       destinationPincode: destinationPincode,
+      pickupLat: pickupLocation ? pickupLocation.lat : null,
+      pickupLon: pickupLocation ? pickupLocation.lon : null,
+      destinationLat: destinationLocation ? destinationLocation.lat : null,
+      destinationLon: destinationLocation ? destinationLocation.lon : null,
       moveSize: moveSize || null,
       moveDate: moveDate ? new Date(moveDate) : null,
       specialInstructions: orderData.specialInstructions || null,
@@ -76,7 +103,7 @@ export class OrderService {
     const newOrder = await orderStorage.create(orderToCreate);
 
     // Add initial status history entry
-    await this.addStatusHistoryEntry(newOrder.id, 'Initiated', 'Order created');
+    await this.addStatusHistoryEntry(newOrder.id, ORDER_STATUSES.INITIATED, 'Order created');
 
     // Track order creation event
     await analyticsService.trackEvent('order_created', {
@@ -90,30 +117,25 @@ export class OrderService {
       orderType: orderType
     });
 
-    // For parcel delivery orders, automatically assign a rider
+    // For parcel delivery orders, automatically offer the order to nearby riders
     if (orderType === 'parcel') {
       try {
         // Get location data for pickup
         const pincode = await pincodeStorage.getByCode(pickupPincode);
         
-        if (pincode && pincode.latitude && pincode.longitude) {
+        if (pincode && pincode.lat && pincode.lon) {
           const pickupLocation = {
-            lat: pincode.latitude.toString(),
-            lon: pincode.longitude.toString()
+            lat: pincode.lat,
+            lon: pincode.lon
           };
           
-          // Assign rider
-          const rider = await riderService.assignRiderToDelivery(newOrder.id, pickupLocation);
-          
-          // Send notification to user
-          if (user) {
-            await notificationService.sendUserRiderAssignmentNotification(newOrder, user, rider);
-          }
+          // The customer is notified by the state machine once a rider accepts
+          await dispatchService.dispatchOrder(newOrder.id, pickupLocation);
         } else {
-          console.warn(`Could not find location data for pincode ${pickupPincode}, rider assignment skipped`);
+          console.warn(`Could not find location data for pincode ${pickupPincode}, rider dispatch skipped`);
         }
       } catch (error) {
-        console.error('Error assigning rider to parcel delivery:', error);
+        console.error('Error dispatching parcel delivery to riders:', error);
         // Continue without rider assignment if there's an error
       }
     }
@@ -176,6 +198,7 @@ export class OrderService {
       destinationPincode: order.destinationPincode,
       moveSize: order.moveSize,
       moveDate: order.moveDate,
+      moveDateConfirmedAt: order.moveDateConfirmedAt,
       specialInstructions: order.specialInstructions,
       status: order.status,
       vendorId: order.vendorId,
@@ -314,38 +337,38 @@ export class OrderService {
       throw new Error('Unauthorized to update this order');
     }
 
-    // Validate status transition if status is being updated
-    if (updates.status && updates.status !== order.status) {
-      const isValidTransition = this.validateStatusTransition(order.status, updates.status);
-      if (!isValidTransition && !isAdmin && !isSystem) {
-        throw new Error(`Invalid status transition from ${order.status} to ${updates.status}`);
-      }
-    }
+    // Status changes go through the order state machine, everything else is a plain update
+    const { status: newStatus, statusNote, ...fieldUpdates } = updates;
+    const isStatusChange = newStatus && normalizeOrderStatus(newStatus) !== normalizeOrderStatus(order.status);
 
     // Prepare update data
     const updateData = {
-      ...updates,
+      ...fieldUpdates,
       updatedAt: new Date()
     };
 
     // If moveDate is provided, convert it to a Date object
     if (updates.moveDate) {
       updateData.moveDate = new Date(updates.moveDate);
+
+      // A new date has to be confirmed again
+      if (updates.moveDateConfirmedAt === undefined &&
+          updateData.moveDate.getTime() !== new Date(order.moveDate).getTime()) {
+        updateData.moveDateConfirmedAt = null;
+      }
     }
 
     // Update the order
-    const updatedOrder = await orderStorage.update(orderId, updateData);
-
-    // Add status history entry if status changed
-    if (updates.status && updates.status !== order.status) {
-      await this.addStatusHistoryEntry(
-        orderId, 
-        updates.status, 
-        updates.statusNote || `Status updated from ${order.status} to ${updates.status}`
-      );
-
-      // Send notifications for status change
-      await this.sendStatusChangeNotifications(updatedOrder, updates.status);
+    await orderStorage.update(orderId, updateData);
+
+    // Apply the status change; admins may override the lifecycle, as before
+    if (isStatusChange) {
+      const actorRole = isSystem ? 'system' : isAdmin ? 'admin' : isAssignedVendor ? 'vendor' : 'customer';
+      await orderStateMachine.transition(orderId, newStatus, {
+        actor: { role: actorRole, email: isSystem ? null : userEmail },
+        notes: statusNote,
+        force: isAdmin && !orderStateMachine.canTransition(order.status, newStatus, 'admin')
+      });
     }
 
     // Track order update event
@@ -354,8 +377,8 @@ export class OrderService {
       userEmail: userEmail,
       userRole: userRole,
       updatedFields: Object.keys(updates),
-      previousStatus: updates.status ? order.status : undefined,
-      newStatus: updates.status
+      previousStatus: isStatusChange ? order.status : undefined,
+      newStatus: isStatusChange ? newStatus : undefined
     });
 
     // Return the updated order in the expected format
@@ -391,18 +414,11 @@ export class OrderService {
     }
 
     // Update the order status if it's still in 'Initiated' status
-    if (order.status === 'Initiated') {
-      await orderStorage.update(orderId, {
-        status: 'Quotes Requested',
-        updatedAt: new Date()
+    if (normalizeOrderStatus(order.status) === ORDER_STATUSES.INITIATED) {
+      await orderStateMachine.transition(orderId, ORDER_STATUSES.QUOTES_REQUESTED, {
+        actor: { role: isAdmin ? 'admin' : 'customer', email: userEmail },
+        notes: `Quotes requested from ${vendorIds.length} vendors`
       });
-
-      // Add status history entry
-      await this.addStatusHistoryEntry(
-        orderId,
-        'Quotes Requested',
-        `Quotes requested from ${vendorIds.length} vendors`
-      );
     }
 
     // For each vendor, create a quote request
@@ -428,68 +444,23 @@ export class OrderService {
   }
 
   /**
-   * Submit a quote for an order
+   * Submit a quote for an order. Submitting again revises the vendor's quote; see
+   * quoteService for revisions, counter-offers and expiry.
    * @param {string} orderId - Order ID
    * @param {string} vendorId - Vendor ID
-   * @param {Object} quoteData - Quote data including amount, description, etc.
-   * @returns {Promise<Object>} - Created quote
+   * @param {Object} quoteData - Quote data including amount, details, expiresAt and a note
+   * @param {string} vendorEmail - Email of the submitting vendor user
+   * @returns {Promise<Object>} - The quote with its revision history
    */
-  async submitQuote(orderId, vendorId, quoteData) {
-    // Get the order
-    const order = await orderStorage.getById(orderId);
-    if (!order) {
-      throw new Error('Order not found');
-    }
-
-    // Validate quote data
-    if (!quoteData.amount) {
-      throw new Error('Quote amount is required');
-    }
-
-    // Create the quote
-    const prisma = require('../prisma');
-    const quote = await prisma.quote.create({
-      data: {
-        id: uuidv4(),
-        orderId: orderId,
-        vendorId: vendorId,
-        amount: parseFloat(quoteData.amount),
-        description: quoteData.description || null,
-        validUntil: quoteData.validUntil ? new Date(quoteData.validUntil) : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // Default 7 days
-        status: 'pending',
-        createdAt: new Date(),
-        updatedAt: new Date()
-      }
-    });
-
-    // Update order status if needed
-    if (order.status === 'Quotes Requested' || order.status === 'Initiated') {
-      await orderStorage.update(orderId, {
-        status: 'Quotes Received',
-        updatedAt: new Date()
-      });
-
-      // Add status history entry
-      await this.addStatusHistoryEntry(
-        orderId,
-        'Quotes Received',
-        'Quote received from vendor'
-      );
-    }
-
-    // Send notification to customer
-    try {
-      await notificationService.sendCustomerQuoteReceivedNotification(order, vendorId, quoteData.amount);
-    } catch (error) {
-      console.error(`Error sending quote notification for order ${orderId}:`, error);
-      // Continue even if notification fails
-    }
+  async submitQuote(orderId, vendorId, quoteData, vendorEmail = null) {
+    const quote = await quoteService.submitQuote(orderId, vendorId, quoteData, vendorEmail);
 
     // Track quote submission event
-    await analyticsService.trackEvent('quote_submitted', {
+    await analyticsService.trackEvent(quote.version > 1 ? 'quote_revised' : 'quote_submitted', {
       orderId: orderId,
       vendorId: vendorId,
-      amount: quoteData.amount
+      amount: quote.amount,
+      version: quote.version
     });
 
     return quote;
@@ -530,127 +501,15 @@ export class OrderService {
    * Validate order status transition
    * @param {string} currentStatus - Current order status
    * @param {string} newStatus - New order status
+   * @param {string} role - Role of the user making the change
    * @returns {boolean} - Whether the transition is valid
    * @throws {Error} - If the transition is invalid
    */
-  validateStatusTransition(currentStatus, newStatus) {
-    // Define valid status transitions
-    const validTransitions = {
-      'Initiated': ['Quotes Received', 'Cancelled'],
-      'Quotes Received': ['Vendor Selected', 'Cancelled'],
-      'Vendor Selected': ['Payment Pending', 'Cancelled'],
-      'Payment Pending': ['Paid', 'Cancelled'],
-      'Paid': ['In Progress', 'Cancelled'],
-      'In Progress': ['In Transit', 'Cancelled'],
-      'In Transit': ['Delivered', 'Cancelled'],
-      'Delivered': ['Completed', 'Disputed'],
-      'Completed': ['Reviewed'],
-      'Disputed': ['Resolved', 'Refunded'],
-      'Resolved': ['Completed'],
-      'Refunded': ['Closed'],
-      'Reviewed': ['Closed'],
-      'Cancelled': ['Closed']
-    };
-    
-    // Check if the transition is valid
-    if (!validTransitions[currentStatus] || !validTransitions[currentStatus].includes(newStatus)) {
-      throw new Error(`Invalid status transition from '${currentStatus}' to '${newStatus}'`);
-    }
-    
+  validateStatusTransition(currentStatus, newStatus, role = 'system') {
+    orderStateMachine.assertTransition(currentStatus, newStatus, role);
     return true;
   }
 
-  /**
-   * Send notifications when order status changes
-   * @param {Object} order - Order object
-   * @param {string} newStatus - New status
-   * @returns {Promise<void>}
-   */
-  async sendStatusChangeNotifications(order, newStatus) {
-    try {
-      const prisma = require('../prisma');
-      
-      // Get user and vendor information
-      const users = await prisma.user.findMany();
-      const vendors = await prisma.vendor.findMany({
-        include: {
-          user: true
-        }
-      });
-      
-      // Find the customer
-      const customer = users.find(user => user.id === order.customerId);
-      if (!customer) {
-        console.error(`Customer not found for order ${order.id}`);
-        return;
-      }
-      
-      // Find the vendor if assigned
-      let vendor = null;
-      if (order.vendorId) {
-        vendor = vendors.find(v => v.id === order.vendorId);
-      }
-      
-      // Prepare notification data
-      const notificationData = {
-        orderId: order.id,
-        orderNumber: order.orderNumber,
-        status: newStatus,
-        timestamp: new Date().toISOString()
-      };
-      
-      // Send notification to customer
-      await notificationService.sendNotification(
-        customer.email,
-        `Order #${order.orderNumber} Status Update`,
-        `Your order status has been updated to: ${newStatus}`,
-        'order_status_update',
-        notificationData
-      );
-      
-      // Send notification to vendor if assigned
-      if (vendor) {
-        await notificationService.sendNotification(
-          vendor.user.email,
-          `Order #${order.orderNumber} Status Update`,
-          `Order status has been updated to: ${newStatus}`,
-          'order_status_update',
-          notificationData
-        );
-      }
-      
-      // Send notification to rider if assigned
-      if (order.riderId) {
-        const rider = await prisma.rider.findUnique({
-          where: { id: order.riderId },
-          include: { user: true }
-        });
-        
-        if (rider) {
-          await notificationService.sendNotification(
-            rider.user.email,
-            `Order #${order.orderNumber} Status Update`,
-            `Order status has been updated to: ${newStatus}`,
-            'order_status_update',
-            notificationData
-          );
-        }
-      }
-      
-      // Track analytics event
-      await analyticsService.trackEvent('order_status_changed', {
-        orderId: order.id,
-        previousStatus: order.status,
-        newStatus: newStatus,
-        customerEmail: customer.email,
-        vendorEmail: vendor ? vendor.user.email : null
-      });
-    } catch (error) {
-      console.error('Error sending status change notifications:', error);
-      // Continue execution even if notifications fail
-    }
-  }
-
   /**
    * Check if inventory verification is required for an order
    * @param {string} orderId - Order ID
@@ -690,31 +549,11 @@ export class OrderService {
    * @param {string} orderId - Order ID
    * @param {string} status - New status
    * @param {string} notes - Optional notes
+   * @param {Object} actor - { role, email } of whoever triggered the change
    * @returns {Promise<Object>} - Updated order
    */
-  async updateOrderStatus(orderId, status, notes = '') {
-    // Get the order
-    const order = await orderStorage.getById(orderId);
-    if (!order) {
-      throw new Error('Order not found');
-    }
-    
-    // Update order status
-    const updatedOrder = await orderStorage.update(orderId, {
-      status: status,
-      statusNote: notes
-    });
-    
-    if (!updatedOrder) {
-      throw new Error('Failed to update order status');
-    }
-    
-    // Add status history entry
-    await this.addStatusHistoryEntry(orderId, status, notes);
-    
-    // Send notifications for status change
-    await this.sendStatusChangeNotifications(await orderStorage.getById(orderId), status);
-    
+  async updateOrderStatus(orderId, status, notes = '', actor = SYSTEM_ACTOR) {
+    await orderStateMachine.transition(orderId, status, { actor, notes });
     return await orderStorage.getById(orderId);
   }
 
@@ -722,28 +561,50 @@ export class OrderService {
    * Select vendor for order
    * @param {string} orderId - Order ID
    * @param {string} vendorId - Vendor ID
+   * @param {string} userEmail - Email of the customer selecting the vendor
    * @returns {Promise<Object>} - Updated order
    */
-  async selectVendor(orderId, vendorId) {
+  async selectVendor(orderId, vendorId, userEmail) {
     // Get the order
     const order = await orderStorage.getById(orderId);
     if (!order) {
       throw new Error('Order not found');
     }
     
-    // Check if vendor is assigned to this order
-    if (vendorId && order.selectedVendorId !== vendorId) {
-      throw new Error('Order not assigned to this vendor');
+    // Only the customer who placed the order can pick the vendor
+    if (userEmail && order.userEmail !== userEmail) {
+      throw new Error('Not authorized to select vendor for this order');
+    }
+    
+    if (!orderStateMachine.canTransition(order.status, ORDER_STATUSES.VENDOR_SELECTED, 'customer')) {
+      throw new Error('Order is not in a state where vendor can be selected');
     }
     
+    const prisma = require('../prisma');
+    const vendor = await prisma.vendor.findUnique({ where: { id: vendorId } });
+    if (!vendor) {
+      throw new Error('Vendor not found');
+    }
+    
+    const quote = await prisma.quote.findFirst({
+      where: { orderId, vendorId }
+    });
+    if (!quote) {
+      throw new Error('Vendor has not provided a quote for this order');
+    }
+    quoteService.assertBookable(quote);
+    
     // Update selected vendor
-    const updatedOrder = await orderStorage.update(orderId, {
-      vendorId: vendorId
+    await prisma.order.update({
+      where: { id: orderId },
+      data: { vendorId }
     });
     
-    if (!updatedOrder) {
-      throw new Error('Failed to select vendor');
-    }
+    await orderStateMachine.transition(orderId, ORDER_STATUSES.VENDOR_SELECTED, {
+      actor: userEmail ? { role: 'customer', email: userEmail } : SYSTEM_ACTOR,
+      notes: 'Vendor selected by customer',
+      context: { vendorId }
+    });
     
     // Track vendor selection event
     await analyticsService.trackEvent('vendor_selected', {
@@ -768,16 +629,16 @@ export class OrderService {
     }
     
     // Update payment details
-    const updatedOrder = await orderStorage.update(orderId, {
-      paidAmount: paymentDetails.amount || 0,
-      paymentStatus: 'paid',
-      status: 'Paid',
-      statusNote: 'Payment processed successfully'
+    const prisma = require('../prisma');
+    await prisma.order.update({
+      where: { id: orderId },
+      data: { paymentStatus: 'paid' }
     });
     
-    if (!updatedOrder) {
-      throw new Error('Failed to process payment');
-    }
+    // The transition is guarded on a completed Payment record existing for the order
+    await orderStateMachine.transition(orderId, ORDER_STATUSES.PAID, {
+      notes: 'Payment processed successfully'
+    });
     
     // Track payment event
     await analyticsService.trackEvent('payment_processed', {
@@ -818,15 +679,11 @@ export class OrderService {
     });
     
     // Update order status to indicate review was added
-    const updatedOrder = await orderStorage.update(orderId, {
-      status: 'Completed',
-      statusNote: 'Review added'
+    await orderStateMachine.transition(orderId, ORDER_STATUSES.REVIEWED, {
+      actor: reviewData.userEmail ? { role: 'customer', email: reviewData.userEmail } : SYSTEM_ACTOR,
+      notes: 'Review added'
     });
     
-    if (!updatedOrder) {
-      throw new Error('Failed to add review');
-    }
-    
     // Track review event
     await analyticsService.trackEvent('review_added', {
       orderId,
@@ -849,7 +706,7 @@ export class OrderService {
       const prisma = require('../prisma');
       
       // Define valid statuses for available orders
-      const availableStatuses = ['pending', 'rider_requested'];
+      const availableStatuses = getStatusVariants([ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT]);
       
       // Build the query
       const query = {
@@ -859,7 +716,11 @@ export class OrderService {
           }
         },
         include: {
-          customer: true
+          customer: true,
+          dispatchOffers: {
+            where: { status: 'offered' },
+            select: { riderId: true, expiresAt: true }
+          }
         }
       };
       
@@ -885,6 +746,12 @@ export class OrderService {
       // Filter out orders that have been declined by this rider
       // We need to do this in memory since the declinedBy field might not exist yet
       const filteredOrders = orders.filter(order => {
+        // While an order is on offer only the riders in the current batch can see it
+        if (order.dispatchOffers.length > 0 &&
+            !order.dispatchOffers.some(offer => offer.riderId === riderId)) {
+          return false;
+        }
+
         if (!order.declinedBy) return true;
         
         try {
@@ -899,14 +766,15 @@ export class OrderService {
       // Format orders for rider view
       return filteredOrders.map(order => ({
         orderId: order.id,
-        status: order.status,
+        status: normalizeOrderStatus(order.status) || order.status,
         pickupAddress: order.pickupAddress,
         destinationAddress: order.destinationAddress,
         packageDetails: order.moveSize || 'Standard Package',
         amount: order.totalAmount,
         customerName: order.customer.name,
         customerPhone: order.customer.phone,
-        requestedTime: order.moveDate || order.createdAt
+        requestedTime: order.moveDate || order.createdAt,
+        offerExpiresAt: order.dispatchOffers.find(offer => offer.riderId === riderId)?.expiresAt || null
       }));
     } catch (error) {
       console.error('Error getting available orders for rider:', error);
@@ -924,7 +792,13 @@ export class OrderService {
       const prisma = require('../prisma');
       
       // Define active statuses
-      const activeStatuses = ['accepted', 'picked_up', 'in_transit', 'out_for_delivery'];
+      const activeStatuses = getStatusVariants([
+        ORDER_STATUSES.RIDER_ASSIGNED,
+        ORDER_STATUSES.PICKED_UP,
+        ORDER_STATUSES.IN_TRANSIT,
+        ORDER_STATUSES.OUT_FOR_DELIVERY,
+        ORDER_STATUSES.FAILED_DELIVERY
+      ]);
       
       // Query orders assigned to this rider with active statuses
       const activeDeliveries = await prisma.order.findMany({
@@ -935,14 +809,15 @@ export class OrderService {
           }
         },
         include: {
-          customer: true
+          customer: true,
+          deliveryProof: true
         }
       });
       
       // Format orders for rider view
       return activeDeliveries.map(order => ({
         orderId: order.id,
-        status: order.status,
+        status: normalizeOrderStatus(order.status) || order.status,
         pickupAddress: order.pickupAddress,
         destinationAddress: order.destinationAddress,
         packageDetails: order.moveSize || 'Standard Package',
@@ -951,7 +826,8 @@ export class OrderService {
         customerPhone: order.customer.phone,
         acceptedTime: order.updatedAt,
         createdAt: order.createdAt,
-        updatedAt: order.updatedAt
+        updatedAt: order.updatedAt,
+        proof: proofOfDeliveryService.summarizeProof(order.deliveryProof)
       }));
     } catch (error) {
       console.error('Error getting active deliveries for rider:', error);
@@ -969,7 +845,12 @@ export class OrderService {
       const prisma = require('../prisma');
       
       // Define completed statuses
-      const completedStatuses = ['delivered', 'failed_delivery', 'cancelled', 'completed'];
+      const completedStatuses = getStatusVariants([
+        ORDER_STATUSES.DELIVERED,
+        ORDER_STATUSES.CANCELLED,
+        ORDER_STATUSES.COMPLETED,
+        ORDER_STATUSES.REVIEWED
+      ]);
       
       // Query orders assigned to this rider with completed statuses
       const completedDeliveries = await prisma.order.findMany({
@@ -990,7 +871,7 @@ export class OrderService {
       // Format orders for rider view
       return completedDeliveries.map(order => ({
         orderId: order.id,
-        status: order.status,
+        status: normalizeOrderStatus(order.status) || order.status,
         pickupAddress: order.pickupAddress,
         destinationAddress: order.destinationAddress,
         packageDetails: order.moveSize || 'Standard Package',
@@ -1010,9 +891,10 @@ export class OrderService {
    * Assign a rider to an order
    * @param {string} orderId - Order ID
    * @param {string} riderId - Rider ID
+   * @param {string} riderEmail - Email of the rider accepting the order
    * @returns {Promise<Object>} - Updated order
    */
-  async assignRider(orderId, riderId) {
+  async assignRider(orderId, riderId, riderEmail = null) {
     // Get the order
     const order = await orderStorage.getById(orderId);
     if (!order) {
@@ -1020,20 +902,22 @@ export class OrderService {
     }
     
     // Check if order can be assigned
-    if (order.status !== 'pending' && order.status !== 'rider_requested') {
+    if (order.riderId || !orderStateMachine.canTransition(order.status, ORDER_STATUSES.RIDER_ASSIGNED, 'rider')) {
       throw new Error('Order is not available for assignment');
     }
     
     // Update order with rider assignment
-    const updatedOrder = await orderStorage.update(orderId, {
-      riderId: riderId,
-      status: 'accepted',
-      statusNote: 'Rider accepted the order'
+    const prisma = require('../prisma');
+    await prisma.order.update({
+      where: { id: orderId },
+      data: { riderId }
     });
     
-    if (!updatedOrder) {
-      throw new Error('Failed to assign rider');
-    }
+    await orderStateMachine.transition(orderId, ORDER_STATUSES.RIDER_ASSIGNED, {
+      actor: { role: 'rider', email: riderEmail },
+      notes: 'Rider accepted the order',
+      context: { riderId }
+    });
     
     return await orderStorage.getById(orderId);
   }
@@ -1051,20 +935,48 @@ export class OrderService {
     }
     
     // Check if order can be made available
-    if (order.status !== 'pending' && order.status !== 'rider_requested') {
+    const status = normalizeOrderStatus(order.status);
+    if (status !== ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT &&
+        !orderStateMachine.canTransition(status, ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT)) {
       throw new Error('Order cannot be made available');
     }
     
-    // Update order status
-    const updatedOrder = await orderStorage.update(orderId, {
-      status: 'rider_requested',
-      statusNote: 'Order made available for riders'
+    await orderStateMachine.transition(orderId, ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT, {
+      notes: 'Order made available for riders'
     });
     
-    if (!updatedOrder) {
-      throw new Error('Failed to make order available');
+    return await orderStorage.getById(orderId);
+  }
+
+  /**
+   * Cancel an order
+   * @param {string} orderId - Order ID
+   * @param {string} userEmail - Email of the user cancelling the order
+   * @param {string} reason - Cancellation reason
+   * @returns {Promise<Object>} - Updated order
+   */
+  async cancelOrder(orderId, userEmail, reason = '') {
+    const order = await orderStorage.getById(orderId);
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    
+    const user = await userStorage.getByEmail(userEmail);
+    const isAdmin = user?.role === 'admin';
+    if (!isAdmin && order.userEmail !== userEmail) {
+      throw new Error('Not authorized to cancel this order');
     }
     
+    const role = isAdmin ? 'admin' : 'customer';
+    if (!orderStateMachine.canTransition(order.status, ORDER_STATUSES.CANCELLED, role)) {
+      throw new Error('Order cannot be cancelled in its current state');
+    }
+    
+    await orderStateMachine.transition(orderId, ORDER_STATUSES.CANCELLED, {
+      actor: { role, email: userEmail },
+      notes: reason ? `Cancelled: ${reason}` : 'Order cancelled'
+    });
+    
     return await orderStorage.getById(orderId);
   }
 }
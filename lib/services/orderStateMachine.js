@@ -0,0 +1,395 @@
+import { notificationService } from './notificationService';
+import { analyticsService } from './analyticsService';
+import { auditService } from './auditService';
+import { publishToUser } from '../socketPublisher';
+import { ORDER_ROLES, findTransition, normalizeOrderStatus } from '../orderLifecycle';
+
+export const SYSTEM_ACTOR = { role: 'system', email: null };
+
+/**
+ * A status change the lifecycle or one of its guards doesn't allow. `status` is the HTTP
+ * status to answer with: 403 when the actor's role may not make the change, else 400.
+ */
+export class OrderTransitionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OrderTransitionError';
+    this.status = status;
+  }
+}
+
+class OrderStateMachine {
+  constructor() {
+    this.guards = {};
+    this.effects = [];
+  }
+
+  /**
+   * Register a guard that transitions can reference by name
+   * @param {string} name - Guard name used in ORDER_TRANSITIONS
+   * @param {Function} guard - async (order, context) => true | string reason for rejection
+   */
+  registerGuard(name, guard) {
+    this.guards[name] = guard;
+  }
+
+  /**
+   * Register a side effect that runs after a transition is persisted
+   * @param {Function} handler - async ({ order, previousStatus, status, actor, notes, context }) => void
+   * @param {Object} filter - Optional filter
+   * @param {string|Array<string>} filter.to - Only run when moving to these statuses
+   * @param {string|Array<string>} filter.from - Only run when moving from these statuses
+   * @returns {Function} - Call to unregister the effect
+   */
+  onTransition(handler, { from, to } = {}) {
+    const effect = {
+      handler,
+      from: from ? [].concat(from).map(normalizeOrderStatus) : null,
+      to: to ? [].concat(to).map(normalizeOrderStatus) : null
+    };
+    this.effects.push(effect);
+
+    return () => {
+      this.effects = this.effects.filter(registered => registered !== effect);
+    };
+  }
+
+  /**
+   * Check whether a role may move an order between two statuses, ignoring guards
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Target status
+   * @param {string} role - Role of the actor
+   * @returns {boolean} - Whether the transition is allowed
+   */
+  canTransition(fromStatus, toStatus, role = 'system') {
+    const transition = findTransition(fromStatus, toStatus, role);
+    return !!transition && transition.roles.includes(role);
+  }
+
+  /**
+   * Validate a transition against the lifecycle definition, ignoring guards
+   * @param {string} fromStatus - Current status
+   * @param {string} toStatus - Target status
+   * @param {string} role - Role of the actor
+   * @returns {Object} - Transition definition
+   * @throws {OrderTransitionError} - If the transition or role is not allowed
+   */
+  assertTransition(fromStatus, toStatus, role = 'system') {
+    if (!normalizeOrderStatus(toStatus)) {
+      throw new OrderTransitionError(`Unknown order status '${toStatus}'`);
+    }
+
+    const transition = findTransition(fromStatus, toStatus, role);
+    if (!transition) {
+      throw new OrderTransitionError(`Invalid status transition from '${fromStatus}' to '${toStatus}'`);
+    }
+
+    if (!transition.roles.includes(role)) {
+      throw new OrderTransitionError(`Role '${role}' is not allowed to move an order from '${fromStatus}' to '${toStatus}'`, 403);
+    }
+
+    return transition;
+  }
+
+  /**
+   * Move an order to a new status, enforcing the lifecycle and running side effects.
+   * Callers are responsible for checking that the actor is party to the order.
+   * @param {string} orderId - Order ID
+   * @param {string} toStatus - Target status in any supported spelling
+   * @param {Object} options - Transition options
+   * @param {Object} options.actor - { role, email } of whoever triggered the transition
+   * @param {string} options.notes - Notes for the status history entry
+   * @param {boolean} options.force - Admin-only override of the transition map and guards
+   * @param {Object} options.context - Extra data passed to guards and side effects
+   * @returns {Promise<Object>} - Updated order row
+   * @throws {OrderTransitionError} - If the lifecycle or a guard doesn't allow the change
+   */
+  async transition(orderId, toStatus, { actor = SYSTEM_ACTOR, notes = '', force = false, context = {} } = {}) {
+    if (!ORDER_ROLES.includes(actor.role)) {
+      throw new Error(`Unknown actor role '${actor.role}'`);
+    }
+
+    if (force && actor.role !== 'admin') {
+      throw new Error('Only admins can force an order status change');
+    }
+
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const status = normalizeOrderStatus(toStatus);
+    if (!status) {
+      throw new OrderTransitionError(`Unknown order status '${toStatus}'`);
+    }
+
+    const previousStatus = normalizeOrderStatus(order.status) || order.status;
+    if (previousStatus === status) {
+      return order;
+    }
+
+    if (!force) {
+      const transition = this.assertTransition(previousStatus, status, actor.role);
+
+      for (const guardName of transition.guards || []) {
+        const guard = this.guards[guardName];
+        if (!guard) {
+          throw new Error(`Transition guard '${guardName}' is not registered`);
+        }
+
+        const result = await guard(order, context);
+        if (result !== true) {
+          throw new OrderTransitionError(typeof result === 'string' ? result : `Cannot move order to '${status}': ${guardName} check failed`);
+        }
+      }
+    }
+
+    const [updatedOrder] = await prisma.$transaction([
+      prisma.order.update({
+        where: { id: orderId },
+        data: {
+          status,
+          updatedAt: new Date()
+        }
+      }),
+      prisma.orderStatusHistory.create({
+        data: {
+          orderId,
+          status,
+          notes: notes || `Status updated from ${previousStatus} to ${status}`,
+          createdBy: actor.email || actor.role,
+          createdAt: new Date()
+        }
+      })
+    ]);
+
+    await this.runEffects({ order: updatedOrder, previousStatus, status, actor, notes, context, forced: force });
+
+    return updatedOrder;
+  }
+
+  /**
+   * Add an entry to an order's status history without changing its status, for events
+   * such as claim decisions that belong on the order's timeline
+   * @param {string} orderId - Order ID
+   * @param {string} notes - What happened
+   * @param {Object} options.actor - { role, email } of whoever caused the event
+   * @returns {Promise<Object>} - Created history entry
+   */
+  async recordEvent(orderId, notes, { actor = SYSTEM_ACTOR } = {}) {
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    return prisma.orderStatusHistory.create({
+      data: {
+        orderId,
+        status: normalizeOrderStatus(order.status) || order.status,
+        notes,
+        createdBy: actor.email || actor.role,
+        createdAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Run the side effects registered for a transition
+   * @private
+   * @param {Object} event - Transition event
+   * @returns {Promise<void>}
+   */
+  async runEffects(event) {
+    const effects = this.effects.filter(effect =>
+      (!effect.to || effect.to.includes(event.status)) &&
+      (!effect.from || effect.from.includes(event.previousStatus))
+    );
+
+    for (const effect of effects) {
+      try {
+        await effect.handler(event);
+      } catch (error) {
+        console.error(`Error running side effect for order ${event.order.id} (${event.previousStatus} -> ${event.status}):`, error);
+        // A failing side effect never rolls back the transition
+      }
+    }
+  }
+}
+
+export const orderStateMachine = new OrderStateMachine();
+
+// Guards
+
+orderStateMachine.registerGuard('hasVendor', async (order, context) => {
+  return order.vendorId || context.vendorId ? true : 'A vendor must be selected first';
+});
+
+orderStateMachine.registerGuard('hasRider', async (order, context) => {
+  return order.riderId || context.riderId ? true : 'A rider must be assigned first';
+});
+
+orderStateMachine.registerGuard('hasCompletedPayment', async (order) => {
+  const prisma = require('../prisma');
+  const completedPayments = await prisma.payment.count({
+    where: { orderId: order.id, status: 'completed' }
+  });
+  if (completedPayments === 0) {
+    return 'Order cannot be marked as paid without a completed payment';
+  }
+  return unpaidInstallmentGuard(order, 'advance', 'The booking advance must be paid before the order is marked as paid');
+});
+
+orderStateMachine.registerGuard('hasMilestonePayment', async (order) => {
+  return unpaidInstallmentGuard(order, 'milestone', 'The payment due at pickup must be paid before the move can leave');
+});
+
+orderStateMachine.registerGuard('hasBalancePayment', async (order) => {
+  return unpaidInstallmentGuard(order, 'balance', 'The balance must be paid before the order can be completed');
+});
+
+/**
+ * Pass unless the order's payment schedule has an unpaid installment of the given type.
+ * Orders without a schedule always pass.
+ */
+async function unpaidInstallmentGuard(order, type, reason) {
+  const prisma = require('../prisma');
+  const unpaid = await prisma.paymentInstallment.count({
+    where: { orderId: order.id, type, status: 'pending' }
+  });
+  return unpaid === 0 ? true : reason;
+}
+
+orderStateMachine.registerGuard('hasProofOfDelivery', async (order) => {
+  // Moves are delivered by vendors; only rider handovers collect proof
+  if (!order.riderId) {
+    return true;
+  }
+
+  const prisma = require('../prisma');
+  const proof = await prisma.deliveryProof.findUnique({ where: { orderId: order.id } });
+  return proof && (proof.otpVerifiedAt || proof.overriddenAt)
+    ? true
+    : 'The delivery OTP must be verified, or overridden by an admin, before the order can be delivered';
+});
+
+orderStateMachine.registerGuard('hasRefundablePayment', async (order) => {
+  const prisma = require('../prisma');
+  const payments = await prisma.payment.count({
+    where: { orderId: order.id, status: { in: ['completed', 'refunded'] } }
+  });
+  return payments > 0 ? true : 'Order has no payment to refund';
+});
+
+// Side effects
+
+/**
+ * Notify the customer, vendor and rider of an order about its new status
+ */
+orderStateMachine.onTransition(async ({ order, status }) => {
+  const prisma = require('../prisma');
+  const participants = await prisma.order.findUnique({
+    where: { id: order.id },
+    select: {
+      customer: { select: { email: true } },
+      vendor: { select: { user: { select: { email: true } } } },
+      rider: { select: { user: { select: { email: true } } } }
+    }
+  });
+
+  if (!participants) {
+    return;
+  }
+
+  const title = `Order #${order.orderNumber} Status Update`;
+  const data = {
+    orderId: order.id,
+    orderNumber: order.orderNumber,
+    status,
+    type: 'order_status_update'
+  };
+
+  if (participants.customer?.email) {
+    await notificationService.sendUserNotification(
+      participants.customer.email,
+      title,
+      `Your order status has been updated to: ${status}`,
+      'info',
+      data
+    );
+  }
+
+  for (const email of [participants.vendor?.user?.email, participants.rider?.user?.email]) {
+    if (email) {
+      await notificationService.sendUserNotification(
+        email,
+        title,
+        `Order status has been updated to: ${status}`,
+        'info',
+        data
+      );
+    }
+  }
+});
+
+/**
+ * Track every transition for analytics and bottleneck reports
+ */
+orderStateMachine.onTransition(async ({ order, previousStatus, status, actor, forced }) => {
+  await analyticsService.trackEvent('order_status_changed', {
+    orderId: order.id,
+    previousStatus,
+    newStatus: status,
+    actorRole: actor.role,
+    actorEmail: actor.email || null,
+    forced: !!forced
+  });
+});
+
+/**
+ * Record status changes made by people (not the system) in the audit log
+ */
+orderStateMachine.onTransition(async ({ order, previousStatus, status, actor, notes, forced }) => {
+  if (!actor.email) {
+    return;
+  }
+
+  await auditService.logAction(
+    actor.email,
+    forced ? 'force_order_status' : 'update_order_status',
+    'order',
+    order.id,
+    { previousStatus, newStatus: status, role: actor.role, notes: notes || null }
+  );
+});
+
+/**
+ * Push the change to everyone involved in the order over the socket server
+ */
+orderStateMachine.onTransition(async ({ order, previousStatus, status, notes }) => {
+  const prisma = require('../prisma');
+  const participants = await prisma.order.findUnique({
+    where: { id: order.id },
+    select: {
+      customerId: true,
+      vendor: { select: { userId: true } },
+      rider: { select: { userId: true } }
+    }
+  });
+
+  if (!participants) {
+    return;
+  }
+
+  const userIds = [participants.customerId, participants.vendor?.userId, participants.rider?.userId].filter(Boolean);
+  await Promise.all(userIds.map(userId =>
+    publishToUser(userId, 'order-status-update', {
+      orderId: order.id,
+      status,
+      previousStatus,
+      notes: notes || '',
+      updatedAt: order.updatedAt
+    })
+  ));
+});
@@ -0,0 +1,281 @@
+/**
+ * Payment Reconciliation Service
+ *
+ * Compares recent local Payment rows with the payment gateway's records and flags differences for
+ * admins to look into, for example a payment the gateway captured but the app never
+ * recorded because both the browser verification and the webhook were lost. Nothing is
+ * corrected automatically; each difference becomes a PaymentMismatch until an admin
+ * resolves it.
+ *
+ * Run it with `npm run reconcile-payments` (e.g. from cron) or from the admin
+ * Payments page.
+ */
+
+import { paymentService } from './paymentService';
+import { notificationService } from './notificationService';
+
+// Only payments created this recently are compared with the gateway
+const RECONCILIATION_WINDOW_DAYS = 7;
+
+// Give customers time to finish checkout before looking for an unrecorded capture
+const CHECKOUT_GRACE_MS = 30 * 60 * 1000;
+
+export const MISMATCH_TYPES = ['status', 'amount', 'refund', 'unrecorded'];
+
+class PaymentReconciliationService {
+  /**
+   * Compare recent payments with the gateway and flag any differences
+   * @param {Object} options - { days } how far back to look
+   * @returns {Promise<Object>} - { checked, flagged, errors }
+   */
+  async runReconciliation({ days = RECONCILIATION_WINDOW_DAYS } = {}) {
+    const gateway = await paymentService.getGateway();
+    if (!gateway) {
+      throw new Error('Payment gateway is not configured properly');
+    }
+
+    // Payments made through another gateway, e.g. in test mode, can't be checked against this one
+    const prisma = require('../prisma');
+    const payments = await prisma.payment.findMany({
+      where: {
+        paymentGateway: gateway.name,
+        createdAt: { gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+        OR: [
+          { gatewayPaymentId: { not: null } },
+          { gatewayOrderId: { not: null } }
+        ]
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const summary = { checked: 0, flagged: 0, errors: 0 };
+
+    for (const payment of payments) {
+      try {
+        const findings = await this._checkPayment(gateway, payment);
+        if (findings === null) {
+          continue;
+        }
+
+        for (const finding of findings) {
+          if (await this._flagMismatch(payment, finding)) {
+            summary.flagged++;
+          }
+        }
+
+        await prisma.payment.update({
+          where: { id: payment.id },
+          data: { lastReconciledAt: new Date() }
+        });
+        summary.checked++;
+      } catch (error) {
+        console.error(`Error reconciling payment ${payment.id}:`, error);
+        summary.errors++;
+      }
+    }
+
+    if (summary.flagged > 0) {
+      await this._notifyAdmins(summary.flagged);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Get flagged mismatches, newest first
+   * @param {Object} filters - { status }
+   * @returns {Promise<Array>} - Mismatches with their payment and order number
+   */
+  async getMismatches({ status } = {}) {
+    const prisma = require('../prisma');
+    const mismatches = await prisma.paymentMismatch.findMany({
+      where: status ? { status } : {},
+      include: {
+        payment: {
+          include: { order: { select: { id: true, orderNumber: true, status: true } } }
+        }
+      },
+      orderBy: { detectedAt: 'desc' }
+    });
+
+    return mismatches.map(mismatch => ({
+      id: mismatch.id,
+      type: mismatch.type,
+      localValue: mismatch.localValue,
+      gatewayValue: mismatch.gatewayValue,
+      details: mismatch.details,
+      status: mismatch.status,
+      detectedAt: mismatch.detectedAt,
+      resolvedAt: mismatch.resolvedAt,
+      resolvedBy: mismatch.resolvedBy,
+      resolutionNotes: mismatch.resolutionNotes,
+      paymentId: mismatch.paymentId,
+      gatewayPaymentId: mismatch.payment.gatewayPaymentId,
+      gatewayOrderId: mismatch.payment.gatewayOrderId,
+      amount: mismatch.payment.amount,
+      orderId: mismatch.payment.orderId,
+      orderNumber: mismatch.payment.order ? mismatch.payment.order.orderNumber : null,
+      orderStatus: mismatch.payment.order ? mismatch.payment.order.status : null
+    }));
+  }
+
+  /**
+   * Mark a mismatch as dealt with
+   * @param {string} mismatchId - Mismatch ID
+   * @param {string} adminEmail - Email of the resolving admin
+   * @param {string} notes - What was done about it
+   * @returns {Promise<Object>} - Updated mismatch
+   */
+  async resolveMismatch(mismatchId, adminEmail, notes) {
+    const prisma = require('../prisma');
+    const mismatch = await prisma.paymentMismatch.findUnique({ where: { id: mismatchId } });
+    if (!mismatch) {
+      throw new Error('Mismatch not found');
+    }
+    if (mismatch.status === 'resolved') {
+      throw new Error('This mismatch has already been resolved');
+    }
+    if (!notes || !String(notes).trim()) {
+      throw new Error('Please describe how the mismatch was resolved');
+    }
+
+    return prisma.paymentMismatch.update({
+      where: { id: mismatchId },
+      data: {
+        status: 'resolved',
+        resolvedAt: new Date(),
+        resolvedBy: adminEmail,
+        resolutionNotes: String(notes).trim()
+      }
+    });
+  }
+
+  /**
+   * Compare one payment with the gateway
+   * @private
+   * @returns {Promise<Array|null>} - Findings, or null if the payment can't be checked yet
+   */
+  async _checkPayment(gateway, payment) {
+
+    if (!payment.gatewayPaymentId) {
+      // Checkout was started but no payment reported; see whether the gateway captured one
+      if (Date.now() - new Date(payment.createdAt).getTime() < CHECKOUT_GRACE_MS) {
+        return null;
+      }
+
+      const { items = [] } = await gateway.orders.fetchPayments(payment.gatewayOrderId);
+      const captured = items.find(item => item.status === 'captured' || item.status === 'refunded');
+      return captured ? [{
+        type: 'unrecorded',
+        localValue: payment.status,
+        gatewayValue: captured.id,
+        details: `Gateway captured ${this._formatPaise(captured.amount)} on order ${payment.gatewayOrderId} but no payment was recorded`
+      }] : [];
+    }
+
+    const gatewayPayment = await gateway.payments.fetch(payment.gatewayPaymentId);
+    const findings = [];
+
+    const paidLocally = ['completed', 'refunded'].includes(payment.status);
+    const paidAtGateway = ['captured', 'refunded'].includes(gatewayPayment.status);
+    if (paidLocally !== paidAtGateway) {
+      findings.push({
+        type: 'status',
+        localValue: payment.status,
+        gatewayValue: gatewayPayment.status,
+        details: paidAtGateway
+          ? 'Gateway captured this payment but it is not recorded as paid'
+          : 'Payment is recorded as paid but the gateway has not captured it'
+      });
+    }
+
+    if (paidLocally && Math.round(payment.amount * 100) !== gatewayPayment.amount) {
+      findings.push({
+        type: 'amount',
+        localValue: String(payment.amount),
+        gatewayValue: String(gatewayPayment.amount / 100),
+        details: `Recorded ${this._formatPaise(Math.round(payment.amount * 100))}, gateway has ${this._formatPaise(gatewayPayment.amount)}`
+      });
+    }
+
+    const refundedLocally = Math.round((payment.refundAmount || 0) * 100);
+    const refundedAtGateway = gatewayPayment.amount_refunded || 0;
+    if (refundedLocally !== refundedAtGateway || (payment.status === 'refunded' && refundedAtGateway === 0)) {
+      findings.push({
+        type: 'refund',
+        localValue: String(refundedLocally / 100),
+        gatewayValue: String(refundedAtGateway / 100),
+        details: `Recorded refunds of ${this._formatPaise(refundedLocally)}, gateway has refunded ${this._formatPaise(refundedAtGateway)}`
+      });
+    }
+
+    return findings;
+  }
+
+  /**
+   * Record a finding, unless the same kind of mismatch is already open for the payment
+   * @private
+   * @returns {Promise<boolean>} - Whether a new mismatch was flagged
+   */
+  async _flagMismatch(payment, finding) {
+    const prisma = require('../prisma');
+    const open = await prisma.paymentMismatch.findFirst({
+      where: { paymentId: payment.id, type: finding.type, status: 'open' }
+    });
+
+    if (open) {
+      // Keep the open mismatch current rather than flagging it again
+      await prisma.paymentMismatch.update({
+        where: { id: open.id },
+        data: {
+          localValue: finding.localValue,
+          gatewayValue: finding.gatewayValue,
+          details: finding.details
+        }
+      });
+      return false;
+    }
+
+    await prisma.paymentMismatch.create({
+      data: {
+        paymentId: payment.id,
+        ...finding
+      }
+    });
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  async _notifyAdmins(count) {
+    const prisma = require('../prisma');
+    const admins = await prisma.user.findMany({
+      where: { role: 'admin' },
+      select: { email: true }
+    });
+
+    for (const admin of admins) {
+      try {
+        await notificationService.sendUserNotification(
+          admin.email,
+          'Payment Mismatches Found',
+          `Payment reconciliation flagged ${count} new mismatch${count === 1 ? '' : 'es'} with the payment gateway.`,
+          'warning',
+          { type: 'payment_mismatch', count }
+        );
+      } catch (error) {
+        console.error(`Error notifying ${admin.email} of payment mismatches:`, error);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _formatPaise(amount) {
+    return `₹${(amount / 100).toLocaleString('en-IN')}`;
+  }
+}
+
+export const paymentReconciliationService = new PaymentReconciliationService();
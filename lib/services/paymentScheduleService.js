@@ -0,0 +1,479 @@
+/**
+ * Payment Schedule Service
+ *
+ * Splits an order's price into installments: a booking advance paid when the customer
+ * books the vendor, an optional milestone paid at pickup, and the balance paid on
+ * delivery. The default split comes from the `payment.advancePercentage` and
+ * `payment.milestonePercentage` settings; admins can change the unpaid installments of
+ * any order.
+ *
+ * Each installment gates an order transition (see the guards in orderStateMachine.js):
+ * the advance gates Paid, the milestone gates In Transit and the balance gates
+ * Completed. Customers are reminded of installments that have fallen due every
+ * `payment.balanceReminderHours`.
+ */
+
+import { settingsStorage } from '../storage';
+import { notificationService } from './notificationService';
+import { orderStateMachine } from './orderStateMachine';
+import { discountService } from './discountService';
+import { ORDER_STATUSES, normalizeOrderStatus } from '../orderLifecycle';
+
+const S = ORDER_STATUSES;
+
+// In payment order; each type appears at most once per order
+export const INSTALLMENT_TYPES = ['advance', 'milestone', 'balance'];
+
+const INSTALLMENT_LABELS = {
+  advance: 'Booking advance',
+  milestone: 'Payment at pickup',
+  balance: 'Balance on delivery'
+};
+
+// The transition each installment must be paid before, and the statuses in which it is due
+export const INSTALLMENT_STAGES = {
+  advance: { gates: S.PAID, dueFrom: [] },
+  milestone: { gates: S.IN_TRANSIT, dueFrom: [S.IN_PROGRESS] },
+  balance: { gates: S.COMPLETED, dueFrom: [S.IN_TRANSIT, S.OUT_FOR_DELIVERY, S.DELIVERED, S.DISPUTED, S.RESOLVED] }
+};
+
+const DEFAULT_CONFIG = {
+  advancePercentage: 20,
+  milestonePercentage: 0,
+  balanceReminderHours: 24
+};
+
+const CONFIG_TTL_MS = 60000;
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+class PaymentScheduleService {
+  constructor() {
+    this.cachedConfig = null;
+    this.cachedConfigAt = 0;
+  }
+
+  /**
+   * Get payment schedule configuration from settings
+   * @returns {Promise<Object>} - { advancePercentage, milestonePercentage, balanceReminderHours }
+   */
+  async getConfig() {
+    if (this.cachedConfig && Date.now() - this.cachedConfigAt < CONFIG_TTL_MS) {
+      return this.cachedConfig;
+    }
+
+    const config = { ...DEFAULT_CONFIG };
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+      const value = parseFloat(await settingsStorage.get(`payment.${key}`));
+      if (!isNaN(value) && value >= 0) {
+        config[key] = value;
+      }
+    }
+
+    // The advance has to be something, and the parts can't add up to more than the price
+    if (config.advancePercentage <= 0 || config.advancePercentage > 100) {
+      config.advancePercentage = 100;
+    }
+    config.milestonePercentage = Math.min(config.milestonePercentage, 100 - config.advancePercentage);
+
+    this.cachedConfig = config;
+    this.cachedConfigAt = Date.now();
+    return config;
+  }
+
+  /**
+   * Split a price into installments using the configured percentages
+   * @param {number} total - Order price
+   * @returns {Promise<Array>} - [{ type, label, amount }]
+   */
+  async buildDefaultSchedule(total) {
+    const { advancePercentage, milestonePercentage } = await this.getConfig();
+    const advance = roundAmount(total * advancePercentage / 100);
+    const milestone = roundAmount(total * milestonePercentage / 100);
+
+    return [
+      { type: 'advance', amount: advance },
+      { type: 'milestone', amount: milestone },
+      { type: 'balance', amount: roundAmount(total - advance - milestone) }
+    ]
+      .filter(installment => installment.amount > 0)
+      .map(installment => ({ ...installment, label: INSTALLMENT_LABELS[installment.type] }));
+  }
+
+  /**
+   * Get an order's payment schedule. Until the order is booked, this is a preview of the
+   * default split for the given vendor's quote and nothing is saved.
+   * @param {string} orderId - Order ID
+   * @param {string} vendorId - Vendor whose quote to preview (defaults to the order's vendor)
+   * @returns {Promise<Object>} - { total, paidAmount, installments, nextDue, saved }
+   */
+  async getSchedule(orderId, vendorId = null) {
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    let installments = await this._getInstallments(orderId);
+    const saved = installments.length > 0;
+    if (!saved) {
+      const total = await this._getBookingPrice(orderId, vendorId || order.vendorId);
+      installments = total ? await this.buildDefaultSchedule(total) : [];
+    }
+
+    return this._describe(order, installments, saved);
+  }
+
+  /**
+   * Save the default schedule for an order about to be booked. An unpaid schedule is
+   * refitted if the price changed, e.g. because the customer picked another vendor: a
+   * default schedule is rebuilt, while one an admin customized keeps its installments
+   * and has their amounts scaled to the new price. Installments with a checkout under
+   * way keep their amount so the payment still matches when it completes.
+   * @param {string} orderId - Order ID
+   * @param {number} total - Price of the quote being booked
+   * @returns {Promise<Array>} - Saved installments
+   */
+  async ensureSchedule(orderId, total) {
+    const prisma = require('../prisma');
+    await prisma.$transaction(async tx => {
+      const installments = await this._getInstallments(orderId, tx);
+      const unchanged = this._total(installments) === roundAmount(total);
+      if (installments.length > 0 && (unchanged || installments.some(installment => installment.status === 'paid' || installment.shortfall > 0))) {
+        return;
+      }
+
+      const initiated = await tx.payment.findMany({
+        where: { orderId, status: 'initiated', installmentId: { in: installments.map(installment => installment.id) } },
+        select: { installmentId: true }
+      });
+      const kept = installments.filter(installment => initiated.some(payment => payment.installmentId === installment.id));
+      const open = installments.filter(installment => !kept.includes(installment));
+
+      const customized = installments.length > 0 && !(await this._isDefault(installments));
+      const shape = customized
+        ? open
+        : (await this.buildDefaultSchedule(total)).filter(installment => !kept.some(k => k.type === installment.type));
+      const schedule = this._scale(shape, roundAmount(total - this._total(kept)));
+      if (!schedule) {
+        // Nothing left to fit the new price into
+        return;
+      }
+
+      for (const installment of open) {
+        if (!schedule.some(s => s.type === installment.type)) {
+          await tx.paymentInstallment.delete({ where: { id: installment.id } });
+        }
+      }
+      for (const installment of schedule) {
+        const existing = open.find(o => o.type === installment.type);
+        if (existing) {
+          await tx.paymentInstallment.update({ where: { id: existing.id }, data: { amount: installment.amount } });
+        } else {
+          await tx.paymentInstallment.create({
+            data: { orderId, type: installment.type, label: installment.label, amount: installment.amount }
+          });
+        }
+      }
+    });
+
+    return this._getInstallments(orderId);
+  }
+
+  /**
+   * Replace the unpaid part of an order's schedule. Paid installments can't be changed,
+   * and the installments must add up to the order's price.
+   * @param {string} orderId - Order ID
+   * @param {Array} installments - [{ type, amount, label? }]
+   * @param {string} adminEmail - Email of the admin making the change
+   * @returns {Promise<Object>} - Updated schedule, as from getSchedule
+   */
+  async setSchedule(orderId, installments, adminEmail) {
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (!Array.isArray(installments) || installments.length === 0) {
+      throw new Error('A payment schedule needs at least one installment');
+    }
+
+    const requested = installments
+      .map(installment => ({
+        type: installment.type,
+        label: String(installment.label || INSTALLMENT_LABELS[installment.type] || '').trim(),
+        amount: roundAmount(parseFloat(installment.amount))
+      }))
+      .filter(installment => installment.amount !== 0);
+
+    const types = requested.map(installment => installment.type);
+    if (types.some(type => !INSTALLMENT_TYPES.includes(type))) {
+      throw new Error(`Installment type must be one of ${INSTALLMENT_TYPES.join(', ')}`);
+    }
+    if (new Set(types).size !== types.length) {
+      throw new Error('Each installment type can only appear once');
+    }
+    if (!types.includes('advance')) {
+      throw new Error('The schedule must include a booking advance');
+    }
+    if (requested.some(installment => !(installment.amount > 0))) {
+      throw new Error('Installment amounts must be positive');
+    }
+
+    // Part-paid installments can't be changed either
+    const existing = await this._getInstallments(orderId);
+    const paid = existing.filter(installment => installment.status === 'paid' || installment.shortfall > 0);
+    for (const installment of paid) {
+      const match = requested.find(r => r.type === installment.type);
+      if (!match || match.amount !== installment.amount) {
+        throw new Error(`The ${installment.label.toLowerCase()} has already been ${installment.status === 'paid' ? 'paid' : 'partly paid'} and can't be changed`);
+      }
+    }
+
+    const total = existing.length > 0
+      ? roundAmount(existing.reduce((sum, installment) => sum + installment.amount, 0))
+      : await this._getBookingPrice(orderId, order.vendorId);
+    if (!total) {
+      throw new Error('The order has no price to schedule payments for yet');
+    }
+    const requestedTotal = roundAmount(requested.reduce((sum, installment) => sum + installment.amount, 0));
+    if (requestedTotal !== total) {
+      throw new Error(`Installments add up to ₹${requestedTotal.toLocaleString('en-IN')} but the order costs ₹${total.toLocaleString('en-IN')}`);
+    }
+
+    await prisma.paymentInstallment.deleteMany({ where: { orderId, status: 'pending', shortfall: 0 } });
+    for (const installment of requested) {
+      if (paid.some(p => p.type === installment.type)) {
+        continue;
+      }
+      await prisma.paymentInstallment.create({
+        data: {
+          orderId,
+          type: installment.type,
+          label: installment.label || INSTALLMENT_LABELS[installment.type],
+          amount: installment.amount
+        }
+      });
+    }
+
+    await orderStateMachine.recordEvent(
+      orderId,
+      `Payment schedule changed: ${requested.map(i => `${i.label || INSTALLMENT_LABELS[i.type]} ₹${i.amount.toLocaleString('en-IN')}`).join(', ')}`,
+      { actor: { role: 'admin', email: adminEmail } }
+    );
+
+    return this.getSchedule(orderId);
+  }
+
+  /**
+   * The first unpaid installment of an order's saved schedule
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} - Installment, or null if everything is paid
+   */
+  async getNextUnpaid(orderId) {
+    const installments = await this._getInstallments(orderId);
+    return installments.find(installment => installment.status === 'pending') || null;
+  }
+
+  /**
+   * Unpaid installments of the given types. Orders without a schedule have none.
+   * @param {string} orderId - Order ID
+   * @param {Array<string>} types - Installment types
+   * @returns {Promise<Array>} - Unpaid installments
+   */
+  async getUnpaid(orderId, types) {
+    const prisma = require('../prisma');
+    return prisma.paymentInstallment.findMany({
+      where: { orderId, type: { in: types }, status: 'pending' }
+    });
+  }
+
+  /**
+   * Mark an installment paid. Conditional, so a payment reported twice only counts once.
+   * @param {string} installmentId - Installment ID
+   * @returns {Promise<boolean>} - Whether the installment was newly paid
+   */
+  async markPaid(installmentId) {
+    const prisma = require('../prisma');
+    const { count } = await prisma.paymentInstallment.updateMany({
+      where: { id: installmentId, status: 'pending' },
+      data: { status: 'paid', paidAt: new Date(), shortfall: 0 }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Record what is still owed on a part-paid installment, e.g. because its wallet part
+   * couldn't be collected. The installment stays unpaid until that is paid.
+   * @param {string} installmentId - Installment ID
+   * @param {number} shortfall - Amount still owed
+   * @returns {Promise<void>}
+   */
+  async recordShortfall(installmentId, shortfall) {
+    const prisma = require('../prisma');
+    await prisma.paymentInstallment.updateMany({
+      where: { id: installmentId, status: 'pending' },
+      data: { shortfall: roundAmount(shortfall) }
+    });
+  }
+
+  /**
+   * The order-level payment status implied by its schedule
+   * @param {string} orderId - Order ID
+   * @returns {Promise<string>} - 'completed' once every installment is paid, else 'partially_paid'
+   */
+  async getPaymentStatus(orderId) {
+    const installments = await this._getInstallments(orderId);
+    return installments.some(installment => installment.status === 'pending') ? 'partially_paid' : 'completed';
+  }
+
+  /**
+   * Remind customers of installments that have fallen due, at most once every
+   * `payment.balanceReminderHours`
+   * @param {Object} options - { orderId } to only check one order
+   * @returns {Promise<Object>} - { reminded, errors }
+   */
+  async sendDueReminders({ orderId } = {}) {
+    const prisma = require('../prisma');
+    const { balanceReminderHours } = await this.getConfig();
+    const remindBefore = new Date(Date.now() - balanceReminderHours * 60 * 60 * 1000);
+
+    const installments = await prisma.paymentInstallment.findMany({
+      where: {
+        ...(orderId ? { orderId } : {}),
+        type: { in: ['milestone', 'balance'] },
+        status: 'pending',
+        OR: [
+          { lastRemindedAt: null },
+          { lastRemindedAt: { lt: remindBefore } }
+        ]
+      },
+      include: {
+        order: { include: { customer: { select: { email: true } } } }
+      }
+    });
+
+    const summary = { reminded: 0, errors: 0 };
+    for (const installment of installments) {
+      const status = normalizeOrderStatus(installment.order.status);
+      if (!INSTALLMENT_STAGES[installment.type].dueFrom.includes(status)) {
+        continue;
+      }
+
+      try {
+        await notificationService.sendUserNotification(
+          installment.order.customer.email,
+          'Payment Due',
+          `${installment.label} of ₹${installment.amount.toLocaleString('en-IN')} is due for order #${installment.order.orderNumber}.`,
+          'payment',
+          { orderId: installment.orderId, installmentId: installment.id, amount: installment.amount }
+        );
+        await prisma.paymentInstallment.update({
+          where: { id: installment.id },
+          data: { lastRemindedAt: new Date(), reminderCount: { increment: 1 } }
+        });
+        summary.reminded++;
+      } catch (error) {
+        console.error(`Error sending payment reminder for installment ${installment.id}:`, error);
+        summary.errors++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * @private
+   * @param {Object} client - Prisma client or transaction (defaults to the client)
+   */
+  async _getInstallments(orderId, client = null) {
+    const prisma = client || require('../prisma');
+    const installments = await prisma.paymentInstallment.findMany({ where: { orderId } });
+    return installments.sort((a, b) => INSTALLMENT_TYPES.indexOf(a.type) - INSTALLMENT_TYPES.indexOf(b.type));
+  }
+
+  /**
+   * @private
+   */
+  _total(installments) {
+    return roundAmount(installments.reduce((sum, installment) => sum + installment.amount, 0));
+  }
+
+  /**
+   * Whether a saved schedule is the default split of its total, i.e. no admin changed it
+   * @private
+   */
+  async _isDefault(installments) {
+    const schedule = await this.buildDefaultSchedule(this._total(installments));
+    return schedule.length === installments.length && schedule.every(installment => installments.some(i =>
+      i.type === installment.type && i.amount === installment.amount && i.label === installment.label));
+  }
+
+  /**
+   * Scale installments proportionally to add up to a new total, the last one taking
+   * the rounding. Returns null if there is nothing to scale.
+   * @private
+   */
+  _scale(installments, total) {
+    const current = this._total(installments);
+    if (installments.length === 0 || current <= 0 || total <= 0) {
+      return null;
+    }
+
+    let remaining = total;
+    return installments.map((installment, index) => {
+      const amount = index === installments.length - 1
+        ? roundAmount(remaining)
+        : roundAmount(installment.amount * total / current);
+      remaining -= amount;
+      return { type: installment.type, label: installment.label, amount };
+    });
+  }
+
+  /**
+   * Price of booking the vendor's quote, after discounts
+   * @private
+   */
+  async _getBookingPrice(orderId, vendorId) {
+    const price = await discountService.getOrderPrice(orderId, vendorId);
+    return price ? price.total : null;
+  }
+
+  /**
+   * Add totals and due information to a list of installments
+   * @private
+   */
+  _describe(order, installments, saved) {
+    const status = normalizeOrderStatus(order.status);
+    const described = installments.map(installment => ({
+      id: installment.id || null,
+      type: installment.type,
+      label: installment.label,
+      amount: installment.amount,
+      status: installment.status || 'pending',
+      shortfall: installment.shortfall || 0,
+      paidAt: installment.paidAt || null,
+      gatesStatus: INSTALLMENT_STAGES[installment.type].gates,
+      isDue: installment.type === 'advance' || INSTALLMENT_STAGES[installment.type].dueFrom.includes(status)
+    }));
+
+    return {
+      total: roundAmount(described.reduce((sum, installment) => sum + installment.amount, 0)),
+      paidAmount: roundAmount(described.reduce((sum, installment) => sum + (installment.status === 'paid'
+        ? installment.amount
+        : installment.shortfall > 0 ? installment.amount - installment.shortfall : 0), 0)),
+      installments: described,
+      nextDue: described.find(installment => installment.status === 'pending') || null,
+      saved
+    };
+  }
+}
+
+export const paymentScheduleService = new PaymentScheduleService();
+
+/**
+ * Remind the customer as soon as an installment falls due
+ */
+orderStateMachine.onTransition(async ({ order }) => {
+  await paymentScheduleService.sendDueReminders({ orderId: order.id });
+}, { to: [...new Set(Object.values(INSTALLMENT_STAGES).flatMap(stage => stage.dueFrom))] });
@@ -1,50 +1,62 @@
-import Razorpay from 'razorpay';
 import crypto from 'crypto';
 import { storage, orderStorage, vendorStorage, paymentStorage } from '../storage';
 import { notificationService } from './notificationService';
 import { vendorService } from './vendorService';
+import { orderStateMachine, SYSTEM_ACTOR } from './orderStateMachine';
+import { paymentScheduleService } from './paymentScheduleService';
+import { settlementService } from './settlementService';
+import { invoiceService } from './invoiceService';
+import { discountService } from './discountService';
+import { walletService } from './walletService';
+import { quoteService } from './quoteService';
+import { ORDER_STATUSES, normalizeOrderStatus } from '../orderLifecycle';
+import { getPaymentGateway } from '../paymentGateway';
+
+// How long a webhook delivery has to handle an event before a redelivery may retry it
+const WEBHOOK_CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
 
 class PaymentService {
-  constructor() {
-    // Initialize Razorpay with error handling
-    this.razorpay = null;
-    this.initialized = false;
-    
-    try {
-      if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
-        this.razorpay = new Razorpay({
-          key_id: process.env.RAZORPAY_KEY_ID,
-          key_secret: process.env.RAZORPAY_KEY_SECRET,
-        });
-        this.initialized = true;
-      } else {
-        console.error('Razorpay API keys are not configured properly');
-      }
-    } catch (error) {
-      console.error('Failed to initialize Razorpay:', error);
-    }
+  /**
+   * Get the gateway payments currently go through: Razorpay, or the mock gateway in
+   * test mode (see lib/paymentGateway.js)
+   * @returns {Promise<Object|null>} - Gateway, or null if none is configured
+   */
+  async getGateway() {
+    return getPaymentGateway();
   }
 
   /**
    * Check if the payment service is properly initialized
-   * @returns {boolean} - Whether the service is initialized
+   * @returns {Promise<boolean>} - Whether a gateway is configured
    */
-  isInitialized() {
-    return this.initialized && this.razorpay !== null;
+  async isInitialized() {
+    return (await this.getGateway()) !== null;
   }
 
   /**
-   * Create a Razorpay payment order
-   * @param {string} orderId - Order ID
-   * @param {string} vendorId - Vendor ID
-   * @param {string} userEmail - User email
-   * @returns {Promise<Object>} - Razorpay order details
+   * @private
    */
-  async createPaymentOrder(orderId, vendorId, userEmail) {
-    if (!this.isInitialized()) {
+  async _requireGateway() {
+    const gateway = await this.getGateway();
+    if (!gateway) {
       throw new Error('Payment gateway is not configured properly');
     }
+    return gateway;
+  }
 
+  /**
+   * Create a Razorpay payment order for the next unpaid installment of the order's
+   * payment schedule: the booking advance when the customer books the vendor, then any
+   * milestone and the balance. With `useWallet`, the customer's wallet balance pays
+   * as much of the installment as it covers and the gateway takes the rest; an
+   * installment the wallet covers in full is paid straight away.
+   * @param {string} orderId - Order ID
+   * @param {string} vendorId - Vendor ID
+   * @param {string} userEmail - User email
+   * @param {Object} options - { useWallet }
+   * @returns {Promise<Object>} - Razorpay order details, or { paidFromWallet, order } when the wallet paid
+   */
+  async createPaymentOrder(orderId, vendorId, userEmail, { useWallet = false } = {}) {
     // Get order details
     const order = await orderStorage.getById(orderId);
     if (!order) {
@@ -56,13 +68,15 @@ class PaymentService {
       throw new Error('You are not authorized to access this order');
     }
 
-    // Check if order is already paid
-    if (order.status === 'Paid') {
-      throw new Error('This order has already been paid');
+    // Once booked, the remaining installments are owed to the booked vendor
+    const prisma = require('../prisma');
+    const booked = await prisma.order.findUnique({ where: { id: orderId }, select: { vendorId: true, customerId: true } });
+    const next = await paymentScheduleService.getNextUnpaid(orderId);
+    if (next && next.type !== 'advance' && booked.vendorId && booked.vendorId !== vendorId) {
+      throw new Error('Remaining payments for this order go to the booked vendor');
     }
 
     // Get quotes for this order
-    const prisma = require('../prisma');
     const quotes = await prisma.quote.findMany({
       where: {
         orderId: orderId,
@@ -81,11 +95,49 @@ class PaymentService {
       throw new Error('Invalid quote amount');
     }
 
+    // The booking advance can only be paid against an open quote
+    if (!next || next.type === 'advance') {
+      quoteService.assertBookable(quote);
+    }
+
+    // Price the booking after the vendor's tier discount and any promo code
+    const price = await discountService.getOrderPrice(orderId, vendorId);
+    if (price.promoError) {
+      throw new Error(price.promoError);
+    }
+
+    // Check if order is already paid
+    const installments = await paymentScheduleService.ensureSchedule(orderId, price.total);
+    const installment = installments.find(i => i.status === 'pending');
+    if (!installment) {
+      throw new Error('This order has already been paid');
+    }
+    if (installment.type === 'advance' && normalizeOrderStatus(order.status) === ORDER_STATUSES.PAID) {
+      throw new Error('This order has already been paid');
+    }
+    if (installment.type === 'advance') {
+      await discountService.setBookingDiscount(orderId, price.promoDiscount);
+    }
+
+    // Wallet money held for an earlier checkout that wasn't completed goes back first
+    await this.releaseWalletPayments(orderId);
+
+    // After a wallet part couldn't be collected, only the shortfall is still owed
+    const installmentDue = installment.shortfall > 0 ? installment.shortfall : installment.amount;
+    const walletAmount = useWallet ? Math.min(await walletService.getBalance(booked.customerId), installmentDue) : 0;
+    if (walletAmount >= installmentDue) {
+      return this._payFromWallet(orderId, vendorId, installment, booked.customerId, installmentDue);
+    }
+    const amountDue = Math.round((installmentDue - walletAmount) * 100) / 100;
+
+    const gateway = await this._requireGateway();
+
     // Create Razorpay order
+    let payment;
     try {
-      const amountInPaise = Math.round(quote.amount * 100); // Convert to paise and ensure it's an integer
+      const amountInPaise = Math.round(amountDue * 100); // Convert to paise and ensure it's an integer
       
-      const payment = await this.razorpay.orders.create({
+      payment = await gateway.orders.create({
         amount: amountInPaise,
         currency: 'INR',
         receipt: orderId,
@@ -93,16 +145,12 @@ class PaymentService {
           orderId: orderId,
           vendorId: vendorId,
           userEmail: userEmail,
-          quoteAmount: quote.amount.toString()
+          quoteAmount: quote.amount.toString(),
+          installmentId: installment.id,
+          installmentType: installment.type,
+          walletAmount: walletAmount.toString()
         }
       });
-
-      return {
-        id: payment.id,
-        amount: payment.amount,
-        currency: payment.currency,
-        key: process.env.RAZORPAY_KEY_ID
-      };
     } catch (razorpayError) {
       console.error('Razorpay API error:', razorpayError);
       
@@ -113,6 +161,175 @@ class PaymentService {
                           
       throw new Error('Payment gateway error: ' + errorMessage);
     }
+
+    // Hold the wallet's part until the gateway payment completes
+    if (walletAmount > 0) {
+      await this._createWalletPayment(orderId, installment, booked.customerId, walletAmount, payment.id);
+    }
+
+    // Record the attempt so the webhook and reconciliation can find it if the
+    // browser never comes back to verify the payment
+    await paymentStorage.create({
+      orderId: orderId,
+      amount: amountDue,
+      paymentMethod: 'razorpay',
+      paymentGateway: gateway.name,
+      gatewayOrderId: payment.id,
+      installmentId: installment.id,
+      status: 'initiated'
+    });
+
+    return {
+      id: payment.id,
+      amount: payment.amount,
+      currency: payment.currency,
+      key: gateway.keyId,
+      gateway: gateway.name,
+      walletAmount,
+      installment: {
+        id: installment.id,
+        type: installment.type,
+        label: installment.label,
+        amount: installment.amount
+      }
+    };
+  }
+
+  /**
+   * Give back wallet money held for checkouts of an order that were never completed
+   * @param {string} orderId - Order ID
+   * @returns {Promise<number>} - Number of wallet payments released
+   */
+  async releaseWalletPayments(orderId) {
+    const prisma = require('../prisma');
+    const held = await prisma.payment.findMany({ where: { orderId, paymentMethod: 'wallet', status: 'initiated' } });
+    if (held.length === 0) {
+      return 0;
+    }
+
+    const order = await prisma.order.findUnique({ where: { id: orderId }, select: { customerId: true } });
+    let released = 0;
+    for (const payment of held) {
+      // Conditional so a payment completing at the same time isn't released
+      const { count } = await prisma.payment.updateMany({
+        where: { id: payment.id, status: 'initiated' },
+        data: { status: 'failed' }
+      });
+      if (count > 0) {
+        await walletService.releasePayment(order.customerId, payment);
+        released++;
+      }
+    }
+    return released;
+  }
+
+  /**
+   * Pay what is due on an installment entirely from the customer's wallet
+   * @private
+   */
+  async _payFromWallet(orderId, vendorId, installment, customerId, amount) {
+    const reference = `wallet_${crypto.randomUUID()}`;
+    await this._createWalletPayment(orderId, installment, customerId, amount, reference);
+
+    const order = await this.processPayment(orderId, vendorId, {
+      razorpay_order_id: reference,
+      razorpay_payment_id: reference,
+      installmentId: installment.id
+    });
+
+    return {
+      paidFromWallet: true,
+      amount,
+      order,
+      installment: {
+        id: installment.id,
+        type: installment.type,
+        label: installment.label,
+        amount: installment.amount
+      }
+    };
+  }
+
+  /**
+   * Take part or all of an installment from the customer's wallet, as a payment that
+   * completes along with the checkout it belongs to
+   * @private
+   * @param {string} gatewayOrderId - Gateway order paying the rest, or a wallet reference
+   */
+  async _createWalletPayment(orderId, installment, customerId, amount, gatewayOrderId) {
+    const prisma = require('../prisma');
+    const payment = await paymentStorage.create({
+      orderId,
+      amount,
+      paymentMethod: 'wallet',
+      paymentGateway: 'wallet',
+      gatewayOrderId,
+      installmentId: installment.id,
+      status: 'initiated'
+    });
+
+    try {
+      await walletService.debitForPayment(customerId, amount, {
+        orderId,
+        paymentId: payment.id,
+        description: `${installment.label} paid from wallet`
+      });
+    } catch (error) {
+      await prisma.payment.update({ where: { id: payment.id }, data: { status: 'failed' } });
+      throw error;
+    }
+    return payment;
+  }
+
+  /**
+   * Complete the wallet part of a checkout once the gateway part is paid. Wallet money
+   * released in the meantime is taken again if the balance still covers it; what it
+   * doesn't cover is returned as a shortfall, still owed on the installment.
+   * @private
+   * @returns {Promise<Object>} - { completed, shortfall }: IDs of the completed wallet payments and the amount not collected
+   */
+  async _completeWalletPayments(orderId, gatewayOrderId) {
+    const prisma = require('../prisma');
+    const held = await prisma.payment.findMany({
+      where: { orderId, gatewayOrderId, paymentMethod: 'wallet', status: { in: ['initiated', 'failed'] } }
+    });
+
+    const completed = [];
+    let shortfall = 0;
+    for (const payment of held) {
+      // Conditional so the payment is only completed, and the wallet only debited, once
+      const complete = async client => {
+        const { count } = await client.payment.updateMany({
+          where: { id: payment.id, status: payment.status },
+          data: { status: 'completed', gatewayPaymentId: `wallet_${payment.id}` }
+        });
+        return count > 0;
+      };
+
+      if (payment.status === 'initiated') {
+        // The money is still held from the checkout
+        if (await complete(prisma)) {
+          completed.push(payment.id);
+        }
+        continue;
+      }
+
+      try {
+        const order = await prisma.order.findUnique({ where: { id: orderId }, select: { customerId: true } });
+        const debit = await walletService.debitForPayment(order.customerId, payment.amount, {
+          orderId,
+          paymentId: payment.id,
+          description: 'Wallet part of a completed checkout'
+        }, complete);
+        if (debit) {
+          completed.push(payment.id);
+        }
+      } catch (error) {
+        console.error(`Could not collect wallet payment ${payment.id} for order ${orderId}:`, error);
+        shortfall += payment.amount;
+      }
+    }
+    return { completed, shortfall: Math.round(shortfall * 100) / 100 };
   }
 
   /**
@@ -125,14 +342,12 @@ class PaymentService {
    * @returns {Promise<Object>} - Updated order
    */
   async verifyPayment(orderId, vendorId, razorpay_order_id, razorpay_payment_id, razorpay_signature) {
-    if (!this.isInitialized()) {
-      throw new Error('Payment gateway is not configured properly');
-    }
+    const gateway = await this._requireGateway();
 
     // Verify payment signature
     const sign = razorpay_order_id + '|' + razorpay_payment_id;
     const expectedSign = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET || '')
+      .createHmac('sha256', gateway.keySecret)
       .update(sign)
       .digest('hex');
 
@@ -150,7 +365,8 @@ class PaymentService {
   }
 
   /**
-   * Process a successful payment
+   * Process a successful payment. Both the browser (verifyPayment) and the payment.captured
+   * webhook report payments, so a payment that has already been recorded is skipped.
    * @param {string} orderId - Order ID
    * @param {string} vendorId - Vendor ID
    * @param {Object} paymentDetails - Payment details
@@ -163,6 +379,11 @@ class PaymentService {
       throw new Error('Order not found');
     }
 
+    const prisma = require('../prisma');
+    if (await this._isPaymentRecorded(paymentDetails.razorpay_payment_id)) {
+      return order;
+    }
+
     // Get vendor details
     const vendor = await vendorStorage.getById(vendorId);
     if (!vendor) {
@@ -170,7 +391,6 @@ class PaymentService {
     }
 
     // Get quotes for this order
-    const prisma = require('../prisma');
     const quotes = await prisma.quote.findMany({
       where: {
         orderId: orderId,
@@ -183,6 +403,69 @@ class PaymentService {
     if (!quote) {
       throw new Error('Quote not found');
     }
+
+    // Complete the attempt recorded when the gateway order was created, if there is one.
+    // A checkout part-paid from the wallet also has a wallet payment for the same gateway
+    // order; only checkouts paid entirely from the wallet complete that one here.
+    const attempts = paymentDetails.razorpay_order_id ? await prisma.payment.findMany({
+      where: { orderId, gatewayOrderId: paymentDetails.razorpay_order_id, status: { in: ['initiated', 'failed'] } }
+    }) : [];
+    const attempt = attempts.find(payment => payment.paymentMethod !== 'wallet')
+      || attempts.find(payment => payment.gatewayOrderId.startsWith('wallet_'));
+
+    // The installment being paid. Payments started before the order had a schedule pay
+    // the full quote.
+    const installmentId = (attempt && attempt.installmentId) || paymentDetails.installmentId;
+    const installment = installmentId
+      ? await prisma.paymentInstallment.findUnique({ where: { id: installmentId } })
+      : await paymentScheduleService.getNextUnpaid(orderId);
+
+    const completedData = {
+      amount: attempt ? attempt.amount : installment ? installment.amount : quote.amount,
+      gatewayPaymentId: paymentDetails.razorpay_payment_id,
+      installmentId: installment ? installment.id : null,
+      status: 'completed'
+    };
+    let paymentId;
+    if (attempt) {
+      // Conditional so that a concurrent browser verification and webhook can't both complete it
+      const { count } = await prisma.payment.updateMany({
+        where: { id: attempt.id, status: { in: ['initiated', 'failed'] } },
+        data: completedData
+      });
+      if (count === 0) {
+        return orderStorage.getById(orderId);
+      }
+      paymentId = attempt.id;
+    } else {
+      // Create payment record in database
+      const payment = await paymentStorage.create({
+        orderId: orderId,
+        paymentMethod: 'razorpay',
+        paymentGateway: (await this.getGateway())?.name,
+        gatewayOrderId: paymentDetails.razorpay_order_id,
+        ...completedData
+      });
+      paymentId = payment.id;
+    }
+
+    const { completed: walletPaymentIds, shortfall } = paymentDetails.razorpay_order_id && !paymentDetails.razorpay_order_id.startsWith('wallet_')
+      ? await this._completeWalletPayments(orderId, paymentDetails.razorpay_order_id)
+      : { completed: [], shortfall: 0 };
+    for (const id of [paymentId, ...walletPaymentIds]) {
+      await this._issueInvoice(id, vendorId);
+    }
+
+    if (installment && shortfall > 0) {
+      return this._processShortfall(orderId, installment, shortfall);
+    }
+
+    if (installment) {
+      await paymentScheduleService.markPaid(installment.id);
+      if (installment.type !== 'advance') {
+        return this._processInstallmentPayment(orderId, vendor, installment);
+      }
+    }
     
     // Check if the vendor has a commission discount available
     const { hasDiscount, rate } = await this.checkVendorCommissionDiscount(vendorId);
@@ -194,24 +477,33 @@ class PaymentService {
       appliedDiscount = await vendorService.trackCommissionDiscountUsage(vendorId, orderId);
     }
 
+    // The order is booked at its scheduled price, which includes any discounts
+    const bookedAmount = installment ? (await paymentScheduleService.getSchedule(orderId)).total : quote.amount;
+
     // Update order with payment details
-    await orderStorage.update(orderId, {
-      status: 'Paid',
-      vendorId: vendorId,
-      paymentStatus: 'completed',
-      paidAmount: quote.amount,
-      statusNote: 'Payment processed successfully'
+    await prisma.order.update({
+      where: { id: orderId },
+      data: {
+        vendorId: vendorId,
+        paymentStatus: installment ? await paymentScheduleService.getPaymentStatus(orderId) : 'completed',
+        amount: bookedAmount
+      }
     });
 
-    // Create payment record in database
-    const payment = await paymentStorage.create({
-      orderId: orderId,
-      amount: quote.amount,
-      paymentMethod: 'razorpay',
-      transactionId: paymentDetails.razorpay_payment_id,
-      status: 'completed',
-      createdAt: new Date(),
-      updatedAt: new Date()
+    // The promo code's discount is now used, and funded to the vendor
+    await discountService.markRedeemed(orderId);
+
+    // Fix the commission the vendor will be settled at
+    await settlementService.createPayout(orderId, vendorId, {
+      discountedRate: appliedDiscount ? rate : null
+    });
+
+    // The completed payment above satisfies the transition guard
+    await orderStateMachine.transition(orderId, ORDER_STATUSES.PAID, {
+      notes: installment && installment.amount < bookedAmount
+        ? `${installment.label} of ₹${installment.amount.toLocaleString('en-IN')} paid`
+        : 'Payment processed successfully',
+      context: { vendorId }
     });
 
     // Get updated order
@@ -247,6 +539,76 @@ class PaymentService {
     return updatedOrder;
   }
 
+  /**
+   * Leave an installment unpaid when its wallet part couldn't be collected, with what is
+   * still owed on it, and ask the customer to pay that
+   * @private
+   */
+  async _processShortfall(orderId, installment, shortfall) {
+    await paymentScheduleService.recordShortfall(installment.id, shortfall);
+
+    const message = `Wallet part of the ${installment.label.toLowerCase()} could not be collected; ₹${shortfall.toLocaleString('en-IN')} is still due`;
+    await orderStateMachine.recordEvent(orderId, message);
+
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { customer: { select: { email: true } } }
+    });
+    try {
+      await notificationService.sendUserNotification(
+        order.customer.email,
+        'Payment Due',
+        `We couldn't take ₹${shortfall.toLocaleString('en-IN')} from your wallet for the ${installment.label.toLowerCase()} of order #${order.orderNumber}. Please pay the rest to complete it.`,
+        'payment',
+        { orderId, installmentId: installment.id, amount: shortfall }
+      );
+    } catch (error) {
+      console.error(`Error sending wallet shortfall notification for order ${orderId}:`, error);
+    }
+
+    return orderStorage.getById(orderId);
+  }
+
+  /**
+   * Record payment of a milestone or the balance on a booked order. The order's status
+   * doesn't change; the paid installment lets the transition it gates go ahead.
+   * @private
+   */
+  async _processInstallmentPayment(orderId, vendor, installment) {
+    const prisma = require('../prisma');
+    const paymentStatus = await paymentScheduleService.getPaymentStatus(orderId);
+    await prisma.order.update({
+      where: { id: orderId },
+      data: { paymentStatus }
+    });
+
+    const message = `${installment.label} of ₹${installment.amount.toLocaleString('en-IN')} paid`;
+    await orderStateMachine.recordEvent(orderId, message);
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { customer: { select: { email: true } } }
+    });
+    const recipients = [
+      [order.customer.email, `${message} for order #${order.orderNumber}. Thank you!`],
+      [vendor.email, `The customer has paid the ${installment.label.toLowerCase()} of ₹${installment.amount.toLocaleString('en-IN')} for order #${order.orderNumber}.`]
+    ];
+    for (const [email, text] of recipients) {
+      try {
+        await notificationService.sendUserNotification(email, 'Payment Received', text, 'payment', {
+          orderId,
+          installmentId: installment.id,
+          paymentStatus
+        });
+      } catch (error) {
+        console.error(`Error sending installment payment notification to ${email}:`, error);
+      }
+    }
+
+    return orderStorage.getById(orderId);
+  }
+
   /**
    * Process commission for cross-lead referrals
    * @param {string} referringVendorId - Referring vendor ID
@@ -305,18 +667,21 @@ class PaymentService {
   }
 
   /**
-   * Process a refund for an order
+   * Refund all or part of a payment. Each refund is recorded in the refund ledger, and
+   * a payment can be refunded in several parts up to its amount. The order only moves
+   * to Refunded once the whole payment has been refunded.
+   *
+   * With `toWallet` the refund is credited to the customer's wallet instead of going back
+   * through the gateway. Payments made from the wallet are always refunded to it.
    * @param {string} orderId - Order ID
    * @param {string} paymentId - Razorpay payment ID
-   * @param {number} amount - Refund amount (optional, defaults to full amount)
+   * @param {number} amount - Refund amount (optional, defaults to the refundable balance)
    * @param {string} reason - Reason for refund
+   * @param {Object} actor - { role, email } of whoever issued the refund
+   * @param {Object} options - { toWallet, claimId } claimId links the refund to the damage claim it settles
    * @returns {Promise<Object>} - Refund details
    */
-  async processRefund(orderId, paymentId, amount = null, reason = 'customer_requested') {
-    if (!this.isInitialized()) {
-      throw new Error('Payment gateway is not configured properly');
-    }
-
+  async processRefund(orderId, paymentId, amount = null, reason = 'customer_requested', actor = SYSTEM_ACTOR, { toWallet = false, claimId = null } = {}) {
     if (!orderId || !paymentId) {
       throw new Error('Order ID and payment ID are required');
     }
@@ -334,53 +699,319 @@ class PaymentService {
     }
 
     // Find the payment with the matching transaction ID
-    const payment = payments.find(p => p.transactionId === paymentId);
+    const payment = payments.find(p => p.gatewayPaymentId === paymentId);
     if (!payment) {
       throw new Error('Payment ID does not match order records');
     }
+    if (!['completed', 'refunded'].includes(payment.status)) {
+      throw new Error('Only completed payments can be refunded');
+    }
+    const destination = toWallet || payment.paymentGateway === 'wallet' ? 'wallet' : 'source';
+    const gateway = destination === 'source' ? await this._requireGateway() : null;
+    if (gateway && payment.paymentGateway !== gateway.name) {
+      throw new Error(`This payment was made through the ${payment.paymentGateway} gateway, which is not in use`);
+    }
 
-    // Determine refund amount
-    const refundAmount = amount !== null ? amount : payment.amount;
-    if (refundAmount <= 0 || refundAmount > payment.amount) {
-      throw new Error('Invalid refund amount');
+    if (destination === 'wallet') {
+      return this._refundToWallet(order, payment, amount, reason, actor, claimId);
     }
 
+    // Record the refund before calling the gateway, so concurrent refunds count it
+    // against the balance and the webhook can match the gateway refund to this row
+    const prisma = require('../prisma');
+    const ledgerEntry = await this._reserveRefund(payment, amount, {
+      orderId,
+      reason,
+      claimId,
+      initiatedBy: actor.email || null
+    });
+    const refundAmount = ledgerEntry.amount;
+
     // Process refund through Razorpay
+    let refund;
     try {
-      const refundData = {
-        payment_id: paymentId,
+      refund = await gateway.payments.refund(paymentId, {
         amount: Math.round(refundAmount * 100), // Convert to paise
         notes: {
           orderId: orderId,
+          refundId: ledgerEntry.id,
           reason: reason
         }
-      };
+      });
+    } catch (error) {
+      console.error('Error processing refund:', error);
+      const message = (error.error && error.error.description) || error.message;
+      await prisma.refund.update({
+        where: { id: ledgerEntry.id },
+        data: { status: 'failed', error: message }
+      });
+      throw new Error(`Failed to process refund: ${message}`);
+    }
+
+    // The webhook may already have recorded this refund
+    const current = await prisma.refund.findUnique({ where: { id: ledgerEntry.id } });
+    await prisma.refund.update({
+      where: { id: ledgerEntry.id },
+      data: {
+        gatewayRefundId: refund.id,
+        status: current.status === 'pending' ? this._ledgerStatus(refund.status) : current.status,
+        processedAt: current.processedAt || (refund.status === 'processed' ? new Date() : null)
+      }
+    });
+
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: { refundReason: reason }
+    });
+    await this._syncRefundTotals(payment.id, {
+      actor,
+      notes: `Refund of ₹${refundAmount.toLocaleString('en-IN')} issued: ${reason}`
+    });
+
+    // Return refund details
+    return {
+      id: ledgerEntry.id,
+      refundId: refund.id,
+      paymentId: refund.payment_id,
+      amount: refund.amount / 100,
+      status: refund.status,
+      destination: 'source',
+      refundableAmount: await this.getRefundableAmount(payment.id),
+      createdAt: new Date(refund.created_at * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Refund part of a payment as wallet credit. The credit is immediate, so the refund
+   * is processed as soon as it is recorded.
+   * @private
+   */
+  async _refundToWallet(order, payment, amount, reason, actor, claimId = null) {
+    const prisma = require('../prisma');
+    const { customerId } = await prisma.order.findUnique({ where: { id: order.id }, select: { customerId: true } });
 
-      const refund = await this.razorpay.payments.refund(refundData);
+    const ledgerEntry = await this._reserveRefund(payment, amount, {
+      orderId: order.id,
+      reason,
+      claimId,
+      destination: 'wallet',
+      status: 'processed',
+      processedAt: new Date(),
+      initiatedBy: actor.email || null
+    });
+    const refundAmount = ledgerEntry.amount;
 
-      // Update payment status in database
-      await paymentStorage.update(payment.id, {
-        status: 'refunded'
+    try {
+      await walletService.creditRefund(ledgerEntry, customerId);
+    } catch (error) {
+      console.error('Error crediting refund to wallet:', error);
+      await prisma.refund.update({
+        where: { id: ledgerEntry.id },
+        data: { status: 'failed', processedAt: null, error: error.message }
       });
+      throw new Error(`Failed to process refund: ${error.message}`);
+    }
 
-      // Update order status
-      await orderStorage.update(orderId, {
-        status: 'Refunded',
-        paymentStatus: 'refunded',
-        statusNote: `Refund processed: ${reason}`
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: { refundReason: reason }
+    });
+    await this._syncRefundTotals(payment.id, {
+      actor,
+      notes: `Refund of ₹${refundAmount.toLocaleString('en-IN')} credited to the customer's wallet: ${reason}`
+    });
+
+    return {
+      id: ledgerEntry.id,
+      refundId: ledgerEntry.id,
+      paymentId: payment.gatewayPaymentId,
+      amount: refundAmount,
+      status: 'processed',
+      destination: 'wallet',
+      refundableAmount: await this.getRefundableAmount(payment.id),
+      createdAt: ledgerEntry.createdAt.toISOString()
+    };
+  }
+
+  /**
+   * How much of a payment can still be refunded. Pending refunds count against the
+   * balance; failed ones don't.
+   * @param {string} paymentId - Local payment ID
+   * @returns {Promise<number>} - Refundable amount in rupees
+   */
+  async getRefundableAmount(paymentId) {
+    const prisma = require('../prisma');
+    const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+    if (!payment) {
+      throw new Error('Payment not found');
+    }
+
+    const refunded = await this._sumRefunds(paymentId);
+    return Math.max(0, Math.round((payment.amount - refunded) * 100) / 100);
+  }
+
+  /**
+   * Refund history for an order, with each payment's refunded and refundable amounts
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} - { payments, refunds }
+   */
+  async getRefundHistory(orderId) {
+    const prisma = require('../prisma');
+    const [payments, refunds] = await Promise.all([
+      prisma.payment.findMany({
+        where: { orderId, status: { in: ['completed', 'refunded'] } },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.refund.findMany({
+        where: { orderId },
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
+
+    return {
+      payments: payments.map(payment => {
+        const refunded = refunds
+          .filter(refund => refund.paymentId === payment.id && refund.status !== 'failed')
+          .reduce((sum, refund) => sum + refund.amount, 0);
+        return {
+          id: payment.id,
+          gatewayPaymentId: payment.gatewayPaymentId,
+          paymentGateway: payment.paymentGateway,
+          amount: payment.amount,
+          status: payment.status,
+          refundedAmount: Math.round(refunded * 100) / 100,
+          refundableAmount: Math.max(0, Math.round((payment.amount - refunded) * 100) / 100),
+          createdAt: payment.createdAt
+        };
+      }),
+      refunds: refunds.map(refund => ({
+        ...refund,
+        gatewayPaymentId: (payments.find(payment => payment.id === refund.paymentId) || {}).gatewayPaymentId
+      }))
+    };
+  }
+
+  /**
+   * Record a refund in the ledger. The payment's refunded total is summed again in the
+   * same database transaction, so concurrent refunds can't together refund more than
+   * was paid.
+   * @private
+   * @param {Object} payment - Payment being refunded
+   * @param {number|null} amount - Refund amount, or null for the whole refundable balance
+   * @param {Object} data - The refund's other fields
+   * @returns {Promise<Object>} - Refund ledger row
+   */
+  async _reserveRefund(payment, amount, data) {
+    const prisma = require('../prisma');
+    return prisma.$transaction(async tx => {
+      const refundable = Math.max(0, Math.round((payment.amount - await this._sumRefunds(payment.id, tx)) * 100) / 100);
+      if (refundable <= 0) {
+        throw new Error('This payment has already been fully refunded');
+      }
+      const refundAmount = amount !== null && amount !== undefined ? Math.round(amount * 100) / 100 : refundable;
+      if (!(refundAmount > 0) || refundAmount > refundable) {
+        throw new Error(`Invalid refund amount; up to ₹${refundable.toLocaleString('en-IN')} can be refunded`);
+      }
+
+      const ledgerEntry = await tx.refund.create({
+        data: { ...data, paymentId: payment.id, amount: refundAmount }
       });
 
-      // Return refund details
-      return {
-        refundId: refund.id,
-        paymentId: refund.payment_id,
-        amount: refund.amount / 100,
-        status: refund.status,
-        createdAt: new Date(refund.created_at * 1000).toISOString()
-      };
+      // Another refund may have been recorded since the balance was read
+      if (await this._sumRefunds(payment.id, tx) > Math.round(payment.amount * 100) / 100) {
+        throw new Error('Another refund of this payment was issued at the same time; please try again');
+      }
+      return ledgerEntry;
+    });
+  }
+
+  /**
+   * @private
+   * @param {Object} client - Prisma client or transaction (defaults to the client)
+   */
+  async _sumRefunds(paymentId, client = null) {
+    const prisma = client || require('../prisma');
+    const { _sum } = await prisma.refund.aggregate({
+      where: { paymentId, status: { in: ['pending', 'processed'] } },
+      _sum: { amount: true }
+    });
+    return Math.round((_sum.amount || 0) * 100) / 100;
+  }
+
+  /**
+   * Map a Razorpay refund status onto the ledger's statuses
+   * @private
+   */
+  _ledgerStatus(gatewayStatus) {
+    return ['processed', 'failed'].includes(gatewayStatus) ? gatewayStatus : 'pending';
+  }
+
+  /**
+   * Bring a payment and its order in line with the refund ledger. The order is Refunded
+   * once everything paid on it (every installment and wallet part) is refunded; until then
+   * a refund leaves the order's status alone and is only noted in its history.
+   * @private
+   * @param {string} paymentId - Local payment ID
+   * @param {Object} options - { actor, notes } for the order history
+   */
+  async _syncRefundTotals(paymentId, { actor = SYSTEM_ACTOR, notes } = {}) {
+    const prisma = require('../prisma');
+    const payment = await prisma.payment.findUnique({ where: { id: paymentId } });
+    const refunded = await this._sumRefunds(paymentId);
+    const fullyRefunded = refunded > 0 && refunded >= payment.amount;
+
+    await prisma.payment.update({
+      where: { id: paymentId },
+      data: {
+        refundAmount: refunded,
+        status: fullyRefunded ? 'refunded' : (payment.status === 'refunded' ? 'completed' : payment.status)
+      }
+    });
+
+    // Processed refunds get a credit note against the payment's invoice
+    try {
+      await invoiceService.issueCreditNotes(paymentId);
     } catch (error) {
-      console.error('Error processing refund:', error);
-      throw new Error(`Failed to process refund: ${error.message}`);
+      console.error(`Error issuing credit notes for payment ${paymentId}:`, error);
+    }
+
+    // A vendor already paid for the order gives back their share of the refund
+    try {
+      await settlementService.syncLateRefunds(payment.orderId);
+    } catch (error) {
+      console.error(`Error adjusting vendor payout for refunds on order ${payment.orderId}:`, error);
+    }
+
+    const order = await prisma.order.findUnique({ where: { id: payment.orderId } });
+    if (!order) {
+      return;
+    }
+
+    // An order has a payment per installment and wallet part, so it is only refunded
+    // once all of them are
+    const paid = await prisma.payment.findMany({
+      where: { orderId: payment.orderId, status: { in: ['completed', 'refunded'] } },
+      select: { amount: true, refundAmount: true }
+    });
+    const orderPaid = paid.reduce((sum, { amount }) => sum + amount, 0);
+    const orderRefunded = paid.reduce((sum, { refundAmount }) => sum + (refundAmount || 0), 0);
+    const orderFullyRefunded = orderRefunded > 0 && orderRefunded >= Math.round(orderPaid * 100) / 100;
+
+    // A failed refund can release the whole balance again
+    const paymentStatus = orderFullyRefunded
+      ? 'refunded'
+      : orderRefunded > 0 ? 'partially_refunded' : await paymentScheduleService.getPaymentStatus(payment.orderId);
+    if (orderRefunded > 0 || ['refunded', 'partially_refunded'].includes(order.paymentStatus)) {
+      await prisma.order.update({
+        where: { id: payment.orderId },
+        data: { paymentStatus }
+      });
+    }
+
+    if (orderFullyRefunded && orderStateMachine.canTransition(normalizeOrderStatus(order.status), ORDER_STATUSES.REFUNDED, actor.role)) {
+      await orderStateMachine.transition(payment.orderId, ORDER_STATUSES.REFUNDED, { actor, notes });
+    } else if (notes) {
+      await orderStateMachine.recordEvent(payment.orderId, notes, { actor });
     }
   }
 
@@ -390,16 +1021,14 @@ class PaymentService {
    * @returns {Promise<Object>} - Payment status details
    */
   async getPaymentStatus(paymentId) {
-    if (!this.isInitialized()) {
-      throw new Error('Payment gateway is not configured properly');
-    }
+    const gateway = await this._requireGateway();
 
     if (!paymentId) {
       throw new Error('Payment ID is required');
     }
 
     try {
-      const payment = await this.razorpay.payments.fetch(paymentId);
+      const payment = await gateway.payments.fetch(paymentId);
       return {
         paymentId: payment.id,
         orderId: payment.order_id,
@@ -414,6 +1043,342 @@ class PaymentService {
     }
   }
 
+  /**
+   * Check a webhook body against the X-Razorpay-Signature header
+   * @param {string} rawBody - Request body exactly as received
+   * @param {string} signature - Value of the X-Razorpay-Signature header
+   * @returns {Promise<boolean>} - Whether the signature is valid
+   */
+  async verifyWebhookSignature(rawBody, signature) {
+    const gateway = await this.getGateway();
+    const secret = gateway && gateway.webhookSecret;
+    if (!secret) {
+      console.error('The payment gateway webhook secret (RAZORPAY_WEBHOOK_SECRET) is not configured');
+      return false;
+    }
+    if (!signature || typeof rawBody !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'));
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Handle a verified webhook event. Events are recorded by the gateway's event ID, so a
+   * retried delivery of an event that was already handled is acknowledged without being
+   * applied again; events that failed, or whose handling never finished (e.g. the server
+   * restarted), are retried.
+   * @param {string} eventId - Value of the X-Razorpay-Event-Id header
+   * @param {Object} event - Parsed webhook body
+   * @returns {Promise<Object>} - { status: 'processed'|'ignored'|'duplicate' }
+   */
+  async handleWebhookEvent(eventId, event) {
+    if (!eventId || !event || !event.event) {
+      throw new Error('Webhook event ID and type are required');
+    }
+
+    const prisma = require('../prisma');
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + WEBHOOK_CLAIM_TIMEOUT_MS);
+    const existing = await prisma.paymentWebhookEvent.findUnique({ where: { eventId } });
+
+    if (existing) {
+      // Conditional, so only one delivery retries the event
+      const { count } = await prisma.paymentWebhookEvent.updateMany({
+        where: {
+          eventId,
+          OR: [
+            { status: 'failed' },
+            { status: 'processing', OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }] }
+          ]
+        },
+        data: { status: 'processing', error: null, lockedUntil }
+      });
+      if (count === 0) {
+        return { status: 'duplicate' };
+      }
+    } else {
+      try {
+        await prisma.paymentWebhookEvent.create({
+          data: {
+            eventId,
+            eventType: event.event,
+            payload: JSON.stringify(event),
+            lockedUntil
+          }
+        });
+      } catch (error) {
+        // Unique constraint: a concurrent delivery of the same event got here first
+        if (error.code === 'P2002') {
+          return { status: 'duplicate' };
+        }
+        throw error;
+      }
+    }
+
+    const handlers = {
+      'payment.captured': payload => this._handlePaymentCaptured(payload),
+      'payment.failed': payload => this._handlePaymentFailed(payload),
+      'refund.processed': payload => this._handleRefundProcessed(payload),
+      'refund.failed': payload => this._handleRefundFailed(payload)
+    };
+    const handler = handlers[event.event];
+
+    try {
+      if (handler) {
+        await handler(event.payload || {});
+      }
+    } catch (error) {
+      await prisma.paymentWebhookEvent.update({
+        where: { eventId },
+        data: { status: 'failed', error: error.message, lockedUntil: null }
+      });
+      throw error;
+    }
+
+    const status = handler ? 'processed' : 'ignored';
+    await prisma.paymentWebhookEvent.update({
+      where: { eventId },
+      data: { status, processedAt: new Date(), lockedUntil: null }
+    });
+
+    return { status };
+  }
+
+  /**
+   * Record a captured payment the browser may never have reported
+   * @private
+   */
+  async _handlePaymentCaptured(payload) {
+    const entity = payload.payment && payload.payment.entity;
+    if (!entity) {
+      throw new Error('payment.captured event has no payment entity');
+    }
+
+    if (await this._isPaymentRecorded(entity.id)) {
+      return;
+    }
+
+    const { orderId, vendorId, installmentId } = await this._getGatewayOrderNotes(entity);
+    if (!orderId || !vendorId) {
+      throw new Error(`Can't match captured payment ${entity.id} to an order`);
+    }
+
+    await this.processPayment(orderId, vendorId, {
+      razorpay_order_id: entity.order_id,
+      razorpay_payment_id: entity.id,
+      installmentId,
+      source: 'webhook',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Mark a failed payment attempt, leaving completed payments alone
+   * @private
+   */
+  async _handlePaymentFailed(payload) {
+    const entity = payload.payment && payload.payment.entity;
+    if (!entity) {
+      throw new Error('payment.failed event has no payment entity');
+    }
+
+    const prisma = require('../prisma');
+    if (await this._isPaymentRecorded(entity.id)) {
+      return;
+    }
+
+    const attempt = await prisma.payment.findFirst({
+      where: {
+        OR: [
+          { gatewayPaymentId: entity.id },
+          { gatewayOrderId: entity.order_id, status: { in: ['initiated', 'failed'] } }
+        ]
+      }
+    });
+
+    let orderId;
+    if (attempt) {
+      orderId = attempt.orderId;
+      await prisma.payment.update({
+        where: { id: attempt.id },
+        data: { gatewayPaymentId: entity.id, status: 'failed' }
+      });
+    } else {
+      ({ orderId } = await this._getGatewayOrderNotes(entity));
+      if (!orderId) {
+        throw new Error(`Can't match failed payment ${entity.id} to an order`);
+      }
+      await paymentStorage.create({
+        orderId,
+        amount: entity.amount / 100,
+        paymentMethod: 'razorpay',
+        paymentGateway: (await this.getGateway())?.name,
+        gatewayPaymentId: entity.id,
+        gatewayOrderId: entity.order_id,
+        status: 'failed'
+      });
+    }
+
+    const order = await prisma.order.findUnique({ where: { id: orderId }, include: { customer: true } });
+    if (!order || ['completed', 'partially_paid'].includes(order.paymentStatus)) {
+      return;
+    }
+
+    await prisma.order.update({
+      where: { id: orderId },
+      data: { paymentStatus: 'failed' }
+    });
+
+    try {
+      await notificationService.sendUserNotification(
+        order.customer.email,
+        'Payment Failed',
+        `Your payment for order ${order.orderNumber} didn't go through${entity.error_description ? `: ${entity.error_description}` : ''}. You can try again from the order page.`,
+        'error',
+        { type: 'payment_failed', orderId }
+      );
+    } catch (error) {
+      console.error(`Error sending payment failure notification for order ${orderId}:`, error);
+    }
+  }
+
+  /**
+   * Record a refund the gateway has processed. Refunds issued from the app already have
+   * a ledger entry; ones issued from the Razorpay dashboard get one here.
+   * @private
+   */
+  async _handleRefundProcessed(payload) {
+    const refund = payload.refund && payload.refund.entity;
+    if (!refund) {
+      throw new Error('refund.processed event has no refund entity');
+    }
+
+    const entry = await this._recordGatewayRefund(refund, 'processed');
+    await this._syncRefundTotals(entry.paymentId, {
+      notes: entry.created ? `Refund ${refund.id} of ₹${(refund.amount / 100).toLocaleString('en-IN')} processed by the payment gateway` : null
+    });
+  }
+
+  /**
+   * Release the balance held by a refund the gateway could not complete
+   * @private
+   */
+  async _handleRefundFailed(payload) {
+    const refund = payload.refund && payload.refund.entity;
+    if (!refund) {
+      throw new Error('refund.failed event has no refund entity');
+    }
+
+    const entry = await this._recordGatewayRefund(refund, 'failed');
+    await this._syncRefundTotals(entry.paymentId, {
+      notes: `Refund ${refund.id} of ₹${(refund.amount / 100).toLocaleString('en-IN')} failed at the payment gateway`
+    });
+  }
+
+  /**
+   * Update or create the ledger entry for a gateway refund
+   * @private
+   * @returns {Promise<Object>} - { paymentId, created }
+   */
+  async _recordGatewayRefund(refund, status) {
+    const prisma = require('../prisma');
+    const payment = await prisma.payment.findFirst({ where: { gatewayPaymentId: refund.payment_id } });
+    if (!payment) {
+      throw new Error(`No payment recorded for refunded gateway payment ${refund.payment_id}`);
+    }
+
+    // processRefund puts the ledger entry's ID in the notes, which covers events that
+    // arrive before it has stored the gateway refund ID
+    const ledgerId = refund.notes && refund.notes.refundId;
+    const entry = await prisma.refund.findFirst({
+      where: {
+        OR: [
+          { gatewayRefundId: refund.id },
+          ...(ledgerId ? [{ id: ledgerId, paymentId: payment.id }] : [])
+        ]
+      }
+    });
+
+    const data = {
+      gatewayRefundId: refund.id,
+      status,
+      processedAt: status === 'processed' ? new Date() : null,
+      error: status === 'failed' ? 'Refund failed at the payment gateway' : null
+    };
+
+    if (entry) {
+      await prisma.refund.update({ where: { id: entry.id }, data });
+      return { paymentId: payment.id, created: false };
+    }
+
+    await prisma.refund.create({
+      data: {
+        ...data,
+        paymentId: payment.id,
+        orderId: payment.orderId,
+        amount: refund.amount / 100,
+        reason: (refund.notes && refund.notes.reason) || 'Issued from the payment gateway'
+      }
+    });
+    return { paymentId: payment.id, created: true };
+  }
+
+  /**
+   * Issue the tax invoice for a captured payment. A failure here mustn't fail the
+   * payment; invoiceService.getOrderDocuments issues any invoice that is missing.
+   * @private
+   */
+  async _issueInvoice(paymentId, vendorId) {
+    try {
+      await invoiceService.issueInvoice(paymentId, { vendorId });
+    } catch (error) {
+      console.error(`Error issuing invoice for payment ${paymentId}:`, error);
+    }
+  }
+
+  /**
+   * Whether a gateway payment has already been recorded as paid
+   * @private
+   */
+  async _isPaymentRecorded(gatewayPaymentId) {
+    if (!gatewayPaymentId) {
+      return false;
+    }
+
+    const prisma = require('../prisma');
+    const recorded = await prisma.payment.count({
+      where: { gatewayPaymentId, status: { in: ['completed', 'refunded'] } }
+    });
+    return recorded > 0;
+  }
+
+  /**
+   * Find the local order and vendor a gateway payment belongs to, from the notes set in
+   * createPaymentOrder. Payments don't always carry the order's notes, so fall back to
+   * fetching the gateway order.
+   * @private
+   */
+  async _getGatewayOrderNotes(entity) {
+    if (entity.notes && entity.notes.orderId && entity.notes.vendorId) {
+      return { orderId: entity.notes.orderId, vendorId: entity.notes.vendorId, installmentId: entity.notes.installmentId };
+    }
+    const gateway = await this.getGateway();
+    if (!entity.order_id || !gateway) {
+      return {};
+    }
+
+    const gatewayOrder = await gateway.orders.fetch(entity.order_id);
+    const notes = gatewayOrder.notes || {};
+    return {
+      orderId: notes.orderId || gatewayOrder.receipt,
+      vendorId: notes.vendorId,
+      installmentId: notes.installmentId
+    };
+  }
+
   /**
    * Check if a vendor has available discounted commissions
    * @param {string} vendorId - The vendor ID
@@ -479,4 +1444,9 @@ class PaymentService {
   }
 }
 
-export const paymentService = new PaymentService(); 
\ No newline at end of file
+export const paymentService = new PaymentService();
+
+// Wallet money held for an unfinished checkout goes back when the order is cancelled
+orderStateMachine.onTransition(async ({ order }) => {
+  await paymentService.releaseWalletPayments(order.id);
+}, { to: ORDER_STATUSES.CANCELLED }); 
\ No newline at end of file
@@ -10,6 +10,8 @@
 
 import { default as nodeFetch } from 'node-fetch';
 import { v4 as uuidv4 } from 'uuid';
+import { getRoadDistance, setDistanceProviderOverride, createMatrixDistanceProvider } from './distanceService';
+import { discountService } from './discountService';
 
 const fetch = (...args) => nodeFetch(...args);
 
@@ -21,7 +23,6 @@ const CONFIG = {
   RETRY_ATTEMPTS: 3,
   INITIAL_BACKOFF: 300,
   USER_AGENT: 'MovingCostEstimator/2.0 (contact@example.com)',
-  MAPS_API_KEY: process.env.GOOGLE_MAPS_API_KEY || 'YOUR_GOOGLE_MAPS_API_KEY',
   
   // Tax Configuration
   GST_RATE: 0.18,
@@ -32,6 +33,7 @@ const CONFIG = {
   FLOOR_COST_PER_LEVEL: 500, // Additional cost per floor
   ELEVATOR_DISCOUNT: 0.7, // 30% discount on floor charges when elevator is available
   PARKING_DISTANCE_RATES: [0, 500, 1000, 1500], // Rates for 0-50m, 50-100m, 100-150m, 150m+
+  EXTRA_STOP_CHARGE: 750, // Loading/unloading charge for each stop between origin and final destination
   FUEL_PRICE_BASE: 100, // Base fuel price used in original calculation
   SPECIAL_ITEM_CATEGORIES: {
     'standard': 1000,
@@ -42,7 +44,6 @@ const CONFIG = {
   
   // Defaults
   DEFAULT_DISTANCE: 50,
-  MIN_DISTANCE: 5, // Minimum distance to charge for local moves
 };
 
 // Base moving cost by home size and location tier
@@ -215,6 +216,26 @@ const cache = {
   }
 };
 
+// ---------------- Deterministic Mode ---------------- //
+
+// When set, location lookups, fuel prices and distances come from fixed inputs instead of
+// the network, the database or Math.random, so the same options always price the same
+let deterministicOverrides = null;
+
+const FALLBACK_LOCATION = {
+  lat: '20.5937', // Central India fallback
+  lon: '78.9629',
+  region: 'unknown',
+  tier: 'Town'
+};
+
+/**
+ * Current time, or the fixed time in deterministic mode
+ */
+function currentDate() {
+  return deterministicOverrides && deterministicOverrides.now ? new Date(deterministicOverrides.now) : new Date();
+}
+
 // ---------------- Helper Functions ---------------- //
 
 /**
@@ -239,15 +260,22 @@ async function retryFetch(url, options = {}, retries = CONFIG.RETRY_ATTEMPTS, ba
  * Fetches location data using postal code
  */
 async function fetchLocationData(zipCode) {
+  if (deterministicOverrides) {
+    return { ...FALLBACK_LOCATION, ...deterministicOverrides.locations[zipCode], zip: zipCode };
+  }
+  
+  const location = await lookupLocationData(zipCode);
+  return { ...location, zip: zipCode };
+}
+
+/**
+ * Looks up location data for a postal code over the network
+ */
+async function lookupLocationData(zipCode) {
   // Validate zipCode
   if (!zipCode || typeof zipCode !== 'string' || zipCode.length < 4) {
     console.warn(`Invalid zipCode: ${zipCode}, using fallback location`);
-    return {
-      lat: '20.5937', // Central India fallback
-      lon: '78.9629',
-      region: 'unknown',
-      tier: 'Town'
-    };
+    return { ...FALLBACK_LOCATION };
   }
   
   const cacheKey = `location_${zipCode}`;
@@ -278,23 +306,13 @@ async function fetchLocationData(zipCode) {
     }
     
     // Default fallback if no data found
-    const fallbackData = {
-      lat: '20.5937', // Central India fallback
-      lon: '78.9629',
-      region: 'unknown',
-      tier: 'Town'
-    };
+    const fallbackData = { ...FALLBACK_LOCATION };
     
     cache.set('location', cacheKey, fallbackData);
     return fallbackData;
   } catch (error) {
     console.error(`Error fetching location data for zipCode ${zipCode}:`, error);
-    return {
-      lat: '20.5937',
-      lon: '78.9629',
-      region: 'unknown',
-      tier: 'Town'
-    };
+    return { ...FALLBACK_LOCATION };
   }
 }
 
@@ -352,90 +370,12 @@ function determineCityTier(locationData) {
 }
 
 /**
- * Calculate real-world driving distance using distance matrix API
+ * Calculate real-world driving distance with the configured distance provider. Distances
+ * are cached per provider in the DistanceCache table, so there is no in-memory layer here
+ * to serve a previous provider's or a fallback's result.
  */
 async function calculateRealDistance(fromLoc, toLoc) {
-  const cacheKey = `distance_${fromLoc.lat}_${fromLoc.lon}_${toLoc.lat}_${toLoc.lon}`;
-  const cachedDistance = cache.get('distance', cacheKey);
-  
-  if (cachedDistance) return cachedDistance;
-  
-  try {
-    // Check if Google Maps API key is configured
-    if (!CONFIG.MAPS_API_KEY || CONFIG.MAPS_API_KEY === 'YOUR_GOOGLE_MAPS_API_KEY') {
-      // If no API key, silently fall back to haversine calculation without throwing an error
-      console.warn('Google Maps API credentials missing - real distance calculation will be disabled');
-      return calculateHaversineDistance(fromLoc, toLoc, cacheKey);
-    }
-    
-    // Use Google Maps Distance Matrix API
-    const url = `https://maps.googleapis.com/maps/api/distancematrix/json?origins=${fromLoc.lat},${fromLoc.lon}&destinations=${toLoc.lat},${toLoc.lon}&mode=driving&key=${CONFIG.MAPS_API_KEY}`;
-    
-    const response = await retryFetch(url);
-    const data = await response.json();
-    
-    if (data.status === 'OK' && data.rows[0].elements[0].status === 'OK') {
-      const element = data.rows[0].elements[0];
-      const distanceKm = Math.round(element.distance.value / 1000);
-      const durationMinutes = Math.round(element.duration.value / 60);
-      
-      // Simulate road quality analysis
-      const roadQuality = {
-        highwayPercent: 60,
-        localPercent: 30,
-        unpavedPercent: 10
-      };
-      
-      const result = {
-        distance: Math.max(distanceKm, CONFIG.MIN_DISTANCE),
-        duration: durationMinutes,
-        roadQuality
-      };
-      
-      cache.set('distance', cacheKey, result);
-      return result;
-    }
-    
-    throw new Error('Distance calculation failed');
-  } catch (error) {
-    console.error('Error calculating real distance:', error);
-    
-    // Fallback to haversine formula
-    return calculateHaversineDistance(fromLoc, toLoc, cacheKey);
-  }
-}
-
-// Helper function to calculate haversine distance
-function calculateHaversineDistance(fromLoc, toLoc, cacheKey) {
-  const R = 6371; // Earth radius in km
-  const dLat = (parseFloat(toLoc.lat) - parseFloat(fromLoc.lat)) * (Math.PI / 180);
-  const dLon = (parseFloat(toLoc.lon) - parseFloat(fromLoc.lon)) * (Math.PI / 180);
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(parseFloat(fromLoc.lat) * (Math.PI / 180)) * Math.cos(parseFloat(toLoc.lat) * (Math.PI / 180)) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = Math.round(R * c);
-  
-  // Simulate duration and road quality
-  const durationMinutes = Math.round(distance * 1.5); // Rough estimate: 1.5 min per km
-  const roadQuality = {
-    highwayPercent: 50,
-    localPercent: 40,
-    unpavedPercent: 10
-  };
-  
-  const result = {
-    distance: Math.max(distance, CONFIG.MIN_DISTANCE),
-    duration: durationMinutes,
-    roadQuality
-  };
-  
-  if (cacheKey) {
-    cache.set('distance', cacheKey, result);
-  }
-  
-  return result;
+  return getRoadDistance(fromLoc, toLoc);
 }
 
 /**
@@ -450,16 +390,16 @@ function getTimeFactors(moveDate) {
       // Check if date is valid
       if (isNaN(date.getTime())) {
         console.warn(`Invalid date format: ${moveDate}, using current date`);
-        date = new Date();
+        date = currentDate();
       }
     } else if (moveDate instanceof Date) {
       date = moveDate;
     } else {
       console.warn(`Unexpected date format: ${typeof moveDate}, using current date`);
-      date = new Date();
+      date = currentDate();
     }
   } else {
-    date = new Date();
+    date = currentDate();
   }
   
   const month = date.getMonth() + 1; // JS months are 0-indexed
@@ -487,6 +427,10 @@ function getTimeFactors(moveDate) {
  * Calculate fuel price adjustment
  */
 async function getFuelPriceAdjustment() {
+  if (deterministicOverrides) {
+    return deterministicOverrides.fuelAdjustment;
+  }
+  
   const cacheKey = 'current_fuel_price';
   const cachedPrice = cache.get('fuel', cacheKey);
   
@@ -517,6 +461,61 @@ function calculateParkingDistanceCost(parkingDistance) {
   return CONFIG.PARKING_DISTANCE_RATES[3];
 }
 
+/**
+ * Calculates floor and parking charges for a single stop
+ */
+function calculateStopCosts(stop) {
+  const floorCost = stop.floorLevel > 0 ?
+    Math.round(stop.floorLevel * CONFIG.FLOOR_COST_PER_LEVEL * (stop.hasElevator ? CONFIG.ELEVATOR_DISCOUNT : 1)) : 0;
+
+  return {
+    floorCost,
+    parkingCost: calculateParkingDistanceCost(stop.parkingDistance)
+  };
+}
+
+/**
+ * Builds the ordered list of stops for a move. Accepts either `stops` or the legacy
+ * fromZip/toZip pair with origin/destination floor, elevator and parking fields.
+ */
+function normalizeMoveStops(options) {
+  const stops = Array.isArray(options.stops) && options.stops.length > 0
+    ? options.stops
+    : [
+        {
+          zip: options.fromZip,
+          floorLevel: options.floorLevelOrigin,
+          hasElevator: options.hasElevatorOrigin,
+          parkingDistance: options.parkingDistanceOrigin
+        },
+        {
+          zip: options.toZip,
+          floorLevel: options.floorLevelDestination,
+          hasElevator: options.hasElevatorDestination,
+          parkingDistance: options.parkingDistanceDestination
+        }
+      ];
+
+  if (stops.length < 2) {
+    throw new Error('At least two stops are required to calculate a moving cost');
+  }
+
+  return stops.map((stop, index) => {
+    const zip = stop.zip || stop.pincode;
+    if (!zip) {
+      throw new Error(`Stop ${index + 1} is missing a zip code`);
+    }
+
+    return {
+      zip: String(zip),
+      label: stop.label || (index === 0 ? 'Origin' : index === stops.length - 1 ? 'Destination' : `Stop ${index}`),
+      floorLevel: parseInt(stop.floorLevel, 10) || 0,
+      hasElevator: !!stop.hasElevator,
+      parkingDistance: parseFloat(stop.parkingDistance) || 0
+    };
+  });
+}
+
 /**
  * Apply data-driven adjustment based on historical data
  */
@@ -543,20 +542,19 @@ function applyDataDrivenAdjustment(estimate, inputs) {
 
 /**
  * Calculate detailed moving cost with comprehensive factors
+ *
+ * Accepts either a `stops` array (ordered, each with zip, floorLevel, hasElevator,
+ * parkingDistance and an optional label) or the legacy fromZip/toZip fields. With
+ * `returnTrip` set, the vehicle drives back from the last stop to the first one.
+ * A `promoCode` (checked for `userEmail` when given) and a `vendorTier` discount are
+ * taken off the subtotal before GST, as described in discountService.
  */
 async function calculateMovingCost(options) {
   // Destructure inputs with defaults
   const {
-    fromZip,
-    toZip,
     moveSize,
     moveDate,
-    floorLevelOrigin = 0,
-    floorLevelDestination = 0,
-    hasElevatorOrigin = false,
-    hasElevatorDestination = false,
-    parkingDistanceOrigin = 0,
-    parkingDistanceDestination = 0,
+    returnTrip = false,
     premiumPacking = false,
     specialItems = [],
     storageMonths = 0,
@@ -570,38 +568,66 @@ async function calculateMovingCost(options) {
     throw new Error(`Invalid move size provided. Available options: ${Object.keys(movingCostTable).join(", ")}`);
   }
   
-  // Fetch location data
-  const [fromLocation, toLocation] = await Promise.all([
-    fetchLocationData(fromZip),
-    fetchLocationData(toZip)
-  ]);
-  
-  // Calculate real-world distance and duration
-  const { distance, duration, roadQuality } = await calculateRealDistance(fromLocation, toLocation);
+  const stops = normalizeMoveStops(options);
   
-  // Determine move type for rate calculation
-  const moveType = `${fromLocation.tier}-${toLocation.tier}`;
-  const perKmCost = perKmRate[moveType] || 50;
+  // Fetch location data for every stop
+  const stopLocations = await Promise.all(stops.map(stop => fetchLocationData(stop.zip)));
+  const fromLocation = stopLocations[0];
+  const toLocation = stopLocations[stopLocations.length - 1];
   
-  // Get base cost from table
-  const baseCost = movingCostTable[moveSize][fromLocation.tier];
-  
-  // Calculate transportation cost with road quality factor
-  const regionFactor = roadQualityFactor[fromLocation.region] || 
-                      roadQualityFactor[toLocation.region] || 
-                      roadQualityFactor.default;
-  
-  // Adjust for highway vs local road composition
-  const roadCompositionFactor = 
-    (roadQuality.highwayPercent * 0.9 + 
-     roadQuality.localPercent * 1.0 + 
-     roadQuality.unpavedPercent * 1.5) / 100;
+  // Drive the stops in order, and back to the first stop for a return trip
+  const legEndpoints = stops.slice(1).map((stop, index) => [index, index + 1]);
+  if (returnTrip) {
+    legEndpoints.push([stops.length - 1, 0]);
+  }
   
   // Get fuel price adjustment
   const fuelAdjustment = await getFuelPriceAdjustment();
   
-  // Calculate transport cost
-  const transportCost = Math.round(distance * perKmCost * regionFactor * roadCompositionFactor * fuelAdjustment);
+  // Calculate transport cost leg by leg
+  const legs = [];
+  for (const [fromIndex, toIndex] of legEndpoints) {
+    const legFrom = stopLocations[fromIndex];
+    const legTo = stopLocations[toIndex];
+    
+    // Calculate real-world distance and duration
+    const { distance, duration, roadQuality } = await calculateRealDistance(legFrom, legTo);
+    
+    // Determine move type for rate calculation
+    const moveType = `${legFrom.tier}-${legTo.tier}`;
+    const perKmCost = perKmRate[moveType] || 50;
+    
+    // Calculate transportation cost with road quality factor
+    const regionFactor = roadQualityFactor[legFrom.region] || 
+                        roadQualityFactor[legTo.region] || 
+                        roadQualityFactor.default;
+    
+    // Adjust for highway vs local road composition
+    const roadCompositionFactor = 
+      (roadQuality.highwayPercent * 0.9 + 
+       roadQuality.localPercent * 1.0 + 
+       roadQuality.unpavedPercent * 1.5) / 100;
+    
+    legs.push({
+      legNumber: legs.length + 1,
+      from: { zip: stops[fromIndex].zip, label: stops[fromIndex].label, tier: legFrom.tier, region: legFrom.region },
+      to: { zip: stops[toIndex].zip, label: stops[toIndex].label, tier: legTo.tier, region: legTo.region },
+      isReturnLeg: returnTrip && toIndex === 0,
+      distance,
+      duration,
+      perKmCost,
+      transportCost: Math.round(distance * perKmCost * regionFactor * roadCompositionFactor * fuelAdjustment),
+      tollCharges: Math.round(distance * 2.5)
+    });
+  }
+  
+  const distance = legs.reduce((total, leg) => total + leg.distance, 0);
+  const duration = legs.reduce((total, leg) => total + leg.duration, 0);
+  const transportCost = legs.reduce((total, leg) => total + leg.transportCost, 0);
+  const tollCharges = legs.reduce((total, leg) => total + leg.tollCharges, 0);
+  
+  // Get base cost from table
+  const baseCost = movingCostTable[moveSize][fromLocation.tier];
   
   // Calculate labor cost based on home size and duration
   const laborCost = Math.round(baseCost * 0.2 * (duration / 240 + 0.5)); // Adjust for estimated duration
@@ -609,16 +635,34 @@ async function calculateMovingCost(options) {
   // Calculate packing cost
   const packingCost = premiumPacking ? Math.round(baseCost * 0.3) : Math.round(baseCost * 0.2);
   
-  // Calculate floor-related costs
-  const floorCostOrigin = floorLevelOrigin > 0 ? 
-    Math.round(floorLevelOrigin * CONFIG.FLOOR_COST_PER_LEVEL * (hasElevatorOrigin ? CONFIG.ELEVATOR_DISCOUNT : 1)) : 0;
+  // Calculate floor and parking costs at every stop
+  const stopBreakdown = stops.map((stop, index) => {
+    const { floorCost, parkingCost } = calculateStopCosts(stop);
+    const isIntermediate = index > 0 && index < stops.length - 1;
+    const extraStopCharge = isIntermediate ? CONFIG.EXTRA_STOP_CHARGE : 0;
+    
+    return {
+      ...stop,
+      tier: stopLocations[index].tier,
+      region: stopLocations[index].region,
+      floorCost,
+      parkingCost,
+      extraStopCharge,
+      totalCost: floorCost + parkingCost + extraStopCharge
+    };
+  });
   
-  const floorCostDestination = floorLevelDestination > 0 ? 
-    Math.round(floorLevelDestination * CONFIG.FLOOR_COST_PER_LEVEL * (hasElevatorDestination ? CONFIG.ELEVATOR_DISCOUNT : 1)) : 0;
+  const originStop = stopBreakdown[0];
+  const destinationStop = stopBreakdown[stopBreakdown.length - 1];
+  const floorCostOrigin = originStop.floorCost;
+  const floorCostDestination = destinationStop.floorCost;
+  const parkingCostOrigin = originStop.parkingCost;
+  const parkingCostDestination = destinationStop.parkingCost;
   
-  // Calculate parking distance costs
-  const parkingCostOrigin = calculateParkingDistanceCost(parkingDistanceOrigin);
-  const parkingCostDestination = calculateParkingDistanceCost(parkingDistanceDestination);
+  // Everything charged at stops between the origin and the final destination
+  const intermediateStopsCost = stopBreakdown
+    .slice(1, -1)
+    .reduce((total, stop) => total + stop.totalCost, 0);
   
   // Calculate special item handling cost
   let specialItemHandling = 0;
@@ -631,9 +675,6 @@ async function calculateMovingCost(options) {
   // Calculate storage cost
   const storageCost = storageMonths * 5000;
   
-  // Calculate toll charges
-  const tollCharges = Math.round(distance * 2.5);
-  
   // Calculate insurance cost
   const insuranceCost = Math.round(insuranceValue * 0.03);
   
@@ -659,6 +700,7 @@ async function calculateMovingCost(options) {
     floorCostDestination + 
     parkingCostOrigin + 
     parkingCostDestination + 
+    intermediateStopsCost + 
     specialItemHandling + 
     storageCost + 
     tollCharges + 
@@ -679,11 +721,28 @@ async function calculateMovingCost(options) {
   
   const adjustedSubtotal = Math.round(subtotal * dataAdjustment);
   
+  // Apply the vendor tier discount and promo code
+  const discounts = options.promoCode || options.vendorTier
+    ? await discountService.getEstimateDiscounts(adjustedSubtotal, {
+        promoCode: options.promoCode,
+        userEmail: options.userEmail,
+        vendorTier: options.vendorTier,
+        pickupPincode: originStop.zip,
+        moveSize
+      })
+    : null;
+  const discountedSubtotal = adjustedSubtotal - Math.round(discounts ? discounts.totalDiscount : 0);
+  
   // Calculate GST
-  const GST = Math.round(adjustedSubtotal * CONFIG.GST_RATE);
+  const GST = Math.round(discountedSubtotal * CONFIG.GST_RATE);
   
   // Calculate total cost
-  const totalCost = adjustedSubtotal + GST;
+  const totalCost = discountedSubtotal + GST;
+  
+  const routeSummary = stops.length > 2
+    ? ` via ${stops.length - 2} intermediate stop${stops.length > 3 ? 's' : ''}`
+    : '';
+  const returnSummary = returnTrip ? ' and back' : '';
   
   // Generate detailed breakdown
   return {
@@ -696,6 +755,11 @@ async function calculateMovingCost(options) {
     fromRegion: fromLocation.region,
     toRegion: toLocation.region,
     
+    // Route
+    stops: stopBreakdown,
+    legs,
+    returnTrip,
+    
     // Distance and time
     distance,
     estimatedDuration: duration,
@@ -711,6 +775,7 @@ async function calculateMovingCost(options) {
     floorCostDestination,
     parkingCostOrigin,
     parkingCostDestination,
+    intermediateStopsCost,
     specialItemHandling,
     storageCost,
     tollCharges,
@@ -727,11 +792,13 @@ async function calculateMovingCost(options) {
     rawSubtotal,
     subtotal,
     adjustedSubtotal,
+    discounts,
+    discountedSubtotal,
     GST,
     totalCost,
     
     // Summary
-    description: `Estimated cost for a ${moveSize} move from ${fromLocation.tier} (${fromZip}) to ${toLocation.tier} (${toZip}) covering ${distance} km is ₹${totalCost.toLocaleString('en-IN')}. This includes all applicable charges and GST.`
+    description: `Estimated cost for a ${moveSize} move from ${fromLocation.tier} (${originStop.zip}) to ${toLocation.tier} (${destinationStop.zip})${routeSummary}${returnSummary} covering ${distance} km is ₹${totalCost.toLocaleString('en-IN')}. This includes all applicable charges and GST.`
   };
 }
 
@@ -766,6 +833,32 @@ async function getQuickEstimate(fromZip, toZip, moveSize) {
   }
 }
 
+/**
+ * Get the driving distance of a move, stop by stop
+ * Takes the same stop options as calculateMovingCost (fromZip/toZip or stops, returnTrip)
+ */
+async function getMoveDistance(options) {
+  const stops = normalizeMoveStops(options);
+  const stopLocations = await Promise.all(stops.map(stop => fetchLocationData(stop.zip)));
+
+  const legEndpoints = stops.slice(1).map((stop, index) => [index, index + 1]);
+  if (options.returnTrip) {
+    legEndpoints.push([stops.length - 1, 0]);
+  }
+
+  const legs = [];
+  for (const [fromIndex, toIndex] of legEndpoints) {
+    const { distance, duration } = await calculateRealDistance(stopLocations[fromIndex], stopLocations[toIndex]);
+    legs.push({ from: stops[fromIndex].zip, to: stops[toIndex].zip, distance, duration });
+  }
+
+  return {
+    distance: legs.reduce((total, leg) => total + leg.distance, 0),
+    duration: legs.reduce((total, leg) => total + leg.duration, 0),
+    legs
+  };
+}
+
 /**
  * Get detailed breakdown of cost factors
  */
@@ -779,6 +872,7 @@ function getCostFactors() {
     additionalFactors: [
       { name: "Floor Level", description: "Additional cost per floor level", baseCost: CONFIG.FLOOR_COST_PER_LEVEL },
       { name: "Elevator Discount", description: "Discount when elevator is available", factor: 1 - CONFIG.ELEVATOR_DISCOUNT },
+      { name: "Extra Stop", description: "Loading/unloading charge for each stop between origin and destination", baseCost: CONFIG.EXTRA_STOP_CHARGE },
       { name: "Weekend Surcharge", description: "Additional cost for weekend moves", factor: CONFIG.WEEKEND_SURCHARGE },
       { name: "GST", description: "Goods and Services Tax", rate: CONFIG.GST_RATE }
     ]
@@ -794,6 +888,29 @@ function clearPricingCache(cacheType, key) {
   cache.clearCache(cacheType, key);
 }
 
+/**
+ * Run the estimator deterministically, e.g. in tests: no network or database access and
+ * no random fuel price variation. Call resetDeterministicPricing() to go back to normal.
+ * @param {Object} options - Fixed inputs
+ * @param {Object} options.locations - Map of zip code to { lat, lon, tier, region }; unknown zips use a central India fallback
+ * @param {Object} options.distances - Map of 'fromZip-toZip' to { distance, duration }; other pairs use haversine
+ * @param {string|Object} options.distanceProvider - Provider name or object to use instead of the distance matrix
+ * @param {number} options.fuelAdjustment - Fixed fuel price adjustment factor
+ * @param {string|Date} options.now - Fixed current time used when no move date is given
+ */
+function configureDeterministicPricing({ locations = {}, distances = {}, distanceProvider = null, fuelAdjustment = 1.0, now = null } = {}) {
+  deterministicOverrides = { locations, fuelAdjustment, now };
+  setDistanceProviderOverride(distanceProvider || createMatrixDistanceProvider(distances));
+}
+
+/**
+ * Leave deterministic mode and use the configured providers again
+ */
+function resetDeterministicPricing() {
+  deterministicOverrides = null;
+  setDistanceProviderOverride(null);
+}
+
 /**
  * Get cache statistics
  * @returns {Object} Object containing cache statistics
@@ -901,7 +1018,7 @@ async function calculateParcelDeliveryCost(options) {
   let surgeFactor = 1.0;
   
   // Use current date for time-based factors
-  const now = new Date();
+  const now = currentDate();
   const month = now.getMonth() + 1; // 1-12
   const dayOfWeek = now.getDay(); // 0-6
   const hour = now.getHours();
@@ -1025,12 +1142,18 @@ async function getDetailedEstimate(options) {
   }
 }
 
+const { GST_RATE } = CONFIG;
+
 export {
+  GST_RATE,
   calculateMovingCost,
   getQuickEstimate,
+  getMoveDistance,
   getAvailableMoveSizes,
   getCostFactors,
   clearPricingCache,
   getCacheStats,
+  configureDeterministicPricing,
+  resetDeterministicPricing,
   getDetailedEstimate
 }; 
\ No newline at end of file
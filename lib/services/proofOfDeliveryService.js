@@ -0,0 +1,378 @@
+/**
+ * Proof of Delivery Service
+ *
+ * Evidence that a rider actually handed a parcel over, so disputed deliveries can be
+ * settled from records rather than the rider's word:
+ *
+ * - A delivery OTP is generated when the parcel is picked up and sent to the customer.
+ *   The rider asks the recipient for it at the door and enters it to confirm the handover.
+ * - The rider can capture the recipient's signature and photos of the delivered parcel.
+ * - When the recipient can't produce the OTP, an admin can confirm the handover instead;
+ *   the override is recorded with the admin and their reason.
+ *
+ * Rider deliveries can't move to Delivered until the OTP is verified or overridden
+ * (see the hasProofOfDelivery guard in orderStateMachine). Images are stored on disk
+ * under PROOF_STORAGE_DIR, outside the public directory, and served through the order's
+ * proof-of-delivery route so only parties to the order can see them.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { storeImage, readImage, removeImage } from '../imageUploads';
+import { notificationService } from './notificationService';
+import { auditService } from './auditService';
+import { orderStateMachine } from './orderStateMachine';
+import { ORDER_STATUSES, normalizeOrderStatus } from '../orderLifecycle';
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = 24 * 60 * 60 * 1000;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_OTP_ATTEMPTS = 5; // After this the rider has to send a fresh OTP
+const MAX_PHOTOS = 5;
+
+const STORAGE_DIR = process.env.PROOF_STORAGE_DIR || path.join(process.cwd(), 'uploads', 'delivery-proofs');
+
+// Statuses in which a rider can collect proof for a delivery
+const HANDOVER_STATUSES = [
+  ORDER_STATUSES.PICKED_UP,
+  ORDER_STATUSES.IN_TRANSIT,
+  ORDER_STATUSES.OUT_FOR_DELIVERY
+];
+
+class ProofOfDeliveryService {
+  /**
+   * Get the stored proof for an order
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} - DeliveryProof row
+   */
+  async getProof(orderId) {
+    const prisma = require('../prisma');
+    return prisma.deliveryProof.findUnique({ where: { orderId } });
+  }
+
+  /**
+   * Check whether a proof confirms the handover
+   * @param {Object|null} proof - DeliveryProof row
+   * @returns {boolean} - Whether the OTP was verified or an admin overrode it
+   */
+  isHandoverConfirmed(proof) {
+    return !!(proof && (proof.otpVerifiedAt || proof.overriddenAt));
+  }
+
+  /**
+   * Summarize a proof for display, without the OTP hash or file locations
+   * @param {Object|null} proof - DeliveryProof row
+   * @returns {Object} - Proof summary
+   */
+  summarizeProof(proof) {
+    const photos = proof ? this._parsePhotos(proof) : [];
+
+    return {
+      otpSent: !!(proof && proof.otpHash),
+      otpExpiresAt: proof ? proof.otpExpiresAt : null,
+      otpVerifiedAt: proof ? proof.otpVerifiedAt : null,
+      recipientName: proof ? proof.recipientName : null,
+      hasSignature: !!(proof && proof.signature),
+      photoCount: photos.length,
+      override: proof && proof.overriddenAt ? {
+        by: proof.overrideBy,
+        reason: proof.overrideReason,
+        at: proof.overriddenAt
+      } : null,
+      handoverConfirmed: this.isHandoverConfirmed(proof)
+    };
+  }
+
+  /**
+   * Get the proof for an order with links to its signature and photos
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} - Proof summary with signatureUrl and photoUrls
+   */
+  async getProofDetails(orderId) {
+    const proof = await this.getProof(orderId);
+    const fileUrl = fileName => `/api/orders/${orderId}/proof-of-delivery?file=${encodeURIComponent(fileName)}`;
+
+    return {
+      ...this.summarizeProof(proof),
+      signatureUrl: proof && proof.signature ? fileUrl(proof.signature) : null,
+      photoUrls: proof ? this._parsePhotos(proof).map(fileUrl) : []
+    };
+  }
+
+  /**
+   * Generate a delivery OTP and send it to the customer. Any earlier OTP stops working.
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} - { expiresAt }
+   */
+  async issueOtp(orderId) {
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { customer: true, deliveryProof: true }
+    });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (!order.riderId) {
+      throw new Error('Delivery OTPs are only used for rider deliveries');
+    }
+    this._assertHandoverStatus(order);
+
+    const existing = order.deliveryProof;
+    if (this.isHandoverConfirmed(existing)) {
+      throw new Error('The handover has already been confirmed');
+    }
+    if (existing && existing.otpExpiresAt) {
+      const issuedAt = new Date(existing.otpExpiresAt).getTime() - OTP_TTL_MS;
+      if (Date.now() - issuedAt < OTP_RESEND_COOLDOWN_MS) {
+        throw new Error('Please wait a minute before sending another OTP');
+      }
+    }
+
+    const otp = crypto.randomInt(0, Math.pow(10, OTP_LENGTH)).toString().padStart(OTP_LENGTH, '0');
+    const expiresAt = new Date(Date.now() + OTP_TTL_MS);
+    const otpData = {
+      otpHash: this._hashOtp(orderId, otp),
+      otpExpiresAt: expiresAt,
+      otpAttempts: 0
+    };
+
+    await prisma.deliveryProof.upsert({
+      where: { orderId },
+      update: otpData,
+      create: { orderId, ...otpData }
+    });
+
+    await notificationService.sendDeliveryOtpNotification(order, order.customer, otp);
+
+    return { expiresAt };
+  }
+
+  /**
+   * Verify the OTP the recipient gave the rider
+   * @param {string} orderId - Order ID
+   * @param {string} otp - OTP entered by the rider
+   * @returns {Promise<Object>} - Proof summary
+   */
+  async verifyOtp(orderId, otp) {
+    const prisma = require('../prisma');
+    const order = await this._getOrderForHandover(orderId);
+    const proof = order.deliveryProof;
+
+    if (!proof || !proof.otpHash) {
+      throw new Error('No delivery OTP has been sent for this order');
+    }
+    if (proof.otpVerifiedAt) {
+      return this.summarizeProof(proof);
+    }
+    if (new Date(proof.otpExpiresAt) < new Date()) {
+      throw new Error('The delivery OTP has expired, please send a new one');
+    }
+
+    // Use up an attempt before checking, conditionally, so guesses sent in parallel
+    // can't get past the limit
+    const { count } = await prisma.deliveryProof.updateMany({
+      where: { orderId, otpHash: proof.otpHash, otpAttempts: { lt: MAX_OTP_ATTEMPTS } },
+      data: { otpAttempts: { increment: 1 } }
+    });
+    if (count === 0) {
+      throw new Error('Too many incorrect attempts, please send a new OTP');
+    }
+
+    const expected = Buffer.from(proof.otpHash, 'hex');
+    const actual = Buffer.from(this._hashOtp(orderId, String(otp || '').trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const { otpAttempts } = await prisma.deliveryProof.findUnique({ where: { orderId }, select: { otpAttempts: true } });
+      const remaining = MAX_OTP_ATTEMPTS - otpAttempts;
+      throw new Error(remaining > 0
+        ? `Incorrect OTP, ${remaining} attempt${remaining === 1 ? '' : 's'} left`
+        : 'Too many incorrect attempts, please send a new OTP');
+    }
+
+    const updated = await prisma.deliveryProof.update({
+      where: { orderId },
+      data: { otpVerifiedAt: new Date() }
+    });
+
+    return this.summarizeProof(updated);
+  }
+
+  /**
+   * Store the recipient's signature, replacing any earlier one
+   * @param {string} orderId - Order ID
+   * @param {string} signature - Image as a data URL
+   * @param {string} recipientName - Name of the person who signed
+   * @returns {Promise<Object>} - Proof summary
+   */
+  async saveSignature(orderId, signature, recipientName) {
+    const prisma = require('../prisma');
+    const order = await this._getOrderForHandover(orderId);
+    const previous = order.deliveryProof && order.deliveryProof.signature;
+
+    const fileName = await storeImage(path.join(STORAGE_DIR, orderId), 'signature', signature);
+    const data = {
+      signature: fileName,
+      recipientName: recipientName ? String(recipientName).trim() : null
+    };
+
+    const updated = await prisma.deliveryProof.upsert({
+      where: { orderId },
+      update: data,
+      create: { orderId, ...data }
+    });
+
+    if (previous) {
+      await removeImage(path.join(STORAGE_DIR, orderId), previous);
+    }
+
+    return this.summarizeProof(updated);
+  }
+
+  /**
+   * Add photos of the delivered parcel
+   * @param {string} orderId - Order ID
+   * @param {Array<string>} photos - Images as data URLs
+   * @returns {Promise<Object>} - Proof summary
+   */
+  async addPhotos(orderId, photos) {
+    const prisma = require('../prisma');
+    if (!Array.isArray(photos) || photos.length === 0) {
+      throw new Error('At least one photo is required');
+    }
+
+    const order = await this._getOrderForHandover(orderId);
+    const existing = order.deliveryProof ? this._parsePhotos(order.deliveryProof) : [];
+    if (existing.length + photos.length > MAX_PHOTOS) {
+      throw new Error(`A delivery can have at most ${MAX_PHOTOS} photos`);
+    }
+
+    const fileNames = [];
+    for (const photo of photos) {
+      fileNames.push(await storeImage(path.join(STORAGE_DIR, orderId), 'photo', photo));
+    }
+
+    const data = { photos: JSON.stringify([...existing, ...fileNames]) };
+    const updated = await prisma.deliveryProof.upsert({
+      where: { orderId },
+      update: data,
+      create: { orderId, ...data }
+    });
+
+    return this.summarizeProof(updated);
+  }
+
+  /**
+   * Confirm a handover without the OTP, e.g. when the recipient never received it
+   * @param {string} orderId - Order ID
+   * @param {string} adminEmail - Email of the admin confirming the handover
+   * @param {string} reason - Why the OTP was overridden
+   * @returns {Promise<Object>} - Proof summary
+   */
+  async recordOverride(orderId, adminEmail, reason) {
+    const prisma = require('../prisma');
+    if (!reason || !String(reason).trim()) {
+      throw new Error('A reason is required to override the delivery OTP');
+    }
+
+    await this._getOrderForHandover(orderId);
+
+    const data = {
+      overrideBy: adminEmail,
+      overrideReason: String(reason).trim(),
+      overriddenAt: new Date()
+    };
+    const updated = await prisma.deliveryProof.upsert({
+      where: { orderId },
+      update: data,
+      create: { orderId, ...data }
+    });
+
+    await auditService.logAction(adminEmail, 'override_delivery_otp', 'order', orderId, { reason: data.overrideReason });
+
+    return this.summarizeProof(updated);
+  }
+
+  /**
+   * Read a stored signature or photo
+   * @param {string} orderId - Order ID
+   * @param {string} fileName - File name from the proof
+   * @returns {Promise<Object|null>} - { buffer, contentType }, or null if the order has no such file
+   */
+  async readFile(orderId, fileName) {
+    const proof = await this.getProof(orderId);
+    if (!proof) {
+      return null;
+    }
+
+    // Only serve files recorded on the proof, which also rules out path traversal
+    const files = [proof.signature, ...this._parsePhotos(proof)].filter(Boolean);
+    if (!files.includes(fileName)) {
+      return null;
+    }
+
+    return readImage(path.join(STORAGE_DIR, orderId), fileName);
+  }
+
+  /**
+   * Load an order and check that it is a rider delivery awaiting handover
+   * @private
+   */
+  async _getOrderForHandover(orderId) {
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { deliveryProof: true }
+    });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    this._assertHandoverStatus(order);
+    return order;
+  }
+
+  /**
+   * @private
+   */
+  _assertHandoverStatus(order) {
+    const status = normalizeOrderStatus(order.status);
+    if (!HANDOVER_STATUSES.includes(status)) {
+      throw new Error(`Proof of delivery can't be recorded for an order that is ${order.status}`);
+    }
+  }
+
+  /**
+   * Hash an OTP so a database leak doesn't reveal live codes
+   * @private
+   */
+  _hashOtp(orderId, otp) {
+    return crypto
+      .createHmac('sha256', process.env.NEXTAUTH_SECRET || 'delivery-otp')
+      .update(`${orderId}:${otp}`)
+      .digest('hex');
+  }
+
+  /**
+   * @private
+   */
+  _parsePhotos(proof) {
+    if (!proof.photos) return [];
+    try {
+      return JSON.parse(proof.photos);
+    } catch (error) {
+      console.error('Error parsing delivery proof photos:', error);
+      return [];
+    }
+  }
+}
+
+export const proofOfDeliveryService = new ProofOfDeliveryService();
+
+/**
+ * Send the delivery OTP as soon as a rider picks the parcel up
+ */
+orderStateMachine.onTransition(async ({ order }) => {
+  if (order.riderId) {
+    await proofOfDeliveryService.issueOtp(order.id);
+  }
+}, { to: ORDER_STATUSES.PICKED_UP });
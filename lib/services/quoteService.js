@@ -0,0 +1,568 @@
+/**
+ * Quote Service
+ *
+ * A vendor's price for an order is a single Quote that moves through revisions:
+ *
+ * 1. The vendor submits a quote. It's valid for `quote.validityDays` unless they give
+ *    their own expiry. Submitting again revises it: the quote takes the new amount and
+ *    expiry, its version goes up and the previous terms stay in the revision history.
+ * 2. The customer can counter-offer a lower price on the current revision. The vendor has
+ *    `quote.counterOfferHours` to accept it, which revises the quote to the countered
+ *    amount, or reject it. A new revision from the vendor supersedes an open counter-offer.
+ * 3. `expireQuotes` (npm run expire-quotes, e.g. hourly from cron) expires quotes and
+ *    counter-offers past their expiry. An expired quote can't be booked until the vendor
+ *    revises it.
+ * 4. When the customer books a vendor, that vendor's quote is accepted and the others on
+ *    the order are rejected.
+ */
+
+import { settingsStorage } from '../storage';
+import { notificationService } from './notificationService';
+import { orderStateMachine } from './orderStateMachine';
+import { ORDER_STATUSES, normalizeOrderStatus } from '../orderLifecycle';
+
+export const QUOTE_STATUSES = ['pending', 'accepted', 'rejected', 'expired'];
+export const COUNTER_OFFER_STATUSES = ['pending', 'accepted', 'rejected', 'superseded', 'expired'];
+
+// Order statuses in which quotes can still be submitted, revised and countered
+const QUOTABLE_ORDER_STATUSES = [
+  ORDER_STATUSES.INITIATED,
+  ORDER_STATUSES.QUOTES_REQUESTED,
+  ORDER_STATUSES.QUOTES_RECEIVED,
+  ORDER_STATUSES.VENDOR_SELECTED,
+  ORDER_STATUSES.PAYMENT_PENDING
+];
+
+const DEFAULT_CONFIG = {
+  validityDays: 7,
+  counterOfferHours: 48
+};
+
+const CONFIG_TTL_MS = 60000;
+
+const QUOTE_INCLUDE = {
+  revisions: { orderBy: { version: 'desc' } },
+  counterOffers: { orderBy: { createdAt: 'desc' } }
+};
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+const formatAmount = amount => `₹${amount.toLocaleString('en-IN')}`;
+
+class QuoteService {
+  constructor() {
+    this.cachedConfig = null;
+    this.cachedConfigAt = 0;
+  }
+
+  /**
+   * Get quote configuration from settings
+   * @returns {Promise<Object>} - { validityDays, counterOfferHours }
+   */
+  async getConfig() {
+    if (this.cachedConfig && Date.now() - this.cachedConfigAt < CONFIG_TTL_MS) {
+      return this.cachedConfig;
+    }
+
+    const config = { ...DEFAULT_CONFIG };
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+      const value = parseFloat(await settingsStorage.get(`quote.${key}`));
+      if (!isNaN(value) && value > 0) {
+        config[key] = value;
+      }
+    }
+
+    this.cachedConfig = config;
+    this.cachedConfigAt = Date.now();
+    return config;
+  }
+
+  /**
+   * Submit a vendor's quote for an order, or revise the one they already submitted
+   * @param {string} orderId - Order ID
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} quoteData - { amount, details, expiresAt, note }
+   * @param {string} vendorEmail - Email of the submitting vendor user
+   * @returns {Promise<Object>} - Formatted quote
+   */
+  async submitQuote(orderId, vendorId, { amount, details, expiresAt, note } = {}, vendorEmail = null) {
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { customer: { select: { email: true } } }
+    });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    this._assertQuotable(order, vendorId);
+
+    const value = roundAmount(Number(amount));
+    if (!(value > 0)) {
+      throw new Error('Quote amount is required');
+    }
+    const expiry = await this._resolveExpiry(expiresAt);
+
+    const existing = await prisma.quote.findFirst({ where: { orderId, vendorId }, orderBy: { createdAt: 'asc' } });
+    let quote;
+    if (existing) {
+      if (existing.status === 'accepted') {
+        throw new Error('This quote has already been accepted');
+      }
+      quote = await this._revise(existing, {
+        amount: value,
+        details: details !== undefined ? JSON.stringify(details) : existing.details,
+        expiresAt: expiry,
+        source: 'vendor',
+        note
+      });
+      await this._closeCounterOffers(existing.id, 'superseded', 'The vendor sent a revised quote');
+    } else {
+      quote = await prisma.quote.create({
+        data: {
+          orderId,
+          vendorId,
+          amount: value,
+          details: JSON.stringify(details || {}),
+          expiresAt: expiry,
+          status: 'pending',
+          version: 1,
+          revisions: {
+            create: { version: 1, amount: value, details: JSON.stringify(details || {}), expiresAt: expiry, source: 'vendor', note: note || null }
+          }
+        },
+        include: QUOTE_INCLUDE
+      });
+    }
+
+    // Update order status if needed
+    const currentStatus = normalizeOrderStatus(order.status);
+    if (currentStatus === ORDER_STATUSES.QUOTES_REQUESTED || currentStatus === ORDER_STATUSES.INITIATED) {
+      await orderStateMachine.transition(orderId, ORDER_STATUSES.QUOTES_RECEIVED, {
+        actor: { role: 'vendor', email: vendorEmail },
+        notes: 'Quote received from vendor',
+        context: { vendorId }
+      });
+    } else if (existing) {
+      await orderStateMachine.recordEvent(orderId,
+        `Vendor revised their quote to ${formatAmount(value)} (revision ${quote.version})`,
+        { actor: { role: 'vendor', email: vendorEmail } });
+    }
+
+    await this._notify(order.customer.email,
+      existing ? 'Quote Revised' : 'New Quote Received',
+      existing
+        ? `A vendor has revised their quote for order #${order.orderNumber} to ${formatAmount(value)}.`
+        : `A vendor has submitted a quote of ${formatAmount(value)} for order #${order.orderNumber}.`,
+      { type: existing ? 'quote_revised' : 'quote_received', orderId, quoteId: quote.id, vendorId, quoteAmount: value },
+      'customer',
+      { whatsappFlow: { flow: 'quote_acceptance', orderId, context: { quoteId: quote.id, vendorId } } });
+
+    return this._formatQuote(quote);
+  }
+
+  /**
+   * All quotes on an order with their revision history and counter-offers
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} - Formatted quotes, cheapest active quote first
+   */
+  async getQuotesForOrder(orderId) {
+    const prisma = require('../prisma');
+    const quotes = await prisma.quote.findMany({
+      where: { orderId },
+      include: {
+        ...QUOTE_INCLUDE,
+        vendor: { select: { id: true, businessName: true, tier: true, user: { select: { name: true } } } }
+      }
+    });
+
+    return quotes
+      .map(quote => this._formatQuote(quote))
+      .sort((a, b) => (b.isActive - a.isActive) || (a.amount - b.amount));
+  }
+
+  /**
+   * A vendor's quotes with their revision history and counter-offers
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Array>} - Formatted quotes, newest first
+   */
+  async getQuotesForVendor(vendorId) {
+    const prisma = require('../prisma');
+    const quotes = await prisma.quote.findMany({
+      where: { vendorId },
+      include: QUOTE_INCLUDE,
+      orderBy: { updatedAt: 'desc' }
+    });
+    return quotes.map(quote => this._formatQuote(quote));
+  }
+
+  /**
+   * Counter-offer a lower price on a quote's current revision
+   * @param {string} quoteId - Quote ID
+   * @param {Object} offer - { amount, message }
+   * @param {string} customerEmail - Email of the customer making the offer
+   * @returns {Promise<Object>} - Formatted quote
+   */
+  async makeCounterOffer(quoteId, { amount, message } = {}, customerEmail) {
+    const prisma = require('../prisma');
+    const quote = await this._getQuoteRow(quoteId);
+    if (quote.order.customer.email !== customerEmail) {
+      throw new Error('You are not authorized to negotiate this quote');
+    }
+    this._assertQuotable(quote.order, quote.vendorId);
+    if (!this._isActive(quote)) {
+      throw new Error('This quote is no longer open; ask the vendor for a revised quote');
+    }
+
+    const value = roundAmount(Number(amount));
+    if (!(value > 0) || value >= quote.amount) {
+      throw new Error(`A counter-offer must be less than the quoted ${formatAmount(quote.amount)}`);
+    }
+    if (quote.counterOffers.some(offer => offer.status === 'pending')) {
+      throw new Error('You already have a counter-offer waiting for the vendor');
+    }
+
+    const { counterOfferHours } = await this.getConfig();
+    await prisma.quoteCounterOffer.create({
+      data: {
+        quoteId,
+        quoteVersion: quote.version,
+        amount: value,
+        message: message ? String(message).trim() : null,
+        expiresAt: new Date(Date.now() + counterOfferHours * 60 * 60 * 1000),
+        createdBy: customerEmail
+      }
+    });
+
+    await orderStateMachine.recordEvent(quote.orderId,
+      `Customer counter-offered ${formatAmount(value)} against a quote of ${formatAmount(quote.amount)}`,
+      { actor: { role: 'customer', email: customerEmail } });
+
+    await this._notify(quote.vendor.user.email, 'Counter-Offer Received',
+      `The customer on order #${quote.order.orderNumber} has offered ${formatAmount(value)} against your quote of ${formatAmount(quote.amount)}.`,
+      { type: 'quote_counter_offer', orderId: quote.orderId, quoteId, amount: value }, 'vendor');
+
+    return this._formatQuote(await this._getQuoteRow(quoteId));
+  }
+
+  /**
+   * Accept or reject a customer's counter-offer. Accepting revises the quote to the
+   * countered amount.
+   * @param {string} counterOfferId - Counter-offer ID
+   * @param {string} vendorId - ID of the responding vendor
+   * @param {Object} response - { decision: 'accept'|'reject', note }
+   * @param {string} vendorEmail - Email of the responding vendor user
+   * @returns {Promise<Object>} - Formatted quote
+   */
+  async respondToCounterOffer(counterOfferId, vendorId, { decision, note } = {}, vendorEmail) {
+    const prisma = require('../prisma');
+    const offer = await prisma.quoteCounterOffer.findUnique({ where: { id: counterOfferId } });
+    if (!offer) {
+      throw new Error('Counter-offer not found');
+    }
+    const quote = await this._getQuoteRow(offer.quoteId);
+    if (quote.vendorId !== vendorId) {
+      throw new Error('This counter-offer is not for your quote');
+    }
+    if (!['accept', 'reject'].includes(decision)) {
+      throw new Error('Decision must be accept or reject');
+    }
+    if (offer.status !== 'pending' || offer.expiresAt < new Date()) {
+      throw new Error('This counter-offer is no longer open');
+    }
+    if (decision === 'accept') {
+      this._assertQuotable(quote.order, vendorId);
+    }
+
+    // Conditional so the expiry sweep or a second response can't also close it
+    const { count } = await prisma.quoteCounterOffer.updateMany({
+      where: { id: counterOfferId, status: 'pending' },
+      data: {
+        status: decision === 'accept' ? 'accepted' : 'rejected',
+        responseNote: note ? String(note).trim() : null,
+        respondedAt: new Date()
+      }
+    });
+    if (count === 0) {
+      throw new Error('This counter-offer is no longer open');
+    }
+
+    if (decision === 'accept') {
+      await this._revise(quote, {
+        amount: offer.amount,
+        details: quote.details,
+        expiresAt: await this._resolveExpiry(),
+        source: 'counter_offer',
+        note: note || null
+      });
+    }
+
+    await orderStateMachine.recordEvent(quote.orderId,
+      decision === 'accept'
+        ? `Vendor accepted the counter-offer of ${formatAmount(offer.amount)}`
+        : `Vendor rejected the counter-offer of ${formatAmount(offer.amount)}`,
+      { actor: { role: 'vendor', email: vendorEmail } });
+
+    await this._notify(quote.order.customer.email,
+      decision === 'accept' ? 'Counter-Offer Accepted' : 'Counter-Offer Rejected',
+      decision === 'accept'
+        ? `The vendor accepted your offer of ${formatAmount(offer.amount)} for order #${quote.order.orderNumber}. You can book them at this price now.`
+        : `The vendor declined your offer of ${formatAmount(offer.amount)} for order #${quote.order.orderNumber}. Their quote of ${formatAmount(quote.amount)} still stands.`,
+      { type: 'quote_counter_offer', orderId: quote.orderId, quoteId: quote.id, status: decision === 'accept' ? 'accepted' : 'rejected' });
+
+    return this._formatQuote(await this._getQuoteRow(quote.id));
+  }
+
+  /**
+   * Check a quote can be booked
+   * @param {Object} quote - Quote row
+   * @throws {Error} - If it has expired or was rejected
+   */
+  assertBookable(quote) {
+    if (quote.status === 'rejected') {
+      throw new Error('This quote is no longer available');
+    }
+    if (quote.status === 'expired' || (quote.status === 'pending' && quote.expiresAt && quote.expiresAt < new Date())) {
+      throw new Error('This quote has expired; ask the vendor for a revised quote');
+    }
+  }
+
+  /**
+   * Expire quotes and counter-offers past their expiry
+   * @param {Object} options - { asOf }
+   * @returns {Promise<Object>} - { quotes, counterOffers }
+   */
+  async expireQuotes({ asOf = new Date() } = {}) {
+    const prisma = require('../prisma');
+    const summary = { quotes: 0, counterOffers: 0 };
+
+    const offers = await prisma.quoteCounterOffer.findMany({
+      where: { status: 'pending', expiresAt: { lt: asOf } },
+      include: { quote: { include: { order: { include: { customer: { select: { email: true } } } } } } }
+    });
+    for (const offer of offers) {
+      const { count } = await prisma.quoteCounterOffer.updateMany({
+        where: { id: offer.id, status: 'pending' },
+        data: { status: 'expired' }
+      });
+      if (count === 0) continue;
+      summary.counterOffers++;
+
+      await this._notify(offer.quote.order.customer.email, 'Counter-Offer Expired',
+        `The vendor didn't respond to your offer of ${formatAmount(offer.amount)} for order #${offer.quote.order.orderNumber} in time.`,
+        { type: 'quote_counter_offer', orderId: offer.quote.orderId, quoteId: offer.quoteId, status: 'expired' });
+    }
+
+    const quotes = await prisma.quote.findMany({
+      where: { status: 'pending', expiresAt: { lt: asOf } },
+      include: {
+        order: { select: { orderNumber: true } },
+        vendor: { select: { user: { select: { email: true } } } }
+      }
+    });
+    for (const quote of quotes) {
+      const { count } = await prisma.quote.updateMany({
+        where: { id: quote.id, status: 'pending', expiresAt: { lt: asOf } },
+        data: { status: 'expired' }
+      });
+      if (count === 0) continue;
+      summary.quotes++;
+
+      await this._closeCounterOffers(quote.id, 'expired');
+      await this._notify(quote.vendor.user.email, 'Quote Expired',
+        `Your quote of ${formatAmount(quote.amount)} for order #${quote.order.orderNumber} has expired. Send a revised quote if you'd still like the job.`,
+        { type: 'quote_expired', orderId: quote.orderId, quoteId: quote.id }, 'vendor');
+    }
+
+    return summary;
+  }
+
+  /**
+   * Accept the booked vendor's quote and reject the rest
+   * @param {string} orderId - Order ID
+   * @param {string} vendorId - Booked vendor ID
+   */
+  async markBooked(orderId, vendorId) {
+    const prisma = require('../prisma');
+    await prisma.quote.updateMany({
+      where: { orderId, vendorId },
+      data: { status: 'accepted' }
+    });
+    await prisma.quote.updateMany({
+      where: { orderId, vendorId: { not: vendorId }, status: { in: ['pending', 'expired'] } },
+      data: { status: 'rejected' }
+    });
+    await prisma.quoteCounterOffer.updateMany({
+      where: { quote: { orderId }, status: 'pending' },
+      data: { status: 'superseded', responseNote: 'The order was booked' }
+    });
+  }
+
+  /**
+   * Make a new revision current
+   * @private
+   */
+  async _revise(quote, { amount, details, expiresAt, source, note }) {
+    const prisma = require('../prisma');
+    const version = quote.version + 1;
+    return prisma.quote.update({
+      where: { id: quote.id },
+      data: {
+        amount,
+        details,
+        expiresAt,
+        status: 'pending',
+        version,
+        revisions: {
+          create: { version, amount, details, expiresAt, source, note: note ? String(note).trim() : null }
+        }
+      },
+      include: QUOTE_INCLUDE
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _closeCounterOffers(quoteId, status, responseNote = null) {
+    const prisma = require('../prisma');
+    await prisma.quoteCounterOffer.updateMany({
+      where: { quoteId, status: 'pending' },
+      data: { status, responseNote }
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _resolveExpiry(expiresAt) {
+    if (expiresAt) {
+      const expiry = new Date(expiresAt);
+      if (isNaN(expiry.getTime()) || expiry <= new Date()) {
+        throw new Error('The quote expiry must be in the future');
+      }
+      return expiry;
+    }
+
+    const { validityDays } = await this.getConfig();
+    return new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * @private
+   */
+  _assertQuotable(order, vendorId) {
+    if (!QUOTABLE_ORDER_STATUSES.includes(normalizeOrderStatus(order.status))) {
+      throw new Error('Quotes can no longer be changed on this order');
+    }
+    if (order.vendorId && order.vendorId !== vendorId && normalizeOrderStatus(order.status) !== ORDER_STATUSES.VENDOR_SELECTED) {
+      throw new Error('This order has been booked with another vendor');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isActive(quote) {
+    return quote.status === 'pending' && (!quote.expiresAt || quote.expiresAt >= new Date());
+  }
+
+  /**
+   * @private
+   */
+  async _getQuoteRow(quoteId) {
+    const prisma = require('../prisma');
+    const quote = await prisma.quote.findUnique({
+      where: { id: quoteId },
+      include: {
+        ...QUOTE_INCLUDE,
+        order: { include: { customer: { select: { email: true } } } },
+        vendor: { select: { id: true, user: { select: { email: true } } } }
+      }
+    });
+    if (!quote) {
+      throw new Error('Quote not found');
+    }
+    return quote;
+  }
+
+  /**
+   * @private
+   */
+  _formatQuote(quote) {
+    const isActive = this._isActive(quote);
+    return {
+      id: quote.id,
+      orderId: quote.orderId,
+      vendorId: quote.vendorId,
+      vendorName: quote.vendor ? (quote.vendor.businessName || quote.vendor.user?.name) : undefined,
+      vendorTier: quote.vendor ? quote.vendor.tier : undefined,
+      amount: quote.amount,
+      details: this._parseJson(quote.details),
+      // Expired quotes may not have been swept yet
+      status: quote.status === 'pending' && !isActive ? 'expired' : quote.status,
+      isActive,
+      expiresAt: quote.expiresAt,
+      version: quote.version,
+      submittedAt: quote.createdAt,
+      updatedAt: quote.updatedAt,
+      revisions: (quote.revisions || []).map(revision => ({
+        version: revision.version,
+        amount: revision.amount,
+        expiresAt: revision.expiresAt,
+        source: revision.source,
+        note: revision.note,
+        createdAt: revision.createdAt
+      })),
+      counterOffers: (quote.counterOffers || []).map(offer => ({
+        id: offer.id,
+        quoteVersion: offer.quoteVersion,
+        amount: offer.amount,
+        message: offer.message,
+        status: offer.status === 'pending' && offer.expiresAt < new Date() ? 'expired' : offer.status,
+        expiresAt: offer.expiresAt,
+        responseNote: offer.responseNote,
+        respondedAt: offer.respondedAt,
+        createdAt: offer.createdAt
+      }))
+    };
+  }
+
+  /**
+   * @private
+   */
+  _parseJson(value) {
+    if (!value) return {};
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _notify(email, title, message, data, recipient = 'customer', content = {}) {
+    if (!email) return;
+
+    try {
+      if (recipient === 'vendor') {
+        await notificationService.sendVendorNotification(email, title, message, 'info', data, content);
+      } else {
+        await notificationService.sendUserNotification(email, title, message, 'info', data, content);
+      }
+    } catch (error) {
+      console.error(`Error sending quote notification to ${email}:`, error);
+      // The quote change is saved; a missed notification is not worth failing it over
+    }
+  }
+}
+
+export const quoteService = new QuoteService();
+
+// Booking a vendor closes negotiation on the order
+orderStateMachine.onTransition(async ({ order }) => {
+  if (order.vendorId) {
+    await quoteService.markBooked(order.id, order.vendorId);
+  }
+}, { to: ORDER_STATUSES.PAID });
@@ -0,0 +1,314 @@
+/**
+ * Quote Template Service
+ *
+ * A vendor's quote template has a base amount, fixed costs and discounts (`details`), and
+ * variable charges priced per unit: per km, per floor, per box and so on. Evaluating a
+ * template against an order turns it into itemized line items and a total:
+ *
+ * - `km` is the move's driving distance from pricingService
+ * - `item` and `box` are counted from the items listed on the order and its inventory
+ * - `floor` and `hour` aren't recorded on orders, so the vendor enters them; the vendor
+ *   can also override any quantity the order provides
+ *
+ * Each charge can include some units for free, e.g. the first 10 km.
+ */
+
+import { getMoveDistance } from './pricingService';
+
+export const TEMPLATE_UNITS = {
+  km: { label: 'km', fromOrder: true },
+  floor: { label: 'floor', fromOrder: false },
+  box: { label: 'box', fromOrder: true },
+  item: { label: 'item', fromOrder: true },
+  hour: { label: 'hour', fromOrder: false }
+};
+
+// Fixed costs in a template's details, in the order they're itemized
+const FIXED_COSTS = [
+  { key: 'laborCost', label: 'Labor' },
+  { key: 'materialCost', label: 'Materials' },
+  { key: 'transportationCost', label: 'Transportation' },
+  { key: 'packagingCost', label: 'Packaging' }
+];
+
+const BOX_PATTERN = /\b(box|boxes|carton|cartons)\b/i;
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+const toNumber = value => {
+  const number = parseFloat(value);
+  return isNaN(number) ? 0 : number;
+};
+
+class QuoteTemplateService {
+  /**
+   * Get a vendor's quote templates
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Array>} - Templates, most recently updated first
+   */
+  async getTemplates(vendorId) {
+    const prisma = require('../prisma');
+    const templates = await prisma.quoteTemplate.findMany({
+      where: { vendorId },
+      orderBy: { updatedAt: 'desc' }
+    });
+    return templates.map(template => this._formatTemplate(template));
+  }
+
+  /**
+   * Get a quote template
+   * @param {string} templateId - Template ID
+   * @returns {Promise<Object|null>} - Template or null if not found
+   */
+  async getTemplateById(templateId) {
+    const prisma = require('../prisma');
+    const template = await prisma.quoteTemplate.findUnique({ where: { id: templateId } });
+    return template ? this._formatTemplate(template) : null;
+  }
+
+  /**
+   * Create a quote template
+   * @param {string} vendorId - Vendor ID
+   * @param {Object} data - { name, description, baseAmount, details, variables }
+   * @returns {Promise<Object>} - Created template
+   */
+  async createTemplate(vendorId, data) {
+    const prisma = require('../prisma');
+    const template = await prisma.quoteTemplate.create({
+      data: { vendorId, ...this._validate(data) }
+    });
+    return this._formatTemplate(template);
+  }
+
+  /**
+   * Update a quote template
+   * @param {string} templateId - Template ID
+   * @param {Object} data - { name, description, baseAmount, details, variables }
+   * @returns {Promise<Object>} - Updated template
+   */
+  async updateTemplate(templateId, data) {
+    const prisma = require('../prisma');
+    const template = await prisma.quoteTemplate.update({
+      where: { id: templateId },
+      data: this._validate(data)
+    });
+    return this._formatTemplate(template);
+  }
+
+  /**
+   * Delete a quote template
+   * @param {string} templateId - Template ID
+   */
+  async deleteTemplate(templateId) {
+    const prisma = require('../prisma');
+    await prisma.quoteTemplate.delete({ where: { id: templateId } });
+  }
+
+  /**
+   * Evaluate a vendor's template against an order
+   * @param {string} templateId - Template ID
+   * @param {string} orderId - Order ID
+   * @param {string} vendorId - Vendor quoting; must own the template
+   * @param {Object} options - { quantities }: vendor-entered quantities by unit
+   * @returns {Promise<Object>} - { templateId, templateName, lineItems, quantities, missingQuantities, total }
+   */
+  async evaluate(templateId, orderId, vendorId, { quantities = {} } = {}) {
+    const prisma = require('../prisma');
+    const template = await this.getTemplateById(templateId);
+    if (!template || template.vendorId !== vendorId) {
+      throw new Error('Quote template not found');
+    }
+
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { inventory: true }
+    });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const resolved = await this._resolveQuantities(template.variables, order, quantities);
+    const lineItems = [];
+
+    if (template.baseAmount) {
+      lineItems.push({ type: 'base', label: template.name, amount: roundAmount(template.baseAmount) });
+    }
+    for (const { key, label } of FIXED_COSTS) {
+      const amount = toNumber(template.details[key]);
+      if (amount) {
+        lineItems.push({ type: 'fixed', label, amount: roundAmount(amount) });
+      }
+    }
+    for (const cost of template.details.additionalCosts || []) {
+      if (toNumber(cost.amount)) {
+        lineItems.push({ type: 'fixed', label: cost.name, amount: roundAmount(toNumber(cost.amount)) });
+      }
+    }
+
+    for (const variable of template.variables) {
+      const { value } = resolved[variable.unit];
+      const chargeable = Math.max(0, value - variable.included);
+      lineItems.push({
+        type: 'variable',
+        label: variable.name,
+        unit: variable.unit,
+        quantity: value,
+        included: variable.included,
+        rate: variable.rate,
+        amount: roundAmount(chargeable * variable.rate)
+      });
+    }
+
+    for (const discount of template.details.discounts || []) {
+      if (toNumber(discount.amount)) {
+        lineItems.push({ type: 'discount', label: discount.name, amount: -roundAmount(Math.abs(toNumber(discount.amount))) });
+      }
+    }
+
+    const total = Math.max(0, roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0)));
+
+    return {
+      templateId: template.id,
+      templateName: template.name,
+      lineItems,
+      quantities: resolved,
+      missingQuantities: Object.keys(resolved).filter(unit => resolved[unit].source === 'missing'),
+      total
+    };
+  }
+
+  /**
+   * Quantities for the units a template charges for. Vendor-entered values win over
+   * the order's; units the order can't provide and the vendor didn't enter count as 0.
+   * @private
+   */
+  async _resolveQuantities(variables, order, overrides) {
+    const units = [...new Set(variables.map(variable => variable.unit))];
+    const fromOrder = await this._getOrderQuantities(order, units);
+
+    const resolved = {};
+    for (const unit of units) {
+      const override = overrides[unit];
+      if (override !== undefined && override !== null && override !== '' && !isNaN(Number(override))) {
+        if (Number(override) < 0) {
+          throw new Error(`Quantity for ${TEMPLATE_UNITS[unit].label} can't be negative`);
+        }
+        resolved[unit] = { value: Number(override), source: 'vendor' };
+      } else if (fromOrder[unit] !== undefined) {
+        resolved[unit] = { value: fromOrder[unit], source: 'order' };
+      } else {
+        resolved[unit] = { value: 0, source: 'missing' };
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * @private
+   */
+  async _getOrderQuantities(order, units) {
+    const quantities = {};
+
+    if (units.includes('km')) {
+      try {
+        const { distance } = await getMoveDistance({ fromZip: order.pickupPincode, toZip: order.destinationPincode });
+        quantities.km = Math.round(distance);
+      } catch (error) {
+        // Left for the vendor to enter
+        console.error('Error getting move distance for quote template:', error);
+      }
+    }
+
+    if (units.includes('item') || units.includes('box')) {
+      const items = [
+        ...this._parseItems(order.items),
+        ...(order.inventory || []).flatMap(inventory => this._parseItems(inventory.items))
+      ];
+      if (items.length > 0) {
+        const quantityOf = item => parseInt(item.quantity, 10) || 1;
+        quantities.item = items.reduce((sum, item) => sum + quantityOf(item), 0);
+        quantities.box = items
+          .filter(item => BOX_PATTERN.test(`${item.name || ''} ${item.category || ''}`))
+          .reduce((sum, item) => sum + quantityOf(item), 0);
+      }
+    }
+
+    return quantities;
+  }
+
+  /**
+   * @private
+   */
+  _validate({ name, description, baseAmount, details = {}, variables = [] }) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Template name is required');
+    }
+    const base = Number(baseAmount);
+    if (baseAmount === '' || baseAmount === null || baseAmount === undefined || isNaN(base) || base < 0) {
+      throw new Error('Base amount must be a valid number');
+    }
+    if (!Array.isArray(variables)) {
+      throw new Error('Variable charges must be a list');
+    }
+
+    const normalizedVariables = variables.map(variable => {
+      const variableName = String(variable.name || '').trim();
+      if (!variableName) {
+        throw new Error('Each variable charge needs a name');
+      }
+      if (!TEMPLATE_UNITS[variable.unit]) {
+        throw new Error(`Unknown unit for "${variableName}"; use one of ${Object.keys(TEMPLATE_UNITS).join(', ')}`);
+      }
+      const rate = Number(variable.rate);
+      if (isNaN(rate) || rate < 0) {
+        throw new Error(`Rate for "${variableName}" must be a positive number`);
+      }
+      const included = Number(variable.included || 0);
+      if (isNaN(included) || included < 0) {
+        throw new Error(`Included units for "${variableName}" must be a positive number`);
+      }
+      return { name: variableName, unit: variable.unit, rate, included };
+    });
+
+    return {
+      name: String(name).trim(),
+      description: description ? String(description).trim() : null,
+      baseAmount: base,
+      details: JSON.stringify(details || {}),
+      variables: JSON.stringify(normalizedVariables)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _formatTemplate(template) {
+    return {
+      ...template,
+      details: this._parseJson(template.details, {}),
+      variables: this._parseJson(template.variables, [])
+    };
+  }
+
+  /**
+   * @private
+   */
+  _parseItems(value) {
+    const items = typeof value === 'string' ? this._parseJson(value, []) : value;
+    return Array.isArray(items) ? items.filter(item => item && typeof item === 'object') : [];
+  }
+
+  /**
+   * @private
+   */
+  _parseJson(value, fallback) {
+    if (!value) return fallback;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+}
+
+export const quoteTemplateService = new QuoteTemplateService();
@@ -3,14 +3,27 @@ import { v4 as uuidv4 } from 'uuid';
 import { notificationService } from './notificationService';
 import { analyticsService } from './analyticsService';
 import { orderStorage } from '../storage';
+import { trackingService } from './trackingService';
+import { orderStateMachine } from './orderStateMachine';
+import { ORDER_STATUSES, getStatusVariants, normalizeOrderStatus } from '../orderLifecycle';
+import {
+  GEOHASH_PRECISION,
+  encodeGeohash,
+  getGeohashCellSizeKm,
+  getGeohashNeighborhood,
+  getGeohashesInRadius,
+  getGeohashesInBounds,
+  getPolygonBounds,
+  isPointInPolygon
+} from '../geohash';
+
+// Upper bound on prefix conditions in a polygon query
+const MAX_POLYGON_CELLS = 64;
 
 class RiderService {
   constructor() {
-    // Initialize the geospatial index
-    this.geoIndex = null;
-    this.lastIndexUpdate = null;
-    this.indexUpdateInterval = 5 * 60 * 1000; // Update index every 5 minutes
-    this.gridPrecision = 0.01; // Approximately 1km grid cells
+    // Riders saved before the geohash index existed are indexed on first use
+    this.geoIndexBackfilled = false;
   }
 
   /**
@@ -130,18 +143,24 @@ class RiderService {
         lastUpdated: new Date().toISOString()
       });
 
-      // Update the rider
+      // Update the rider and its geohash together so nearby searches see the move at once
       const prisma = require('../prisma');
       await prisma.rider.update({
         where: { id: riderId },
         data: {
           currentLocation,
+          geohash: encodeGeohash(parseFloat(location.lat), parseFloat(location.lon)),
           updatedAt: new Date()
         }
       });
 
-      // Update the geospatial index
-      await this._updateGeoIndex();
+      // Record the ping on active deliveries; customers follow the rider live from it
+      try {
+        await trackingService.recordLocation(riderId, location);
+      } catch (error) {
+        console.error('Error recording rider location history:', error);
+        // The rider's current location is saved even if tracking fails
+      }
 
       return await riderStorage.getById(riderId);
     } catch (error) {
@@ -181,113 +200,142 @@ class RiderService {
   }
 
   /**
-   * Update the geospatial index for faster rider lookup
+   * Store geohashes for riders whose location was saved before the index existed
    * @private
    * @returns {Promise<void>}
    */
-  async _updateGeoIndex() {
-    // Only update the index if it's null or the update interval has passed
-    const now = Date.now();
-    if (this.geoIndex && this.lastIndexUpdate && (now - this.lastIndexUpdate) < this.indexUpdateInterval) {
+  async _backfillGeoIndex() {
+    if (this.geoIndexBackfilled) {
       return;
     }
-    
+
+    const prisma = require('../prisma');
+    const riders = await prisma.rider.findMany({
+      where: { geohash: null, currentLocation: { not: null } },
+      select: { id: true, currentLocation: true }
+    });
+
+    for (const rider of riders) {
+      const location = this._parseLocation(rider.currentLocation);
+      if (!location) continue;
+
+      await prisma.rider.update({
+        where: { id: rider.id },
+        data: { geohash: encodeGeohash(location.lat, location.lon) }
+      });
+    }
+
+    this.geoIndexBackfilled = true;
+  }
+
+  /**
+   * Parse a stored rider location
+   * @private
+   * @param {string|Object} currentLocation - Location as stored on the rider
+   * @returns {Object|null} - Location with numeric lat and lon, or null if invalid
+   */
+  _parseLocation(currentLocation) {
+    if (!currentLocation) return null;
+
     try {
-      // Get all riders
-      const riders = await riderStorage.getAll();
-      
-      // Create a new index
-      const newIndex = {};
-      
-      for (const rider of riders) {
-        // Skip riders without location
-        if (!rider.currentLocation) continue;
-        
-        let currentLocation;
-        try {
-          // Parse the currentLocation if it's a string
-          if (typeof rider.currentLocation === 'string') {
-            currentLocation = JSON.parse(rider.currentLocation);
-          } else {
-            currentLocation = rider.currentLocation;
-          }
-          
-          // Skip if location is invalid
-          if (!currentLocation.lat || !currentLocation.lon) continue;
-          
-          // Get the cell key for this location
-          const lat = parseFloat(currentLocation.lat);
-          const lon = parseFloat(currentLocation.lon);
-          
-          if (isNaN(lat) || isNaN(lon)) continue;
-          
-          const cellLat = Math.floor(lat / this.gridPrecision) * this.gridPrecision;
-          const cellLon = Math.floor(lon / this.gridPrecision) * this.gridPrecision;
-          const cellKey = `${cellLat.toFixed(6)},${cellLon.toFixed(6)}`;
-          
-          // Add rider to this cell
-          if (!newIndex[cellKey]) {
-            newIndex[cellKey] = [];
-          }
-          
-          newIndex[cellKey].push({
-            ...rider,
-            currentLocation
-          });
-        } catch (error) {
-          console.error(`Error processing rider ${rider.id} for geo index:`, error);
-          continue;
-        }
+      const location = typeof currentLocation === 'string' ? JSON.parse(currentLocation) : currentLocation;
+      const lat = parseFloat(location.lat);
+      const lon = parseFloat(location.lon);
+
+      if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+        return null;
       }
-      
-      // Update the index
-      this.geoIndex = newIndex;
-      this.lastIndexUpdate = now;
+
+      return { ...location, lat, lon };
     } catch (error) {
-      console.error('Error updating geospatial index:', error);
+      return null;
     }
   }
-  
+
   /**
-   * Get grid cells that might contain riders within a radius
+   * Load the riders whose geohash starts with any of the given cells
    * @private
+   * @param {Array<string>} cells - Geohash prefixes
+   * @param {boolean} availableOnly - Whether to return only available riders
+   * @param {Object} filters - Additional filters for rider selection
+   * @returns {Promise<Array>} - Riders with parsed currentLocation
+   */
+  async _queryGeoIndex(cells, availableOnly, filters = {}) {
+    await this._backfillGeoIndex();
+
+    const prisma = require('../prisma');
+    const riders = await prisma.rider.findMany({
+      where: {
+        OR: cells.map(cell => ({ geohash: { startsWith: cell } })),
+        ...(availableOnly ? { isAvailable: true } : {})
+      },
+      include: { user: true }
+    });
+
+    const indexedRiders = riders
+      .map(rider => {
+        const currentLocation = this._parseLocation(rider.currentLocation);
+        if (!currentLocation) return null;
+
+        let serviceAreas = rider.serviceAreas;
+        try {
+          serviceAreas = JSON.parse(rider.serviceAreas);
+        } catch (error) {
+          // Keep the raw value, as riderStorage does
+        }
+
+        return {
+          ...rider,
+          serviceAreas,
+          currentLocation,
+          name: rider.user.name,
+          email: rider.user.email,
+          phone: rider.user.phone
+        };
+      })
+      .filter(Boolean);
+
+    return this._applyRiderFilters(indexedRiders, filters);
+  }
+
+  /**
+   * Apply experience, rating and capacity filters to riders
+   * @private
+   * @param {Array} riders - Riders
+   * @param {Object} filters - Additional filters for rider selection
+   * @returns {Array} - Riders matching every filter
+   */
+  _applyRiderFilters(riders, filters = {}) {
+    return riders.filter(rider =>
+      (!filters.minCompletedDeliveries || (rider.completedDeliveries || 0) >= filters.minCompletedDeliveries) &&
+      (!filters.minRating || (rider.rating || 0) >= filters.minRating) &&
+      (!filters.minWeightCapacity || (rider.deliveryCapacity?.maxWeight || 0) >= filters.minWeightCapacity)
+    );
+  }
+
+  /**
+   * Add the distance from a location to each rider
+   * @private
+   * @param {Array} riders - Riders with parsed currentLocation
    * @param {Object} location - Location object with lat and lon
-   * @param {number} radiusKm - Radius in kilometers
-   * @returns {Array} - Array of cell keys
+   * @returns {Array} - Riders with distance, nearest first
    */
-  _getCellsInRadius(location, radiusKm) {
-    // Validate coordinates
-    const lat = parseFloat(location.lat);
-    const lon = parseFloat(location.lon);
-    
-    if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
-      console.warn(`Invalid coordinates in location: ${lat}, ${lon}`);
-      return [];
-    }
-    
-    // Convert radius to approximate grid cells
-    // 0.01 degrees is roughly 1km, so we calculate how many cells to check
-    const cellsToCheck = Math.ceil(radiusKm / (this.gridPrecision * 111)); // 111km per degree
-    
-    // Get the center cell
-    const centerX = Math.floor(lat / this.gridPrecision);
-    const centerY = Math.floor(lon / this.gridPrecision);
-    
-    // Get all cells in the radius
-    const cells = [];
-    for (let x = centerX - cellsToCheck; x <= centerX + cellsToCheck; x++) {
-      for (let y = centerY - cellsToCheck; y <= centerY + cellsToCheck; y++) {
-        // Handle international date line crossing
-        const adjustedY = ((y + 18000) % 36000) - 18000; // Normalize to -180 to 180
-        cells.push(`${x}:${adjustedY}`);
-      }
-    }
-    
-    return cells;
+  _withDistance(riders, location) {
+    return riders
+      .map(rider => ({
+        ...rider,
+        distance: parseFloat(this.calculateDistance(
+          parseFloat(location.lat),
+          parseFloat(location.lon),
+          rider.currentLocation.lat,
+          rider.currentLocation.lon
+        ).toFixed(2))
+      }))
+      .sort((a, b) => a.distance - b.distance);
   }
 
   /**
-   * Find nearby riders within a specified radius using geospatial indexing
+   * Find nearby riders within a specified radius using the geohash index
    * @param {Object} location - Location object with lat and lon
    * @param {number} radiusKm - Radius in kilometers
    * @param {boolean} availableOnly - Whether to return only available riders
@@ -312,100 +360,93 @@ class RiderService {
       radiusKm = maxRadius;
     }
 
-    try {
-      // Update the geospatial index
-      await this._updateGeoIndex();
-      
-      // If the index is not available, fall back to the original method
-      if (!this.geoIndex) {
-        console.warn('Geospatial index not available, falling back to original method');
-        return this._findNearbyRidersOriginal(location, radiusKm, availableOnly, filters);
-      }
-      
-      // Get cells that might contain riders within the radius
-      const cells = this._getCellsInRadius(location, radiusKm);
-      
-      if (cells.length === 0) {
-        console.warn('No cells found in radius, falling back to original method');
-        return this._findNearbyRidersOriginal(location, radiusKm, availableOnly, filters);
-      }
-      
-      // Collect riders from these cells
-      let candidateRiders = [];
-      for (const cellKey of cells) {
-        if (this.geoIndex[cellKey]) {
-          candidateRiders = candidateRiders.concat(this.geoIndex[cellKey]);
-        }
-      }
-      
-      // If no riders found in cells, fall back to original method
-      if (candidateRiders.length === 0) {
-        console.warn('No riders found in cells, falling back to original method');
-        return this._findNearbyRidersOriginal(location, radiusKm, availableOnly, filters);
-      }
-      
-      // Remove duplicates (a rider might be in multiple cells)
-      candidateRiders = [...new Map(candidateRiders.map(rider => [rider.riderId, rider])).values()];
-      
-      // Filter riders by availability if needed
-      if (availableOnly) {
-        candidateRiders = candidateRiders.filter(rider => rider.status === 'available');
-      }
-      
-      // Apply additional filters
-      if (filters.minCompletedDeliveries) {
-        candidateRiders = candidateRiders.filter(rider => 
-          (rider.completedDeliveries || 0) >= filters.minCompletedDeliveries
-        );
-      }
-      
-      if (filters.minRating) {
-        candidateRiders = candidateRiders.filter(rider => 
-          (rider.rating || 0) >= filters.minRating
-        );
-      }
-      
-      if (filters.minWeightCapacity) {
-        candidateRiders = candidateRiders.filter(rider => 
-          (rider.deliveryCapacity?.maxWeight || 0) >= filters.minWeightCapacity
-        );
-      }
-      
-      // If no riders match filters, return empty array
-      if (candidateRiders.length === 0) {
-        return [];
-      }
+    const lat = parseFloat(location.lat);
+    const lon = parseFloat(location.lon);
+    if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      throw new Error('Invalid location coordinates');
+    }
 
-      // Calculate distance for each rider and filter by radius
-      const nearbyRiders = candidateRiders
-        .map(rider => {
-          try {
-            const distance = this.calculateDistance(
-              parseFloat(location.lat),
-              parseFloat(location.lon),
-              parseFloat(rider.currentLocation.lat),
-              parseFloat(rider.currentLocation.lon)
-            );
-            
-            return {
-              ...rider,
-              distance: parseFloat(distance.toFixed(2))
-            };
-          } catch (error) {
-            console.error(`Error calculating distance for rider ${rider.riderId}:`, error);
-            return null;
-          }
-        })
-        .filter(rider => rider !== null && rider.distance <= radiusKm)
-        .sort((a, b) => a.distance - b.distance);
+    try {
+      const cells = getGeohashesInRadius(lat, lon, radiusKm);
+      const candidateRiders = await this._queryGeoIndex(cells, availableOnly, filters);
 
-      return nearbyRiders;
+      return this._withDistance(candidateRiders, { lat, lon })
+        .filter(rider => rider.distance <= radiusKm);
     } catch (error) {
       console.error('Error in geospatial search, falling back to original method:', error);
       return this._findNearbyRidersOriginal(location, radiusKm, availableOnly, filters);
     }
   }
 
+  /**
+   * Find the k nearest riders to a location, however far away they are
+   * @param {Object} location - Location object with lat and lon
+   * @param {number} k - Number of riders to return
+   * @param {boolean} availableOnly - Whether to return only available riders
+   * @param {Object} filters - Additional filters for rider selection
+   * @returns {Promise<Array>} - Up to k riders with distance, nearest first
+   */
+  async findNearestRiders(location, k = 5, availableOnly = true, filters = {}) {
+    if (!location || !location.lat || !location.lon) {
+      throw new Error('Location coordinates are required');
+    }
+
+    const lat = parseFloat(location.lat);
+    const lon = parseFloat(location.lon);
+    if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+      throw new Error('Invalid location coordinates');
+    }
+
+    if (isNaN(k) || k <= 0) {
+      k = 5;
+    }
+
+    // Widen the search one precision level at a time. The neighbourhood of a cell covers
+    // at least one cell side in every direction, so once k riders fall within that
+    // distance no rider outside the neighbourhood can be nearer.
+    let riders = [];
+    for (let precision = GEOHASH_PRECISION - 1; precision >= 1; precision--) {
+      const cells = getGeohashNeighborhood(encodeGeohash(lat, lon, precision));
+      riders = this._withDistance(await this._queryGeoIndex(cells, availableOnly, filters), { lat, lon });
+
+      const coveredKm = getGeohashCellSizeKm(precision, lat);
+      if (riders.filter(rider => rider.distance <= coveredKm).length >= k) {
+        break;
+      }
+    }
+
+    return riders.slice(0, k);
+  }
+
+  /**
+   * Find riders inside a polygon, e.g. a service zone drawn on a map
+   * @param {Array<Object>} polygon - Vertices with lat and lon, in order
+   * @param {boolean} availableOnly - Whether to return only available riders
+   * @param {Object} filters - Additional filters for rider selection
+   * @returns {Promise<Array>} - Riders inside the polygon
+   */
+  async findRidersInPolygon(polygon, availableOnly = true, filters = {}) {
+    if (!Array.isArray(polygon) || polygon.length < 3) {
+      throw new Error('Polygon must have at least 3 points');
+    }
+
+    const vertices = polygon.map(point => ({ lat: parseFloat(point.lat), lon: parseFloat(point.lon) }));
+    if (vertices.some(point => isNaN(point.lat) || isNaN(point.lon))) {
+      throw new Error('Invalid polygon coordinates');
+    }
+
+    // Use the finest precision that covers the bounding box with a bounded number of cells
+    const bounds = getPolygonBounds(vertices);
+    let cells = [];
+    for (let precision = GEOHASH_PRECISION; precision >= 1; precision--) {
+      cells = getGeohashesInBounds(bounds, precision);
+      if (cells.length <= MAX_POLYGON_CELLS) break;
+    }
+
+    const candidateRiders = await this._queryGeoIndex(cells, availableOnly, filters);
+    return candidateRiders.filter(rider => isPointInPolygon(rider.currentLocation, vertices));
+  }
+
   /**
    * Original method for finding nearby riders (kept as fallback)
    * @private
@@ -420,53 +461,32 @@ class RiderService {
       throw new Error('Location coordinates are required');
     }
 
-    const riders = await this.getAllRiders();
+    const riders = (await this.getAllRiders())
+      .map(rider => ({ ...rider, currentLocation: this._parseLocation(rider.currentLocation) }))
+      .filter(rider => rider.currentLocation);
     
     // Filter riders by availability if needed
-    let filteredRiders = availableOnly 
-      ? riders.filter(rider => rider.status === 'available')
-      : riders;
-    
-    // Apply additional filters
-    if (filters.minCompletedDeliveries) {
-      filteredRiders = filteredRiders.filter(rider => 
-        (rider.completedDeliveries || 0) >= filters.minCompletedDeliveries
-      );
-    }
-    
-    if (filters.minRating) {
-      filteredRiders = filteredRiders.filter(rider => 
-        (rider.rating || 0) >= filters.minRating
-      );
-    }
-    
-    if (filters.minWeightCapacity) {
-      filteredRiders = filteredRiders.filter(rider => 
-        (rider.deliveryCapacity?.maxWeight || 0) >= filters.minWeightCapacity
-      );
-    }
+    const filteredRiders = this._applyRiderFilters(
+      availableOnly ? riders.filter(rider => this.isRiderAvailable(rider)) : riders,
+      filters
+    );
 
     // Calculate distance for each rider and filter by radius
-    const nearbyRiders = filteredRiders
-      .map(rider => {
-        const distance = this.calculateDistance(
-          parseFloat(location.lat),
-          parseFloat(location.lon),
-          parseFloat(rider.currentLocation.lat),
-          parseFloat(rider.currentLocation.lon)
-        );
-        
-        return {
-          ...rider,
-          distance: parseFloat(distance.toFixed(2))
-        };
-      })
-      .filter(rider => rider.distance <= radiusKm)
-      .sort((a, b) => a.distance - b.distance);
+    const nearbyRiders = this._withDistance(filteredRiders, location)
+      .filter(rider => rider.distance <= radiusKm);
 
     return nearbyRiders;
   }
 
+  /**
+   * Check whether a rider can take new deliveries
+   * @param {Object} rider - Rider
+   * @returns {boolean} - Whether the rider is available
+   */
+  isRiderAvailable(rider) {
+    return rider.status ? rider.status === 'available' : rider.isAvailable === true;
+  }
+
   /**
    * Calculate distance between two points using Haversine formula
    * @param {number} lat1 - Latitude of first point
@@ -520,32 +540,14 @@ class RiderService {
   }
 
   /**
-   * Assign a rider to a delivery with Rapido-style logic
-   * @param {string} orderId - Order ID
+   * Find available riders for a delivery, widening the search radius and relaxing the
+   * intercity requirements until someone is found
    * @param {Object} pickupLocation - Pickup location
-   * @param {Object} orderDetails - Additional order details for rider matching
-   * @returns {Promise<Object|null>} - Assigned rider or null if no riders available
+   * @param {Object} orderData - Order details for rider matching
+   * @param {number} maxRadiusKm - Widest radius to search
+   * @returns {Promise<Object>} - { riders, isIntercity, filters } with riders sorted nearest first
    */
-  async assignRiderToDelivery(orderId, pickupLocation, orderDetails = {}) {
-    if (!orderId || !pickupLocation) {
-      throw new Error('Order ID and pickup location are required');
-    }
-
-    // Validate pickup location
-    if (!pickupLocation.lat || !pickupLocation.lon || 
-        isNaN(parseFloat(pickupLocation.lat)) || isNaN(parseFloat(pickupLocation.lon))) {
-      throw new Error('Invalid pickup location coordinates');
-    }
-
-    // Get order details if not provided
-    let orderData = orderDetails;
-    if (Object.keys(orderDetails).length === 0) {
-      const order = await orderStorage.getById(orderId);
-      if (order) {
-        orderData = order;
-      }
-    }
-
+  async findCandidateRiders(pickupLocation, orderData = {}, maxRadiusKm = 20) {
     // Determine if this is an intercity delivery
     const isIntercity = orderData.distanceCategory === 'intercity' || orderData.distanceCategory === 'longDistance';
     
@@ -572,9 +574,9 @@ class RiderService {
       // Continue with empty array, will be handled in the next steps
     }
     
-    // If no riders found, expand search radius incrementally up to 20km
+    // If no riders found, expand search radius incrementally up to the maximum
     if (nearbyRiders.length === 0) {
-      const expandedRadii = [10, 15, 20];
+      const expandedRadii = [10, 15, 20].filter(radius => radius <= maxRadiusKm);
       
       for (const radius of expandedRadii) {
         console.log(`No riders found within ${radius-5}km, expanding search to ${radius}km`);
@@ -597,11 +599,46 @@ class RiderService {
       riderFilters.minCompletedDeliveries = 20;
       riderFilters.minRating = 4.0;
       try {
-        nearbyRiders = await this.findNearbyRiders(pickupLocation, 20, true, riderFilters);
+        nearbyRiders = await this.findNearbyRiders(pickupLocation, maxRadiusKm, true, riderFilters);
       } catch (error) {
         console.error('Error finding riders with relaxed requirements:', error);
       }
     }
+
+    return { riders: nearbyRiders, isIntercity, filters: riderFilters };
+  }
+
+  /**
+   * Assign the best rider to a delivery immediately, without offering it first.
+   * Parcel orders normally go through dispatchService.dispatchOrder instead.
+   * @param {string} orderId - Order ID
+   * @param {Object} pickupLocation - Pickup location
+   * @param {Object} orderDetails - Additional order details for rider matching
+   * @returns {Promise<Object|null>} - Assigned rider or null if no riders available
+   */
+  async assignRiderToDelivery(orderId, pickupLocation, orderDetails = {}) {
+    if (!orderId || !pickupLocation) {
+      throw new Error('Order ID and pickup location are required');
+    }
+
+    // Validate pickup location
+    if (!pickupLocation.lat || !pickupLocation.lon || 
+        isNaN(parseFloat(pickupLocation.lat)) || isNaN(parseFloat(pickupLocation.lon))) {
+      throw new Error('Invalid pickup location coordinates');
+    }
+
+    // Get order details if not provided
+    let orderData = orderDetails;
+    if (Object.keys(orderDetails).length === 0) {
+      const order = await orderStorage.getById(orderId);
+      if (order) {
+        orderData = order;
+      }
+    }
+
+    const candidates = await this.findCandidateRiders(pickupLocation, orderData);
+    const { isIntercity, filters: riderFilters } = candidates;
+    let nearbyRiders = candidates.riders;
     
     // If still no riders found, try to find any rider regardless of status
     if (nearbyRiders.length === 0) {
@@ -619,10 +656,8 @@ class RiderService {
       
       // Update order to indicate it needs manual assignment
       try {
-        await orderStorage.update(orderId, {
-          status: 'Pending Rider Assignment',
-          statusNote: 'No riders available nearby, queued for manual assignment',
-          needsManualAssignment: true
+        await orderStateMachine.transition(orderId, ORDER_STATUSES.PENDING_RIDER_ASSIGNMENT, {
+          notes: 'No riders available nearby, queued for manual assignment'
         });
       } catch (error) {
         console.error('Error updating order for manual assignment:', error);
@@ -657,9 +692,7 @@ class RiderService {
     try {
       // Calculate expected pickup and delivery times for intercity deliveries
       let updateData = {
-        riderId: selectedRider.id,
-        status: 'Rider Assigned',
-        statusNote: `Rider ${selectedRider.name} assigned to delivery (${selectedRider.distance.toFixed(2)}km away)`
+        riderId: selectedRider.id
       };
       
       // For intercity deliveries, set expected pickup and delivery times
@@ -684,6 +717,10 @@ class RiderService {
       }
       
       await orderStorage.update(orderId, updateData);
+      await orderStateMachine.transition(orderId, ORDER_STATUSES.RIDER_ASSIGNED, {
+        notes: `Rider ${selectedRider.name} assigned to delivery (${selectedRider.distance.toFixed(2)}km away)`,
+        context: { riderId: selectedRider.id }
+      });
     } catch (error) {
       console.error('Error updating order with assigned rider:', error);
       // Try to revert rider status to available
@@ -744,11 +781,12 @@ class RiderService {
     
     // Calculate statistics
     const completedOrders = riderOrders.filter(order => 
-      order.status === 'Delivered' || order.status === 'Completed'
+      [ORDER_STATUSES.DELIVERED, ORDER_STATUSES.COMPLETED, ORDER_STATUSES.REVIEWED]
+        .includes(normalizeOrderStatus(order.status))
     );
     
     const cancelledOrders = riderOrders.filter(order => 
-      order.status === 'Cancelled'
+      normalizeOrderStatus(order.status) === ORDER_STATUSES.CANCELLED
     );
     
     const totalEarnings = completedOrders.reduce(
@@ -0,0 +1,715 @@
+/**
+ * Settlement Service
+ *
+ * Works out what vendors are owed and pays it out in weekly batches:
+ *
+ * 1. When an order is booked it gets a VendorPayout recording the commission rate: the
+ *    vendor's tier rate (see vendorService.getVendorTierBenefits), or the
+ *    `payment.defaultCommissionRate` setting for vendors without a tier. A cross-lead
+ *    commission discount used on the booking is recorded alongside it.
+ * 2. When the order completes the payout becomes eligible. Cancelled and refunded orders
+ *    void their payout. Refunds issued after the payout was settled are deducted from
+ *    the vendor's next settlement instead (see syncLateRefunds).
+ * 3. `runWeeklySettlements` (npm run run-settlements, e.g. every Monday from cron)
+ *    batches each vendor's eligible payouts and pending adjustments, such as damage claim
+ *    deductions, into a VendorSettlement for the week. Per order the vendor nets what
+ *    the customer paid, less refunds and commission, plus any discount and adjustments.
+ *    A negative balance is carried forward to the next week.
+ * 4. An admin pays the settlement out and marks it paid with the transfer reference.
+ *
+ * Vendors download a statement for each settlement from /api/vendor/earnings.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { settingsStorage, vendorStorage } from '../storage';
+import { vendorService } from './vendorService';
+import { notificationService } from './notificationService';
+import { orderStateMachine } from './orderStateMachine';
+import { ORDER_STATUSES } from '../orderLifecycle';
+
+export const PAYOUT_STATUSES = ['unsettled', 'settled', 'paid', 'void'];
+export const SETTLEMENT_STATUSES = ['pending', 'paid', 'carried_forward'];
+
+// Orders in these statuses are finished and can no longer be disputed
+const SETTLEABLE_ORDER_STATUSES = [ORDER_STATUSES.COMPLETED, ORDER_STATUSES.REVIEWED, ORDER_STATUSES.CLOSED];
+
+const DEFAULT_CONFIG = {
+  defaultCommissionRate: 10
+};
+
+const CONFIG_TTL_MS = 60000;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+class SettlementService {
+  constructor() {
+    this.cachedConfig = null;
+    this.cachedConfigAt = 0;
+  }
+
+  /**
+   * Get settlement configuration from settings
+   * @returns {Promise<Object>} - { defaultCommissionRate }
+   */
+  async getConfig() {
+    if (this.cachedConfig && Date.now() - this.cachedConfigAt < CONFIG_TTL_MS) {
+      return this.cachedConfig;
+    }
+
+    const config = { ...DEFAULT_CONFIG };
+    const rate = parseFloat(await settingsStorage.get('payment.defaultCommissionRate'));
+    if (!isNaN(rate) && rate >= 0 && rate <= 100) {
+      config.defaultCommissionRate = rate;
+    }
+
+    this.cachedConfig = config;
+    this.cachedConfigAt = Date.now();
+    return config;
+  }
+
+  /**
+   * Get the commission rate charged on a vendor's bookings
+   * @param {Object} vendor - Vendor with its tier
+   * @returns {Promise<number>} - Commission rate in percent
+   */
+  async getCommissionRate(vendor) {
+    if (vendor && vendor.tier) {
+      return vendorService.getVendorTierBenefits(vendor.tier).commissionRate;
+    }
+    const { defaultCommissionRate } = await this.getConfig();
+    return defaultCommissionRate;
+  }
+
+  /**
+   * Record the payout for a newly booked order, fixing its commission rates
+   * @param {string} orderId - Order ID
+   * @param {string} vendorId - Booked vendor's ID
+   * @param {Object} options - { discountedRate } when a cross-lead commission discount was used
+   * @returns {Promise<Object>} - The payout
+   */
+  async createPayout(orderId, vendorId, { discountedRate = null } = {}) {
+    const prisma = require('../prisma');
+    const vendor = await vendorStorage.getById(vendorId);
+    const commissionRate = await this.getCommissionRate(vendor);
+    const rates = {
+      vendorId,
+      commissionRate,
+      discountedRate: discountedRate !== null && discountedRate < commissionRate ? discountedRate : null
+    };
+
+    const existing = await prisma.vendorPayout.findUnique({ where: { orderId } });
+    if (existing) {
+      // Only an unsettled payout can be rebooked
+      return existing.status === 'unsettled'
+        ? prisma.vendorPayout.update({ where: { id: existing.id }, data: rates })
+        : existing;
+    }
+
+    return prisma.vendorPayout.create({ data: { orderId, ...rates } });
+  }
+
+  /**
+   * Make an order's payout eligible for the next settlement once the order completes
+   * @param {string} orderId - Order ID
+   * @param {Date} eligibleAt - When the order completed, defaults to now
+   * @returns {Promise<Object|null>} - The payout, or null if the order has no vendor
+   */
+  async markEligible(orderId, eligibleAt = new Date()) {
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({
+      where: { id: orderId },
+      include: { vendorPayout: true }
+    });
+    if (!order || !order.vendorId) {
+      return null;
+    }
+
+    let payout = order.vendorPayout;
+    if (!payout) {
+      // Booked before payouts were recorded
+      payout = await this.createPayout(orderId, order.vendorId);
+    }
+    if (payout.status !== 'unsettled') {
+      return payout;
+    }
+
+    const adjustments = await prisma.vendorAdjustment.findMany({
+      where: { orderId, vendorId: payout.vendorId, status: 'pending' }
+    });
+    const amounts = await this._computeAmounts(payout, this._sum(adjustments));
+
+    return prisma.vendorPayout.update({
+      where: { id: payout.id },
+      data: { ...amounts, eligibleAt: payout.eligibleAt || eligibleAt }
+    });
+  }
+
+  /**
+   * Void the payout of a cancelled or refunded order, unless it has been settled, in
+   * which case the refunds are recovered by syncLateRefunds
+   * @param {string} orderId - Order ID
+   */
+  async voidPayout(orderId) {
+    const prisma = require('../prisma');
+    await prisma.vendorPayout.updateMany({
+      where: { orderId, status: 'unsettled' },
+      data: { status: 'void' }
+    });
+  }
+
+  /**
+   * Recover refunds issued after an order's payout was settled. The settlement already
+   * paid the vendor their share, so each such refund is deducted from their next
+   * settlement as an adjustment; if the refund later fails the deduction is withdrawn,
+   * or handed back if it has already been applied. Safe to call repeatedly.
+   * @param {string} orderId - Order ID
+   */
+  async syncLateRefunds(orderId) {
+    const prisma = require('../prisma');
+    const payout = await prisma.vendorPayout.findUnique({
+      where: { orderId },
+      include: { settlement: true, order: { select: { orderNumber: true } } }
+    });
+    if (!payout || !['settled', 'paid'].includes(payout.status) || !payout.settlement) {
+      return;
+    }
+
+    // Refunds before the settlement were netted off the payout itself
+    const refunds = await prisma.refund.findMany({
+      where: { orderId, createdAt: { gt: payout.settlement.createdAt } },
+      include: { vendorAdjustments: true }
+    });
+    const vendorShare = 1 - (payout.discountedRate ?? payout.commissionRate) / 100;
+
+    for (const refund of refunds) {
+      const target = refund.status === 'failed' ? 0 : -roundAmount(refund.amount * vendorShare);
+      if (this._sum(refund.vendorAdjustments) === target) continue;
+
+      const pending = refund.vendorAdjustments.filter(adjustment => adjustment.status === 'pending');
+      const applied = this._sum(refund.vendorAdjustments.filter(adjustment => adjustment.status === 'applied'));
+      const amount = roundAmount(target - applied);
+
+      await prisma.$transaction(async tx => {
+        if (pending.length > 0) {
+          await tx.vendorAdjustment.deleteMany({ where: { id: { in: pending.map(adjustment => adjustment.id) } } });
+        }
+        if (amount !== 0) {
+          await tx.vendorAdjustment.create({
+            data: {
+              vendorId: payout.vendorId,
+              orderId,
+              refundId: refund.id,
+              amount,
+              reason: amount < 0
+                ? `Refund of ${this._formatAmount(refund.amount)} on order #${payout.order.orderNumber} after settlement, less commission`
+                : `Refund on order #${payout.order.orderNumber} failed; deduction returned`,
+              createdBy: 'system'
+            }
+          });
+        }
+      });
+    }
+  }
+
+  /**
+   * Settle every vendor's payouts for the last full week (Monday to Monday)
+   * @param {Object} options - { asOf } the date to settle as of, defaults to now
+   * @returns {Promise<Object>} - { periodStart, periodEnd, settled, carriedForward, skipped, errors }
+   */
+  async runWeeklySettlements({ asOf = new Date() } = {}) {
+    const prisma = require('../prisma');
+    const periodEnd = this._weekStart(asOf);
+    const periodStart = new Date(periodEnd.getTime() - WEEK_MS);
+
+    await this._backfillEligibility(periodEnd);
+
+    const [payouts, adjustments] = await Promise.all([
+      prisma.vendorPayout.findMany({
+        where: { status: 'unsettled', eligibleAt: { lt: periodEnd } },
+        orderBy: { eligibleAt: 'asc' }
+      }),
+      prisma.vendorAdjustment.findMany({
+        where: { status: 'pending', createdAt: { lt: periodEnd } },
+        include: { order: { select: { vendorPayout: { select: { id: true, status: true } } } } },
+        orderBy: { createdAt: 'asc' }
+      })
+    ]);
+
+    const vendorIds = new Set([
+      ...payouts.map(payout => payout.vendorId),
+      ...adjustments.map(adjustment => adjustment.vendorId)
+    ]);
+
+    const summary = { periodStart, periodEnd, settled: 0, carriedForward: 0, skipped: 0, errors: 0 };
+
+    for (const vendorId of vendorIds) {
+      try {
+        const settlement = await this._settleVendor(
+          vendorId,
+          payouts.filter(payout => payout.vendorId === vendorId),
+          adjustments.filter(adjustment => adjustment.vendorId === vendorId),
+          { periodStart, periodEnd }
+        );
+
+        if (!settlement) {
+          summary.skipped++;
+        } else if (settlement.status === 'carried_forward') {
+          summary.carriedForward++;
+        } else {
+          summary.settled++;
+        }
+      } catch (error) {
+        console.error(`Error settling vendor ${vendorId}:`, error);
+        summary.errors++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Get settlements, newest first
+   * @param {Object} filters - { vendorId, status }
+   * @returns {Promise<Array>} - Settlements with the vendor's name and order count
+   */
+  async getSettlements({ vendorId, status } = {}) {
+    const prisma = require('../prisma');
+    const where = {};
+    if (vendorId) where.vendorId = vendorId;
+    if (status) where.status = { in: status.split(',') };
+
+    const settlements = await prisma.vendorSettlement.findMany({
+      where,
+      include: {
+        vendor: { select: { businessName: true } },
+        _count: { select: { payouts: true } }
+      },
+      orderBy: [{ periodEnd: 'desc' }, { createdAt: 'desc' }]
+    });
+
+    return settlements.map(settlement => this._formatSettlement(settlement));
+  }
+
+  /**
+   * Get a settlement with its orders and adjustments
+   * @param {string} settlementId - Settlement ID
+   * @returns {Promise<Object|null>} - Formatted settlement
+   */
+  async getSettlement(settlementId) {
+    const prisma = require('../prisma');
+    const settlement = await prisma.vendorSettlement.findUnique({
+      where: { id: settlementId },
+      include: {
+        vendor: { select: { businessName: true } },
+        payouts: {
+          include: { order: { select: { orderNumber: true } } },
+          orderBy: { eligibleAt: 'asc' }
+        },
+        adjustments: { orderBy: { createdAt: 'asc' } }
+      }
+    });
+
+    return settlement ? this._formatSettlement(settlement) : null;
+  }
+
+  /**
+   * Record that a settlement has been paid out to the vendor
+   * @param {string} settlementId - Settlement ID
+   * @param {string} adminEmail - Email of the admin who made the transfer
+   * @param {string} reference - Bank transfer or UTR reference
+   * @returns {Promise<Object>} - Updated settlement
+   */
+  async markPaid(settlementId, adminEmail, reference) {
+    const prisma = require('../prisma');
+    const settlement = await prisma.vendorSettlement.findUnique({ where: { id: settlementId } });
+    if (!settlement) {
+      throw new Error('Settlement not found');
+    }
+    if (settlement.status !== 'pending') {
+      throw new Error('Only pending settlements can be marked as paid');
+    }
+    if (!reference || !String(reference).trim()) {
+      throw new Error('Please enter the payout reference');
+    }
+
+    const paidAt = new Date();
+    const [{ count }] = await prisma.$transaction([
+      prisma.vendorSettlement.updateMany({
+        where: { id: settlementId, status: 'pending' },
+        data: { status: 'paid', paidAt, paidBy: adminEmail, payoutReference: String(reference).trim() }
+      }),
+      prisma.vendorPayout.updateMany({
+        where: { settlementId, status: 'settled' },
+        data: { status: 'paid' }
+      })
+    ]);
+    if (count === 0) {
+      throw new Error('Only pending settlements can be marked as paid');
+    }
+
+    await this._notifyVendor(settlement.vendorId, 'Payout Sent',
+      `Your payout of ${this._formatAmount(settlement.netAmount)} for ${this._formatPeriod(settlement)} has been sent (reference ${String(reference).trim()}).`,
+      { settlementId });
+
+    return this.getSettlement(settlementId);
+  }
+
+  /**
+   * Get a vendor's earnings from their payouts
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Object>} - { payouts, unsettledAmount, awaitingPayoutAmount, paidAmount }
+   */
+  async getVendorPayouts(vendorId) {
+    const prisma = require('../prisma');
+    const payouts = await prisma.vendorPayout.findMany({
+      where: { vendorId, status: { not: 'void' }, eligibleAt: { not: null } },
+      orderBy: { eligibleAt: 'desc' }
+    });
+
+    const total = status => roundAmount(payouts
+      .filter(payout => payout.status === status)
+      .reduce((sum, payout) => sum + payout.netAmount, 0));
+
+    return {
+      payouts,
+      unsettledAmount: total('unsettled'),
+      awaitingPayoutAmount: total('settled'),
+      paidAmount: total('paid')
+    };
+  }
+
+  /**
+   * Build a downloadable CSV statement for a settlement
+   * @param {string} settlementId - Settlement ID
+   * @returns {Promise<Object|null>} - { filename, csv, vendorId }, or null if not found
+   */
+  async getStatement(settlementId) {
+    const settlement = await this.getSettlement(settlementId);
+    if (!settlement) {
+      return null;
+    }
+
+    const rows = [
+      ['Settlement statement'],
+      ['Vendor', settlement.vendorName],
+      ['Period', this._formatDate(settlement.periodStart), this._formatDate(new Date(new Date(settlement.periodEnd).getTime() - 1))],
+      ['Status', settlement.status],
+      ['Payout reference', settlement.payoutReference || ''],
+      [],
+      ['Order', 'Completed', 'Paid by customer', 'Refunded', 'Commission rate (%)', 'Commission', 'Cross-lead discount', 'Adjustments', 'Net'],
+      ...settlement.payouts.map(payout => [
+        payout.orderNumber,
+        this._formatDate(payout.eligibleAt),
+        payout.grossAmount,
+        payout.refundedAmount,
+        payout.discountedRate !== null ? `${payout.commissionRate} (${payout.discountedRate} with discount)` : payout.commissionRate,
+        -payout.commissionAmount,
+        payout.discountAmount,
+        payout.adjustmentAmount,
+        payout.netAmount
+      ]),
+      [],
+      ['Adjustment', 'Date', 'Amount'],
+      ...settlement.adjustments.map(adjustment => [
+        adjustment.reason,
+        this._formatDate(adjustment.createdAt),
+        adjustment.amount
+      ]),
+      [],
+      ['Paid by customers', settlement.grossAmount],
+      ['Refunded', -settlement.refundedAmount],
+      ['Commission', -settlement.commissionAmount],
+      ['Cross-lead discount', settlement.discountAmount],
+      ['Adjustments', settlement.adjustmentAmount],
+      ['Net payout', settlement.netAmount]
+    ];
+
+    return {
+      vendorId: settlement.vendorId,
+      filename: `settlement-${this._formatDate(settlement.periodStart)}-${settlement.id.substring(0, 8)}.csv`,
+      csv: rows.map(row => row.map(value => this._csvValue(value)).join(',')).join('\n') + '\n'
+    };
+  }
+
+  /**
+   * Batch one vendor's payouts and adjustments into a settlement
+   * @private
+   * @returns {Promise<Object|null>} - The settlement, or null if there was nothing to settle
+   */
+  async _settleVendor(vendorId, payouts, adjustments, { periodStart, periodEnd }) {
+    const prisma = require('../prisma');
+    const existing = await prisma.vendorSettlement.findUnique({
+      where: { vendorId_periodEnd: { vendorId, periodEnd } }
+    });
+    if (existing) {
+      return null;
+    }
+
+    const payoutIds = new Set(payouts.map(payout => payout.id));
+    // An adjustment on an order still being worked waits for that order's settlement
+    const applicable = adjustments.filter(adjustment => {
+      const payout = adjustment.order && adjustment.order.vendorPayout;
+      return !payout || payout.status !== 'unsettled' || payoutIds.has(payout.id);
+    });
+
+    // A vendor with only deductions waits until they have earnings to offset them against
+    if (payouts.length === 0 && this._sum(applicable) <= 0) {
+      return null;
+    }
+
+    const lines = [];
+    for (const payout of payouts) {
+      const orderAdjustments = applicable.filter(adjustment => adjustment.orderId === payout.orderId);
+      lines.push({ id: payout.id, ...(await this._computeAmounts(payout, this._sum(orderAdjustments))) });
+    }
+
+    const totals = {
+      grossAmount: roundAmount(lines.reduce((sum, line) => sum + line.grossAmount, 0)),
+      refundedAmount: roundAmount(lines.reduce((sum, line) => sum + line.refundedAmount, 0)),
+      commissionAmount: roundAmount(lines.reduce((sum, line) => sum + line.commissionAmount, 0)),
+      discountAmount: roundAmount(lines.reduce((sum, line) => sum + line.discountAmount, 0)),
+      adjustmentAmount: this._sum(applicable)
+    };
+    const netAmount = roundAmount(totals.grossAmount - totals.refundedAmount - totals.commissionAmount +
+      totals.discountAmount + totals.adjustmentAmount);
+
+    const settlementId = uuidv4();
+    const period = { periodStart, periodEnd };
+    const status = netAmount < 0 ? 'carried_forward' : 'pending';
+    const now = new Date();
+
+    const operations = [
+      prisma.vendorSettlement.create({
+        data: { id: settlementId, vendorId, ...period, ...totals, netAmount, status }
+      }),
+      ...lines.map(({ id, ...amounts }) => prisma.vendorPayout.updateMany({
+        where: { id, status: 'unsettled' },
+        // Earnings in a carried-forward settlement have been offset against deductions
+        data: { ...amounts, status: status === 'carried_forward' ? 'paid' : 'settled', settlementId }
+      })),
+      prisma.vendorAdjustment.updateMany({
+        where: { id: { in: applicable.map(adjustment => adjustment.id) }, status: 'pending' },
+        data: { status: 'applied', appliedAt: now, settlementId }
+      })
+    ];
+
+    if (status === 'carried_forward') {
+      operations.push(prisma.vendorAdjustment.create({
+        data: {
+          vendorId,
+          amount: netAmount,
+          reason: `Balance carried forward from ${this._formatPeriod(period)}`,
+          createdBy: 'system'
+        }
+      }));
+    }
+
+    const [settlement] = await prisma.$transaction(operations);
+
+    await this._notifyVendor(vendorId, 'Weekly Settlement',
+      status === 'carried_forward'
+        ? `Deductions for ${this._formatPeriod(period)} exceeded your earnings. The balance of ${this._formatAmount(-netAmount)} will be taken from your next payout.`
+        : `Your settlement for ${this._formatPeriod(period)} is ready: ${this._formatAmount(netAmount)} for ${lines.length} order${lines.length === 1 ? '' : 's'} will be paid out shortly.`,
+      { settlementId });
+
+    return settlement;
+  }
+
+  /**
+   * Work out what a payout is worth from the order's payments and refunds
+   * @private
+   */
+  async _computeAmounts(payout, adjustmentAmount = 0) {
+    const prisma = require('../prisma');
+    const [payments, refunds] = await Promise.all([
+      prisma.payment.aggregate({
+        where: { orderId: payout.orderId, status: { in: ['completed', 'refunded'] } },
+        _sum: { amount: true }
+      }),
+      prisma.refund.aggregate({
+        where: { orderId: payout.orderId, status: { in: ['pending', 'processed'] } },
+        _sum: { amount: true }
+      })
+    ]);
+
+    const grossAmount = roundAmount(payments._sum.amount || 0);
+    const refundedAmount = roundAmount(refunds._sum.amount || 0);
+    const base = grossAmount - refundedAmount;
+    const commissionAmount = roundAmount(base * payout.commissionRate / 100);
+    const discountAmount = payout.discountedRate !== null
+      ? roundAmount(base * (payout.commissionRate - payout.discountedRate) / 100)
+      : 0;
+
+    return {
+      grossAmount,
+      refundedAmount,
+      commissionAmount,
+      discountAmount,
+      adjustmentAmount: roundAmount(adjustmentAmount),
+      netAmount: roundAmount(base - commissionAmount + discountAmount + adjustmentAmount)
+    };
+  }
+
+  /**
+   * Make finished orders eligible whose completion was never recorded, e.g. orders
+   * completed before payouts were introduced
+   * @private
+   */
+  async _backfillEligibility(periodEnd) {
+    const prisma = require('../prisma');
+    const orders = await prisma.order.findMany({
+      where: {
+        vendorId: { not: null },
+        status: { in: SETTLEABLE_ORDER_STATUSES },
+        updatedAt: { lt: periodEnd },
+        OR: [
+          { vendorPayout: { is: null } },
+          { vendorPayout: { is: { status: 'unsettled', eligibleAt: null } } }
+        ]
+      },
+      select: { id: true, updatedAt: true }
+    });
+
+    for (const order of orders) {
+      try {
+        await this.markEligible(order.id, order.updatedAt);
+      } catch (error) {
+        console.error(`Error recording the payout for order ${order.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Monday 00:00 of the week containing a date
+   * @private
+   */
+  _weekStart(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    return start;
+  }
+
+  /**
+   * @private
+   */
+  _sum(adjustments) {
+    return roundAmount(adjustments.reduce((sum, adjustment) => sum + adjustment.amount, 0));
+  }
+
+  /**
+   * @private
+   */
+  async _notifyVendor(vendorId, title, message, data) {
+    try {
+      const vendor = await vendorStorage.getById(vendorId);
+      if (vendor) {
+        await notificationService.sendUserNotification(vendor.email, title, message, 'payment', {
+          type: 'vendor_settlement',
+          ...data
+        });
+      }
+    } catch (error) {
+      console.error(`Error notifying vendor ${vendorId} of settlement:`, error);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _formatSettlement(settlement) {
+    return {
+      id: settlement.id,
+      vendorId: settlement.vendorId,
+      vendorName: settlement.vendor ? settlement.vendor.businessName : null,
+      periodStart: settlement.periodStart,
+      periodEnd: settlement.periodEnd,
+      grossAmount: settlement.grossAmount,
+      refundedAmount: settlement.refundedAmount,
+      commissionAmount: settlement.commissionAmount,
+      discountAmount: settlement.discountAmount,
+      adjustmentAmount: settlement.adjustmentAmount,
+      netAmount: settlement.netAmount,
+      status: settlement.status,
+      payoutReference: settlement.payoutReference,
+      paidAt: settlement.paidAt,
+      paidBy: settlement.paidBy,
+      createdAt: settlement.createdAt,
+      orderCount: settlement._count ? settlement._count.payouts : settlement.payouts.length,
+      payouts: settlement.payouts ? settlement.payouts.map(payout => ({
+        id: payout.id,
+        orderId: payout.orderId,
+        orderNumber: payout.order ? payout.order.orderNumber : null,
+        eligibleAt: payout.eligibleAt,
+        grossAmount: payout.grossAmount,
+        refundedAmount: payout.refundedAmount,
+        commissionRate: payout.commissionRate,
+        discountedRate: payout.discountedRate,
+        commissionAmount: payout.commissionAmount,
+        discountAmount: payout.discountAmount,
+        adjustmentAmount: payout.adjustmentAmount,
+        netAmount: payout.netAmount,
+        status: payout.status
+      })) : undefined,
+      adjustments: settlement.adjustments ? settlement.adjustments.map(adjustment => ({
+        id: adjustment.id,
+        orderId: adjustment.orderId,
+        amount: adjustment.amount,
+        reason: adjustment.reason,
+        createdAt: adjustment.createdAt
+      })) : undefined
+    };
+  }
+
+  /**
+   * @private
+   */
+  _formatPeriod({ periodStart, periodEnd }) {
+    const lastDay = new Date(new Date(periodEnd).getTime() - 1);
+    const options = { day: 'numeric', month: 'short' };
+    return `the week of ${new Date(periodStart).toLocaleDateString('en-IN', options)} to ${lastDay.toLocaleDateString('en-IN', options)}`;
+  }
+
+  /**
+   * @private
+   */
+  _formatDate(date) {
+    if (!date) return '';
+    const value = new Date(date);
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+
+  /**
+   * @private
+   */
+  _formatAmount(amount) {
+    return `₹${amount.toLocaleString('en-IN')}`;
+  }
+
+  /**
+   * @private
+   */
+  _csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+export const settlementService = new SettlementService();
+
+/**
+ * A completed order's payout is due in the next weekly settlement
+ */
+orderStateMachine.onTransition(async ({ order }) => {
+  await settlementService.markEligible(order.id);
+}, { to: ORDER_STATUSES.COMPLETED });
+
+/**
+ * Vendors aren't paid for orders that were called off
+ */
+orderStateMachine.onTransition(async ({ order }) => {
+  await settlementService.voidPayout(order.id);
+}, { to: [ORDER_STATUSES.CANCELLED, ORDER_STATUSES.REFUNDED] });
@@ -0,0 +1,516 @@
+/**
+ * Support Service
+ *
+ * Support tickets raised by users, optionally about one of their orders or payments.
+ * Tickets carry a threaded conversation, a status/priority/assignee workflow for the
+ * support team and two SLA timers set from the priority when the ticket is opened:
+ *
+ * - first response: until an admin posts the first public reply
+ * - resolution: until the ticket is resolved or closed
+ *
+ * The ticket owner is notified through notificationService when the team replies or the
+ * status changes, and admins are notified when a ticket is assigned to them.
+ */
+
+import { notificationService } from './notificationService';
+
+export const TICKET_STATUSES = ['open', 'in_progress', 'awaiting_customer', 'resolved', 'closed'];
+export const TICKET_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+export const TICKET_CATEGORIES = ['general', 'order', 'payment', 'delivery', 'rider', 'vendor', 'account'];
+
+// Hours from opening until each SLA timer is due
+const SLA_HOURS = {
+  urgent: { firstResponse: 1, resolution: 8 },
+  high: { firstResponse: 4, resolution: 24 },
+  medium: { firstResponse: 8, resolution: 48 },
+  low: { firstResponse: 24, resolution: 96 }
+};
+
+// A running timer with less than this share of its window left is at risk
+const AT_RISK_FRACTION = 0.25;
+
+// Statuses an admin can move a ticket to from each status
+const TICKET_TRANSITIONS = {
+  open: ['in_progress', 'awaiting_customer', 'resolved', 'closed'],
+  in_progress: ['open', 'awaiting_customer', 'resolved', 'closed'],
+  awaiting_customer: ['in_progress', 'resolved', 'closed'],
+  resolved: ['open', 'closed'],
+  closed: ['open']
+};
+
+const STATUS_LABELS = {
+  open: 'Open',
+  in_progress: 'In Progress',
+  awaiting_customer: 'Awaiting Your Reply',
+  resolved: 'Resolved',
+  closed: 'Closed'
+};
+
+const TICKET_INCLUDE = {
+  user: { select: { id: true, name: true, email: true } },
+  assignee: { select: { id: true, name: true, email: true } },
+  order: { select: { id: true, orderNumber: true, status: true } },
+  _count: { select: { replies: { where: { isInternal: false } } } }
+};
+
+class SupportService {
+  /**
+   * Open a ticket for a user
+   * @param {string} userEmail - Email of the user raising the ticket
+   * @param {Object} ticketData - { subject, description, category, priority, orderId, paymentId }
+   * @returns {Promise<Object>} - Created ticket
+   */
+  async createTicket(userEmail, ticketData) {
+    const prisma = require('../prisma');
+    const { subject, description, category = 'general', priority = 'medium', orderId, paymentId } = ticketData;
+
+    if (!subject || !subject.trim() || !description || !description.trim()) {
+      throw new Error('Subject and description are required');
+    }
+    if (!TICKET_CATEGORIES.includes(category)) {
+      throw new Error(`Category must be one of: ${TICKET_CATEGORIES.join(', ')}`);
+    }
+    if (!TICKET_PRIORITIES.includes(priority)) {
+      throw new Error(`Priority must be one of: ${TICKET_PRIORITIES.join(', ')}`);
+    }
+
+    const user = await prisma.user.findUnique({ where: { email: userEmail } });
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    // Tickets can only reference the user's own orders and payments
+    let linkedOrderId = orderId || null;
+    if (linkedOrderId) {
+      const order = await prisma.order.findUnique({ where: { id: linkedOrderId } });
+      if (!order || order.customerId !== user.id) {
+        throw new Error('Order not found');
+      }
+    }
+
+    if (paymentId) {
+      const payment = await prisma.payment.findUnique({
+        where: { id: paymentId },
+        include: { order: { select: { customerId: true } } }
+      });
+      if (!payment || payment.order.customerId !== user.id || (linkedOrderId && payment.orderId !== linkedOrderId)) {
+        throw new Error('Payment not found');
+      }
+      linkedOrderId = payment.orderId;
+    }
+
+    const now = new Date();
+    const ticket = await prisma.supportTicket.create({
+      data: {
+        userId: user.id,
+        orderId: linkedOrderId,
+        paymentId: paymentId || null,
+        subject: subject.trim(),
+        description: description.trim(),
+        category,
+        priority,
+        ...this._getSlaDueDates(priority, now),
+        createdAt: now
+      },
+      include: TICKET_INCLUDE
+    });
+
+    await this._notifyOwner(ticket, 'Support Ticket Received',
+      `We've received your ticket "${ticket.subject}" and will get back to you soon.`);
+
+    return this._formatTicket(ticket);
+  }
+
+  /**
+   * Get the tickets raised by a user
+   * @param {string} userEmail - User email
+   * @returns {Promise<Array>} - Tickets, newest first
+   */
+  async getTicketsForUser(userEmail) {
+    const prisma = require('../prisma');
+    const tickets = await prisma.supportTicket.findMany({
+      where: { user: { email: userEmail } },
+      include: TICKET_INCLUDE,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return tickets.map(ticket => this._formatTicket(ticket));
+  }
+
+  /**
+   * Get tickets for the support team
+   * @param {Object} filters - { status, priority, category, assigneeId, sla, search, limit }
+   *                           assigneeId 'unassigned' matches tickets without an assignee;
+   *                           sla 'breached' or 'at_risk' filters on the SLA state
+   * @returns {Promise<Array>} - Tickets, most urgent SLA first
+   */
+  async getTickets(filters = {}) {
+    const prisma = require('../prisma');
+    const where = {};
+
+    if (filters.status) {
+      where.status = { in: [].concat(filters.status) };
+    }
+    if (filters.priority) {
+      where.priority = filters.priority;
+    }
+    if (filters.category) {
+      where.category = filters.category;
+    }
+    if (filters.assigneeId) {
+      where.assigneeId = filters.assigneeId === 'unassigned' ? null : filters.assigneeId;
+    }
+    if (filters.search) {
+      where.OR = [
+        { subject: { contains: filters.search } },
+        { user: { email: { contains: filters.search } } },
+        { user: { name: { contains: filters.search } } }
+      ];
+    }
+
+    const tickets = await prisma.supportTicket.findMany({
+      where,
+      include: TICKET_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+      take: filters.limit || 200
+    });
+
+    let formatted = tickets.map(ticket => this._formatTicket(ticket));
+    if (filters.sla) {
+      formatted = formatted.filter(ticket => ticket.sla.state === filters.sla);
+    }
+
+    // Running timers first, soonest due at the top
+    return formatted.sort((a, b) => this._getNextDueTime(a) - this._getNextDueTime(b));
+  }
+
+  /**
+   * Get a ticket with its replies
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} viewer - { email, role } of whoever is looking
+   * @returns {Promise<Object|null>} - Ticket with replies, or null if it doesn't exist or
+   *                                   isn't visible to the viewer
+   */
+  async getTicket(ticketId, viewer) {
+    const prisma = require('../prisma');
+    const isAdmin = viewer.role === 'admin';
+
+    const ticket = await prisma.supportTicket.findUnique({
+      where: { id: ticketId },
+      include: {
+        ...TICKET_INCLUDE,
+        replies: {
+          where: isAdmin ? {} : { isInternal: false },
+          include: { author: { select: { id: true, name: true, email: true, role: true } } },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!ticket || (!isAdmin && ticket.user.email !== viewer.email)) {
+      return null;
+    }
+
+    return {
+      ...this._formatTicket(ticket),
+      replies: ticket.replies.map(reply => ({
+        id: reply.id,
+        message: reply.message,
+        isInternal: reply.isInternal,
+        authorName: reply.author.name,
+        authorEmail: reply.author.email,
+        isStaff: reply.author.role === 'admin',
+        createdAt: reply.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Add a reply to a ticket. A customer reply reopens a resolved ticket or one waiting on
+   * them; the first public admin reply stops the first response timer.
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} author - { email, role } of the author
+   * @param {string} message - Reply text
+   * @param {Object} options - { isInternal } for admin notes hidden from the customer
+   * @returns {Promise<Object>} - Updated ticket with replies
+   */
+  async addReply(ticketId, author, message, { isInternal = false } = {}) {
+    const prisma = require('../prisma');
+    const isAdmin = author.role === 'admin';
+
+    if (!message || !message.trim()) {
+      throw new Error('Reply message is required');
+    }
+    if (isInternal && !isAdmin) {
+      throw new Error('Only admins can add internal notes');
+    }
+
+    const ticket = await prisma.supportTicket.findUnique({
+      where: { id: ticketId },
+      include: TICKET_INCLUDE
+    });
+    if (!ticket || (!isAdmin && ticket.user.email !== author.email)) {
+      throw new Error('Ticket not found');
+    }
+    if (ticket.status === 'closed' && !isAdmin) {
+      throw new Error('This ticket is closed, please open a new ticket');
+    }
+
+    const authorUser = await prisma.user.findUnique({ where: { email: author.email } });
+    if (!authorUser) {
+      throw new Error('User not found');
+    }
+
+    const now = new Date();
+    const updates = {};
+    if (isAdmin && !isInternal && !ticket.firstRespondedAt) {
+      updates.firstRespondedAt = now;
+    }
+    if (!isAdmin && ['awaiting_customer', 'resolved'].includes(ticket.status)) {
+      Object.assign(updates, this._getStatusUpdates('open'));
+    }
+
+    await prisma.$transaction([
+      prisma.supportTicketReply.create({
+        data: {
+          ticketId,
+          authorId: authorUser.id,
+          message: message.trim(),
+          isInternal,
+          createdAt: now
+        }
+      }),
+      prisma.supportTicket.update({
+        where: { id: ticketId },
+        data: { ...updates, updatedAt: now }
+      })
+    ]);
+
+    if (isAdmin && !isInternal) {
+      await this._notifyOwner(ticket, 'New Reply on Your Support Ticket',
+        `The support team replied to "${ticket.subject}".`);
+    } else if (!isAdmin && ticket.assignee) {
+      await this._notifyUser(ticket.assignee.email, ticket, 'Customer Replied to Ticket',
+        `${ticket.user.name} replied to "${ticket.subject}".`);
+    }
+
+    return this.getTicket(ticketId, author);
+  }
+
+  /**
+   * Update a ticket's status, priority or assignee
+   * @param {string} ticketId - Ticket ID
+   * @param {Object} changes - { status, priority, assigneeId } (assigneeId null unassigns)
+   * @param {string} adminEmail - Email of the admin making the change
+   * @returns {Promise<Object>} - Updated ticket
+   */
+  async updateTicket(ticketId, changes, adminEmail) {
+    const prisma = require('../prisma');
+    const ticket = await prisma.supportTicket.findUnique({
+      where: { id: ticketId },
+      include: TICKET_INCLUDE
+    });
+    if (!ticket) {
+      throw new Error('Ticket not found');
+    }
+
+    const data = {};
+
+    if (changes.status !== undefined && changes.status !== ticket.status) {
+      if (!TICKET_STATUSES.includes(changes.status)) {
+        throw new Error(`Status must be one of: ${TICKET_STATUSES.join(', ')}`);
+      }
+      if (!TICKET_TRANSITIONS[ticket.status].includes(changes.status)) {
+        throw new Error(`Cannot move a ticket from '${ticket.status}' to '${changes.status}'`);
+      }
+      Object.assign(data, this._getStatusUpdates(changes.status));
+    }
+
+    // The SLA timers restart from the opening time with the new priority's targets
+    if (changes.priority !== undefined && changes.priority !== ticket.priority) {
+      if (!TICKET_PRIORITIES.includes(changes.priority)) {
+        throw new Error(`Priority must be one of: ${TICKET_PRIORITIES.join(', ')}`);
+      }
+      data.priority = changes.priority;
+      Object.assign(data, this._getSlaDueDates(changes.priority, ticket.createdAt));
+    }
+
+    let newAssignee = null;
+    if (changes.assigneeId !== undefined && changes.assigneeId !== ticket.assigneeId) {
+      if (changes.assigneeId) {
+        newAssignee = await prisma.user.findUnique({ where: { id: changes.assigneeId } });
+        if (!newAssignee || newAssignee.role !== 'admin') {
+          throw new Error('Tickets can only be assigned to admins');
+        }
+      }
+      data.assigneeId = changes.assigneeId || null;
+    }
+
+    if (Object.keys(data).length === 0) {
+      return this._formatTicket(ticket);
+    }
+
+    const updated = await prisma.supportTicket.update({
+      where: { id: ticketId },
+      data: { ...data, updatedAt: new Date() },
+      include: TICKET_INCLUDE
+    });
+
+    if (data.status) {
+      await this._notifyOwner(updated, 'Support Ticket Updated',
+        `Your ticket "${updated.subject}" is now ${STATUS_LABELS[data.status]}.`);
+    }
+    if (newAssignee && newAssignee.email !== adminEmail) {
+      await this._notifyUser(newAssignee.email, updated, 'Support Ticket Assigned',
+        `You have been assigned "${updated.subject}" (${updated.priority} priority).`);
+    }
+
+    return this._formatTicket(updated);
+  }
+
+  /**
+   * Get the admins tickets can be assigned to
+   * @returns {Promise<Array>} - { id, name, email }
+   */
+  async getAssignableAgents() {
+    const prisma = require('../prisma');
+    return prisma.user.findMany({
+      where: { role: 'admin' },
+      select: { id: true, name: true, email: true },
+      orderBy: { name: 'asc' }
+    });
+  }
+
+  /**
+   * Work out the SLA state of a ticket
+   * @param {Object} ticket - SupportTicket row
+   * @param {Date} now - Time to evaluate at
+   * @returns {Object} - { firstResponse, resolution, state } where each timer is
+   *                     { dueAt, metAt, breached } and state is met, on_track, at_risk or breached
+   */
+  getSlaStatus(ticket, now = new Date()) {
+    const createdAt = new Date(ticket.createdAt);
+    const resolvedAt = ticket.resolvedAt || ticket.closedAt;
+
+    const timer = (dueAt, metAt) => {
+      const due = new Date(dueAt);
+      const breached = metAt ? new Date(metAt) > due : now > due;
+      const remainingFraction = (due - now) / Math.max(due - createdAt, 1);
+      return {
+        dueAt: due,
+        metAt: metAt || null,
+        breached,
+        atRisk: !metAt && !breached && remainingFraction < AT_RISK_FRACTION
+      };
+    };
+
+    // Resolving a ticket without a public reply also stops the first response timer
+    const firstResponse = timer(ticket.firstResponseDueAt, ticket.firstRespondedAt || resolvedAt);
+    const resolution = timer(ticket.resolutionDueAt, resolvedAt);
+
+    let state = 'on_track';
+    if (firstResponse.breached || resolution.breached) {
+      state = 'breached';
+    } else if (resolvedAt) {
+      state = 'met';
+    } else if (firstResponse.atRisk || resolution.atRisk) {
+      state = 'at_risk';
+    }
+
+    return { firstResponse, resolution, state };
+  }
+
+  /**
+   * Get the SLA due dates for a priority
+   * @private
+   */
+  _getSlaDueDates(priority, openedAt) {
+    const hours = SLA_HOURS[priority] || SLA_HOURS.medium;
+    const openedTime = new Date(openedAt).getTime();
+    return {
+      firstResponseDueAt: new Date(openedTime + hours.firstResponse * 60 * 60 * 1000),
+      resolutionDueAt: new Date(openedTime + hours.resolution * 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * Get the fields to write when a ticket moves to a status
+   * @private
+   */
+  _getStatusUpdates(status) {
+    const now = new Date();
+    return {
+      status,
+      resolvedAt: status === 'resolved' ? now : status === 'closed' ? undefined : null,
+      closedAt: status === 'closed' ? now : null
+    };
+  }
+
+  /**
+   * Time the ticket's next running SLA timer is due, for sorting
+   * @private
+   */
+  _getNextDueTime(ticket) {
+    if (!ticket.sla.firstResponse.metAt) {
+      return new Date(ticket.sla.firstResponse.dueAt).getTime();
+    }
+    if (!ticket.sla.resolution.metAt) {
+      return new Date(ticket.sla.resolution.dueAt).getTime();
+    }
+    return Number.MAX_SAFE_INTEGER;
+  }
+
+  /**
+   * @private
+   */
+  _formatTicket(ticket) {
+    return {
+      id: ticket.id,
+      subject: ticket.subject,
+      description: ticket.description,
+      category: ticket.category,
+      status: ticket.status,
+      priority: ticket.priority,
+      userId: ticket.userId,
+      userName: ticket.user ? ticket.user.name : null,
+      userEmail: ticket.user ? ticket.user.email : null,
+      orderId: ticket.orderId,
+      orderNumber: ticket.order ? ticket.order.orderNumber : null,
+      paymentId: ticket.paymentId,
+      assigneeId: ticket.assigneeId,
+      assigneeName: ticket.assignee ? ticket.assignee.name : null,
+      replyCount: ticket._count ? ticket._count.replies : undefined,
+      sla: this.getSlaStatus(ticket),
+      firstRespondedAt: ticket.firstRespondedAt,
+      resolvedAt: ticket.resolvedAt,
+      closedAt: ticket.closedAt,
+      createdAt: ticket.createdAt,
+      updatedAt: ticket.updatedAt
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _notifyOwner(ticket, title, message) {
+    await this._notifyUser(ticket.user.email, ticket, title, message);
+  }
+
+  /**
+   * @private
+   */
+  async _notifyUser(email, ticket, title, message) {
+    try {
+      await notificationService.sendUserNotification(email, title, message, 'info', {
+        type: 'support_ticket',
+        ticketId: ticket.id,
+        status: ticket.status
+      });
+    } catch (error) {
+      console.error(`Error sending support ticket notification for ${ticket.id}:`, error);
+      // The ticket change is saved; a missed notification is not worth failing it over
+    }
+  }
+}
+
+export const supportService = new SupportService();
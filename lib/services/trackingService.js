@@ -0,0 +1,468 @@
+/**
+ * Tracking Service
+ *
+ * Records a location ping for every active delivery each time a rider reports their
+ * position, so customers can follow the route trail rather than a single dot. Each ping
+ * also recomputes the ETA from the rider's recent speed and checks the pickup and
+ * destination geofences, which move the order along automatically:
+ *
+ * - arrived_pickup: rider reaches the pickup point -> the customer is told; the rider (or
+ *   proof of pickup) marks the order Picked Up once the parcel is actually collected
+ * - departed_pickup: rider leaves the pickup point with the parcel -> In Transit
+ * - arrived_destination: rider reaches the destination -> Out For Delivery
+ *
+ * The geofences are drawn around the stop coordinates stored on the order: pinned when
+ * the order is booked, or for the pickup taken from where the rider picked the parcel up.
+ * A pincode's centroid is too coarse for a fence, so stops without coordinates only use
+ * it for the ETA.
+ *
+ * Pings are kept for `tracking.pingRetentionHours` after an order closes and then purged.
+ */
+
+import { settingsStorage, pincodeStorage } from '../storage';
+import { riderService } from './riderService';
+import { orderService } from './orderService';
+import { orderStateMachine, SYSTEM_ACTOR } from './orderStateMachine';
+import { notificationService } from './notificationService';
+import { getDistanceConfig } from './distanceService';
+import { publishToUser } from '../socketPublisher';
+import { ORDER_STATUSES, getStatusVariants, normalizeOrderStatus } from '../orderLifecycle';
+
+const DEFAULT_CONFIG = {
+  geofenceRadiusMeters: 300,
+  pingRetentionHours: 72
+};
+
+const CONFIG_TTL_MS = 60000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // Sweep old pings at most once an hour
+const SPEED_WINDOW_MS = 10 * 60 * 1000; // ETA speed is averaged over the last 10 minutes
+const DEFAULT_SPEED_KMH = 20; // Used until the rider has moved enough to measure
+const MIN_MOVING_SPEED_KMH = 5; // Below this the rider is waiting, not travelling
+const MAX_TRAIL_POINTS = 500;
+
+const ACTIVE_STATUSES = [
+  ORDER_STATUSES.RIDER_ASSIGNED,
+  ORDER_STATUSES.PICKED_UP,
+  ORDER_STATUSES.IN_TRANSIT,
+  ORDER_STATUSES.OUT_FOR_DELIVERY
+];
+
+// Orders in these statuses no longer need their pings once the retention period passes
+const CLOSED_STATUSES = [
+  ORDER_STATUSES.DELIVERED,
+  ORDER_STATUSES.COMPLETED,
+  ORDER_STATUSES.REVIEWED,
+  ORDER_STATUSES.REFUNDED,
+  ORDER_STATUSES.CANCELLED,
+  ORDER_STATUSES.CLOSED
+];
+
+/**
+ * Geofence rules. `inside` says whether the rule fires when the rider is inside or
+ * outside the fence around `target`; each event fires at most once per order. Rules with
+ * a `to` status move the order there; the others only record the event on the order's
+ * timeline and tell the customer.
+ */
+const GEOFENCE_RULES = [
+  {
+    event: 'arrived_pickup',
+    target: 'pickup',
+    inside: true,
+    from: [ORDER_STATUSES.RIDER_ASSIGNED],
+    notes: 'Rider arrived at the pickup location',
+    notify: { title: 'Rider Arrived', message: 'Your rider has arrived at the pickup location' }
+  },
+  {
+    event: 'departed_pickup',
+    target: 'pickup',
+    inside: false,
+    from: [ORDER_STATUSES.PICKED_UP],
+    to: ORDER_STATUSES.IN_TRANSIT,
+    notes: 'Rider left the pickup location'
+  },
+  {
+    event: 'arrived_destination',
+    target: 'destination',
+    inside: true,
+    from: [ORDER_STATUSES.IN_TRANSIT],
+    to: ORDER_STATUSES.OUT_FOR_DELIVERY,
+    notes: 'Rider arrived near the destination'
+  }
+];
+
+class TrackingService {
+  constructor() {
+    this.cachedConfig = null;
+    this.cachedConfigAt = 0;
+    this.lastPurgeAt = 0;
+    // pincode -> { lat, lon } so geofence checks don't look up the same pincode on every ping
+    this.pincodeLocations = new Map();
+  }
+
+  /**
+   * Get tracking configuration from settings
+   * @returns {Promise<Object>} - { geofenceRadiusMeters, pingRetentionHours }
+   */
+  async getConfig() {
+    if (this.cachedConfig && Date.now() - this.cachedConfigAt < CONFIG_TTL_MS) {
+      return this.cachedConfig;
+    }
+
+    const config = { ...DEFAULT_CONFIG };
+    for (const key of Object.keys(DEFAULT_CONFIG)) {
+      const value = parseFloat(await settingsStorage.get(`tracking.${key}`));
+      if (!isNaN(value) && value >= 0) {
+        config[key] = value;
+      }
+    }
+
+    this.cachedConfig = config;
+    this.cachedConfigAt = Date.now();
+    return config;
+  }
+
+  /**
+   * Record a rider's location against each of their active deliveries, update the ETA,
+   * apply geofence transitions and push the update to the customers
+   * @param {string} riderId - Rider ID
+   * @param {Object} location - { lat, lon, accuracy, heading, speed, timestamp }
+   * @returns {Promise<Array>} - Tracking update per active order
+   */
+  async recordLocation(riderId, location) {
+    const prisma = require('../prisma');
+    const activeOrders = await prisma.order.findMany({
+      where: {
+        riderId,
+        status: { in: getStatusVariants(ACTIVE_STATUSES) }
+      }
+    });
+
+    const updates = [];
+    for (const order of activeOrders) {
+      const ping = await prisma.locationPing.create({
+        data: {
+          orderId: order.id,
+          riderId,
+          lat: parseFloat(location.lat),
+          lon: parseFloat(location.lon),
+          accuracy: this._toNumber(location.accuracy),
+          heading: this._toNumber(location.heading),
+          speed: this._toNumber(location.speed),
+          recordedAt: location.timestamp ? new Date(location.timestamp) : new Date()
+        }
+      });
+
+      const geofenceEvent = await this._applyGeofences(order, ping);
+      const status = geofenceEvent ? normalizeOrderStatus(geofenceEvent.status) : normalizeOrderStatus(order.status);
+      const eta = await this.estimateArrival({ ...order, status }, ping);
+
+      const update = {
+        orderId: order.id,
+        riderId,
+        location: {
+          lat: ping.lat,
+          lon: ping.lon,
+          heading: ping.heading,
+          speed: ping.speed,
+          timestamp: ping.recordedAt.toISOString()
+        },
+        eta,
+        geofenceEvent: geofenceEvent ? geofenceEvent.event : null
+      };
+
+      await publishToUser(order.customerId, 'rider-location-update', update);
+      updates.push(update);
+    }
+
+    if (Date.now() - this.lastPurgeAt > PURGE_INTERVAL_MS) {
+      this.lastPurgeAt = Date.now();
+      try {
+        await this.purgeExpiredPings();
+      } catch (error) {
+        console.error('Error purging location pings:', error);
+      }
+    }
+
+    return updates;
+  }
+
+  /**
+   * Get the tracking view of an order: route trail, latest ETA and geofence events
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} - { trail, eta, events }
+   */
+  async getTracking(orderId) {
+    const prisma = require('../prisma');
+    const order = await prisma.order.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    // Most recent pings, returned oldest first so they draw as a path
+    const pings = (await prisma.locationPing.findMany({
+      where: { orderId },
+      orderBy: { recordedAt: 'desc' },
+      take: MAX_TRAIL_POINTS
+    })).reverse();
+
+    const lastPing = pings[pings.length - 1];
+    const isActive = ACTIVE_STATUSES.includes(normalizeOrderStatus(order.status));
+
+    return {
+      trail: pings.map(ping => ({
+        lat: ping.lat,
+        lon: ping.lon,
+        heading: ping.heading,
+        speed: ping.speed,
+        timestamp: ping.recordedAt
+      })),
+      eta: lastPing && isActive ? await this.estimateArrival(order, lastPing) : null,
+      events: pings
+        .filter(ping => ping.geofenceEvent)
+        .map(ping => ({ event: ping.geofenceEvent, timestamp: ping.recordedAt }))
+    };
+  }
+
+  /**
+   * Estimate when the rider reaches their next stop: the pickup until the parcel is
+   * collected, the destination after that
+   * @param {Object} order - Order row
+   * @param {Object} lastPing - Latest ping for the order
+   * @returns {Promise<Object|null>} - { target, remainingKm, speedKmh, etaMinutes, estimatedArrival }
+   */
+  async estimateArrival(order, lastPing) {
+    const status = normalizeOrderStatus(order.status);
+    const target = status === ORDER_STATUSES.RIDER_ASSIGNED ? 'pickup' : 'destination';
+    const targetLocation = await this._getTargetLocation(order, target);
+    if (!targetLocation) {
+      return null;
+    }
+
+    const { roadDistanceFactor } = await getDistanceConfig();
+    const straightLineKm = riderService.calculateDistance(lastPing.lat, lastPing.lon, targetLocation.lat, targetLocation.lon);
+    const remainingKm = straightLineKm * (parseFloat(roadDistanceFactor) || 1);
+
+    const speedKmh = await this._getRecentSpeed(order.id, lastPing);
+    const etaMinutes = Math.ceil((remainingKm / speedKmh) * 60);
+    const fromTime = new Date(lastPing.recordedAt).getTime();
+
+    return {
+      target,
+      remainingKm: parseFloat(remainingKm.toFixed(2)),
+      speedKmh: parseFloat(speedKmh.toFixed(1)),
+      etaMinutes,
+      estimatedArrival: new Date(fromTime + etaMinutes * 60000).toISOString()
+    };
+  }
+
+  /**
+   * Delete pings for orders that closed longer ago than the retention period
+   * @returns {Promise<number>} - Number of pings deleted
+   */
+  async purgeExpiredPings() {
+    const prisma = require('../prisma');
+    const { pingRetentionHours } = await this.getConfig();
+    const cutoff = new Date(Date.now() - pingRetentionHours * 60 * 60 * 1000);
+
+    const { count } = await prisma.locationPing.deleteMany({
+      where: {
+        order: {
+          status: { in: getStatusVariants(CLOSED_STATUSES) },
+          updatedAt: { lte: cutoff }
+        }
+      }
+    });
+
+    return count;
+  }
+
+  /**
+   * Fire the geofence rules that match the order's status and the rider's position
+   * @private
+   * @param {Object} order - Order row
+   * @param {Object} ping - The ping just recorded
+   * @returns {Promise<Object|null>} - { event, status } for the rule that fired, if any, with
+   *   the status the order is in afterwards
+   */
+  async _applyGeofences(order, ping) {
+    const status = normalizeOrderStatus(order.status);
+    const rules = GEOFENCE_RULES.filter(rule => rule.from.includes(status));
+    if (rules.length === 0) {
+      return null;
+    }
+
+    const { geofenceRadiusMeters } = await this.getConfig();
+
+    for (const rule of rules) {
+      const targetLocation = await this._getTargetLocation(order, rule.target, { exact: true });
+      if (!targetLocation) continue;
+
+      const distanceMeters = riderService.calculateDistance(ping.lat, ping.lon, targetLocation.lat, targetLocation.lon) * 1000;
+      const isInside = distanceMeters <= geofenceRadiusMeters;
+      if (isInside !== rule.inside) continue;
+
+      const prisma = require('../prisma');
+      const alreadyFired = await prisma.locationPing.count({
+        where: { orderId: order.id, geofenceEvent: rule.event }
+      });
+      if (alreadyFired > 0) continue;
+
+      if (rule.to) {
+        try {
+          await orderService.updateOrderStatus(order.id, rule.to, rule.notes, SYSTEM_ACTOR);
+        } catch (error) {
+          // The rider may have moved the order on manually in the meantime
+          console.warn(`Geofence ${rule.event} for order ${order.id} could not update status:`, error.message);
+          continue;
+        }
+      } else {
+        await orderStateMachine.recordEvent(order.id, rule.notes, { actor: SYSTEM_ACTOR });
+      }
+
+      await prisma.locationPing.update({
+        where: { id: ping.id },
+        data: { geofenceEvent: rule.event }
+      });
+
+      if (rule.notify) {
+        await this._notifyCustomer(order, rule);
+      }
+
+      return { event: rule.event, status: rule.to || status };
+    }
+
+    return null;
+  }
+
+  /**
+   * Tell the customer about a geofence event
+   * @private
+   */
+  async _notifyCustomer(order, rule) {
+    try {
+      const prisma = require('../prisma');
+      const customer = await prisma.user.findUnique({ where: { id: order.customerId }, select: { email: true } });
+      if (!customer) return;
+
+      await notificationService.sendUserNotification(
+        customer.email,
+        rule.notify.title,
+        `${rule.notify.message} for order #${order.orderNumber}.`,
+        'info',
+        { orderId: order.id, geofenceEvent: rule.event }
+      );
+    } catch (error) {
+      console.error(`Error sending ${rule.event} notification for order ${order.id}:`, error);
+    }
+  }
+
+  /**
+   * Average speed over the recent pings, falling back to the speed the device reports
+   * @private
+   * @param {string} orderId - Order ID
+   * @param {Object} lastPing - Latest ping for the order
+   * @returns {Promise<number>} - Speed in km/h
+   */
+  async _getRecentSpeed(orderId, lastPing) {
+    const prisma = require('../prisma');
+    const until = new Date(lastPing.recordedAt);
+    const pings = await prisma.locationPing.findMany({
+      where: {
+        orderId,
+        recordedAt: { gte: new Date(until.getTime() - SPEED_WINDOW_MS), lte: until }
+      },
+      orderBy: { recordedAt: 'asc' }
+    });
+
+    if (pings.length >= 2) {
+      let distanceKm = 0;
+      for (let i = 1; i < pings.length; i++) {
+        distanceKm += riderService.calculateDistance(pings[i - 1].lat, pings[i - 1].lon, pings[i].lat, pings[i].lon);
+      }
+
+      const hours = (new Date(pings[pings.length - 1].recordedAt) - new Date(pings[0].recordedAt)) / 3600000;
+      const measuredKmh = hours > 0 ? distanceKm / hours : 0;
+      if (measuredKmh >= MIN_MOVING_SPEED_KMH) {
+        return measuredKmh;
+      }
+    }
+
+    const reportedKmh = lastPing.speed ? lastPing.speed * 3.6 : 0;
+    return reportedKmh >= MIN_MOVING_SPEED_KMH ? reportedKmh : DEFAULT_SPEED_KMH;
+  }
+
+  /**
+   * Pin an order's pickup to where the rider was when they picked the parcel up, unless
+   * the booking already pinned it, so the departure geofence has a point to work from
+   * @param {string} orderId - Order ID
+   */
+  async pinPickupLocation(orderId) {
+    const prisma = require('../prisma');
+    const lastPing = await prisma.locationPing.findFirst({
+      where: { orderId },
+      orderBy: { recordedAt: 'desc' }
+    });
+    if (!lastPing) return;
+
+    await prisma.order.updateMany({
+      where: { id: orderId, pickupLat: null },
+      data: { pickupLat: lastPing.lat, pickupLon: lastPing.lon }
+    });
+  }
+
+  /**
+   * Resolve the coordinates of an order's pickup or destination: the ones stored on the
+   * order, or else the centroid of its pincode
+   * @private
+   * @param {Object} order - Order row
+   * @param {string} target - 'pickup' or 'destination'
+   * @param {Object} options - { exact } to only accept the stored coordinates
+   * @returns {Promise<Object|null>} - { lat, lon } or null if unknown
+   */
+  async _getTargetLocation(order, target, { exact = false } = {}) {
+    const lat = target === 'pickup' ? order.pickupLat : order.destinationLat;
+    const lon = target === 'pickup' ? order.pickupLon : order.destinationLon;
+    if (lat !== null && lat !== undefined && lon !== null && lon !== undefined) {
+      return { lat, lon };
+    }
+
+    const pincode = target === 'pickup' ? order.pickupPincode : order.destinationPincode;
+    if (!pincode || exact) return null;
+
+    if (!this.pincodeLocations.has(pincode)) {
+      const location = await pincodeStorage.getByCode(pincode);
+      if (!location || !location.lat || !location.lon) {
+        return null;
+      }
+      this.pincodeLocations.set(pincode, { lat: parseFloat(location.lat), lon: parseFloat(location.lon) });
+    }
+
+    return this.pincodeLocations.get(pincode);
+  }
+
+  /**
+   * Parse an optional numeric reading from the device
+   * @private
+   */
+  _toNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+  }
+}
+
+export const trackingService = new TrackingService();
+
+/**
+ * Purge pings as orders close. With a retention period the sweep only removes orders
+ * that closed earlier; with `tracking.pingRetentionHours` set to 0 this order goes too.
+ */
+orderStateMachine.onTransition(async () => {
+  await trackingService.purgeExpiredPings();
+}, { to: CLOSED_STATUSES });
+
+/**
+ * The rider is at the pickup when they collect the parcel
+ */
+orderStateMachine.onTransition(async ({ order }) => {
+  await trackingService.pinPickupLocation(order.id);
+}, { to: ORDER_STATUSES.PICKED_UP });
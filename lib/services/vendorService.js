@@ -2,6 +2,7 @@ import { vendorStorage, orderStorage, userStorage } from '../storage';
 import { v4 as uuidv4 } from 'uuid';
 import { analyticsService } from './analyticsService';
 import { getQuickEstimate, getAvailableMoveSizes } from './pricingService';
+import { quoteService } from './quoteService';
 
 class VendorService {
   /**
@@ -155,6 +156,7 @@ class VendorService {
   async getVendorRequests(vendorId) {
     const vendors = await vendorStorage.getAll();
     const orders = await orderStorage.getAll();
+    const vendorQuotes = await quoteService.getQuotesForVendor(vendorId);
     
     if (!orders || !vendors) {
       throw new Error('Failed to read data');
@@ -164,7 +166,9 @@ class VendorService {
     const normalizedOrders = orders.filter(order => order).map(order => ({
       ...order,
       vendorRequests: Array.isArray(order.vendorRequests) ? order.vendorRequests : [],
-      quotes: Array.isArray(order.quotes) ? order.quotes : [],
+      quotes: Array.isArray(order.quotes)
+        ? order.quotes
+        : vendorQuotes.filter(quote => quote.orderId === order.orderId),
       status: order.status || 'Unknown',
       orderId: order.orderId || 'Unknown'
     }));
@@ -190,7 +194,13 @@ class VendorService {
         ...order,
         submittedQuote: true,
         quoteAmount: vendorQuote?.amount || 0,
-        quoteSubmittedAt: vendorQuote?.submittedAt || new Date().toISOString()
+        quoteSubmittedAt: vendorQuote?.submittedAt || new Date().toISOString(),
+        quoteId: vendorQuote?.id,
+        quoteVersion: vendorQuote?.version || 1,
+        quoteStatus: vendorQuote?.status || 'pending',
+        quoteExpiresAt: vendorQuote?.expiresAt || null,
+        // The customer's open counter-offer, if any, for the vendor to accept or reject
+        pendingCounterOffer: vendorQuote?.counterOffers?.find(offer => offer.status === 'pending') || null
       };
     });
     
@@ -684,6 +694,7 @@ class VendorService {
     const benefits = {
       'Bronze': {
         commissionRate: 15, // 15% commission
+        customerDiscount: 0, // 0% off the customer's price
         prioritySupport: false,
         featuredListing: false,
         earlyAccess: false,
@@ -691,6 +702,7 @@ class VendorService {
       },
       'Silver': {
         commissionRate: 12, // 12% commission
+        customerDiscount: 0, // 0% off the customer's price
         prioritySupport: true,
         featuredListing: false,
         earlyAccess: false,
@@ -698,6 +710,7 @@ class VendorService {
       },
       'Gold': {
         commissionRate: 10, // 10% commission
+        customerDiscount: 3, // 3% off the customer's price
         prioritySupport: true,
         featuredListing: true,
         earlyAccess: true,
@@ -705,6 +718,7 @@ class VendorService {
       },
       'Platinum': {
         commissionRate: 8, // 8% commission
+        customerDiscount: 5, // 5% off the customer's price
         prioritySupport: true,
         featuredListing: true,
         earlyAccess: true,
@@ -0,0 +1,273 @@
+/**
+ * Wallet Service
+ *
+ * Each customer has a wallet whose balance they can spend at checkout. The wallet is a
+ * double-entry ledger: every WalletTransaction moves money between two or more accounts,
+ * and its WalletEntry rows add up to zero. A customer's wallet is the account
+ * `user:<userId>`. The other side is one of the platform accounts below, so the ledger
+ * shows where every rupee in a wallet came from and went to.
+ *
+ * Money enters a wallet from refunds issued as credit (see paymentService.processRefund),
+ * from affiliate earnings the customer moves into it, and from admin adjustments. It
+ * leaves when it pays for an order. A wallet payment that covers only part of an
+ * installment is held until the rest is paid through the gateway, and released if the
+ * checkout is abandoned.
+ *
+ * The ledger is append-only: the database rejects changes to transactions and entries,
+ * so corrections are made with further transactions.
+ */
+
+export const WALLET_TRANSACTION_TYPES = ['refund_credit', 'affiliate_transfer', 'checkout', 'checkout_release', 'admin_adjustment'];
+
+export const PLATFORM_ACCOUNTS = {
+  REFUNDS: 'platform:refunds',
+  AFFILIATE_EARNINGS: 'platform:affiliate_earnings',
+  ORDER_PAYMENTS: 'platform:order_payments',
+  ADJUSTMENTS: 'platform:adjustments'
+};
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+const userAccount = userId => `user:${userId}`;
+
+class WalletService {
+  /**
+   * Get a customer's wallet balance
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Balance in rupees
+   */
+  async getBalance(userId) {
+    const prisma = require('../prisma');
+    return this._getAccountBalance(prisma, userAccount(userId));
+  }
+
+  /**
+   * Get a customer's wallet with its recent movements
+   * @param {string} userId - User ID
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} - { balance, entries }, newest entries first
+   */
+  async getWallet(userId, { limit = 50 } = {}) {
+    const prisma = require('../prisma');
+    const entries = await prisma.walletEntry.findMany({
+      where: { account: userAccount(userId) },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      include: { transaction: { include: { entries: true } } }
+    });
+
+    return {
+      balance: await this.getBalance(userId),
+      entries: entries.map(entry => ({
+        id: entry.id,
+        amount: entry.amount,
+        balanceAfter: entry.balanceAfter,
+        createdAt: entry.createdAt,
+        transactionId: entry.transactionId,
+        type: entry.transaction.type,
+        description: entry.transaction.description,
+        orderId: entry.transaction.orderId,
+        createdBy: entry.transaction.createdBy,
+        // The other side of the movement
+        counterAccounts: entry.transaction.entries
+          .filter(other => other.id !== entry.id)
+          .map(other => other.account)
+      }))
+    };
+  }
+
+  /**
+   * Credit a refund to the customer's wallet instead of the original payment method
+   * @param {Object} refund - Refund ledger row
+   * @param {string} userId - Customer's user ID
+   * @returns {Promise<Object>} - Wallet transaction
+   */
+  async creditRefund(refund, userId) {
+    return this._post({
+      type: 'refund_credit',
+      description: refund.reason ? `Refund: ${refund.reason}` : 'Refund',
+      orderId: refund.orderId,
+      paymentId: refund.paymentId,
+      refundId: refund.id,
+      createdBy: refund.initiatedBy || null,
+      entries: [
+        { account: PLATFORM_ACCOUNTS.REFUNDS, amount: -refund.amount },
+        { account: userAccount(userId), userId, amount: refund.amount }
+      ]
+    });
+  }
+
+  /**
+   * Move an affiliate's pending earnings into their wallet. The earnings are marked paid.
+   * @param {string} userId - User ID of the affiliate
+   * @returns {Promise<Object>} - { amount, count, balance }
+   */
+  async transferAffiliateEarnings(userId) {
+    const prisma = require('../prisma');
+    const affiliate = await prisma.affiliate.findUnique({ where: { userId } });
+    if (!affiliate) {
+      throw new Error('Affiliate account not found');
+    }
+    if (affiliate.status !== 'ACTIVE') {
+      throw new Error('Only active affiliates can move earnings to their wallet');
+    }
+
+    const transaction = await this._post(async tx => {
+      const earnings = await tx.affiliateEarning.findMany({
+        where: { affiliateId: affiliate.id, status: 'PENDING', amount: { gt: 0 } }
+      });
+      if (earnings.length === 0) {
+        throw new Error('There are no pending earnings to move');
+      }
+
+      const { count } = await tx.affiliateEarning.updateMany({
+        where: { id: { in: earnings.map(earning => earning.id) }, status: 'PENDING' },
+        data: { status: 'PAID' }
+      });
+      if (count !== earnings.length) {
+        throw new Error('Your earnings changed while moving them; please try again');
+      }
+
+      const amount = roundAmount(earnings.reduce((sum, earning) => sum + earning.amount, 0));
+      return {
+        type: 'affiliate_transfer',
+        description: `${earnings.length} affiliate earning${earnings.length === 1 ? '' : 's'} moved to wallet`,
+        metadata: JSON.stringify({ affiliateEarningIds: earnings.map(earning => earning.id) }),
+        entries: [
+          { account: PLATFORM_ACCOUNTS.AFFILIATE_EARNINGS, amount: -amount },
+          { account: userAccount(userId), userId, amount }
+        ]
+      };
+    });
+
+    const credit = transaction.entries.find(entry => entry.account === userAccount(userId));
+    return {
+      amount: credit.amount,
+      count: JSON.parse(transaction.metadata).affiliateEarningIds.length,
+      balance: credit.balanceAfter
+    };
+  }
+
+  /**
+   * Take money out of a customer's wallet to pay for an order
+   * @param {string} userId - Customer's user ID
+   * @param {number} amount - Amount in rupees
+   * @param {Object} details - { orderId, paymentId, description }
+   * @param {Function} claim - Optional; run with the database transaction before the debit,
+   *   e.g. to complete the payment. Nothing is debited when it returns false.
+   * @returns {Promise<Object|null>} - Wallet transaction, or null if the claim returned false
+   */
+  async debitForPayment(userId, amount, { orderId, paymentId, description }, claim = null) {
+    return this._post(async tx => {
+      if (claim && !(await claim(tx))) {
+        return null;
+      }
+      return {
+        type: 'checkout',
+        description,
+        orderId,
+        paymentId,
+        entries: [
+          { account: userAccount(userId), userId, amount: -amount },
+          { account: PLATFORM_ACCOUNTS.ORDER_PAYMENTS, amount }
+        ]
+      };
+    });
+  }
+
+  /**
+   * Give back wallet money taken for a payment that was never completed
+   * @param {string} userId - Customer's user ID
+   * @param {Object} payment - The wallet payment
+   * @returns {Promise<Object>} - Wallet transaction
+   */
+  async releasePayment(userId, payment) {
+    return this._post({
+      type: 'checkout_release',
+      description: 'Checkout not completed; wallet payment returned',
+      orderId: payment.orderId,
+      paymentId: payment.id,
+      entries: [
+        { account: PLATFORM_ACCOUNTS.ORDER_PAYMENTS, amount: -payment.amount },
+        { account: userAccount(userId), userId, amount: payment.amount }
+      ]
+    });
+  }
+
+  /**
+   * Credit or debit a customer's wallet by hand
+   * @param {string} userId - Customer's user ID
+   * @param {number} amount - Positive to credit, negative to debit
+   * @param {string} reason - Why, shown to the customer
+   * @param {string} adminEmail - Email of the admin making the adjustment
+   * @returns {Promise<Object>} - Wallet transaction
+   */
+  async adjust(userId, amount, reason, adminEmail) {
+    const value = roundAmount(Number(amount));
+    if (!value) {
+      throw new Error('Amount must be a non-zero number');
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new Error('A reason is required');
+    }
+
+    return this._post({
+      type: 'admin_adjustment',
+      description: String(reason).trim(),
+      createdBy: adminEmail,
+      entries: [
+        { account: PLATFORM_ACCOUNTS.ADJUSTMENTS, amount: -value },
+        { account: userAccount(userId), userId, amount: value }
+      ]
+    });
+  }
+
+  /**
+   * Record a balanced transaction. Takes the transaction, or a function building it
+   * inside the database transaction so related changes commit or fail together; the
+   * function may return null to post nothing. Customer wallets can't go below zero.
+   * @private
+   */
+  async _post(build) {
+    const prisma = require('../prisma');
+    return prisma.$transaction(async tx => {
+      const built = typeof build === 'function' ? await build(tx) : build;
+      if (!built) {
+        return null;
+      }
+      const { entries, ...data } = built;
+
+      const rounded = entries.map(entry => ({ ...entry, amount: roundAmount(entry.amount) }));
+      if (rounded.some(entry => !entry.amount) || roundAmount(rounded.reduce((sum, entry) => sum + entry.amount, 0)) !== 0) {
+        throw new Error('Wallet transaction entries must be non-zero and balance');
+      }
+
+      const posted = [];
+      for (const entry of rounded) {
+        const balanceAfter = roundAmount(await this._getAccountBalance(tx, entry.account) + entry.amount);
+        if (entry.userId && balanceAfter < 0) {
+          throw new Error('Insufficient wallet balance');
+        }
+        posted.push({ ...entry, balanceAfter });
+      }
+
+      return tx.walletTransaction.create({
+        data: { ...data, entries: { create: posted } },
+        include: { entries: true }
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _getAccountBalance(client, account) {
+    const { _sum } = await client.walletEntry.aggregate({
+      where: { account },
+      _sum: { amount: true }
+    });
+    return roundAmount(_sum.amount || 0);
+  }
+}
+
+export const walletService = new WalletService();
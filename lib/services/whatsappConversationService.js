@@ -0,0 +1,270 @@
+/**
+ * WhatsApp Conversation Service
+ *
+ * Handles customers' WhatsApp replies, which Twilio posts to /api/notifications/webhooks/whatsapp.
+ * The reply is matched to the question it answers (see whatsappSessionService) and the option
+ * the customer chose is carried out on their order:
+ *
+ * - accept_quote books the vendor whose quote it was (orderService.selectVendor)
+ * - view_quotes sends a link to the order, where all its quotes are listed
+ * - confirm_date confirms the move date; change_date asks for a new one and moves the order
+ *   to the date the customer replies with (orderService.updateOrder)
+ * - share_otp sends a new delivery OTP (proofOfDeliveryService.issueOtp)
+ *
+ * The customer is told how it went in a WhatsApp reply. Nothing is done while
+ * `notification.enableWhatsAppNotifications` is off.
+ */
+
+import { settingsStorage, userStorage } from '../storage';
+import { orderService } from './orderService';
+import { orderStateMachine } from './orderStateMachine';
+import { proofOfDeliveryService } from './proofOfDeliveryService';
+import { notificationOutboxService } from './notificationOutboxService';
+import { whatsappSessionService, WHATSAPP_FLOWS, formatMoveDate } from './whatsappSessionService';
+import { analyticsService } from './analyticsService';
+
+// What each reply option does, by option ID
+const OPTION_HANDLERS = {
+  accept_quote: '_acceptQuote',
+  view_quotes: '_viewQuotes',
+  confirm_date: '_confirmMoveDate',
+  change_date: '_askForMoveDate',
+  share_otp: '_shareOtp'
+};
+
+const ALREADY_ANSWERED = 'You have already answered this.';
+
+const MOVE_DATE_QUESTION = 'What date would you like to move on instead? Reply with the date, e.g. 25-11-2026.';
+
+class WhatsAppConversationService {
+  /**
+   * Whether WhatsApp replies are acted on
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled() {
+    const value = await settingsStorage.get('notification.enableWhatsAppNotifications');
+    return value !== false && value !== 'false';
+  }
+
+  /**
+   * Handle a WhatsApp message from a customer
+   * @param {Object} message - { from, body, buttonId, buttonText, providerMessageId, notificationMessageId }, where
+   *   buttonId and buttonText are the reply button tapped and providerMessageId (Twilio's message SID) or
+   *   notificationMessageId (outbox message ID) the message replied to, if known
+   * @returns {Promise<Object>} - { handled, sessionId, action, reply }, or { handled: false, reason }
+   */
+  async handleInbound({ from, body, buttonId, buttonText, providerMessageId, notificationMessageId }) {
+    if (!(await this.isEnabled())) {
+      return { handled: false, reason: 'WhatsApp notifications are disabled' };
+    }
+
+    const session = await whatsappSessionService.findSession(from, { providerMessageId, notificationMessageId });
+    if (!session) {
+      return { handled: false, reason: 'No question is waiting for a reply from this number' };
+    }
+    if (session.ambiguous) {
+      return this._askWhichQuestion(session.sessions, from);
+    }
+
+    const conversation = {
+      session,
+      phone: String(from).replace(/^whatsapp:/, ''),
+      user: await userStorage.getById(session.userId),
+      order: session.orderId ? await orderService.getOrderById(session.orderId) : null
+    };
+
+    let action = null;
+    let reply;
+    try {
+      if (!conversation.user || !conversation.order) {
+        throw new Error('Order not found');
+      }
+
+      const moveDate = session.awaiting === 'move_date' && !buttonId ? parseMoveDate(body) : null;
+      const option = moveDate ? null : whatsappSessionService.matchOption(session, { buttonId, text: buttonText || body });
+
+      if (!session.isOpen) {
+        reply = session.status === 'completed' ? ALREADY_ANSWERED : 'Sorry, this question has expired.';
+      } else if (moveDate) {
+        action = 'change_date';
+        reply = await this._changeMoveDate(conversation, moveDate);
+      } else if (option) {
+        action = option.id;
+        reply = await this[OPTION_HANDLERS[option.id]](conversation);
+      } else {
+        reply = session.awaiting === 'move_date'
+          ? `Sorry, we couldn't read that date. ${MOVE_DATE_QUESTION}`
+          : `Sorry, we didn't understand that. Please reply with ${describeOptions(session.flow)}.`;
+      }
+    } catch (error) {
+      console.error(`Error handling WhatsApp reply for session ${session.id}:`, error);
+      reply = `Sorry, we couldn't do that: ${error.message}`;
+    }
+
+    await this._reply(conversation, reply);
+
+    await analyticsService.trackEvent('whatsapp_reply', {
+      userEmail: conversation.user?.email,
+      orderId: session.orderId,
+      flow: session.flow,
+      action
+    });
+
+    return { handled: true, sessionId: session.id, action, reply };
+  }
+
+  /**
+   * @private
+   */
+  async _acceptQuote({ session, user, order }) {
+    return this._claim(session, 'accept_quote', async () => {
+      const updated = await orderService.selectVendor(order.orderId, session.context.vendorId, user.email);
+      return `You've accepted ${updated.vendorName || 'the vendor'}'s quote for order #${order.orderNumber}. ` +
+        `Complete the payment to confirm your booking${orderLink(order)}.`;
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _viewQuotes({ order }) {
+    // The session stays open, so the quote can still be accepted from here
+    return `You can compare all quotes for order #${order.orderNumber}${orderLink(order)}.`;
+  }
+
+  /**
+   * @private
+   */
+  async _confirmMoveDate({ session, user, order }) {
+    return this._claim(session, 'confirm_date', async () => {
+      await orderService.updateOrder(order.orderId, { moveDateConfirmedAt: new Date() }, user.email, 'system');
+      await orderStateMachine.recordEvent(order.orderId, 'Customer confirmed the move date on WhatsApp', {
+        actor: { role: 'customer', email: user.email }
+      });
+      return `Thanks! Your move on ${formatMoveDate(order.moveDate)} is confirmed.`;
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _askForMoveDate({ session }) {
+    await whatsappSessionService.awaitAnswer(session.id, 'move_date');
+    return MOVE_DATE_QUESTION;
+  }
+
+  /**
+   * @private
+   */
+  async _changeMoveDate({ session, user, order }, moveDate) {
+    return this._claim(session, 'change_date', async () => {
+      await orderService.updateOrder(order.orderId, { moveDate, moveDateConfirmedAt: new Date() }, user.email, 'system');
+      await orderStateMachine.recordEvent(order.orderId,
+        `Customer changed the move date to ${formatMoveDate(moveDate)} on WhatsApp`,
+        { actor: { role: 'customer', email: user.email } });
+      return `Done. Your move for order #${order.orderNumber} is now on ${formatMoveDate(moveDate)}.`;
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _shareOtp({ order }) {
+    // The new OTP arrives in its own message, which opens a new session
+    await proofOfDeliveryService.issueOtp(order.orderId);
+    return null;
+  }
+
+  /**
+   * Ask a customer with several open questions to reply to the one they're answering
+   * @private
+   */
+  async _askWhichQuestion(sessions, from) {
+    const orderNumbers = [];
+    for (const orderId of new Set(sessions.map(session => session.orderId).filter(Boolean))) {
+      const order = await orderService.getOrderById(orderId);
+      if (order) orderNumbers.push(`#${order.orderNumber}`);
+    }
+
+    const about = orderNumbers.length > 1 ? ` about orders ${orderNumbers.join(', ')}` : '';
+    const reply = `We've asked you more than one question${about}, so we're not sure which one you're answering. ` +
+      'Please reply to the message you mean (swipe right on it), or tap one of its buttons.';
+
+    await this._reply({ session: sessions[0], phone: String(from).replace(/^whatsapp:/, '') }, reply);
+    return { handled: true, sessionId: null, action: null, reply };
+  }
+
+  /**
+   * Act on the session's answer once, reopening it if acting fails
+   * @private
+   */
+  async _claim(session, response, action) {
+    if (!(await whatsappSessionService.claim(session.id, response))) {
+      return ALREADY_ANSWERED;
+    }
+    try {
+      return await action();
+    } catch (error) {
+      await whatsappSessionService.release(session.id);
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _reply({ session, phone }, body) {
+    if (!body || !(await notificationOutboxService.isChannelConfigured('whatsapp'))) {
+      return;
+    }
+    try {
+      await notificationOutboxService.enqueue({
+        userId: session.userId,
+        channel: 'whatsapp',
+        recipient: phone,
+        eventType: 'whatsapp_reply',
+        payload: { to: phone, body }
+      }, { dispatch: true });
+    } catch (error) {
+      console.error(`Error replying on WhatsApp session ${session.id}:`, error);
+    }
+  }
+}
+
+/**
+ * A move date typed by the customer, as DD-MM-YYYY (or with / or .) or YYYY-MM-DD
+ * @param {string} text - Reply text
+ * @returns {Date|null} - The date, or null if it isn't a date from today on
+ */
+export function parseMoveDate(text) {
+  const value = String(text || '').trim();
+  const match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(value) || /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day] = match[3].length === 4
+    ? [match[3], match[2], match[1]]
+    : [match[1], match[2], match[3]];
+  const isoDate = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const date = new Date(isoDate);
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== isoDate) {
+    return null;
+  }
+
+  const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+  return isoDate >= today ? date : null;
+}
+
+function describeOptions(flowName) {
+  const { options } = WHATSAPP_FLOWS[flowName];
+  return options.map((option, index) => `${index + 1} to ${option.title.toLowerCase()}`).join(' or ');
+}
+
+function orderLink(order) {
+  return process.env.NEXTAUTH_URL
+    ? ` at ${process.env.NEXTAUTH_URL.replace(/\/$/, '')}/order/${order.orderId}`
+    : ' in the app';
+}
+
+export const whatsappConversationService = new WhatsAppConversationService();
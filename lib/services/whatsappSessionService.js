@@ -0,0 +1,279 @@
+/**
+ * WhatsApp Session Service
+ *
+ * Some WhatsApp notifications ask the customer something: whether to accept a quote, whether
+ * their move date is still right, or whether they need their delivery OTP again. Sending one
+ * opens a session that records which order (and quote) the question is about, so that the
+ * customer's reply is applied to it (see whatsappConversationService).
+ *
+ * The options are WhatsApp reply buttons when the flow has a Twilio Content template, in the
+ * `notification.whatsappQuoteContentSid`, `whatsappMoveDateContentSid` and
+ * `whatsappOtpContentSid` settings. Create the template in Twilio with the whole message as
+ * variable {{1}} and quick reply buttons whose IDs are the flow's option IDs below. Without
+ * one, and in the local mailbox, the message lists the options for the customer to reply
+ * with by number.
+ *
+ * A reply is tied to the question it answers when WhatsApp says which message that was
+ * (tapping a button, or quoting the message), otherwise to the customer's only open session.
+ * With several open, the customer is asked to reply to the message they mean. Sessions
+ * expire after 48 hours, and a new question about the same thing replaces the old one.
+ */
+
+import { settingsStorage } from '../storage';
+
+export const WHATSAPP_FLOWS = {
+  quote_acceptance: {
+    contentSidSetting: 'notification.whatsappQuoteContentSid',
+    options: [
+      { id: 'accept_quote', title: 'Accept quote' },
+      { id: 'view_quotes', title: 'See all quotes' }
+    ]
+  },
+  move_date_confirmation: {
+    contentSidSetting: 'notification.whatsappMoveDateContentSid',
+    prompt: ({ moveDate }) => `Your move is planned for ${formatMoveDate(moveDate)}. Is that date still right?`,
+    options: [
+      { id: 'confirm_date', title: 'Confirm date' },
+      { id: 'change_date', title: 'Change date' }
+    ]
+  },
+  delivery_otp: {
+    contentSidSetting: 'notification.whatsappOtpContentSid',
+    options: [
+      { id: 'share_otp', title: 'Send OTP again' }
+    ]
+  }
+};
+
+const SESSION_TTL_MS = 48 * 60 * 60 * 1000;
+
+// Numbers are compared on their last ten digits, so +91 98765 43210 matches 9876543210
+const PHONE_MATCH_DIGITS = 10;
+
+/**
+ * A phone number as digits only, without Twilio's whatsapp: prefix
+ * @param {string} phone - Phone number
+ * @returns {string}
+ */
+export function normalizePhone(phone) {
+  return String(phone || '').replace(/^whatsapp:/, '').replace(/\D/g, '');
+}
+
+/**
+ * A move date as customers read it, e.g. 25 November 2026
+ * @param {Date|string} date - Move date
+ * @returns {string}
+ */
+export function formatMoveDate(date) {
+  return new Date(date).toLocaleDateString('en-IN', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'Asia/Kolkata'
+  });
+}
+
+class WhatsAppSessionService {
+  /**
+   * Add a flow's question and reply options to a WhatsApp message
+   * @param {Object} payload - { to, body }
+   * @param {string} flowName - Flow, e.g. quote_acceptance
+   * @param {Object} context - Flow context, e.g. { moveDate }
+   * @returns {Promise<Object>} - { to, body, options, contentSid, contentVariables }
+   */
+  async addReplyOptions(payload, flowName, context = {}) {
+    const flow = this._getFlow(flowName);
+    const text = flow.prompt ? `${payload.body}\n\n${flow.prompt(context)}` : payload.body;
+    const contentSid = await settingsStorage.get(flow.contentSidSetting);
+
+    return {
+      ...payload,
+      body: `${text}\n\nReply with:\n${flow.options.map((option, index) => `${index + 1}. ${option.title}`).join('\n')}`,
+      options: flow.options,
+      ...(contentSid && {
+        contentSid,
+        contentVariables: { 1: text }
+      })
+    };
+  }
+
+  /**
+   * Open a session for a question sent on WhatsApp. Open sessions asking the same thing
+   * are expired, so only the latest question is answered.
+   * @param {Object} session - { userId, phone, flow, orderId, context, notificationMessageId }
+   * @returns {Promise<Object>} - Session
+   */
+  async openSession({ userId, phone, flow, orderId, context, notificationMessageId }) {
+    const prisma = require('../prisma');
+    this._getFlow(flow);
+    const contextJson = context ? JSON.stringify(context) : null;
+
+    await prisma.whatsAppSession.updateMany({
+      where: { userId, flow, orderId: orderId || null, context: contextJson, status: 'open' },
+      data: { status: 'expired' }
+    });
+
+    const session = await prisma.whatsAppSession.create({
+      data: {
+        userId,
+        orderId: orderId || null,
+        phone: normalizePhone(phone),
+        flow,
+        context: contextJson,
+        notificationMessageId: notificationMessageId || null,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+      }
+    });
+
+    return this._formatSession(session);
+  }
+
+  /**
+   * Find the session a reply belongs to: that of the question replied to, even if it was
+   * already answered or has expired, otherwise the only open one (or the only one waiting
+   * for a typed answer, e.g. a new move date)
+   * @param {string} phone - Number the reply came from
+   * @param {Object} options - { providerMessageId, notificationMessageId } of the message replied to, if known
+   * @returns {Promise<Object|null>} - Session with { isOpen }; { ambiguous: true, sessions } if several
+   *   are open and the reply doesn't say which it answers; or null if nothing is waiting for a reply
+   */
+  async findSession(phone, { providerMessageId, notificationMessageId } = {}) {
+    const prisma = require('../prisma');
+    const digits = normalizePhone(phone).slice(-PHONE_MATCH_DIGITS);
+    if (!digits) {
+      return null;
+    }
+
+    const where = {
+      phone: { endsWith: digits },
+      status: 'open',
+      expiresAt: { gt: new Date() }
+    };
+
+    if (providerMessageId || notificationMessageId) {
+      const message = await prisma.notificationMessage.findFirst({
+        where: notificationMessageId ? { id: notificationMessageId } : { channel: 'whatsapp', providerMessageId },
+        select: { id: true, resendOf: true }
+      });
+      const session = message && await prisma.whatsAppSession.findFirst({
+        where: { phone: where.phone, notificationMessageId: { in: [message.id, message.resendOf].filter(Boolean) } },
+        orderBy: { createdAt: 'desc' }
+      });
+      // A reply to an answered or expired question isn't applied to another one
+      if (session) {
+        return this._formatSession(session);
+      }
+    }
+
+    const open = await prisma.whatsAppSession.findMany({
+      where,
+      orderBy: { updatedAt: 'desc' }
+    });
+    const awaiting = open.filter(session => session.awaiting);
+    const candidates = awaiting.length > 0 ? awaiting : open;
+    if (candidates.length === 0) {
+      return null;
+    }
+    if (candidates.length > 1) {
+      // Guessing could act on the wrong order
+      return { ambiguous: true, sessions: candidates.map(session => this._formatSession(session)) };
+    }
+    return this._formatSession(candidates[0]);
+  }
+
+  /**
+   * The option a reply chose: the button tapped, or the option's number or title typed
+   * @param {Object} session - Session
+   * @param {Object} reply - { buttonId, text }
+   * @returns {Object|null} - { id, title }, or null if the reply isn't one of the options
+   */
+  matchOption(session, { buttonId, text }) {
+    const { options } = this._getFlow(session.flow);
+    if (buttonId) {
+      const option = options.find(candidate => candidate.id === buttonId);
+      if (option) return option;
+    }
+
+    const answer = String(text || '').trim().toLowerCase();
+    if (!answer) {
+      return null;
+    }
+    if (/^\d+$/.test(answer)) {
+      return options[parseInt(answer, 10) - 1] || null;
+    }
+    return options.find(option => option.title.toLowerCase() === answer) || null;
+  }
+
+  /**
+   * Ask for a typed answer in the session, e.g. a new move date
+   * @param {string} sessionId - Session ID
+   * @param {string} awaiting - What the answer is, e.g. move_date
+   * @returns {Promise<Object>} - Session
+   */
+  async awaitAnswer(sessionId, awaiting) {
+    const prisma = require('../prisma');
+    const session = await prisma.whatsAppSession.update({
+      where: { id: sessionId },
+      data: { awaiting }
+    });
+    return this._formatSession(session);
+  }
+
+  /**
+   * Claim an open session to act on the customer's answer, so a double tap only acts once
+   * @param {string} sessionId - Session ID
+   * @param {string} response - Option chosen
+   * @returns {Promise<boolean>} - False if the session was already answered or has expired
+   */
+  async claim(sessionId, response) {
+    const prisma = require('../prisma');
+    const { count } = await prisma.whatsAppSession.updateMany({
+      where: { id: sessionId, status: 'open' },
+      data: { status: 'completed', response, awaiting: null, completedAt: new Date() }
+    });
+    return count === 1;
+  }
+
+  /**
+   * Reopen a claimed session after acting on it failed, so the customer can try again
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async release(sessionId) {
+    const prisma = require('../prisma');
+    await prisma.whatsAppSession.updateMany({
+      where: { id: sessionId, status: 'completed' },
+      data: { status: 'open', response: null, completedAt: null }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _getFlow(flowName) {
+    const flow = WHATSAPP_FLOWS[flowName];
+    if (!flow) {
+      throw new Error(`Unknown WhatsApp flow "${flowName}"`);
+    }
+    return flow;
+  }
+
+  /**
+   * @private
+   */
+  _formatSession(session) {
+    let context = {};
+    try {
+      context = session.context ? JSON.parse(session.context) : {};
+    } catch (error) {
+      console.error(`Error parsing context of WhatsApp session ${session.id}:`, error);
+    }
+    return {
+      ...session,
+      context,
+      isOpen: session.status === 'open' && new Date(session.expiresAt) > new Date()
+    };
+  }
+}
+
+export const whatsappSessionService = new WhatsAppSessionService();
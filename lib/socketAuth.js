@@ -0,0 +1,106 @@
+/**
+ * Socket Auth Utility
+ *
+ * Issues and verifies the short-lived tokens used to open a WebSocket connection,
+ * and the shared secret used by the app server to publish events to the socket server.
+ * This module is shared by the Next.js API routes and the standalone socket server.
+ *
+ * There is no default secret: without SOCKET_TOKEN_SECRET or NEXTAUTH_SECRET, tokens
+ * can't be issued, the socket server won't start and publishes are refused.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Tokens only need to live long enough to open a connection; reconnects fetch a new one
+const SOCKET_TOKEN_TTL_SECONDS = 5 * 60;
+
+function getSocketSecret() {
+  const secret = process.env.SOCKET_TOKEN_SECRET || process.env.NEXTAUTH_SECRET;
+  if (!secret) {
+    throw new Error('SOCKET_TOKEN_SECRET or NEXTAUTH_SECRET must be set');
+  }
+  return secret;
+}
+
+function getPublishSecret() {
+  return process.env.SOCKET_PUBLISH_SECRET || getSocketSecret();
+}
+
+/**
+ * Get the private channel ID for a user
+ * @param {string} userId - User ID
+ * @returns {string} - Channel ID
+ */
+function getUserChannel(userId) {
+  return `user-${userId}`;
+}
+
+/**
+ * Create a signed socket token for a user
+ * @param {Object} user - Session user with id and role
+ * @returns {Object} - Token, channel ID and expiry
+ */
+function createSocketToken(user) {
+  if (!user || !user.id) {
+    throw new Error('User ID is required to create a socket token');
+  }
+
+  const channelId = getUserChannel(user.id);
+  const token = jwt.sign(
+    {
+      sub: user.id,
+      role: user.role || 'customer',
+      channels: [channelId]
+    },
+    getSocketSecret(),
+    { expiresIn: SOCKET_TOKEN_TTL_SECONDS }
+  );
+
+  return {
+    token,
+    channelId,
+    expiresAt: new Date(Date.now() + SOCKET_TOKEN_TTL_SECONDS * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a socket token
+ * @param {string} token - Socket token
+ * @returns {Object|null} - Token payload or null if invalid or expired
+ */
+function verifySocketToken(token) {
+  if (!token) return null;
+
+  try {
+    return jwt.verify(token, getSocketSecret());
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check the bearer secret sent with a publish request
+ * @param {string} authorizationHeader - Value of the Authorization header
+ * @returns {boolean} - Whether the secret matches
+ */
+function verifyPublishSecret(authorizationHeader) {
+  if (!authorizationHeader || !authorizationHeader.startsWith('Bearer ')) {
+    return false;
+  }
+
+  // Constant time, so the secret can't be guessed from how long a mismatch takes
+  const provided = Buffer.from(authorizationHeader.slice('Bearer '.length));
+  const expected = Buffer.from(getPublishSecret());
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+  SOCKET_TOKEN_TTL_SECONDS,
+  getSocketSecret,
+  getPublishSecret,
+  getUserChannel,
+  createSocketToken,
+  verifySocketToken,
+  verifyPublishSecret
+};
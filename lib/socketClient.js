@@ -1,9 +1,10 @@
 /**
  * Socket Client Utility
  * 
- * This utility provides a wrapper around WebSocket connections for real-time updates.
- * In a production environment, you would use a WebSocket library like Socket.io client
- * or a service like Pusher for real-time communication.
+ * This utility wraps the browser WebSocket connection to the socket server
+ * (scripts/socket-server.js). Connection tokens are short-lived, so every reconnect
+ * fetches fresh connection details from /api/socket and resubscribes to the
+ * channels the client had joined.
  */
 
 class SocketClient {
@@ -12,6 +13,10 @@ class SocketClient {
     this.isConnected = false;
     this.eventHandlers = {};
     this.connectionDetails = null;
+    this.channels = new Set();
+    this.connectPromise = null;
+    this.manuallyDisconnected = false;
+    this.reconnectTimer = null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 2000; // Start with 2 seconds
@@ -37,6 +42,7 @@ class SocketClient {
 
       const data = await response.json();
       this.connectionDetails = data.socketDetails;
+      this.channels.add(this.connectionDetails.channelId);
 
       return true;
     } catch (error) {
@@ -45,12 +51,50 @@ class SocketClient {
     }
   }
 
+  /**
+   * Check whether the cached connection token has expired
+   * @returns {boolean} - Whether a new token is needed
+   */
+  hasExpiredToken() {
+    if (!this.connectionDetails?.expiresAt) {
+      return true;
+    }
+    return new Date(this.connectionDetails.expiresAt).getTime() <= Date.now();
+  }
+
   /**
    * Connect to the WebSocket server
    * @returns {Promise<boolean>} - Whether the connection was successful
    */
   async connect() {
-    if (!this.connectionDetails) {
+    if (typeof window === 'undefined' || typeof WebSocket === 'undefined') {
+      return false;
+    }
+
+    if (this.isConnected) {
+      return true;
+    }
+
+    // Share a single in-flight connection attempt between callers
+    if (this.connectPromise) {
+      return this.connectPromise;
+    }
+
+    this.manuallyDisconnected = false;
+    this.connectPromise = this.openConnection().finally(() => {
+      this.connectPromise = null;
+    });
+
+    return this.connectPromise;
+  }
+
+  /**
+   * Open the WebSocket and wire up its event listeners
+   * @private
+   * @returns {Promise<boolean>} - Whether the connection was successful
+   */
+  async openConnection() {
+    if (!this.connectionDetails || this.hasExpiredToken()) {
       const initialized = await this.initialize();
       if (!initialized) {
         return false;
@@ -59,36 +103,45 @@ class SocketClient {
 
     return new Promise((resolve) => {
       try {
-        // In a real implementation, you would connect to the WebSocket server
-        // For now, we'll simulate a successful connection
-        this.isConnected = true;
-        console.log('Socket connected successfully');
-        resolve(true);
-
-        // In a real implementation, you would set up event listeners:
-        /*
-        this.socket = new WebSocket(this.connectionDetails.endpoint);
+        const { endpoint, authToken } = this.connectionDetails;
+        const socket = new WebSocket(`${endpoint}?token=${encodeURIComponent(authToken)}`);
+        this.socket = socket;
         
-        this.socket.onopen = () => {
+        socket.onopen = () => {
           this.isConnected = true;
           this.reconnectAttempts = 0;
+          this.resubscribe();
           console.log('Socket connected successfully');
           resolve(true);
         };
         
-        this.socket.onclose = () => {
+        socket.onclose = (event) => {
+          const wasConnected = this.isConnected;
           this.isConnected = false;
-          console.log('Socket connection closed');
-          this.attemptReconnect();
+          this.socket = null;
+
+          // The server rejected our token, fetch a new one on the next attempt
+          if (event.code === 4001) {
+            this.connectionDetails = null;
+          }
+
+          if (wasConnected) {
+            this.handleMessage({ event: 'disconnected', data: { code: event.code } });
+          } else {
+            resolve(false);
+          }
+
+          if (!this.manuallyDisconnected) {
+            console.log('Socket connection closed');
+            this.attemptReconnect();
+          }
         };
         
-        this.socket.onerror = (error) => {
+        socket.onerror = (error) => {
           console.error('Socket error:', error);
-          this.isConnected = false;
-          resolve(false);
         };
         
-        this.socket.onmessage = (event) => {
+        socket.onmessage = (event) => {
           try {
             const message = JSON.parse(event.data);
             this.handleMessage(message);
@@ -96,7 +149,6 @@ class SocketClient {
             console.error('Error parsing socket message:', error);
           }
         };
-        */
       } catch (error) {
         console.error('Error connecting to socket:', error);
         this.isConnected = false;
@@ -109,6 +161,10 @@ class SocketClient {
    * Attempt to reconnect to the WebSocket server
    */
   attemptReconnect() {
+    if (this.reconnectTimer) {
+      return;
+    }
+
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       console.error('Maximum reconnect attempts reached');
       return;
@@ -119,7 +175,8 @@ class SocketClient {
     
     console.log(`Attempting to reconnect in ${delay}ms (attempt ${this.reconnectAttempts})`);
     
-    setTimeout(() => {
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
       this.connect();
     }, delay);
   }
@@ -128,14 +185,63 @@ class SocketClient {
    * Disconnect from the WebSocket server
    */
   disconnect() {
-    if (this.socket && this.isConnected) {
-      // In a real implementation, you would close the WebSocket connection
-      // this.socket.close();
+    this.manuallyDisconnected = true;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.socket) {
+      this.socket.close(1000, 'Client disconnected');
+      this.socket = null;
       this.isConnected = false;
       console.log('Socket disconnected');
     }
   }
 
+  /**
+   * Send a control message to the server
+   * @private
+   * @param {Object} message - The message to send
+   */
+  send(message) {
+    if (this.socket && this.isConnected) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Join a channel; the subscription is restored after every reconnect
+   * @param {string} channelId - The channel to join
+   */
+  joinChannel(channelId) {
+    if (!channelId) {
+      return;
+    }
+    this.channels.add(channelId);
+    this.send({ type: 'subscribe', channelId });
+  }
+
+  /**
+   * Leave a channel
+   * @param {string} channelId - The channel to leave
+   */
+  leaveChannel(channelId) {
+    this.channels.delete(channelId);
+    this.send({ type: 'unsubscribe', channelId });
+  }
+
+  /**
+   * Resubscribe to every channel joined before the connection dropped
+   * @private
+   */
+  resubscribe() {
+    this.channels.forEach((channelId) => {
+      this.send({ type: 'subscribe', channelId });
+    });
+  }
+
   /**
    * Subscribe to an event
    * @param {string} event - The event to subscribe to
@@ -191,7 +297,7 @@ class SocketClient {
    */
   async publish(channelId, event, data) {
     try {
-      const response = await fetch('/api/socket/publish', {
+      const response = await fetch('/api/socket', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -218,4 +324,4 @@ class SocketClient {
 // Create a singleton instance
 const socketClient = new SocketClient();
 
-export default socketClient; 
\ No newline at end of file
+export default socketClient; 
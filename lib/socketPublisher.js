@@ -0,0 +1,61 @@
+/**
+ * Socket Publisher
+ *
+ * Server-side helper for pushing events to connected clients through the socket server
+ * (see scripts/socket-server.js). Publishing is best-effort: failures are logged and
+ * never interrupt the request that triggered them.
+ */
+
+import { getPublishSecret, getUserChannel } from './socketAuth';
+
+const SOCKET_SERVER_URL = process.env.SOCKET_SERVER_URL || 'http://localhost:3001';
+const PUBLISH_TIMEOUT_MS = 2000;
+
+/**
+ * Publish an event to a channel
+ * @param {string} channelId - The channel to publish to
+ * @param {string} event - The event type
+ * @param {Object} data - The event payload
+ * @returns {Promise<boolean>} - Whether the socket server accepted the event
+ */
+export async function publishToChannel(channelId, event, data = {}) {
+  if (!channelId || !event) {
+    return false;
+  }
+
+  try {
+    const response = await fetch(`${SOCKET_SERVER_URL}/publish`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${getPublishSecret()}`
+      },
+      body: JSON.stringify({ channelId, event, data }),
+      signal: AbortSignal.timeout(PUBLISH_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Socket server responded with status ${response.status}`);
+    }
+
+    return true;
+  } catch (error) {
+    console.error(`Error publishing ${event} to ${channelId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Publish an event to a user's private channel
+ * @param {string} userId - User ID
+ * @param {string} event - The event type
+ * @param {Object} data - The event payload
+ * @returns {Promise<boolean>} - Whether the socket server accepted the event
+ */
+export async function publishToUser(userId, event, data = {}) {
+  if (!userId) {
+    return false;
+  }
+
+  return publishToChannel(getUserChannel(userId), event, data);
+}
@@ -156,6 +156,7 @@ const vendorStorage = {
         isVerified: vendorData.isVerified || false,
         rating: vendorData.rating || 0,
         totalRatings: vendorData.totalRatings || 0,
+        gstin: vendorData.gstin || null,
         createdAt: vendorData.createdAt || new Date(),
         updatedAt: vendorData.updatedAt || new Date()
       },
@@ -407,6 +408,7 @@ const orderStorage = {
       destinationPincode: order.destinationPincode,
       packageDetails: order.moveSize,
       moveDate: order.moveDate,
+      moveDateConfirmedAt: order.moveDateConfirmedAt,
       specialInstructions: order.specialInstructions,
       amount: order.totalAmount,
       paidAmount: order.paidAmount,
@@ -491,6 +493,10 @@ const orderStorage = {
         pickupPincode: orderData.pickupPincode,
         destinationAddress: orderData.destinationAddress,
         destinationPincode: orderData.destinationPincode,
+        pickupLat: orderData.pickupLat ?? null,
+        pickupLon: orderData.pickupLon ?? null,
+        destinationLat: orderData.destinationLat ?? null,
+        destinationLon: orderData.destinationLon ?? null,
         moveSize: orderData.packageDetails || orderData.moveSize || null,
         moveDate: orderData.moveDate ? new Date(orderData.moveDate) : null,
         specialInstructions: orderData.specialInstructions || null,
@@ -525,6 +531,7 @@ const orderStorage = {
         riderId: orderData.riderId,
         status: orderData.status,
         moveDate: orderData.moveDate ? new Date(orderData.moveDate) : undefined,
+        moveDateConfirmedAt: orderData.moveDateConfirmedAt,
         specialInstructions: orderData.specialInstructions,
         totalAmount: orderData.amount || orderData.totalAmount,
         paidAmount: orderData.paidAmount,
@@ -761,24 +768,35 @@ const settingsStorage = {
 };
 
 // Notification template operations
+const formatNotificationTemplate = (template) => {
+  const parsedTemplate = parseJsonFields(template, ['variables']);
+  return {
+    id: template.id,
+    name: template.name,
+    type: template.type,
+    language: template.language,
+    subject: template.subject,
+    content: template.content,
+    variables: parsedTemplate.variables || [],
+    description: template.description,
+    createdAt: template.createdAt,
+    updatedAt: template.updatedAt
+  };
+};
+
 const notificationTemplateStorage = {
-  async getAll() {
-    const templates = await prisma.notificationTemplate.findMany();
-    
-    return templates.map(template => {
-      const parsedTemplate = parseJsonFields(template, ['variables']);
-      return {
-        id: template.id,
-        name: template.name,
-        type: template.type,
-        subject: template.subject,
-        content: template.content,
-        variables: parsedTemplate.variables || [],
-        description: null,
-        createdAt: template.createdAt,
-        updatedAt: template.updatedAt
-      };
+  async getAll(filters = {}) {
+    const where = {};
+    if (filters.name) where.name = filters.name;
+    if (filters.type) where.type = filters.type;
+    if (filters.language) where.language = filters.language;
+
+    const templates = await prisma.notificationTemplate.findMany({
+      where,
+      orderBy: [{ name: 'asc' }, { type: 'asc' }, { language: 'asc' }]
     });
+    
+    return templates.map(formatNotificationTemplate);
   },
   
   async getById(id) {
@@ -786,41 +804,19 @@ const notificationTemplateStorage = {
       where: { id }
     });
     
-    if (!template) return null;
-    
-    const parsedTemplate = parseJsonFields(template, ['variables']);
-    return {
-      id: template.id,
-      name: template.name,
-      type: template.type,
-      subject: template.subject,
-      content: template.content,
-      variables: parsedTemplate.variables || [],
-      description: null,
-      createdAt: template.createdAt,
-      updatedAt: template.updatedAt
-    };
+    return template ? formatNotificationTemplate(template) : null;
   },
   
-  async getByName(name) {
+  async getByName(name, type, language = 'en') {
     const template = await prisma.notificationTemplate.findUnique({
-      where: { name }
+      where: { name_type_language: { name, type, language } }
     });
     
-    if (!template) return null;
-    
-    const parsedTemplate = parseJsonFields(template, ['variables']);
-    return {
-      id: template.id,
-      name: template.name,
-      type: template.type,
-      subject: template.subject,
-      content: template.content,
-      variables: parsedTemplate.variables || [],
-      description: null,
-      createdAt: template.createdAt,
-      updatedAt: template.updatedAt
-    };
+    return template ? formatNotificationTemplate(template) : null;
+  },
+  
+  async count() {
+    return await prisma.notificationTemplate.count();
   },
   
   async create(templateData) {
@@ -829,18 +825,21 @@ const notificationTemplateStorage = {
       ? JSON.stringify(templateData.variables) 
       : JSON.stringify([]);
     
-    return await prisma.notificationTemplate.create({
+    const template = await prisma.notificationTemplate.create({
       data: {
         id: templateData.id || uuidv4(),
         name: templateData.name,
         type: templateData.type,
+        language: templateData.language || 'en',
         subject: templateData.subject || null,
         content: templateData.content,
         variables,
+        description: templateData.description || null,
         createdAt: templateData.createdAt || new Date(),
         updatedAt: templateData.updatedAt || new Date()
       }
     });
+    return formatNotificationTemplate(template);
   },
   
   async update(id, templateData) {
@@ -849,17 +848,20 @@ const notificationTemplateStorage = {
       templateData.variables = JSON.stringify(templateData.variables);
     }
     
-    return await prisma.notificationTemplate.update({
+    const template = await prisma.notificationTemplate.update({
       where: { id },
       data: {
         name: templateData.name,
         type: templateData.type,
+        language: templateData.language,
         subject: templateData.subject,
         content: templateData.content,
         variables: templateData.variables,
+        description: templateData.description,
         updatedAt: new Date()
       }
     });
+    return formatNotificationTemplate(template);
   },
   
   async delete(id) {
@@ -1078,7 +1080,10 @@ const paymentStorage = {
         orderId: paymentData.orderId,
         amount: paymentData.amount,
         paymentMethod: paymentData.paymentMethod,
-        transactionId: paymentData.transactionId || null,
+        paymentGateway: paymentData.paymentGateway || undefined,
+        gatewayPaymentId: paymentData.gatewayPaymentId || paymentData.transactionId || null,
+        gatewayOrderId: paymentData.gatewayOrderId || null,
+        installmentId: paymentData.installmentId || null,
         status: paymentData.status || 'pending',
         createdAt: paymentData.createdAt || new Date(),
         updatedAt: paymentData.updatedAt || new Date()
@@ -1095,7 +1100,7 @@ const paymentStorage = {
       data: {
         amount: paymentData.amount,
         paymentMethod: paymentData.paymentMethod,
-        transactionId: paymentData.transactionId,
+        gatewayPaymentId: paymentData.gatewayPaymentId || paymentData.transactionId,
         status: paymentData.status,
         updatedAt: new Date()
       },
@@ -0,0 +1,250 @@
+/**
+ * Template Engine
+ *
+ * The small template language notification templates are written in:
+ *
+ *   {{name}}                              A variable, formatted for its type and the language
+ *   {{#if name}} ... {{else}} ... {{/if}} Shown when the variable is set (not empty, zero, false
+ *                                         or an empty list); {{else}} is optional
+ *   {{#unless name}} ... {{/unless}}      The opposite of #if
+ *   {{#each list}} ... {{/each}}          Repeated for each item of a list variable. Inside, {{field}}
+ *                                         is a field of the item and {{@number}} its position from 1
+ *
+ * Variables are typed (see VARIABLE_TYPES) and a template may only use the variables it's
+ * given, which `validateTemplate` checks before a template is saved.
+ *
+ * This module has no server dependencies so client components can use it too.
+ */
+
+export const VARIABLE_TYPES = ['string', 'number', 'currency', 'date', 'boolean', 'list'];
+
+const TAG_PATTERN = /\{\{\s*(.*?)\s*\}\}/g;
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const BLOCKS = ['if', 'unless', 'each'];
+
+/**
+ * Parse a template into a tree of text, variable and block nodes
+ * @param {string} source - Template text
+ * @returns {Array} - Nodes
+ * @throws {Error} - If a tag is malformed or a block isn't closed
+ */
+export function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let lastIndex = 0;
+
+  // Nodes go to the open block's else branch once it has reached {{else}}
+  const branch = node => node.otherwise || node.children;
+
+  for (const match of String(source || '').matchAll(TAG_PATTERN)) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      branch(current).push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const tag = match[1];
+    const [keyword, name, ...rest] = tag.split(/\s+/);
+
+    if (keyword.startsWith('#')) {
+      const block = keyword.slice(1);
+      if (!BLOCKS.includes(block) || !name || !NAME_PATTERN.test(name) || rest.length > 0) {
+        throw new Error(`Unknown tag "{{${tag}}}"`);
+      }
+      const node = { type: block, name, children: [], otherwise: null };
+      branch(current).push(node);
+      stack.push(node);
+    } else if (keyword === 'else' && !name) {
+      if (!['if', 'unless'].includes(current.type) || current.otherwise) {
+        throw new Error('Unexpected "{{else}}"');
+      }
+      current.otherwise = [];
+    } else if (keyword.startsWith('/')) {
+      if (current.type !== keyword.slice(1) || name) {
+        throw new Error(`Unexpected "{{${tag}}}"`);
+      }
+      stack.pop();
+    } else if (!name && (keyword === '@number' || NAME_PATTERN.test(keyword))) {
+      branch(current).push({ type: 'variable', name: keyword });
+    } else {
+      throw new Error(`Unknown tag "{{${tag}}}"`);
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new Error(`"{{#${open.type} ${open.name}}}" is never closed`);
+  }
+  if (lastIndex < String(source || '').length) {
+    root.children.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+/**
+ * Check a template against the variables it may use
+ * @param {string} source - Template text
+ * @param {Array} variables - Variable definitions ({ name, type, items })
+ * @returns {Array<string>} - Problems found; empty if the template is valid
+ */
+export function validateTemplate(source, variables) {
+  let nodes;
+  try {
+    nodes = parseTemplate(source);
+  } catch (error) {
+    return [error.message];
+  }
+
+  const errors = [];
+  const visit = (children, scopes) => {
+    for (const node of children) {
+      if (node.type === 'text') continue;
+
+      if (node.name === '@number') {
+        if (scopes.length === 1) errors.push('"{{@number}}" can only be used inside "{{#each}}"');
+        continue;
+      }
+
+      const variable = findVariable(node.name, scopes);
+      if (!variable) {
+        errors.push(`Unknown variable "${node.name}"`);
+        continue;
+      }
+
+      if (node.type === 'each') {
+        if (variable.type !== 'list') {
+          errors.push(`"${node.name}" is not a list, so it can't be used with "{{#each}}"`);
+          continue;
+        }
+        visit(node.children, [normalizeVariables(variable.items), ...scopes]);
+      } else if (node.type !== 'variable') {
+        visit(node.children, scopes);
+        visit(node.otherwise || [], scopes);
+      }
+    }
+  };
+  visit(nodes, [normalizeVariables(variables)]);
+
+  return [...new Set(errors)];
+}
+
+/**
+ * Render a template
+ * @param {string} source - Template text
+ * @param {Array} variables - Variable definitions ({ name, type, items })
+ * @param {Object} values - Variable values
+ * @param {Object} options - { language }: values are formatted for it
+ * @returns {string} - Rendered text
+ */
+export function renderTemplate(source, variables, values, { language = 'en' } = {}) {
+  const locale = `${language}-IN`;
+
+  const render = (children, scopes) => children.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+
+    if (node.name === '@number') {
+      return String(scopes[0].number || '');
+    }
+
+    const { variable, value } = lookup(node.name, scopes);
+
+    switch (node.type) {
+      case 'each':
+        return (Array.isArray(value) ? value : [])
+          .map((item, index) => render(node.children, [
+            { variables: normalizeVariables(variable?.items), values: item || {}, number: index + 1 },
+            ...scopes
+          ]))
+          .join('');
+      case 'if':
+      case 'unless':
+        return isSet(value) === (node.type === 'if')
+          ? render(node.children, scopes)
+          : render(node.otherwise || [], scopes);
+      default:
+        return formatValue(value, variable?.type, locale);
+    }
+  }).join('');
+
+  return render(parseTemplate(source), [{ variables: normalizeVariables(variables), values: values || {} }]);
+}
+
+/**
+ * Variable definitions in their full form. Plain strings are string variables.
+ * @param {Array} variables - Variable names or definitions
+ * @returns {Array} - [{ name, type, label, items }]
+ */
+export function normalizeVariables(variables) {
+  return (Array.isArray(variables) ? variables : []).map(variable => (
+    typeof variable === 'string'
+      ? { name: variable, type: 'string' }
+      : { ...variable, type: variable.type || 'string' }
+  ));
+}
+
+/**
+ * HTML for a plain-text message: blank lines separate paragraphs
+ * @param {string} text - Rendered text
+ * @returns {string}
+ */
+export function textToHtml(text) {
+  const escaped = String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  return escaped
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+}
+
+function findVariable(name, scopes) {
+  for (const scope of scopes) {
+    const variable = scope.find(v => v.name === name);
+    if (variable) return variable;
+  }
+  return null;
+}
+
+// The innermost loop item with the name wins, then the template's own variables
+function lookup(name, scopes) {
+  for (const scope of scopes) {
+    const variable = scope.variables.find(v => v.name === name);
+    if (variable || Object.prototype.hasOwnProperty.call(scope.values, name)) {
+      return { variable, value: scope.values[name] };
+    }
+  }
+  return { variable: null, value: undefined };
+}
+
+function isSet(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function formatValue(value, type, locale) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  switch (type) {
+    case 'currency':
+      return `₹${Number(value || 0).toLocaleString(locale, { maximumFractionDigits: 2 })}`;
+    case 'number':
+      return Number(value).toLocaleString(locale);
+    case 'date': {
+      const date = new Date(value);
+      return isNaN(date.getTime())
+        ? ''
+        : date.toLocaleDateString(locale, { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' });
+    }
+    case 'list':
+      return Array.isArray(value) ? String(value.length) : '';
+    default:
+      return String(value);
+  }
+}
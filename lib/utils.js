@@ -58,6 +58,16 @@ export function formatTime(dateString) {
   }
 }
 
+/**
+ * Check that a GSTIN is well formed: a 2-digit state code, the PAN, an entity number,
+ * Z and a check character
+ * @param {string} gstin - GSTIN, in capitals
+ * @returns {boolean} Whether it is well formed
+ */
+export function isValidGstin(gstin) {
+  return /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(gstin || '');
+}
+
 /**
  * Format a number as currency (INR)
  * @param {number} amount - Amount to format
@@ -129,4 +139,31 @@ export function getStatusBadgeVariant(status) {
     default:
       return 'secondary';
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Scale a camera photo down to a JPEG data URL small enough to upload
+ * @param {File} file - Selected image file
+ * @param {number} maxDimension - Longest side of the result in pixels
+ * @returns {Promise<string>} JPEG data URL
+ */
+export function resizePhoto(file, maxDimension = 1280) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve(canvas.toDataURL('image/jpeg', 0.8));
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Could not read ${file.name}`));
+    };
+    image.src = url;
+  });
+}
@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "DistanceCache" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "fromPincode" TEXT NOT NULL,
+    "toPincode" TEXT NOT NULL,
+    "distance" REAL NOT NULL,
+    "duration" INTEGER NOT NULL,
+    "roadQuality" TEXT,
+    "provider" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DistanceCache_fromPincode_toPincode_key" ON "DistanceCache"("fromPincode", "toPincode");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "DispatchOffer" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "orderId" TEXT NOT NULL,
+    "riderId" TEXT NOT NULL,
+    "batchNumber" INTEGER NOT NULL,
+    "score" REAL NOT NULL,
+    "distance" REAL,
+    "status" TEXT NOT NULL DEFAULT 'offered',
+    "responseReason" TEXT,
+    "offeredAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL,
+    "respondedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "DispatchOffer_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "DispatchOffer_riderId_fkey" FOREIGN KEY ("riderId") REFERENCES "Rider" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "DispatchOffer_orderId_status_idx" ON "DispatchOffer"("orderId", "status");
+
+-- CreateIndex
+CREATE INDEX "DispatchOffer_riderId_status_idx" ON "DispatchOffer"("riderId", "status");
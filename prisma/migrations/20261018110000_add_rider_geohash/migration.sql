@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Rider" ADD COLUMN "geohash" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Rider_geohash_idx" ON "Rider"("geohash");
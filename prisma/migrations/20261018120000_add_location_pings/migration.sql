@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "LocationPing" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "orderId" TEXT NOT NULL,
+    "riderId" TEXT NOT NULL,
+    "lat" REAL NOT NULL,
+    "lon" REAL NOT NULL,
+    "accuracy" REAL,
+    "heading" REAL,
+    "speed" REAL,
+    "geofenceEvent" TEXT,
+    "recordedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "LocationPing_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "LocationPing_riderId_fkey" FOREIGN KEY ("riderId") REFERENCES "Rider" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "LocationPing_orderId_recordedAt_idx" ON "LocationPing"("orderId", "recordedAt");
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "DeliveryProof" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "orderId" TEXT NOT NULL,
+    "otpHash" TEXT,
+    "otpExpiresAt" DATETIME,
+    "otpAttempts" INTEGER NOT NULL DEFAULT 0,
+    "otpVerifiedAt" DATETIME,
+    "recipientName" TEXT,
+    "signature" TEXT,
+    "photos" TEXT,
+    "overrideBy" TEXT,
+    "overrideReason" TEXT,
+    "overriddenAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "DeliveryProof_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DeliveryProof_orderId_key" ON "DeliveryProof"("orderId");
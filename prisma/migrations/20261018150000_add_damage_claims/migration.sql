@@ -0,0 +1,60 @@
+-- CreateTable
+CREATE TABLE "DamageClaim" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "orderId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "vendorId" TEXT,
+    "type" TEXT NOT NULL DEFAULT 'damage',
+    "description" TEXT NOT NULL,
+    "items" TEXT NOT NULL,
+    "photos" TEXT,
+    "claimedAmount" REAL NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'submitted',
+    "vendorResponse" TEXT,
+    "vendorAcceptedAmount" REAL,
+    "vendorRespondedAt" DATETIME,
+    "approvedAmount" REAL,
+    "resolution" TEXT,
+    "adjudicatedBy" TEXT,
+    "adjudicationNotes" TEXT,
+    "adjudicatedAt" DATETIME,
+    "refundId" TEXT,
+    "settledAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "DamageClaim_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "DamageClaim_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "DamageClaim_vendorId_fkey" FOREIGN KEY ("vendorId") REFERENCES "Vendor" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "VendorAdjustment" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "vendorId" TEXT NOT NULL,
+    "orderId" TEXT,
+    "claimId" TEXT,
+    "amount" REAL NOT NULL,
+    "reason" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "createdBy" TEXT,
+    "appliedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "VendorAdjustment_vendorId_fkey" FOREIGN KEY ("vendorId") REFERENCES "Vendor" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "VendorAdjustment_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "VendorAdjustment_claimId_fkey" FOREIGN KEY ("claimId") REFERENCES "DamageClaim" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "DamageClaim_orderId_idx" ON "DamageClaim"("orderId");
+
+-- CreateIndex
+CREATE INDEX "DamageClaim_vendorId_status_idx" ON "DamageClaim"("vendorId", "status");
+
+-- CreateIndex
+CREATE INDEX "DamageClaim_status_idx" ON "DamageClaim"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VendorAdjustment_claimId_key" ON "VendorAdjustment"("claimId");
+
+-- CreateIndex
+CREATE INDEX "VendorAdjustment_vendorId_status_idx" ON "VendorAdjustment"("vendorId", "status");
@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN "lastReconciledAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "PaymentWebhookEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "eventId" TEXT NOT NULL,
+    "eventType" TEXT NOT NULL,
+    "payload" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'processing',
+    "error" TEXT,
+    "receivedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" DATETIME
+);
+
+-- CreateTable
+CREATE TABLE "PaymentMismatch" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "paymentId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "localValue" TEXT,
+    "gatewayValue" TEXT,
+    "details" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "detectedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" DATETIME,
+    "resolvedBy" TEXT,
+    "resolutionNotes" TEXT,
+    CONSTRAINT "PaymentMismatch_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Payment_gatewayOrderId_idx" ON "Payment"("gatewayOrderId");
+
+-- CreateIndex
+CREATE INDEX "Payment_gatewayPaymentId_idx" ON "Payment"("gatewayPaymentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentWebhookEvent_eventId_key" ON "PaymentWebhookEvent"("eventId");
+
+-- CreateIndex
+CREATE INDEX "PaymentWebhookEvent_status_idx" ON "PaymentWebhookEvent"("status");
+
+-- CreateIndex
+CREATE INDEX "PaymentMismatch_status_idx" ON "PaymentMismatch"("status");
+
+-- CreateIndex
+CREATE INDEX "PaymentMismatch_paymentId_type_idx" ON "PaymentMismatch"("paymentId", "type");
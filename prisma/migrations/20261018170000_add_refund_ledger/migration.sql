@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "Refund" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "paymentId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "amount" REAL NOT NULL,
+    "reason" TEXT,
+    "gatewayRefundId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "error" TEXT,
+    "initiatedBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" DATETIME,
+    CONSTRAINT "Refund_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Refund_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Refund_gatewayRefundId_key" ON "Refund"("gatewayRefundId");
+
+-- CreateIndex
+CREATE INDEX "Refund_paymentId_idx" ON "Refund"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "Refund_orderId_idx" ON "Refund"("orderId");
+
+-- Carry refunds recorded before the ledger over as single processed entries
+INSERT INTO "Refund" ("id", "paymentId", "orderId", "amount", "reason", "status", "createdAt", "processedAt")
+SELECT lower(hex(randomblob(16))), "id", "orderId", "refundAmount", "refundReason", 'processed', "updatedAt", "updatedAt"
+FROM "Payment"
+WHERE "refundAmount" > 0;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "PaymentInstallment" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "orderId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "amount" REAL NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "paidAt" DATETIME,
+    "reminderCount" INTEGER NOT NULL DEFAULT 0,
+    "lastRemindedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "PaymentInstallment_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN "installmentId" TEXT REFERENCES "PaymentInstallment" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentInstallment_orderId_type_key" ON "PaymentInstallment"("orderId", "type");
+
+-- CreateIndex
+CREATE INDEX "PaymentInstallment_status_idx" ON "PaymentInstallment"("status");
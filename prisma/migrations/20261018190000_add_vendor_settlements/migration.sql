@@ -0,0 +1,61 @@
+-- AlterTable
+ALTER TABLE "Vendor" ADD COLUMN "tier" TEXT;
+
+-- CreateTable
+CREATE TABLE "VendorSettlement" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "vendorId" TEXT NOT NULL,
+    "periodStart" DATETIME NOT NULL,
+    "periodEnd" DATETIME NOT NULL,
+    "grossAmount" REAL NOT NULL,
+    "refundedAmount" REAL NOT NULL,
+    "commissionAmount" REAL NOT NULL,
+    "discountAmount" REAL NOT NULL,
+    "adjustmentAmount" REAL NOT NULL,
+    "netAmount" REAL NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "payoutReference" TEXT,
+    "paidAt" DATETIME,
+    "paidBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "VendorSettlement_vendorId_fkey" FOREIGN KEY ("vendorId") REFERENCES "Vendor" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "VendorPayout" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "orderId" TEXT NOT NULL,
+    "vendorId" TEXT NOT NULL,
+    "settlementId" TEXT,
+    "commissionRate" REAL NOT NULL,
+    "discountedRate" REAL,
+    "grossAmount" REAL NOT NULL DEFAULT 0,
+    "refundedAmount" REAL NOT NULL DEFAULT 0,
+    "commissionAmount" REAL NOT NULL DEFAULT 0,
+    "discountAmount" REAL NOT NULL DEFAULT 0,
+    "adjustmentAmount" REAL NOT NULL DEFAULT 0,
+    "netAmount" REAL NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'unsettled',
+    "eligibleAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "VendorPayout_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "VendorPayout_vendorId_fkey" FOREIGN KEY ("vendorId") REFERENCES "Vendor" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "VendorPayout_settlementId_fkey" FOREIGN KEY ("settlementId") REFERENCES "VendorSettlement" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- AlterTable
+ALTER TABLE "VendorAdjustment" ADD COLUMN "settlementId" TEXT REFERENCES "VendorSettlement" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VendorPayout_orderId_key" ON "VendorPayout"("orderId");
+
+-- CreateIndex
+CREATE INDEX "VendorPayout_vendorId_status_idx" ON "VendorPayout"("vendorId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VendorSettlement_vendorId_periodEnd_key" ON "VendorSettlement"("vendorId", "periodEnd");
+
+-- CreateIndex
+CREATE INDEX "VendorSettlement_status_idx" ON "VendorSettlement"("status");
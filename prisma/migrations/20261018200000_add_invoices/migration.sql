@@ -0,0 +1,60 @@
+-- AlterTable
+ALTER TABLE "Vendor" ADD COLUMN "gstin" TEXT;
+
+-- CreateTable
+CREATE TABLE "Invoice" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "type" TEXT NOT NULL,
+    "number" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "vendorId" TEXT,
+    "paymentId" TEXT,
+    "refundId" TEXT,
+    "originalInvoiceId" TEXT,
+    "supplierName" TEXT NOT NULL,
+    "supplierGstin" TEXT,
+    "supplierAddress" TEXT,
+    "customerName" TEXT NOT NULL,
+    "customerEmail" TEXT NOT NULL,
+    "customerPhone" TEXT,
+    "customerAddress" TEXT NOT NULL,
+    "pickupState" TEXT,
+    "destinationState" TEXT,
+    "description" TEXT NOT NULL,
+    "sacCode" TEXT NOT NULL,
+    "taxableAmount" REAL NOT NULL,
+    "gstRate" REAL NOT NULL,
+    "cgstAmount" REAL NOT NULL DEFAULT 0,
+    "sgstAmount" REAL NOT NULL DEFAULT 0,
+    "igstAmount" REAL NOT NULL DEFAULT 0,
+    "totalAmount" REAL NOT NULL,
+    "reason" TEXT,
+    "issuedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "Invoice_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Invoice_vendorId_fkey" FOREIGN KEY ("vendorId") REFERENCES "Vendor" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Invoice_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Invoice_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "Refund" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "Invoice_originalInvoiceId_fkey" FOREIGN KEY ("originalInvoiceId") REFERENCES "Invoice" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "DocumentSequence" (
+    "key" TEXT NOT NULL PRIMARY KEY,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_number_key" ON "Invoice"("number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_paymentId_key" ON "Invoice"("paymentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_refundId_key" ON "Invoice"("refundId");
+
+-- CreateIndex
+CREATE INDEX "Invoice_orderId_idx" ON "Invoice"("orderId");
+
+-- CreateIndex
+CREATE INDEX "Invoice_vendorId_idx" ON "Invoice"("vendorId");
@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "PromoCode" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "code" TEXT NOT NULL,
+    "description" TEXT,
+    "type" TEXT NOT NULL,
+    "value" REAL NOT NULL,
+    "maxDiscount" REAL,
+    "minOrderAmount" REAL,
+    "firstMoveOnly" BOOLEAN NOT NULL DEFAULT false,
+    "cities" TEXT,
+    "moveSizes" TEXT,
+    "usageLimit" INTEGER,
+    "perUserLimit" INTEGER DEFAULT 1,
+    "stackable" BOOLEAN NOT NULL DEFAULT false,
+    "startsAt" DATETIME,
+    "expiresAt" DATETIME,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "PromoRedemption" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "promoCodeId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "discountAmount" REAL NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'applied',
+    "adjustmentId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "redeemedAt" DATETIME,
+    "releasedAt" DATETIME,
+    CONSTRAINT "PromoRedemption_promoCodeId_fkey" FOREIGN KEY ("promoCodeId") REFERENCES "PromoCode" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "PromoRedemption_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "PromoRedemption_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromoCode_code_key" ON "PromoCode"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PromoRedemption_orderId_key" ON "PromoRedemption"("orderId");
+
+-- CreateIndex
+CREATE INDEX "PromoRedemption_promoCodeId_status_idx" ON "PromoRedemption"("promoCodeId", "status");
+
+-- CreateIndex
+CREATE INDEX "PromoRedemption_userId_idx" ON "PromoRedemption"("userId");
@@ -0,0 +1,60 @@
+-- AlterTable
+ALTER TABLE "Refund" ADD COLUMN "destination" TEXT NOT NULL DEFAULT 'source';
+
+-- CreateTable
+CREATE TABLE "WalletTransaction" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "type" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "orderId" TEXT,
+    "paymentId" TEXT,
+    "refundId" TEXT,
+    "metadata" TEXT,
+    "createdBy" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "WalletEntry" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "transactionId" TEXT NOT NULL,
+    "account" TEXT NOT NULL,
+    "userId" TEXT,
+    "amount" REAL NOT NULL,
+    "balanceAfter" REAL NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "WalletEntry_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "WalletTransaction" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WalletTransaction_refundId_key" ON "WalletTransaction"("refundId");
+
+-- CreateIndex
+CREATE INDEX "WalletTransaction_orderId_idx" ON "WalletTransaction"("orderId");
+
+-- CreateIndex
+CREATE INDEX "WalletEntry_account_createdAt_idx" ON "WalletEntry"("account", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "WalletEntry_userId_idx" ON "WalletEntry"("userId");
+
+-- The wallet ledger is append-only
+CREATE TRIGGER "WalletTransaction_no_update" BEFORE UPDATE ON "WalletTransaction"
+BEGIN
+    SELECT RAISE(ABORT, 'Wallet transactions cannot be changed');
+END;
+
+CREATE TRIGGER "WalletTransaction_no_delete" BEFORE DELETE ON "WalletTransaction"
+BEGIN
+    SELECT RAISE(ABORT, 'Wallet transactions cannot be deleted');
+END;
+
+CREATE TRIGGER "WalletEntry_no_update" BEFORE UPDATE ON "WalletEntry"
+BEGIN
+    SELECT RAISE(ABORT, 'Wallet entries cannot be changed');
+END;
+
+CREATE TRIGGER "WalletEntry_no_delete" BEFORE DELETE ON "WalletEntry"
+BEGIN
+    SELECT RAISE(ABORT, 'Wallet entries cannot be deleted');
+END;
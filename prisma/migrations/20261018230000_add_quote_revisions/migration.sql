@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE "Quote" ADD COLUMN "version" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "QuoteRevision" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "quoteId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "amount" REAL NOT NULL,
+    "details" TEXT,
+    "expiresAt" DATETIME,
+    "source" TEXT NOT NULL DEFAULT 'vendor',
+    "note" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "QuoteRevision_quoteId_fkey" FOREIGN KEY ("quoteId") REFERENCES "Quote" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "QuoteCounterOffer" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "quoteId" TEXT NOT NULL,
+    "quoteVersion" INTEGER NOT NULL,
+    "amount" REAL NOT NULL,
+    "message" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "expiresAt" DATETIME NOT NULL,
+    "createdBy" TEXT,
+    "responseNote" TEXT,
+    "respondedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "QuoteCounterOffer_quoteId_fkey" FOREIGN KEY ("quoteId") REFERENCES "Quote" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Quote_orderId_vendorId_idx" ON "Quote"("orderId", "vendorId");
+
+-- CreateIndex
+CREATE INDEX "Quote_status_expiresAt_idx" ON "Quote"("status", "expiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuoteRevision_quoteId_version_key" ON "QuoteRevision"("quoteId", "version");
+
+-- CreateIndex
+CREATE INDEX "QuoteCounterOffer_quoteId_status_idx" ON "QuoteCounterOffer"("quoteId", "status");
+
+-- CreateIndex
+CREATE INDEX "QuoteCounterOffer_status_expiresAt_idx" ON "QuoteCounterOffer"("status", "expiresAt");
+
+-- Existing quotes become their own first revision
+INSERT INTO "QuoteRevision" ("id", "quoteId", "version", "amount", "details", "expiresAt", "source", "createdAt")
+SELECT lower(hex(randomblob(16))), "id", 1, "amount", "details", "expiresAt", 'vendor', "createdAt"
+FROM "Quote";
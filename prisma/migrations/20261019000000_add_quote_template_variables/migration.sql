@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "QuoteTemplate" ADD COLUMN "variables" TEXT NOT NULL DEFAULT '[]';
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "NotificationMessage" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT,
+    "channel" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "eventType" TEXT NOT NULL,
+    "category" TEXT,
+    "subject" TEXT,
+    "payload" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lockedUntil" DATETIME,
+    "lastError" TEXT,
+    "provider" TEXT,
+    "providerMessageId" TEXT,
+    "resendOf" TEXT,
+    "sentAt" DATETIME,
+    "deliveredAt" DATETIME,
+    "failedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "NotificationMessage_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "NotificationMessage_status_nextAttemptAt_idx" ON "NotificationMessage"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "NotificationMessage_providerMessageId_idx" ON "NotificationMessage"("providerMessageId");
+
+-- CreateIndex
+CREATE INDEX "NotificationMessage_userId_idx" ON "NotificationMessage"("userId");
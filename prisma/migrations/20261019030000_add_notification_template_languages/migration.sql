@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "language" TEXT NOT NULL DEFAULT 'en';
+
+-- AlterTable
+ALTER TABLE "NotificationTemplate" ADD COLUMN "language" TEXT NOT NULL DEFAULT 'en';
+ALTER TABLE "NotificationTemplate" ADD COLUMN "description" TEXT;
+
+-- DropIndex
+DROP INDEX "NotificationTemplate_name_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NotificationTemplate_name_type_language_key" ON "NotificationTemplate"("name", "type", "language");
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "MailboxMessage" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "channel" TEXT NOT NULL,
+    "sender" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "subject" TEXT,
+    "text" TEXT NOT NULL,
+    "html" TEXT,
+    "notificationMessageId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "MailboxMessage_channel_createdAt_idx" ON "MailboxMessage"("channel", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "MailboxMessage_recipient_idx" ON "MailboxMessage"("recipient");
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "moveDateConfirmedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "WhatsAppSession" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "orderId" TEXT,
+    "phone" TEXT NOT NULL,
+    "flow" TEXT NOT NULL,
+    "context" TEXT,
+    "notificationMessageId" TEXT,
+    "awaiting" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'open',
+    "response" TEXT,
+    "expiresAt" DATETIME NOT NULL,
+    "completedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "WhatsAppSession_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "WhatsAppSession_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "WhatsAppSession_phone_status_idx" ON "WhatsAppSession"("phone", "status");
+
+-- CreateIndex
+CREATE INDEX "WhatsAppSession_notificationMessageId_idx" ON "WhatsAppSession"("notificationMessageId");
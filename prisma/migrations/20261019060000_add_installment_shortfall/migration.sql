@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PaymentInstallment" ADD COLUMN "shortfall" REAL NOT NULL DEFAULT 0;
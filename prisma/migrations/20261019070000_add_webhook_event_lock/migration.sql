@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PaymentWebhookEvent" ADD COLUMN "lockedUntil" DATETIME;
@@ -0,0 +1,5 @@
+-- DropIndex
+DROP INDEX "DistanceCache_fromPincode_toPincode_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DistanceCache_fromPincode_toPincode_provider_key" ON "DistanceCache"("fromPincode", "toPincode", "provider");
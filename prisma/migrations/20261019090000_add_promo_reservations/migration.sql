@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PromoRedemption" ADD COLUMN "reservedUntil" DATETIME;
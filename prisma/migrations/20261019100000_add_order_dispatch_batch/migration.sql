@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "dispatchBatch" INTEGER NOT NULL DEFAULT 0;
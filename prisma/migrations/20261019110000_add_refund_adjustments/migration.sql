@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "VendorAdjustment" ADD COLUMN "refundId" TEXT REFERENCES "Refund" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- CreateIndex
+CREATE INDEX "VendorAdjustment_refundId_idx" ON "VendorAdjustment"("refundId");
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "Refund" ADD COLUMN "claimId" TEXT REFERENCES "DamageClaim" ("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- CreateIndex
+CREATE INDEX "Refund_claimId_idx" ON "Refund"("claimId");
+
+-- Link the refunds settled claims recorded as a comma separated list of refund IDs
+UPDATE "Refund" SET "claimId" = (
+    SELECT "DamageClaim"."id" FROM "DamageClaim"
+    WHERE "DamageClaim"."refundId" IS NOT NULL
+      AND ',' || "DamageClaim"."refundId" || ',' LIKE '%,' || COALESCE("Refund"."gatewayRefundId", "Refund"."id") || ',%'
+);
+
+-- AlterTable
+ALTER TABLE "DamageClaim" DROP COLUMN "refundId";
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "pickupLat" REAL;
+ALTER TABLE "Order" ADD COLUMN "pickupLon" REAL;
+ALTER TABLE "Order" ADD COLUMN "destinationLat" REAL;
+ALTER TABLE "Order" ADD COLUMN "destinationLon" REAL;
@@ -0,0 +1,24 @@
+/**
+ * Quote expiry job
+ *
+ * Expires vendor quotes and customer counter-offers that are past their expiry (see
+ * lib/services/quoteService.js), and tells the vendor or customer. Each is only expired
+ * once, so this can run as often as you like, e.g. hourly from cron:
+ *
+ *   npm run expire-quotes
+ */
+
+const { quoteService } = require('../lib/services/quoteService');
+
+async function expireQuotes() {
+  try {
+    const summary = await quoteService.expireQuotes();
+
+    console.log(`Expired ${summary.quotes} quotes and ${summary.counterOffers} counter-offers`);
+  } catch (error) {
+    console.error('Error expiring quotes:', error);
+    process.exitCode = 1;
+  }
+}
+
+expireQuotes();
@@ -376,8 +376,10 @@ async function migrateNotificationTemplates() {
           id: template.id || uuidv4(),
           name: template.name,
           type: template.type,
+          language: template.language || 'en',
           subject: template.subject || null,
           content: template.content,
+          description: template.description || null,
           variables: JSON.stringify(template.variables || []),
           createdAt: template.createdAt ? new Date(template.createdAt) : new Date(),
           updatedAt: template.updatedAt ? new Date(template.updatedAt) : new Date(),
@@ -390,6 +392,42 @@ async function migrateNotificationTemplates() {
   console.log(`Migrated ${templates.length} notification templates`);
 }
 
+// Migrate promo codes
+async function migratePromoCodes() {
+  console.log('Migrating promo codes...');
+  const discounts = await readJsonFile(path.join(process.cwd(), 'data', 'discounts.json'));
+  
+  for (const discount of discounts) {
+    try {
+      await prisma.promoCode.create({
+        data: {
+          id: discount.id || uuidv4(),
+          code: String(discount.code).trim().toUpperCase(),
+          description: discount.description || null,
+          type: discount.type === 'flat' ? 'flat' : 'percentage',
+          value: Number(discount.value),
+          maxDiscount: discount.maxDiscount || null,
+          minOrderAmount: discount.minOrderAmount || null,
+          firstMoveOnly: Boolean(discount.firstMoveOnly),
+          cities: discount.cities && discount.cities.length > 0 ? JSON.stringify(discount.cities) : null,
+          moveSizes: discount.moveSizes && discount.moveSizes.length > 0 ? JSON.stringify(discount.moveSizes) : null,
+          usageLimit: discount.usageLimit || null,
+          perUserLimit: discount.perUserLimit === undefined ? 1 : discount.perUserLimit,
+          stackable: Boolean(discount.stackable),
+          startsAt: discount.startsAt ? new Date(discount.startsAt) : null,
+          expiresAt: discount.expiresAt ? new Date(discount.expiresAt) : null,
+          isActive: discount.isActive !== false,
+          createdAt: discount.createdAt ? new Date(discount.createdAt) : new Date(),
+          updatedAt: discount.updatedAt ? new Date(discount.updatedAt) : new Date(),
+        },
+      });
+    } catch (error) {
+      console.error(`Error migrating promo code ${discount.code}:`, error);
+    }
+  }
+  console.log(`Migrated ${discounts.length} promo codes`);
+}
+
 // Main migration function
 async function migrateData() {
   try {
@@ -403,6 +441,7 @@ async function migrateData() {
     await migratePincodes();
     await migrateSettings();
     await migrateNotificationTemplates();
+    await migratePromoCodes();
     
     console.log('Data migration completed successfully!');
   } catch (error) {
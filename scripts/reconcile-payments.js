@@ -0,0 +1,32 @@
+/**
+ * Payment reconciliation job
+ *
+ * Compares recent payments with Razorpay and flags mismatches for admins (see
+ * lib/services/paymentReconciliationService.js). Meant to be run on a schedule, e.g.
+ * hourly from cron:
+ *
+ *   npm run reconcile-payments -- --days=7
+ */
+
+const { paymentReconciliationService } = require('../lib/services/paymentReconciliationService');
+
+async function reconcilePayments() {
+  const daysArg = process.argv.find(arg => arg.startsWith('--days='));
+  const days = daysArg ? parseInt(daysArg.split('=')[1], 10) : undefined;
+
+  try {
+    const summary = await paymentReconciliationService.runReconciliation(days ? { days } : {});
+
+    console.log(`Checked ${summary.checked} payments`);
+    console.log(`Flagged ${summary.flagged} new mismatches`);
+    if (summary.errors > 0) {
+      console.log(`${summary.errors} payments could not be checked, see the errors above`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error reconciling payments:', error);
+    process.exitCode = 1;
+  }
+}
+
+reconcilePayments();
@@ -0,0 +1,32 @@
+/**
+ * Vendor settlement job
+ *
+ * Batches each vendor's completed orders and pending adjustments from the last full
+ * week into a settlement for admins to pay out (see lib/services/settlementService.js).
+ * A week is only settled once, so this can safely be re-run, e.g. every Monday from
+ * cron:
+ *
+ *   npm run run-settlements
+ */
+
+const { settlementService } = require('../lib/services/settlementService');
+
+async function runSettlements() {
+  try {
+    const summary = await settlementService.runWeeklySettlements();
+
+    console.log(`Settled ${summary.settled} vendors for the week ending ${summary.periodEnd.toISOString()}`);
+    if (summary.carriedForward > 0) {
+      console.log(`${summary.carriedForward} vendors owe more than they earned; their balance was carried forward`);
+    }
+    if (summary.errors > 0) {
+      console.log(`${summary.errors} vendors could not be settled, see the errors above`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error running vendor settlements:', error);
+    process.exitCode = 1;
+  }
+}
+
+runSettlements();
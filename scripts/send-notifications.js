@@ -0,0 +1,28 @@
+/**
+ * Notification outbox job
+ *
+ * Queues the email digests that are due, then sends the queued messages in the outbox
+ * that are due: new ones, those held back by users' quiet hours, and retries of failed
+ * sends (see lib/services/notificationOutboxService.js). Each message is only sent once,
+ * so this can run as often as you like; run it every minute from cron so messages don't
+ * wait long:
+ *
+ *   npm run send-notifications
+ */
+
+const { notificationService } = require('../lib/services/notificationService');
+const { notificationOutboxService } = require('../lib/services/notificationOutboxService');
+
+async function sendNotifications() {
+  try {
+    const deferred = await notificationService.queueDeferredNotifications();
+    const summary = await notificationOutboxService.processOutbox();
+
+    console.log(`Queued ${deferred.digests} digests; sent ${summary.sent} messages, ${summary.retrying} to retry, ${summary.failed} failed for good`);
+  } catch (error) {
+    console.error('Error sending notifications:', error);
+    process.exitCode = 1;
+  }
+}
+
+sendNotifications();
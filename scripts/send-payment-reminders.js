@@ -0,0 +1,29 @@
+/**
+ * Payment reminder job
+ *
+ * Reminds customers of milestone and balance payments that have fallen due (see
+ * lib/services/paymentScheduleService.js). Reminders for an installment are spaced by
+ * the payment.balanceReminderHours setting, so this can run as often as you like, e.g.
+ * hourly from cron:
+ *
+ *   npm run send-payment-reminders
+ */
+
+const { paymentScheduleService } = require('../lib/services/paymentScheduleService');
+
+async function sendPaymentReminders() {
+  try {
+    const summary = await paymentScheduleService.sendDueReminders();
+
+    console.log(`Sent ${summary.reminded} payment reminders`);
+    if (summary.errors > 0) {
+      console.log(`${summary.errors} reminders could not be sent, see the errors above`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error sending payment reminders:', error);
+    process.exitCode = 1;
+  }
+}
+
+sendPaymentReminders();
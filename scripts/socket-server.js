@@ -0,0 +1,216 @@
+/**
+ * Standalone WebSocket server for real-time updates
+ *
+ * Clients connect to ws://<host>:<port>/ws?token=<token> with a token issued by GET /api/socket
+ * and are joined to their private `user-<id>` channel. The app server pushes events with
+ * POST /publish, authenticated with SOCKET_PUBLISH_SECRET (see lib/socketPublisher.js).
+ *
+ * Usage: node scripts/socket-server.js
+ * Environment: SOCKET_SERVER_PORT (default 3001), SOCKET_TOKEN_SECRET (or NEXTAUTH_SECRET,
+ * required), SOCKET_PUBLISH_SECRET (defaults to the token secret)
+ */
+
+const http = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const { getSocketSecret, verifySocketToken, verifyPublishSecret } = require('../lib/socketAuth');
+
+const PORT = parseInt(process.env.SOCKET_SERVER_PORT || '3001', 10);
+const HEARTBEAT_INTERVAL = 30000; // Drop connections that miss a ping for 30 seconds
+const MAX_PUBLISH_BODY_BYTES = 64 * 1024;
+
+// Refuse to start rather than accept tokens signed with a guessable secret
+try {
+  getSocketSecret();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// channelId -> Set of sockets subscribed to it
+const channels = new Map();
+
+function send(socket, message) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function joinChannel(socket, channelId) {
+  if (!channels.has(channelId)) {
+    channels.set(channelId, new Set());
+  }
+  channels.get(channelId).add(socket);
+  socket.channels.add(channelId);
+}
+
+function leaveChannel(socket, channelId) {
+  const members = channels.get(channelId);
+  if (members) {
+    members.delete(socket);
+    if (members.size === 0) {
+      channels.delete(channelId);
+    }
+  }
+  socket.channels.delete(channelId);
+}
+
+function broadcast(channelId, event, data) {
+  const members = channels.get(channelId);
+  if (!members) return 0;
+
+  for (const socket of members) {
+    send(socket, { channelId, event, data });
+  }
+  return members.size;
+}
+
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_PUBLISH_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        request.destroy();
+      }
+    });
+    request.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function respond(response, statusCode, payload) {
+  response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify(payload));
+}
+
+const server = http.createServer(async (request, response) => {
+  if (request.method === 'GET' && request.url === '/health') {
+    return respond(response, 200, {
+      status: 'ok',
+      connections: wss.clients.size,
+      channels: channels.size
+    });
+  }
+
+  if (request.method === 'POST' && request.url === '/publish') {
+    if (!verifyPublishSecret(request.headers.authorization)) {
+      return respond(response, 401, { error: 'Not authorized' });
+    }
+
+    try {
+      const { channelId, event, data } = await readJsonBody(request);
+      if (!channelId || !event) {
+        return respond(response, 400, { error: 'Channel ID and event are required' });
+      }
+
+      const delivered = broadcast(channelId, event, data || {});
+      return respond(response, 200, { success: true, delivered });
+    } catch (error) {
+      return respond(response, 400, { error: error.message });
+    }
+  }
+
+  respond(response, 404, { error: 'Not found' });
+});
+
+const wss = new WebSocketServer({ server, path: '/ws' });
+
+wss.on('connection', (socket, request) => {
+  const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+  const tokenPayload = verifySocketToken(url.searchParams.get('token'));
+
+  if (!tokenPayload) {
+    // 4001 tells the client to fetch a fresh token before reconnecting
+    socket.close(4001, 'Invalid or expired token');
+    return;
+  }
+
+  socket.user = { id: tokenPayload.sub, role: tokenPayload.role };
+  socket.allowedChannels = new Set(tokenPayload.channels || []);
+  socket.channels = new Set();
+  socket.isAlive = true;
+
+  for (const channelId of socket.allowedChannels) {
+    joinChannel(socket, channelId);
+  }
+
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+
+  socket.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      send(socket, { event: 'error', data: { message: 'Invalid message format' } });
+      return;
+    }
+
+    const { type, channelId } = message;
+
+    switch (type) {
+      case 'subscribe':
+        if (!socket.allowedChannels.has(channelId)) {
+          send(socket, { event: 'error', data: { message: `Not authorized to subscribe to ${channelId}` } });
+          return;
+        }
+        joinChannel(socket, channelId);
+        send(socket, { event: 'subscribed', data: { channelId } });
+        break;
+      case 'unsubscribe':
+        leaveChannel(socket, channelId);
+        send(socket, { event: 'unsubscribed', data: { channelId } });
+        break;
+      case 'ping':
+        send(socket, { event: 'pong', data: { timestamp: new Date().toISOString() } });
+        break;
+      default:
+        send(socket, { event: 'error', data: { message: `Unknown message type: ${type}` } });
+    }
+  });
+
+  socket.on('close', () => {
+    for (const channelId of [...socket.channels]) {
+      leaveChannel(socket, channelId);
+    }
+  });
+
+  send(socket, { event: 'connected', data: { channels: [...socket.channels] } });
+});
+
+const heartbeat = setInterval(() => {
+  for (const socket of wss.clients) {
+    if (!socket.isAlive) {
+      socket.terminate();
+      continue;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  }
+}, HEARTBEAT_INTERVAL);
+
+wss.on('close', () => clearInterval(heartbeat));
+
+function shutdown() {
+  console.log('Shutting down socket server...');
+  clearInterval(heartbeat);
+  for (const socket of wss.clients) {
+    socket.close(1001, 'Server shutting down');
+  }
+  server.close(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+server.listen(PORT, () => {
+  console.log(`Socket server listening on port ${PORT} (ws path: /ws)`);
+});
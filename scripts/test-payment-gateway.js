@@ -0,0 +1,104 @@
+/**
+ * Test script for the mock payment gateway
+ *
+ * Runs the mock gateway used in payment test mode through checkout, signature checks,
+ * refunds, webhooks and each scripted failure mode. Needs no database or Razorpay keys.
+ *
+ * Usage: node scripts/test-payment-gateway.js
+ */
+
+const crypto = require('crypto');
+const { MockPaymentGateway } = require('../lib/mockPaymentGateway');
+
+const gateway = new MockPaymentGateway({ timeoutMs: 50 });
+let failures = 0;
+
+function check(description, passed) {
+  console.log(`${passed ? '✓' : '✗'} ${description}`);
+  if (!passed) failures++;
+}
+
+async function expectFailure(description, fn, code) {
+  try {
+    await fn();
+    check(description, false);
+  } catch (error) {
+    check(`${description} (${error.error ? error.error.code : error.message})`, !code || (error.error && error.error.code === code));
+  }
+}
+
+function verifySignature(response) {
+  const expected = crypto
+    .createHmac('sha256', gateway.keySecret)
+    .update(`${response.razorpay_order_id}|${response.razorpay_payment_id}`)
+    .digest('hex');
+  return expected === response.razorpay_signature;
+}
+
+async function runTests() {
+  console.log('Testing Mock Payment Gateway...\n');
+
+  // Checkout
+  const order = await gateway.orders.create({ amount: 250000, currency: 'INR', receipt: 'order-1', notes: { orderId: 'order-1' } });
+  check(`Creates orders with Razorpay-style IDs (${order.id})`, /^order_[A-Za-z0-9]{14}$/.test(order.id));
+
+  const response = await gateway.checkout(order.id);
+  check(`Checkout returns a payment ID (${response.razorpay_payment_id})`, /^pay_[A-Za-z0-9]{14}$/.test(response.razorpay_payment_id));
+  check('Checkout signature verifies with the key secret', verifySignature(response));
+
+  const payment = await gateway.payments.fetch(response.razorpay_payment_id);
+  check('Payment is captured for the order amount', payment.status === 'captured' && payment.amount === 250000);
+  await expectFailure('A paid order cannot be paid again', () => gateway.checkout(order.id), 'BAD_REQUEST_ERROR');
+
+  // Refunds
+  const partial = await gateway.payments.refund(payment.id, { amount: 50000, notes: { reason: 'test' } });
+  check(`Partial refund is processed (${partial.id})`, /^rfnd_[A-Za-z0-9]{14}$/.test(partial.id) && partial.status === 'processed');
+  await expectFailure('Refunds cannot exceed the captured amount', () => gateway.payments.refund(payment.id, { amount: 250000 }), 'BAD_REQUEST_ERROR');
+  await gateway.payments.refund(payment.id);
+  const refunded = await gateway.payments.fetch(payment.id);
+  check('Refunding the balance fully refunds the payment', refunded.status === 'refunded' && refunded.amount_refunded === 250000);
+
+  // Webhooks
+  const webhook = gateway.buildWebhookEvent('refund.processed', partial.id);
+  const webhookSignature = crypto.createHmac('sha256', gateway.webhookSecret).update(webhook.rawBody).digest('hex');
+  const body = JSON.parse(webhook.rawBody);
+  check('Webhook is signed with the webhook secret', webhookSignature === webhook.signature);
+  check('Webhook carries the refund and its payment', body.payload.refund.entity.id === partial.id && body.payload.payment.entity.id === payment.id);
+
+  // Failure modes
+  const declinedOrder = await gateway.orders.create({ amount: 10000 });
+  await expectFailure('Declined checkout fails like a bank decline', () => gateway.checkout(declinedOrder.id, { outcome: 'declined' }), 'BAD_REQUEST_ERROR');
+  const { items } = await gateway.orders.fetchPayments(declinedOrder.id);
+  check('Declined payment is recorded as failed', items.length === 1 && items[0].status === 'failed');
+
+  const retry = await gateway.checkout(declinedOrder.id);
+  check('The order can be paid after a decline', verifySignature(retry));
+
+  const mismatchOrder = await gateway.orders.create({ amount: 10000 });
+  const mismatch = await gateway.checkout(mismatchOrder.id, { outcome: 'signature_mismatch' });
+  check('Signature mismatch returns a signature that does not verify', !verifySignature(mismatch));
+
+  const timeoutOrder = await gateway.orders.create({ amount: 10000 });
+  await expectFailure('Checkout timeout fails with a gateway error', () => gateway.checkout(timeoutOrder.id, { outcome: 'timeout' }), 'GATEWAY_ERROR');
+
+  gateway.failNext('orders.create', 'timeout');
+  await expectFailure('Queued timeout fails the next order', () => gateway.orders.create({ amount: 10000 }), 'GATEWAY_ERROR');
+  const afterTimeout = await gateway.orders.create({ amount: 10000 });
+  check('Queued failures only apply once', afterTimeout.status === 'created');
+
+  gateway.failNext('payments.refund', 'declined');
+  await expectFailure('Queued decline fails the next refund', () => gateway.payments.refund(retry.razorpay_payment_id), 'BAD_REQUEST_ERROR');
+
+  gateway.failNext('checkout', 'declined');
+  await expectFailure('Queued decline fails the next checkout', () => gateway.checkout(timeoutOrder.id), 'BAD_REQUEST_ERROR');
+
+  console.log(`\n${failures === 0 ? 'All tests passed' : `${failures} tests failed`}`);
+  if (failures > 0) {
+    process.exitCode = 1;
+  }
+}
+
+runTests().catch(error => {
+  console.error('Error running tests:', error);
+  process.exitCode = 1;
+});